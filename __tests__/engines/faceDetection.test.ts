@@ -0,0 +1,207 @@
+import FaceDetection from '@react-native-ml-kit/face-detection';
+import {ethers} from 'ethers';
+import {encode} from 'jpeg-js';
+import {Platform} from 'react-native';
+import RNFS from 'react-native-fs';
+import {loadTensorflowModel} from 'react-native-fast-tflite';
+import {
+  FACE_INPUT_SIZE,
+  NO_FACE_FOUND,
+  createMlKitFaceDetector,
+  createTfliteFaceEmbedder,
+  cropFace,
+} from '@/engines';
+import {RgbaImage} from '@types/index';
+import {FACE_DESCRIPTOR_LENGTH} from '@utils/faceMatch';
+
+/**
+ * Photo whose left half is red and right half blue
+ * @param width - Width in pixels
+ * @param height - Height in pixels
+ * @returns RgbaImage - Photo
+ */
+function splitPhoto(width: number, height: number): RgbaImage {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(i % width < width / 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+  }
+  return {width, height, data};
+}
+
+/**
+ * Face model answering every crop with the same raw output
+ * @param output - Values the model returns
+ * @returns jest.Mock - The model's run function
+ */
+function mockModel(output: number[]): jest.Mock {
+  const run = jest.fn(() => Promise.resolve([Float32Array.from(output)]));
+  (loadTensorflowModel as jest.Mock).mockResolvedValue({run});
+  return run;
+}
+
+const crop = (): RgbaImage =>
+  cropFace(splitPhoto(20, 20), {left: 0, top: 0, width: 20, height: 20});
+
+describe('faceDetection', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createMlKitFaceDetector', () => {
+    it('should describe the largest face in the photo', async () => {
+      const photo = splitPhoto(40, 40);
+      (RNFS.readFile as jest.Mock).mockResolvedValueOnce(
+        ethers.encodeBase64(encode({...photo, data: photo.data}, 100).data)
+      );
+      (FaceDetection.detect as jest.Mock).mockResolvedValueOnce([
+        {frame: {left: 0, top: 0, width: 5, height: 5}, rotationX: 0, rotationY: 0, rotationZ: 0},
+        {
+          frame: {left: 10, top: 8, width: 20, height: 24},
+          rotationX: 0,
+          rotationY: 0,
+          rotationZ: 0,
+        },
+      ]);
+      const embed = jest.fn(() => Promise.resolve([1, 0]));
+
+      const face = await createMlKitFaceDetector(embed).detect('file:///selfie.jpg');
+
+      expect(face).toEqual({
+        faceDescriptor: [1, 0],
+        confidence: 1,
+        boundingBox: {x: 10, y: 8, width: 20, height: 24},
+      });
+      expect(embed).toHaveBeenCalledWith(
+        expect.objectContaining({width: FACE_INPUT_SIZE, height: FACE_INPUT_SIZE})
+      );
+    });
+
+    it('should fail when there is no face', async () => {
+      const detector = createMlKitFaceDetector(jest.fn());
+      await expect(detector.detect('file:///wall.jpg')).rejects.toThrow(NO_FACE_FOUND);
+      await expect(detector.detectLandmarks('file:///wall.jpg', 0)).rejects.toThrow(NO_FACE_FOUND);
+    });
+
+    it('should read landmarks from ML Kit classifications', async () => {
+      (FaceDetection.detect as jest.Mock).mockResolvedValueOnce([
+        {
+          frame: {left: 0, top: 0, width: 10, height: 10},
+          rotationX: 0,
+          rotationY: 24,
+          rotationZ: 0,
+          leftEyeOpenProbability: 0.1,
+          rightEyeOpenProbability: 0.2,
+          smilingProbability: 0.9,
+        },
+      ]);
+
+      const frame = await createMlKitFaceDetector(jest.fn()).detectLandmarks('file:///f.jpg', 0);
+
+      expect(FaceDetection.detect).toHaveBeenCalledWith('file:///f.jpg', {
+        classificationMode: 'all',
+      });
+      expect(frame).toEqual({
+        leftEyeOpenProbability: 0.1,
+        rightEyeOpenProbability: 0.2,
+        smilingProbability: 0.9,
+        yawAngle: 24,
+      });
+    });
+
+    it('should not read a blink or smile into missing classifications', async () => {
+      (FaceDetection.detect as jest.Mock).mockResolvedValueOnce([
+        {
+          frame: {left: 0, top: 0, width: 10, height: 10},
+          rotationX: 0,
+          rotationY: -30,
+          rotationZ: 0,
+        },
+      ]);
+
+      const frame = await createMlKitFaceDetector(jest.fn()).detectLandmarks('file:///f.jpg', 0);
+
+      expect(frame).toEqual({
+        leftEyeOpenProbability: 1,
+        rightEyeOpenProbability: 1,
+        smilingProbability: 0,
+        yawAngle: -30,
+      });
+    });
+  });
+
+  describe('createTfliteFaceEmbedder', () => {
+    it('should scale the descriptor to unit length', async () => {
+      const run = mockModel(
+        Array.from({length: FACE_DESCRIPTOR_LENGTH}, (_, i) => (i < 2 ? 3 : 0))
+      );
+
+      const descriptor = await createTfliteFaceEmbedder('/models/face.tflite')(crop());
+
+      expect(loadTensorflowModel).toHaveBeenCalledWith({url: 'file:///models/face.tflite'});
+      expect(descriptor).toHaveLength(FACE_DESCRIPTOR_LENGTH);
+      expect(descriptor[0]).toBeCloseTo(Math.SQRT1_2);
+      expect(descriptor[1]).toBeCloseTo(Math.SQRT1_2);
+      // RGB scaled to [-1, 1]: the crop's top left is red
+      const [input] = run.mock.calls[0][0];
+      expect(Array.from(input.subarray(0, 3))).toEqual([127.5 / 128, -127.5 / 128, -127.5 / 128]);
+    });
+
+    it('should load the model once', async () => {
+      mockModel(Array(FACE_DESCRIPTOR_LENGTH).fill(1));
+      const embed = createTfliteFaceEmbedder('/models/face.tflite');
+
+      await embed(crop());
+      await embed(crop());
+
+      expect(loadTensorflowModel).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry a model that failed to load', async () => {
+      (loadTensorflowModel as jest.Mock).mockRejectedValueOnce(new Error('Model not found'));
+      const embed = createTfliteFaceEmbedder('/models/face.tflite');
+
+      await expect(embed(crop())).rejects.toThrow('Model not found');
+      mockModel(Array(FACE_DESCRIPTOR_LENGTH).fill(1));
+      await expect(embed(crop())).resolves.toHaveLength(FACE_DESCRIPTOR_LENGTH);
+    });
+
+    it('should load the bundled model from the app bundle', async () => {
+      mockModel(Array(FACE_DESCRIPTOR_LENGTH).fill(1));
+
+      await createTfliteFaceEmbedder()(crop());
+
+      const path =
+        Platform.OS === 'android'
+          ? '/caches/face_embedding.tflite'
+          : '/bundle/assets/models/face_embedding.tflite';
+      expect(loadTensorflowModel).toHaveBeenCalledWith({url: `file://${path}`});
+    });
+
+    it('should reject a model with the wrong descriptor size', async () => {
+      mockModel([1, 2, 3]);
+
+      await expect(createTfliteFaceEmbedder('/models/face.tflite')(crop())).rejects.toThrow(
+        `Face model must output ${FACE_DESCRIPTOR_LENGTH} values`
+      );
+    });
+  });
+
+  describe('cropFace', () => {
+    it('should cut a square around the face with a margin', () => {
+      const face = cropFace(splitPhoto(100, 100), {left: 40, top: 30, width: 20, height: 40});
+
+      expect(face.width).toBe(FACE_INPUT_SIZE);
+      expect(face.height).toBe(FACE_INPUT_SIZE);
+      // Centred on the face, so the red and blue halves meet in the middle
+      expect(Array.from(face.data.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+      const topRight = (FACE_INPUT_SIZE - 1) * 4;
+      expect(Array.from(face.data.subarray(topRight, topRight + 4))).toEqual([0, 0, 255, 255]);
+    });
+
+    it('should repeat the edge of the photo past its border', () => {
+      const face = cropFace(splitPhoto(20, 20), {left: -10, top: -10, width: 20, height: 20});
+
+      expect(Array.from(face.data.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+    });
+  });
+});
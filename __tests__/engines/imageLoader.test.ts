@@ -0,0 +1,55 @@
+import {ethers} from 'ethers';
+import {encode} from 'jpeg-js';
+import RNFS from 'react-native-fs';
+import {UNSUPPORTED_IMAGE_FORMAT, encodeBmp, loadGrayImage} from '@/engines';
+import {createImage} from '@utils/documentImage';
+
+describe('imageLoader', () => {
+  describe('loadGrayImage', () => {
+    it('should decode a JPEG photo to luminance', async () => {
+      const rgba = new Uint8Array(8 * 4 * 4);
+      for (let i = 0; i < 8 * 4; i++) {
+        rgba.set(i % 8 < 4 ? [255, 255, 255, 255] : [0, 0, 0, 255], i * 4);
+      }
+      (RNFS.readFile as jest.Mock).mockResolvedValueOnce(
+        ethers.encodeBase64(encode({width: 8, height: 4, data: rgba}, 100).data)
+      );
+
+      const image = await loadGrayImage('file:///photos/My%20Document.jpg');
+
+      expect(RNFS.readFile).toHaveBeenCalledWith('/photos/My Document.jpg', 'base64');
+      expect(image.width).toBe(8);
+      expect(image.height).toBe(4);
+      expect(image.data[0]).toBeGreaterThan(240);
+      expect(image.data[7]).toBeLessThan(15);
+    });
+
+    it('should reject photos that are not JPEG', async () => {
+      (RNFS.readFile as jest.Mock).mockResolvedValueOnce(
+        ethers.encodeBase64(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))
+      );
+
+      await expect(loadGrayImage('/photos/document.png')).rejects.toThrow(UNSUPPORTED_IMAGE_FORMAT);
+    });
+  });
+
+  describe('encodeBmp', () => {
+    it('should write bottom-up rows padded to four bytes', () => {
+      const image = createImage(3, 2, 0);
+      image.data[0] = 10; // Top left
+      image.data[5] = 200; // Bottom right
+
+      const bmp = encodeBmp(image);
+      const view = new DataView(bmp.buffer);
+
+      expect(String.fromCharCode(bmp[0], bmp[1])).toBe('BM');
+      expect(view.getUint32(2, true)).toBe(54 + 12 * 2);
+      expect(view.getInt32(18, true)).toBe(3);
+      expect(view.getInt32(22, true)).toBe(2);
+      expect(view.getUint16(28, true)).toBe(24);
+      // Bottom row first
+      expect(Array.from(bmp.subarray(54 + 6, 54 + 9))).toEqual([200, 200, 200]);
+      expect(Array.from(bmp.subarray(54 + 12, 54 + 15))).toEqual([10, 10, 10]);
+    });
+  });
+});
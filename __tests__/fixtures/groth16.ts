@@ -0,0 +1,208 @@
+import {FaceWitness, IDDocument, LivenessTranscript} from '@types/index';
+
+// Generated with scripts/build-circuits.sh and `snarkjs groth16 fullprove` on
+// identity_verification for identityDocument and identityFace, with timestamp=1700000000,
+// scope=DEFAULT_SCOPE and account=identityAccount (Hardhat's first default account).
+
+export const identityDocument: IDDocument['extractedData'] = {
+  firstName: 'Jane',
+  lastName: 'Smith',
+  dateOfBirth: '1990-06-15',
+  documentNumber: 'X1234567',
+  expiryDate: '2099-12-31',
+  nationality: 'FRA',
+  address: '',
+};
+
+export const identitySalt = '123456789';
+
+export const identityAccount = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+// Selfie and a slightly different document portrait, proven at least 0.9 similar
+const selfieDescriptor = Array.from(
+  {length: 128},
+  (_, i) => Math.round(8000 * Math.sin(i * 1.7 + 0.3)) / 10000
+);
+
+// Liveness session the selfie was captured under
+export const identityLiveness: LivenessTranscript = {
+  nonce: '987654321',
+  issuedAt: 1700000000000,
+  results: [
+    {
+      challenge: 'blink',
+      passed: true,
+      score: 1,
+      frameCount: 8,
+      startedAt: 1700000001000,
+      completedAt: 1700000003800,
+    },
+    {
+      challenge: 'turn_left',
+      passed: true,
+      score: 0.75,
+      frameCount: 8,
+      startedAt: 1700000004000,
+      completedAt: 1700000006800,
+    },
+    {
+      challenge: 'smile',
+      passed: true,
+      score: 1,
+      frameCount: 8,
+      startedAt: 1700000007000,
+      completedAt: 1700000009800,
+    },
+  ],
+  score: 0.9166666666666666,
+  passed: true,
+};
+
+export const identityFace: FaceWitness = {
+  descriptor: selfieDescriptor,
+  portraitDescriptor: selfieDescriptor.map(
+    (value, i) => Math.round((value + (i % 2 ? 0.05 : -0.05)) * 10000) / 10000
+  ),
+  minSimilarity: 0.9,
+  liveness: identityLiveness,
+};
+
+export const verificationKey = {
+  protocol: 'groth16',
+  curve: 'bn128',
+  nPublic: 8,
+  vk_alpha_1: [
+    '282015106440382923200511472165566948108550099650799467526088894589208745001',
+    '6807751996291465291532968013301489291843381837568341395260509158661865727750',
+    '1',
+  ],
+  vk_beta_2: [
+    [
+      '4640033874672312693067804998446325138235586064311474053060230647121500352905',
+      '17293672240767666912522528167770364688259060963180820130478042680087933507874',
+    ],
+    [
+      '2376307880120823396936732554544823476506783087869369210957909554609270659232',
+      '14001018981598703751588134469343561122678024422056208880276614876183408908411',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  vk_gamma_2: [
+    [
+      '10857046999023057135944570762232829481370756359578518086990519993285655852781',
+      '11559732032986387107991004021392285783925812861821192530917403151452391805634',
+    ],
+    [
+      '8495653923123431417604973247489272438418190587263600148770280649306958101930',
+      '4082367875863433681332203403145435568316851327593401208105741076214120093531',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  vk_delta_2: [
+    [
+      '19722863940746418257966562538077506850507373678938493690544647612932310202337',
+      '11167634032383211570266340438566780097917331426816052327683352608536077179134',
+    ],
+    [
+      '5427579199399342431153252718072257001571067605362017763641966130576211440261',
+      '2348682757573427471186060568732570482840518310108386405606210746439483592355',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  IC: [
+    [
+      '21806450132019344184925779291704379663904236825682387065960126701579405541946',
+      '1936932578454403247408433490192704232241881395812848239300917665992863444227',
+      '1',
+    ],
+    [
+      '1470913859101881638058004670368091779854171511560107126647489314573843047367',
+      '762153735179564878604233528671606690356809921797411252760821170056339809898',
+      '1',
+    ],
+    [
+      '2551732190737955240674409144626685793502208516728261986756157421290471241558',
+      '12831191151436241107554600708800638382702255273521228572718573525916583206028',
+      '1',
+    ],
+    [
+      '15768636928680169048383817222005102844537241366314223008037727199657230553971',
+      '7881449407205302589365626303411217895844439000754456194145909117611223756792',
+      '1',
+    ],
+    [
+      '12355480238610552721641704247669290316705770383549893681038797913302561962836',
+      '13434663281568143887101796349780064561799482369796941496114577363931449136071',
+      '1',
+    ],
+    [
+      '8982102737961940153156013946342970190750626400707541901749842683510232119470',
+      '5881742055139015463739410824209890758376352069539897396957034868763680628732',
+      '1',
+    ],
+    [
+      '4223599788450434697719472053974915124693136596494438530657460611954693389283',
+      '16975580127509289871801273530658571432364846788827247424687391750380635066055',
+      '1',
+    ],
+    [
+      '19294980216288212930023638630197337394731144449480098044939251719065828764176',
+      '7821672111495754968142629301404707954535851481719480035915823710445730923569',
+      '1',
+    ],
+    [
+      '11926090200363683704559111389671911006019529601387072390515177496702395828117',
+      '18271304057559621334396280023750126732258245959719332265442154640326822126804',
+      '1',
+    ],
+  ],
+};
+
+export const proof = {
+  pi_a: [
+    '10044576167672792237948850778279389450880553893998473454862136945620737614012',
+    '21264007708045860016236827731664972956646205170455411184490307858346105033454',
+    '1',
+  ],
+  pi_b: [
+    [
+      '9150824057074246712685030153954920474437664738620872488382147053212258819899',
+      '1944655340558448360777179745395311512452402470487344362086896190507439977121',
+    ],
+    [
+      '2581439754531767627298628684773418204354131951687452872075269578636465472365',
+      '13165485705926039747552288621317546762410137855547810492211555574561319506514',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  pi_c: [
+    '12237079505648821136270794726260768043314277285223382122550306502404672892422',
+    '7086073456978922087311270393097286619954701595878129695036776781648703530808',
+    '1',
+  ],
+  protocol: 'groth16',
+  curve: 'bn128',
+};
+
+export const publicSignals = [
+  '6649348922112964188036392000641047723302732495771067580959860335914545287115',
+  '16789120834166477831314387413131361967471819793556076506764102767662280026019',
+  '1700000000',
+  '20991231',
+  '17567798748434102116944938993387153774978169999896174226078553654683794264726',
+  '134363002715209013537794582119347199222571783783659620233024875306668558084',
+  '1390849295786071768276380950238675083608645509734',
+  '9000',
+];
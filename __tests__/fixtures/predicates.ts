@@ -0,0 +1,246 @@
+import {IDDocument} from '@types/index';
+
+// Generated with scripts/build-circuits.sh and `snarkjs groth16 fullprove` on
+// predicate_age_over for ageOverDocument and ageOverPortrait with min_age=18,
+// reference_date=20180301.
+
+export const ageOverDocument: IDDocument['extractedData'] = {
+  firstName: 'John',
+  lastName: 'Doe',
+  dateOfBirth: '2000-03-01',
+  documentNumber: 'P123456789',
+  expiryDate: '2030-01-15',
+  nationality: 'DEU',
+  address: '',
+};
+
+export const ageOverSalt = '987654321';
+
+// Stands in for the hashFaceDescriptor digest of the document portrait, which
+// the predicate circuits only hash into the commitment
+export const ageOverPortrait = '24681357';
+
+export const ageOverVerificationKey = {
+  protocol: 'groth16',
+  curve: 'bn128',
+  nPublic: 3,
+  vk_alpha_1: [
+    '282015106440382923200511472165566948108550099650799467526088894589208745001',
+    '6807751996291465291532968013301489291843381837568341395260509158661865727750',
+    '1',
+  ],
+  vk_beta_2: [
+    [
+      '4640033874672312693067804998446325138235586064311474053060230647121500352905',
+      '17293672240767666912522528167770364688259060963180820130478042680087933507874',
+    ],
+    [
+      '2376307880120823396936732554544823476506783087869369210957909554609270659232',
+      '14001018981598703751588134469343561122678024422056208880276614876183408908411',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  vk_gamma_2: [
+    [
+      '10857046999023057135944570762232829481370756359578518086990519993285655852781',
+      '11559732032986387107991004021392285783925812861821192530917403151452391805634',
+    ],
+    [
+      '8495653923123431417604973247489272438418190587263600148770280649306958101930',
+      '4082367875863433681332203403145435568316851327593401208105741076214120093531',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  vk_delta_2: [
+    [
+      '14558338024552258783959677907248425509273618531973835310600840256970691062593',
+      '4013177128784090901571909795749923258238678908322017122334873491895780926150',
+    ],
+    [
+      '16813599088505696653836927471798877440913740992057889551878408951196759644242',
+      '18080577232775095882187522770244872808127098556391752808285075863319213932414',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  IC: [
+    [
+      '8364854495676300821587944114141786487512226868272587961373417830984321097848',
+      '12037438295259787101159531328838986896548902087877450942331325023398024804784',
+      '1',
+    ],
+    [
+      '5894853183171164449188700912520240585882027126883582237905411974787116321468',
+      '7452030005897669561565268250186391530643163181293513070960961744492484815632',
+      '1',
+    ],
+    [
+      '10572748407114944299019869930886474097899142288768843063201535274148167260569',
+      '4744811947583568455677547626236320016709995724266184228395182217771825758303',
+      '1',
+    ],
+    [
+      '17800119947371849691288771082375038302651229302780747317941515175524538558227',
+      '4039984380723790449772487893891309345873374369110478359593865600305307952277',
+      '1',
+    ],
+  ],
+};
+
+export const ageOverProof = {
+  pi_a: [
+    '3035823218739721732496614922410217098831203822155641373338998743027719705858',
+    '16189496011053356103151339059455911927164212053128611402702199247030159799107',
+    '1',
+  ],
+  pi_b: [
+    [
+      '413949666278176786648201486714824843305647392004677241012528642600189641772',
+      '10126820427972050453600570880208749284809626710876986082671554219570778929390',
+    ],
+    [
+      '6050275937388538136030007619865511693497998713932282273908646284926742317728',
+      '11149667063593985726936243403995791141189492718578510919681948416340627133803',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  pi_c: [
+    '13016306482818650157525542269056683260422997126733153472405374435034529839013',
+    '10627961998110781178981934185058726154706658834079014621953430914596544804916',
+    '1',
+  ],
+  protocol: 'groth16',
+  curve: 'bn128',
+};
+
+export const ageOverPublicSignals = [
+  '1668323840234824202647992591945031574613215680246063079814713105452166571574',
+  '20180301',
+  '18',
+];
+
+// Generated the same way from a separate predicate_age_over setup, for identityDocument,
+// identitySalt and the digest of identityFace's portrait from ./groth16, with min_age=18
+// and reference_date=20240301. The commitment is the identity proof's id_hash, so the
+// two proofs describe the same document.
+
+export const identityAgeOverVerificationKey = {
+  protocol: 'groth16',
+  curve: 'bn128',
+  nPublic: 3,
+  vk_alpha_1: [
+    '282015106440382923200511472165566948108550099650799467526088894589208745001',
+    '6807751996291465291532968013301489291843381837568341395260509158661865727750',
+    '1',
+  ],
+  vk_beta_2: [
+    [
+      '4640033874672312693067804998446325138235586064311474053060230647121500352905',
+      '17293672240767666912522528167770364688259060963180820130478042680087933507874',
+    ],
+    [
+      '2376307880120823396936732554544823476506783087869369210957909554609270659232',
+      '14001018981598703751588134469343561122678024422056208880276614876183408908411',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  vk_gamma_2: [
+    [
+      '10857046999023057135944570762232829481370756359578518086990519993285655852781',
+      '11559732032986387107991004021392285783925812861821192530917403151452391805634',
+    ],
+    [
+      '8495653923123431417604973247489272438418190587263600148770280649306958101930',
+      '4082367875863433681332203403145435568316851327593401208105741076214120093531',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  vk_delta_2: [
+    [
+      '13143734739836644245705519335516741638251142133182768607367174663066246746803',
+      '20702597818985222125384222719044553011694543917660082861228915771620276070449',
+    ],
+    [
+      '18434613102108450858632882296454719673061840453898081126628538906888152931013',
+      '14416714771313529838815197347407549215172314607243809816619797620875865119967',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  IC: [
+    [
+      '8364854495676300821587944114141786487512226868272587961373417830984321097848',
+      '12037438295259787101159531328838986896548902087877450942331325023398024804784',
+      '1',
+    ],
+    [
+      '5894853183171164449188700912520240585882027126883582237905411974787116321468',
+      '7452030005897669561565268250186391530643163181293513070960961744492484815632',
+      '1',
+    ],
+    [
+      '10572748407114944299019869930886474097899142288768843063201535274148167260569',
+      '4744811947583568455677547626236320016709995724266184228395182217771825758303',
+      '1',
+    ],
+    [
+      '17800119947371849691288771082375038302651229302780747317941515175524538558227',
+      '4039984380723790449772487893891309345873374369110478359593865600305307952277',
+      '1',
+    ],
+  ],
+};
+
+export const identityAgeOverProof = {
+  pi_a: [
+    '18622035671104245928627810941554788308014178407865652833562143843879224279762',
+    '11221682733730426700505287089063007373301978302568252278172115084936715230772',
+    '1',
+  ],
+  pi_b: [
+    [
+      '7809302417887676586734570875911664719675744092970001054605872905964070926746',
+      '15508997947165115019042711021172230761009055650658400419110379858976684148438',
+    ],
+    [
+      '9055860484835174204410394185063624454444264497846915591767256662332487943166',
+      '9821292923153046690657041369204530107153964054790521463133600596018742994907',
+    ],
+    [
+      '1',
+      '0',
+    ],
+  ],
+  pi_c: [
+    '2179781350967207882577866214044088545191160388570579866147074009323050309003',
+    '4691775080338672393513844310960923009073673471917897934642108752863562462133',
+    '1',
+  ],
+  protocol: 'groth16',
+  curve: 'bn128',
+};
+
+export const identityAgeOverPublicSignals = [
+  '16789120834166477831314387413131361967471819793556076506764102767662280026019',
+  '20240301',
+  '18',
+];
@@ -0,0 +1,280 @@
+import {ethers} from 'ethers';
+import {INDEXER_ABI, Indexer, IndexerStore} from '@/indexer';
+
+const ALICE = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OTHER_CONTRACT = '0x' + '11'.repeat(20);
+const TTL = 365 * 24 * 60 * 60;
+
+type ChainEvent =
+  | {name: 'ProofSubmitted'; user: string; proofHash: string}
+  | {name: 'VerificationStatusChanged'; user: string; verified: boolean};
+
+const contractInterface = new ethers.Interface(INDEXER_ABI);
+
+/**
+ * Chain held in memory that can be reorganised, standing in for a Hardhat node
+ * Implements the provider calls the indexer makes.
+ */
+class FakeChain {
+  blocks: Array<{hash: string; timestamp: number; logs: ethers.Log[]}> = [];
+  private fork = 0;
+
+  constructor() {
+    this.mine([]);
+  }
+
+  mine(events: ChainEvent[], address = CONTRACT): number {
+    const number = this.blocks.length;
+    const hash = ethers.id(`fork ${this.fork} block ${number}`);
+    const timestamp = 1700000000 + number * 12;
+    const logs = events.map((event, index) => {
+      const values =
+        event.name === 'ProofSubmitted'
+          ? [event.user, event.proofHash, timestamp, timestamp + TTL]
+          : [event.user, event.verified, timestamp];
+      return {
+        ...contractInterface.encodeEventLog(event.name, values),
+        address,
+        blockNumber: number,
+        blockHash: hash,
+        index,
+        transactionHash: ethers.id(`${hash} tx ${index}`),
+      } as unknown as ethers.Log;
+    });
+    this.blocks.push({hash, timestamp, logs});
+    return number;
+  }
+
+  // Replace the newest blocks, as a reorg would
+  reorg(depth: number): void {
+    this.fork++;
+    this.blocks.splice(this.blocks.length - depth, depth);
+  }
+
+  async getNetwork() {
+    return {chainId: BigInt(1337)};
+  }
+
+  async getBlockNumber() {
+    return this.blocks.length - 1;
+  }
+
+  async getBlock(number: number) {
+    const block = this.blocks[number];
+    return block ? {number, hash: block.hash} : null;
+  }
+
+  async getLogs(filter: {address: string; fromBlock: number; toBlock: number; topics: string[][]}) {
+    return this.blocks
+      .slice(filter.fromBlock, filter.toBlock + 1)
+      .flatMap(block => block.logs)
+      .filter(log => log.address === filter.address && filter.topics[0].includes(log.topics[0]));
+  }
+
+  // Like a node without archive state, only the head block can be read at
+  async call(tx: {data: string; blockTag?: number}) {
+    if (tx.blockTag !== undefined && tx.blockTag < this.blocks.length - 1) {
+      throw new Error(`missing trie node: state of block ${tx.blockTag} is not available`);
+    }
+    throw new Error('FakeChain has no contract state');
+  }
+}
+
+const verify = (user: string, proofHash: string): ChainEvent[] => [
+  {name: 'ProofSubmitted', user, proofHash},
+  {name: 'VerificationStatusChanged', user, verified: true},
+];
+
+const revoke = (user: string): ChainEvent[] => [
+  {name: 'VerificationStatusChanged', user, verified: false},
+];
+
+describe('Indexer', () => {
+  const NOW = new Date('2024-01-01T00:00:00Z');
+  let chain: FakeChain;
+  let store: IndexerStore;
+
+  const createIndexer = (overrides = {}) =>
+    new Indexer({
+      provider: chain as unknown as ethers.Provider,
+      contract: CONTRACT,
+      store,
+      batchSize: 2,
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    chain = new FakeChain();
+    store = new IndexerStore(':memory:');
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('should index the contract\'s verification events', async () => {
+    const block = chain.mine(verify(ALICE, ethers.id('alice')));
+    chain.mine([]);
+    chain.mine([...verify(BOB, ethers.id('bob')), ...revoke(BOB)]);
+    chain.mine(verify(ALICE, ethers.id('other app')), OTHER_CONTRACT);
+
+    await expect(createIndexer().sync()).resolves.toBe(5);
+
+    expect(store.getStatus(ALICE, NOW)).toMatchObject({
+      verified: true,
+      active: true,
+      proofHash: ethers.id('alice'),
+      verifiedAt: chain.blocks[block].timestamp,
+      expiresAt: chain.blocks[block].timestamp + TTL,
+    });
+    expect(store.getStatus(BOB, NOW)).toMatchObject({verified: false, revokedAt: 1700000036});
+    expect(store.getStats(NOW)).toMatchObject({chainId: 1337, contract: CONTRACT, proofs: 2});
+    expect(store.getCursor()).toEqual({number: 4, hash: chain.blocks[4].hash});
+  });
+
+  it('should index past proofs from a node without historical state', async () => {
+    const block = chain.mine(verify(ALICE, ethers.id('alice')));
+    chain.mine([]);
+    chain.mine([]);
+    const call = jest.spyOn(chain, 'call');
+
+    await createIndexer().sync();
+
+    expect(call).not.toHaveBeenCalled();
+    expect(store.getProof(ethers.id('alice'), NOW)).toMatchObject({
+      expiresAt: chain.blocks[block].timestamp + TTL,
+    });
+  });
+
+  it('should only read new blocks on later syncs', async () => {
+    chain.mine(verify(ALICE, ethers.id('alice')));
+    const indexer = createIndexer();
+    await indexer.sync();
+    const getLogs = jest.spyOn(chain, 'getLogs');
+
+    await expect(indexer.sync()).resolves.toBe(0);
+    chain.mine(revoke(ALICE));
+    await expect(indexer.sync()).resolves.toBe(1);
+
+    expect(getLogs).toHaveBeenCalledTimes(1);
+    expect(getLogs.mock.calls[0][0]).toMatchObject({fromBlock: 2, toBlock: 2});
+    expect(store.getStatus(ALICE, NOW).verified).toBe(false);
+  });
+
+  it('should start at the deployment block', async () => {
+    chain.mine(verify(ALICE, ethers.id('before deployment')));
+    chain.mine(verify(BOB, ethers.id('bob')));
+
+    await createIndexer({startBlock: 2}).sync();
+
+    expect(store.getStats(NOW).addresses).toBe(1);
+    expect(store.getStatus(BOB, NOW).verified).toBe(true);
+  });
+
+  it('should stay the configured number of blocks behind the head', async () => {
+    chain.mine(verify(ALICE, ethers.id('alice')));
+    chain.mine([]);
+    chain.mine([]);
+
+    await createIndexer({confirmations: 2}).sync();
+
+    expect(store.getCursor()?.number).toBe(1);
+    expect(store.getStatus(ALICE, NOW).verified).toBe(true);
+  });
+
+  describe('reorgs', () => {
+    it('should drop events from replaced blocks and index the new ones', async () => {
+      chain.mine(verify(ALICE, ethers.id('alice')));
+      chain.mine(verify(BOB, ethers.id('bob')));
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      // Bob's verification is replaced by Alice's revocation
+      chain.reorg(1);
+      chain.mine(revoke(ALICE));
+      chain.mine([]);
+      await indexer.sync();
+
+      expect(store.getStatus(BOB, NOW).verified).toBe(false);
+      expect(store.getProof(ethers.id('bob'), NOW)).toBeNull();
+      expect(store.getStatus(ALICE, NOW).verified).toBe(false);
+      expect(store.getCursor()).toEqual({number: 3, hash: chain.blocks[3].hash});
+    });
+
+    it('should find the fork point among older blocks', async () => {
+      chain.mine(verify(ALICE, ethers.id('alice')));
+      const indexer = createIndexer({batchSize: 1});
+      chain.mine([]);
+      chain.mine(verify(BOB, ethers.id('bob')));
+      await indexer.sync();
+
+      chain.reorg(3);
+      chain.mine([]);
+      chain.mine([]);
+      chain.mine([]);
+      await indexer.sync();
+
+      expect(store.getStats(NOW).proofs).toBe(0);
+    });
+
+    it('should start over if the reorg is deeper than the kept history', async () => {
+      store.close();
+      store = new IndexerStore(':memory:', 1);
+      chain.mine(verify(ALICE, ethers.id('alice')));
+      chain.mine([]);
+      const indexer = createIndexer({batchSize: 1});
+      await indexer.sync();
+
+      chain.reorg(2);
+      chain.mine([]);
+      chain.mine(verify(BOB, ethers.id('bob')));
+      await indexer.sync();
+
+      expect(store.getStatus(ALICE, NOW).verified).toBe(false);
+      expect(store.getStatus(BOB, NOW).verified).toBe(true);
+    });
+
+    it('should not store logs from a block replaced while they were read', async () => {
+      chain.mine(verify(ALICE, ethers.id('alice')));
+      chain.mine([]);
+      const getLogs = chain.getLogs.bind(chain);
+      jest.spyOn(chain, 'getLogs').mockImplementationOnce(async filter => {
+        const logs = await getLogs(filter);
+        chain.reorg(2);
+        chain.mine([]);
+        chain.mine([]);
+        return logs;
+      });
+      const indexer = createIndexer();
+
+      await expect(indexer.sync()).rejects.toThrow(
+        'Chain reorganised at block 1 while indexing'
+      );
+      expect(store.getStats(NOW).proofs).toBe(0);
+
+      await indexer.sync();
+      expect(store.getStatus(ALICE, NOW).verified).toBe(false);
+    });
+  });
+
+  it('should refuse a database of another deployment', async () => {
+    store.bind(1, CONTRACT);
+
+    await expect(createIndexer().sync()).rejects.toThrow('Database indexes');
+  });
+
+  it('should poll until stopped', async () => {
+    jest.useFakeTimers();
+    const indexer = createIndexer();
+    const sync = jest.spyOn(indexer, 'sync');
+
+    indexer.start(1000);
+    await jest.advanceTimersByTimeAsync(2500);
+    indexer.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(sync).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,242 @@
+import {IndexerStore, ProofSubmittedRecord, StatusChangedRecord} from '@/indexer';
+
+const ALICE = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const NOW = new Date('2024-03-01T12:00:00Z');
+const NOW_SECONDS = NOW.getTime() / 1000;
+
+const hash = (n: number) => '0x' + n.toString(16).padStart(64, '0');
+
+const proofSubmitted = (
+  address: string,
+  blockNumber: number,
+  overrides: Partial<ProofSubmittedRecord> = {}
+): ProofSubmittedRecord => ({
+  proofHash: hash(1000 + blockNumber),
+  address,
+  timestamp: NOW_SECONDS - 86400 + blockNumber,
+  expiresAt: NOW_SECONDS + 86400,
+  blockNumber,
+  logIndex: 0,
+  transactionHash: hash(2000 + blockNumber),
+  ...overrides,
+});
+
+const statusChanged = (
+  address: string,
+  verified: boolean,
+  blockNumber: number,
+  logIndex = 1
+): StatusChangedRecord => ({
+  address,
+  verified,
+  timestamp: NOW_SECONDS - 86400 + blockNumber,
+  blockNumber,
+  logIndex,
+  transactionHash: hash(2000 + blockNumber),
+});
+
+describe('IndexerStore', () => {
+  let store: IndexerStore;
+
+  // Alice verifies in block 1; Bob verifies in block 2 and is revoked in block 3
+  const seed = () => {
+    store.save({
+      blocks: [
+        {number: 1, hash: hash(1)},
+        {number: 2, hash: hash(2)},
+        {number: 3, hash: hash(3)},
+      ],
+      proofs: [proofSubmitted(ALICE, 1), proofSubmitted(BOB, 2)],
+      statusChanges: [
+        statusChanged(ALICE, true, 1),
+        statusChanged(BOB, true, 2),
+        statusChanged(BOB, false, 3, 0),
+      ],
+    });
+  };
+
+  beforeEach(() => {
+    store = new IndexerStore(':memory:');
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  describe('getStatus', () => {
+    beforeEach(seed);
+
+    it('should report a verified address and since when', () => {
+      expect(store.getStatus(ALICE, NOW)).toEqual({
+        address: ALICE,
+        verified: true,
+        active: true,
+        proofHash: hash(1001),
+        verifiedAt: NOW_SECONDS - 86400 + 1,
+        expiresAt: NOW_SECONDS + 86400,
+        revokedAt: null,
+      });
+    });
+
+    it('should report when a revoked address lost its verification', () => {
+      expect(store.getStatus(BOB, NOW)).toMatchObject({
+        verified: false,
+        active: false,
+        proofHash: hash(1002),
+        revokedAt: NOW_SECONDS - 86400 + 3,
+      });
+    });
+
+    it('should not count expired verifications as active', () => {
+      const status = store.getStatus(ALICE, new Date((NOW_SECONDS + 86400) * 1000));
+
+      expect(status.verified).toBe(true);
+      expect(status.active).toBe(false);
+    });
+
+    it('should report unknown addresses as unverified', () => {
+      expect(store.getStatus(CONTRACT, NOW)).toEqual({
+        address: CONTRACT,
+        verified: false,
+        active: false,
+        proofHash: null,
+        verifiedAt: null,
+        expiresAt: null,
+        revokedAt: null,
+      });
+    });
+
+    it('should follow the latest event of a block by log index', () => {
+      store.save({
+        blocks: [{number: 4, hash: hash(4)}],
+        proofs: [proofSubmitted(BOB, 4)],
+        statusChanges: [statusChanged(BOB, false, 4, 0), statusChanged(BOB, true, 4, 2)],
+      });
+
+      expect(store.getStatus(BOB, NOW)).toMatchObject({verified: true, revokedAt: null});
+    });
+  });
+
+  describe('getProof', () => {
+    beforeEach(seed);
+
+    it('should find a proof by its hash', () => {
+      expect(store.getProof(hash(1001), NOW)).toEqual({
+        proofHash: hash(1001),
+        address: ALICE,
+        timestamp: NOW_SECONDS - 86400 + 1,
+        expiresAt: NOW_SECONDS + 86400,
+        current: true,
+        valid: true,
+        blockNumber: 1,
+        transactionHash: hash(2001),
+      });
+    });
+
+    it('should answer for the address as the contract does', () => {
+      store.save({
+        blocks: [{number: 4, hash: hash(4)}],
+        proofs: [proofSubmitted(ALICE, 4)],
+        statusChanges: [statusChanged(ALICE, true, 4)],
+      });
+
+      expect(store.getProof(hash(1001), NOW)).toMatchObject({current: false, valid: true});
+      expect(store.getProof(hash(1002), NOW)).toMatchObject({current: true, valid: false});
+    });
+
+    it('should return null for unknown proofs', () => {
+      expect(store.getProof(hash(9999), NOW)).toBeNull();
+    });
+  });
+
+  describe('getRevocations', () => {
+    beforeEach(() => {
+      seed();
+      store.save({
+        blocks: [{number: 5, hash: hash(5)}],
+        proofs: [],
+        statusChanges: [statusChanged(ALICE, false, 5, 0), statusChanged(BOB, false, 5, 3)],
+      });
+    });
+
+    it('should list addresses losing their verification, oldest first', () => {
+      expect(store.getRevocations().map(revocation => revocation.blockNumber)).toEqual([
+        3, 5, 5,
+      ]);
+      expect(store.getRevocations()[0]).toEqual({
+        address: BOB,
+        timestamp: NOW_SECONDS - 86400 + 3,
+        blockNumber: 3,
+        logIndex: 0,
+        transactionHash: hash(2003),
+      });
+    });
+
+    it('should page by block and log index', () => {
+      const first = store.getRevocations(undefined, 2);
+      const rest = store.getRevocations({blockNumber: 5, logIndex: 0}, 2);
+
+      expect(first.map(revocation => revocation.address)).toEqual([BOB, ALICE]);
+      expect(rest).toHaveLength(1);
+      expect(rest[0]).toMatchObject({address: BOB, blockNumber: 5, logIndex: 3});
+    });
+  });
+
+  it('should count verifications', () => {
+    seed();
+    store.bind(1337, CONTRACT);
+
+    expect(store.getStats(NOW)).toEqual({
+      chainId: 1337,
+      contract: CONTRACT,
+      lastIndexedBlock: 3,
+      addresses: 2,
+      verifiedAddresses: 1,
+      activeVerifications: 1,
+      revokedAddresses: 1,
+      proofs: 2,
+      revocations: 1,
+    });
+  });
+
+  describe('rollback', () => {
+    beforeEach(seed);
+
+    it('should forget events after the block and restore the earlier state', () => {
+      store.rollback(2);
+
+      expect(store.getCursor()).toEqual({number: 2, hash: hash(2)});
+      expect(store.getStatus(BOB, NOW)).toMatchObject({verified: true, revokedAt: null});
+      expect(store.getRevocations()).toEqual([]);
+    });
+
+    it('should forget proofs from replaced blocks', () => {
+      store.rollback(1);
+
+      expect(store.getProof(hash(1002), NOW)).toBeNull();
+      expect(store.getStatus(BOB, NOW).proofHash).toBeNull();
+    });
+  });
+
+  it('should keep only the newest block hashes', () => {
+    store.close();
+    store = new IndexerStore(':memory:', 2);
+    seed();
+
+    expect(store.getRecentBlocks()).toEqual([
+      {number: 3, hash: hash(3)},
+      {number: 2, hash: hash(2)},
+    ]);
+  });
+
+  it('should refuse to mix events from another deployment', () => {
+    store.bind(1337, CONTRACT);
+
+    expect(() => store.bind(1337, CONTRACT)).not.toThrow();
+    expect(() => store.bind(1, CONTRACT)).toThrow(
+      `Database indexes ${CONTRACT} on chain 1337, not ${CONTRACT} on chain 1`
+    );
+  });
+});
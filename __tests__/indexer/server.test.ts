@@ -0,0 +1,151 @@
+import {AddressInfo} from 'net';
+import http from 'http';
+import {IndexerStore, createIndexerServer} from '@/indexer';
+
+const ALICE = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PROOF_HASH = '0x' + 'ab'.repeat(32);
+const EXPIRES_AT = 4102444800;
+
+describe('createIndexerServer', () => {
+  let store: IndexerStore;
+  let server: http.Server;
+  let url: string;
+
+  const get = (path: string) => fetch(`${url}${path}`);
+
+  beforeEach(async () => {
+    // The HTTP round trips need real timers
+    jest.useRealTimers();
+
+    // Alice verifies in block 1; Bob verifies in block 2 and is revoked in blocks 3 and 4
+    store = new IndexerStore(':memory:');
+    store.save({
+      blocks: [{number: 4, hash: '0x' + '04'.repeat(32)}],
+      proofs: [
+        {
+          proofHash: PROOF_HASH,
+          address: ALICE,
+          timestamp: 1700000012,
+          expiresAt: EXPIRES_AT,
+          blockNumber: 1,
+          logIndex: 0,
+          transactionHash: '0x' + '01'.repeat(32),
+        },
+        {
+          proofHash: '0x' + 'bb'.repeat(32),
+          address: BOB,
+          timestamp: 1700000024,
+          expiresAt: EXPIRES_AT,
+          blockNumber: 2,
+          logIndex: 0,
+          transactionHash: '0x' + '02'.repeat(32),
+        },
+      ],
+      statusChanges: [1, 2, 3, 4].map(blockNumber => ({
+        address: blockNumber === 1 ? ALICE : BOB,
+        verified: blockNumber < 3,
+        timestamp: 1700000000 + blockNumber * 12,
+        blockNumber,
+        logIndex: 1,
+        transactionHash: '0x' + blockNumber.toString().padStart(2, '0').repeat(32),
+      })),
+    });
+
+    server = createIndexerServer(store);
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    store.close();
+  });
+
+  describe('GET /status/:address', () => {
+    it('should answer with the address\'s verification status', async () => {
+      const response = await get(`/status/${ALICE.toLowerCase()}`);
+
+      expect(response.status).toBe(200);
+      await expect(response.json()).resolves.toEqual({
+        address: ALICE,
+        verified: true,
+        active: true,
+        proofHash: PROOF_HASH,
+        verifiedAt: 1700000012,
+        expiresAt: EXPIRES_AT,
+        revokedAt: null,
+      });
+    });
+
+    it('should refuse invalid addresses', async () => {
+      expect((await get('/status/0x1234')).status).toBe(400);
+    });
+  });
+
+  describe('GET /proofs/:proofHash', () => {
+    it('should find a proof whatever the case of its hash', async () => {
+      const response = await get(`/proofs/${PROOF_HASH.toUpperCase().replace('0X', '0x')}`);
+
+      expect(response.status).toBe(200);
+      await expect(response.json()).resolves.toMatchObject({
+        proofHash: PROOF_HASH,
+        address: ALICE,
+        valid: true,
+      });
+    });
+
+    it('should answer 404 for unknown proofs and 400 for malformed hashes', async () => {
+      expect((await get(`/proofs/0x${'cd'.repeat(32)}`)).status).toBe(404);
+      expect((await get('/proofs/0xabcd')).status).toBe(400);
+    });
+  });
+
+  describe('GET /revocations', () => {
+    it('should page through revocations', async () => {
+      const first = await (await get('/revocations?limit=1')).json();
+      const rest = await (await get(`/revocations?after=${first.next}&limit=1`)).json();
+
+      expect(first).toMatchObject({revocations: [{address: BOB, blockNumber: 3}], next: '3-1'});
+      expect(rest).toMatchObject({revocations: [{address: BOB, blockNumber: 4}], next: '4-1'});
+      await expect(
+        (await get(`/revocations?after=${rest.next}`)).json()
+      ).resolves.toEqual({revocations: [], next: null});
+    });
+
+    it('should refuse malformed pages', async () => {
+      expect((await get('/revocations?after=3')).status).toBe(400);
+      expect((await get('/revocations?limit=0')).status).toBe(400);
+      expect((await get('/revocations?limit=1001')).status).toBe(400);
+    });
+  });
+
+  it('should answer GET /stats with the totals', async () => {
+    const response = await get('/stats');
+
+    expect(response.status).toBe(200);
+    await expect(response.json()).resolves.toMatchObject({
+      lastIndexedBlock: 4,
+      addresses: 2,
+      verifiedAddresses: 1,
+      proofs: 2,
+      revocations: 2,
+    });
+  });
+
+  it('should answer 500 when the database cannot be queried', async () => {
+    store.close();
+
+    const response = await get('/stats');
+
+    expect(response.status).toBe(500);
+    await expect(response.json()).resolves.toEqual({error: 'Query failed'});
+    store = new IndexerStore(':memory:');
+  });
+
+  it('should only serve GET on known paths', async () => {
+    expect((await get('/other')).status).toBe(404);
+    expect((await get(`/status/${ALICE}/extra`)).status).toBe(404);
+    expect((await fetch(`${url}/stats`, {method: 'POST'})).status).toBe(405);
+  });
+});
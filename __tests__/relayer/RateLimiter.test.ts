@@ -0,0 +1,42 @@
+import {RateLimiter} from '@/relayer/RateLimiter';
+
+const NOW = new Date('2024-03-01T12:00:00Z');
+const later = (seconds: number) => new Date(NOW.getTime() + seconds * 1000);
+
+describe('RateLimiter', () => {
+  let limiter: RateLimiter;
+
+  beforeEach(() => {
+    limiter = new RateLimiter({limit: 2, window: 60});
+  });
+
+  it('should allow requests up to the limit in each window', () => {
+    expect(limiter.take(['a'], NOW)).toBe(0);
+    expect(limiter.take(['a'], later(10))).toBe(0);
+    expect(limiter.take(['a'], later(20))).toBe(40);
+
+    expect(limiter.take(['a'], later(60))).toBe(0);
+  });
+
+  it('should count keys separately', () => {
+    limiter.take(['a'], NOW);
+    limiter.take(['a'], NOW);
+
+    expect(limiter.take(['b'], NOW)).toBe(0);
+  });
+
+  it('should refuse a request if any of its keys is used up, without charging the others', () => {
+    limiter.take(['a'], NOW);
+    limiter.take(['a', 'b'], later(30));
+
+    expect(limiter.take(['b', 'a'], later(45))).toBe(15);
+    expect(limiter.take(['b'], later(45))).toBe(0);
+    expect(limiter.take(['b'], later(45))).toBe(45);
+  });
+
+  it('should require a usable limit', () => {
+    expect(() => new RateLimiter({limit: 0, window: 60})).toThrow(
+      'Rate limit must allow at least one request per window'
+    );
+  });
+});
@@ -0,0 +1,237 @@
+import {ethers} from 'ethers';
+import {RELAYER_ABI, Relayer} from '@/relayer';
+import {RelayRequest} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {getRelayTypedData} from '@utils/relay';
+import {identityAccount, proof, publicSignals, verificationKey} from '../fixtures/groth16';
+
+// Hardhat's first default account, which the fixture proof is bound to
+const USER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const OTHER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CHAIN_ID = 31337;
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const PROOF_HASH = ethers.id('proof');
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+describe('Relayer', () => {
+  const user = new ethers.Wallet(USER_KEY);
+  const other = new ethers.Wallet(OTHER_KEY);
+  const contractInterface = new ethers.Interface(RELAYER_ABI);
+  let relayer: Relayer;
+  let contract: any;
+
+  const sign = async (
+    overrides: Partial<Omit<RelayRequest, 'signature'>> = {},
+    signer: ethers.Wallet = user
+  ): Promise<RelayRequest> => {
+    const request: Omit<RelayRequest, 'signature'> = {
+      action: 'submitProof',
+      user: identityAccount,
+      proof: ethers.hexlify(encodeProof(proof)),
+      publicInputs: publicSignals,
+      attestation: '0x' + '11'.repeat(65),
+      nonce: '0',
+      deadline: NOW.getTime() / 1000 + 900,
+      ...overrides,
+    };
+    const {domain, types, value} = getRelayTypedData(request, CHAIN_ID, CONTRACT);
+    return {...request, signature: await signer.signTypedData(domain, types, value)};
+  };
+
+  const contractMethod = () => {
+    const tx = {
+      hash: TX_HASH,
+      wait: jest.fn().mockResolvedValue({
+        hash: TX_HASH,
+        blockNumber: 42,
+        gasUsed: BigInt(180000),
+        status: 1,
+        logs: [
+          {
+            address: CONTRACT,
+            ...contractInterface.encodeEventLog('ProofSubmitted', [
+              identityAccount,
+              PROOF_HASH,
+              1709294400,
+              1740830400,
+            ]),
+          },
+        ],
+      }),
+    };
+    return Object.assign(jest.fn().mockResolvedValue(tx), {
+      staticCall: jest.fn().mockResolvedValue(true),
+      estimateGas: jest.fn().mockResolvedValue(BigInt(200000)),
+    });
+  };
+
+  beforeEach(() => {
+    // snarkjs needs real timers for its worker threads
+    jest.useRealTimers();
+
+    relayer = new Relayer({
+      contract: CONTRACT,
+      chainId: CHAIN_ID,
+      signer: ethers.Wallet.createRandom(),
+      identityVerificationKey: verificationKey,
+      confirmations: 2,
+      rateLimit: {limit: 2, window: 3600},
+    });
+    contract = {
+      interface: contractInterface,
+      nonces: jest.fn().mockResolvedValue(BigInt(0)),
+      submitProofFor: contractMethod(),
+      transferVerificationFor: contractMethod(),
+    };
+    // Stand in for the deployed contract so no network is needed
+    Object.assign(relayer as any, {contract});
+  });
+
+  afterAll(async () => {
+    // snarkjs caches the BN254 curve with its worker threads on globalThis
+    await (globalThis as any).curve_bn128?.terminate();
+  });
+
+  it('should send a signed submission and report the proof hash', async () => {
+    const request = await sign();
+
+    const response = await relayer.relay(request, NOW);
+
+    const args = [
+      identityAccount,
+      request.proof,
+      publicSignals,
+      request.attestation,
+      request.deadline,
+      request.signature,
+    ];
+    expect(contract.submitProofFor.staticCall).toHaveBeenCalledWith(...args);
+    expect(contract.submitProofFor).toHaveBeenCalledWith(...args, {gasLimit: BigInt(240000)});
+    const {wait} = await contract.submitProofFor.mock.results[0].value;
+    expect(wait).toHaveBeenCalledWith(2);
+    expect(response).toEqual({
+      accepted: true,
+      transaction: {
+        hash: TX_HASH,
+        blockNumber: 42,
+        gasUsed: '180000',
+        status: 'success',
+        proofHash: PROOF_HASH,
+        chainId: CHAIN_ID,
+      },
+    });
+  });
+
+  it('should send transfers to transferVerificationFor', async () => {
+    const response = await relayer.relay(await sign({action: 'transferVerification'}), NOW);
+
+    expect(response.accepted).toBe(true);
+    expect(contract.transferVerificationFor).toHaveBeenCalled();
+    expect(contract.submitProofFor).not.toHaveBeenCalled();
+  });
+
+  describe('refusals', () => {
+    const expectRefused = async (body: unknown, error: string) => {
+      await expect(relayer.relay(body, NOW)).resolves.toEqual({accepted: false, error});
+      expect(contract.submitProofFor).not.toHaveBeenCalled();
+    };
+
+    it('should refuse malformed requests', async () => {
+      await expectRefused({...(await sign()), nonce: 0}, 'Malformed relay request');
+    });
+
+    it('should refuse expired signatures', async () => {
+      await expectRefused(
+        await sign({deadline: NOW.getTime() / 1000 - 1}),
+        'Signature expired'
+      );
+    });
+
+    it('should refuse submissions signed by someone else', async () => {
+      await expectRefused(await sign({}, other), 'Signature does not match the user');
+    });
+
+    it('should refuse a signature for another action', async () => {
+      const request = await sign({action: 'transferVerification'});
+
+      await expectRefused(
+        {...request, action: 'submitProof'},
+        'Signature does not match the user'
+      );
+    });
+
+    it('should refuse proofs bound to another account', async () => {
+      await expectRefused(
+        await sign({user: other.address}, other),
+        'Identity proof is bound to a different account'
+      );
+    });
+
+    it('should refuse proofs that fail the Groth16 check', async () => {
+      const tampered = [...publicSignals];
+      tampered[2] = '1700000001';
+
+      await expectRefused(await sign({publicInputs: tampered}), 'Identity proof is invalid');
+    });
+
+    it('should refuse out-of-date nonces', async () => {
+      contract.nonces.mockResolvedValue(BigInt(1));
+
+      await expectRefused(await sign(), 'Signature nonce is out of date');
+    });
+
+    it('should refuse submissions that would revert', async () => {
+      contract.submitProofFor.staticCall.mockRejectedValue(
+        Object.assign(new Error('execution reverted'), {reason: 'Nullifier already used'})
+      );
+
+      await expectRefused(await sign(), 'Nullifier already used');
+    });
+  });
+
+  it('should rate limit each user and document', async () => {
+    contract.nonces
+      .mockResolvedValueOnce(BigInt(0))
+      .mockResolvedValueOnce(BigInt(1))
+      .mockResolvedValueOnce(BigInt(2));
+    await relayer.relay(await sign(), NOW);
+    await relayer.relay(await sign({nonce: '1'}), NOW);
+
+    const limited = await relayer.relay(
+      await sign({nonce: '2'}),
+      new Date(NOW.getTime() + 600 * 1000)
+    );
+
+    expect(limited).toEqual({
+      accepted: false,
+      error: 'Too many relay requests',
+      retryAfter: 3000,
+    });
+    expect(contract.submitProofFor).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not charge refused proofs to the user\'s allowance', async () => {
+    const tampered = [...publicSignals];
+    tampered[2] = '1700000001';
+    for (let i = 0; i < 3; i++) {
+      await relayer.relay(await sign({publicInputs: tampered}), NOW);
+    }
+
+    await expect(relayer.relay(await sign(), NOW)).resolves.toMatchObject({accepted: true});
+  });
+
+  it('should not charge stale or reverting submissions to the allowance', async () => {
+    for (let i = 0; i < 3; i++) {
+      await relayer.relay(await sign({nonce: '5'}), NOW);
+    }
+    contract.submitProofFor.staticCall.mockRejectedValueOnce(
+      Object.assign(new Error('execution reverted'), {reason: 'Commitment not attested'})
+    );
+    await relayer.relay(await sign(), NOW);
+    expect(contract.submitProofFor.staticCall).toHaveBeenCalledTimes(1);
+
+    await expect(relayer.relay(await sign(), NOW)).resolves.toMatchObject({accepted: true});
+    await expect(relayer.relay(await sign(), NOW)).resolves.toMatchObject({accepted: true});
+  });
+});
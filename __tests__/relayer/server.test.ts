@@ -0,0 +1,89 @@
+import {AddressInfo} from 'net';
+import http from 'http';
+import {Relayer, createRelayerServer} from '@/relayer';
+
+describe('createRelayerServer', () => {
+  const relay = jest.fn();
+  let server: http.Server;
+  let url: string;
+
+  const post = (body: string, path = '/relay') =>
+    fetch(`${url}${path}`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body,
+    });
+
+  beforeEach(async () => {
+    // The HTTP round trips need real timers
+    jest.useRealTimers();
+
+    relay.mockReset();
+    server = createRelayerServer({relay} as unknown as Relayer);
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should answer accepted requests with the transaction', async () => {
+    const transaction = {
+      hash: '0x' + 'ab'.repeat(32),
+      blockNumber: 1,
+      gasUsed: '21000',
+      status: 'success',
+    };
+    relay.mockResolvedValue({accepted: true, transaction});
+
+    const response = await post(JSON.stringify({action: 'submitProof'}));
+
+    expect(relay).toHaveBeenCalledWith({action: 'submitProof'});
+    expect(response.status).toBe(200);
+    await expect(response.json()).resolves.toEqual({accepted: true, transaction});
+  });
+
+  it('should answer refusals with 422', async () => {
+    relay.mockResolvedValue({accepted: false, error: 'Signature expired'});
+
+    const response = await post('{}');
+
+    expect(response.status).toBe(422);
+    await expect(response.json()).resolves.toEqual({accepted: false, error: 'Signature expired'});
+  });
+
+  it('should answer rate-limited requests with 429 and Retry-After', async () => {
+    relay.mockResolvedValue({accepted: false, error: 'Too many relay requests', retryAfter: 120});
+
+    const response = await post('{}');
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('120');
+  });
+
+  it('should answer 502 when the transaction cannot be sent', async () => {
+    relay.mockRejectedValue(new Error('insufficient funds'));
+
+    const response = await post('{}');
+
+    expect(response.status).toBe(502);
+    await expect(response.json()).resolves.toEqual({
+      accepted: false,
+      error: 'Relayer could not send the transaction',
+    });
+  });
+
+  it('should refuse bodies that are not JSON', async () => {
+    const response = await post('not json');
+
+    expect(response.status).toBe(400);
+    expect(relay).not.toHaveBeenCalled();
+  });
+
+  it('should only serve POST /relay', async () => {
+    expect((await post('{}', '/other')).status).toBe(404);
+    expect((await fetch(`${url}/relay`)).status).toBe(405);
+    expect(relay).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,276 @@
+import React from 'react';
+import {Alert, AlertButton} from 'react-native';
+import renderer, {act, ReactTestInstance, ReactTestRenderer} from 'react-test-renderer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {ethers} from 'ethers';
+import App from '@/App';
+import {ServiceContainer} from '@services/ServiceContainer';
+import {InjectedWalletSigner} from '@services/WalletSigner';
+import {SimulatedWeb3Service, createSimulatedServices} from '@/simulation';
+
+jest.mock('react-native-safe-area-context', () =>
+  require('react-native-safe-area-context/jest/mock').default
+);
+
+// Every photo gets its own URI, as from a real camera
+const mockTakePictureAsync = jest.fn();
+jest.mock('expo-camera', () => {
+  const {forwardRef, useImperativeHandle} = require('react');
+  const Camera = forwardRef((_props: unknown, ref: unknown) => {
+    useImperativeHandle(ref, () => ({takePictureAsync: mockTakePictureAsync}));
+    return null;
+  });
+  Camera.requestCameraPermissionsAsync = () => Promise.resolve({status: 'granted'});
+  Camera.Constants = {Type: {front: 'front'}};
+  return {Camera, CameraView: () => null};
+});
+
+jest.mock('expo-image-picker', () => ({
+  MediaTypeOptions: {Images: 'Images'},
+  launchCameraAsync: () =>
+    Promise.resolve({canceled: false, assets: [{uri: 'file:///camera/passport.jpg'}]}),
+  launchImageLibraryAsync: () => Promise.resolve({canceled: true, assets: null}),
+}));
+
+// First Hardhat development account
+const WALLET = new ethers.Wallet(
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+);
+
+// Real macrotask, so pending promise chains run to completion
+const {setImmediate: nextMacrotask} = jest.requireActual('timers');
+
+/**
+ * Find the Text elements showing a text
+ * @param tree - Rendered app
+ * @param text - Text to look for, or undefined for every Text element
+ * @returns ReactTestInstance[] - Text elements, in render order
+ */
+function findTexts(tree: ReactTestRenderer, text?: string): ReactTestInstance[] {
+  // Host components are identified by name in the react-native jest preset
+  return tree.root.findAll(
+    node =>
+      (node.type as unknown) === 'Text' && (text === undefined || textOf(node) === text)
+  );
+}
+
+function textOf(node: ReactTestInstance): string {
+  return ([] as unknown[]).concat(node.props.children).join('');
+}
+
+function textsOf(tree: ReactTestRenderer): string[] {
+  return findTexts(tree).map(textOf);
+}
+
+/**
+ * Let timers and promises run until a text is shown
+ * @param tree - Rendered app
+ * @param text - Text to wait for
+ */
+async function waitForText(tree: ReactTestRenderer, text: string): Promise<void> {
+  for (let i = 0; i < 200; i++) {
+    if (textsOf(tree).includes(text)) {
+      return;
+    }
+    await act(async () => {
+      await jest.advanceTimersByTimeAsync(100);
+      await new Promise(resolve => nextMacrotask(resolve));
+    });
+  }
+  throw new Error(`"${text}" not shown; screen has: ${textsOf(tree).join(' | ')}`);
+}
+
+/**
+ * Press the button with a label on the topmost screen
+ * @param tree - Rendered app
+ * @param label - Button text
+ */
+async function press(tree: ReactTestRenderer, label: string): Promise<void> {
+  await waitForText(tree, label);
+  const texts = findTexts(tree, label);
+  let button: ReactTestInstance | null = texts[texts.length - 1];
+  while (button && !button.props.onPress) {
+    button = button.parent;
+  }
+  if (!button || button.props.disabled) {
+    throw new Error(`"${label}" cannot be pressed`);
+  }
+  await act(async () => {
+    button!.props.onPress();
+  });
+}
+
+/**
+ * Let promises run until an alert is shown
+ * @param title - Alert title
+ * @returns Promise with the alert's buttons
+ */
+async function waitForAlert(title: string): Promise<AlertButton[]> {
+  const alert = jest.mocked(Alert.alert);
+  for (let i = 0; i < 200; i++) {
+    const call = alert.mock.calls.find(([shown]) => shown === title);
+    if (call) {
+      alert.mockClear();
+      return call[2] ?? [];
+    }
+    await act(async () => {
+      await jest.advanceTimersByTimeAsync(100);
+      await new Promise(resolve => nextMacrotask(resolve));
+    });
+  }
+
+  const titles = alert.mock.calls.map(([shown]) => shown);
+  throw new Error(`Alert "${title}" not shown; alerts: ${titles.join(', ')}`);
+}
+
+/**
+ * Wait for an alert and press one of its buttons
+ * @param title - Alert title
+ * @param label - Button text
+ */
+async function pressAlert(title: string, label: string): Promise<void> {
+  const button = (await waitForAlert(title)).find(candidate => candidate.text === label);
+  if (!button) {
+    throw new Error(`Alert "${title}" has no "${label}" button`);
+  }
+  await act(async () => {
+    button.onPress?.();
+  });
+}
+
+describe('verification flow', () => {
+  let services: ServiceContainer;
+  let tree: ReactTestRenderer;
+
+  beforeEach(async () => {
+    jest.setSystemTime(new Date('2025-06-01T00:00:00Z'));
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let shot = 0;
+    mockTakePictureAsync.mockImplementation(async () => ({uri: `file:///camera/${++shot}.jpg`}));
+    await AsyncStorage.clear();
+
+    services = createSimulatedServices();
+    await services.walletSigners.select(new InjectedWalletSigner(WALLET));
+    await act(async () => {
+      tree = renderer.create(<App services={services} />);
+    });
+  });
+
+  afterEach(() => {
+    act(() => tree.unmount());
+    jest.restoreAllMocks();
+  });
+
+  const captureFace = async () => {
+    await press(tree, 'Capture Face');
+    await pressAlert('Face Captured', 'Continue');
+  };
+
+  const selectDocument = async () => {
+    await press(tree, 'Select ID Document');
+    await pressAlert('Select ID Document', 'Camera');
+  };
+
+  const processDocument = async () => {
+    await press(tree, 'Process Document');
+    await pressAlert('Document Processed', 'Continue');
+  };
+
+  const proveWithWallet = async () => {
+    await waitForText(tree, WALLET.address);
+    await press(tree, 'Continue to Proof');
+  };
+
+  const expectVerified = async () => {
+    await waitForText(tree, 'Verification Complete!');
+    const web3 = services.createWeb3();
+    await web3.connect();
+    expect(await web3.getVerificationStatus(WALLET.address)).toBe(true);
+  };
+
+  it('should go from Home to Verification Complete', async () => {
+    await press(tree, 'Start Verification');
+    await captureFace();
+    await selectDocument();
+    await processDocument();
+    await proveWithWallet();
+
+    await expectVerified();
+    expect(await services.verificationStatus.getStatus()).toMatchObject({state: 'valid'});
+  });
+
+  it('should ask for another selfie when no face is detected', async () => {
+    const detectFace = services.faceVerification.detectFace.bind(services.faceVerification);
+    jest.spyOn(services.faceVerification, 'detectFace').mockImplementationOnce(async uri => ({
+      ...(await detectFace(uri)),
+      confidence: 0.4,
+    }));
+
+    await press(tree, 'Start Verification');
+    await press(tree, 'Capture Face');
+    await pressAlert('Face Not Detected', 'OK');
+    await captureFace();
+    await selectDocument();
+    await processDocument();
+    await proveWithWallet();
+
+    await expectVerified();
+  });
+
+  it('should let an unreadable document be processed again', async () => {
+    jest
+      .spyOn(services.idVerification, 'extractData')
+      .mockRejectedValueOnce(new Error('No document text found'));
+
+    await press(tree, 'Start Verification');
+    await captureFace();
+    await selectDocument();
+    await press(tree, 'Process Document');
+    await waitForAlert('Document Not Readable');
+
+    await processDocument();
+    await proveWithWallet();
+
+    await expectVerified();
+  });
+
+  it('should check a supporting license against the passport', async () => {
+    await press(tree, 'Start Verification');
+    await captureFace();
+    await selectDocument();
+    await press(tree, 'Process Document');
+    await waitForAlert('Document Processed');
+
+    await press(tree, 'Add Another Document');
+    await press(tree, 'Driver\'s License');
+    await selectDocument();
+    await press(tree, 'Process Document');
+    await waitForAlert('Document Added');
+    await waitForText(tree, 'Supporting Documents');
+
+    await press(tree, 'Continue');
+    await proveWithWallet();
+
+    await expectVerified();
+  });
+
+  it('should retry a failed submission from where it stopped', async () => {
+    const generateProof = jest.spyOn(services.mopro, 'generateProof');
+    jest
+      .spyOn(SimulatedWeb3Service.prototype, 'submitProof')
+      .mockRejectedValueOnce(new Error('Proof submission failed: nonce too low'));
+
+    await press(tree, 'Start Verification');
+    await captureFace();
+    await selectDocument();
+    await processDocument();
+    await proveWithWallet();
+
+    await pressAlert('Verification Failed', 'Retry');
+    await expectVerified();
+    // The proof was kept; only the submission ran again
+    expect(generateProof).toHaveBeenCalledTimes(1);
+  });
+});
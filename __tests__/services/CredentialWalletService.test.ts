@@ -0,0 +1,186 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {CredentialWalletService} from '@services/CredentialWalletService';
+import {StoredCredential} from '@types/index';
+import {identityAccount, identitySalt, publicSignals} from '../fixtures/groth16';
+
+describe('CredentialWalletService', () => {
+  const passphrase = 'correct horse battery';
+  // Cheap scrypt parameters keep the tests fast
+  const scryptParams = {N: 1024, r: 8, p: 1};
+
+  const credential = (id: string, createdAt: number): StoredCredential => ({
+    id,
+    address: identityAccount,
+    proof: {proof: 'cd'.repeat(256), publicSignals, verificationKey: '{}'},
+    transaction: {
+      hash: '0x' + 'ab'.repeat(32),
+      blockNumber: 12,
+      gasUsed: '210000',
+      status: 'success',
+      proofHash: id,
+    },
+    commitmentSalt: identitySalt,
+    documentType: 'passport',
+    predicates: [],
+    createdAt,
+    expiresAt: 1893456000,
+  });
+
+  const first = credential('0x' + '01'.repeat(32), 1000);
+  const second = credential('0x' + '02'.repeat(32), 2000);
+
+  let service: CredentialWalletService;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    service = new CredentialWalletService(scryptParams);
+    service.lock();
+  });
+
+  it('should create an unlocked, empty wallet', async () => {
+    await expect(service.exists()).resolves.toBe(false);
+
+    await service.create(passphrase);
+
+    await expect(service.exists()).resolves.toBe(true);
+    expect(service.isUnlocked()).toBe(true);
+    expect(service.list()).toEqual([]);
+  });
+
+  it('should reject short passphrases', async () => {
+    await expect(service.create('short')).rejects.toThrow(
+      'Passphrase must be at least 8 characters'
+    );
+  });
+
+  it('should not overwrite an existing wallet', async () => {
+    await service.create(passphrase);
+
+    await expect(service.create('another passphrase')).rejects.toThrow(
+      'Credential wallet already exists'
+    );
+  });
+
+  it('should round-trip credentials through storage', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+    await service.save(second);
+
+    service.lock();
+    await service.unlock(passphrase);
+
+    expect(service.list()).toEqual([second, first]);
+    expect(service.get(first.id)).toEqual(first);
+  });
+
+  it('should not store credentials in plaintext', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+
+    const raw = (await AsyncStorage.getItem('@zkid/credentials')) as string;
+    expect(raw).not.toContain(first.id.slice(2));
+    expect(raw).not.toContain(first.commitmentSalt);
+    expect(raw).not.toContain(publicSignals[5]);
+  });
+
+  it('should use a fresh nonce for every write', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+    const before = JSON.parse((await AsyncStorage.getItem('@zkid/credentials')) as string);
+
+    await service.save(first);
+    const after = JSON.parse((await AsyncStorage.getItem('@zkid/credentials')) as string);
+
+    expect(after.nonce).not.toBe(before.nonce);
+    expect(after.kdf).toEqual(before.kdf);
+  });
+
+  it('should reject an incorrect passphrase', async () => {
+    await service.create(passphrase);
+    service.lock();
+
+    await expect(service.unlock('wrong passphrase')).rejects.toThrow('Incorrect passphrase');
+    expect(service.isUnlocked()).toBe(false);
+  });
+
+  it('should reject tampered ciphertext', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+    service.lock();
+
+    const envelope = JSON.parse((await AsyncStorage.getItem('@zkid/credentials')) as string);
+    const flipped = envelope.ciphertext.endsWith('0') ? '1' : '0';
+    envelope.ciphertext = envelope.ciphertext.slice(0, -1) + flipped;
+    await AsyncStorage.setItem('@zkid/credentials', JSON.stringify(envelope));
+
+    await expect(service.unlock(passphrase)).rejects.toThrow('Incorrect passphrase');
+  });
+
+  it('should fail to unlock a missing wallet', async () => {
+    await expect(service.unlock(passphrase)).rejects.toThrow('Credential wallet not found');
+  });
+
+  it('should refuse access while locked', async () => {
+    await service.create(passphrase);
+    service.lock();
+
+    expect(() => service.list()).toThrow('Credential wallet is locked');
+    await expect(service.save(first)).rejects.toThrow('Credential wallet is locked');
+  });
+
+  it('should share the unlocked session between instances', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+
+    const other = new CredentialWalletService(scryptParams);
+    expect(other.isUnlocked()).toBe(true);
+    expect(other.list()).toEqual([first]);
+  });
+
+  it('should replace a credential with the same proof hash', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+    await service.save({...first, expiresAt: 1924992000});
+
+    expect(service.list()).toEqual([{...first, expiresAt: 1924992000}]);
+  });
+
+  it('should record predicates against a credential', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+
+    const predicate = {
+      predicate: {type: 'age_over' as const, minAge: 18},
+      predicateId: '1',
+      publicInputs: ['1', '2'],
+      provenAt: 3000,
+    };
+    await service.addPredicate(first.id, predicate);
+
+    expect(service.get(first.id)?.predicates).toEqual([predicate]);
+    await expect(service.addPredicate(second.id, predicate)).rejects.toThrow(
+      'Credential not found'
+    );
+  });
+
+  it('should delete credentials', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+    await service.save(second);
+    await service.remove(first.id);
+
+    service.lock();
+    await service.unlock(passphrase);
+
+    expect(service.list()).toEqual([second]);
+  });
+
+  it('should delete the whole wallet on reset', async () => {
+    await service.create(passphrase);
+    await service.save(first);
+    await service.reset();
+
+    expect(service.isUnlocked()).toBe(false);
+    await expect(service.exists()).resolves.toBe(false);
+  });
+});
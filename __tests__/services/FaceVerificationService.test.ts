@@ -1,24 +1,21 @@
-import {FaceVerificationService} from '@services/FaceVerificationService';
-import {FaceData} from '@types/index';
+import {FACE_DETECTOR_MISSING, FaceVerificationService} from '@services/FaceVerificationService';
+import {FaceData, FaceLandmarkFrame} from '@types/index';
+import {createSimulatedFaceDetector} from '@/simulation';
+import {LIVENESS_CHALLENGES, LIVENESS_FRAMES_PER_CHALLENGE} from '@utils/liveness';
+import {identityLiveness} from '../fixtures/groth16';
 
 describe('FaceVerificationService', () => {
   let service: FaceVerificationService;
 
   beforeEach(() => {
-    service = new FaceVerificationService();
+    service = new FaceVerificationService({detector: createSimulatedFaceDetector()});
   });
 
   describe('detectFace', () => {
     it('should detect face in image and return face data', async () => {
       const mockImageUri = 'file://test-image.jpg';
-      
-      // Start the async operation
-      const resultPromise = service.detectFace(mockImageUri);
-      
-      // Fast-forward time to skip the 2-second delay
-      jest.advanceTimersByTime(2000);
-      
-      const result = await resultPromise;
+
+      const result = await service.detectFace(mockImageUri);
       
       expect(result).toBeDefined();
       expect(result.imageUri).toBe(mockImageUri);
@@ -30,6 +27,46 @@ describe('FaceVerificationService', () => {
       expect(result.boundingBox).toHaveProperty('height');
     });
 
+    it('should give the same descriptor for the same photo', async () => {
+      const first = await service.detectFace('file://selfie.jpg');
+      const again = await new FaceVerificationService({
+        detector: createSimulatedFaceDetector(),
+      }).detectFace('file://selfie.jpg');
+      const other = await service.detectFace('file://portrait.jpg');
+
+      expect(again.faceDescriptor).toEqual(first.faceDescriptor);
+      expect(other.faceDescriptor).not.toEqual(first.faceDescriptor);
+    });
+
+    it('should run the injected detector', async () => {
+      const detector = {
+        detect: jest.fn().mockResolvedValue({
+          faceDescriptor: Array(128).fill(0.1),
+          confidence: 0.4,
+          boundingBox: {x: 0, y: 0, width: 50, height: 50},
+        }),
+        detectLandmarks: jest.fn(),
+      };
+      service = new FaceVerificationService({detector});
+
+      const result = await service.detectFace('file://dark.jpg');
+
+      expect(detector.detect).toHaveBeenCalledWith('file://dark.jpg');
+      expect(result).toMatchObject({imageUri: 'file://dark.jpg', confidence: 0.4});
+      expect(service.validateFaceQuality(result)).toBe(false);
+    });
+
+    it('should refuse to detect faces without a detector', async () => {
+      service = new FaceVerificationService();
+
+      await expect(service.detectFace('file://selfie.jpg')).rejects.toThrow(
+        FACE_DETECTOR_MISSING
+      );
+      await expect(service.detectLandmarks('file://frame.jpg')).rejects.toThrow(
+        FACE_DETECTOR_MISSING
+      );
+    });
+
     it('should throw error for invalid image', async () => {
       const mockImageUri = '';
       
@@ -87,6 +124,72 @@ describe('FaceVerificationService', () => {
     });
   });
 
+  describe('matchDocumentPortrait', () => {
+    const selfie: FaceData = {
+      imageUri: 'file://selfie.jpg',
+      faceDescriptor: Array.from({length: 128}, (_, i) => Math.sin(i)),
+      confidence: 0.95,
+      boundingBox: { x: 100, y: 150, width: 200, height: 250 },
+    };
+
+    const portraitWith = (faceDescriptor: number[], confidence = 0.9): FaceData => ({
+      imageUri: 'file://document.jpg',
+      faceDescriptor,
+      confidence,
+      boundingBox: { x: 20, y: 40, width: 120, height: 150 },
+    });
+
+    it('should match a selfie against the document portrait', async () => {
+      // Mock detections are all the same demo person
+      const capturedSelfie = await service.detectFace('file://selfie.jpg');
+      const match = await service.matchDocumentPortrait(capturedSelfie, 'file://document.jpg');
+
+      expect(match.portrait.imageUri).toBe('file://document.jpg');
+      expect(match.threshold).toBe(0.6);
+      expect(match.similarity).toBeGreaterThan(match.threshold);
+      expect(match.matched).toBe(true);
+    });
+
+    it('should report a mismatch below the threshold', async () => {
+      jest
+        .spyOn(service, 'detectFace')
+        .mockResolvedValueOnce(portraitWith(selfie.faceDescriptor.map(value => -value)));
+
+      const match = await service.matchDocumentPortrait(selfie, 'file://document.jpg');
+
+      expect(match.similarity).toBeCloseTo(-1, 5);
+      expect(match.matched).toBe(false);
+    });
+
+    it('should apply a configured threshold', async () => {
+      const strict = new FaceVerificationService({matchThreshold: 0.99});
+      const similar = selfie.faceDescriptor.map((value, i) => value + (i % 2 ? 0.3 : -0.3));
+      jest.spyOn(strict, 'detectFace').mockResolvedValueOnce(portraitWith(similar));
+
+      const match = await strict.matchDocumentPortrait(selfie, 'file://document.jpg');
+
+      expect(match.threshold).toBe(0.99);
+      expect(match.similarity).toBeGreaterThan(0.8);
+      expect(match.matched).toBe(false);
+    });
+
+    it('should fail when the document has no detectable portrait', async () => {
+      jest
+        .spyOn(service, 'detectFace')
+        .mockResolvedValueOnce(portraitWith(selfie.faceDescriptor, 0.2));
+
+      await expect(
+        service.matchDocumentPortrait(selfie, 'file://document.jpg')
+      ).rejects.toThrow('No portrait found on document');
+    });
+
+    it('should reject invalid thresholds', () => {
+      expect(() => new FaceVerificationService({matchThreshold: 1.2})).toThrow(
+        'Similarity threshold must be between 0 and 1'
+      );
+    });
+  });
+
   describe('validateFaceQuality', () => {
     it('should return true for high quality face data', () => {
       const highQualityFace: FaceData = {
@@ -129,16 +232,19 @@ describe('FaceVerificationService', () => {
   });
 
   describe('hashFaceDescriptor', () => {
+    const salt = '123456789';
+
     it('should generate consistent hash for same face data', () => {
       const faceData: FaceData = {
         imageUri: 'file://face.jpg',
         faceDescriptor: [1, 2, 3, 4, 5],
         confidence: 0.9,
         boundingBox: { x: 100, y: 100, width: 200, height: 250 },
+        liveness: identityLiveness,
       };
 
-      const hash1 = service.hashFaceDescriptor(faceData);
-      const hash2 = service.hashFaceDescriptor(faceData);
+      const hash1 = service.hashFaceDescriptor(faceData, salt);
+      const hash2 = service.hashFaceDescriptor(faceData, salt);
       
       expect(hash1).toBe(hash2);
       expect(hash1).toBeDefined();
@@ -151,6 +257,7 @@ describe('FaceVerificationService', () => {
         faceDescriptor: [1, 2, 3, 4, 5],
         confidence: 0.9,
         boundingBox: { x: 100, y: 100, width: 200, height: 250 },
+        liveness: identityLiveness,
       };
 
       const faceData2: FaceData = {
@@ -158,13 +265,146 @@ describe('FaceVerificationService', () => {
         faceDescriptor: [6, 7, 8, 9, 10],
         confidence: 0.85,
         boundingBox: { x: 110, y: 110, width: 190, height: 240 },
+        liveness: identityLiveness,
       };
 
-      const hash1 = service.hashFaceDescriptor(faceData1);
-      const hash2 = service.hashFaceDescriptor(faceData2);
+      const hash1 = service.hashFaceDescriptor(faceData1, salt);
+      const hash2 = service.hashFaceDescriptor(faceData2, salt);
       
       expect(hash1).not.toBe(hash2);
     });
+
+    it('should generate different hashes for different salts', () => {
+      const faceData: FaceData = {
+        imageUri: 'file://face.jpg',
+        faceDescriptor: [1, 2, 3, 4, 5],
+        confidence: 0.9,
+        boundingBox: { x: 100, y: 100, width: 200, height: 250 },
+        liveness: identityLiveness,
+      };
+
+      expect(service.hashFaceDescriptor(faceData, '1')).not.toBe(
+        service.hashFaceDescriptor(faceData, '2')
+      );
+    });
+
+    it('should not encode the descriptor in the hash', () => {
+      const faceData: FaceData = {
+        imageUri: 'file://face.jpg',
+        faceDescriptor: [1, 2, 3, 4, 5],
+        confidence: 0.9,
+        boundingBox: { x: 100, y: 100, width: 200, height: 250 },
+        liveness: identityLiveness,
+      };
+
+      const hash = service.hashFaceDescriptor(faceData, salt);
+
+      expect(hash).toMatch(/^\d+$/);
+      expect(Buffer.from(hash, 'base64').toString()).not.toContain('1,2,3');
+    });
+  
+    it('should bind the liveness transcript into the hash', () => {
+      const faceData: FaceData = {
+        imageUri: 'file://face.jpg',
+        faceDescriptor: [1, 2, 3, 4, 5],
+        confidence: 0.9,
+        boundingBox: { x: 100, y: 100, width: 200, height: 250 },
+        liveness: identityLiveness,
+      };
+
+      expect(service.hashFaceDescriptor(faceData, salt)).not.toBe(
+        service.hashFaceDescriptor(
+          {...faceData, liveness: {...identityLiveness, nonce: '1'}},
+          salt
+        )
+      );
+    });
+
+    it('should refuse faces without a passed liveness check', () => {
+      const faceData: FaceData = {
+        imageUri: 'file://face.jpg',
+        faceDescriptor: [1, 2, 3, 4, 5],
+        confidence: 0.9,
+        boundingBox: { x: 100, y: 100, width: 200, height: 250 },
+      };
+
+      expect(() => service.hashFaceDescriptor(faceData, salt)).toThrow(
+        'Face was not captured with a passed liveness check'
+      );
+      expect(() =>
+        service.hashFaceDescriptor(
+          {...faceData, liveness: {...identityLiveness, passed: false}},
+          salt
+        )
+      ).toThrow('Face was not captured with a passed liveness check');
+    });
+  });
+
+  describe('liveness', () => {
+    const captureFrames = async (count: number): Promise<FaceLandmarkFrame[]> => {
+      const frames: FaceLandmarkFrame[] = [];
+      for (let i = 0; i < count; i++) {
+        frames.push(await service.detectLandmarks(`file://frame-${i}.jpg`));
+      }
+      return frames;
+    };
+
+    it('should issue distinct challenges with a fresh nonce', () => {
+      const session = service.startLivenessSession();
+      const other = service.startLivenessSession();
+
+      expect(session.challenges).toHaveLength(3);
+      expect(new Set(session.challenges).size).toBe(3);
+      session.challenges.forEach(challenge => expect(LIVENESS_CHALLENGES).toContain(challenge));
+      expect(session.nonce).toMatch(/^\d+$/);
+      expect(session.nonce).not.toBe(other.nonce);
+      expect(session.expiresAt).toBeGreaterThan(session.issuedAt);
+    });
+
+    it('should reject impossible challenge counts', () => {
+      expect(() => service.startLivenessSession(0)).toThrow(
+        'Challenge count must be between 1 and 4'
+      );
+      expect(() => service.startLivenessSession(5)).toThrow(
+        'Challenge count must be between 1 and 4'
+      );
+    });
+
+    it('should pass a subject who performs each challenge', async () => {
+      const session = service.startLivenessSession(4);
+      const frames: FaceLandmarkFrame[][] = [];
+      for (const _challenge of session.challenges) {
+        frames.push(await captureFrames(LIVENESS_FRAMES_PER_CHALLENGE));
+      }
+
+      const transcript = service.evaluateLiveness(session, frames);
+
+      expect(transcript.passed).toBe(true);
+      expect(transcript.score).toBeGreaterThan(0.5);
+      expect(transcript.nonce).toBe(session.nonce);
+      expect(transcript.results.map(result => result.challenge)).toEqual(session.challenges);
+    });
+
+    it('should fail a still photo', async () => {
+      const session = service.startLivenessSession();
+      const [still] = await captureFrames(1);
+      const frames = session.challenges.map(() =>
+        Array.from({length: LIVENESS_FRAMES_PER_CHALLENGE}, () => still)
+      );
+
+      const transcript = service.evaluateLiveness(session, frames);
+
+      expect(transcript.passed).toBe(false);
+      expect(transcript.results.every(result => !result.passed)).toBe(true);
+    });
+
+    it('should require frames for every challenge', () => {
+      const session = service.startLivenessSession();
+
+      expect(() => service.evaluateLiveness(session, [])).toThrow(
+        'Liveness results do not match the session challenges'
+      );
+    });
   });
 
   describe('isSupported', () => {
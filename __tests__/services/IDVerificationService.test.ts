@@ -0,0 +1,400 @@
+import {
+  DOCUMENT_TYPE_MISMATCH,
+  IDVerificationService,
+  IMAGE_LOADER_MISSING,
+  OCR_ENGINE_MISSING,
+} from '@services/IDVerificationService';
+import {BarcodeReader, DocumentZone, GrayImage, IDDocument, OcrEngine} from '@types/index';
+import {
+  SIMULATED_LICENSE_BARCODE,
+  createSimulatedOcrEngine,
+  renderSimulatedCapture,
+} from '@/simulation';
+import {createImage} from '@utils/documentImage';
+import {ZONE_MISMATCH_PENALTY} from '@utils/documentLayout';
+import {parseMrz} from '@utils/mrz';
+
+const PASSPORT_TEXT: Partial<Record<DocumentZone, string>> = {
+  mrz: [
+    'P<USADOE<<JOHN<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<',
+    '1234567897USA9001158M3001156<<<<<<<<<<<<<<<8',
+  ].join('\n'),
+  documentNumber: '123456789',
+  lastName: 'Doe',
+  firstName: 'John',
+  dateOfBirth: '15 JAN 1990',
+  expiryDate: '15 JAN 2030',
+};
+
+const LICENSE_TEXT: Partial<Record<DocumentZone, string>> = {
+  documentNumber: 'D123-4567-8901',
+  expiryDate: '01/15/2030',
+  lastName: 'DOE',
+  firstName: 'JOHN',
+  address: '123 MAIN ST',
+  dateOfBirth: '01/15/1990',
+};
+
+// Barcode reader that decodes the same payload from every photo
+const fixedBarcode = (payload: string | null): BarcodeReader => ({
+  readPdf417: async () => payload,
+});
+
+// OCR engine that reads fixed text per zone and records what it was asked for
+const fixedOcr = (
+  text: Partial<Record<DocumentZone, string>>,
+  confidence: number = 0.9
+): OcrEngine & {requests: Array<{zone: DocumentZone; width: number; height: number}>} => {
+  const requests: Array<{zone: DocumentZone; width: number; height: number}> = [];
+  return {
+    requests,
+    recognize: async (image: GrayImage, zone: DocumentZone) => {
+      requests.push({zone, width: image.width, height: image.height});
+      return {text: text[zone] ?? '', confidence};
+    },
+  };
+};
+
+// Service reading the simulated passport unless given other engines
+const simulatedService = (
+  options: ConstructorParameters<typeof IDVerificationService>[0] = {}
+): IDVerificationService =>
+  new IDVerificationService({
+    ocrEngine: createSimulatedOcrEngine(),
+    loadImage: renderSimulatedCapture,
+    ...options,
+  });
+
+describe('IDVerificationService', () => {
+  let service: IDVerificationService;
+
+  beforeEach(() => {
+    service = simulatedService();
+  });
+
+  describe('extractData', () => {
+    it('should read document data from the machine readable zone', async () => {
+      const document = await service.extractData('file://passport.jpg');
+
+      expect(document.type).toBe('passport');
+      expect(document.imageUri).toBe('file://passport.jpg');
+      expect(document.extractedData).toEqual({
+        firstName: 'JOHN',
+        lastName: 'DOE',
+        dateOfBirth: '1990-01-15',
+        documentNumber: '123456789',
+        expiryDate: '2030-01-15',
+        nationality: 'USA',
+      });
+      expect(document.confidence).toBeGreaterThan(0.9);
+      expect(document.mrz?.format).toBe('TD3');
+      expect(document.mrz?.valid).toBe(true);
+      expect(document.mrz?.fieldConfidence.documentNumber).toBeGreaterThan(0.9);
+      expect(document.zoneChecks?.every(check => check.agrees)).toBe(true);
+    });
+
+    it('should read each zone from its region of the rectified document', async () => {
+      const ocr = fixedOcr(PASSPORT_TEXT);
+      service = simulatedService({ocrEngine: ocr});
+
+      const document = await service.extractData('file://passport.jpg');
+      const mrz = ocr.requests[0];
+      const lastName = ocr.requests.find(request => request.zone === 'lastName')!;
+
+      expect(ocr.requests.map(request => request.zone)).toEqual([
+        'mrz',
+        'documentNumber',
+        'lastName',
+        'firstName',
+        'dateOfBirth',
+        'expiryDate',
+      ]);
+      expect(mrz.width).toBeGreaterThan(mrz.height);
+      expect(lastName.width).toBeLessThan(mrz.width);
+      expect(document.zoneChecks).toHaveLength(5);
+    });
+
+    it('should lower confidence where the visual zone disagrees with the MRZ', async () => {
+      const clean = await simulatedService({
+        ocrEngine: fixedOcr(PASSPORT_TEXT),
+      }).extractData('file://passport.jpg');
+      service = simulatedService({
+        ocrEngine: fixedOcr({...PASSPORT_TEXT, lastName: 'DOW', dateOfBirth: '16 JAN 1990'}),
+      });
+
+      const document = await service.extractData('file://passport.jpg');
+
+      expect(document.extractedData.lastName).toBe('DOE');
+      expect(document.zoneChecks?.filter(check => !check.agrees).map(check => check.field)).toEqual([
+        'lastName',
+        'dateOfBirth',
+      ]);
+      expect(document.confidence).toBeCloseTo(clean.confidence * (1 - ZONE_MISMATCH_PENALTY) ** 2);
+      expect(document.confidence).toBeLessThan(0.7);
+    });
+
+    it('should not compare fields the visual zone could not read', async () => {
+      service = simulatedService({
+        ocrEngine: {
+          recognize: async (_image, zone) => ({
+            text: zone === 'lastName' ? 'D0W' : PASSPORT_TEXT[zone] ?? '',
+            confidence: zone === 'lastName' ? 0.2 : 0.9,
+          }),
+        },
+      });
+
+      const document = await service.extractData('file://passport.jpg');
+
+      expect(document.zoneChecks?.map(check => check.field)).not.toContain('lastName');
+      expect(document.zoneChecks?.every(check => check.agrees)).toBe(true);
+    });
+
+    it('should read a document without an MRZ from the license layout', async () => {
+      service = simulatedService({ocrEngine: fixedOcr(LICENSE_TEXT)});
+
+      const document = await service.extractData('file://license.jpg');
+
+      expect(document.type).toBe('drivers_license');
+      expect(document.extractedData).toEqual({
+        firstName: 'JOHN',
+        lastName: 'DOE',
+        dateOfBirth: '1990-01-15',
+        documentNumber: 'D12345678901',
+        expiryDate: '2030-01-15',
+        address: '123 MAIN ST',
+      });
+      expect(document.confidence).toBeCloseTo(0.9);
+      expect(document.mrz).toBeUndefined();
+    });
+
+    it('should count unreadable license fields against confidence', async () => {
+      service = simulatedService({
+        ocrEngine: fixedOcr({...LICENSE_TEXT, dateOfBirth: '', expiryDate: '31/31/2030'}),
+      });
+
+      const document = await service.extractData('file://license.jpg');
+
+      expect(document.extractedData.dateOfBirth).toBe('');
+      expect(document.confidence).toBeCloseTo((0.9 * 3) / 5);
+    });
+
+    it('should read a license from its barcode', async () => {
+      service = simulatedService({
+        ocrEngine: fixedOcr(LICENSE_TEXT),
+        barcodeReader: fixedBarcode(SIMULATED_LICENSE_BARCODE),
+      });
+
+      const document = await service.extractData('file://license.jpg', 'drivers_license');
+
+      expect(document.type).toBe('drivers_license');
+      expect(document.jurisdiction).toBe('USA-CA');
+      expect(document.extractedData).toEqual({
+        firstName: 'JOHN',
+        lastName: 'DOE',
+        dateOfBirth: '1990-01-15',
+        documentNumber: 'D1234567',
+        expiryDate: '2030-01-15',
+        address: '123 MAIN ST, SACRAMENTO, CA 95818',
+      });
+      expect(document.barcode).toEqual({
+        version: 10,
+        jurisdictionVersion: 0,
+        issuerId: '636014',
+        sex: 'M',
+      });
+      expect(document.confidence).toBeCloseTo(0.99);
+      expect(document.issues).toEqual([]);
+    });
+
+    it('should read a license from its front when the barcode is unreadable', async () => {
+      service = simulatedService({
+        ocrEngine: fixedOcr(LICENSE_TEXT),
+        barcodeReader: fixedBarcode(null),
+      });
+
+      const document = await service.extractData('file://license.jpg', 'drivers_license');
+
+      expect(document.extractedData.documentNumber).toBe('D12345678901');
+      expect(document.barcode).toBeUndefined();
+    });
+
+    it('should report fields that break the schema of the document type', async () => {
+      const barcode = SIMULATED_LICENSE_BARCODE.replace('DAQD1234567', 'DAQ12345678');
+      service = simulatedService({barcodeReader: fixedBarcode(barcode)});
+
+      const document = await service.extractData('file://license.jpg', 'drivers_license');
+
+      expect(document.issues).toEqual([{field: 'documentNumber', kind: 'jurisdiction'}]);
+    });
+
+    it('should reject a document of another type than selected', async () => {
+      await expect(service.extractData('file://passport.jpg', 'national_id')).rejects.toThrow(
+        DOCUMENT_TYPE_MISMATCH
+      );
+    });
+
+    it('should require an MRZ on a passport', async () => {
+      service = simulatedService({ocrEngine: fixedOcr(LICENSE_TEXT)});
+
+      await expect(service.extractData('file://license.jpg', 'passport')).rejects.toThrow(
+        'No machine readable zone found'
+      );
+    });
+
+    it('should refuse to read a document without an OCR engine', async () => {
+      service = new IDVerificationService({loadImage: renderSimulatedCapture});
+
+      await expect(service.extractData('file://passport.jpg')).rejects.toThrow(
+        OCR_ENGINE_MISSING
+      );
+    });
+
+    it('should refuse to read a document without an image loader', async () => {
+      service = new IDVerificationService({ocrEngine: fixedOcr(PASSPORT_TEXT)});
+
+      await expect(service.extractData('file://passport.jpg')).rejects.toThrow(
+        IMAGE_LOADER_MISSING
+      );
+      await expect(service.preprocessImage('file://passport.jpg')).rejects.toThrow(
+        IMAGE_LOADER_MISSING
+      );
+    });
+
+    it('should fail when no text can be read', async () => {
+      service = simulatedService({ocrEngine: fixedOcr({})});
+
+      await expect(service.extractData('file://blank.jpg')).rejects.toThrow(
+        'No document text found'
+      );
+    });
+  });
+
+  describe('preprocessImage', () => {
+    it('should rectify the photographed document', async () => {
+      const document = await service.preprocessImage('file://passport.jpg');
+
+      expect(document.quad).not.toBeNull();
+      expect(document.image.width).toBeGreaterThan(document.image.height);
+      expect(document.quality.issues).toEqual([]);
+    });
+  });
+
+  describe('assessCapture', () => {
+    it('should accept a sharp photo without glare', async () => {
+      const quality = await service.assessCapture('file://passport.jpg');
+
+      expect(quality.documentFound).toBe(true);
+      expect(quality.issues).toEqual([]);
+    });
+
+    it('should flag a photo without a document outline', async () => {
+      service = simulatedService({loadImage: async () => createImage(320, 240, 128)});
+
+      const quality = await service.assessCapture('file://wall.jpg');
+
+      expect(quality.issues).toEqual(['no_document', 'blurry']);
+    });
+
+    it('should flag glare on the document', async () => {
+      const photo = createImage(320, 240, 40);
+      for (let y = 40; y < 200; y++) {
+        for (let x = 40; x < 280; x++) {
+          // Printed lines, with a blown-out highlight over the top left
+          const text = y % 16 < 3 && x % 5 < 3;
+          photo.data[y * 320 + x] = x < 120 && y < 100 ? 255 : text ? 20 : 210;
+        }
+      }
+      service = simulatedService({loadImage: async () => photo});
+
+      const quality = await service.assessCapture('file://glare.jpg');
+
+      expect(quality.documentFound).toBe(true);
+      expect(quality.glare).toBeGreaterThan(0.1);
+      expect(quality.issues).toEqual(['glare']);
+    });
+  });
+
+  describe('detectDocumentType', () => {
+    it('should detect a passport from its TD3 zone', async () => {
+      await expect(service.detectDocumentType('file://passport.jpg')).resolves.toBe('passport');
+    });
+  });
+
+  describe('extractField', () => {
+    it('should return fields by name or alias', async () => {
+      await expect(service.extractField('file://passport.jpg', 'lastName')).resolves.toBe('DOE');
+      await expect(service.extractField('file://passport.jpg', 'dob')).resolves.toBe('1990-01-15');
+      await expect(service.extractField('file://passport.jpg', 'number')).resolves.toBe(
+        '123456789'
+      );
+      await expect(service.extractField('file://passport.jpg', 'address')).resolves.toBe('');
+    });
+
+    it('should reject unknown fields', async () => {
+      await expect(service.extractField('file://passport.jpg', 'height')).rejects.toThrow(
+        'Unknown document field: height'
+      );
+    });
+  });
+
+  describe('validateDocument', () => {
+    const fromMrz = (mrz: string): IDDocument => {
+      const {documentType, extractedData, confidence, ...report} = parseMrz(mrz);
+      return {type: documentType, imageUri: 'file://id.jpg', extractedData, confidence, mrz: report};
+    };
+
+    it('should accept a document whose check digits match', async () => {
+      const document = await service.extractData('file://passport.jpg');
+
+      await expect(service.validateDocument(document)).resolves.toBe(true);
+    });
+
+    it('should reject a document whose check digits do not match', async () => {
+      const document = fromMrz(
+        [
+          'P<USADOE<<JOHN<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<',
+          '1234567897USA9001158M3001156<<<<<<<<<<<<<<<9',
+        ].join('\n')
+      );
+
+      await expect(service.validateDocument(document)).resolves.toBe(false);
+    });
+
+    it('should reject a license number its issuer does not use', async () => {
+      service = simulatedService({
+        barcodeReader: fixedBarcode(SIMULATED_LICENSE_BARCODE),
+      });
+      const document = await service.extractData('file://license.jpg', 'drivers_license');
+
+      await expect(service.validateDocument(document)).resolves.toBe(true);
+      await expect(
+        service.validateDocument({
+          ...document,
+          extractedData: {...document.extractedData, documentNumber: '123456789'},
+        })
+      ).resolves.toBe(false);
+    });
+
+    it('should reject a document missing a required field', async () => {
+      const document = await service.extractData('file://passport.jpg');
+
+      await expect(
+        service.validateDocument({
+          ...document,
+          extractedData: {...document.extractedData, nationality: ''},
+        })
+      ).resolves.toBe(false);
+    });
+
+    it('should reject a document number that fails its check digit', async () => {
+      const document = fromMrz(
+        [
+          'P<USADOE<<JOHN<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<',
+          '1234567898USA9001158M3001156<<<<<<<<<<<<<<<8',
+        ].join('\n')
+      );
+
+      await expect(service.validateDocument(document)).resolves.toBe(false);
+    });
+  });
+});
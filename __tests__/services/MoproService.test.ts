@@ -1,88 +1,533 @@
-import {MoproService} from '@services/MoproService';
-import {MoproProof} from '@types/index';
+import {ethers} from 'ethers';
+import RNFS from 'react-native-fs';
+import {groth16} from 'snarkjs';
+import {MoproService, PROOF_ABORTED} from '@services/MoproService';
+import {MoproProof, PredicateProof} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {
+  identityAccount,
+  identityDocument,
+  identityFace,
+  identityLiveness,
+  identitySalt,
+  proof as fixtureProof,
+  publicSignals,
+  verificationKey as fixtureVerificationKey,
+} from '../fixtures/groth16';
+import {
+  ageOverDocument,
+  ageOverPortrait,
+  ageOverProof,
+  ageOverPublicSignals,
+  ageOverSalt,
+  ageOverVerificationKey,
+} from '../fixtures/predicates';
+import {commitDocument, commitFace, hashFaceDescriptor} from '@utils/commitment';
+import {hashLivenessTranscript} from '@utils/liveness';
+import {DEFAULT_SCOPE, computeNullifier, getScopeId} from '@utils/nullifier';
+
+jest.mock('snarkjs', () => {
+  const actual = jest.requireActual('snarkjs');
+  return {
+    groth16: {
+      fullProve: jest.fn(),
+      verify: jest.fn(actual.groth16.verify),
+    },
+  };
+});
 
 describe('MoproService', () => {
   let service: MoproService;
 
   beforeEach(() => {
+    (RNFS.readFile as jest.Mock).mockImplementation((path: string, encoding: string) => {
+      if (path.endsWith('predicate_age_over_verification_key.json')) {
+        return Promise.resolve(JSON.stringify(ageOverVerificationKey));
+      }
+      return Promise.resolve(
+        path.endsWith('.json')
+          ? JSON.stringify(fixtureVerificationKey)
+          : Buffer.from(path).toString(encoding as BufferEncoding)
+      );
+    });
+    (groth16.fullProve as jest.Mock).mockResolvedValue({
+      proof: fixtureProof,
+      publicSignals,
+    });
+
     service = new MoproService();
   });
 
+  afterAll(async () => {
+    // snarkjs caches the BN254 curve with its worker threads on globalThis
+    await (globalThis as any).curve_bn128?.terminate();
+  });
+
   describe('generateProof', () => {
+    const portrait = hashFaceDescriptor(identityFace.portraitDescriptor);
+    const document = {extractedData: identityDocument, portrait, salt: identitySalt};
+    const idHash = commitDocument(identityDocument, identitySalt, portrait);
+    const livenessHash = hashLivenessTranscript(identityLiveness);
+    const faceHash = commitFace(identityFace.descriptor, identitySalt, livenessHash);
+
     it('should generate a valid zero-knowledge proof', async () => {
       const inputs = {
-        faceHash: 'mock_face_hash',
-        idHash: 'mock_id_hash',
-        timestamp: Math.floor(Date.now() / 1000),
+        faceHash,
+        idHash,
+        timestamp: 1700000000,
+        document,
+        face: identityFace,
+        account: identityAccount,
       };
 
-      // Start the async operation
-      const proofPromise = service.generateProof(inputs);
-      
-      // Fast-forward time to skip the delays (1s + 5s)
-      jest.advanceTimersByTime(6000);
-      
-      const proof = await proofPromise;
+      const proof = await service.generateProof(inputs);
 
       expect(proof).toBeDefined();
       expect(proof.proof).toBeInstanceOf(Uint8Array);
-      expect(proof.publicInputs).toBeInstanceOf(Array);
-      expect(proof.publicInputs).toHaveLength(3);
-      expect(proof.publicInputs[0]).toBe(inputs.faceHash);
-      expect(proof.publicInputs[1]).toBe(inputs.idHash);
-      expect(proof.publicInputs[2]).toBe(inputs.timestamp.toString());
+      expect(proof.proof).toHaveLength(256);
+      expect(proof.publicInputs).toEqual(publicSignals);
     });
 
-    it('should handle missing inputs gracefully', async () => {
-      const inputs = {};
+    it('should pass circuit inputs and artifacts to the prover', async () => {
+      await service.generateProof({
+        faceHash,
+        idHash,
+        timestamp: 1700000000,
+        document,
+        face: identityFace,
+        account: identityAccount,
+      });
 
-      // Start the async operation
-      const proofPromise = service.generateProof(inputs);
-      
-      // Fast-forward time to skip the delays
-      jest.advanceTimersByTime(6000);
-      
-      const proof = await proofPromise;
+      const [circuitInputs, wasm, zkey] = (groth16.fullProve as jest.Mock).mock.calls[0];
+      expect(circuitInputs.face_hash).toBe(publicSignals[0]);
+      expect(circuitInputs.id_hash).toBe(idHash);
+      expect(circuitInputs.timestamp).toBe(1700000000);
+      expect(circuitInputs.expiry_date).toBe('20991231');
+      expect(circuitInputs.fields).toHaveLength(7);
+      expect(circuitInputs.salt).toBe(identitySalt);
+      expect(circuitInputs.scope).toBe(publicSignals[4]);
+      expect(circuitInputs.nullifier).toBe(publicSignals[5]);
+      expect(circuitInputs.account).toBe(publicSignals[6]);
+      expect(circuitInputs.min_similarity).toBe(publicSignals[7]);
+      expect(circuitInputs.face_descriptor).toHaveLength(128);
+      expect(circuitInputs.portrait_descriptor).toHaveLength(128);
+      expect(wasm.type).toBe('mem');
+      expect(zkey.type).toBe('mem');
+      expect(ethers.toUtf8String(zkey.data)).toBe(
+        '/bundle/assets/circuits/identity_verification.zkey'
+      );
+      expect(RNFS.readFile).toHaveBeenCalledWith(
+        '/bundle/assets/circuits/identity_verification.zkey',
+        'base64'
+      );
+    });
 
-      expect(proof).toBeDefined();
-      expect(proof.publicInputs).toContain('mock_face_hash');
-      expect(proof.publicInputs).toContain('mock_id_hash');
+    it('should stop waiting for the prover when aborted', async () => {
+      const abort = new AbortController();
+      // A prover that never finishes, aborted while it runs
+      (groth16.fullProve as jest.Mock).mockImplementationOnce(() => {
+        abort.abort();
+        return new Promise(() => {});
+      });
+
+      await expect(
+        service.generateProof(
+          {faceHash, idHash, document, face: identityFace, account: identityAccount},
+          undefined,
+          abort.signal
+        )
+      ).rejects.toThrow(PROOF_ABORTED);
+    });
+
+    it('should not start a proof that was already aborted', async () => {
+      const abort = new AbortController();
+      abort.abort();
+
+      await expect(
+        service.generateProof(
+          {faceHash, idHash, document, face: identityFace, account: identityAccount},
+          undefined,
+          abort.signal
+        )
+      ).rejects.toThrow(PROOF_ABORTED);
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should derive the nullifier for the requested scope', async () => {
+      await service.generateProof({
+        faceHash,
+        idHash,
+        document,
+        face: identityFace,
+        account: identityAccount,
+        scope: 'other-app',
+      });
+
+      const [circuitInputs] = (groth16.fullProve as jest.Mock).mock.calls[0];
+      expect(circuitInputs.scope).toBe(getScopeId('other-app'));
+      expect(circuitInputs.nullifier).toBe(
+        computeNullifier(identityDocument, getScopeId('other-app'))
+      );
+      expect(circuitInputs.nullifier).not.toBe(publicSignals[5]);
+    });
+
+    it('should report progress from the prover log', async () => {
+      (groth16.fullProve as jest.Mock).mockImplementationOnce(
+        async (_inputs, _wasm, _zkey, logger) => {
+          ['Reading Wtns', 'Reading 1/4 sections', 'Reading H Points'].forEach(message =>
+            logger.debug(message)
+          );
+          return {proof: fixtureProof, publicSignals};
+        }
+      );
+      const onProgress = jest.fn();
+
+      await service.generateProof(
+        {
+          faceHash,
+          idHash,
+          timestamp: 1700000000,
+          document,
+          face: identityFace,
+          account: identityAccount,
+        },
+        onProgress
+      );
+
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        {step: 'Loading circuit', fraction: 0},
+        {step: 'Computing witness', fraction: 0.05},
+        {step: 'Reading Wtns', fraction: 0.2},
+        {step: 'Reading H Points', fraction: 0.9},
+        {step: 'Proof generated', fraction: 1},
+      ]);
+    });
+
+    it('should reject missing inputs', async () => {
+      await expect(service.generateProof({})).rejects.toThrow(
+        'Missing required proof inputs'
+      );
+      await expect(
+        service.generateProof({faceHash, idHash, document, face: identityFace})
+      ).rejects.toThrow('Missing required proof inputs');
+      await expect(
+        service.generateProof({faceHash, idHash, document, account: identityAccount})
+      ).rejects.toThrow('Missing required proof inputs');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed account addresses', async () => {
+      await expect(
+        service.generateProof({faceHash, idHash, document, face: identityFace, account: '0x1234'})
+      ).rejects.toThrow('Invalid account address');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject a document that does not open the ID hash', async () => {
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash,
+          document: {...document, salt: '1'},
+          face: identityFace,
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Witness does not open the document commitment');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired documents', async () => {
+      const expired = {...identityDocument, expiryDate: '2020-01-01'};
+
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash: commitDocument(expired, identitySalt, portrait),
+          document: {extractedData: expired, portrait, salt: identitySalt},
+          face: identityFace,
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Document has expired');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject a selfie that does not open the face hash', async () => {
+      const otherFace = identityFace.descriptor.map(value => value / 2);
+
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash,
+          document,
+          face: {...identityFace, descriptor: otherFace},
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Witness does not open the face commitment');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject a selfie that does not match the document portrait', async () => {
+      const otherPortrait = identityFace.descriptor.map((value, i) => (i < 64 ? value : -value));
+      const otherDigest = hashFaceDescriptor(otherPortrait);
+
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash: commitDocument(identityDocument, identitySalt, otherDigest),
+          document: {...document, portrait: otherDigest},
+          face: {...identityFace, portraitDescriptor: otherPortrait},
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Face does not match document portrait');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject a portrait other than the committed one', async () => {
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash,
+          document,
+          face: {...identityFace, portraitDescriptor: identityFace.descriptor},
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Witness does not open the document commitment');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject a selfie without a passed liveness check', async () => {
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash,
+          document,
+          face: {...identityFace, liveness: {...identityLiveness, passed: false}},
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Liveness check not passed');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject a face hash bound to another liveness session', async () => {
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash,
+          document,
+          face: {...identityFace, liveness: {...identityLiveness, nonce: '1'}},
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Witness does not open the face commitment');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject descriptors the circuit was not built for', async () => {
+      const shortFace = identityFace.descriptor.slice(0, 64);
+
+      await expect(
+        service.generateProof({
+          faceHash: commitFace(shortFace, identitySalt, livenessHash),
+          idHash,
+          document,
+          face: {...identityFace, descriptor: shortFace},
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Face descriptors must have 128 values');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should surface prover failures', async () => {
+      (groth16.fullProve as jest.Mock).mockRejectedValueOnce(new Error('Assert Failed'));
+
+      await expect(
+        service.generateProof({
+          faceHash,
+          idHash,
+          document,
+          face: identityFace,
+          account: identityAccount,
+        })
+      ).rejects.toThrow('Failed to generate zero-knowledge proof');
     });
   });
 
   describe('verifyProof', () => {
+    const validProof = (): MoproProof => ({
+      proof: encodeProof(fixtureProof),
+      publicInputs: [...publicSignals],
+    });
+
+    beforeEach(() => {
+      jest.useRealTimers();
+    });
+
     it('should verify a valid proof', async () => {
-      const mockProof: MoproProof = {
+      const isValid = await service.verifyProof(validProof());
+
+      expect(isValid).toBe(true);
+    });
+
+    it('should reject a proof with a tampered byte', async () => {
+      const tampered = validProof();
+      tampered.proof[40] ^= 0x01;
+
+      expect(await service.verifyProof(tampered)).toBe(false);
+    });
+
+    it('should reject a proof with tampered public inputs', async () => {
+      const tampered = validProof();
+      tampered.publicInputs[0] = '12';
+
+      expect(await service.verifyProof(tampered)).toBe(false);
+    });
+
+    it('should reject public inputs outside the scalar field', async () => {
+      const tampered = validProof();
+      tampered.publicInputs[0] =
+        '21888242871839275222246405745257275088548364400416034343698204186575808495628';
+
+      expect(await service.verifyProof(tampered)).toBe(false);
+      expect(groth16.verify).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed proofs without calling the verifier', async () => {
+      const invalidProof: MoproProof = {
         proof: new Uint8Array([1, 2, 3, 4, 5]),
         publicInputs: ['input1', 'input2', 'input3'],
       };
 
-      // Start the async operation
-      const verifyPromise = service.verifyProof(mockProof);
-      
-      // Fast-forward time to skip the 1-second delay
-      jest.advanceTimersByTime(1000);
-      
-      const isValid = await verifyPromise;
+      expect(await service.verifyProof(invalidProof)).toBe(false);
+      expect(groth16.verify).not.toHaveBeenCalled();
+    });
 
-      expect(isValid).toBe(true);
+    it('should reject a wrong number of public inputs', async () => {
+      const truncated = validProof();
+      truncated.publicInputs.pop();
+
+      expect(await service.verifyProof(truncated)).toBe(false);
     });
+  });
 
-    it('should handle verification errors gracefully', async () => {
-      const invalidProof: MoproProof = {
-        proof: new Uint8Array([]),
-        publicInputs: [],
-      };
+  describe('generatePredicateProof', () => {
+    const commitment = commitDocument(ageOverDocument, ageOverSalt, ageOverPortrait);
+    const witness = {extractedData: ageOverDocument, portrait: ageOverPortrait, salt: ageOverSalt};
+
+    beforeEach(() => {
+      (groth16.fullProve as jest.Mock).mockResolvedValue({
+        proof: ageOverProof,
+        publicSignals: ageOverPublicSignals,
+      });
+    });
 
-      // Mock service to throw error for invalid proof
-      jest.spyOn(service, 'verifyProof').mockRejectedValueOnce(
-        new Error('Proof verification failed')
+    it('should prove a predicate with the predicate circuit', async () => {
+      const proof = await service.generatePredicateProof(
+        {type: 'age_over', minAge: 18, referenceDate: '2018-03-01'},
+        commitment,
+        witness
       );
 
-      await expect(service.verifyProof(invalidProof)).rejects.toThrow(
-        'Proof verification failed'
+      expect(proof.predicateId).toBe('age_over:18');
+      expect(proof.publicInputs).toEqual(ageOverPublicSignals);
+
+      const [circuitInputs] = (groth16.fullProve as jest.Mock).mock.calls[0];
+      expect(circuitInputs.id_commitment).toBe(commitment);
+      expect(circuitInputs.reference_date).toBe('20180301');
+      expect(circuitInputs.min_age).toBe('18');
+      expect(circuitInputs.fields).toHaveLength(7);
+      expect(circuitInputs.portrait).toBe(ageOverPortrait);
+      expect(RNFS.readFile).toHaveBeenCalledWith(
+        '/bundle/assets/circuits/predicate_age_over.zkey',
+        'base64'
       );
     });
+
+    it('should accept the commitment as a hex field element', async () => {
+      await service.generatePredicateProof(
+        {type: 'age_over', minAge: 18, referenceDate: '2018-03-01'},
+        '0x' + BigInt(commitment).toString(16),
+        witness
+      );
+
+      const [circuitInputs] = (groth16.fullProve as jest.Mock).mock.calls[0];
+      expect(circuitInputs.id_commitment).toBe(commitment);
+    });
+
+    it('should default the reference date to today', async () => {
+      const proof = await service.generatePredicateProof(
+        {type: 'not_expired'},
+        commitment,
+        witness
+      );
+
+      expect(proof.predicate.referenceDate).toBe(new Date().toISOString().slice(0, 10));
+    });
+
+    it('should reject a witness that does not open the commitment', async () => {
+      await expect(
+        service.generatePredicateProof({type: 'age_over', minAge: 18}, commitment, {
+          ...witness,
+          salt: '1',
+        })
+      ).rejects.toThrow('Witness does not open the document commitment');
+      await expect(
+        service.generatePredicateProof({type: 'age_over', minAge: 18}, commitment, {
+          ...witness,
+          portrait: '1',
+        })
+      ).rejects.toThrow('Witness does not open the document commitment');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+
+    it('should reject predicates the document does not satisfy', async () => {
+      await expect(
+        service.generatePredicateProof(
+          {type: 'age_over', minAge: 18, referenceDate: '2018-02-28'},
+          commitment,
+          witness
+        )
+      ).rejects.toThrow('Document does not satisfy predicate age_over:18');
+      expect(groth16.fullProve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyPredicateProof', () => {
+    const validProof = (): PredicateProof => ({
+      proof: encodeProof(ageOverProof),
+      publicInputs: [...ageOverPublicSignals],
+      predicate: {type: 'age_over', minAge: 18, referenceDate: '2018-03-01'},
+      predicateId: 'age_over:18',
+    });
+
+    beforeEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should verify a valid predicate proof', async () => {
+      expect(await service.verifyPredicateProof(validProof())).toBe(true);
+    });
+
+    it('should reject a proof presented as a stronger predicate', async () => {
+      const proof = validProof();
+      proof.predicate = {type: 'age_over', minAge: 21, referenceDate: '2018-03-01'};
+      proof.predicateId = 'age_over:21';
+
+      expect(await service.verifyPredicateProof(proof)).toBe(false);
+      expect(groth16.verify).not.toHaveBeenCalled();
+    });
+
+    it('should reject a proof presented with a different reference date', async () => {
+      const proof = validProof();
+      proof.predicate = {type: 'age_over', minAge: 18, referenceDate: '2024-01-01'};
+
+      expect(await service.verifyPredicateProof(proof)).toBe(false);
+    });
+
+    it('should reject a tampered predicate proof', async () => {
+      const proof = validProof();
+      proof.proof[100] ^= 0x01;
+
+      expect(await service.verifyPredicateProof(proof)).toBe(false);
+    });
   });
 
   describe('getVerificationKey', () => {
@@ -97,21 +542,74 @@ describe('MoproService', () => {
       expect(parsed).toHaveProperty('protocol');
       expect(parsed).toHaveProperty('curve');
       expect(parsed).toHaveProperty('nPublic');
+      expect(parsed.IC).toEqual(fixtureVerificationKey.IC);
+    });
+
+    it('should reject unsupported verification keys', async () => {
+      (RNFS.readFile as jest.Mock).mockResolvedValueOnce(
+        JSON.stringify({...fixtureVerificationKey, protocol: 'plonk'})
+      );
+
+      await expect(service.getVerificationKey()).rejects.toThrow(
+        'Could not retrieve verification key'
+      );
     });
   });
 
   describe('prepareCircuitInputs', () => {
+    const document = {
+      extractedData: identityDocument,
+      portrait: hashFaceDescriptor(identityFace.portraitDescriptor),
+      salt: identitySalt,
+    };
+    const scope = getScopeId(DEFAULT_SCOPE);
+
     it('should format inputs correctly for circuit', () => {
       const faceHash = 'test_face_hash';
       const idHash = 'test_id_hash';
       const timestamp = 1234567890;
 
-      const inputs = service.prepareCircuitInputs(faceHash, idHash, timestamp);
+      const inputs = service.prepareCircuitInputs(
+        faceHash,
+        idHash,
+        timestamp,
+        document,
+        scope,
+        identityAccount,
+        identityFace
+      );
 
       expect(inputs).toHaveProperty('face_hash');
       expect(inputs).toHaveProperty('id_hash');
       expect(inputs).toHaveProperty('timestamp');
       expect(inputs.timestamp).toBe(timestamp);
+      expect(inputs.face_hash).not.toBe(inputs.id_hash);
+      expect(inputs.expiry_date).toBe('20991231');
+      expect(inputs.scope).toBe(scope);
+      expect(inputs.nullifier).toBe(publicSignals[5]);
+      expect(inputs.account).toBe(BigInt(identityAccount).toString());
+      expect(inputs.min_similarity).toBe('9000');
+      expect(inputs.face_descriptor[0]).toBe(
+        String(Math.round(identityFace.descriptor[0] * 65536) + 2 ** 23)
+      );
+      expect(inputs.liveness_hash).toBe(hashLivenessTranscript(identityLiveness));
+    });
+
+    it('should pass field-element commitments through unchanged', () => {
+      const commitment = '1234567890123456789';
+
+      const inputs = service.prepareCircuitInputs(
+        commitment,
+        'test_id_hash',
+        0,
+        document,
+        scope,
+        identityAccount,
+        identityFace
+      );
+
+      expect(inputs.face_hash).toBe(commitment);
+      expect(inputs.id_hash).toMatch(/^\d+$/);
     });
   });
 
@@ -137,6 +635,29 @@ describe('MoproService', () => {
       expect(info.inputs).toContain('face_hash');
       expect(info.inputs).toContain('id_hash');
       expect(info.inputs).toContain('timestamp');
+      expect(info.publicSignals).toEqual([
+        'face_hash',
+        'id_hash',
+        'timestamp',
+        'expiry_date',
+        'scope',
+        'nullifier',
+        'account',
+        'min_similarity',
+      ]);
+    });
+
+    it('should list the predicate circuits', () => {
+      const info = service.getCircuitInfo();
+
+      expect(info.predicates.map((circuit: any) => circuit.type)).toEqual([
+        'age_over',
+        'nationality_in',
+        'not_expired',
+      ]);
+      expect(info.predicates[0].verificationKeyPath).toBe(
+        'assets/circuits/predicate_age_over_verification_key.json'
+      );
     });
   });
 
@@ -160,17 +681,16 @@ describe('MoproService', () => {
       const newProvingKeyPath = 'new/proving/key.zkey';
       const newVerificationKeyPath = 'new/verification/key.json';
 
-      // Start the async operation
-      const updatePromise = service.updateCircuitFiles(
-        newCircuitPath,
-        newProvingKeyPath,
-        newVerificationKeyPath
-      );
-      
-      // Fast-forward time to skip the 1-second delay
-      jest.advanceTimersByTime(1000);
-      
-      await expect(updatePromise).resolves.toBeUndefined();
+      await expect(
+        service.updateCircuitFiles(
+          newCircuitPath,
+          newProvingKeyPath,
+          newVerificationKeyPath
+        )
+      ).resolves.toBeUndefined();
+
+      await service.getVerificationKey();
+      expect(RNFS.readFile).toHaveBeenCalledWith('/bundle/new/verification/key.json', 'utf8');
     });
   });
 });
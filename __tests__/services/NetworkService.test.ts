@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {NetworkService} from '@services/NetworkService';
+import {
+  BASE_SEPOLIA_CHAIN_ID,
+  LOCALHOST_CHAIN_ID,
+  SEPOLIA_CHAIN_ID,
+  buildNetworkRegistry,
+} from '@utils/networks';
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+describe('NetworkService', () => {
+  const registry = (deployedChains: number[]) =>
+    buildNetworkRegistry({}).map(network => ({
+      ...network,
+      contractAddress: deployedChains.includes(network.chainId) ? CONTRACT_ADDRESS : null,
+    }));
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('should only offer networks with a deployment', () => {
+    const service = new NetworkService(registry([LOCALHOST_CHAIN_ID, SEPOLIA_CHAIN_ID]));
+
+    expect(service.getAvailable().map(network => network.chainId)).toEqual([
+      LOCALHOST_CHAIN_ID,
+      SEPOLIA_CHAIN_ID,
+    ]);
+  });
+
+  it('should default to Sepolia', async () => {
+    const service = new NetworkService(registry([LOCALHOST_CHAIN_ID, SEPOLIA_CHAIN_ID]));
+
+    await expect(service.getSelected()).resolves.toMatchObject({chainId: SEPOLIA_CHAIN_ID});
+  });
+
+  it('should fall back to the first deployed network', async () => {
+    const service = new NetworkService(registry([BASE_SEPOLIA_CHAIN_ID]));
+
+    await expect(service.getSelected()).resolves.toMatchObject({chainId: BASE_SEPOLIA_CHAIN_ID});
+  });
+
+  it('should remember the selected network', async () => {
+    const networks = registry([LOCALHOST_CHAIN_ID, SEPOLIA_CHAIN_ID]);
+
+    await new NetworkService(networks).select(LOCALHOST_CHAIN_ID);
+
+    await expect(new NetworkService(networks).getSelected()).resolves.toMatchObject({
+      chainId: LOCALHOST_CHAIN_ID,
+    });
+  });
+
+  it('should ignore a stored network that is no longer deployed', async () => {
+    await new NetworkService(registry([LOCALHOST_CHAIN_ID])).select(LOCALHOST_CHAIN_ID);
+
+    const service = new NetworkService(registry([SEPOLIA_CHAIN_ID]));
+
+    await expect(service.getSelected()).resolves.toMatchObject({chainId: SEPOLIA_CHAIN_ID});
+  });
+
+  it('should refuse networks without a deployment', async () => {
+    const service = new NetworkService(registry([SEPOLIA_CHAIN_ID]));
+
+    await expect(service.select(BASE_SEPOLIA_CHAIN_ID)).rejects.toThrow(
+      'IdentityVerification is not deployed on Base Sepolia'
+    );
+    await expect(service.select(1)).rejects.toThrow('Unsupported network: chain 1');
+  });
+});
@@ -0,0 +1,161 @@
+import {ethers} from 'ethers';
+import {PresentationService} from '@services/PresentationService';
+import {Web3Service} from '@services/Web3Service';
+import {PresentationRequest, StoredCredential} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {getPresentationMessage} from '@utils/presentation';
+import {identityAccount, identitySalt, proof, publicSignals} from '../fixtures/groth16';
+import {identityAgeOverProof, identityAgeOverPublicSignals} from '../fixtures/predicates';
+
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+describe('PresentationService', () => {
+  const request: PresentationRequest = {
+    version: 1,
+    verifier: 'Example Shop',
+    nonce: '0x' + '5a'.repeat(32),
+    callback: 'https://shop.example/zkid/presentations',
+    chainId: 31337,
+    contract: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    expiresAt: NOW.getTime() / 1000 + 300,
+  };
+
+  const agePredicate = (referenceDate: string, provenAt: number) => ({
+    predicate: {type: 'age_over' as const, minAge: 18, referenceDate},
+    predicateId: 'age_over:18',
+    publicInputs: identityAgeOverPublicSignals,
+    proof: Buffer.from(encodeProof(identityAgeOverProof)).toString('hex'),
+    provenAt,
+  });
+
+  const credential: StoredCredential = {
+    id: '0x' + '01'.repeat(32),
+    address: identityAccount,
+    proof: {
+      proof: Buffer.from(encodeProof(proof)).toString('hex'),
+      publicSignals,
+      verificationKey: '{}',
+    },
+    transaction: {hash: '0x' + 'ab'.repeat(32), blockNumber: 12, gasUsed: '210000', status: 'success'},
+    commitmentSalt: identitySalt,
+    documentType: 'passport',
+    predicates: [agePredicate('2024-01-01', 1000), agePredicate('2024-03-01', 2000)],
+    createdAt: 1000,
+    expiresAt: 1893456000,
+  };
+
+  let web3Service: {getAddress: jest.Mock; signMessage: jest.Mock};
+  let service: PresentationService;
+
+  beforeEach(() => {
+    web3Service = {
+      getAddress: jest.fn().mockResolvedValue(identityAccount),
+      signMessage: jest.fn().mockResolvedValue('0x' + '99'.repeat(65)),
+    };
+    service = new PresentationService(web3Service as unknown as Web3Service);
+  });
+
+  describe('createPresentation', () => {
+    it('should sign the presentation message with the credential wallet', async () => {
+      const presentation = await service.createPresentation(request, credential, NOW);
+      const {signature, ...unsigned} = presentation;
+
+      expect(unsigned).toEqual({
+        version: 1,
+        nonce: request.nonce,
+        audience: request.callback,
+        chainId: 31337,
+        contract: request.contract,
+        holder: identityAccount,
+        identity: {proof: '0x' + credential.proof.proof, publicSignals},
+        createdAt: NOW.getTime() / 1000,
+      });
+      expect(signature).toBe('0x' + '99'.repeat(65));
+      expect(web3Service.signMessage).toHaveBeenCalledWith(getPresentationMessage(unsigned));
+    });
+
+    it('should include the latest matching predicate proof', async () => {
+      const presentation = await service.createPresentation(
+        {...request, predicate: {type: 'age_over', minAge: 18}},
+        credential,
+        NOW
+      );
+
+      expect(presentation.predicate).toEqual({
+        predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-03-01'},
+        predicateId: 'age_over:18',
+        proof: ethers.hexlify(encodeProof(identityAgeOverProof)),
+        publicSignals: identityAgeOverPublicSignals,
+      });
+    });
+
+    it('should honour a reference date fixed by the verifier', async () => {
+      const presentation = await service.createPresentation(
+        {...request, predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-01-01'}},
+        credential,
+        NOW
+      );
+
+      expect(presentation.predicate?.predicate.referenceDate).toBe('2024-01-01');
+    });
+
+    it('should fail when the credential lacks the requested predicate', async () => {
+      await expect(
+        service.createPresentation(
+          {...request, predicate: {type: 'nationality_in', countries: ['FRA']}},
+          credential,
+          NOW
+        )
+      ).rejects.toThrow('Credential has no proof of nationality_in:FRA');
+      expect(web3Service.signMessage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to sign with a wallet that does not hold the credential', async () => {
+      web3Service.getAddress.mockResolvedValue('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+
+      await expect(service.createPresentation(request, credential, NOW)).rejects.toThrow(
+        'Connected wallet does not hold this credential'
+      );
+    });
+
+    it('should refuse expired requests', async () => {
+      await expect(
+        service.createPresentation(request, credential, new Date('2024-03-01T12:05:00Z'))
+      ).rejects.toThrow('Presentation request has expired');
+    });
+  });
+
+  describe('sendPresentation', () => {
+    const fetchMock = jest.fn();
+
+    beforeEach(() => {
+      (global as any).fetch = fetchMock;
+    });
+
+    afterAll(() => {
+      delete (global as any).fetch;
+    });
+
+    it('should post the presentation to the callback', async () => {
+      fetchMock.mockResolvedValue({ok: true, status: 204});
+      const presentation = await service.createPresentation(request, credential, NOW);
+
+      await service.sendPresentation(request, presentation);
+
+      expect(fetchMock).toHaveBeenCalledWith(request.callback, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(presentation),
+      });
+    });
+
+    it('should surface a rejection by the verifier', async () => {
+      fetchMock.mockResolvedValue({ok: false, status: 400});
+      const presentation = await service.createPresentation(request, credential, NOW);
+
+      await expect(service.sendPresentation(request, presentation)).rejects.toThrow(
+        'Verifier rejected the presentation (HTTP 400)'
+      );
+    });
+  });
+});
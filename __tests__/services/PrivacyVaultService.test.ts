@@ -0,0 +1,417 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {ethers} from 'ethers';
+import {
+  CAPTURE_UNAVAILABLE,
+  DEFAULT_RETENTION_POLICY,
+  PrivacyVaultService,
+  VaultFileSystem,
+  VaultKeyStore,
+} from '@services/PrivacyVaultService';
+import {FaceData, FaceMatch, IDDocument, VerificationCaptures} from '@types/index';
+import {identityDocument, identityFace, identityLiveness} from '../fixtures/groth16';
+
+const STORAGE_KEY = '@zkid/privacy_vault';
+const CACHE = '/data/app/cache';
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Files held in memory, with what each held when it was deleted
+ */
+class FakeFileSystem {
+  CachesDirectoryPath = CACHE;
+  DocumentDirectoryPath = '/data/app/files';
+  TemporaryDirectoryPath = '';
+  files = new Map<string, Uint8Array>();
+  deleted = new Map<string, Uint8Array>();
+
+  exists = jest.fn(async (path: string) => this.files.has(path));
+
+  stat = jest.fn(async (path: string) => ({size: this.files.get(path)!.length}));
+
+  write = jest.fn(async (path: string, contents: string, position: number) => {
+    this.files.get(path)!.set(ethers.decodeBase64(contents), position);
+  });
+
+  unlink = jest.fn(async (path: string) => {
+    this.deleted.set(path, this.files.get(path)!);
+    this.files.delete(path);
+  });
+
+  add(name: string, size = 1024): string {
+    const path = `${CACHE}/${name}`;
+    this.files.set(path, new Uint8Array(size).fill(0x42));
+    return path;
+  }
+}
+
+describe('PrivacyVaultService', () => {
+  let keys: Map<string, string>;
+  let keyStore: VaultKeyStore;
+  let fileSystem: FakeFileSystem;
+  let vault: PrivacyVaultService;
+  let selfiePath: string;
+  let documentPath: string;
+
+  const face = (): FaceData => ({
+    imageUri: `file://${selfiePath}`,
+    faceDescriptor: identityFace.descriptor,
+    confidence: 0.98,
+    boundingBox: {x: 0, y: 0, width: 100, height: 100},
+    liveness: identityLiveness,
+  });
+
+  const document = (): IDDocument => ({
+    type: 'passport',
+    imageUri: `file://${documentPath}`,
+    extractedData: {...identityDocument, address: '1 Rue de Rivoli, Paris'},
+    confidence: 0.95,
+  });
+
+  const license = (extractedData: Partial<IDDocument['extractedData']> = {}): IDDocument => ({
+    type: 'drivers_license',
+    imageUri: `file://${CACHE}/license.jpg`,
+    extractedData: {
+      ...identityDocument,
+      firstName: 'JANE MARIE',
+      lastName: 'SMITH',
+      documentNumber: 'S1234567',
+      ...extractedData,
+    },
+    confidence: 0.99,
+    jurisdiction: 'USA-CA',
+  });
+
+  const faceMatch: FaceMatch = {
+    portrait: {
+      imageUri: 'file:///data/app/cache/passport.jpg',
+      faceDescriptor: identityFace.portraitDescriptor,
+      confidence: 0.9,
+      boundingBox: {x: 0, y: 0, width: 50, height: 50},
+    },
+    similarity: 0.95,
+    threshold: identityFace.minSimilarity,
+    matched: true,
+  };
+
+  // Store a selfie and a document and match them, as the capture screens do
+  const capture = async (): Promise<VerificationCaptures> => {
+    const {captureId: faceCaptureId} = await vault.storeFace(face());
+    const {captureId: documentCaptureId} = await vault.storeDocument(document());
+    const captures = {faceCaptureId, documentCaptureId};
+    await vault.matchDocumentPortrait(captures, async () => faceMatch);
+    return captures;
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    keys = new Map();
+    keyStore = {
+      getItemAsync: jest.fn(async (key: string) => keys.get(key) ?? null),
+      setItemAsync: jest.fn(async (key: string, value: string) => {
+        keys.set(key, value);
+      }),
+      deleteItemAsync: jest.fn(async (key: string) => {
+        keys.delete(key);
+      }),
+    } as VaultKeyStore;
+    fileSystem = new FakeFileSystem();
+    vault = new PrivacyVaultService(keyStore, fileSystem as unknown as VaultFileSystem);
+    selfiePath = fileSystem.add('Camera/selfie.jpg');
+    documentPath = fileSystem.add('ImagePicker/passport.jpg');
+  });
+
+  describe('storing captures', () => {
+    it('should give screens redacted views only', async () => {
+      const redactedFace = await vault.storeFace(face());
+      const redactedDocument = await vault.storeDocument(document());
+
+      expect(redactedFace).toEqual({
+        captureId: expect.any(String),
+        confidence: 0.98,
+        liveness: {passed: true, score: identityLiveness.score},
+      });
+      expect(redactedDocument.extractedData).toMatchObject({
+        lastName: 'S••••',
+        documentNumber: '••••567',
+        address: '••••',
+      });
+    });
+
+    it('should encrypt descriptors and document data at rest', async () => {
+      await capture();
+
+      const raw = (await AsyncStorage.getItem(STORAGE_KEY))!;
+      expect(raw).not.toContain(identityDocument.documentNumber);
+      expect(raw).not.toContain(identityDocument.lastName);
+      expect(raw).not.toContain('Rivoli');
+      expect(raw).not.toContain(String(identityFace.descriptor[0]));
+      expect(raw).not.toContain(String(identityFace.portraitDescriptor[0]));
+    });
+
+    it('should keep its key on this device only', async () => {
+      await vault.storeFace(face());
+
+      expect(keyStore.setItemAsync).toHaveBeenCalledWith(
+        'zkid.privacyVault.key',
+        expect.stringMatching(/^0x[0-9a-f]{64}$/),
+        {keychainAccessible: 5}
+      );
+    });
+  });
+
+  describe('getInputs', () => {
+    it('should return the captures and the portrait match', async () => {
+      const captures = await capture();
+
+      await expect(vault.getInputs(captures)).resolves.toEqual({
+        faceData: face(),
+        idData: document(),
+        faceMatch,
+        supportingDocuments: [],
+      });
+    });
+
+    it('should return supporting documents with the captures', async () => {
+      const captures = await capture();
+      const {captureId} = await vault.storeDocument(license());
+
+      const inputs = await vault.getInputs({
+        ...captures,
+        supportingDocumentCaptureIds: [captureId],
+      });
+
+      expect(inputs.supportingDocuments).toEqual([license()]);
+    });
+
+    it('should match the stored selfie against the document photo', async () => {
+      const {captureId: faceCaptureId} = await vault.storeFace(face());
+      const {captureId: documentCaptureId} = await vault.storeDocument(document());
+      const match = jest.fn().mockResolvedValue(faceMatch);
+
+      const result = await vault.matchDocumentPortrait({faceCaptureId, documentCaptureId}, match);
+
+      expect(match).toHaveBeenCalledWith(face(), document().imageUri);
+      expect(result).toEqual({
+        similarity: 0.95,
+        threshold: identityFace.minSimilarity,
+        matched: true,
+      });
+    });
+
+    it('should refuse a document not yet matched to the selfie', async () => {
+      const {captureId: faceCaptureId} = await vault.storeFace(face());
+      const {captureId: documentCaptureId} = await vault.storeDocument(document());
+
+      await expect(vault.getInputs({faceCaptureId, documentCaptureId})).rejects.toThrow(
+        'Document portrait has not been matched to the selfie'
+      );
+    });
+
+    it('should refuse captures of the wrong kind', async () => {
+      const captures = await capture();
+
+      await expect(
+        vault.getInputs({
+          faceCaptureId: captures.documentCaptureId,
+          documentCaptureId: captures.faceCaptureId,
+        })
+      ).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should refuse a capture whose ciphertext was swapped in', async () => {
+      const captures = await capture();
+      const {captureId: other} = await vault.storeFace({...face(), confidence: 0.5});
+      const contents = JSON.parse((await AsyncStorage.getItem(STORAGE_KEY))!);
+      const target = contents.captures.find((c: any) => c.id === captures.faceCaptureId);
+      const source = contents.captures.find((c: any) => c.id === other);
+      Object.assign(target, {nonce: source.nonce, ciphertext: source.ciphertext});
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(contents));
+
+      await expect(vault.getInputs(captures)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should drop captures sealed under a lost key', async () => {
+      const captures = await capture();
+      keys.clear();
+
+      await vault.storeFace(face());
+
+      await expect(vault.getInputs(captures)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+      expect(fileSystem.deleted.has(documentPath)).toBe(true);
+    });
+  });
+
+  describe('checkDocumentConsistency', () => {
+    it('should find documents of the same person consistent', async () => {
+      const {documentCaptureId} = await capture();
+      const {captureId} = await vault.storeDocument(license());
+
+      await expect(
+        vault.checkDocumentConsistency([documentCaptureId, captureId])
+      ).resolves.toEqual([
+        {field: 'lastName', agrees: true},
+        {field: 'firstName', agrees: true},
+        {field: 'dateOfBirth', agrees: true},
+      ]);
+    });
+
+    it('should flag a document of someone else', async () => {
+      const {documentCaptureId} = await capture();
+      const {captureId} = await vault.storeDocument(license({lastName: 'SMYTH'}));
+
+      const checks = await vault.checkDocumentConsistency([documentCaptureId, captureId]);
+
+      expect(checks.filter(check => !check.agrees)).toEqual([
+        {field: 'lastName', agrees: false},
+      ]);
+    });
+
+    it('should refuse a selfie in place of a document', async () => {
+      const {faceCaptureId, documentCaptureId} = await capture();
+
+      await expect(
+        vault.checkDocumentConsistency([documentCaptureId, faceCaptureId])
+      ).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+  });
+
+  describe('shred', () => {
+    it('should overwrite a photo with random bytes before deleting it', async () => {
+      const path = fileSystem.add('Camera/large.jpg', 150 * 1024);
+
+      await expect(vault.shred(`file://${path}`)).resolves.toBe(true);
+
+      expect(fileSystem.files.has(path)).toBe(false);
+      const shredded = fileSystem.deleted.get(path)!;
+      expect(shredded.length).toBe(150 * 1024);
+      expect(shredded.filter(byte => byte === 0x42).length).toBeLessThan(2048);
+      expect(fileSystem.write).toHaveBeenCalledTimes(3);
+    });
+
+    it('should decode file URIs', async () => {
+      const path = fileSystem.add('Camera/my photo.jpg');
+
+      await expect(vault.shred(`file://${encodeURI(path)}`)).resolves.toBe(true);
+      expect(fileSystem.files.has(path)).toBe(false);
+    });
+
+    it('should never touch files outside the app\'s directories', async () => {
+      const gallery = '/storage/emulated/0/DCIM/photo.jpg';
+      fileSystem.files.set(gallery, new Uint8Array(16));
+
+      await expect(vault.shred(`file://${gallery}`)).resolves.toBe(false);
+      await expect(vault.shred(`${CACHE}/../../../storage/photo.jpg`)).resolves.toBe(false);
+      await expect(vault.shred('content://media/external/images/1')).resolves.toBe(false);
+      expect(fileSystem.unlink).not.toHaveBeenCalled();
+    });
+
+    it('should ignore photos that are already gone', async () => {
+      await expect(vault.shred(`${CACHE}/missing.jpg`)).resolves.toBe(false);
+    });
+  });
+
+  describe('deleting captures', () => {
+    it('should shred photos and keep the encrypted data', async () => {
+      const captures = await capture();
+
+      await vault.shredImages([captures.faceCaptureId, captures.documentCaptureId]);
+
+      expect(fileSystem.files.size).toBe(0);
+      await expect(vault.getInputs(captures)).resolves.toMatchObject({faceMatch});
+      await vault.remove([captures.faceCaptureId]);
+      expect(fileSystem.unlink).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry photos that could not be shredded', async () => {
+      const captures = await capture();
+      fileSystem.unlink.mockRejectedValueOnce(new Error('EBUSY'));
+
+      await vault.shredImages([captures.faceCaptureId]);
+      expect(fileSystem.files.has(selfiePath)).toBe(true);
+      await vault.shredImages([captures.faceCaptureId]);
+
+      expect(fileSystem.files.has(selfiePath)).toBe(false);
+    });
+
+    it('should remove captures with their photos', async () => {
+      const captures = await capture();
+
+      await vault.remove([captures.documentCaptureId]);
+
+      expect(fileSystem.deleted.has(documentPath)).toBe(true);
+      expect(fileSystem.files.has(selfiePath)).toBe(true);
+      await expect(vault.getInputs(captures)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should wipe every capture and destroy the key', async () => {
+      await capture();
+      await vault.setRetentionPolicy({captureMaxAge: HOUR, deleteAfterVerification: false});
+
+      await vault.wipe();
+
+      expect(fileSystem.files.size).toBe(0);
+      await expect(AsyncStorage.getItem(STORAGE_KEY)).resolves.toBeNull();
+      expect(keys.size).toBe(0);
+      // Preferences are not personal data
+      await expect(vault.getRetentionPolicy()).resolves.toMatchObject({captureMaxAge: HOUR});
+    });
+  });
+
+  describe('retention', () => {
+    beforeEach(() => {
+      jest.setSystemTime(new Date('2024-03-01T12:00:00Z'));
+    });
+
+    it('should default to a day, deleting captures after verification', async () => {
+      await expect(vault.getRetentionPolicy()).resolves.toEqual(DEFAULT_RETENTION_POLICY);
+      expect(DEFAULT_RETENTION_POLICY).toEqual({
+        captureMaxAge: 24 * HOUR,
+        deleteAfterVerification: true,
+      });
+    });
+
+    it('should delete captures older than the policy allows', async () => {
+      const old = await capture();
+      jest.setSystemTime(new Date('2024-03-02T11:00:00Z'));
+      const recent = await vault.storeFace(face());
+
+      await expect(vault.enforceRetention(new Date('2024-03-02T12:30:00Z'))).resolves.toBe(2);
+
+      await expect(vault.getInputs(old)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+      expect(fileSystem.deleted.has(documentPath)).toBe(true);
+      await expect(
+        vault.matchDocumentPortrait(
+          {faceCaptureId: recent.captureId, documentCaptureId: old.documentCaptureId},
+          async () => faceMatch
+        )
+      ).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should not open expired captures', async () => {
+      const captures = await capture();
+      jest.setSystemTime(new Date('2024-03-02T12:00:00Z'));
+
+      await expect(vault.getInputs(captures)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should apply a shorter policy straight away', async () => {
+      const captures = await capture();
+      jest.setSystemTime(new Date('2024-03-01T14:00:00Z'));
+
+      await vault.setRetentionPolicy({captureMaxAge: HOUR, deleteAfterVerification: true});
+
+      await expect(vault.getRetentionPolicy()).resolves.toEqual({
+        captureMaxAge: HOUR,
+        deleteAfterVerification: true,
+      });
+      expect(fileSystem.files.size).toBe(0);
+      await expect(vault.getInputs(captures)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should reject a retention period that is not positive', async () => {
+      await expect(
+        vault.setRetentionPolicy({captureMaxAge: 0, deleteAfterVerification: true})
+      ).rejects.toThrow('Retention period must be positive');
+    });
+  });
+});
@@ -0,0 +1,638 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import {ethers} from 'ethers';
+import {MoproService, PROOF_ABORTED} from '@services/MoproService';
+import {
+  CAPTURE_UNAVAILABLE,
+  PrivacyVaultService,
+  VaultFileSystem,
+  VaultKeyStore,
+} from '@services/PrivacyVaultService';
+import {
+  DOCUMENTS_INCONSISTENT,
+  PIPELINE_CANCELLED,
+  ProofPipelineService,
+  SaltStore,
+  TRANSFER_DECLINED,
+} from '@services/ProofPipelineService';
+import {VerificationStatusService} from '@services/VerificationStatusService';
+import {Web3Service} from '@services/Web3Service';
+import {
+  IDDocument,
+  PipelineProgress,
+  ProofJob,
+  TransactionResult,
+  VerificationCaptures,
+  VerificationInputs,
+} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {LOCALHOST_CHAIN_ID, getNetwork} from '@utils/networks';
+import {
+  identityAccount,
+  identityDocument,
+  identityFace,
+  identityLiveness,
+  proof,
+  publicSignals,
+} from '../fixtures/groth16';
+
+const STORAGE_KEY = '@zkid/proof_job';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const PROOF_HASH = '0x' + 'cd'.repeat(32);
+const ATTESTATION = '0x' + 'ef'.repeat(65);
+const EXPIRES_AT = 1731536000;
+
+const inputs: VerificationInputs = {
+  faceData: {
+    imageUri: 'file:///selfie.jpg',
+    faceDescriptor: identityFace.descriptor,
+    confidence: 0.98,
+    boundingBox: {x: 0, y: 0, width: 100, height: 100},
+    liveness: identityLiveness,
+  },
+  idData: {
+    type: 'passport',
+    imageUri: 'file:///passport.jpg',
+    extractedData: identityDocument,
+    confidence: 0.95,
+  },
+  faceMatch: {
+    portrait: {
+      imageUri: 'file:///passport.jpg',
+      faceDescriptor: identityFace.portraitDescriptor,
+      confidence: 0.9,
+      boundingBox: {x: 0, y: 0, width: 50, height: 50},
+    },
+    similarity: 0.95,
+    threshold: identityFace.minSimilarity,
+    matched: true,
+  },
+  supportingDocuments: [],
+};
+
+const transaction: TransactionResult = {
+  hash: TX_HASH,
+  blockNumber: 42,
+  gasUsed: '123456',
+  status: 'success',
+  proofHash: PROOF_HASH,
+  chainId: LOCALHOST_CHAIN_ID,
+};
+
+describe('ProofPipelineService', () => {
+  let moproService: any;
+  let web3Service: any;
+  let verificationStatusService: VerificationStatusService;
+  let secrets: Map<string, string>;
+  let saltStore: SaltStore;
+  let privacyVault: PrivacyVaultService;
+  let captures: VerificationCaptures;
+  let networkListeners: Array<(state: {isConnected: boolean}) => void>;
+  let unsubscribe: jest.Mock;
+  const confirmTransfer = jest.fn();
+
+  const createPipeline = () =>
+    new ProofPipelineService(
+      moproService as MoproService,
+      web3Service as Web3Service,
+      verificationStatusService,
+      saltStore,
+      privacyVault
+    );
+
+  // Store captures the way the face and document screens do
+  const storeCaptures = async (
+    verification: VerificationInputs = inputs
+  ): Promise<VerificationCaptures> => {
+    const face = await privacyVault.storeFace(verification.faceData);
+    const document = await privacyVault.storeDocument(verification.idData);
+    const stored = {faceCaptureId: face.captureId, documentCaptureId: document.captureId};
+    await privacyVault.matchDocumentPortrait(stored, async () => verification.faceMatch);
+    return stored;
+  };
+
+  const storedJob = async (): Promise<ProofJob | null> => {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  const sendAndConfirm = async (
+    _proof: unknown,
+    _attestation: string,
+    onSent: (txHash: string) => Promise<void>
+  ): Promise<TransactionResult> => {
+    await onSent(TX_HASH);
+    return transaction;
+  };
+
+  const flushUntil = async (condition: () => boolean) => {
+    while (!condition()) {
+      await Promise.resolve();
+    }
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+
+    moproService = {
+      generateProof: jest.fn(async (_inputs, onProgress) => {
+        onProgress?.({step: 'Reading Wtns', fraction: 0.2});
+        return {proof: encodeProof(proof), publicInputs: publicSignals};
+      }),
+      getVerificationKey: jest.fn().mockResolvedValue('{}'),
+      verifyProof: jest.fn().mockResolvedValue(true),
+    };
+    web3Service = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      isConnected: jest.fn(() => true),
+      getNetwork: jest.fn(() => getNetwork(LOCALHOST_CHAIN_ID)),
+      getAddress: jest.fn().mockResolvedValue(identityAccount),
+      requestAttestation: jest.fn().mockResolvedValue(ATTESTATION),
+      submitProof: jest.fn(sendAndConfirm),
+      transferVerification: jest.fn(sendAndConfirm),
+      waitForProof: jest.fn().mockResolvedValue(transaction),
+      getExpiry: jest.fn().mockResolvedValue(EXPIRES_AT),
+    };
+    verificationStatusService = new VerificationStatusService();
+
+    secrets = new Map();
+    saltStore = {
+      getItemAsync: jest.fn(async (key: string) => secrets.get(key) ?? null),
+      setItemAsync: jest.fn(async (key: string, value: string) => {
+        secrets.set(key, value);
+      }),
+      deleteItemAsync: jest.fn(async (key: string) => {
+        secrets.delete(key);
+      }),
+    };
+
+    const vaultKeys = new Map<string, string>();
+    const vaultKeyStore = {
+      getItemAsync: jest.fn(async (key: string) => vaultKeys.get(key) ?? null),
+      setItemAsync: jest.fn(async (key: string, value: string) => {
+        vaultKeys.set(key, value);
+      }),
+      deleteItemAsync: jest.fn(async (key: string) => {
+        vaultKeys.delete(key);
+      }),
+    } as VaultKeyStore;
+    const fileSystem = {
+      CachesDirectoryPath: '/cache',
+      exists: jest.fn().mockResolvedValue(false),
+    } as unknown as VaultFileSystem;
+    privacyVault = new PrivacyVaultService(vaultKeyStore, fileSystem);
+    captures = await storeCaptures();
+
+    networkListeners = [];
+    unsubscribe = jest.fn();
+    (NetInfo.fetch as jest.Mock).mockResolvedValue({isConnected: true});
+    (NetInfo.addEventListener as jest.Mock).mockImplementation(listener => {
+      networkListeners.push(listener);
+      return unsubscribe;
+    });
+    confirmTransfer.mockReset();
+  });
+
+  it('should run every stage and return the credential', async () => {
+    const progress: PipelineProgress[] = [];
+
+    const credential = await createPipeline().run({
+      captures,
+      confirmTransfer,
+      onProgress: update => progress.push(update),
+    });
+
+    const [proofInputs] = moproService.generateProof.mock.calls[0];
+    expect(proofInputs.account).toBe(identityAccount);
+    expect(proofInputs.document.salt).toBe(credential.commitmentSalt);
+    expect(web3Service.requestAttestation).toHaveBeenCalledWith({
+      idCommitment: proofInputs.idHash,
+      documentType: 'passport',
+      extractedData: proofInputs.document.extractedData,
+      portrait: proofInputs.document.portrait,
+      salt: credential.commitmentSalt,
+    });
+    expect(web3Service.submitProof).toHaveBeenCalledWith(
+      credential.proof,
+      ATTESTATION,
+      expect.any(Function)
+    );
+    expect(moproService.verifyProof).toHaveBeenCalled();
+    expect(credential.proof.proof).toMatch(/^[0-9a-f]{512}$/);
+    expect(credential.proof.proof).toBe(ethers.hexlify(encodeProof(proof)).slice(2));
+    expect(credential).toMatchObject({
+      id: PROOF_HASH,
+      address: identityAccount,
+      transaction,
+      documentType: 'passport',
+      predicates: [],
+      expiresAt: EXPIRES_AT,
+    });
+    await expect(verificationStatusService.load()).resolves.toEqual({
+      address: identityAccount,
+      proofHash: PROOF_HASH,
+      transactionHash: TX_HASH,
+      expiresAt: EXPIRES_AT,
+    });
+
+    expect(progress.map(update => update.stage)).toEqual([
+      'prepare',
+      'prove',
+      'prove',
+      'verify',
+      'submit',
+      'confirm',
+      'confirm',
+      'done',
+    ]);
+    // Prover progress is scaled into the prove stage's share of the bar
+    expect(progress[2].fraction).toBeCloseTo(0.2);
+    const fractions = progress.map(update => update.fraction);
+    expect(fractions).toEqual([...fractions].sort((a, b) => a - b));
+    expect(fractions[fractions.length - 1]).toBe(1);
+  });
+
+  it('should not prove a document the issuer refused', async () => {
+    web3Service.requestAttestation.mockRejectedValueOnce(
+      new Error('Issuer refused the document: Document not recognized')
+    );
+
+    await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow(
+      'Document not recognized'
+    );
+    expect(moproService.generateProof).not.toHaveBeenCalled();
+  });
+
+  it('should forget the job and its salt once the verification completes', async () => {
+    const pipeline = createPipeline();
+
+    await pipeline.run({captures, confirmTransfer});
+
+    await expect(storedJob()).resolves.toBeNull();
+    expect(secrets.size).toBe(0);
+    await expect(pipeline.getResumable()).resolves.toBeNull();
+  });
+
+  it('should never persist the captured face or document data', async () => {
+    web3Service.submitProof.mockRejectedValue(new Error('Proof submission failed: timeout'));
+
+    await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow('timeout');
+
+    const raw = (await AsyncStorage.getItem(STORAGE_KEY))!;
+    expect(raw).not.toContain(identityDocument.documentNumber);
+    expect(raw).not.toContain(identityDocument.lastName);
+    expect(raw).not.toContain(String(identityFace.descriptor[0]));
+    expect(raw).not.toContain(secrets.values().next().value);
+  });
+
+  describe('captures', () => {
+    it('should read the face and document from the privacy vault', async () => {
+      await createPipeline().run({captures, confirmTransfer});
+
+      const [proofInputs] = moproService.generateProof.mock.calls[0];
+      expect(proofInputs.document.extractedData).toEqual(identityDocument);
+      expect(proofInputs.face.descriptor).toEqual(identityFace.descriptor);
+    });
+
+    it('should shred the photos once the proof is generated', async () => {
+      const shredImages = jest.spyOn(privacyVault, 'shredImages');
+
+      await createPipeline().run({captures, confirmTransfer});
+
+      expect(shredImages).toHaveBeenCalledWith([
+        captures.faceCaptureId,
+        captures.documentCaptureId,
+      ]);
+      expect(shredImages.mock.invocationCallOrder[0]).toBeGreaterThan(
+        moproService.generateProof.mock.invocationCallOrder[0]
+      );
+      expect(shredImages.mock.invocationCallOrder[0]).toBeLessThan(
+        moproService.verifyProof.mock.invocationCallOrder[0]
+      );
+    });
+
+    it('should delete the captures once the verification completes', async () => {
+      await createPipeline().run({captures, confirmTransfer});
+
+      await expect(privacyVault.getInputs(captures)).rejects.toThrow(CAPTURE_UNAVAILABLE);
+    });
+
+    it('should keep the captures if the retention policy asks to', async () => {
+      await privacyVault.setRetentionPolicy({
+        captureMaxAge: 60 * 60 * 1000,
+        deleteAfterVerification: false,
+      });
+
+      await createPipeline().run({captures, confirmTransfer});
+
+      await expect(privacyVault.getInputs(captures)).resolves.toMatchObject({
+        idData: {extractedData: identityDocument},
+      });
+    });
+
+    describe('with a supporting document', () => {
+      const license = (extractedData: Partial<IDDocument['extractedData']> = {}) =>
+        privacyVault.storeDocument({
+          type: 'drivers_license',
+          imageUri: 'file:///license.jpg',
+          extractedData: {...identityDocument, documentNumber: 'S1234567', ...extractedData},
+          confidence: 0.99,
+        });
+
+      it('should clean up the supporting document with the others', async () => {
+        const {captureId} = await license({firstName: 'JANE MARIE'});
+        const withLicense = {...captures, supportingDocumentCaptureIds: [captureId]};
+        const shredImages = jest.spyOn(privacyVault, 'shredImages');
+
+        await createPipeline().run({captures: withLicense, confirmTransfer});
+
+        expect(shredImages).toHaveBeenCalledWith([
+          captures.faceCaptureId,
+          captures.documentCaptureId,
+          captureId,
+        ]);
+        await expect(privacyVault.checkDocumentConsistency([captureId])).rejects.toThrow(
+          CAPTURE_UNAVAILABLE
+        );
+      });
+
+      it('should refuse documents of another person before proving', async () => {
+        const {captureId} = await license({dateOfBirth: '1991-06-15'});
+
+        await expect(
+          createPipeline().run({
+            captures: {...captures, supportingDocumentCaptureIds: [captureId]},
+            confirmTransfer,
+          })
+        ).rejects.toThrow(DOCUMENTS_INCONSISTENT);
+        expect(moproService.generateProof).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should fail if the captures were deleted before the proof', async () => {
+      await privacyVault.remove([captures.faceCaptureId]);
+
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow(
+        CAPTURE_UNAVAILABLE
+      );
+      expect(moproService.generateProof).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resuming', () => {
+    it('should resume submission after a restart without the captures', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: timeout'));
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow('timeout');
+
+      // A new instance stands in for the restarted app
+      const restarted = createPipeline();
+      await expect(restarted.getResumable()).resolves.toMatchObject({stage: 'submit'});
+      const credential = await restarted.run({confirmTransfer});
+
+      expect(moproService.generateProof).toHaveBeenCalledTimes(1);
+      expect(web3Service.submitProof).toHaveBeenCalledTimes(2);
+      expect(credential.id).toBe(PROOF_HASH);
+    });
+
+    it('should wait for a sent transaction instead of sending it again', async () => {
+      web3Service.submitProof.mockImplementationOnce(async (_proof: unknown, _attestation: string, onSent: any) => {
+        await onSent(TX_HASH);
+        throw new Error('Proof submission failed: timeout');
+      });
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow('timeout');
+      await expect(storedJob()).resolves.toMatchObject({
+        stage: 'confirm',
+        method: 'submitProof',
+        transactionHash: TX_HASH,
+      });
+
+      await createPipeline().run({confirmTransfer});
+
+      expect(web3Service.waitForProof).toHaveBeenCalledWith(TX_HASH);
+      expect(web3Service.submitProof).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send again if the transaction failed on-chain', async () => {
+      web3Service.submitProof.mockImplementationOnce(async (_proof: unknown, _attestation: string, onSent: any) => {
+        await onSent(TX_HASH);
+        throw new Error('Proof submission failed: timeout');
+      });
+      web3Service.waitForProof.mockResolvedValueOnce({...transaction, status: 'failed'});
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow('timeout');
+
+      await expect(createPipeline().run({confirmTransfer})).rejects.toThrow(
+        'Verification transaction failed'
+      );
+      await expect(storedJob()).resolves.toMatchObject({stage: 'submit'});
+
+      await createPipeline().run({confirmTransfer});
+      expect(web3Service.submitProof).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reconnect to the network the proof was prepared on', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: timeout'));
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow('timeout');
+      web3Service.isConnected.mockReturnValue(false);
+
+      await createPipeline().run({confirmTransfer});
+
+      expect(web3Service.connect).toHaveBeenLastCalledWith(getNetwork(LOCALHOST_CHAIN_ID));
+    });
+
+    it('should continue the pending job for the same captures', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: timeout'));
+      const pipeline = createPipeline();
+      await expect(pipeline.run({captures, confirmTransfer})).rejects.toThrow('timeout');
+
+      await pipeline.run({captures, confirmTransfer});
+
+      expect(moproService.generateProof).toHaveBeenCalledTimes(1);
+    });
+
+    it('should start over for new captures', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: timeout'));
+      const pipeline = createPipeline();
+      await expect(pipeline.run({captures, confirmTransfer})).rejects.toThrow('timeout');
+
+      await pipeline.run({captures: await storeCaptures(), confirmTransfer});
+
+      expect(moproService.generateProof).toHaveBeenCalledTimes(2);
+    });
+
+    it('should need the captures until the proof is generated', async () => {
+      moproService.generateProof.mockRejectedValueOnce(new Error('Assert Failed'));
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow(
+        'Assert Failed'
+      );
+
+      await expect(createPipeline().getResumable()).resolves.toBeNull();
+      await expect(createPipeline().run({confirmTransfer})).rejects.toThrow(
+        'No verification to resume'
+      );
+    });
+  });
+
+  describe('network loss', () => {
+    it('should wait for the network and retry the stage', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: timeout'));
+      (NetInfo.fetch as jest.Mock).mockResolvedValueOnce({isConnected: false});
+      const progress: PipelineProgress[] = [];
+
+      const run = createPipeline().run({
+        captures,
+        confirmTransfer,
+        onProgress: update => progress.push(update),
+      });
+      await flushUntil(() => networkListeners.length > 0);
+      networkListeners[0]({isConnected: false});
+      expect(web3Service.submitProof).toHaveBeenCalledTimes(1);
+      networkListeners[0]({isConnected: true});
+
+      await expect(run).resolves.toMatchObject({id: PROOF_HASH});
+      expect(web3Service.submitProof).toHaveBeenCalledTimes(2);
+      expect(unsubscribe).toHaveBeenCalled();
+      expect(progress).toContainEqual({
+        stage: 'submit',
+        fraction: 0.85,
+        message: 'Waiting for a network connection...',
+        waitingForNetwork: true,
+      });
+    });
+
+    it('should not wait out failures while online', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: reverted'));
+
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow('reverted');
+      expect(NetInfo.addEventListener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    it('should keep the output of a stage that finishes after cancel', async () => {
+      let finishProof: () => void = () => {};
+      moproService.generateProof.mockImplementationOnce(
+        () =>
+          new Promise(resolve => {
+            finishProof = () => resolve({proof: encodeProof(proof), publicInputs: publicSignals});
+          })
+      );
+      const pipeline = createPipeline();
+
+      const run = pipeline.run({captures, confirmTransfer});
+      await flushUntil(() => moproService.generateProof.mock.calls.length > 0);
+      pipeline.cancel();
+      finishProof();
+
+      await expect(run).rejects.toThrow(PIPELINE_CANCELLED);
+      expect(moproService.verifyProof).not.toHaveBeenCalled();
+      await expect(storedJob()).resolves.toMatchObject({stage: 'verify'});
+    });
+
+    it('should abort proof generation without waiting for it', async () => {
+      // Never finishes on its own, like a prover on a slow device
+      moproService.generateProof.mockImplementationOnce(
+        (_inputs: unknown, _onProgress: unknown, signal: AbortSignal) =>
+          new Promise((_resolve, reject) =>
+            signal.addEventListener('abort', () => reject(new Error(PROOF_ABORTED)))
+          )
+      );
+      const pipeline = createPipeline();
+
+      const run = pipeline.run({captures, confirmTransfer});
+      await flushUntil(() => moproService.generateProof.mock.calls.length > 0);
+      pipeline.cancel();
+
+      await expect(run).rejects.toThrow(PIPELINE_CANCELLED);
+      await expect(storedJob()).resolves.toMatchObject({stage: 'prove'});
+    });
+
+    it('should stop waiting for the network', async () => {
+      web3Service.submitProof.mockRejectedValueOnce(new Error('Proof submission failed: timeout'));
+      (NetInfo.fetch as jest.Mock).mockResolvedValueOnce({isConnected: false});
+      const pipeline = createPipeline();
+
+      const run = pipeline.run({captures, confirmTransfer});
+      await flushUntil(() => networkListeners.length > 0);
+      pipeline.cancel();
+
+      await expect(run).rejects.toThrow(PIPELINE_CANCELLED);
+      expect(unsubscribe).toHaveBeenCalled();
+      await expect(pipeline.getResumable()).resolves.toMatchObject({stage: 'submit'});
+    });
+  });
+
+  describe('transfers', () => {
+    beforeEach(() => {
+      web3Service.submitProof.mockRejectedValue(
+        new Error('Proof submission failed: Nullifier already used')
+      );
+    });
+
+    it('should move the verification when the user agrees', async () => {
+      confirmTransfer.mockResolvedValue(true);
+
+      await createPipeline().run({captures, confirmTransfer});
+
+      expect(web3Service.transferVerification).toHaveBeenCalledWith(
+        expect.anything(),
+        ATTESTATION,
+        expect.any(Function)
+      );
+    });
+
+    it('should discard the job when the user declines', async () => {
+      confirmTransfer.mockResolvedValue(false);
+
+      await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow(
+        TRANSFER_DECLINED
+      );
+      expect(web3Service.transferVerification).not.toHaveBeenCalled();
+      await expect(storedJob()).resolves.toBeNull();
+    });
+  });
+
+  it('should generate the proof again if it fails local verification', async () => {
+    moproService.verifyProof.mockResolvedValueOnce(false);
+
+    await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow(
+      'Generated proof failed local verification'
+    );
+    expect(web3Service.submitProof).not.toHaveBeenCalled();
+    const job = await storedJob();
+    expect(job).toMatchObject({stage: 'prove'});
+    expect(job!.proof).toBeUndefined();
+  });
+
+  it('should refuse to submit for another account', async () => {
+    web3Service.getAddress
+      .mockResolvedValueOnce(identityAccount)
+      .mockResolvedValue('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+
+    await expect(createPipeline().run({captures, confirmTransfer})).rejects.toThrow(
+      'Wallet account changed'
+    );
+    expect(web3Service.submitProof).not.toHaveBeenCalled();
+  });
+
+  it('should require a passed liveness check before preparing', async () => {
+    const withoutLiveness = await storeCaptures({
+      ...inputs,
+      faceData: {...inputs.faceData, liveness: undefined},
+    });
+
+    await expect(
+      createPipeline().run({captures: withoutLiveness, confirmTransfer})
+    ).rejects.toThrow('Liveness check not passed');
+    expect(web3Service.connect).not.toHaveBeenCalled();
+  });
+
+  it('should not run twice at once', async () => {
+    const pipeline = createPipeline();
+
+    const run = pipeline.run({captures, confirmTransfer});
+    await expect(pipeline.run({captures, confirmTransfer})).rejects.toThrow(
+      'Verification already running'
+    );
+    await run;
+  });
+});
@@ -0,0 +1,110 @@
+import FaceDetection from '@react-native-ml-kit/face-detection';
+import TextRecognition from '@react-native-ml-kit/text-recognition';
+import {ethers} from 'ethers';
+import {encode} from 'jpeg-js';
+import RNFS from 'react-native-fs';
+import {loadTensorflowModel} from 'react-native-fast-tflite';
+import {IDVerificationService} from '@services/IDVerificationService';
+import {createServiceContainer} from '@services/ServiceContainer';
+import {SIMULATED_DOCUMENT_TEXT, renderSimulatedCapture} from '@/simulation';
+import {FACE_DESCRIPTOR_LENGTH} from '@utils/faceMatch';
+
+/**
+ * Encode the simulated passport photo as the camera would save it
+ * @returns Promise<string> - Base64 JPEG
+ */
+async function passportJpeg(): Promise<string> {
+  const photo = await renderSimulatedCapture();
+  const rgba = new Uint8Array(photo.width * photo.height * 4);
+  photo.data.forEach((value, i) => rgba.fill(value, i * 4, i * 4 + 3).fill(255, i * 4 + 3));
+  return ethers.encodeBase64(
+    encode({width: photo.width, height: photo.height, data: rgba}, 95).data
+  );
+}
+
+/**
+ * Answer ML Kit calls in the order the passport layout is read
+ * @param zones - Text of each region, MRZ first
+ */
+function recognizeInOrder(zones: string[]): void {
+  for (const text of zones) {
+    (TextRecognition.recognize as jest.Mock).mockResolvedValueOnce({
+      text,
+      blocks: [{text, lines: text.split('\n').map(line => ({text: line, elements: []}))}],
+    });
+  }
+}
+
+describe('createServiceContainer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should read documents with the on-device engines', async () => {
+    (RNFS.readFile as jest.Mock).mockResolvedValue(await passportJpeg());
+    const {mrz, documentNumber, lastName, firstName, dateOfBirth, expiryDate} =
+      SIMULATED_DOCUMENT_TEXT;
+    recognizeInOrder([
+      // ML Kit splits the MRZ into words at runs of fillers
+      mrz!.replace('DOE<<JOHN', 'DOE<< JOHN'),
+      documentNumber!,
+      lastName!,
+      firstName!,
+      dateOfBirth!,
+      expiryDate!,
+    ]);
+
+    const {idVerification} = createServiceContainer();
+    const document = await idVerification.extractData('file:///photos/passport.jpg', 'passport');
+
+    expect(RNFS.readFile).toHaveBeenCalledWith('/photos/passport.jpg', 'base64');
+    expect(document.type).toBe('passport');
+    expect(document.extractedData).toMatchObject({
+      documentNumber: '123456789',
+      firstName: 'JOHN',
+      lastName: 'DOE',
+      dateOfBirth: '1990-01-15',
+    });
+    expect(document.zoneChecks?.every(check => check.agrees)).toBe(true);
+
+    // Every region is handed to ML Kit as a file, then removed
+    const paths = (RNFS.writeFile as jest.Mock).mock.calls.map(([path]) => path);
+    expect(paths).toHaveLength(6);
+    expect(TextRecognition.recognize).toHaveBeenCalledWith(`file://${paths[0]}`);
+    expect((RNFS.unlink as jest.Mock).mock.calls.map(([path]) => path)).toEqual(paths);
+  });
+
+  it('should detect faces with the on-device engines', async () => {
+    (RNFS.readFile as jest.Mock).mockResolvedValue(await passportJpeg());
+    (FaceDetection.detect as jest.Mock).mockResolvedValue([
+      {
+        frame: {left: 40, top: 60, width: 80, height: 100},
+        rotationX: 0,
+        rotationY: 0,
+        rotationZ: 0,
+      },
+    ]);
+    const run = jest.fn(() =>
+      Promise.resolve([Float32Array.from({length: FACE_DESCRIPTOR_LENGTH}, (_, i) => i)])
+    );
+    (loadTensorflowModel as jest.Mock).mockResolvedValue({run});
+
+    const {faceVerification} = createServiceContainer();
+    const face = await faceVerification.detectFace('file:///photos/selfie.jpg');
+
+    expect(FaceDetection.detect).toHaveBeenCalledWith('file:///photos/selfie.jpg', {
+      performanceMode: 'accurate',
+    });
+    expect(loadTensorflowModel).toHaveBeenCalledWith({
+      url: expect.stringMatching(/face_embedding\.tflite$/),
+    });
+    expect(face.boundingBox).toEqual({x: 40, y: 60, width: 80, height: 100});
+    expect(face.faceDescriptor).toHaveLength(FACE_DESCRIPTOR_LENGTH);
+    expect(Math.hypot(...face.faceDescriptor)).toBeCloseTo(1);
+  });
+
+  it('should keep services passed in', () => {
+    const idVerification = new IDVerificationService();
+    expect(createServiceContainer({idVerification}).idVerification).toBe(idVerification);
+  });
+});
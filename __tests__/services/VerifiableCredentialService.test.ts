@@ -0,0 +1,138 @@
+import {ethers} from 'ethers';
+import {MoproService} from '@services/MoproService';
+import {VerifiableCredentialService} from '@services/VerifiableCredentialService';
+import {Web3Service} from '@services/Web3Service';
+import {StoredCredential} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {computeProofHash} from '@utils/presentation';
+import {credentialToVc, getVpSigningMessage} from '@utils/verifiableCredential';
+import {identityAccount, identitySalt, proof, publicSignals} from '../fixtures/groth16';
+import {identityAgeOverProof, identityAgeOverPublicSignals} from '../fixtures/predicates';
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+describe('VerifiableCredentialService', () => {
+  const identityProof = Buffer.from(encodeProof(proof)).toString('hex');
+  const credential: StoredCredential = {
+    id: computeProofHash({proof: '0x' + identityProof, publicSignals}, identityAccount),
+    address: identityAccount,
+    proof: {proof: identityProof, publicSignals, verificationKey: '{}'},
+    transaction: {hash: '0x' + 'ab'.repeat(32), blockNumber: 12, gasUsed: '210000', status: 'success'},
+    commitmentSalt: identitySalt,
+    documentType: 'passport',
+    predicates: [
+      {
+        predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-03-01'},
+        predicateId: 'age_over:18',
+        publicInputs: identityAgeOverPublicSignals,
+        proof: Buffer.from(encodeProof(identityAgeOverProof)).toString('hex'),
+        provenAt: NOW.getTime(),
+      },
+    ],
+    createdAt: NOW.getTime(),
+    expiresAt: 1893456000,
+  };
+
+  let web3Service: {[method: string]: jest.Mock};
+  let moproService: {verifyProof: jest.Mock; verifyPredicateProof: jest.Mock};
+  let service: VerifiableCredentialService;
+
+  beforeEach(() => {
+    web3Service = {
+      getAddress: jest.fn().mockResolvedValue(identityAccount),
+      getChainId: jest.fn().mockResolvedValue(31337),
+      getContractAddress: jest.fn().mockReturnValue(CONTRACT),
+      signMessage: jest.fn().mockResolvedValue('0x' + '99'.repeat(65)),
+      verifyProof: jest.fn().mockResolvedValue(true),
+      getVerificationStatus: jest.fn().mockResolvedValue(true),
+    };
+    moproService = {
+      verifyProof: jest.fn().mockResolvedValue(true),
+      verifyPredicateProof: jest.fn().mockResolvedValue(true),
+    };
+    service = new VerifiableCredentialService(
+      web3Service as unknown as Web3Service,
+      moproService as unknown as MoproService
+    );
+  });
+
+  describe('exportCredential', () => {
+    it('should issue the credential on the connected chain', async () => {
+      await expect(service.exportCredential(credential)).resolves.toEqual(
+        credentialToVc(credential, 31337, CONTRACT)
+      );
+    });
+
+    it('should refuse credentials of another wallet', async () => {
+      web3Service.getAddress.mockResolvedValue('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+
+      await expect(service.exportCredential(credential)).rejects.toThrow(
+        'Connected wallet does not hold this credential'
+      );
+    });
+  });
+
+  describe('exportPresentation', () => {
+    it('should sign the presentation with the connected wallet', async () => {
+      const vp = await service.exportPresentation([credential], '0x01', 'Example Shop', NOW);
+
+      expect(vp.holder).toBe(`did:pkh:eip155:31337:${identityAccount}`);
+      expect(vp.proof).toMatchObject({challenge: '0x01', domain: 'Example Shop'});
+      expect(vp.proof.proofValue).toBe('0x' + '99'.repeat(65));
+      expect(web3Service.signMessage).toHaveBeenCalledWith(getVpSigningMessage(vp));
+    });
+  });
+
+  describe('verifyDocument', () => {
+    it('should verify a credential with the app circuits and contract', async () => {
+      const vc = credentialToVc(credential, 31337, CONTRACT);
+
+      const result = await service.verifyDocument(JSON.stringify(vc), NOW);
+
+      expect(result.valid).toBe(true);
+      expect(result.credentials[0].predicates).toEqual(['age_over:18']);
+      expect(moproService.verifyProof).toHaveBeenCalledWith({
+        proof: encodeProof(proof),
+        publicInputs: publicSignals,
+      });
+      expect(moproService.verifyPredicateProof).toHaveBeenCalledWith({
+        proof: encodeProof(identityAgeOverProof),
+        publicInputs: identityAgeOverPublicSignals,
+        predicate: vc.credentialSubject.predicates[0].predicate,
+        predicateId: 'age_over:18',
+      });
+      expect(web3Service.verifyProof).toHaveBeenCalledWith(credential.id);
+      expect(web3Service.getVerificationStatus).toHaveBeenCalledWith(identityAccount);
+    });
+
+    it('should verify a presentation without expecting a challenge', async () => {
+      const holder = new ethers.Wallet(
+        '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+      );
+      web3Service.signMessage.mockImplementation((message: string) => holder.signMessage(message));
+      const vp = await service.exportPresentation([credential], '0x01', 'Someone', NOW);
+
+      const result = await service.verifyDocument(JSON.stringify(vp), NOW);
+
+      expect(result.errors).toEqual([]);
+      expect(result.holder).toBe(identityAccount);
+    });
+
+    it('should report proofs the app circuits reject', async () => {
+      moproService.verifyProof.mockResolvedValue(false);
+      const vc = credentialToVc(credential, 31337, CONTRACT);
+
+      const result = await service.verifyDocument(JSON.stringify(vc), NOW);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Identity proof is invalid']);
+    });
+
+    it('should reject documents that are not credentials', async () => {
+      await expect(service.verifyDocument('{"type": []}', NOW)).rejects.toThrow(
+        'Unsupported verifiable credential'
+      );
+    });
+  });
+});
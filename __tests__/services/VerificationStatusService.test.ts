@@ -0,0 +1,53 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {VerificationStatusService} from '@services/VerificationStatusService';
+import {StoredVerification} from '@types/index';
+
+describe('VerificationStatusService', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const verification: StoredVerification = {
+    address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    proofHash: '0x' + 'cd'.repeat(32),
+    transactionHash: '0x' + 'ab'.repeat(32),
+    expiresAt: now.getTime() / 1000 + 10 * 24 * 60 * 60,
+  };
+
+  let service: VerificationStatusService;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    service = new VerificationStatusService();
+  });
+
+  it('should round-trip the stored verification', async () => {
+    await service.save(verification);
+
+    await expect(service.load()).resolves.toEqual(verification);
+  });
+
+  it('should report the expiry state of the stored verification', async () => {
+    await service.save(verification);
+
+    await expect(service.getStatus(now)).resolves.toEqual({
+      state: 'expiring',
+      expiresAt: verification.expiresAt,
+      daysRemaining: 10,
+    });
+  });
+
+  it('should report no verification when nothing is stored', async () => {
+    await expect(service.getStatus(now)).resolves.toEqual({state: 'none'});
+  });
+
+  it('should treat unreadable records as missing', async () => {
+    await AsyncStorage.setItem('@zkid/verification', '{not json');
+
+    await expect(service.load()).resolves.toBeNull();
+  });
+
+  it('should clear the stored verification', async () => {
+    await service.save(verification);
+    await service.clear();
+
+    await expect(service.load()).resolves.toBeNull();
+  });
+});
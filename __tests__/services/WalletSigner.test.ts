@@ -0,0 +1,241 @@
+import {ethers} from 'ethers';
+import {
+  ExternalWalletProvider,
+  ExternalWalletSigner,
+  InAppWalletSigner,
+  InjectedWalletSigner,
+  KeyStore,
+} from '@services/WalletSigner';
+
+// Hardhat's first two default accounts
+const FIRST_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const FIRST_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const SECOND_ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const provider = {
+  getNetwork: jest.fn(async () => ethers.Network.from(31337)),
+} as unknown as ethers.Provider;
+
+describe('InjectedWalletSigner', () => {
+  it('should connect the signer to the provider', async () => {
+    const signer = await new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY)).connect(provider);
+
+    expect(signer.provider).toBe(provider);
+    await expect(signer.getAddress()).resolves.toBe(FIRST_ADDRESS);
+  });
+
+  it('should report account switches and disconnects', async () => {
+    const walletSigner = new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY));
+    const listener = jest.fn();
+    walletSigner.onAccountChanged(listener);
+
+    const next = ethers.Wallet.createRandom();
+    walletSigner.setSigner(next);
+    await walletSigner.disconnect();
+
+    expect(listener.mock.calls).toEqual([[next], [null]]);
+  });
+});
+
+describe('InAppWalletSigner', () => {
+  let items: Map<string, string>;
+  let keyStore: {[K in keyof KeyStore]: jest.Mock};
+  let walletSigner: InAppWalletSigner;
+
+  beforeEach(() => {
+    items = new Map();
+    keyStore = {
+      getItemAsync: jest.fn(async (key: string) => items.get(key) ?? null),
+      setItemAsync: jest.fn(async (key: string, value: string) => {
+        items.set(key, value);
+      }),
+    };
+    walletSigner = new InAppWalletSigner(keyStore as unknown as KeyStore);
+  });
+
+  it('should create a key in the secure store', async () => {
+    await expect(walletSigner.getAddress()).resolves.toBeNull();
+
+    const address = await walletSigner.createKey();
+
+    await expect(walletSigner.getAddress()).resolves.toBe(address);
+    expect(keyStore.setItemAsync).toHaveBeenCalledWith(
+      'zkid.wallet.privateKey',
+      expect.stringMatching(/^0x[0-9a-f]{64}$/),
+      {keychainAccessible: expect.any(Number)}
+    );
+  });
+
+  it('should import an existing key', async () => {
+    await expect(walletSigner.importKey(` ${FIRST_KEY}\n`)).resolves.toBe(FIRST_ADDRESS);
+
+    const signer = await walletSigner.connect(provider);
+    await expect(signer.getAddress()).resolves.toBe(FIRST_ADDRESS);
+    expect(signer.provider).toBe(provider);
+  });
+
+  it('should never overwrite a stored key', async () => {
+    await walletSigner.createKey();
+
+    await expect(walletSigner.importKey(FIRST_KEY)).rejects.toThrow(
+      'An in-app wallet already exists on this device'
+    );
+    await expect(walletSigner.createKey()).rejects.toThrow(
+      'An in-app wallet already exists on this device'
+    );
+  });
+
+  it('should reject invalid keys', async () => {
+    await expect(walletSigner.importKey('0x1234')).rejects.toThrow('Invalid private key');
+    expect(keyStore.setItemAsync).not.toHaveBeenCalled();
+  });
+
+  it('should require a stored key to connect', async () => {
+    await expect(walletSigner.connect(provider)).rejects.toThrow(
+      'No in-app wallet on this device'
+    );
+  });
+
+  it('should report a disconnect once connected', async () => {
+    const listener = jest.fn();
+    walletSigner.onAccountChanged(listener);
+    await walletSigner.importKey(FIRST_KEY);
+
+    await walletSigner.disconnect();
+    await walletSigner.connect(provider);
+    await walletSigner.disconnect();
+
+    expect(listener.mock.calls).toEqual([[null]]);
+  });
+});
+
+describe('ExternalWalletSigner', () => {
+  let wallet: {
+    accounts: string[];
+    chainId: number;
+    listeners: Map<string, (...args: any[]) => void>;
+  };
+  let external: {[K in keyof ExternalWalletProvider]-?: jest.Mock};
+  let walletSigner: ExternalWalletSigner;
+
+  // Fire an event as the wallet app would
+  const emit = (event: string, ...args: any[]) => wallet.listeners.get(event)?.(...args);
+
+  beforeEach(() => {
+    // ethers batches JSON-RPC requests on a timer
+    jest.useRealTimers();
+
+    wallet = {accounts: [FIRST_ADDRESS], chainId: 31337, listeners: new Map()};
+    external = {
+      request: jest.fn(async ({method, params}: {method: string; params?: any[]}) => {
+        switch (method) {
+          case 'eth_requestAccounts':
+          case 'eth_accounts':
+            return wallet.accounts;
+          case 'eth_chainId':
+            return ethers.toQuantity(wallet.chainId);
+          case 'wallet_switchEthereumChain':
+            if (params![0].chainId !== ethers.toQuantity(31337)) {
+              throw new Error('Unrecognized chain');
+            }
+            wallet.chainId = 31337;
+            return null;
+          default:
+            throw new Error(`Unexpected request ${method}`);
+        }
+      }),
+      on: jest.fn((event: string, listener: (...args: any[]) => void) => {
+        wallet.listeners.set(event, listener);
+      }),
+      removeListener: jest.fn((event: string) => {
+        wallet.listeners.delete(event);
+      }),
+      disconnect: jest.fn(async () => undefined),
+    };
+    walletSigner = new ExternalWalletSigner(async () => external, 'Test Wallet');
+  });
+
+  it('should sign with the account the wallet shares', async () => {
+    const signer = await walletSigner.connect(provider);
+
+    await expect(signer.getAddress()).resolves.toBe(FIRST_ADDRESS);
+    expect(walletSigner.label).toBe('Test Wallet');
+    expect(external.request).toHaveBeenCalledWith({method: 'eth_requestAccounts'});
+  });
+
+  it('should switch the wallet to the app chain', async () => {
+    wallet.chainId = 1;
+
+    await walletSigner.connect(provider);
+
+    expect(external.request).toHaveBeenCalledWith({
+      method: 'wallet_switchEthereumChain',
+      params: [{chainId: '0x7a69'}],
+    });
+  });
+
+  it('should fail when the wallet cannot switch chains', async () => {
+    wallet.chainId = 1;
+    external.request.mockImplementation(async ({method}: {method: string}) => {
+      if (method === 'wallet_switchEthereumChain') {
+        throw new Error('User rejected the request');
+      }
+      return method === 'eth_chainId' ? '0x1' : wallet.accounts;
+    });
+
+    await expect(walletSigner.connect(provider)).rejects.toThrow(
+      'Switch your wallet to chain 31337'
+    );
+  });
+
+  it('should fail when the wallet shares no account', async () => {
+    wallet.accounts = [];
+
+    await expect(walletSigner.connect(provider)).rejects.toThrow(
+      'Wallet did not share an account'
+    );
+  });
+
+  it('should follow account switches in the wallet', async () => {
+    const listener = jest.fn();
+    walletSigner.onAccountChanged(listener);
+    await walletSigner.connect(provider);
+
+    wallet.accounts = [SECOND_ADDRESS];
+    await emit('accountsChanged', [SECOND_ADDRESS]);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    await expect(listener.mock.calls[0][0].getAddress()).resolves.toBe(SECOND_ADDRESS);
+  });
+
+  it('should drop the account when the wallet leaves the chain', async () => {
+    const listener = jest.fn();
+    walletSigner.onAccountChanged(listener);
+    await walletSigner.connect(provider);
+
+    emit('chainChanged', '0x7a69');
+    emit('chainChanged', '0x1');
+
+    expect(listener.mock.calls).toEqual([[null]]);
+  });
+
+  it('should end the session when the wallet disconnects', async () => {
+    const listener = jest.fn();
+    walletSigner.onAccountChanged(listener);
+    await walletSigner.connect(provider);
+
+    emit('disconnect');
+
+    expect(listener.mock.calls).toEqual([[null]]);
+    expect(wallet.listeners.size).toBe(0);
+  });
+
+  it('should close the session on disconnect', async () => {
+    await walletSigner.connect(provider);
+
+    await walletSigner.disconnect();
+
+    expect(external.disconnect).toHaveBeenCalled();
+    expect(wallet.listeners.size).toBe(0);
+  });
+});
@@ -0,0 +1,62 @@
+import {InjectedWalletSigner} from '@services/WalletSigner';
+import {WalletSignerService} from '@services/WalletSignerService';
+
+describe('WalletSignerService', () => {
+  let service: WalletSignerService;
+
+  const fakeSigner = () => {
+    const walletSigner = new InjectedWalletSigner({} as any);
+    jest.spyOn(walletSigner, 'disconnect');
+    return walletSigner;
+  };
+
+  beforeEach(async () => {
+    service = new WalletSignerService();
+    await service.clear();
+    service.setExternalConnector(null);
+  });
+
+  it('should share the selected signer between instances', async () => {
+    const walletSigner = fakeSigner();
+
+    await service.select(walletSigner);
+
+    expect(new WalletSignerService().getSelected()).toBe(walletSigner);
+  });
+
+  it('should end the previous session when another signer is selected', async () => {
+    const first = fakeSigner();
+    const second = fakeSigner();
+
+    await service.select(first);
+    await service.select(first);
+    expect(first.disconnect).not.toHaveBeenCalled();
+
+    await service.select(second);
+    expect(first.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it('should end the session when cleared', async () => {
+    const walletSigner = fakeSigner();
+    await service.select(walletSigner);
+
+    await service.clear();
+
+    expect(walletSigner.disconnect).toHaveBeenCalled();
+    expect(service.getSelected()).toBeNull();
+  });
+
+  it('should only offer external wallets once a connector is set', () => {
+    expect(service.hasExternalConnector()).toBe(false);
+    expect(service.createExternalSigner()).toBeNull();
+
+    service.setExternalConnector(jest.fn());
+
+    expect(service.hasExternalConnector()).toBe(true);
+    expect(service.createExternalSigner()?.kind).toBe('external');
+  });
+
+  it('should keep one in-app signer', () => {
+    expect(new WalletSignerService().getInAppSigner()).toBe(service.getInAppSigner());
+  });
+});
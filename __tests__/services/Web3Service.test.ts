@@ -0,0 +1,651 @@
+import {ethers} from 'ethers';
+import {InjectedWalletSigner} from '@services/WalletSigner';
+import {NO_ISSUER, Web3Service} from '@services/Web3Service';
+import {AttestationRequest, NetworkConfig, ZKProof} from '@types/index';
+import {getAttestationTypedData} from '@utils/attestation';
+import {encodeProof} from '@utils/groth16';
+import {LOCALHOST_CHAIN_ID, getNetwork} from '@utils/networks';
+import {recoverRelaySigner} from '@utils/relay';
+import {proof, publicSignals} from '../fixtures/groth16';
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const USER_ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PROOF_HASH = ethers.id('proof');
+const ATTESTATION = '0x' + '11'.repeat(65);
+
+const zkProof: ZKProof = {
+  proof: Buffer.from(encodeProof(proof)).toString('hex'),
+  publicSignals,
+  verificationKey: '{}',
+};
+
+describe('Web3Service', () => {
+  let service: Web3Service;
+  let contract: any;
+  let contractInterface: ethers.Interface;
+
+  const receiptFor = (logs: Array<{address: string; topics: string[]; data: string}>) => ({
+    hash: '0x' + 'ab'.repeat(32),
+    blockNumber: 42,
+    gasUsed: BigInt(123456),
+    status: 1,
+    logs,
+  });
+
+  const proofSubmittedLog = (address = CONTRACT_ADDRESS) => ({
+    address,
+    ...contractInterface.encodeEventLog('ProofSubmitted', [
+      USER_ADDRESS,
+      PROOF_HASH,
+      1700000000,
+      1731536000,
+    ]),
+  });
+
+  beforeEach(() => {
+    service = new Web3Service(CONTRACT_ADDRESS);
+    contractInterface = new ethers.Interface((service as any).getContractABI());
+
+    const tx = {
+      hash: '0x' + 'ab'.repeat(32),
+      wait: jest.fn().mockResolvedValue(receiptFor([proofSubmittedLog()])),
+    };
+    contract = {
+      interface: contractInterface,
+      submitProof: Object.assign(jest.fn().mockResolvedValue(tx), {
+        estimateGas: jest.fn().mockResolvedValue(BigInt(100000)),
+      }),
+      transferVerification: Object.assign(jest.fn().mockResolvedValue(tx), {
+        estimateGas: jest.fn().mockResolvedValue(BigInt(150000)),
+      }),
+      verifyProofHash: jest.fn().mockResolvedValue(true),
+      isVerified: jest.fn().mockResolvedValue(true),
+      getExpiry: jest.fn().mockResolvedValue(BigInt(1731536000)),
+    };
+
+    // Stand in for connect() so no network is needed
+    Object.assign(service as any, {contract, signer: {}, connected: true});
+  });
+
+  describe('submitProof', () => {
+    it('should send the ABI-encoded proof and public inputs', async () => {
+      await service.submitProof(zkProof, ATTESTATION);
+
+      const expectedArgs = [
+        '0x' + zkProof.proof,
+        publicSignals.map(signal => BigInt(signal)),
+        ATTESTATION,
+      ];
+      expect(contract.submitProof.estimateGas).toHaveBeenCalledWith(...expectedArgs);
+      expect(contract.submitProof).toHaveBeenCalledWith(...expectedArgs, {
+        gasLimit: BigInt(120000),
+      });
+    });
+
+    it('should return the receipt details and the proof hash from ProofSubmitted', async () => {
+      const result = await service.submitProof(zkProof, ATTESTATION);
+
+      expect(result).toEqual({
+        hash: '0x' + 'ab'.repeat(32),
+        blockNumber: 42,
+        gasUsed: '123456',
+        status: 'success',
+        proofHash: PROOF_HASH,
+      });
+    });
+
+    it('should wait for the network\'s confirmations and record its chain', async () => {
+      Object.assign(service as any, {
+        network: {...getNetwork(LOCALHOST_CHAIN_ID), confirmations: 3},
+      });
+
+      const result = await service.submitProof(zkProof, ATTESTATION);
+
+      const {wait} = await contract.submitProof.mock.results[0].value;
+      expect(wait).toHaveBeenCalledWith(3);
+      expect(result.chainId).toBe(LOCALHOST_CHAIN_ID);
+    });
+
+    it('should report the transaction hash before waiting for it', async () => {
+      const onSent = jest.fn();
+
+      await service.submitProof(zkProof, ATTESTATION, onSent);
+
+      const {wait} = await contract.submitProof.mock.results[0].value;
+      expect(onSent).toHaveBeenCalledWith('0x' + 'ab'.repeat(32));
+      expect(onSent.mock.invocationCallOrder[0]).toBeLessThan(wait.mock.invocationCallOrder[0]);
+    });
+
+    it('should ignore events emitted by other contracts', async () => {
+      const otherContract = '0x' + '11'.repeat(20);
+      contract.submitProof.mockResolvedValueOnce({
+        hash: '0x' + 'ab'.repeat(32),
+        wait: jest.fn().mockResolvedValue(receiptFor([proofSubmittedLog(otherContract)])),
+      });
+
+      await expect(service.submitProof(zkProof, ATTESTATION)).rejects.toThrow(
+        'ProofSubmitted event not found in receipt'
+      );
+    });
+
+    it('should surface the revert reason when gas estimation fails', async () => {
+      contract.submitProof.estimateGas.mockRejectedValueOnce(
+        Object.assign(new Error('execution reverted'), {reason: 'Invalid proof'})
+      );
+
+      await expect(service.submitProof(zkProof, ATTESTATION)).rejects.toThrow(
+        'Proof submission failed: Invalid proof'
+      );
+      expect(contract.submitProof).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed proofs before touching the contract', async () => {
+      await expect(service.submitProof({...zkProof, proof: 'abcd'}, ATTESTATION)).rejects.toThrow(
+        'Invalid proof length'
+      );
+      expect(contract.submitProof.estimateGas).not.toHaveBeenCalled();
+    });
+
+    it('should require a connection', async () => {
+      await expect(new Web3Service().submitProof(zkProof, ATTESTATION)).rejects.toThrow(
+        'Not connected to blockchain'
+      );
+    });
+  });
+
+  describe('transferVerification', () => {
+    it('should send the proof to transferVerification', async () => {
+      const result = await service.transferVerification(zkProof, ATTESTATION);
+
+      const expectedArgs = [
+        '0x' + zkProof.proof,
+        publicSignals.map(signal => BigInt(signal)),
+        ATTESTATION,
+      ];
+      expect(contract.transferVerification).toHaveBeenCalledWith(...expectedArgs, {
+        gasLimit: BigInt(180000),
+      });
+      expect(contract.submitProof).not.toHaveBeenCalled();
+      expect(result.proofHash).toBe(PROOF_HASH);
+    });
+
+    it('should surface the revert reason', async () => {
+      contract.transferVerification.estimateGas.mockRejectedValueOnce(
+        Object.assign(new Error('execution reverted'), {reason: 'Unknown nullifier'})
+      );
+
+      await expect(service.transferVerification(zkProof, ATTESTATION)).rejects.toThrow(
+        'Verification transfer failed: Unknown nullifier'
+      );
+    });
+  });
+
+  describe('waitForProof', () => {
+    const TX_HASH = '0x' + 'ab'.repeat(32);
+    let provider: any;
+
+    beforeEach(() => {
+      provider = {
+        waitForTransaction: jest.fn().mockResolvedValue(receiptFor([proofSubmittedLog()])),
+      };
+      Object.assign(service as any, {
+        provider,
+        network: {...getNetwork(LOCALHOST_CHAIN_ID), confirmations: 2},
+      });
+    });
+
+    it('should wait for a sent transaction and read the proof hash', async () => {
+      const result = await service.waitForProof(TX_HASH);
+
+      expect(provider.waitForTransaction).toHaveBeenCalledWith(TX_HASH, 2);
+      expect(result).toMatchObject({hash: TX_HASH, status: 'success', proofHash: PROOF_HASH});
+    });
+
+    it('should report reverted transactions as failed', async () => {
+      provider.waitForTransaction.mockResolvedValue({...receiptFor([]), status: 0});
+
+      await expect(service.waitForProof(TX_HASH)).resolves.toMatchObject({status: 'failed'});
+    });
+
+    it('should fail for dropped transactions', async () => {
+      provider.waitForTransaction.mockResolvedValue(null);
+
+      await expect(service.waitForProof(TX_HASH)).rejects.toThrow(
+        'Proof confirmation failed: Transaction was dropped'
+      );
+    });
+
+    it('should require a connection', async () => {
+      await expect(new Web3Service().waitForProof(TX_HASH)).rejects.toThrow(
+        'Not connected to blockchain'
+      );
+    });
+  });
+
+  describe('requestAttestation', () => {
+    const ISSUER_URL = 'https://issuer.example/';
+    const issuer = new ethers.Wallet(
+      '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+    );
+    const request: AttestationRequest = {
+      idCommitment: publicSignals[1],
+      documentType: 'passport',
+      extractedData: {
+        firstName: 'JOHN',
+        lastName: 'DOE',
+        dateOfBirth: '1990-01-15',
+        documentNumber: '123456789',
+        expiryDate: '2030-01-15',
+      },
+      portrait: '42',
+      salt: '7',
+    };
+    const fetchMock = jest.fn();
+
+    const attestWith = async (signer: ethers.BaseWallet, idCommitment = request.idCommitment) => {
+      const {domain, types, value} = getAttestationTypedData(
+        idCommitment,
+        LOCALHOST_CHAIN_ID,
+        CONTRACT_ADDRESS
+      );
+      return signer.signTypedData(domain, types, value);
+    };
+
+    beforeEach(() => {
+      (global as any).fetch = fetchMock;
+      fetchMock.mockReset();
+      contract.isIssuer = jest.fn(async (account: string) => account === issuer.address);
+      Object.assign(service as any, {
+        network: {...getNetwork(LOCALHOST_CHAIN_ID), issuerUrl: ISSUER_URL},
+      });
+    });
+
+    afterAll(() => {
+      delete (global as any).fetch;
+    });
+
+    it('should send the document to the issuer and return its attestation', async () => {
+      const attestation = await attestWith(issuer);
+      fetchMock.mockResolvedValue({ok: true, status: 200, json: async () => ({attestation})});
+
+      await expect(service.requestAttestation(request)).resolves.toBe(attestation);
+
+      expect(fetchMock).toHaveBeenCalledWith('https://issuer.example/attest', expect.anything());
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        chainId: LOCALHOST_CHAIN_ID,
+        contract: CONTRACT_ADDRESS,
+        ...request,
+      });
+    });
+
+    it('should require an issuer for the network', async () => {
+      Object.assign(service as any, {network: getNetwork(LOCALHOST_CHAIN_ID)});
+
+      await expect(service.requestAttestation(request)).rejects.toThrow(NO_ISSUER);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it("should surface the issuer's reason for refusing", async () => {
+      fetchMock.mockResolvedValue({
+        ok: false,
+        status: 422,
+        json: async () => ({error: 'Document not recognized'}),
+      });
+
+      await expect(service.requestAttestation(request)).rejects.toThrow(
+        'Issuer refused the document: Document not recognized'
+      );
+    });
+
+    it.each([
+      ['is not an issuer', () => attestWith(ethers.Wallet.createRandom())],
+      ['attests another commitment', () => attestWith(issuer, '1')],
+    ])('should reject an attestation whose signer %s', async (_, attest) => {
+      const attestation = await attest();
+      fetchMock.mockResolvedValue({ok: true, status: 200, json: async () => ({attestation})});
+
+      await expect(service.requestAttestation(request)).rejects.toThrow(
+        'Attestation is not signed by an issuer of this contract'
+      );
+    });
+  });
+
+  describe('relayer fallback', () => {
+    const RELAYER_URL = 'http://127.0.0.1:8787/';
+    const TX_HASH = '0x' + 'cd'.repeat(32);
+    const wallet = new ethers.Wallet(
+      '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+    );
+    const fetchMock = jest.fn();
+    let provider: any;
+
+    beforeEach(() => {
+      (global as any).fetch = fetchMock;
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({accepted: true, transaction: {hash: TX_HASH}}),
+      });
+
+      provider = {
+        getBalance: jest.fn().mockResolvedValue(BigInt(0)),
+        getFeeData: jest.fn().mockResolvedValue({maxFeePerGas: BigInt(1e9), gasPrice: null}),
+        waitForTransaction: jest.fn().mockResolvedValue(receiptFor([proofSubmittedLog()])),
+      };
+      contract.nonces = jest.fn().mockResolvedValue(BigInt(4));
+      Object.assign(service as any, {
+        provider,
+        signer: wallet,
+        network: {...getNetwork(LOCALHOST_CHAIN_ID), confirmations: 2, relayerUrl: RELAYER_URL},
+      });
+    });
+
+    afterAll(() => {
+      delete (global as any).fetch;
+    });
+
+    it('should have the relayer send the proof when the wallet cannot pay for gas', async () => {
+      const result = await service.submitProof(zkProof, ATTESTATION);
+
+      expect(contract.submitProof).not.toHaveBeenCalled();
+      expect(fetchMock).toHaveBeenCalledWith('http://127.0.0.1:8787/relay', expect.anything());
+      const request = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(request).toMatchObject({
+        action: 'submitProof',
+        user: USER_ADDRESS,
+        proof: '0x' + zkProof.proof,
+        publicInputs: publicSignals,
+        attestation: ATTESTATION,
+        nonce: '4',
+      });
+      expect(recoverRelaySigner(request, LOCALHOST_CHAIN_ID, CONTRACT_ADDRESS)).toBe(USER_ADDRESS);
+
+      expect(provider.waitForTransaction).toHaveBeenCalledWith(TX_HASH, 2);
+      expect(result.proofHash).toBe(PROOF_HASH);
+      expect(result.chainId).toBe(LOCALHOST_CHAIN_ID);
+    });
+
+    it('should report the relayed transaction hash', async () => {
+      const onSent = jest.fn();
+
+      await service.submitProof(zkProof, ATTESTATION, onSent);
+
+      expect(onSent).toHaveBeenCalledWith(TX_HASH);
+    });
+
+    it('should sign transfers as TransferVerification', async () => {
+      await service.transferVerification(zkProof, ATTESTATION);
+
+      const request = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(request.action).toBe('transferVerification');
+      expect(recoverRelaySigner(request, LOCALHOST_CHAIN_ID, CONTRACT_ADDRESS)).toBe(USER_ADDRESS);
+      expect(
+        recoverRelaySigner({...request, action: 'submitProof'}, LOCALHOST_CHAIN_ID, CONTRACT_ADDRESS)
+      ).not.toBe(USER_ADDRESS);
+    });
+
+    it('should send directly when the wallet can pay for gas', async () => {
+      provider.getBalance.mockResolvedValue(ethers.parseEther('1'));
+
+      await service.submitProof(zkProof, ATTESTATION);
+
+      expect(provider.getBalance).toHaveBeenCalledWith(USER_ADDRESS);
+      expect(contract.submitProof).toHaveBeenCalled();
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should send directly on networks without a relayer', async () => {
+      Object.assign(service as any, {network: getNetwork(LOCALHOST_CHAIN_ID)});
+
+      await service.submitProof(zkProof, ATTESTATION);
+
+      expect(contract.submitProof).toHaveBeenCalled();
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should surface the relayer\'s reason for refusing', async () => {
+      fetchMock.mockResolvedValue({
+        ok: false,
+        status: 429,
+        json: async () => ({accepted: false, error: 'Too many relay requests', retryAfter: 60}),
+      });
+
+      await expect(service.submitProof(zkProof, ATTESTATION)).rejects.toThrow(
+        'Proof submission failed: Relayer refused the submission: Too many relay requests'
+      );
+      expect(provider.waitForTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should not trust the relayer\'s word that the proof was recorded', async () => {
+      provider.waitForTransaction.mockResolvedValue(receiptFor([]));
+
+      await expect(service.submitProof(zkProof, ATTESTATION)).rejects.toThrow(
+        'ProofSubmitted event not found in receipt'
+      );
+    });
+  });
+
+  describe('verifyProof', () => {
+    it('should check the proof hash on-chain', async () => {
+      contract.verifyProofHash.mockResolvedValueOnce(false);
+
+      await expect(service.verifyProof(PROOF_HASH)).resolves.toBe(false);
+      expect(contract.verifyProofHash).toHaveBeenCalledWith(PROOF_HASH);
+    });
+  });
+
+  describe('getVerificationStatus', () => {
+    it('should read isVerified from the contract', async () => {
+      await expect(service.getVerificationStatus(USER_ADDRESS)).resolves.toBe(true);
+      expect(contract.isVerified).toHaveBeenCalledWith(USER_ADDRESS);
+    });
+  });
+
+  describe('getExpiry', () => {
+    it('should read the expiry timestamp from the contract', async () => {
+      await expect(service.getExpiry(USER_ADDRESS)).resolves.toBe(1731536000);
+      expect(contract.getExpiry).toHaveBeenCalledWith(USER_ADDRESS);
+    });
+  });
+
+  describe('signMessage', () => {
+    it('should sign with the connected wallet', async () => {
+      const wallet = new ethers.Wallet(
+        '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+      );
+      Object.assign(service as any, {signer: wallet});
+
+      const signature = await service.signMessage('hello');
+
+      expect(ethers.verifyMessage('hello', signature)).toBe(USER_ADDRESS);
+    });
+
+    it('should require a connection', async () => {
+      service.disconnect();
+
+      await expect(service.signMessage('hello')).rejects.toThrow('Not connected to blockchain');
+    });
+  });
+
+  describe('connect', () => {
+    const FIRST_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+    const FIRST_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+    const localhost: NetworkConfig = {
+      ...getNetwork(LOCALHOST_CHAIN_ID),
+      contractAddress: CONTRACT_ADDRESS,
+    };
+
+    beforeEach(() => {
+      service = new Web3Service();
+      jest
+        .spyOn(ethers.JsonRpcProvider.prototype, 'getNetwork')
+        .mockResolvedValue(ethers.Network.from(LOCALHOST_CHAIN_ID));
+    });
+
+    afterEach(() => {
+      service.disconnect();
+      jest.restoreAllMocks();
+    });
+
+    it('should sign with the wallet signer', async () => {
+      const walletSigner = new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY));
+
+      await service.connect(localhost, walletSigner);
+
+      expect(service.isConnected()).toBe(true);
+      expect(service.getNetwork()).toBe(localhost);
+      expect(service.getContractAddress()).toBe(CONTRACT_ADDRESS);
+      await expect(service.getAddress()).resolves.toBe(FIRST_ADDRESS);
+    });
+
+    it('should reject an RPC endpoint on another chain', async () => {
+      await expect(service.connect({...localhost, chainId: 84532})).rejects.toThrow(
+        'Localhost RPC is on chain 1337, expected 84532'
+      );
+      expect(service.isConnected()).toBe(false);
+    });
+
+    it('should reject a wallet on another chain', async () => {
+      const otherChain = {
+        getNetwork: async () => ethers.Network.from(11155111),
+      } as unknown as ethers.Provider;
+      const walletSigner = new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY, otherChain));
+
+      await expect(service.connect(localhost, walletSigner)).rejects.toThrow(
+        'Switch your wallet to Localhost'
+      );
+    });
+
+    it('should require a deployment on the network', async () => {
+      await expect(service.connect({...localhost, contractAddress: null})).rejects.toThrow(
+        'IdentityVerification is not deployed on Localhost'
+      );
+    });
+
+    it('should prefer the contract it was created for', async () => {
+      const override = '0x' + '22'.repeat(20);
+
+      service = new Web3Service(override);
+
+      await service.connect(localhost);
+
+      expect(service.getContractAddress()).toBe(override);
+    });
+
+    it('should follow account switches in the wallet', async () => {
+      const walletSigner = new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY));
+      const listener = jest.fn();
+      service.onAccountChanged(listener);
+      await service.connect(localhost, walletSigner);
+
+      const next = new ethers.Wallet(
+        '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+      );
+      walletSigner.setSigner(next);
+
+      await expect(service.getAddress()).resolves.toBe(USER_ADDRESS);
+      expect(listener).toHaveBeenCalledWith(USER_ADDRESS);
+    });
+
+    it('should disconnect when the wallet drops the account', async () => {
+      const walletSigner = new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY));
+      const listener = jest.fn();
+      service.onAccountChanged(listener);
+      await service.connect(localhost, walletSigner);
+
+      await walletSigner.disconnect();
+
+      expect(service.isConnected()).toBe(false);
+      expect(listener).toHaveBeenCalledWith(null);
+    });
+
+    it('should connect read-only without a wallet', async () => {
+      await service.connect(localhost);
+
+      expect(service.isConnected()).toBe(true);
+      await expect(service.getAddress()).rejects.toThrow('No wallet selected');
+      await expect(service.submitProof(zkProof, ATTESTATION)).rejects.toThrow('No wallet selected');
+    });
+
+    it('should report why the wallet could not connect', async () => {
+      const walletSigner = new InjectedWalletSigner(new ethers.Wallet(FIRST_KEY));
+      jest.spyOn(walletSigner, 'connect').mockRejectedValue(new Error('User rejected'));
+
+      await expect(service.connect(localhost, walletSigner)).rejects.toThrow(
+        'Blockchain connection failed: User rejected'
+      );
+      expect(service.isConnected()).toBe(false);
+    });
+  });
+
+  describe('getChainId', () => {
+    it('should read the chain ID from the provider', async () => {
+      Object.assign(service as any, {
+        provider: {getNetwork: jest.fn().mockResolvedValue({chainId: BigInt(31337)})},
+      });
+
+      await expect(service.getChainId()).resolves.toBe(31337);
+      expect(service.getContractAddress()).toBe(CONTRACT_ADDRESS);
+    });
+  });
+
+  describe('estimateGas', () => {
+    it('should estimate with the real submitProof call', async () => {
+      await expect(service.estimateGas(zkProof, ATTESTATION)).resolves.toBe('100000');
+    });
+  });
+});
+
+// End-to-end against a local node, e.g.:
+//   npx hardhat node
+//   npx hardhat run contracts/deploy.js --network localhost
+//   WEB3_E2E_RPC_URL=http://127.0.0.1:8545 WEB3_E2E_CONTRACT=<address> npx jest Web3Service
+const e2eRpcUrl = process.env.WEB3_E2E_RPC_URL;
+const e2eContract = process.env.WEB3_E2E_CONTRACT;
+
+(e2eRpcUrl && e2eContract ? describe : describe.skip)('Web3Service (local node)', () => {
+  // Hardhat's first default account
+  const privateKey =
+    process.env.WEB3_E2E_PRIVATE_KEY ||
+    '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+  let service: Web3Service;
+
+  beforeEach(async () => {
+    // Receipt polling needs real timers
+    jest.useRealTimers();
+    service = new Web3Service(e2eContract);
+    await service.connect(
+      {...getNetwork(LOCALHOST_CHAIN_ID), rpcUrl: e2eRpcUrl!},
+      new InjectedWalletSigner(new ethers.Wallet(privateKey))
+    );
+  });
+
+  afterEach(() => {
+    service.disconnect();
+  });
+
+  it('should submit a proof and verify it on-chain', async () => {
+    // deploy.js registers the deployer as the issuer
+    const {domain, types, value} = getAttestationTypedData(
+      publicSignals[1],
+      LOCALHOST_CHAIN_ID,
+      e2eContract!
+    );
+    const attestation = await new ethers.Wallet(privateKey).signTypedData(domain, types, value);
+
+    const result = await service.submitProof(zkProof, attestation);
+
+    expect(result.status).toBe('success');
+    expect(result.proofHash).toMatch(/^0x[0-9a-f]{64}$/);
+    await expect(service.verifyProof(result.proofHash!)).resolves.toBe(true);
+    await expect(
+      service.getVerificationStatus(new ethers.Wallet(privateKey).address)
+    ).resolves.toBe(true);
+    await expect(service.getExpiry(await service.getAddress())).resolves.toBeGreaterThan(
+      Date.now() / 1000
+    );
+  });
+});
@@ -0,0 +1,257 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {ethers} from 'ethers';
+import {InjectedWalletSigner} from '@services/WalletSigner';
+import {ServiceContainer} from '@services/ServiceContainer';
+import {
+  SIMULATED_CHAIN_ID,
+  SIMULATED_CONTRACT_ADDRESS,
+  SIMULATED_ISSUER_KEY,
+  SIMULATED_MAX_VERIFICATION_TTL,
+  SimulatedChain,
+  SimulatedMoproService,
+  createSimulatedServices,
+} from '@/simulation';
+import {StoredCredential, VerificationCaptures, ZKProof} from '@types/index';
+import {getAttestationTypedData} from '@utils/attestation';
+import {LIVENESS_FRAMES_PER_CHALLENGE} from '@utils/liveness';
+
+// First two Hardhat development accounts
+const ALICE = new ethers.Wallet(
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+);
+const BOB = new ethers.Wallet(
+  '0x59c6995e998f97a5a0044966f0945389dc9c86dae88c7e8412f4603b6b77690d'
+);
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+/**
+ * Take a selfie with a liveness check and a photo of the simulated passport
+ * @param services - Services to capture with
+ * @param tag - Makes the photo URIs of this capture unique
+ * @returns Promise<VerificationCaptures> - Vault IDs of the captures
+ */
+async function capture(services: ServiceContainer, tag: string): Promise<VerificationCaptures> {
+  const {faceVerification, idVerification, privacyVault} = services;
+
+  const session = faceVerification.startLivenessSession();
+  const frames = [];
+  for (const challenge of session.challenges) {
+    const challengeFrames = [];
+    for (let i = 0; i < LIVENESS_FRAMES_PER_CHALLENGE; i++) {
+      challengeFrames.push(
+        await faceVerification.detectLandmarks(`file:///${tag}-${challenge}-${i}.jpg`)
+      );
+    }
+    frames.push(challengeFrames);
+  }
+  const liveness = faceVerification.evaluateLiveness(session, frames);
+  const face = await privacyVault.storeFace({
+    ...(await faceVerification.detectFace(`file:///${tag}-selfie.jpg`)),
+    liveness,
+  });
+
+  const document = await privacyVault.storeDocument(
+    await idVerification.extractData(`file:///${tag}-passport.jpg`)
+  );
+  const captures = {faceCaptureId: face.captureId, documentCaptureId: document.captureId};
+  const match = await privacyVault.matchDocumentPortrait(captures, (selfie, uri) =>
+    faceVerification.matchDocumentPortrait(selfie, uri)
+  );
+  expect(match.matched).toBe(true);
+  return captures;
+}
+
+/**
+ * Verify a wallet with fresh captures
+ * @param services - Services to verify with
+ * @param wallet - Wallet to verify
+ * @param confirmTransfer - Answer to the transfer question
+ * @returns Promise<StoredCredential> - Credential of the verification
+ */
+async function verify(
+  services: ServiceContainer,
+  wallet: ethers.Wallet,
+  confirmTransfer = jest.fn().mockResolvedValue(true)
+): Promise<StoredCredential> {
+  await services.walletSigners.select(new InjectedWalletSigner(wallet));
+  const captures = await capture(services, wallet.address);
+  return services.proofPipeline.run({captures, confirmTransfer});
+}
+
+describe('createSimulatedServices', () => {
+  let services: ServiceContainer;
+
+  beforeEach(async () => {
+    jest.setSystemTime(NOW);
+    await AsyncStorage.clear();
+    services = createSimulatedServices();
+  });
+
+  it('should verify a wallet end to end', async () => {
+    const credential = await verify(services, ALICE);
+
+    expect(credential.address).toBe(ALICE.address);
+    expect(credential.documentType).toBe('passport');
+    expect(credential.transaction).toMatchObject({
+      status: 'success',
+      blockNumber: 1,
+      chainId: SIMULATED_CHAIN_ID,
+    });
+    expect(credential.expiresAt).toBe(NOW.getTime() / 1000 + SIMULATED_MAX_VERIFICATION_TTL);
+
+    const web3 = services.createWeb3();
+    await web3.connect();
+    expect(await web3.getVerificationStatus(ALICE.address)).toBe(true);
+    expect(await web3.verifyProof(credential.id)).toBe(true);
+    expect(await services.verificationStatus.getStatus()).toMatchObject({state: 'valid'});
+  });
+
+  it('should derive the same nullifier for the same document', async () => {
+    const first = await verify(services, ALICE);
+
+    await AsyncStorage.clear();
+    const second = await verify(createSimulatedServices(), ALICE);
+
+    // Commitments are salted per verification; the nullifier is not
+    expect(second.proof.publicSignals[1]).not.toBe(first.proof.publicSignals[1]);
+    expect(second.proof.publicSignals[5]).toBe(first.proof.publicSignals[5]);
+  });
+
+  it('should move the verification when the document verified another wallet', async () => {
+    const first = await verify(services, ALICE);
+    const confirmTransfer = jest.fn().mockResolvedValue(true);
+    const second = await verify(services, BOB, confirmTransfer);
+
+    expect(confirmTransfer).toHaveBeenCalledTimes(1);
+    expect(second.transaction.blockNumber).toBe(2);
+
+    const web3 = services.createWeb3();
+    await web3.connect();
+    expect(await web3.getVerificationStatus(BOB.address)).toBe(true);
+    expect(await web3.getVerificationStatus(ALICE.address)).toBe(false);
+    expect(await web3.verifyProof(first.id)).toBe(false);
+  });
+
+  it('should let verifications lapse after the maximum TTL', async () => {
+    const credential = await verify(services, ALICE);
+
+    jest.setSystemTime(credential.expiresAt * 1000);
+
+    const web3 = services.createWeb3();
+    await web3.connect();
+    expect(await web3.getVerificationStatus(ALICE.address)).toBe(false);
+  });
+});
+
+describe('SimulatedMoproService', () => {
+  it('should only verify a proof for the signals it was made for', async () => {
+    jest.setSystemTime(NOW);
+    await AsyncStorage.clear();
+    const services = createSimulatedServices();
+    const credential = await verify(services, ALICE);
+    const proof = {
+      proof: ethers.getBytes('0x' + credential.proof.proof),
+      publicInputs: credential.proof.publicSignals,
+    };
+
+    expect(await services.mopro.verifyProof(proof)).toBe(true);
+    expect(
+      await services.mopro.verifyProof({
+        ...proof,
+        publicInputs: proof.publicInputs.map((signal, i) =>
+          i === 6 ? BigInt(BOB.address).toString() : signal
+        ),
+      })
+    ).toBe(false);
+  });
+});
+
+describe('SimulatedChain', () => {
+  const deployment = {chainId: SIMULATED_CHAIN_ID, contract: SIMULATED_CONTRACT_ADDRESS};
+  let services: ServiceContainer;
+  let chain: SimulatedChain;
+
+  const attest = (
+    proof: ZKProof,
+    issuer = new ethers.Wallet(SIMULATED_ISSUER_KEY)
+  ): Promise<string> => {
+    const {domain, types, value} = getAttestationTypedData(
+      proof.publicSignals[1],
+      deployment.chainId,
+      deployment.contract
+    );
+    return issuer.signTypedData(domain, types, value);
+  };
+
+  beforeEach(async () => {
+    jest.setSystemTime(NOW);
+    await AsyncStorage.clear();
+    services = createSimulatedServices();
+    chain = new SimulatedChain(new SimulatedMoproService());
+  });
+
+  it('should reject a proof bound to another account', async () => {
+    const credential = await verify(services, ALICE);
+
+    await expect(
+      chain.submitProof(BOB.address, credential.proof, await attest(credential.proof), deployment)
+    ).rejects.toThrow('Proof bound to another account');
+  });
+
+  it('should reject a proof of a document no issuer attested', async () => {
+    const credential = await verify(services, ALICE);
+
+    await expect(
+      chain.submitProof(
+        ALICE.address,
+        credential.proof,
+        await attest(credential.proof, BOB),
+        deployment
+      )
+    ).rejects.toThrow('Commitment not attested');
+  });
+
+  it('should reject a proof missing public inputs', async () => {
+    const credential = await verify(services, ALICE);
+    const proof = {
+      ...credential.proof,
+      publicSignals: credential.proof.publicSignals.slice(0, 7),
+    };
+
+    await expect(
+      chain.submitProof(ALICE.address, proof, await attest(proof), deployment)
+    ).rejects.toThrow('Invalid public inputs');
+  });
+
+  it('should reject a reused nullifier with the contract reason', async () => {
+    const credential = await verify(services, ALICE);
+    await chain.submitProof(
+      ALICE.address,
+      credential.proof,
+      await attest(credential.proof),
+      deployment
+    );
+
+    const bobCredential = await verify(createSimulatedServices(), BOB);
+
+    await expect(
+      chain.submitProof(
+        BOB.address,
+        bobCredential.proof,
+        await attest(bobCredential.proof),
+        deployment
+      )
+    ).rejects.toThrow('Nullifier already used');
+  });
+
+  it('should reject a proof of an expired document', async () => {
+    const credential = await verify(services, ALICE);
+
+    jest.setSystemTime(new Date('2030-01-15T00:00:00Z'));
+
+    await expect(
+      chain.submitProof(ALICE.address, credential.proof, await attest(credential.proof), deployment)
+    ).rejects.toThrow('Document expired');
+  });
+});
@@ -0,0 +1,183 @@
+import {parseAamva, parseAamvaDate} from '@utils/aamva';
+
+// California license of the AAMVA DL/ID Card Design Standard sample
+const CA_ELEMENTS = [
+  'DAQD1234567',
+  'DCSSAMPLE',
+  'DACJANE',
+  'DADMARIE',
+  'DBB07041980',
+  'DBA07042030',
+  'DBD07042022',
+  'DBC2',
+  'DAG2570 24TH STREET',
+  'DAISACRAMENTO',
+  'DAJCA',
+  'DAK958180000',
+  'DCGUSA',
+];
+
+/**
+ * Build a barcode payload with a single subfile
+ * @param elements - Data elements of the subfile, e.g. 'DCSSAMPLE'
+ * @param options - Issuer identification number, standard version and subfile type
+ * @returns string - Payload with a header whose directory points at the subfile
+ */
+function aamvaPayload(
+  elements: string[],
+  {issuerId = '636014', version = 10, subfile = 'DL'} = {}
+): string {
+  const body = `${subfile}${elements.join('\n')}\r`;
+  const fileHeader = '@\n\x1e\rANSI ';
+  // Version 1 headers have no jurisdiction version
+  const versions = version >= 2 ? `${version}`.padStart(2, '0') + '00' : '01';
+  const header = `${fileHeader}${issuerId}${versions}01`;
+  const offset = header.length + 10;
+  return (
+    header +
+    subfile +
+    `${offset}`.padStart(4, '0') +
+    `${body.length}`.padStart(4, '0') +
+    body
+  );
+}
+
+describe('aamva utils', () => {
+  describe('parseAamva', () => {
+    it('should read a version 10 license', () => {
+      const result = parseAamva(aamvaPayload(CA_ELEMENTS));
+
+      expect(result).toEqual({
+        version: 10,
+        jurisdictionVersion: 0,
+        issuerId: '636014',
+        sex: 'F',
+        documentType: 'drivers_license',
+        jurisdiction: 'USA-CA',
+        extractedData: {
+          firstName: 'JANE MARIE',
+          lastName: 'SAMPLE',
+          dateOfBirth: '1980-07-04',
+          documentNumber: 'D1234567',
+          expiryDate: '2030-07-04',
+          address: '2570 24TH STREET, SACRAMENTO, CA 95818',
+        },
+        confidence: 0.99,
+      });
+    });
+
+    it('should read Canadian dates year first', () => {
+      const result = parseAamva(
+        aamvaPayload(
+          [
+            'DAQS1234-56789-01234',
+            'DCSSMITH',
+            'DACJOHN',
+            'DBB19800704',
+            'DBA20300704',
+            'DAJON',
+            'DAKM5V 2T6',
+            'DCGCAN',
+          ],
+          {issuerId: '636012'}
+        )
+      );
+
+      expect(result.jurisdiction).toBe('CAN-ON');
+      expect(result.extractedData).toMatchObject({
+        dateOfBirth: '1980-07-04',
+        expiryDate: '2030-07-04',
+        documentNumber: 'S12345678901234',
+      });
+      expect(result.extractedData.address).toBe('ON M5V 2T6');
+    });
+
+    it('should split the whole name of a version 1 license', () => {
+      const result = parseAamva(
+        aamvaPayload(
+          ['DAQ123456789', 'DAASMITH,JOHN,PAUL', 'DBB19800704', 'DBA20300704', 'DBCM'],
+          {issuerId: '636001', version: 1}
+        )
+      );
+
+      expect(result.version).toBe(1);
+      expect(result.jurisdictionVersion).toBe(0);
+      expect(result.sex).toBe('M');
+      expect(result.jurisdiction).toBe('USA-NY');
+      expect(result.extractedData).toMatchObject({
+        firstName: 'JOHN PAUL',
+        lastName: 'SMITH',
+        dateOfBirth: '1980-07-04',
+      });
+    });
+
+    it('should leave out name components the holder does not have', () => {
+      const result = parseAamva(aamvaPayload(['DCSSAMPLE', 'DACJANE', 'DADNONE']));
+
+      expect(result.extractedData.firstName).toBe('JANE');
+    });
+
+    it('should find the subfile when separators were dropped', () => {
+      const payload = aamvaPayload(CA_ELEMENTS).replace('@\n\x1e\r', '@');
+
+      expect(parseAamva(payload).extractedData.documentNumber).toBe('D1234567');
+    });
+
+    it('should keep a ZIP+4 code', () => {
+      const elements = CA_ELEMENTS.map(element =>
+        element.startsWith('DAK') ? 'DAK958181234' : element
+      );
+
+      expect(parseAamva(aamvaPayload(elements)).extractedData.address).toBe(
+        '2570 24TH STREET, SACRAMENTO, CA 95818-1234'
+      );
+    });
+
+    it('should place unknown issuers from the address', () => {
+      const elements = CA_ELEMENTS.map(element =>
+        element.startsWith('DAJ') ? 'DAJWA' : element
+      );
+
+      expect(parseAamva(aamvaPayload(elements, {issuerId: '636045'})).jurisdiction).toBe(
+        'USA-WA'
+      );
+    });
+
+    it('should lower confidence for each required field missing', () => {
+      const elements = CA_ELEMENTS.filter(element => !/^D(BB|BA)/.test(element));
+
+      const result = parseAamva(aamvaPayload(elements));
+
+      expect(result.extractedData.dateOfBirth).toBe('');
+      expect(result.confidence).toBeCloseTo((0.99 * 3) / 5);
+    });
+
+    it('should reject text that is not an AAMVA barcode', () => {
+      expect(() => parseAamva('P<USADOE<<JOHN')).toThrow('Not an AAMVA barcode');
+    });
+
+    it('should reject a malformed header', () => {
+      expect(() => parseAamva('@\n\x1e\rANSI 63601X100001DL')).toThrow(
+        'Malformed AAMVA header'
+      );
+    });
+
+    it('should reject a barcode without a license subfile', () => {
+      expect(() => parseAamva(aamvaPayload(['ZCAVALUE'], {subfile: 'ZC'}))).toThrow(
+        'No driver\'s license data in barcode'
+      );
+    });
+  });
+
+  describe('parseAamvaDate', () => {
+    it('should read both date orders', () => {
+      expect(parseAamvaDate('07041980', 'MDY')).toBe('1980-07-04');
+      expect(parseAamvaDate('19800704', 'YMD')).toBe('1980-07-04');
+    });
+
+    it('should reject dates that do not exist', () => {
+      expect(parseAamvaDate('02301980', 'MDY')).toBe('');
+      expect(parseAamvaDate('0704198', 'MDY')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import {ethers} from 'ethers';
+import {getAttestationTypedData, recoverAttestationIssuer} from '@utils/attestation';
+
+const ISSUER_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CHAIN_ID = 31337;
+const ID_COMMITMENT = '456';
+
+describe('attestation utils', () => {
+  const issuer = new ethers.Wallet(ISSUER_KEY);
+
+  const attest = (idCommitment = ID_COMMITMENT, chainId = CHAIN_ID): Promise<string> => {
+    const {domain, types, value} = getAttestationTypedData(idCommitment, chainId, CONTRACT);
+    return issuer.signTypedData(domain, types, value);
+  };
+
+  describe('getAttestationTypedData', () => {
+    it('should use the struct type IdentityVerification hashes', () => {
+      const {types} = getAttestationTypedData(ID_COMMITMENT, CHAIN_ID, CONTRACT);
+
+      expect(ethers.TypedDataEncoder.from(types).encodeType('DocumentAttestation')).toBe(
+        'DocumentAttestation(uint256 idCommitment)'
+      );
+    });
+  });
+
+  describe('recoverAttestationIssuer', () => {
+    it('should recover the issuer that signed the commitment', async () => {
+      const attestation = await attest();
+
+      expect(recoverAttestationIssuer(ID_COMMITMENT, attestation, CHAIN_ID, CONTRACT)).toBe(
+        issuer.address
+      );
+    });
+
+    it('should not recover the issuer for another commitment or chain', async () => {
+      expect(recoverAttestationIssuer('457', await attest(), CHAIN_ID, CONTRACT)).not.toBe(
+        issuer.address
+      );
+      expect(
+        recoverAttestationIssuer(ID_COMMITMENT, await attest(ID_COMMITMENT, 1), CHAIN_ID, CONTRACT)
+      ).not.toBe(issuer.address);
+    });
+
+    it('should return null for a malformed signature', () => {
+      expect(recoverAttestationIssuer(ID_COMMITMENT, '0x1234', CHAIN_ID, CONTRACT)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import {
+  commitDocument,
+  commitFace,
+  encodeCountryCode,
+  encodeDate,
+  encodeDocumentFields,
+  encodeFaceDescriptor,
+  generateSalt,
+  hashElements,
+  hashFaceDescriptor,
+  hashString,
+  toFieldElement,
+} from '@utils/commitment';
+import {BN254_SCALAR_FIELD, isFieldElement} from '@utils/groth16';
+import {IDDocument} from '@types/index';
+
+describe('commitment utils', () => {
+  const extractedData: IDDocument['extractedData'] = {
+    firstName: 'John',
+    lastName: 'Doe',
+    dateOfBirth: '1990-01-15',
+    documentNumber: 'P123456789',
+    expiryDate: '2030-01-15',
+    nationality: 'US',
+    address: '123 Main St, City, State',
+  };
+  const salt = '987654321';
+  const portrait = hashFaceDescriptor(Array(128).fill(0.25));
+
+  describe('hashElements', () => {
+    it('should hash inputs longer than a single Poseidon call', () => {
+      const elements = Array.from({length: 40}, (_, i) => BigInt(i));
+
+      expect(hashElements(elements)).toBeLessThan(BN254_SCALAR_FIELD);
+      expect(hashElements(elements)).not.toBe(hashElements(elements.slice(0, 39)));
+    });
+
+    it('should distinguish inputs that differ only by trailing zeros', () => {
+      expect(hashElements([BigInt(1)])).not.toBe(hashElements([BigInt(1), BigInt(0)]));
+    });
+  });
+
+  describe('hashString', () => {
+    it('should canonicalize whitespace and case', () => {
+      expect(hashString('  john   doe ')).toBe(hashString('JOHN DOE'));
+    });
+
+    it('should distinguish leading zero bytes', () => {
+      expect(hashString('\u0000AB')).not.toBe(hashString('AB'));
+    });
+  });
+
+  describe('field encodings', () => {
+    it('should encode dates as YYYYMMDD integers', () => {
+      expect(encodeDate('1990-01-15')).toBe(BigInt(19900115));
+      expect(encodeDate(undefined)).toBe(BigInt(0));
+      expect(() => encodeDate('15/01/1990')).toThrow('Invalid date');
+    });
+
+    it('should encode country codes as ASCII integers', () => {
+      expect(encodeCountryCode('us')).toBe(BigInt(0x5553));
+      expect(encodeCountryCode('DEU')).toBe(BigInt(0x444555));
+      expect(() => encodeCountryCode('U1')).toThrow('Invalid country code');
+    });
+
+    it('should pack a 128-dimension descriptor into 13 field elements', () => {
+      const elements = encodeFaceDescriptor(Array(128).fill(0.25));
+
+      expect(elements).toHaveLength(13);
+      elements.forEach(element => expect(element).toBeLessThan(BN254_SCALAR_FIELD));
+    });
+
+    it('should reject descriptor values that cannot be quantized', () => {
+      expect(() => encodeFaceDescriptor([NaN])).toThrow('out of range');
+      expect(() => encodeFaceDescriptor([1000])).toThrow('out of range');
+    });
+
+    it('should encode every document field in a fixed order', () => {
+      const fields = encodeDocumentFields(extractedData);
+
+      expect(fields).toHaveLength(7);
+      expect(fields[2]).toBe(BigInt(19900115));
+      expect(fields[4]).toBe(BigInt(20300115));
+      expect(fields[5]).toBe(BigInt(0x5553));
+    });
+  });
+
+  describe('commitDocument', () => {
+    it('should produce a field element that hides the plaintext', () => {
+      const commitment = commitDocument(extractedData, salt, portrait);
+
+      expect(isFieldElement(commitment)).toBe(true);
+      expect(Buffer.from(commitment, 'base64').toString()).not.toContain('John');
+    });
+
+    it('should change with the salt, the portrait and any field', () => {
+      const commitment = commitDocument(extractedData, salt, portrait);
+
+      expect(commitDocument(extractedData, '1', portrait)).not.toBe(commitment);
+      expect(
+        commitDocument(extractedData, salt, hashFaceDescriptor(Array(128).fill(0.3)))
+      ).not.toBe(commitment);
+      expect(
+        commitDocument({...extractedData, dateOfBirth: '1990-01-16'}, salt, portrait)
+      ).not.toBe(commitment);
+    });
+
+    it('should not need Node\'s Buffer, which React Native lacks', () => {
+      const commitment = commitDocument(extractedData, salt, portrait);
+      const {Buffer: nodeBuffer} = globalThis;
+      delete (globalThis as any).Buffer;
+      try {
+        expect(commitDocument(extractedData, salt, portrait)).toBe(commitment);
+        expect(isFieldElement(generateSalt())).toBe(true);
+      } finally {
+        globalThis.Buffer = nodeBuffer;
+      }
+    });
+
+    it('should reject salts and portrait digests outside the field', () => {
+      expect(() =>
+        commitDocument(extractedData, BN254_SCALAR_FIELD.toString(), portrait)
+      ).toThrow('Salt must be a decimal field element');
+      expect(() => commitDocument(extractedData, salt, 'portrait')).toThrow(
+        'Portrait digest must be a decimal field element'
+      );
+    });
+  });
+
+  describe('commitFace', () => {
+    it('should be stable under sub-quantum noise', () => {
+      const descriptor = Array(128).fill(0.5);
+      const noisy = descriptor.map(value => value + 1e-7);
+
+      expect(commitFace(noisy, salt, '7')).toBe(commitFace(descriptor, salt, '7'));
+    });
+
+    it('should bind the liveness digest', () => {
+      const descriptor = Array(128).fill(0.5);
+
+      expect(commitFace(descriptor, salt, '7')).not.toBe(commitFace(descriptor, salt, '8'));
+      expect(() => commitFace(descriptor, salt, 'not-a-digest')).toThrow(
+        'Liveness digest must be a decimal field element'
+      );
+    });
+  });
+
+  describe('toFieldElement', () => {
+    it('should reduce decimal and hex values into the field', () => {
+      expect(toFieldElement('42')).toBe('42');
+      expect(toFieldElement('0x2a')).toBe('42');
+      expect(toFieldElement((BN254_SCALAR_FIELD + BigInt(5)).toString())).toBe('5');
+    });
+
+    it('should hash other strings', () => {
+      expect(isFieldElement(toFieldElement('mock_face_hash'))).toBe(true);
+      expect(toFieldElement('a')).not.toBe(toFieldElement('b'));
+    });
+  });
+
+  describe('generateSalt', () => {
+    it('should generate distinct field elements', () => {
+      const salt1 = generateSalt();
+      const salt2 = generateSalt();
+
+      expect(isFieldElement(salt1)).toBe(true);
+      expect(salt1).not.toBe(salt2);
+    });
+  });
+});
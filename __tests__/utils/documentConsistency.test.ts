@@ -0,0 +1,79 @@
+import {IDDocument} from '@types/index';
+import {crossCheckDocuments} from '@utils/documentConsistency';
+
+const document = (
+  type: IDDocument['type'],
+  data: Partial<IDDocument['extractedData']> = {}
+): IDDocument => ({
+  type,
+  imageUri: 'file://id.jpg',
+  extractedData: {
+    firstName: 'JANE MARIE',
+    lastName: 'SMITH',
+    dateOfBirth: '1980-07-04',
+    documentNumber: 'S1234567',
+    expiryDate: '2030-07-04',
+    ...data,
+  },
+  confidence: 0.9,
+});
+
+describe('documentConsistency utils', () => {
+  describe('crossCheckDocuments', () => {
+    it('should agree on documents of the same person', () => {
+      const checks = crossCheckDocuments([
+        document('passport', {documentNumber: '123456789'}),
+        document('drivers_license'),
+      ]);
+
+      expect(checks).toEqual([
+        {field: 'lastName', agrees: true},
+        {field: 'firstName', agrees: true},
+        {field: 'dateOfBirth', agrees: true},
+      ]);
+    });
+
+    it('should compare given names by the first name only', () => {
+      const checks = crossCheckDocuments([
+        document('passport'),
+        document('drivers_license', {firstName: 'Jane'}),
+      ]);
+
+      expect(checks.find(check => check.field === 'firstName')?.agrees).toBe(true);
+    });
+
+    it('should ignore accents and punctuation in names', () => {
+      const checks = crossCheckDocuments([
+        document('passport', {lastName: 'SMITH-MÜLLER'}),
+        document('drivers_license', {lastName: 'SMITH MULLER'}),
+      ]);
+
+      expect(checks.find(check => check.field === 'lastName')?.agrees).toBe(true);
+    });
+
+    it('should flag a field any document disagrees on', () => {
+      const checks = crossCheckDocuments([
+        document('passport'),
+        document('national_id'),
+        document('drivers_license', {dateOfBirth: '1981-07-04'}),
+      ]);
+
+      expect(checks).toContainEqual({field: 'dateOfBirth', agrees: false});
+      expect(checks).toContainEqual({field: 'lastName', agrees: true});
+    });
+
+    it('should not compare fields a document lacks', () => {
+      const checks = crossCheckDocuments([
+        document('passport', {dateOfBirth: ''}),
+        document('drivers_license', {dateOfBirth: '1981-07-04'}),
+      ]);
+
+      expect(checks.map(check => check.field)).not.toContain('dateOfBirth');
+    });
+
+    it('should have nothing to compare for a single document', () => {
+      expect(crossCheckDocuments([document('passport')])).toEqual([]);
+      expect(crossCheckDocuments([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,333 @@
+import {GrayImage, Quad} from '@types/index';
+import {
+  MIN_SHARPNESS,
+  applyHomography,
+  assessCaptureQuality,
+  computeHomography,
+  createImage,
+  cropRegion,
+  detectDocumentQuad,
+  estimateSkew,
+  measureGlare,
+  measureSharpness,
+  normalizeContrast,
+  orderQuad,
+  otsuThreshold,
+  preprocessDocument,
+  rectifiedSize,
+  rotateImage,
+  toGrayscale,
+  warpPerspective,
+} from '@utils/documentImage';
+
+const UNIT: Quad = [
+  {x: 0, y: 0},
+  {x: 1, y: 0},
+  {x: 1, y: 1},
+  {x: 0, y: 1},
+];
+
+// A card tilted and foreshortened as if photographed at an angle
+const TILTED: Quad = [
+  {x: 40, y: 30},
+  {x: 285, y: 42},
+  {x: 278, y: 205},
+  {x: 34, y: 196},
+];
+
+// Card design: light paper, a dark block on the left of the top row and
+// striped text lines below it
+const cardPattern = (u: number, v: number): number => {
+  if (v < 0.3) {
+    return u > 0.1 && u < 0.5 && v > 0.05 ? 40 : 210;
+  }
+  const line = Math.floor(v * 20) % 3 === 0;
+  return line && Math.floor(u * 50) % 2 === 0 ? 30 : 210;
+};
+
+// Photograph a card with corners at `quad` on a uniform background
+const photograph = (
+  quad: Quad,
+  options: {
+    background?: number;
+    width?: number;
+    height?: number;
+    pattern?: (u: number, v: number) => number;
+  } = {}
+): GrayImage => {
+  const {background = 50, width = 320, height = 240, pattern = cardPattern} = options;
+  const photo = createImage(width, height, background);
+  const toCard = computeHomography(quad, UNIT);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const {x: u, y: v} = applyHomography(toCard, {x, y});
+      if (u >= 0 && u <= 1 && v >= 0 && v <= 1) {
+        photo.data[y * width + x] = pattern(u, v);
+      }
+    }
+  }
+  return photo;
+};
+
+// Average each pixel with its neighbours within `radius`
+const boxBlur = (image: GrayImage, radius: number): GrayImage => {
+  const output = createImage(image.width, image.height);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const sx = x + dx;
+          const sy = y + dy;
+          if (sx >= 0 && sy >= 0 && sx < image.width && sy < image.height) {
+            sum += image.data[sy * image.width + sx];
+            count++;
+          }
+        }
+      }
+      output.data[y * image.width + x] = sum / count;
+    }
+  }
+  return output;
+};
+
+// Horizontal lines of dashes, like rows of printed text
+const textPage = (): GrayImage => {
+  const page = createImage(300, 200, 220);
+  for (let y = 0; y < page.height; y++) {
+    for (let x = 20; x < page.width - 20; x++) {
+      if (y % 20 >= 8 && y % 20 < 12 && x % 6 < 4) {
+        page.data[y * page.width + x] = 20;
+      }
+    }
+  }
+  return page;
+};
+
+const expectCornersNear = (actual: Quad | null, expected: Quad, tolerance: number) => {
+  expect(actual).not.toBeNull();
+  actual!.forEach((corner, i) => {
+    expect(Math.abs(corner.x - expected[i].x)).toBeLessThanOrEqual(tolerance);
+    expect(Math.abs(corner.y - expected[i].y)).toBeLessThanOrEqual(tolerance);
+  });
+};
+
+describe('document image utils', () => {
+  describe('toGrayscale', () => {
+    it('should weight channels by perceived brightness', () => {
+      const image = toGrayscale([255, 0, 0, 255, 0, 255, 0, 255, 255, 255, 255, 255], 3, 1);
+
+      expect(Array.from(image.data)).toEqual([76, 150, 255]);
+    });
+
+    it('should reject pixel data of the wrong size', () => {
+      expect(() => toGrayscale([0, 0, 0], 1, 1)).toThrow('Pixel data does not match the image size');
+    });
+  });
+
+  describe('otsuThreshold', () => {
+    it('should split two luminance levels', () => {
+      const image = createImage(10, 10, 40);
+      image.data.fill(200, 50);
+
+      const threshold = otsuThreshold(image);
+
+      expect(threshold).toBeGreaterThanOrEqual(40);
+      expect(threshold).toBeLessThan(200);
+    });
+  });
+
+  describe('computeHomography', () => {
+    it('should map each corner onto its counterpart', () => {
+      const homography = computeHomography(UNIT, TILTED);
+
+      UNIT.forEach((corner, i) => {
+        const mapped = applyHomography(homography, corner);
+        expect(mapped.x).toBeCloseTo(TILTED[i].x);
+        expect(mapped.y).toBeCloseTo(TILTED[i].y);
+      });
+    });
+
+    it('should reject collinear corners', () => {
+      const line: Quad = [
+        {x: 0, y: 0},
+        {x: 1, y: 1},
+        {x: 2, y: 2},
+        {x: 3, y: 3},
+      ];
+
+      expect(() => computeHomography(line, UNIT)).toThrow('Quad corners are degenerate');
+    });
+  });
+
+  describe('orderQuad', () => {
+    it('should order corners clockwise from the top left', () => {
+      const [a, b, c, d] = TILTED;
+
+      expect(orderQuad([c, a, d, b])).toEqual(TILTED);
+    });
+
+    it('should put the long sides on top and bottom', () => {
+      const upright: Quad = [
+        {x: 0, y: 0},
+        {x: 60, y: 0},
+        {x: 60, y: 100},
+        {x: 0, y: 100},
+      ];
+
+      expect(orderQuad(upright)).toEqual([upright[3], upright[0], upright[1], upright[2]]);
+    });
+  });
+
+  describe('detectDocumentQuad', () => {
+    it('should find a tilted card on a dark background', () => {
+      expectCornersNear(detectDocumentQuad(photograph(TILTED)), TILTED, 2);
+    });
+
+    it('should find a card that is darker than the background', () => {
+      const photo = photograph(TILTED, {background: 230, pattern: () => 60});
+
+      expectCornersNear(detectDocumentQuad(photo), TILTED, 2);
+    });
+
+    it('should scale corners back from a downsampled search', () => {
+      const large: Quad = TILTED.map(({x, y}) => ({x: x * 2, y: y * 2})) as Quad;
+      const photo = photograph(large, {width: 640, height: 480});
+
+      expectCornersNear(detectDocumentQuad(photo), large, 4);
+    });
+
+    it('should return null when nothing covers enough of the photo', () => {
+      const small: Quad = [
+        {x: 150, y: 110},
+        {x: 180, y: 110},
+        {x: 180, y: 130},
+        {x: 150, y: 130},
+      ];
+
+      expect(detectDocumentQuad(photograph(small))).toBeNull();
+      expect(detectDocumentQuad(createImage(320, 240, 128))).toBeNull();
+    });
+  });
+
+  describe('warpPerspective', () => {
+    it('should recover the card as if scanned flat', () => {
+      const {width, height} = rectifiedSize(TILTED);
+      const flat = warpPerspective(photograph(TILTED), TILTED, width, height);
+      const at = (u: number, v: number) =>
+        flat.data[Math.round(v * (height - 1)) * width + Math.round(u * (width - 1))];
+
+      expect(width).toBeGreaterThan(height);
+      expect(at(0.25, 0.15)).toBeLessThan(60);
+      expect(at(0.75, 0.15)).toBeGreaterThan(190);
+    });
+  });
+
+  describe('estimateSkew', () => {
+    it('should measure the rotation of text lines', () => {
+      expect(estimateSkew(textPage())).toBe(0);
+      expect(estimateSkew(rotateImage(textPage(), 3, 220))).toBeCloseTo(3, 0);
+      expect(estimateSkew(rotateImage(textPage(), -2, 220))).toBeCloseTo(-2, 0);
+    });
+
+    it('should undo a rotation when rotated back', () => {
+      const skewed = rotateImage(textPage(), 2.5, 220);
+
+      expect(estimateSkew(rotateImage(skewed, -estimateSkew(skewed), 220))).toBe(0);
+    });
+  });
+
+  describe('normalizeContrast', () => {
+    it('should stretch a washed-out image to the full range', () => {
+      const image = createImage(10, 10, 120);
+      image.data.fill(160, 50);
+
+      const normalized = normalizeContrast(image);
+
+      expect(normalized.data[0]).toBe(0);
+      expect(normalized.data[99]).toBe(255);
+    });
+
+    it('should leave a flat image unchanged', () => {
+      expect(normalizeContrast(createImage(4, 4, 90)).data.every(value => value === 90)).toBe(true);
+    });
+  });
+
+  describe('cropRegion', () => {
+    it('should copy the pixels inside a fractional region', () => {
+      const image = createImage(10, 10);
+      image.data.forEach((_, i) => (image.data[i] = i));
+
+      const crop = cropRegion(image, {x: 0.2, y: 0.5, width: 0.3, height: 0.2});
+
+      expect(crop.width).toBe(3);
+      expect(crop.height).toBe(2);
+      expect(Array.from(crop.data)).toEqual([52, 53, 54, 62, 63, 64]);
+    });
+
+    it('should reject regions outside the image', () => {
+      expect(() => cropRegion(createImage(10, 10), {x: 1.2, y: 0, width: 0.5, height: 1})).toThrow(
+        'Region lies outside the image'
+      );
+    });
+  });
+
+  describe('capture quality', () => {
+    const {width, height} = rectifiedSize(TILTED);
+    const flat = warpPerspective(photograph(TILTED), TILTED, width, height);
+
+    it('should score blurred captures below sharp ones', () => {
+      const blurred = boxBlur(flat, 3);
+
+      expect(measureSharpness(flat)).toBeGreaterThan(MIN_SHARPNESS);
+      expect(measureSharpness(blurred)).toBeLessThan(MIN_SHARPNESS);
+      expect(assessCaptureQuality(blurred, true).issues).toEqual(['blurry']);
+    });
+
+    it('should measure blown-out highlights', () => {
+      const glared = createImage(width, height);
+      glared.data.set(flat.data);
+      glared.data.fill(255, 0, Math.round(width * height * 0.1));
+
+      expect(measureGlare(flat)).toBe(0);
+      expect(measureGlare(glared)).toBeCloseTo(0.1, 2);
+      expect(assessCaptureQuality(glared, true).issues).toEqual(['glare']);
+    });
+
+    it('should report a missing document outline', () => {
+      expect(assessCaptureQuality(flat, false).issues).toEqual(['no_document']);
+      expect(assessCaptureQuality(flat, true).issues).toEqual([]);
+    });
+  });
+
+  describe('preprocessDocument', () => {
+    it('should rectify a photographed card and report a clean capture', () => {
+      const result = preprocessDocument(photograph(TILTED));
+
+      expectCornersNear(result.quad, TILTED, 2);
+      expect(result.image.width / result.image.height).toBeCloseTo(245 / 160, 1);
+      expect(result.quality.documentFound).toBe(true);
+      expect(result.quality.issues).toEqual([]);
+      expect(result.skewAngle).toBe(0);
+      expect(Math.min(...result.image.data)).toBe(0);
+      expect(Math.max(...result.image.data)).toBe(255);
+    });
+
+    it('should straighten the whole photo when no outline is found', () => {
+      const result = preprocessDocument(rotateImage(textPage(), 2, 220));
+
+      expect(result.quad).toBeNull();
+      expect(result.skewAngle).toBeCloseTo(2, 0);
+      expect(result.quality.issues).toContain('no_document');
+    });
+
+    it('should flag a blurry photo', () => {
+      const result = preprocessDocument(boxBlur(photograph(TILTED), 3));
+
+      expect(result.quad).not.toBeNull();
+      expect(result.quality.issues).toEqual(['blurry']);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import {IDDocument} from '@types/index';
+import {
+  DOCUMENT_LAYOUTS,
+  MRZ_REGION,
+  ZONE_MISMATCH_PENALTY,
+  applyZoneChecks,
+  crossCheckZones,
+  normalizeVisualField,
+  parseVisualDate,
+} from '@utils/documentLayout';
+
+describe('document layout utils', () => {
+  describe('DOCUMENT_LAYOUTS', () => {
+    it('should keep every field region inside the document and above the MRZ', () => {
+      for (const [type, layout] of Object.entries(DOCUMENT_LAYOUTS)) {
+        for (const region of Object.values(layout.fields)) {
+          expect(region!.x).toBeGreaterThanOrEqual(0);
+          expect(region!.x + region!.width).toBeLessThanOrEqual(1);
+          if (type !== 'drivers_license') {
+            expect(region!.y + region!.height).toBeLessThanOrEqual(MRZ_REGION.y);
+          }
+        }
+      }
+    });
+  });
+
+  describe('parseVisualDate', () => {
+    it('should read dates with month names', () => {
+      expect(parseVisualDate('15 JAN 1990', 'DMY')).toBe('1990-01-15');
+      expect(parseVisualDate('12 Aug 1974', 'DMY')).toBe('1974-08-12');
+      expect(parseVisualDate('01 FEB/FEV 2030', 'DMY')).toBe('2030-02-01');
+      expect(parseVisualDate('3 SEPT 2001', 'MDY')).toBe('2001-09-03');
+    });
+
+    it('should read numeric dates in the layout order', () => {
+      expect(parseVisualDate('05.04.2020', 'DMY')).toBe('2020-04-05');
+      expect(parseVisualDate('04/05/2020', 'MDY')).toBe('2020-04-05');
+      expect(parseVisualDate('1990-01-15', 'MDY')).toBe('1990-01-15');
+    });
+
+    it('should reject unreadable and impossible dates', () => {
+      expect(parseVisualDate('15 XYZ 1990', 'DMY')).toBe('');
+      expect(parseVisualDate('31.02.1990', 'DMY')).toBe('');
+      expect(parseVisualDate('13/13/1990', 'MDY')).toBe('');
+      expect(parseVisualDate('15 JAN 90', 'DMY')).toBe('');
+    });
+  });
+
+  describe('normalizeVisualField', () => {
+    const passport = DOCUMENT_LAYOUTS.passport;
+
+    it('should transliterate names as the MRZ does', () => {
+      expect(normalizeVisualField('lastName', 'Müller-Lüdenscheidt', passport)).toBe(
+        'MULLER LUDENSCHEIDT'
+      );
+      expect(normalizeVisualField('firstName', ' Anna  María ', passport)).toBe('ANNA MARIA');
+    });
+
+    it('should keep only letters and digits of document numbers', () => {
+      expect(normalizeVisualField('documentNumber', 'l898 902-c3', passport)).toBe('L898902C3');
+    });
+
+    it('should convert dates with the layout order', () => {
+      expect(normalizeVisualField('dateOfBirth', '04/05/2020', passport)).toBe('2020-05-04');
+      expect(
+        normalizeVisualField('dateOfBirth', '04/05/2020', DOCUMENT_LAYOUTS.drivers_license)
+      ).toBe('2020-04-05');
+    });
+  });
+
+  describe('crossCheckZones', () => {
+    const mrzData: IDDocument['extractedData'] = {
+      firstName: 'JOHN',
+      lastName: 'DOE',
+      dateOfBirth: '1990-01-15',
+      documentNumber: '123456789',
+      expiryDate: '2030-01-15',
+      nationality: 'USA',
+    };
+
+    it('should compare the fields read from both zones', () => {
+      const checks = crossCheckZones(mrzData, {
+        lastName: 'DOE',
+        dateOfBirth: '1990-01-16',
+        address: '1 MAIN ST',
+      });
+
+      expect(checks).toEqual([
+        {field: 'lastName', mrz: 'DOE', visual: 'DOE', agrees: true},
+        {field: 'dateOfBirth', mrz: '1990-01-15', visual: '1990-01-16', agrees: false},
+      ]);
+    });
+
+    it('should lower confidence for each disagreement', () => {
+      const checks = crossCheckZones(mrzData, {
+        lastName: 'DOE',
+        firstName: 'JOAN',
+        documentNumber: '123456788',
+      });
+
+      expect(applyZoneChecks(0.9, checks)).toBeCloseTo(0.9 * (1 - ZONE_MISMATCH_PENALTY) ** 2);
+      expect(applyZoneChecks(0.9, checks.slice(0, 1))).toBe(0.9);
+      expect(applyZoneChecks(0.9, [])).toBe(0.9);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import {IDDocument} from '@types/index';
+import {checkDocumentSchema, isIsoDate} from '@utils/documentSchemas';
+import {parseMrz} from '@utils/mrz';
+
+const document = (
+  type: IDDocument['type'],
+  jurisdiction: string | undefined,
+  data: Partial<IDDocument['extractedData']> = {}
+): IDDocument => ({
+  type,
+  imageUri: 'file://id.jpg',
+  jurisdiction,
+  extractedData: {
+    firstName: 'JANE',
+    lastName: 'SMITH',
+    dateOfBirth: '1980-07-04',
+    documentNumber: 'S1234567',
+    expiryDate: '2030-07-04',
+    ...(type !== 'drivers_license' && {nationality: jurisdiction ?? 'UTO'}),
+    ...data,
+  },
+  confidence: 0.9,
+});
+
+describe('documentSchemas utils', () => {
+  describe('isIsoDate', () => {
+    it('should accept only real dates', () => {
+      expect(isIsoDate('2024-02-29')).toBe(true);
+      expect(isIsoDate('2023-02-29')).toBe(false);
+      expect(isIsoDate('07/04/1980')).toBe(false);
+    });
+  });
+
+  describe('checkDocumentSchema', () => {
+    it('should accept a conforming document', () => {
+      expect(checkDocumentSchema(document('drivers_license', 'USA-CA'))).toEqual([]);
+    });
+
+    it('should require nationality on passports but not on licenses', () => {
+      const license = document('drivers_license', 'USA-CA');
+      const passport = document('passport', undefined, {
+        documentNumber: '123456789',
+        nationality: '',
+      });
+
+      expect(checkDocumentSchema(license)).toEqual([]);
+      expect(checkDocumentSchema(passport)).toEqual([{field: 'nationality', kind: 'missing'}]);
+    });
+
+    it('should report missing fields and malformed values', () => {
+      const issues = checkDocumentSchema(
+        document('drivers_license', undefined, {firstName: '', dateOfBirth: '1980-13-04'})
+      );
+
+      expect(issues).toEqual([
+        {field: 'firstName', kind: 'missing'},
+        {field: 'dateOfBirth', kind: 'format'},
+      ]);
+    });
+
+    it('should hold document numbers to the rule of their issuer', () => {
+      const california = document('drivers_license', 'USA-CA', {documentNumber: '123456789'});
+      const newYork = document('drivers_license', 'USA-NY', {documentNumber: '123456789'});
+
+      expect(checkDocumentSchema(california)).toEqual([
+        {field: 'documentNumber', kind: 'jurisdiction'},
+      ]);
+      expect(checkDocumentSchema(newYork)).toEqual([]);
+    });
+
+    it('should check numbers derived from the holder name', () => {
+      const florida = (documentNumber: string) =>
+        checkDocumentSchema(document('drivers_license', 'USA-FL', {documentNumber}));
+
+      expect(florida('S123456789012')).toEqual([]);
+      expect(florida('D123456789012')).toEqual([{field: 'documentNumber', kind: 'jurisdiction'}]);
+    });
+
+    it('should hold numbers of other issuers to a plausible length', () => {
+      const short = document('national_id', 'UTO', {documentNumber: 'AB12'});
+
+      expect(checkDocumentSchema(short)).toEqual([{field: 'documentNumber', kind: 'format'}]);
+    });
+
+    it('should not hold a number that passed its check digit to the length rule', () => {
+      // ICAO 9303 TD1 specimen
+      const {documentType, extractedData, confidence, ...mrz} = parseMrz(
+        [
+          'I<UTOD231458907<<<<<<<<<<<<<<<',
+          '7408122F1204159UTO<<<<<<<<<<<6',
+          'ERIKSSON<<ANNA<MARIA<<<<<<<<<<',
+        ].join('\n'),
+        new Date('2010-01-01T00:00:00Z')
+      );
+      const short = document('national_id', 'UTO', {documentNumber: 'AB12'});
+
+      expect(checkDocumentSchema({...short, mrz})).toEqual([]);
+    });
+  });
+});
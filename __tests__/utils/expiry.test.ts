@@ -0,0 +1,34 @@
+import {getExpiryStatus, REVERIFICATION_WARNING_DAYS} from '@utils/expiry';
+
+describe('expiry utils', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const nowSeconds = now.getTime() / 1000;
+  const DAY = 24 * 60 * 60;
+
+  it('should report no verification without an expiry', () => {
+    expect(getExpiryStatus(undefined, now)).toEqual({state: 'none'});
+    expect(getExpiryStatus(0, now)).toEqual({state: 'none'});
+  });
+
+  it('should report valid verifications outside the warning window', () => {
+    const expiresAt = nowSeconds + 200 * DAY;
+    expect(getExpiryStatus(expiresAt, now)).toEqual({state: 'valid', expiresAt, daysRemaining: 200});
+  });
+
+  it('should warn inside the warning window', () => {
+    const expiresAt = nowSeconds + REVERIFICATION_WARNING_DAYS * DAY;
+    expect(getExpiryStatus(expiresAt, now).state).toBe('expiring');
+  });
+
+  it('should round partial days up', () => {
+    expect(getExpiryStatus(nowSeconds + 60, now).daysRemaining).toBe(1);
+  });
+
+  it('should report expired verifications', () => {
+    expect(getExpiryStatus(nowSeconds, now)).toEqual({
+      state: 'expired',
+      expiresAt: nowSeconds,
+      daysRemaining: 0,
+    });
+  });
+});
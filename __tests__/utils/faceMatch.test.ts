@@ -0,0 +1,58 @@
+import {
+  DEFAULT_MIN_FACE_SIMILARITY,
+  encodeSimilarity,
+  meetsSimilarityBound,
+} from '@utils/faceMatch';
+
+describe('faceMatch utils', () => {
+  const descriptor = Array.from({length: 128}, (_, i) => Math.sin(i));
+
+  describe('encodeSimilarity', () => {
+    it('should scale thresholds to basis points', () => {
+      expect(encodeSimilarity(DEFAULT_MIN_FACE_SIMILARITY)).toBe(6000);
+      expect(encodeSimilarity(0)).toBe(0);
+      expect(encodeSimilarity(1)).toBe(10000);
+    });
+
+    it('should round down so the bound is never stricter', () => {
+      expect(encodeSimilarity(0.87659)).toBe(8765);
+    });
+
+    it('should reject thresholds outside [0, 1]', () => {
+      expect(() => encodeSimilarity(-0.1)).toThrow('Similarity threshold must be between 0 and 1');
+      expect(() => encodeSimilarity(1.5)).toThrow('Similarity threshold must be between 0 and 1');
+      expect(() => encodeSimilarity(NaN)).toThrow('Similarity threshold must be between 0 and 1');
+    });
+  });
+
+  describe('meetsSimilarityBound', () => {
+    it('should accept identical descriptors at the strictest bound', () => {
+      expect(meetsSimilarityBound(descriptor, descriptor, 10000)).toBe(true);
+    });
+
+    it('should compare cosine similarity with the threshold', () => {
+      // Sharing half the dimensions gives a cosine similarity of 1/sqrt(2) ≈ 0.70711
+      const a = [...Array(64).fill(1), ...Array(64).fill(0)];
+      const b = Array(128).fill(1);
+
+      expect(meetsSimilarityBound(a, b, 7071)).toBe(true);
+      expect(meetsSimilarityBound(a, b, 7072)).toBe(false);
+    });
+
+    it('should reject negatively correlated descriptors at any bound', () => {
+      const opposite = descriptor.map(value => -value);
+
+      expect(meetsSimilarityBound(descriptor, opposite, 0)).toBe(false);
+    });
+
+    it('should reject zero descriptors, which would satisfy any bound', () => {
+      expect(meetsSimilarityBound(descriptor, Array(128).fill(0), 0)).toBe(false);
+    });
+
+    it('should reject descriptors of different lengths', () => {
+      expect(() => meetsSimilarityBound(descriptor, descriptor.slice(1), 6000)).toThrow(
+        'Face descriptors must have the same length'
+      );
+    });
+  });
+});
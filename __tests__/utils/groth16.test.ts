@@ -0,0 +1,85 @@
+import {
+  BN254_SCALAR_FIELD,
+  decodeProof,
+  encodeProof,
+  encodeProofCalldata,
+  isFieldElement,
+} from '@utils/groth16';
+import {proof, publicSignals} from '../fixtures/groth16';
+
+describe('groth16 utils', () => {
+  describe('encodeProof', () => {
+    it('should encode a proof into eight 32-byte words', () => {
+      const bytes = encodeProof(proof);
+
+      expect(bytes).toHaveLength(256);
+    });
+
+    it('should place B coefficients in EIP-197 order', () => {
+      const bytes = encodeProof(proof);
+      const word = (index: number) =>
+        BigInt('0x' + Buffer.from(bytes.subarray(index * 32, (index + 1) * 32)).toString('hex')).toString();
+
+      expect(word(0)).toBe(proof.pi_a[0]);
+      expect(word(2)).toBe(proof.pi_b[0][1]);
+      expect(word(3)).toBe(proof.pi_b[0][0]);
+      expect(word(7)).toBe(proof.pi_c[1]);
+    });
+  });
+
+  describe('decodeProof', () => {
+    it('should round-trip an encoded proof', () => {
+      expect(decodeProof(encodeProof(proof))).toEqual(proof);
+    });
+
+    it('should reject proofs of the wrong length', () => {
+      expect(() => decodeProof(new Uint8Array(64))).toThrow('Invalid proof length');
+    });
+  });
+
+  describe('encodeProofCalldata', () => {
+    const zkProof = {
+      proof: Buffer.from(encodeProof(proof)).toString('hex'),
+      publicSignals,
+      verificationKey: '{}',
+    };
+
+    it('should produce 0x-prefixed proof bytes and numeric public inputs', () => {
+      const calldata = encodeProofCalldata(zkProof);
+
+      expect(calldata.proof).toBe('0x' + zkProof.proof);
+      expect(calldata.publicInputs).toEqual(publicSignals.map(signal => BigInt(signal)));
+    });
+
+    it('should accept proof bytes that are already 0x-prefixed', () => {
+      expect(encodeProofCalldata({...zkProof, proof: '0x' + zkProof.proof}).proof).toBe(
+        '0x' + zkProof.proof
+      );
+    });
+
+    it('should reject truncated proofs', () => {
+      expect(() => encodeProofCalldata({...zkProof, proof: zkProof.proof.slice(2)})).toThrow(
+        'Invalid proof length'
+      );
+    });
+
+    it('should reject public signals outside the field', () => {
+      expect(() =>
+        encodeProofCalldata({...zkProof, publicSignals: [BN254_SCALAR_FIELD.toString()]})
+      ).toThrow('Public signal 0 is not a field element');
+    });
+  });
+
+  describe('isFieldElement', () => {
+    it('should accept values below the field order', () => {
+      expect(isFieldElement('0')).toBe(true);
+      expect(isFieldElement((BN254_SCALAR_FIELD - BigInt(1)).toString())).toBe(true);
+    });
+
+    it('should reject the field order and non-decimal values', () => {
+      expect(isFieldElement(BN254_SCALAR_FIELD.toString())).toBe(false);
+      expect(isFieldElement('0x10')).toBe(false);
+      expect(isFieldElement('-1')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import {FaceLandmarkFrame, LivenessSession} from '@types/index';
+import {
+  MAX_CHALLENGE_DURATION_MS,
+  blinkStrength,
+  evaluateChallenge,
+  hashLivenessTranscript,
+  smileStrength,
+  summarizeLiveness,
+  turnStrength,
+} from '@utils/liveness';
+import {identityLiveness} from '../fixtures/groth16';
+
+describe('liveness utils', () => {
+  const neutral: Omit<FaceLandmarkFrame, 'timestamp'> = {
+    leftEyeOpenProbability: 0.95,
+    rightEyeOpenProbability: 0.95,
+    smilingProbability: 0.1,
+    yawAngle: 0,
+  };
+
+  // One frame every 300ms, starting at t=1000
+  const sequence = (...changes: Array<Partial<FaceLandmarkFrame>>): FaceLandmarkFrame[] =>
+    changes.map((change, i) => ({...neutral, timestamp: 1000 + i * 300, ...change}));
+
+  const still = sequence({}, {}, {}, {}, {}, {});
+
+  describe('blinkStrength', () => {
+    it('should measure a blink that closes and reopens both eyes', () => {
+      const frames = sequence(
+        {},
+        {leftEyeOpenProbability: 0.1, rightEyeOpenProbability: 0.15},
+        {}
+      );
+
+      expect(blinkStrength(frames)).toBeCloseTo(0.8);
+    });
+
+    it('should ignore winks and eyes that stay closed', () => {
+      const wink = sequence({}, {leftEyeOpenProbability: 0.05}, {});
+      const closing = sequence({}, {leftEyeOpenProbability: 0.05, rightEyeOpenProbability: 0.05});
+
+      expect(blinkStrength(wink)).toBeCloseTo(0);
+      expect(blinkStrength(closing)).toBe(0);
+      expect(blinkStrength(still)).toBe(0);
+    });
+  });
+
+  describe('smileStrength', () => {
+    it('should measure a rise from a neutral expression', () => {
+      expect(smileStrength(sequence({}, {smilingProbability: 0.85}))).toBeCloseTo(0.75);
+    });
+
+    it('should not count a smile held from the first frame', () => {
+      const held = sequence({smilingProbability: 0.9}, {smilingProbability: 0.9});
+
+      expect(smileStrength(held)).toBe(0);
+    });
+  });
+
+  describe('turnStrength', () => {
+    it('should measure a turn in the requested direction', () => {
+      const left = sequence({}, {yawAngle: 15}, {yawAngle: 32});
+
+      expect(turnStrength(left, 'left')).toBe(32);
+      expect(turnStrength(left, 'right')).toBe(0);
+    });
+
+    it('should require facing the camera before turning', () => {
+      const alreadyTurned = sequence({yawAngle: -35}, {yawAngle: -40});
+
+      expect(turnStrength(alreadyTurned, 'right')).toBe(0);
+    });
+  });
+
+  describe('evaluateChallenge', () => {
+    it('should pass a performed gesture and record the timing', () => {
+      const frames = sequence({}, {}, {yawAngle: 12}, {yawAngle: 28}, {yawAngle: 30});
+
+      const result = evaluateChallenge('turn_left', frames);
+
+      expect(result).toEqual({
+        challenge: 'turn_left',
+        passed: true,
+        score: 0.75,
+        frameCount: 5,
+        startedAt: 1000,
+        completedAt: 2200,
+      });
+    });
+
+    it('should fail a still photo on every challenge', () => {
+      for (const challenge of ['blink', 'turn_left', 'turn_right', 'smile'] as const) {
+        const result = evaluateChallenge(challenge, still);
+
+        expect(result.passed).toBe(false);
+        expect(result.score).toBe(0);
+      }
+    });
+
+    it('should fail the wrong gesture', () => {
+      const smile = sequence({}, {}, {smilingProbability: 0.9}, {}, {});
+
+      expect(evaluateChallenge('blink', smile).passed).toBe(false);
+      expect(evaluateChallenge('smile', smile).passed).toBe(true);
+    });
+
+    it('should fail sequences that are too short, too slow or out of order', () => {
+      const blink = sequence(
+        {},
+        {},
+        {leftEyeOpenProbability: 0.05, rightEyeOpenProbability: 0.05},
+        {},
+        {}
+      );
+      const slow = blink.map((frame, i) => ({
+        ...frame,
+        timestamp: frame.timestamp + i * MAX_CHALLENGE_DURATION_MS,
+      }));
+
+      expect(evaluateChallenge('blink', blink).passed).toBe(true);
+      expect(evaluateChallenge('blink', blink.slice(0, 4)).passed).toBe(false);
+      expect(evaluateChallenge('blink', slow).passed).toBe(false);
+      expect(evaluateChallenge('blink', [...blink].reverse()).passed).toBe(false);
+    });
+  });
+
+  describe('summarizeLiveness', () => {
+    const session: LivenessSession = {
+      nonce: '42',
+      challenges: ['smile', 'blink'],
+      issuedAt: 500,
+      expiresAt: 60000,
+    };
+    const smile = evaluateChallenge('smile', sequence({}, {}, {smilingProbability: 0.9}, {}, {}));
+
+    it('should pass only when every challenge passes', () => {
+      const blink = evaluateChallenge(
+        'blink',
+        sequence({}, {leftEyeOpenProbability: 0, rightEyeOpenProbability: 0}, {}, {}, {})
+      );
+
+      const passed = summarizeLiveness(session, [smile, blink]);
+      const failed = summarizeLiveness(session, [smile, evaluateChallenge('blink', still)]);
+
+      expect(passed.passed).toBe(true);
+      expect(passed.score).toBeCloseTo((smile.score + blink.score) / 2);
+      expect(passed.nonce).toBe('42');
+      expect(failed.passed).toBe(false);
+    });
+
+    it('should reject results for other challenges or out of the session window', () => {
+      const blink = evaluateChallenge('blink', still);
+
+      expect(() => summarizeLiveness(session, [blink, smile])).toThrow(
+        'Liveness results do not match the session challenges'
+      );
+      expect(() => summarizeLiveness({...session, issuedAt: 5000}, [smile, blink])).toThrow(
+        'Liveness frames predate the session'
+      );
+      expect(() => summarizeLiveness({...session, expiresAt: 2000}, [smile, blink])).toThrow(
+        'Liveness session expired'
+      );
+    });
+  });
+
+  describe('hashLivenessTranscript', () => {
+    it('should commit to the nonce and every challenge result', () => {
+      const digest = hashLivenessTranscript(identityLiveness);
+      const [first, ...rest] = identityLiveness.results;
+
+      expect(digest).toMatch(/^\d+$/);
+      expect(hashLivenessTranscript({...identityLiveness, nonce: '1'})).not.toBe(digest);
+      expect(
+        hashLivenessTranscript({...identityLiveness, results: [{...first, score: 0.9}, ...rest]})
+      ).not.toBe(digest);
+      expect(hashLivenessTranscript({...identityLiveness, results: rest})).not.toBe(digest);
+    });
+  });
+});
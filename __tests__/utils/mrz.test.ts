@@ -0,0 +1,274 @@
+import {
+  detectMrzFormat,
+  findMrz,
+  mrzCheckDigit,
+  mrzDocumentType,
+  parseMrz,
+  parseMrzDate,
+} from '@utils/mrz';
+
+// Specimens from ICAO Doc 9303
+const TD3 = [
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36UTO7408122F1204159ZE184226B<<<<<10',
+].join('\n');
+
+const TD2 = [
+  'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+  'D231458907UTO7408122F1204159<<<<<<<6',
+].join('\n');
+
+const TD1 = [
+  'I<UTOD231458907<<<<<<<<<<<<<<<',
+  '7408122F1204159UTO<<<<<<<<<<<6',
+  'ERIKSSON<<ANNA<MARIA<<<<<<<<<<',
+].join('\n');
+
+// Twelve-character document number continued in the optional data
+const TD1_LONG_NUMBER = [
+  'I<UTOD23145890<7349<<<<<<<<<<<',
+  '3407127M9507122UTO<<<<<<<<<<<2',
+  'STEVENSON<<PETER<JOHN<<<<<<<<<',
+].join('\n');
+
+// Dates in the specimens are from before 2012, so parse relative to 2010
+const NOW = new Date('2010-01-01T00:00:00Z');
+
+// Replace one character of an MRZ
+const tamper = (mrz: string, line: number, index: number, char: string): string =>
+  mrz
+    .split('\n')
+    .map((text, i) => (i === line ? text.slice(0, index) + char + text.slice(index + 1) : text))
+    .join('\n');
+
+describe('mrz utils', () => {
+  describe('mrzCheckDigit', () => {
+    it('should compute ICAO 9303 check digits', () => {
+      expect(mrzCheckDigit('L898902C3')).toBe('6');
+      expect(mrzCheckDigit('740812')).toBe('2');
+      expect(mrzCheckDigit('120415')).toBe('9');
+      expect(mrzCheckDigit('ZE184226B<<<<<')).toBe('1');
+      expect(mrzCheckDigit('L898902C3674081221204159ZE184226B<<<<<1')).toBe('0');
+    });
+
+    it('should count fillers as zero', () => {
+      expect(mrzCheckDigit('<<<<<<<<<')).toBe('0');
+      expect(mrzCheckDigit('AB<')).toBe(mrzCheckDigit('AB0'));
+    });
+
+    it('should reject characters outside the MRZ alphabet', () => {
+      expect(() => mrzCheckDigit('ab')).toThrow('Invalid MRZ character: a');
+    });
+  });
+
+  describe('findMrz', () => {
+    it('should detect each format', () => {
+      expect(detectMrzFormat(TD3)).toBe('TD3');
+      expect(detectMrzFormat(TD2)).toBe('TD2');
+      expect(detectMrzFormat(TD1)).toBe('TD1');
+    });
+
+    it('should ignore surrounding text and stray whitespace', () => {
+      const text = [
+        'PASSPORT',
+        'Surname / Nom: ERIKSSON',
+        'P<UTOERIKSSON<<ANNA<MARIA<<<<< <<<<<<<<<<<<<<',
+        'L898902C36UTO7408122F1204159ZE184226B<<<<<10  ',
+      ].join('\r\n');
+
+      expect(findMrz(text)).toEqual({format: 'TD3', lines: TD3.split('\n')});
+    });
+
+    it('should return null when there is no machine readable zone', () => {
+      expect(findMrz('DRIVER LICENSE\nDOE JOHN\n123 MAIN ST')).toBeNull();
+      expect(detectMrzFormat('P<UTOERIKSSON<<ANNA')).toBeNull();
+    });
+  });
+
+  describe('parseMrzDate', () => {
+    it('should place birth dates in the past', () => {
+      expect(parseMrzDate('740812', 'birth', NOW)).toBe('1974-08-12');
+      expect(parseMrzDate('050101', 'birth', NOW)).toBe('2005-01-01');
+      expect(parseMrzDate('110101', 'birth', NOW)).toBe('1911-01-01');
+    });
+
+    it('should allow expiry dates up to fifty years ahead', () => {
+      expect(parseMrzDate('120415', 'expiry', NOW)).toBe('2012-04-15');
+      expect(parseMrzDate('590101', 'expiry', NOW)).toBe('2059-01-01');
+      expect(parseMrzDate('950712', 'expiry', NOW)).toBe('1995-07-12');
+    });
+
+    it('should reject impossible and unspecified dates', () => {
+      expect(parseMrzDate('741312', 'birth', NOW)).toBe('');
+      expect(parseMrzDate('740231', 'birth', NOW)).toBe('');
+      expect(parseMrzDate('<<<<<<', 'expiry', NOW)).toBe('');
+    });
+  });
+
+  describe('mrzDocumentType', () => {
+    it('should map document codes to document types', () => {
+      expect(mrzDocumentType('P')).toBe('passport');
+      expect(mrzDocumentType('PD')).toBe('passport');
+      expect(mrzDocumentType('I')).toBe('national_id');
+      expect(mrzDocumentType('ID')).toBe('national_id');
+      expect(mrzDocumentType('AC')).toBe('national_id');
+    });
+
+    it('should reject documents the app cannot verify', () => {
+      expect(() => mrzDocumentType('V')).toThrow('Unsupported MRZ document code: V');
+    });
+  });
+
+  describe('parseMrz', () => {
+    it('should parse a TD3 passport', () => {
+      const result = parseMrz(TD3, NOW);
+
+      expect(result.format).toBe('TD3');
+      expect(result.documentType).toBe('passport');
+      expect(result.documentCode).toBe('P');
+      expect(result.issuingState).toBe('UTO');
+      expect(result.sex).toBe('F');
+      expect(result.optionalData).toBe('ZE184226B');
+      expect(result.extractedData).toEqual({
+        firstName: 'ANNA MARIA',
+        lastName: 'ERIKSSON',
+        dateOfBirth: '1974-08-12',
+        documentNumber: 'L898902C3',
+        expiryDate: '2012-04-15',
+        nationality: 'UTO',
+      });
+      expect(result.checks.map(check => check.field)).toEqual([
+        'documentNumber',
+        'dateOfBirth',
+        'expiryDate',
+        'personalNumber',
+        'composite',
+      ]);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should parse TD2 and TD1 identity cards', () => {
+      for (const mrz of [TD2, TD1]) {
+        const result = parseMrz(mrz, NOW);
+
+        expect(result.documentType).toBe('national_id');
+        expect(result.extractedData.documentNumber).toBe('D23145890');
+        expect(result.extractedData.lastName).toBe('ERIKSSON');
+        expect(result.extractedData.dateOfBirth).toBe('1974-08-12');
+        expect(result.extractedData.expiryDate).toBe('2012-04-15');
+        expect(result.checks.every(check => check.valid)).toBe(true);
+        expect(result.valid).toBe(true);
+      }
+      expect(parseMrz(TD1, NOW).format).toBe('TD1');
+      expect(parseMrz(TD2, NOW).format).toBe('TD2');
+    });
+
+    it('should read document numbers that continue in the optional data', () => {
+      const result = parseMrz(TD1_LONG_NUMBER, NOW);
+
+      expect(result.extractedData.documentNumber).toBe('D23145890734');
+      expect(result.extractedData.firstName).toBe('PETER JOHN');
+      expect(result.sex).toBe('M');
+      expect(result.optionalData).toBe('');
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report a wrong document number check digit', () => {
+      const result = parseMrz(tamper(TD3, 1, 9, '7'), NOW);
+
+      expect(result.valid).toBe(false);
+      expect(result.checks.find(check => check.field === 'documentNumber')).toEqual({
+        field: 'documentNumber',
+        valid: false,
+        expected: '6',
+        actual: '7',
+      });
+      expect(result.fieldConfidence.documentNumber).toBeLessThan(0.5);
+      expect(result.fieldConfidence.dateOfBirth).toBeGreaterThan(0.9);
+    });
+
+    it('should catch a misread digit through the field and composite checks', () => {
+      // Birth date 740812 read as 740813
+      const result = parseMrz(tamper(TD3, 1, 18, '3'), NOW);
+      const failed = result.checks.filter(check => !check.valid).map(check => check.field);
+
+      expect(failed).toEqual(['dateOfBirth', 'composite']);
+      expect(result.valid).toBe(false);
+    });
+
+    it('should report a composite failure on its own', () => {
+      const result = parseMrz(tamper(TD1, 1, 29, '5'), NOW);
+
+      expect(result.checks.filter(check => !check.valid).map(check => check.field)).toEqual([
+        'composite',
+      ]);
+      expect(result.valid).toBe(false);
+    });
+
+    it('should accept a filler check digit for an empty personal number', () => {
+      const mrz = [
+        'P<USADOE<<JOHN<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<',
+        '1234567897USA9001158M3001156<<<<<<<<<<<<<<<8',
+      ].join('\n');
+
+      const result = parseMrz(mrz, NOW);
+
+      expect(result.checks.find(check => check.field === 'personalNumber')?.valid).toBe(true);
+      expect(result.valid).toBe(true);
+      expect(result.optionalData).toBe('');
+    });
+
+    it('should correct letters misread in numeric fields', () => {
+      // Birth date 740812 read as 74O8I2
+      const misread = tamper(tamper(TD3, 1, 15, 'O'), 1, 17, 'I');
+
+      const result = parseMrz(misread, NOW);
+
+      expect(result.extractedData.dateOfBirth).toBe('1974-08-12');
+      expect(result.valid).toBe(true);
+      expect(result.fieldConfidence.dateOfBirth).toBeLessThan(
+        parseMrz(TD3, NOW).fieldConfidence.dateOfBirth as number
+      );
+    });
+
+    it('should correct digits misread in names', () => {
+      const result = parseMrz(tamper(TD3, 0, 5, '8'), NOW);
+
+      expect(result.extractedData.lastName).toBe('BRIKSSON');
+      expect(result.fieldConfidence.lastName).toBeLessThan(0.9);
+    });
+
+    it('should flag unreadable dates', () => {
+      const result = parseMrz(tamper(TD3, 1, 15, '1'), NOW);
+
+      expect(result.extractedData.dateOfBirth).toBe('');
+      expect(result.fieldConfidence.dateOfBirth).toBe(0);
+      expect(result.valid).toBe(false);
+    });
+
+    it('should map ICAO state codes to ISO alpha-3 codes', () => {
+      const german = [
+        'P<D<<MUSTERMANN<<ERIKA<<<<<<<<<<<<<<<<<<<<<<',
+        'C01X00T478D<<6408125F2702283<<<<<<<<<<<<<<<4',
+      ].join('\n');
+
+      const result = parseMrz(german, NOW);
+
+      expect(result.issuingState).toBe('DEU');
+      expect(result.extractedData.nationality).toBe('DEU');
+      expect(result.valid).toBe(true);
+    });
+
+    it('should derive overall confidence from the field confidences', () => {
+      const clean = parseMrz(TD3, NOW);
+      const damaged = parseMrz(tamper(TD3, 1, 9, '7'), NOW);
+
+      expect(clean.confidence).toBeGreaterThan(0.9);
+      expect(damaged.confidence).toBeLessThan(clean.confidence);
+    });
+
+    it('should throw when there is no machine readable zone', () => {
+      expect(() => parseMrz('NO CODE LINES HERE', NOW)).toThrow('No machine readable zone found');
+    });
+  });
+});
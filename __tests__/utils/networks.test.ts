@@ -0,0 +1,113 @@
+import {DeploymentRecord} from '@types/index';
+import {
+  BASE_SEPOLIA_CHAIN_ID,
+  LOCALHOST_CHAIN_ID,
+  SEPOLIA_CHAIN_ID,
+  buildNetworkRegistry,
+  getNetwork,
+  getTransactionUrl,
+} from '@utils/networks';
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+const deployment = (chainId: number, overrides: Partial<DeploymentRecord> = {}) => ({
+  network: {name: 'custom', chainId},
+  deployer: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  verifierMode: 'mock' as const,
+  contracts: {
+    MockVerifier: {address: '0x' + '11'.repeat(20), transactionHash: TX_HASH},
+    IdentityVerification: {address: CONTRACT_ADDRESS, transactionHash: TX_HASH},
+  },
+  predicates: [],
+  scopes: ['zk-identity-verification'],
+  deploymentTime: '2026-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+describe('buildNetworkRegistry', () => {
+  it('should list localhost, Sepolia and Base Sepolia without deployments', () => {
+    const networks = buildNetworkRegistry({});
+
+    expect(networks.map(network => network.chainId)).toEqual([
+      LOCALHOST_CHAIN_ID,
+      BASE_SEPOLIA_CHAIN_ID,
+      SEPOLIA_CHAIN_ID,
+    ]);
+    expect(networks.every(network => network.contractAddress === null)).toBe(true);
+  });
+
+  it('should take contract addresses from the deployments', () => {
+    const networks = buildNetworkRegistry({[SEPOLIA_CHAIN_ID]: deployment(SEPOLIA_CHAIN_ID)});
+
+    expect(getNetwork(SEPOLIA_CHAIN_ID, networks)).toEqual({
+      chainId: SEPOLIA_CHAIN_ID,
+      name: 'Sepolia',
+      rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+      explorerUrl: 'https://sepolia.etherscan.io',
+      confirmations: 2,
+      contractAddress: CONTRACT_ADDRESS,
+      relayerUrl: null,
+      issuerUrl: null,
+    });
+    expect(getNetwork(BASE_SEPOLIA_CHAIN_ID, networks).contractAddress).toBeNull();
+  });
+
+  it('should let deployments override the built-in settings', () => {
+    const networks = buildNetworkRegistry({
+      [LOCALHOST_CHAIN_ID]: deployment(LOCALHOST_CHAIN_ID, {
+        rpcUrl: 'http://10.0.2.2:8545',
+        confirmations: 0,
+        relayerUrl: 'http://10.0.2.2:8787',
+        issuerUrl: 'http://10.0.2.2:8788',
+      }),
+    });
+
+    expect(getNetwork(LOCALHOST_CHAIN_ID, networks)).toMatchObject({
+      name: 'Localhost',
+      rpcUrl: 'http://10.0.2.2:8545',
+      explorerUrl: null,
+      confirmations: 0,
+      relayerUrl: 'http://10.0.2.2:8787',
+      issuerUrl: 'http://10.0.2.2:8788',
+    });
+  });
+
+  it('should add unknown chains only when their deployment names an RPC URL', () => {
+    const networks = buildNetworkRegistry({
+      10: deployment(10, {rpcUrl: 'https://mainnet.optimism.io'}),
+      42161: deployment(42161),
+    });
+
+    expect(getNetwork(10, networks)).toEqual({
+      chainId: 10,
+      name: 'custom',
+      rpcUrl: 'https://mainnet.optimism.io',
+      explorerUrl: null,
+      confirmations: 1,
+      contractAddress: CONTRACT_ADDRESS,
+      relayerUrl: null,
+      issuerUrl: null,
+    });
+    expect(() => getNetwork(42161, networks)).toThrow('Unsupported network: chain 42161');
+  });
+});
+
+describe('getTransactionUrl', () => {
+  it('should link to the transaction in the network\'s explorer', () => {
+    const network = getNetwork(BASE_SEPOLIA_CHAIN_ID, buildNetworkRegistry({}));
+
+    expect(getTransactionUrl(network, TX_HASH)).toBe(
+      `https://sepolia.basescan.org/tx/${TX_HASH}`
+    );
+    expect(getTransactionUrl({...network, explorerUrl: 'https://example.org/'}, TX_HASH)).toBe(
+      `https://example.org/tx/${TX_HASH}`
+    );
+  });
+
+  it('should return null for networks without an explorer', () => {
+    const network = getNetwork(LOCALHOST_CHAIN_ID, buildNetworkRegistry({}));
+
+    expect(getTransactionUrl(network, TX_HASH)).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+import {DEFAULT_SCOPE, computeNullifier, getScopeId} from '@utils/nullifier';
+import {isFieldElement} from '@utils/groth16';
+import {identityDocument, publicSignals} from '../fixtures/groth16';
+
+describe('nullifier utils', () => {
+  describe('getScopeId', () => {
+    it('should match the scope the fixture proof was generated for', () => {
+      expect(getScopeId(DEFAULT_SCOPE)).toBe(publicSignals[4]);
+    });
+
+    it('should map names into the scalar field', () => {
+      expect(isFieldElement(getScopeId('another-app'))).toBe(true);
+      expect(getScopeId('another-app')).not.toBe(getScopeId(DEFAULT_SCOPE));
+    });
+
+    it('should reject empty names', () => {
+      expect(() => getScopeId('')).toThrow('Scope name required');
+    });
+  });
+
+  describe('computeNullifier', () => {
+    const scope = getScopeId(DEFAULT_SCOPE);
+
+    it('should match the nullifier computed in the circuit', () => {
+      expect(computeNullifier(identityDocument, scope)).toBe(publicSignals[5]);
+    });
+
+    it('should ignore the address and OCR case differences', () => {
+      const rescanned = {
+        ...identityDocument,
+        firstName: 'jane',
+        address: '1 Rue de Rivoli, Paris',
+      };
+
+      expect(computeNullifier(rescanned, scope)).toBe(publicSignals[5]);
+    });
+
+    it('should differ between scopes and documents', () => {
+      expect(computeNullifier(identityDocument, getScopeId('another-app'))).not.toBe(
+        publicSignals[5]
+      );
+      expect(
+        computeNullifier({...identityDocument, documentNumber: 'X7654321'}, scope)
+      ).not.toBe(publicSignals[5]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  EU_COUNTRIES,
+  NATIONALITY_SET_SIZE,
+  evaluatePredicate,
+  getPredicateId,
+  getPredicatePublicSignals,
+  matchesPredicateStatement,
+  resolvePredicate,
+} from '@utils/predicates';
+import {IDDocument} from '@types/index';
+
+describe('predicate utils', () => {
+  const extractedData: IDDocument['extractedData'] = {
+    firstName: 'Jane',
+    lastName: 'Roe',
+    dateOfBirth: '2000-02-29',
+    documentNumber: 'C01X00T47',
+    expiryDate: '2030-01-15',
+    nationality: 'DEU',
+  };
+
+  describe('getPredicateId', () => {
+    it('should identify predicates independently of the reference date', () => {
+      expect(getPredicateId({type: 'age_over', minAge: 18, referenceDate: '2020-01-01'})).toBe(
+        'age_over:18'
+      );
+      expect(getPredicateId({type: 'not_expired'})).toBe('not_expired');
+    });
+
+    it('should normalize country sets', () => {
+      expect(getPredicateId({type: 'nationality_in', countries: ['fra', 'DEU', 'FRA']})).toBe(
+        'nationality_in:DEU,FRA'
+      );
+    });
+  });
+
+  describe('getPredicatePublicSignals', () => {
+    it('should lay out commitment, reference date and parameters', () => {
+      const signals = getPredicatePublicSignals(
+        {type: 'age_over', minAge: 18, referenceDate: '2018-03-01'},
+        '42'
+      );
+
+      expect(signals).toEqual(['42', '20180301', '18']);
+    });
+
+    it('should pad nationality sets to the circuit size', () => {
+      const signals = getPredicatePublicSignals(
+        resolvePredicate({type: 'nationality_in', countries: EU_COUNTRIES}),
+        '42'
+      );
+
+      expect(signals).toHaveLength(2 + NATIONALITY_SET_SIZE);
+      expect(signals.slice(2 + EU_COUNTRIES.length).every(signal => signal === '0')).toBe(true);
+    });
+
+    it('should reject oversized nationality sets', () => {
+      const countries = Array.from({length: NATIONALITY_SET_SIZE + 1}, (_, i) =>
+        String.fromCharCode(65 + Math.floor(i / 26), 65 + (i % 26))
+      );
+
+      expect(() =>
+        getPredicatePublicSignals({type: 'nationality_in', countries, referenceDate: '2024-01-01'}, '42')
+      ).toThrow('Nationality set must contain');
+    });
+  });
+
+  describe('matchesPredicateStatement', () => {
+    const statement = {
+      predicate: {type: 'age_over' as const, minAge: 18, referenceDate: '2018-03-01'},
+      predicateId: 'age_over:18',
+      publicInputs: ['42', '20180301', '18'],
+    };
+
+    it('should accept signals that encode the predicate', () => {
+      expect(matchesPredicateStatement(statement)).toBe(true);
+    });
+
+    it('should reject a mislabeled or mismatched statement', () => {
+      expect(matchesPredicateStatement({...statement, predicateId: 'age_over:21'})).toBe(false);
+      expect(
+        matchesPredicateStatement({...statement, publicInputs: ['42', '20180301', '21']})
+      ).toBe(false);
+      expect(
+        matchesPredicateStatement({...statement, publicInputs: ['42', '20180301', '18', '0']})
+      ).toBe(false);
+    });
+
+    it('should reject predicates the circuits cannot express', () => {
+      expect(
+        matchesPredicateStatement({
+          ...statement,
+          predicate: {...statement.predicate, minAge: 200},
+          predicateId: 'age_over:200',
+        })
+      ).toBe(false);
+    });
+  });
+
+  describe('evaluatePredicate', () => {
+    it('should match calculateAge around a leap-day birthday', () => {
+      expect(
+        evaluatePredicate({type: 'age_over', minAge: 18, referenceDate: '2018-02-28'}, extractedData)
+      ).toBe(false);
+      expect(
+        evaluatePredicate({type: 'age_over', minAge: 18, referenceDate: '2018-03-01'}, extractedData)
+      ).toBe(true);
+    });
+
+    it('should check nationality membership', () => {
+      expect(
+        evaluatePredicate({type: 'nationality_in', countries: EU_COUNTRIES}, extractedData)
+      ).toBe(true);
+      expect(
+        evaluatePredicate({type: 'nationality_in', countries: ['USA']}, extractedData)
+      ).toBe(false);
+      expect(
+        evaluatePredicate(
+          {type: 'nationality_in', countries: ['USA']},
+          {...extractedData, nationality: undefined}
+        )
+      ).toBe(false);
+    });
+
+    it('should require expiry strictly after the reference date', () => {
+      expect(
+        evaluatePredicate({type: 'not_expired', referenceDate: '2030-01-14'}, extractedData)
+      ).toBe(true);
+      expect(
+        evaluatePredicate({type: 'not_expired', referenceDate: '2030-01-15'}, extractedData)
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import {ethers} from 'ethers';
+import {PresentationRequest} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {
+  computeProofHash,
+  createNonce,
+  encodePresentationRequest,
+  getPresentationMessage,
+  parsePresentationRequest,
+} from '@utils/presentation';
+import {identityAccount, proof, publicSignals} from '../fixtures/groth16';
+
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+describe('presentation utils', () => {
+  const request: PresentationRequest = {
+    version: 1,
+    verifier: 'Example Shop',
+    nonce: '0x' + '5a'.repeat(32),
+    callback: 'https://shop.example/zkid/presentations',
+    chainId: 31337,
+    contract: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    predicate: {type: 'age_over', minAge: 18},
+    expiresAt: NOW.getTime() / 1000 + 300,
+  };
+
+  const identity = {
+    proof: ethers.hexlify(encodeProof(proof)),
+    publicSignals,
+  };
+
+  describe('createNonce', () => {
+    it('should create distinct 32-byte nonces', () => {
+      const nonce = createNonce();
+
+      expect(nonce).toMatch(/^0x[0-9a-f]{64}$/);
+      expect(createNonce()).not.toBe(nonce);
+    });
+  });
+
+  describe('encodePresentationRequest', () => {
+    it('should round-trip through the QR code URI', () => {
+      const uri = encodePresentationRequest(request);
+
+      expect(uri).toMatch(/^zkid:\/\/present\?r=[A-Za-z0-9_-]+$/);
+      expect(parsePresentationRequest(uri, NOW)).toEqual(request);
+    });
+  });
+
+  describe('parsePresentationRequest', () => {
+    const encode = (changes: Partial<PresentationRequest>) =>
+      encodePresentationRequest({...request, ...changes});
+
+    it('should reject codes that are not presentation requests', () => {
+      expect(() => parsePresentationRequest('https://shop.example', NOW)).toThrow(
+        'Not a presentation request'
+      );
+      expect(() => parsePresentationRequest('zkid://present?r=bm90IGpzb24', NOW)).toThrow(
+        'Malformed presentation request'
+      );
+    });
+
+    it('should reject expired requests', () => {
+      expect(() => parsePresentationRequest(encode({expiresAt: 1709294400}), NOW)).toThrow(
+        'Presentation request has expired'
+      );
+    });
+
+    it('should only send presentations over https', () => {
+      expect(() =>
+        parsePresentationRequest(encode({callback: 'http://shop.example/zkid'}), NOW)
+      ).toThrow('Presentation request callback must be an https URL');
+    });
+
+    it('should reject malformed fields', () => {
+      expect(() => parsePresentationRequest(encode({version: 2}), NOW)).toThrow(
+        'Unsupported presentation request version: 2'
+      );
+      expect(() => parsePresentationRequest(encode({nonce: '0x1234'}), NOW)).toThrow(
+        'Presentation request nonce must be 32 bytes of hex'
+      );
+      expect(() => parsePresentationRequest(encode({contract: '0x1234'}), NOW)).toThrow(
+        'Invalid contract address: 0x1234'
+      );
+      expect(() =>
+        parsePresentationRequest(encode({predicate: {type: 'age_over', minAge: 200}}), NOW)
+      ).toThrow('Invalid minimum age: 200');
+    });
+  });
+
+  describe('computeProofHash', () => {
+    it('should hash the proof like IdentityVerification does', () => {
+      const packed = ethers.concat([
+        identity.proof,
+        ...publicSignals.map(signal => ethers.toBeHex(BigInt(signal), 32)),
+        identityAccount,
+      ]);
+
+      expect(computeProofHash(identity, identityAccount)).toBe(ethers.keccak256(packed));
+    });
+  });
+
+  describe('getPresentationMessage', () => {
+    const presentation = {
+      version: 1,
+      nonce: request.nonce,
+      audience: request.callback,
+      chainId: request.chainId,
+      contract: request.contract.toLowerCase(),
+      holder: identityAccount.toLowerCase(),
+      identity,
+      createdAt: 1709294400,
+    };
+
+    it('should name the audience, nonce, holder and identity proof', () => {
+      const message = getPresentationMessage(presentation);
+
+      expect(message).toContain(`Audience: ${request.callback}`);
+      expect(message).toContain(`Nonce: ${request.nonce}`);
+      expect(message).toContain(`Holder: ${identityAccount}`);
+      expect(message).toContain(`Identity proof: ${computeProofHash(identity, identityAccount)}`);
+      expect(message).toContain('Predicate proof: none');
+    });
+
+    it('should change with any public signal', () => {
+      const tampered = publicSignals.slice();
+      tampered[7] = '9500';
+
+      expect(
+        getPresentationMessage({...presentation, identity: {...identity, publicSignals: tampered}})
+      ).not.toBe(getPresentationMessage(presentation));
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import {FaceData, IDDocument} from '@types/index';
+import {MASK, redactDocument, redactFace, redactFaceMatch} from '@utils/redaction';
+import {identityDocument, identityFace, identityLiveness} from '../fixtures/groth16';
+
+const face: FaceData = {
+  imageUri: 'file:///cache/selfie.jpg',
+  faceDescriptor: identityFace.descriptor,
+  confidence: 0.98,
+  boundingBox: {x: 0, y: 0, width: 100, height: 100},
+  liveness: identityLiveness,
+};
+
+const document: IDDocument = {
+  type: 'passport',
+  imageUri: 'file:///cache/passport.jpg',
+  extractedData: {...identityDocument, address: '1 Rue de Rivoli, Paris'},
+  confidence: 0.95,
+  mrz: {
+    format: 'TD3',
+    documentCode: 'P',
+    issuingState: 'FRA',
+    sex: 'F',
+    optionalData: '',
+    fieldConfidence: {},
+    checks: [
+      {field: 'documentNumber', valid: true, expected: '7', actual: '7'},
+      {field: 'composite', valid: false, expected: '3', actual: '8'},
+    ],
+    valid: false,
+  },
+  zoneChecks: [{field: 'lastName', mrz: 'SMITH', visual: 'SMITH', agrees: true}],
+};
+
+describe('redaction', () => {
+  describe('redactFace', () => {
+    it('should keep only the confidence and liveness outcome', () => {
+      expect(redactFace(face, 'capture-1')).toEqual({
+        captureId: 'capture-1',
+        confidence: 0.98,
+        liveness: {passed: identityLiveness.passed, score: identityLiveness.score},
+      });
+    });
+
+    it('should leave out liveness for faces without a check', () => {
+      expect(redactFace({...face, liveness: undefined}, 'capture-1')).not.toHaveProperty(
+        'liveness'
+      );
+    });
+  });
+
+  describe('redactDocument', () => {
+    it('should mask the identifying fields', () => {
+      expect(redactDocument(document, 'capture-2').extractedData).toEqual({
+        firstName: `J${MASK}`,
+        lastName: `S${MASK}`,
+        dateOfBirth: `1990${MASK}`,
+        documentNumber: `${MASK}567`,
+        expiryDate: '2099-12-31',
+        nationality: 'FRA',
+        address: MASK,
+      });
+    });
+
+    it('should not reveal the length of short values', () => {
+      const extractedData = {...document.extractedData, firstName: 'J', documentNumber: '12'};
+      const redacted = redactDocument({...document, extractedData}, 'capture-2');
+
+      expect(redacted.extractedData.firstName).toBe(MASK);
+      expect(redacted.extractedData.documentNumber).toBe(MASK);
+    });
+
+    it('should report check outcomes without the zone contents', () => {
+      const redacted = redactDocument(document, 'capture-2');
+
+      expect(redacted).toMatchObject({
+        captureId: 'capture-2',
+        type: 'passport',
+        confidence: 0.95,
+        mrz: {format: 'TD3', valid: false, failedChecks: ['composite']},
+        zoneChecks: [{field: 'lastName', agrees: true}],
+      });
+      expect(JSON.stringify(redacted)).not.toContain('SMITH');
+      expect(JSON.stringify(redacted)).not.toContain(document.imageUri);
+    });
+
+    it('should leave out empty fields', () => {
+      const redacted = redactDocument({...document, extractedData: identityDocument}, 'id');
+
+      expect(redacted.extractedData).not.toHaveProperty('address');
+    });
+  });
+
+  it('should reduce a portrait match to its outcome', () => {
+    expect(
+      redactFaceMatch({portrait: face, similarity: 0.93, threshold: 0.9, matched: true})
+    ).toEqual({similarity: 0.93, threshold: 0.9, matched: true});
+  });
+});
@@ -0,0 +1,112 @@
+import {ethers} from 'ethers';
+import {RelayRequest} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {getRelayTypedData, parseRelayRequest, recoverRelaySigner} from '@utils/relay';
+import {identityAccount, proof, publicSignals} from '../fixtures/groth16';
+
+// Hardhat's first default account, which the fixture proof is bound to
+const USER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CHAIN_ID = 31337;
+
+describe('relay utils', () => {
+  const user = new ethers.Wallet(USER_KEY);
+  const unsigned: Omit<RelayRequest, 'signature'> = {
+    action: 'submitProof',
+    user: identityAccount,
+    proof: ethers.hexlify(encodeProof(proof)),
+    publicInputs: publicSignals,
+    attestation: '0x' + '11'.repeat(65),
+    nonce: '0',
+    deadline: 1709294400,
+  };
+
+  const sign = async (request = unsigned): Promise<RelayRequest> => {
+    const {domain, types, value} = getRelayTypedData(request, CHAIN_ID, CONTRACT);
+    return {...request, signature: await user.signTypedData(domain, types, value)};
+  };
+
+  describe('getRelayTypedData', () => {
+    it('should use the struct types IdentityVerification hashes', () => {
+      const fields =
+        '(address user,bytes proof,uint256[] publicInputs,uint256 nonce,uint256 deadline)';
+
+      for (const [action, primaryType] of [
+        ['submitProof', 'SubmitProof'],
+        ['transferVerification', 'TransferVerification'],
+      ] as const) {
+        const {types} = getRelayTypedData({...unsigned, action}, CHAIN_ID, CONTRACT);
+        expect(ethers.TypedDataEncoder.from(types).encodeType(primaryType)).toBe(
+          primaryType + fields
+        );
+      }
+    });
+
+    it('should bind the signature to the chain and contract', () => {
+      const {domain} = getRelayTypedData(unsigned, CHAIN_ID, CONTRACT.toLowerCase());
+
+      expect(domain).toEqual({
+        name: 'IdentityVerification',
+        version: '1',
+        chainId: CHAIN_ID,
+        verifyingContract: CONTRACT,
+      });
+    });
+  });
+
+  describe('recoverRelaySigner', () => {
+    it('should recover the user', async () => {
+      const request = await sign();
+
+      expect(recoverRelaySigner(request, CHAIN_ID, CONTRACT)).toBe(user.address);
+    });
+
+    it('should not recover the user for another chain, contract or action', async () => {
+      const request = await sign();
+
+      expect(recoverRelaySigner(request, 1, CONTRACT)).not.toBe(user.address);
+      expect(recoverRelaySigner(request, CHAIN_ID, '0x' + '11'.repeat(20))).not.toBe(
+        user.address
+      );
+      expect(
+        recoverRelaySigner({...request, action: 'transferVerification'}, CHAIN_ID, CONTRACT)
+      ).not.toBe(user.address);
+    });
+
+    it('should return null for malformed signatures', () => {
+      expect(recoverRelaySigner({...unsigned, signature: '0x1234'}, CHAIN_ID, CONTRACT)).toBeNull();
+    });
+  });
+
+  describe('parseRelayRequest', () => {
+    it('should accept a signed request and checksum the user', async () => {
+      const request = await sign();
+
+      expect(parseRelayRequest({...request, user: request.user.toLowerCase()})).toEqual(request);
+    });
+
+    it('should drop unknown fields', async () => {
+      const request = await sign();
+
+      expect(parseRelayRequest({...request, gasPrice: '1'})).toEqual(request);
+    });
+
+    it.each([
+      ['no body', null],
+      ['an unknown action', {action: 'toString'}],
+      ['a bad user', {user: 'alice'}],
+      ['a proof that is not hex', {proof: 'proof'}],
+      ['public inputs outside the field', {publicInputs: ['-1']}],
+      ['a short attestation', {attestation: '0x1234'}],
+      ['a numeric nonce', {nonce: 0}],
+      ['a fractional deadline', {deadline: 1.5}],
+      ['a short signature', {signature: '0x1234'}],
+    ])('should reject %s', async (_, overrides) => {
+      const request = await sign();
+
+      expect(() => parseRelayRequest(overrides && {...request, ...overrides})).toThrow(
+        'Malformed relay request'
+      );
+    });
+  });
+});
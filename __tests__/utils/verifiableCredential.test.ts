@@ -0,0 +1,321 @@
+import {ethers} from 'ethers';
+import {StoredCredential} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {computeProofHash} from '@utils/presentation';
+import {
+  CredentialChecks,
+  canonicalize,
+  checkVc,
+  checkVp,
+  createVp,
+  credentialToVc,
+  getVpSigningMessage,
+  parseDidPkh,
+  parseVerifiableDocument,
+  toDidPkh,
+} from '@utils/verifiableCredential';
+import {identityAccount, identitySalt, proof, publicSignals} from '../fixtures/groth16';
+import {identityAgeOverProof, identityAgeOverPublicSignals} from '../fixtures/predicates';
+
+// Hardhat's first default account, which the fixture proofs are bound to
+const HOLDER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ISSUER = `did:pkh:eip155:31337:${CONTRACT}`;
+const HOLDER = `did:pkh:eip155:31337:${identityAccount}`;
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+describe('verifiable credential utils', () => {
+  const identityProof = Buffer.from(encodeProof(proof)).toString('hex');
+  const credential: StoredCredential = {
+    id: computeProofHash({proof: '0x' + identityProof, publicSignals}, identityAccount),
+    address: identityAccount,
+    proof: {proof: identityProof, publicSignals, verificationKey: '{}'},
+    transaction: {hash: '0x' + 'ab'.repeat(32), blockNumber: 12, gasUsed: '210000', status: 'success'},
+    commitmentSalt: identitySalt,
+    documentType: 'passport',
+    predicates: [
+      {
+        predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-03-01'},
+        predicateId: 'age_over:18',
+        publicInputs: identityAgeOverPublicSignals,
+        proof: Buffer.from(encodeProof(identityAgeOverProof)).toString('hex'),
+        provenAt: NOW.getTime(),
+      },
+      {
+        predicate: {type: 'nationality_in', countries: ['FRA']},
+        predicateId: 'nationality_in:FRA',
+        publicInputs: [],
+        provenAt: NOW.getTime(),
+      },
+    ],
+    createdAt: NOW.getTime(),
+    expiresAt: 1893456000,
+  };
+
+  let checks: {[K in keyof CredentialChecks]: jest.Mock};
+
+  beforeEach(() => {
+    checks = {
+      verifyIdentityProof: jest.fn().mockResolvedValue(true),
+      verifyPredicateProof: jest.fn().mockResolvedValue(true),
+      isProofActive: jest.fn().mockResolvedValue(true),
+      isHolderVerified: jest.fn().mockResolvedValue(true),
+    };
+  });
+
+  describe('did:pkh', () => {
+    it('should round-trip an Ethereum account', () => {
+      const did = toDidPkh(identityAccount.toLowerCase(), 31337);
+
+      expect(did).toBe(HOLDER);
+      expect(parseDidPkh(did)).toEqual({chainId: 31337, address: identityAccount});
+    });
+
+    it('should reject other DIDs', () => {
+      expect(() => parseDidPkh('did:web:shop.example')).toThrow(
+        'Not an Ethereum did:pkh: did:web:shop.example'
+      );
+    });
+  });
+
+  describe('canonicalize', () => {
+    it('should sort keys at every level', () => {
+      expect(canonicalize({b: [{d: 1, c: true}], a: 'x', e: undefined})).toBe(
+        '{"a":"x","b":[{"c":true,"d":1}]}'
+      );
+    });
+  });
+
+  describe('credentialToVc', () => {
+    it('should issue the credential from the contract to the wallet DID', () => {
+      const vc = credentialToVc(credential, 31337, CONTRACT.toLowerCase());
+
+      expect(vc.id).toBe(`urn:zkid:${credential.id}`);
+      expect(vc.type).toEqual(['VerifiableCredential', 'ZKIdentityCredential']);
+      expect(vc.issuer).toBe(ISSUER);
+      expect(vc.issuanceDate).toBe('2024-03-01T12:00:00.000Z');
+      expect(vc.expirationDate).toBe('2030-01-01T00:00:00.000Z');
+      expect(vc.credentialSubject.id).toBe(HOLDER);
+      expect(vc.proof).toMatchObject({
+        proofValue: '0x' + identityProof,
+        publicSignals,
+        proofHash: credential.id,
+        transaction: {hash: credential.transaction.hash, blockNumber: 12, chainId: 31337},
+      });
+    });
+
+    it('should only claim predicates that were proven', () => {
+      const vc = credentialToVc(credential, 31337, CONTRACT);
+
+      expect(vc.credentialSubject.predicates).toEqual([
+        {
+          predicateId: 'age_over:18',
+          predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-03-01'},
+        },
+      ]);
+      expect(vc.proof.predicateProofs).toEqual([
+        {
+          proof: ethers.hexlify(encodeProof(identityAgeOverProof)),
+          publicSignals: identityAgeOverPublicSignals,
+        },
+      ]);
+    });
+  });
+
+  describe('parseVerifiableDocument', () => {
+    it('should parse credentials and presentations', () => {
+      const vc = credentialToVc(credential, 31337, CONTRACT);
+      const vp = createVp([vc], HOLDER, '0x01', 'Example Shop', NOW);
+
+      expect(parseVerifiableDocument(JSON.stringify(vc))).toEqual(vc);
+      expect(parseVerifiableDocument(JSON.stringify(vp))).toEqual(vp);
+    });
+
+    it('should reject other documents', () => {
+      const vc = credentialToVc(credential, 31337, CONTRACT);
+
+      expect(() => parseVerifiableDocument('not json')).toThrow('Not a JSON document');
+      expect(() => parseVerifiableDocument('{}')).toThrow(
+        'Not a verifiable credential or presentation'
+      );
+      expect(() =>
+        parseVerifiableDocument(JSON.stringify({...vc, type: ['VerifiableCredential']}))
+      ).toThrow('Unsupported verifiable credential');
+      expect(() =>
+        parseVerifiableDocument(JSON.stringify({...vc, proof: {...vc.proof, publicSignals: 1}}))
+      ).toThrow('Malformed verifiable credential');
+    });
+  });
+
+  describe('checkVc', () => {
+    const vc = credentialToVc(credential, 31337, CONTRACT);
+
+    it('should accept a credential whose checks all pass', async () => {
+      const result = await checkVc(vc, checks, ISSUER, NOW);
+
+      expect(result).toEqual({
+        valid: true,
+        holder: identityAccount,
+        proofHash: credential.id,
+        predicates: ['age_over:18'],
+        errors: [],
+      });
+      expect(checks.verifyPredicateProof).toHaveBeenCalledWith({
+        ...vc.credentialSubject.predicates[0],
+        ...vc.proof.predicateProofs[0],
+      });
+      expect(checks.isProofActive).toHaveBeenCalledWith(credential.id);
+      expect(checks.isHolderVerified).toHaveBeenCalledWith(identityAccount);
+    });
+
+    it('should only trust the configured issuer', async () => {
+      const result = await checkVc(
+        vc,
+        checks,
+        'did:pkh:eip155:31337:0x' + '11'.repeat(20),
+        NOW
+      );
+
+      expect(result.errors).toEqual(['Credential was issued by an untrusted contract']);
+      expect(checks.isProofActive).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired credentials', async () => {
+      const result = await checkVc(vc, checks, ISSUER, new Date('2030-01-01T00:00:00Z'));
+
+      expect(result.errors).toEqual(['Credential has expired']);
+    });
+
+    it('should reject a credential whose expiration date cannot be read', async () => {
+      const result = await checkVc({...vc, expirationDate: 'never'}, checks, ISSUER, NOW);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Credential has an invalid expiration date']);
+    });
+
+    it('should report a trusted issuer that is not a did:pkh', async () => {
+      const result = await checkVc(vc, checks, CONTRACT, NOW);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Trusted issuer is not an Ethereum did:pkh',
+        'Credential was issued by an untrusted contract',
+      ]);
+    });
+
+    it('should reject a credential moved to another subject', async () => {
+      const other = ethers.Wallet.createRandom().address;
+      const moved = {
+        ...vc,
+        credentialSubject: {...vc.credentialSubject, id: toDidPkh(other, 31337)},
+      };
+
+      const result = await checkVc(moved, checks, ISSUER, NOW);
+
+      expect(result.errors).toEqual([
+        'Proof hash does not match the identity proof',
+        'Identity proof is bound to a different account',
+      ]);
+    });
+
+    it('should reject predicate proofs about another document', async () => {
+      const foreign = identityAgeOverPublicSignals.slice();
+      foreign[0] = '1';
+      const predicateProofs = [{...vc.proof.predicateProofs[0], publicSignals: foreign}];
+
+      const result = await checkVc({...vc, proof: {...vc.proof, predicateProofs}}, checks, ISSUER, NOW);
+
+      expect(result.errors).toEqual(['Predicate age_over:18 is proven for a different document']);
+      expect(result.predicates).toEqual([]);
+    });
+
+    it('should report failed proof and chain checks', async () => {
+      checks.verifyIdentityProof.mockResolvedValue(false);
+      checks.verifyPredicateProof.mockResolvedValue(false);
+      checks.isHolderVerified.mockRejectedValue(new Error('network down'));
+
+      expect((await checkVc(vc, checks, ISSUER, NOW)).errors).toEqual([
+        'Identity proof is invalid',
+        'Predicate age_over:18 proof is invalid',
+        'Could not read the verification contract',
+      ]);
+    });
+
+    it('should reject malformed credentials', async () => {
+      const result = await checkVc(
+        {...vc, proof: {...vc.proof, proofValue: '0x1234'}},
+        checks,
+        ISSUER,
+        NOW
+      );
+
+      expect(result.errors).toEqual(['Malformed credential']);
+    });
+  });
+
+  describe('checkVp', () => {
+    const holder = new ethers.Wallet(HOLDER_KEY);
+    const vc = credentialToVc(credential, 31337, CONTRACT);
+
+    const sign = async (vp: ReturnType<typeof createVp>) => {
+      vp.proof.proofValue = await holder.signMessage(getVpSigningMessage(vp));
+      return vp;
+    };
+
+    it('should accept a presentation signed by the credential subject', async () => {
+      const vp = await sign(createVp([vc], HOLDER, '0x01', 'Example Shop', NOW));
+
+      const expected = {challenge: '0x01', domain: 'Example Shop'};
+
+      const result = await checkVp(vp, checks, ISSUER, expected, NOW);
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+      expect(result.holder).toBe(identityAccount);
+      expect(result.credentials.map(credential => credential.predicates)).toEqual([
+        ['age_over:18'],
+      ]);
+    });
+
+    it('should sign over everything but the signature', async () => {
+      const vp = createVp([vc], HOLDER, '0x01', 'Example Shop', NOW);
+      const message = getVpSigningMessage(vp);
+
+      expect(getVpSigningMessage({...vp, proof: {...vp.proof, proofValue: '0x99'}})).toBe(message);
+      expect(getVpSigningMessage({...vp, proof: {...vp.proof, domain: 'Other'}})).not.toBe(
+        message
+      );
+    });
+
+    it('should bind the signature to the challenge and domain', async () => {
+      const vp = await sign(createVp([vc], HOLDER, '0x01', 'Example Shop', NOW));
+
+      const result = await checkVp(vp, checks, ISSUER, {challenge: '0x02', domain: 'Other'}, NOW);
+
+      expect(result.errors).toEqual([
+        'Presentation challenge does not match',
+        'Presentation is for a different verifier',
+      ]);
+    });
+
+    it('should reject a presentation of someone else\'s credential', async () => {
+      const thief = ethers.Wallet.createRandom();
+      const vp = createVp([vc], toDidPkh(thief.address, 31337), '0x01', 'Example Shop', NOW);
+      vp.proof.proofValue = await thief.signMessage(getVpSigningMessage(vp));
+
+      const result = await checkVp(vp, checks, ISSUER, {}, NOW);
+
+      expect(result.errors).toEqual(['Credential 1: Credential subject is not the holder']);
+      expect(result.credentials[0].valid).toBe(false);
+    });
+
+    it('should reject a tampered presentation', async () => {
+      const vp = await sign(createVp([vc], HOLDER, '0x01', 'Example Shop', NOW));
+      vp.proof.challenge = '0x02';
+
+      expect((await checkVp(vp, checks, ISSUER, {}, NOW)).errors).toEqual([
+        'Signature does not match the holder',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import {ethers} from 'ethers';
+import {CredentialVerifier} from '@/verifier';
+import {MoproService} from '@services/MoproService';
+import {VerifiableCredentialService} from '@services/VerifiableCredentialService';
+import {Web3Service} from '@services/Web3Service';
+import {StoredCredential, VerifiablePresentation} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {computeProofHash} from '@utils/presentation';
+import {getVpSigningMessage} from '@utils/verifiableCredential';
+import {
+  identityAccount,
+  identitySalt,
+  proof,
+  publicSignals,
+  verificationKey,
+} from '../fixtures/groth16';
+import {
+  identityAgeOverProof,
+  identityAgeOverPublicSignals,
+  identityAgeOverVerificationKey,
+} from '../fixtures/predicates';
+
+// Hardhat's first default account, which the fixture proofs are bound to
+const HOLDER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+describe('CredentialVerifier', () => {
+  const holder = new ethers.Wallet(HOLDER_KEY);
+  const registryInterface = new ethers.Interface([
+    'function verifyProofHash(bytes32 proofHash) view returns (bool)',
+    'function isVerified(address user) view returns (bool)',
+  ]);
+
+  const identityProof = Buffer.from(encodeProof(proof)).toString('hex');
+  const credential: StoredCredential = {
+    id: computeProofHash({proof: '0x' + identityProof, publicSignals}, identityAccount),
+    address: identityAccount,
+    proof: {proof: identityProof, publicSignals, verificationKey: '{}'},
+    transaction: {hash: '0x' + 'ab'.repeat(32), blockNumber: 12, gasUsed: '210000', status: 'success'},
+    commitmentSalt: identitySalt,
+    documentType: 'passport',
+    predicates: [
+      {
+        predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-03-01'},
+        predicateId: 'age_over:18',
+        publicInputs: identityAgeOverPublicSignals,
+        proof: Buffer.from(encodeProof(identityAgeOverProof)).toString('hex'),
+        provenAt: NOW.getTime(),
+      },
+    ],
+    createdAt: NOW.getTime(),
+    expiresAt: 1893456000,
+  };
+
+  let chainState: {verifyProofHash: boolean; isVerified: boolean};
+  let verifier: CredentialVerifier;
+  let vcService: VerifiableCredentialService;
+
+  beforeEach(() => {
+    // snarkjs needs real timers for its worker threads
+    jest.useRealTimers();
+
+    chainState = {verifyProofHash: true, isVerified: true};
+    const runner = {
+      call: jest.fn(async (tx: {data: string}) => {
+        const call = registryInterface.parseTransaction({data: tx.data})!;
+        return registryInterface.encodeFunctionResult(call.name, [
+          chainState[call.name as keyof typeof chainState],
+        ]);
+      }),
+    };
+
+    verifier = new CredentialVerifier({
+      domain: 'Example Shop',
+      chainId: 31337,
+      contract: CONTRACT,
+      runner: runner as unknown as ethers.ContractRunner,
+      identityVerificationKey: verificationKey,
+      predicateVerificationKeys: {age_over: identityAgeOverVerificationKey},
+    });
+
+    const wallet = {
+      getAddress: async () => holder.address,
+      getChainId: async () => 31337,
+      getContractAddress: () => CONTRACT,
+      signMessage: (message: string) => holder.signMessage(message),
+    };
+    vcService = new VerifiableCredentialService(
+      wallet as unknown as Web3Service,
+      {} as MoproService
+    );
+  });
+
+  afterAll(async () => {
+    // snarkjs caches the BN254 curve with its worker threads on globalThis
+    await (globalThis as any).curve_bn128?.terminate();
+  });
+
+  it('should verify an exported credential', async () => {
+    const vc = await vcService.exportCredential(credential);
+
+    const result = await verifier.verifyCredential(vc, NOW);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.holder).toBe(identityAccount);
+    expect(result.predicates).toEqual(['age_over:18']);
+  });
+
+  it('should reject a relabelled predicate claim', async () => {
+    const vc = await vcService.exportCredential(credential);
+    vc.credentialSubject.predicates[0] = {
+      predicateId: 'age_over:21',
+      predicate: {type: 'age_over', minAge: 21, referenceDate: '2024-03-01'},
+    };
+
+    const result = await verifier.verifyCredential(vc, NOW);
+
+    expect(result.errors).toEqual(['Predicate age_over:21 proof is invalid']);
+    expect(result.predicates).toEqual([]);
+  });
+
+  it('should reject a tampered identity proof', async () => {
+    const vc = await vcService.exportCredential(credential);
+    vc.proof.publicSignals = vc.proof.publicSignals.slice();
+    vc.proof.publicSignals[2] = '1700000001';
+
+    const result = await verifier.verifyCredential(vc, NOW);
+
+    expect(result.errors).toEqual([
+      'Proof hash does not match the identity proof',
+      'Identity proof is invalid',
+    ]);
+  });
+
+  it('should report credentials that are no longer active on-chain', async () => {
+    chainState = {verifyProofHash: false, isVerified: false};
+    const vc = await vcService.exportCredential(credential);
+
+    expect((await verifier.verifyCredential(vc, NOW)).errors).toEqual([
+      'Identity proof is not active on-chain',
+      'Holder is not verified on-chain',
+    ]);
+  });
+
+  it('should verify a presentation answering its challenge once', async () => {
+    const challenge = verifier.createChallenge();
+    const vp = await vcService.exportPresentation([credential], challenge, 'Example Shop', NOW);
+
+    const result = await verifier.verifyPresentation(vp, NOW);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.holder).toBe(identityAccount);
+    expect((await verifier.verifyPresentation(vp, NOW)).errors).toEqual([
+      'Unknown or already used challenge',
+    ]);
+  });
+
+  it('should reject a presentation for another verifier', async () => {
+    const challenge = verifier.createChallenge();
+    const vp: VerifiablePresentation = await vcService.exportPresentation(
+      [credential],
+      challenge,
+      'Other Shop',
+      NOW
+    );
+
+    expect((await verifier.verifyPresentation(vp, NOW)).errors).toEqual([
+      'Presentation is for a different verifier',
+    ]);
+  });
+
+  it('should reject a presentation signed by another wallet', async () => {
+    const challenge = verifier.createChallenge();
+    const vp = await vcService.exportPresentation([credential], challenge, 'Example Shop', NOW);
+    vp.proof.proofValue = await ethers.Wallet.createRandom().signMessage(getVpSigningMessage(vp));
+
+    expect((await verifier.verifyPresentation(vp, NOW)).errors).toEqual([
+      'Signature does not match the holder',
+    ]);
+  });
+});
@@ -0,0 +1,320 @@
+import {ethers} from 'ethers';
+import {PresentationVerifier} from '@/verifier';
+import {PresentationService} from '@services/PresentationService';
+import {Web3Service} from '@services/Web3Service';
+import {Presentation, Predicate, StoredCredential} from '@types/index';
+import {encodeProof} from '@utils/groth16';
+import {computeProofHash, getPresentationMessage} from '@utils/presentation';
+import {
+  identityAccount,
+  identitySalt,
+  proof,
+  publicSignals,
+  verificationKey,
+} from '../fixtures/groth16';
+import {
+  identityAgeOverProof,
+  identityAgeOverPublicSignals,
+  identityAgeOverVerificationKey,
+} from '../fixtures/predicates';
+
+// Hardhat's first default account, which the fixture proofs are bound to
+const HOLDER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CALLBACK = 'https://shop.example/zkid/presentations';
+const NOW = new Date('2024-03-01T12:00:00Z');
+const AGE_OVER_18: Predicate = {type: 'age_over', minAge: 18};
+
+describe('PresentationVerifier', () => {
+  const holder = new ethers.Wallet(HOLDER_KEY);
+  const registryInterface = new ethers.Interface([
+    'function verifyProofHash(bytes32 proofHash) view returns (bool)',
+    'function isVerified(address user) view returns (bool)',
+  ]);
+
+  const credential: StoredCredential = {
+    id: '0x' + '01'.repeat(32),
+    address: identityAccount,
+    proof: {
+      proof: Buffer.from(encodeProof(proof)).toString('hex'),
+      publicSignals,
+      verificationKey: '{}',
+    },
+    transaction: {hash: '0x' + 'ab'.repeat(32), blockNumber: 12, gasUsed: '210000', status: 'success'},
+    commitmentSalt: identitySalt,
+    documentType: 'passport',
+    predicates: [
+      {
+        predicate: {type: 'age_over', minAge: 18, referenceDate: '2024-03-01'},
+        predicateId: 'age_over:18',
+        publicInputs: identityAgeOverPublicSignals,
+        proof: Buffer.from(encodeProof(identityAgeOverProof)).toString('hex'),
+        provenAt: NOW.getTime(),
+      },
+    ],
+    createdAt: NOW.getTime(),
+    expiresAt: 1893456000,
+  };
+
+  let chainState: {verifyProofHash: boolean; isVerified: boolean};
+  let runner: {call: jest.Mock};
+  let verifier: PresentationVerifier;
+  let presentationService: PresentationService;
+
+  // Sign a presentation the way the app does
+  const resign = async (presentation: Presentation): Promise<Presentation> => {
+    const {signature, ...unsigned} = presentation;
+    return {...unsigned, signature: await holder.signMessage(getPresentationMessage(unsigned))};
+  };
+
+  beforeEach(() => {
+    // snarkjs needs real timers for its worker threads
+    jest.useRealTimers();
+
+    chainState = {verifyProofHash: true, isVerified: true};
+    runner = {
+      call: jest.fn(async (tx: {data: string}) => {
+        const call = registryInterface.parseTransaction({data: tx.data})!;
+        return registryInterface.encodeFunctionResult(call.name, [
+          chainState[call.name as keyof typeof chainState],
+        ]);
+      }),
+    };
+
+    verifier = new PresentationVerifier({
+      verifier: 'Example Shop',
+      callback: CALLBACK,
+      chainId: 31337,
+      contract: CONTRACT,
+      runner: runner as unknown as ethers.ContractRunner,
+      identityVerificationKey: verificationKey,
+      predicateVerificationKeys: {age_over: identityAgeOverVerificationKey},
+    });
+
+    const wallet = {
+      getAddress: async () => holder.address,
+      signMessage: (message: string) => holder.signMessage(message),
+    };
+    presentationService = new PresentationService(wallet as unknown as Web3Service);
+  });
+
+  afterAll(async () => {
+    // snarkjs caches the BN254 curve with its worker threads on globalThis
+    await (globalThis as any).curve_bn128?.terminate();
+  });
+
+  it('should accept a presentation answering its request', async () => {
+    const request = verifier.createRequest(AGE_OVER_18, NOW);
+    const presentation = await presentationService.createPresentation(request, credential, NOW);
+
+    const result = await verifier.verify(presentation, NOW);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.holder).toBe(identityAccount);
+    expect(result.predicateId).toBe('age_over:18');
+    expect(result.proofHash).toBe(computeProofHash(presentation.identity, identityAccount));
+
+    const calls = runner.call.mock.calls.map(([tx]) => registryInterface.parseTransaction(tx)!);
+    expect(calls.map(call => [call.name, ...call.args])).toEqual(
+      expect.arrayContaining([
+        ['verifyProofHash', result.proofHash],
+        ['isVerified', identityAccount],
+      ])
+    );
+  });
+
+  it('should accept each nonce only once', async () => {
+    const request = verifier.createRequest(undefined, NOW);
+    const presentation = await presentationService.createPresentation(request, credential, NOW);
+
+    expect((await verifier.verify(presentation, NOW)).valid).toBe(true);
+    expect((await verifier.verify(presentation, NOW)).errors).toEqual([
+      'Unknown or already used nonce',
+    ]);
+  });
+
+  it('should reject a presentation for another verifier', async () => {
+    const request = verifier.createRequest(undefined, NOW);
+    const presentation = await resign({
+      ...(await presentationService.createPresentation(request, credential, NOW)),
+      audience: 'https://other.example/callback',
+    });
+
+    expect((await verifier.verify(presentation, NOW)).errors).toEqual([
+      'Presentation is for a different verifier',
+    ]);
+  });
+
+  it('should reject a presentation after the request expires', async () => {
+    const request = verifier.createRequest(undefined, NOW);
+    const presentation = await presentationService.createPresentation(request, credential, NOW);
+    const later = new Date(NOW.getTime() + 10 * 60 * 1000);
+
+    expect((await verifier.verify(presentation, later)).errors).toEqual([
+      'Presentation request has expired',
+    ]);
+  });
+
+  it('should forget requests that expire unanswered', async () => {
+    const stale = verifier.createRequest(undefined, NOW);
+    const presentation = await presentationService.createPresentation(stale, credential, NOW);
+    const later = new Date(NOW.getTime() + 10 * 60 * 1000);
+
+    verifier.createRequest(undefined, later);
+
+    expect((verifier as any).pendingRequests.size).toBe(1);
+    expect((await verifier.verify(presentation, NOW)).errors).toEqual([
+      'Unknown or already used nonce',
+    ]);
+  });
+
+  it('should reject a signature by another wallet', async () => {
+    const request = verifier.createRequest(undefined, NOW);
+    const {signature, ...unsigned} = await presentationService.createPresentation(
+      request,
+      credential,
+      NOW
+    );
+    const forged = await ethers.Wallet.createRandom().signMessage(getPresentationMessage(unsigned));
+
+    expect((await verifier.verify({...unsigned, signature: forged}, NOW)).errors).toEqual([
+      'Signature does not match the holder',
+    ]);
+  });
+
+  it('should reject an identity proof presented by another account', async () => {
+    const other = ethers.Wallet.createRandom();
+    const request = verifier.createRequest(undefined, NOW);
+    const {signature, ...unsigned} = await presentationService.createPresentation(
+      request,
+      credential,
+      NOW
+    );
+    const stolen = {...unsigned, holder: other.address};
+
+    const result = await verifier.verify(
+      {...stolen, signature: await other.signMessage(getPresentationMessage(stolen))},
+      NOW
+    );
+
+    expect(result.errors).toContain('Identity proof is bound to a different account');
+  });
+
+  it('should reject a tampered identity proof', async () => {
+    const request = verifier.createRequest(undefined, NOW);
+    const presentation = await presentationService.createPresentation(request, credential, NOW);
+    const tampered = presentation.identity.publicSignals.slice();
+    tampered[2] = '1700000001';
+
+    const result = await verifier.verify(
+      await resign({...presentation, identity: {...presentation.identity, publicSignals: tampered}}),
+      NOW
+    );
+
+    expect(result.errors).toEqual(['Identity proof is invalid']);
+  });
+
+  it('should report credentials that are no longer active on-chain', async () => {
+    chainState = {verifyProofHash: false, isVerified: false};
+    const request = verifier.createRequest(undefined, NOW);
+    const presentation = await presentationService.createPresentation(request, credential, NOW);
+
+    expect((await verifier.verify(presentation, NOW)).errors).toEqual([
+      'Identity proof is not active on-chain',
+      'Holder is not verified on-chain',
+    ]);
+  });
+
+  it('should require the requested predicate', async () => {
+    const request = verifier.createRequest(AGE_OVER_18, NOW);
+    const {predicate, ...presentation} = await presentationService.createPresentation(
+      request,
+      credential,
+      NOW
+    );
+
+    expect((await verifier.verify(await resign(presentation), NOW)).errors).toEqual([
+      'Requested predicate is missing',
+    ]);
+  });
+
+  it('should reject a weaker predicate than the one requested', async () => {
+    const request = verifier.createRequest({type: 'age_over', minAge: 21}, NOW);
+    const presented = await presentationService.createPresentation(
+      {...request, predicate: AGE_OVER_18},
+      credential,
+      NOW
+    );
+
+    expect((await verifier.verify(presented, NOW)).errors).toEqual([
+      'Presented predicate does not match the request',
+    ]);
+  });
+
+  it('should reject a predicate proven too long ago', async () => {
+    const request = verifier.createRequest(AGE_OVER_18, new Date('2024-06-01T00:00:00Z'));
+    const presentation = await presentationService.createPresentation(
+      request,
+      credential,
+      new Date('2024-06-01T00:00:00Z')
+    );
+
+    expect(
+      (await verifier.verify(presentation, new Date('2024-06-01T00:01:00Z'))).errors
+    ).toEqual(['Predicate reference date is out of range']);
+  });
+
+  it('should reject a predicate claimed for a different statement', async () => {
+    const request = verifier.createRequest({type: 'age_over', minAge: 21}, NOW);
+    const presentation = await presentationService.createPresentation(
+      {...request, predicate: AGE_OVER_18},
+      credential,
+      NOW
+    );
+    // Relabel the age_over:18 proof as age_over:21
+    const relabeled = await resign({
+      ...presentation,
+      predicate: {
+        ...presentation.predicate!,
+        predicate: {type: 'age_over', minAge: 21, referenceDate: '2024-03-01'},
+        predicateId: 'age_over:21',
+      },
+    });
+
+    expect((await verifier.verify(relabeled, NOW)).errors).toEqual([
+      'Predicate proof does not state the presented predicate',
+    ]);
+  });
+
+  it('should reject malformed presentations', async () => {
+    const request = verifier.createRequest(undefined, NOW);
+    const presentation = await presentationService.createPresentation(request, credential, NOW);
+
+    const result = await verifier.verify(
+      {...presentation, identity: {...presentation.identity, proof: '0x1234'}},
+      NOW
+    );
+
+    expect(result).toEqual({
+      valid: false,
+      holder: identityAccount,
+      proofHash: '',
+      errors: ['Malformed presentation'],
+    });
+  });
+
+  it('should only issue https callbacks', () => {
+    expect(
+      () =>
+        new PresentationVerifier({
+          verifier: 'Example Shop',
+          callback: 'http://shop.example/zkid',
+          chainId: 31337,
+          contract: CONTRACT,
+          runner: runner as unknown as ethers.ContractRunner,
+          identityVerificationKey: verificationKey,
+        })
+    ).toThrow('Callback must be an https URL');
+  });
+});
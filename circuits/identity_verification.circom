@@ -0,0 +1,94 @@
+pragma circom 2.0.0;
+
+include "lib/document_commitment.circom";
+include "lib/document_nullifier.circom";
+include "lib/face_commitment.circom";
+include "lib/face_similarity.circom";
+
+/*
+ * Identity verification circuit.
+ *
+ * Public signals (in order): face_hash, id_hash, timestamp, expiry_date,
+ * scope, nullifier, account, min_similarity.
+ *
+ * id_hash must open to the committed document fields and the digest of
+ * portrait_descriptor, and expiry_date (YYYYMMDD) must be the document's
+ * committed expiry date, so the contract can bound the verification's
+ * lifetime by it.
+ *
+ * nullifier is derived from the document fields and the application scope, so
+ * the contract can allow one address per document per scope. account is the
+ * address the proof is for; binding it stops anyone else replaying the proof.
+ *
+ * face_hash must open to the selfie's face descriptor under the same salt as
+ * id_hash, and that descriptor must be at least min_similarity / 10000 cosine
+ * similar to the portrait descriptor committed in id_hash. The
+ * contract enforces a floor on min_similarity. face_hash also commits to
+ * liveness_hash, the digest of the liveness challenges the selfie was taken
+ * under, so a commitment cannot be reused with another capture session.
+ *
+ * timestamp and account are squared into internal signals so that they take
+ * part in at least one constraint. Without this, Groth16 would accept a valid
+ * proof replayed against arbitrary public signals.
+ */
+template IdentityVerification(descriptorLength) {
+    signal input face_hash;
+    signal input id_hash;
+    signal input timestamp;
+    signal input expiry_date;
+    signal input scope;
+    signal input nullifier;
+    signal input account;
+    signal input min_similarity;
+
+    signal input fields[7];
+    signal input salt;
+    signal input face_descriptor[descriptorLength];
+    signal input portrait_descriptor[descriptorLength];
+    signal input liveness_hash;
+
+    signal timestamp_sq;
+    signal account_sq;
+
+    timestamp_sq <== timestamp * timestamp;
+    account_sq <== account * account;
+
+    component portrait = DescriptorDigest(descriptorLength);
+    for (var i = 0; i < descriptorLength; i++) {
+        portrait.descriptor[i] <== portrait_descriptor[i];
+    }
+
+    component commitment = DocumentCommitment();
+    for (var i = 0; i < 7; i++) {
+        commitment.fields[i] <== fields[i];
+    }
+    commitment.portrait <== portrait.out;
+    commitment.salt <== salt;
+    commitment.commitment === id_hash;
+
+    fields[4] === expiry_date;
+
+    component documentNullifier = DocumentNullifier();
+    for (var i = 0; i < 7; i++) {
+        documentNullifier.fields[i] <== fields[i];
+    }
+    documentNullifier.scope <== scope;
+    documentNullifier.nullifier === nullifier;
+
+    component faceCommitment = FaceCommitment(descriptorLength);
+    for (var i = 0; i < descriptorLength; i++) {
+        faceCommitment.descriptor[i] <== face_descriptor[i];
+    }
+    faceCommitment.liveness <== liveness_hash;
+    faceCommitment.salt <== salt;
+    faceCommitment.commitment === face_hash;
+
+    component faceMatch = FaceSimilarity(descriptorLength);
+    for (var i = 0; i < descriptorLength; i++) {
+        faceMatch.a[i] <== face_descriptor[i];
+        faceMatch.b[i] <== portrait_descriptor[i];
+    }
+    faceMatch.min_similarity <== min_similarity;
+}
+
+component main {public [face_hash, id_hash, timestamp, expiry_date, scope, nullifier, account, min_similarity]} = IdentityVerification(128);
@@ -0,0 +1,30 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/poseidon.circom";
+
+/*
+ * Recomputes the document commitment built by commitDocument() in
+ * src/utils/commitment.ts: Poseidon(fields[0..6], portrait, salt).
+ *
+ * Field order: firstName, lastName, dateOfBirth (YYYYMMDD), documentNumber,
+ * expiryDate (YYYYMMDD), nationality (ASCII code), address.
+ *
+ * portrait is the DescriptorDigest of the face descriptor of the photo printed
+ * on the document, so the identity circuit can only match a selfie against
+ * the portrait the commitment was made with.
+ */
+template DocumentCommitment() {
+    signal input fields[7];
+    signal input portrait;
+    signal input salt;
+    signal output commitment;
+
+    component hasher = Poseidon(9);
+    for (var i = 0; i < 7; i++) {
+        hasher.inputs[i] <== fields[i];
+    }
+    hasher.inputs[7] <== portrait;
+    hasher.inputs[8] <== salt;
+
+    commitment <== hasher.out;
+}
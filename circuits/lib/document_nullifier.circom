@@ -0,0 +1,25 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/poseidon.circom";
+
+/*
+ * Recomputes the document nullifier built by computeNullifier() in
+ * src/utils/nullifier.ts: Poseidon(fields[0..5], scope).
+ *
+ * The salt and the address are left out so the same document always yields
+ * the same nullifier within a scope, however often it is re-committed or
+ * re-scanned. Different scopes yield unlinkable nullifiers.
+ */
+template DocumentNullifier() {
+    signal input fields[7];
+    signal input scope;
+    signal output nullifier;
+
+    component hasher = Poseidon(7);
+    for (var i = 0; i < 6; i++) {
+        hasher.inputs[i] <== fields[i];
+    }
+    hasher.inputs[6] <== scope;
+
+    nullifier <== hasher.out;
+}
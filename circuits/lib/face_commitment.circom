@@ -0,0 +1,71 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/poseidon.circom";
+
+/*
+ * Digest of a quantized face descriptor, as hashFaceDescriptor() in
+ * src/utils/commitment.ts computes it: hashElements(packed descriptor).
+ *
+ * descriptor holds the quantized values offset by 2^23, as returned by
+ * encodeFaceDescriptorValues(). Each is range-checked to 24 bits and ten are
+ * packed per field element, first value most significant.
+ *
+ * hashElements absorbs the element count followed by the elements; for up to
+ * 150 values that is a single Poseidon call.
+ */
+template DescriptorDigest(n) {
+    var VALUE_BITS = 24;
+    var VALUES_PER_ELEMENT = 10;
+    var ELEMENTS = (n + VALUES_PER_ELEMENT - 1) \ VALUES_PER_ELEMENT;
+    assert(ELEMENTS < 16);
+
+    signal input descriptor[n];
+    signal output out;
+
+    component ranges[n];
+    for (var i = 0; i < n; i++) {
+        ranges[i] = Num2Bits(VALUE_BITS);
+        ranges[i].in <== descriptor[i];
+    }
+
+    component digest = Poseidon(ELEMENTS + 1);
+    digest.inputs[0] <== ELEMENTS;
+    for (var e = 0; e < ELEMENTS; e++) {
+        var packed = 0;
+        for (var i = e * VALUES_PER_ELEMENT; i < n && i < (e + 1) * VALUES_PER_ELEMENT; i++) {
+            packed = packed * (1 << VALUE_BITS) + descriptor[i];
+        }
+        digest.inputs[e + 1] <== packed;
+    }
+
+    out <== digest.out;
+}
+
+/*
+ * Recomputes the face commitment built by commitFace() in
+ * src/utils/commitment.ts:
+ * Poseidon(DescriptorDigest(descriptor), liveness, salt).
+ *
+ * liveness is the digest of the liveness challenge transcript the selfie was
+ * captured under (hashLivenessTranscript() in src/utils/liveness.ts). It is
+ * only hashed here; the app checks the transcript before proving.
+ */
+template FaceCommitment(n) {
+    signal input descriptor[n];
+    signal input liveness;
+    signal input salt;
+    signal output commitment;
+
+    component digest = DescriptorDigest(n);
+    for (var i = 0; i < n; i++) {
+        digest.descriptor[i] <== descriptor[i];
+    }
+
+    component hasher = Poseidon(3);
+    hasher.inputs[0] <== digest.out;
+    hasher.inputs[1] <== liveness;
+    hasher.inputs[2] <== salt;
+
+    commitment <== hasher.out;
+}
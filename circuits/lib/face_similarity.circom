@@ -0,0 +1,77 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+
+/*
+ * Checks that the cosine similarity of two face descriptors is at least
+ * min_similarity / 10000, mirroring meetsSimilarityBound() in
+ * src/utils/faceMatch.ts.
+ *
+ * Inputs are quantized values offset by 2^23 and must already be
+ * range-checked to 24 bits, so every signed value is below 2^23 in magnitude
+ * and the sums below cannot wrap around the field. With dot = a.b the check is
+ *
+ *   dot >= 0  and  dot^2 * 10000^2 >= min_similarity^2 * |a|^2 * |b|^2
+ *
+ * which avoids square roots and division. A zero descriptor would satisfy any
+ * bound, so both norms must be non-zero.
+ */
+template FaceSimilarity(n) {
+    var OFFSET = 1 << 23;
+    var SCALE = 10000;
+    assert(n <= 128);
+
+    signal input a[n];
+    signal input b[n];
+    signal input min_similarity;
+
+    signal products[n];
+    signal squaresA[n];
+    signal squaresB[n];
+
+    var dot = 0;
+    var normA = 0;
+    var normB = 0;
+    for (var i = 0; i < n; i++) {
+        products[i] <== (a[i] - OFFSET) * (b[i] - OFFSET);
+        squaresA[i] <== (a[i] - OFFSET) * (a[i] - OFFSET);
+        squaresB[i] <== (b[i] - OFFSET) * (b[i] - OFFSET);
+        dot += products[i];
+        normA += squaresA[i];
+        normB += squaresB[i];
+    }
+
+    // |dot| <= n * 2^46; a negative dot wraps to a value far above 2^54
+    component dotIsNonNegative = Num2Bits(54);
+    dotIsNonNegative.in <== dot;
+
+    component thresholdRange = Num2Bits(14);
+    thresholdRange.in <== min_similarity;
+    component thresholdInScale = LessEqThan(14);
+    thresholdInScale.in[0] <== min_similarity;
+    thresholdInScale.in[1] <== SCALE;
+    thresholdInScale.out === 1;
+
+    component aIsZero = IsZero();
+    aIsZero.in <== normA;
+    aIsZero.out === 0;
+    component bIsZero = IsZero();
+    bIsZero.in <== normB;
+    bIsZero.out === 0;
+
+    signal dotSquared;
+    signal thresholdSquared;
+    signal norms;
+    signal bound;
+    dotSquared <== dot * dot;
+    thresholdSquared <== min_similarity * min_similarity;
+    norms <== normA * normB;
+    bound <== thresholdSquared * norms;
+
+    // Both sides stay below 2^135
+    component similarEnough = LessEqThan(136);
+    similarEnough.in[0] <== bound;
+    similarEnough.in[1] <== dotSquared * (SCALE * SCALE);
+    similarEnough.out === 1;
+}
@@ -0,0 +1,44 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/comparators.circom";
+include "lib/document_commitment.circom";
+
+/*
+ * Proves that the holder of a committed document is at least min_age years old
+ * on reference_date, without revealing the date of birth.
+ *
+ * Public signals (in order): id_commitment, reference_date, min_age.
+ *
+ * Dates are YYYYMMDD integers, so adding min_age * 10000 to the date of birth
+ * gives the min_age-th birthday and a single comparison matches the rule in
+ * IDVerificationService.calculateAge.
+ */
+template AgeOver() {
+    signal input id_commitment;
+    signal input reference_date;
+    signal input min_age;
+
+    signal input fields[7];
+    signal input portrait;
+    signal input salt;
+
+    component commitment = DocumentCommitment();
+    for (var i = 0; i < 7; i++) {
+        commitment.fields[i] <== fields[i];
+    }
+    commitment.portrait <== portrait;
+    commitment.salt <== salt;
+    commitment.commitment === id_commitment;
+
+    // A missing date of birth is encoded as 0 and must not pass
+    component hasBirthDate = IsZero();
+    hasBirthDate.in <== fields[2];
+    hasBirthDate.out === 0;
+
+    component oldEnough = LessEqThan(32);
+    oldEnough.in[0] <== fields[2] + min_age * 10000;
+    oldEnough.in[1] <== reference_date;
+    oldEnough.out === 1;
+}
+
+component main {public [id_commitment, reference_date, min_age]} = AgeOver();
@@ -0,0 +1,50 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/comparators.circom";
+include "lib/document_commitment.circom";
+
+/*
+ * Proves that the nationality on a committed document is one of up to
+ * SET_SIZE allowed country codes, without revealing which one.
+ *
+ * Public signals (in order): id_commitment, reference_date, allowed[SET_SIZE].
+ *
+ * Unused slots in allowed are padded with 0. A document without a nationality
+ * also encodes to 0, so the nationality is required to be non-zero.
+ * reference_date is not used by the statement; it is kept so that all
+ * predicate circuits share the same public signal prefix.
+ */
+template NationalityIn(SET_SIZE) {
+    signal input id_commitment;
+    signal input reference_date;
+    signal input allowed[SET_SIZE];
+
+    signal input fields[7];
+    signal input portrait;
+    signal input salt;
+
+    component commitment = DocumentCommitment();
+    for (var i = 0; i < 7; i++) {
+        commitment.fields[i] <== fields[i];
+    }
+    commitment.portrait <== portrait;
+    commitment.salt <== salt;
+    commitment.commitment === id_commitment;
+
+    component hasNationality = IsZero();
+    hasNationality.in <== fields[5];
+    hasNationality.out === 0;
+
+    // The product of (nationality - allowed[i]) is zero iff some slot matches
+    signal product[SET_SIZE + 1];
+    product[0] <== 1;
+    for (var i = 0; i < SET_SIZE; i++) {
+        product[i + 1] <== product[i] * (fields[5] - allowed[i]);
+    }
+    product[SET_SIZE] === 0;
+
+    signal reference_date_sq;
+    reference_date_sq <== reference_date * reference_date;
+}
+
+component main {public [id_commitment, reference_date, allowed]} = NationalityIn(32);
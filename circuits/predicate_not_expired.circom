@@ -0,0 +1,34 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/comparators.circom";
+include "lib/document_commitment.circom";
+
+/*
+ * Proves that a committed document expires after reference_date, matching
+ * IDVerificationService.isDocumentValid.
+ *
+ * Public signals (in order): id_commitment, reference_date.
+ */
+template NotExpired() {
+    signal input id_commitment;
+    signal input reference_date;
+
+    signal input fields[7];
+    signal input portrait;
+    signal input salt;
+
+    component commitment = DocumentCommitment();
+    for (var i = 0; i < 7; i++) {
+        commitment.fields[i] <== fields[i];
+    }
+    commitment.portrait <== portrait;
+    commitment.salt <== salt;
+    commitment.commitment === id_commitment;
+
+    component notExpired = LessThan(32);
+    notExpired.in[0] <== reference_date;
+    notExpired.in[1] <== fields[4];
+    notExpired.out === 1;
+}
+
+component main {public [id_commitment, reference_date]} = NotExpired();
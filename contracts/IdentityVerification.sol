@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "./verifier.sol"; // This would be generated by your ZK circuit compiler
+import "./verifier.sol";
 
 /**
  * @title IdentityVerification
@@ -10,12 +10,71 @@ import "./verifier.sol"; // This would be generated by your ZK circuit compiler
 contract IdentityVerification {
     // Verifier contract for ZK proofs
     Verifier public immutable verifier;
+
+    // Account that manages admins; transferable
+    address public owner;
+
+    // Accounts allowed to manage issuers, predicates and the pause switch
+    mapping(address => bool) public admins;
+
+    // Whether proof submission is paused
+    bool public paused;
+
+    // Position of the document commitment in the identity proof's public inputs
+    uint256 public constant ID_COMMITMENT_INDEX = 1;
+
+    // Position of the document expiry date (YYYYMMDD) in the identity proof's public inputs
+    uint256 public constant EXPIRY_DATE_INDEX = 3;
+
+    // Positions of the application scope, the document nullifier and the
+    // account the proof is bound to in the identity proof's public inputs
+    uint256 public constant SCOPE_INDEX = 4;
+    uint256 public constant NULLIFIER_INDEX = 5;
+    uint256 public constant ACCOUNT_INDEX = 6;
+
+    // Position of the proven selfie-to-portrait similarity bound in the
+    // identity proof's public inputs, and the scale it is expressed in
+    uint256 public constant FACE_SIMILARITY_INDEX = 7;
+    uint256 public constant SIMILARITY_SCALE = 10000;
+
+    // Number of public inputs of an identity proof; every position above is required
+    uint256 public constant PUBLIC_INPUT_COUNT = 8;
+
+    // BN254 scalar field order; scope IDs are reduced into it
+    uint256 internal constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    // Longest a verification stays valid before the user must prove again
+    uint256 public maxVerificationTTL = 365 days;
+
+    // Lowest similarity bound (out of SIMILARITY_SCALE) an identity proof may use
+    uint256 public minFaceSimilarity = 6000;
+
+    // EIP-712 messages users sign so a relayer can submit for them and pay the gas
+    bytes32 public constant SUBMIT_PROOF_TYPEHASH = keccak256(
+        "SubmitProof(address user,bytes proof,uint256[] publicInputs,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant TRANSFER_VERIFICATION_TYPEHASH = keccak256(
+        "TransferVerification(address user,bytes proof,uint256[] publicInputs,uint256 nonce,uint256 deadline)"
+    );
+    // EIP-712 message an issuer signs to attest a document commitment it checked
+    bytes32 public constant DOCUMENT_ATTESTATION_TYPEHASH = keccak256(
+        "DocumentAttestation(uint256 idCommitment)"
+    );
+    bytes32 internal constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // Half the secp256k1 group order; signatures with a higher s are malleable copies
+    uint256 internal constant SECP256K1N_HALF =
+        0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
     
     // Events
     event ProofSubmitted(
         address indexed user,
         bytes32 indexed proofHash,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 expiresAt
     );
     
     event VerificationStatusChanged(
@@ -24,12 +83,94 @@ contract IdentityVerification {
         uint256 timestamp
     );
 
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    event AdminUpdated(address indexed admin, bool enabled, address indexed updatedBy);
+
+    event IssuerAdded(address indexed issuer, string name, address indexed addedBy);
+
+    event IssuerRemoved(address indexed issuer, address indexed removedBy);
+
+    event Paused(address indexed account);
+
+    event Unpaused(address indexed account);
+
+    event VerificationRevoked(
+        address indexed user,
+        address indexed revokedBy,
+        RevocationReason reason,
+        uint256 timestamp
+    );
+
+    event RevocationCleared(address indexed user, address indexed clearedBy);
+
+    event MaxVerificationTTLUpdated(uint256 ttl, address indexed updatedBy);
+
+    event MinFaceSimilarityUpdated(uint256 similarity, address indexed updatedBy);
+
+    event ScopeRegistered(uint256 indexed scope, string name);
+
+    event VerificationTransferred(
+        address indexed from,
+        address indexed to,
+        uint256 indexed scope,
+        uint256 nullifier
+    );
+
+    event SubmissionRelayed(address indexed user, address indexed relayer, uint256 nonce);
+
+    event PredicateRegistered(
+        bytes32 indexed predicateId,
+        address verifier,
+        bytes32 paramsHash
+    );
+
+    event PredicateProven(
+        address indexed user,
+        bytes32 indexed predicateId,
+        uint256 timestamp
+    );
+
+    // Why a verification was revoked. None is never a valid reason.
+    enum RevocationReason {
+        None,
+        UserRequested,
+        Fraud,
+        DocumentLost,
+        DocumentInvalid,
+        KeyCompromised,
+        Other
+    }
+
+    // Status filter for getUsersByStatus
+    enum VerificationStatus {
+        Any,
+        Active,
+        Expired,
+        Revoked // Revoked, or moved away with transferVerification
+    }
+
+    // Issuer trusted to attest identities and report bad ones
+    struct Issuer {
+        string name;
+        uint256 addedAt;
+        bool active;
+    }
+
+    // Who revoked a verification and why
+    struct Revocation {
+        address revokedBy;
+        RevocationReason reason;
+        uint256 timestamp;
+    }
+
     // Struct to store verification data
     struct VerificationData {
         bytes32 proofHash;
         uint256 timestamp;
         bool isValid;
         bool exists;
+        uint256 expiresAt;
     }
 
     // Mapping from user address to their verification data
@@ -44,6 +185,67 @@ contract IdentityVerification {
     // Total number of verified users
     uint256 public totalVerifiedUsers;
 
+    // Number of verifications that are not revoked or transferred away,
+    // including expired ones. Kept up to date so getStats stays O(1).
+    uint256 public totalValidVerifications;
+
+    // Predicate circuit registered under a predicate ID
+    struct PredicateConfig {
+        Verifier verifier;
+        bytes32 paramsHash;
+        bool exists;
+    }
+
+    // Mapping from predicate ID (keccak256 of e.g. "age_over:18") to its circuit
+    mapping(bytes32 => PredicateConfig) public predicates;
+
+    // Document commitment each user proved their identity against
+    mapping(address => uint256) public idCommitments;
+
+    // Mapping from user to predicate ID to the time it was last proven
+    mapping(address => mapping(bytes32 => uint256)) public predicateProofTimes;
+
+    // Predicate IDs each user has proven (for enumeration)
+    mapping(address => bytes32[]) private provenPredicateIds;
+
+    // Registry of authorised issuers
+    mapping(address => Issuer) public issuers;
+
+    // Most recent revocation of each user's verification
+    mapping(address => Revocation) public revocations;
+
+    // Application scopes that identity proofs may derive nullifiers for
+    mapping(uint256 => bool) public scopes;
+
+    // Mapping from scope to document nullifier to the address holding it
+    mapping(uint256 => mapping(uint256 => address)) public nullifierOwners;
+
+    // Next EIP-712 nonce of each user; every relayed submission uses one up
+    mapping(address => uint256) public nonces;
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(isAdmin(msg.sender), "Caller is not an admin");
+        _;
+    }
+
+    modifier onlyIssuerOrAdmin() {
+        require(
+            issuers[msg.sender].active || isAdmin(msg.sender),
+            "Caller is not an issuer or admin"
+        );
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+
     /**
      * @dev Constructor
      * @param _verifier Address of the ZK proof verifier contract
@@ -51,64 +253,273 @@ contract IdentityVerification {
     constructor(address _verifier) {
         require(_verifier != address(0), "Invalid verifier address");
         verifier = Verifier(_verifier);
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    /**
+     * @dev Check whether an account has admin rights (the owner always does)
+     * @param account Address to check
+     * @return bool Whether the account is an admin
+     */
+    function isAdmin(address account) public view returns (bool) {
+        return account == owner || admins[account];
+    }
+
+    /**
+     * @dev Check whether an account is an active issuer
+     * @param account Address to check
+     * @return bool Whether the account is an issuer
+     */
+    function isIssuer(address account) external view returns (bool) {
+        return issuers[account].active;
+    }
+
+    /**
+     * @dev Transfer ownership (only owner)
+     * @param newOwner Address of the new owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Invalid owner address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @dev Grant or remove admin rights (only owner)
+     * @param admin Address of the admin
+     * @param enabled Whether the account should be an admin
+     */
+    function setAdmin(address admin, bool enabled) external onlyOwner {
+        require(admin != address(0), "Invalid admin address");
+        admins[admin] = enabled;
+        emit AdminUpdated(admin, enabled, msg.sender);
+    }
+
+    /**
+     * @dev Authorise an issuer (only admin)
+     * @param issuer Address of the issuer
+     * @param name Human-readable issuer name
+     */
+    function addIssuer(address issuer, string calldata name) external onlyAdmin {
+        require(issuer != address(0), "Invalid issuer address");
+        require(!issuers[issuer].active, "Issuer already registered");
+        require(bytes(name).length > 0, "Issuer name required");
+
+        issuers[issuer] = Issuer({name: name, addedAt: block.timestamp, active: true});
+
+        emit IssuerAdded(issuer, name, msg.sender);
+    }
+
+    /**
+     * @dev Remove an issuer (only admin)
+     * @param issuer Address of the issuer
+     */
+    function removeIssuer(address issuer) external onlyAdmin {
+        require(issuers[issuer].active, "Issuer not registered");
+
+        issuers[issuer].active = false;
+
+        emit IssuerRemoved(issuer, msg.sender);
+    }
+
+    /**
+     * @dev Pause proof submission (only admin). Revocation stays available.
+     */
+    function pause() external onlyAdmin {
+        require(!paused, "Contract is paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @dev Resume proof submission (only admin)
+     */
+    function unpause() external onlyAdmin {
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
     }
 
     /**
      * @dev Submit a zero-knowledge proof for identity verification
+     * A document can verify one address per scope; use transferVerification
+     * to move it to another address.
      * @param proof The ZK proof as bytes
      * @param publicInputs Array of public inputs for the proof
+     * @param attestation An active issuer's EIP-712 DocumentAttestation signature
+     * over the proof's document commitment
      */
     function submitProof(
         bytes calldata proof,
-        uint256[] calldata publicInputs
-    ) external returns (bool) {
-        require(proof.length > 0, "Empty proof");
-        require(publicInputs.length > 0, "No public inputs");
-        
-        // Verify the ZK proof
-        bool isValidProof = verifier.verifyTx(proof, publicInputs);
-        require(isValidProof, "Invalid proof");
-        
-        // Generate proof hash
-        bytes32 proofHash = keccak256(abi.encodePacked(proof, publicInputs, msg.sender));
-        
-        // Check if user is already verified
-        if (verifications[msg.sender].exists) {
-            // Update existing verification
-            verifications[msg.sender].proofHash = proofHash;
-            verifications[msg.sender].timestamp = block.timestamp;
-            verifications[msg.sender].isValid = true;
-        } else {
-            // Create new verification record
-            verifications[msg.sender] = VerificationData({
-                proofHash: proofHash,
-                timestamp: block.timestamp,
-                isValid: true,
-                exists: true
-            });
-            
-            // Add to verified users array
-            verifiedUsers.push(msg.sender);
-            totalVerifiedUsers++;
-        }
-        
-        // Store reverse mapping
-        proofToUser[proofHash] = msg.sender;
-        
-        // Emit events
-        emit ProofSubmitted(msg.sender, proofHash, block.timestamp);
-        emit VerificationStatusChanged(msg.sender, true, block.timestamp);
-        
+        uint256[] calldata publicInputs,
+        bytes calldata attestation
+    ) external whenNotPaused returns (bool) {
+        _submitProof(msg.sender, proof, publicInputs, attestation);
+        return true;
+    }
+
+    /**
+     * @dev Submit a proof on behalf of a user who signed a SubmitProof message,
+     * so a relayer can pay the gas
+     * The user's signature does not cover the attestation: any active issuer's
+     * attestation of the same commitment is as good as another.
+     * @param user Address the proof is bound to and that signed the message
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     * @param attestation An active issuer's signature over the document commitment
+     * @param deadline Unix timestamp after which the signature is no longer accepted
+     * @param signature The user's 65-byte EIP-712 signature
+     */
+    function submitProofFor(
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        bytes calldata attestation,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused returns (bool) {
+        _useSignature(SUBMIT_PROOF_TYPEHASH, user, proof, publicInputs, deadline, signature);
+        _submitProof(user, proof, publicInputs, attestation);
+        return true;
+    }
+
+    /**
+     * @dev Move a verification to the caller with a fresh proof of the same
+     * document, e.g. after losing the key of the old address
+     * The proof's nullifier shows it is the same document; the old address
+     * loses its verification.
+     * @param proof The ZK proof as bytes, bound to the caller
+     * @param publicInputs Array of public inputs for the proof
+     * @param attestation An active issuer's signature over the document commitment
+     */
+    function transferVerification(
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        bytes calldata attestation
+    ) external whenNotPaused returns (bool) {
+        _transferVerification(msg.sender, proof, publicInputs, attestation);
+        return true;
+    }
+
+    /**
+     * @dev Transfer a verification on behalf of a user who signed a
+     * TransferVerification message, so a relayer can pay the gas
+     * @param user Address the proof is bound to and that signed the message
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     * @param attestation An active issuer's signature over the document commitment
+     * @param deadline Unix timestamp after which the signature is no longer accepted
+     * @param signature The user's 65-byte EIP-712 signature
+     */
+    function transferVerificationFor(
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        bytes calldata attestation,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused returns (bool) {
+        _useSignature(TRANSFER_VERIFICATION_TYPEHASH, user, proof, publicInputs, deadline, signature);
+        _transferVerification(user, proof, publicInputs, attestation);
         return true;
     }
 
+    /**
+     * @dev EIP-712 domain separator for relayed submissions and issuer attestations
+     * @return bytes32 Separator for this contract on the current chain
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes("IdentityVerification")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Recover who signed a DocumentAttestation for a document commitment
+     * @param idCommitment Document commitment (public input ID_COMMITMENT_INDEX)
+     * @param attestation 65-byte EIP-712 signature
+     * @return address Signer, or the zero address if the signature is malformed
+     */
+    function attestationSigner(
+        uint256 idCommitment,
+        bytes calldata attestation
+    ) public view returns (address) {
+        bytes32 structHash = keccak256(abi.encode(DOCUMENT_ATTESTATION_TYPEHASH, idCommitment));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        return _recoverSigner(digest, attestation);
+    }
+
+    /**
+     * @dev Get the ID of a named scope: keccak256 of the name reduced into the
+     * scalar field, matching getScopeId in src/utils/nullifier.ts
+     * @param name Scope name
+     * @return uint256 Scope ID
+     */
+    function scopeId(string memory name) public pure returns (uint256) {
+        return uint256(keccak256(bytes(name))) % SNARK_SCALAR_FIELD;
+    }
+
+    /**
+     * @dev Allow identity proofs for a scope (only admin)
+     * @param name Scope name, e.g. "zk-identity-verification"
+     * @return uint256 Scope ID
+     */
+    function registerScope(string calldata name) external onlyAdmin returns (uint256) {
+        require(bytes(name).length > 0, "Invalid scope name");
+        uint256 scope = scopeId(name);
+        require(!scopes[scope], "Scope already registered");
+
+        scopes[scope] = true;
+
+        emit ScopeRegistered(scope, name);
+        return scope;
+    }
+
     /**
      * @dev Check if a user is verified
      * @param user Address of the user to check
-     * @return bool Whether the user is verified
+     * @return bool Whether the user is verified and the verification has not expired
      */
     function isVerified(address user) external view returns (bool) {
-        return verifications[user].exists && verifications[user].isValid;
+        return _isActive(user);
+    }
+
+    /**
+     * @dev Get when a user's verification expires
+     * @param user Address of the user
+     * @return uint256 Expiry as a Unix timestamp, or 0 if the user never verified
+     */
+    function getExpiry(address user) external view returns (uint256) {
+        return verifications[user].expiresAt;
+    }
+
+    /**
+     * @dev Set the longest a new verification stays valid (only admin)
+     * Existing verifications keep their expiry.
+     * @param ttl Maximum validity period in seconds
+     */
+    function setMaxVerificationTTL(uint256 ttl) external onlyAdmin {
+        require(ttl > 0, "Invalid TTL");
+        maxVerificationTTL = ttl;
+        emit MaxVerificationTTLUpdated(ttl, msg.sender);
+    }
+
+    /**
+     * @dev Set the lowest face similarity bound new identity proofs must prove (only admin)
+     * Existing verifications are not affected.
+     * @param similarity Minimum cosine similarity scaled by SIMILARITY_SCALE
+     */
+    function setMinFaceSimilarity(uint256 similarity) external onlyAdmin {
+        require(similarity <= SIMILARITY_SCALE, "Invalid similarity");
+        minFaceSimilarity = similarity;
+        emit MinFaceSimilarityUpdated(similarity, msg.sender);
     }
 
     /**
@@ -152,14 +563,17 @@ contract IdentityVerification {
         if (user == address(0)) {
             return false;
         }
-        return verifications[user].isValid;
+        return _isActive(user);
     }
 
     /**
-     * @dev Get all verified users (paginated)
+     * @dev Get the users whose verification is active (paginated)
+     * Scans entries offset to offset + limit of the verification list and skips
+     * revoked, transferred and expired ones, so a page may hold fewer than limit
+     * users. getUsersByStatus lists the others.
      * @param offset Starting index
-     * @param limit Number of users to return
-     * @return users Array of verified user addresses
+     * @param limit Number of entries to scan
+     * @return users Active users in this page
      */
     function getVerifiedUsers(uint256 offset, uint256 limit) 
         external 
@@ -173,11 +587,17 @@ contract IdentityVerification {
             end = totalVerifiedUsers;
         }
         
-        uint256 length = end - offset;
-        users = new address[](length);
-        
-        for (uint256 i = 0; i < length; i++) {
-            users[i] = verifiedUsers[offset + i];
+        address[] memory matches = new address[](end - offset);
+        uint256 count = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (_isActive(verifiedUsers[i])) {
+                matches[count++] = verifiedUsers[i];
+            }
+        }
+
+        users = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            users[i] = matches[i];
         }
         
         return users;
@@ -188,44 +608,164 @@ contract IdentityVerification {
      * This might be needed for privacy or security reasons
      */
     function revokeVerification() external {
-        require(verifications[msg.sender].exists, "No verification to revoke");
-        
-        // Mark as invalid but keep the record for audit purposes
-        verifications[msg.sender].isValid = false;
-        
-        emit VerificationStatusChanged(msg.sender, false, block.timestamp);
+        _revoke(msg.sender, RevocationReason.UserRequested);
     }
 
     /**
-     * @dev Emergency function to revoke a verification (only owner)
+     * @dev Emergency function to revoke a verification (only issuers and admins)
      * This should only be used in case of proven fraud or security issues
+     * @param user Address of the user
+     * @param reason Why the verification is revoked
      */
-    function emergencyRevoke(address user) external {
-        // In a real implementation, you'd want proper access control here
-        // For now, anyone can call this (not recommended for production)
-        require(verifications[user].exists, "No verification to revoke");
-        
-        verifications[user].isValid = false;
-        
-        emit VerificationStatusChanged(user, false, block.timestamp);
+    function emergencyRevoke(address user, RevocationReason reason) external onlyIssuerOrAdmin {
+        require(reason != RevocationReason.None, "Revocation reason required");
+        _revoke(user, reason);
+    }
+
+    /**
+     * @dev Allow a user revoked by an issuer or admin to verify again (only admin)
+     * @param user Address of the user
+     */
+    function clearRevocation(address user) external onlyAdmin {
+        require(revocations[user].reason != RevocationReason.None, "No revocation to clear");
+
+        delete revocations[user];
+
+        emit RevocationCleared(user, msg.sender);
     }
 
     /**
-     * @dev Get contract statistics
+     * @dev Get contract statistics in constant gas
      * @return totalUsers Total number of users who have submitted proofs
-     * @return validVerifications Number of currently valid verifications
+     * @return validVerifications Number of verifications not revoked or transferred
+     * away; expired ones still count until renewed (see getUsersByStatus)
      */
     function getStats() external view returns (uint256 totalUsers, uint256 validVerifications) {
-        totalUsers = totalVerifiedUsers;
-        validVerifications = 0;
-        
-        for (uint256 i = 0; i < totalVerifiedUsers; i++) {
-            if (verifications[verifiedUsers[i]].isValid) {
-                validVerifications++;
+        return (totalVerifiedUsers, totalValidVerifications);
+    }
+
+    /**
+     * @dev Page through users with a given verification status
+     * Scans at most `limit` entries of verifiedUsers starting at `cursor`, so
+     * the cost of a call is bounded by the page size rather than the number of
+     * users. A page can hold fewer than `limit` matches; keep calling with
+     * nextCursor until it is 0.
+     * @param status Status to match (Any returns every user)
+     * @param cursor Index in verifiedUsers to start scanning from
+     * @param limit Maximum number of entries to scan
+     * @return users Matching users in this page
+     * @return nextCursor Cursor for the next page, or 0 when the scan is complete
+     */
+    function getUsersByStatus(
+        VerificationStatus status,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (address[] memory users, uint256 nextCursor) {
+        require(limit > 0, "Invalid limit");
+        require(cursor <= totalVerifiedUsers, "Cursor out of bounds");
+
+        uint256 end = cursor + limit;
+        if (end > totalVerifiedUsers) {
+            end = totalVerifiedUsers;
+        }
+
+        address[] memory matches = new address[](end - cursor);
+        uint256 count = 0;
+        for (uint256 i = cursor; i < end; i++) {
+            address user = verifiedUsers[i];
+            if (status == VerificationStatus.Any || _statusOf(user) == status) {
+                matches[count++] = user;
             }
         }
-        
-        return (totalUsers, validVerifications);
+
+        users = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            users[i] = matches[i];
+        }
+        nextCursor = end < totalVerifiedUsers ? end : 0;
+    }
+
+    /**
+     * @dev Register the verifier for a predicate circuit
+     * Predicate public inputs are laid out as
+     * [idCommitment, referenceDate, ...params]; the params must hash to paramsHash.
+     * @param predicateId keccak256 of the predicate identifier, e.g. "age_over:18"
+     * @param predicateVerifier Verifier generated for the predicate circuit
+     * @param params Fixed public inputs of the predicate (e.g. [18] for age_over:18)
+     */
+    function registerPredicate(
+        bytes32 predicateId,
+        address predicateVerifier,
+        uint256[] calldata params
+    ) external onlyAdmin {
+        require(predicateVerifier != address(0), "Invalid verifier address");
+
+        bytes32 paramsHash = keccak256(abi.encodePacked(params));
+        predicates[predicateId] = PredicateConfig({
+            verifier: Verifier(predicateVerifier),
+            paramsHash: paramsHash,
+            exists: true
+        });
+
+        emit PredicateRegistered(predicateId, predicateVerifier, paramsHash);
+    }
+
+    /**
+     * @dev Submit a selective-disclosure proof about the caller's verified document
+     * @param predicateId Registered predicate ID
+     * @param proof The ZK proof as bytes
+     * @param publicInputs [idCommitment, referenceDate, ...params]
+     */
+    function submitPredicateProof(
+        bytes32 predicateId,
+        bytes calldata proof,
+        uint256[] calldata publicInputs
+    ) external whenNotPaused returns (bool) {
+        PredicateConfig memory config = predicates[predicateId];
+        require(config.exists, "Unknown predicate");
+        require(_isActive(msg.sender), "User not verified");
+        require(publicInputs.length >= 2, "Invalid public inputs");
+        require(
+            publicInputs[0] == idCommitments[msg.sender],
+            "Commitment does not match verified identity"
+        );
+        require(_isCurrentDate(publicInputs[1]), "Stale reference date");
+
+        uint256[] memory params = publicInputs[2:];
+        require(
+            keccak256(abi.encodePacked(params)) == config.paramsHash,
+            "Predicate parameters mismatch"
+        );
+
+        require(config.verifier.verifyTx(proof, publicInputs), "Invalid proof");
+
+        if (predicateProofTimes[msg.sender][predicateId] == 0) {
+            provenPredicateIds[msg.sender].push(predicateId);
+        }
+        predicateProofTimes[msg.sender][predicateId] = block.timestamp;
+
+        emit PredicateProven(msg.sender, predicateId, block.timestamp);
+
+        return true;
+    }
+
+    /**
+     * @dev Check whether a user has proven a predicate and is still verified
+     * @param user Address of the user
+     * @param predicateId Predicate ID
+     * @return bool Whether the predicate has been proven
+     */
+    function hasProvenPredicate(address user, bytes32 predicateId) external view returns (bool) {
+        return _isActive(user) && predicateProofTimes[user][predicateId] != 0;
+    }
+
+    /**
+     * @dev Get the IDs of all predicates a user has proven
+     * @param user Address of the user
+     * @return bytes32[] Proven predicate IDs
+     */
+    function getProvenPredicates(address user) external view returns (bytes32[] memory) {
+        return provenPredicateIds[user];
     }
 
     /**
@@ -239,10 +779,395 @@ contract IdentityVerification {
         bytes calldata proof,
         uint256[] calldata publicInputs
     ) external view returns (bool) {
-        if (proof.length == 0 || publicInputs.length == 0) {
+        if (proof.length == 0 || publicInputs.length != PUBLIC_INPUT_COUNT) {
             return false;
         }
         
         return verifier.verifyTx(proof, publicInputs);
     }
+
+    /**
+     * @dev Check whether a user has a valid, unexpired verification
+     * @param user Address of the user
+     * @return bool Whether the verification is active
+     */
+    function _isActive(address user) internal view returns (bool) {
+        VerificationData storage data = verifications[user];
+        return data.exists && data.isValid && block.timestamp < data.expiresAt;
+    }
+
+    /**
+     * @dev Check and record an identity proof for a user
+     * @param user Address the proof is for
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     * @param attestation Issuer signature over the document commitment
+     */
+    function _submitProof(
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        bytes calldata attestation
+    ) internal {
+        _checkIdentityProof(user, proof, publicInputs, attestation);
+
+        uint256 scope = publicInputs[SCOPE_INDEX];
+        uint256 nullifier = publicInputs[NULLIFIER_INDEX];
+        address holder = nullifierOwners[scope][nullifier];
+        require(holder == address(0) || holder == user, "Nullifier already used");
+        nullifierOwners[scope][nullifier] = user;
+
+        _recordVerification(user, proof, publicInputs);
+    }
+
+    /**
+     * @dev Move the verification of the proof's document to a user
+     * @param user Address the proof is for
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     * @param attestation Issuer signature over the document commitment
+     */
+    function _transferVerification(
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        bytes calldata attestation
+    ) internal {
+        _checkIdentityProof(user, proof, publicInputs, attestation);
+
+        uint256 scope = publicInputs[SCOPE_INDEX];
+        uint256 nullifier = publicInputs[NULLIFIER_INDEX];
+        address from = nullifierOwners[scope][nullifier];
+        require(from != address(0), "Unknown nullifier");
+        require(from != user, "Nullifier already held by caller");
+
+        // A revoked verification must not be laundered through a new address,
+        // but a holder whose key was compromised still owns the document
+        RevocationReason revokedFor = revocations[from].reason;
+        require(
+            revokedFor == RevocationReason.None ||
+                revokedFor == RevocationReason.UserRequested ||
+                revokedFor == RevocationReason.KeyCompromised,
+            "Verification revoked"
+        );
+
+        nullifierOwners[scope][nullifier] = user;
+        if (verifications[from].isValid) {
+            _invalidate(from);
+            emit VerificationStatusChanged(from, false, block.timestamp);
+        }
+        emit VerificationTransferred(from, user, scope, nullifier);
+
+        _recordVerification(user, proof, publicInputs);
+    }
+
+    /**
+     * @dev Check a user's EIP-712 signature over a relayed submission and use
+     * up their nonce, so the signature cannot be replayed
+     * @param typehash SUBMIT_PROOF_TYPEHASH or TRANSFER_VERIFICATION_TYPEHASH
+     * @param user Address that must have signed
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     * @param deadline Unix timestamp after which the signature is no longer accepted
+     * @param signature The user's 65-byte signature
+     */
+    function _useSignature(
+        bytes32 typehash,
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        uint256 nonce = nonces[user]++;
+        bytes32 structHash = keccak256(
+            abi.encode(
+                typehash,
+                user,
+                keccak256(proof),
+                keccak256(abi.encodePacked(publicInputs)),
+                nonce,
+                deadline
+            )
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        // A malformed signature recovers the zero address, which must not pass for user 0
+        address signer = _recoverSigner(digest, signature);
+        require(signer != address(0) && signer == user, "Invalid signature");
+
+        emit SubmissionRelayed(user, msg.sender, nonce);
+    }
+
+    /**
+     * @dev Recover the signer of a digest, rejecting malformed and malleable signatures
+     * @param digest Signed digest
+     * @param signature 65-byte signature (r, s, v)
+     * @return address Signer, or the zero address if the signature is invalid
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > SECP256K1N_HALF || (v != 27 && v != 28)) {
+            return address(0);
+        }
+        return ecrecover(digest, v, r, s);
+    }
+
+    /**
+     * @dev Check an identity proof before recording it: the user is not
+     * revoked, an active issuer attested its document commitment, the proof
+     * verifies, its scope is registered, it is bound to the user and it
+     * proves a high enough face similarity
+     * @param user Address the proof is for
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     * @param attestation Issuer signature over the document commitment
+     */
+    function _checkIdentityProof(
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs,
+        bytes calldata attestation
+    ) internal view {
+        require(proof.length > 0, "Empty proof");
+        require(publicInputs.length == PUBLIC_INPUT_COUNT, "Invalid public inputs");
+
+        // Only a user's own revocation can be undone by proving again
+        RevocationReason revokedFor = revocations[user].reason;
+        require(
+            revokedFor == RevocationReason.None || revokedFor == RevocationReason.UserRequested,
+            "Verification revoked"
+        );
+
+        require(scopes[publicInputs[SCOPE_INDEX]], "Unknown scope");
+        require(
+            issuers[attestationSigner(publicInputs[ID_COMMITMENT_INDEX], attestation)].active,
+            "Commitment not attested"
+        );
+        require(
+            publicInputs[ACCOUNT_INDEX] == uint256(uint160(user)),
+            "Proof bound to another account"
+        );
+        require(
+            publicInputs[FACE_SIMILARITY_INDEX] >= minFaceSimilarity,
+            "Face similarity below minimum"
+        );
+
+        // Verify the ZK proof
+        bool isValidProof = verifier.verifyTx(proof, publicInputs);
+        require(isValidProof, "Invalid proof");
+    }
+
+    /**
+     * @dev Store a verified identity proof for a user
+     * @param user Address the proof is for
+     * @param proof The ZK proof as bytes
+     * @param publicInputs Array of public inputs for the proof
+     */
+    function _recordVerification(
+        address user,
+        bytes calldata proof,
+        uint256[] calldata publicInputs
+    ) internal {
+        // Generate proof hash
+        bytes32 proofHash = keccak256(abi.encodePacked(proof, publicInputs, user));
+
+        uint256 expiresAt = _verificationExpiry(publicInputs);
+        
+        // Check if user is already verified
+        if (verifications[user].exists) {
+            // Update existing verification
+            if (!verifications[user].isValid) {
+                totalValidVerifications++;
+            }
+            verifications[user].proofHash = proofHash;
+            verifications[user].timestamp = block.timestamp;
+            verifications[user].isValid = true;
+            verifications[user].expiresAt = expiresAt;
+        } else {
+            // Create new verification record
+            verifications[user] = VerificationData({
+                proofHash: proofHash,
+                timestamp: block.timestamp,
+                isValid: true,
+                exists: true,
+                expiresAt: expiresAt
+            });
+            
+            // Add to verified users array
+            verifiedUsers.push(user);
+            totalVerifiedUsers++;
+            totalValidVerifications++;
+        }
+        
+        // Store reverse mapping
+        proofToUser[proofHash] = user;
+
+        // Remember the document commitment so predicate proofs can be bound to it
+        idCommitments[user] = publicInputs[ID_COMMITMENT_INDEX];
+        
+        // Emit events
+        emit ProofSubmitted(user, proofHash, block.timestamp, expiresAt);
+        emit VerificationStatusChanged(user, true, block.timestamp);
+    }
+
+    /**
+     * @dev Work out when a new verification expires: after the maximum TTL, or
+     * when the document expires if that is earlier
+     * @param publicInputs Public inputs of the identity proof
+     * @return uint256 Expiry as a Unix timestamp
+     */
+    function _verificationExpiry(uint256[] calldata publicInputs) internal view returns (uint256) {
+        uint256 expiresAt = block.timestamp + maxVerificationTTL;
+
+        uint256 documentExpiry = _toTimestamp(publicInputs[EXPIRY_DATE_INDEX]);
+        require(documentExpiry > block.timestamp, "Document expired");
+        if (documentExpiry < expiresAt) {
+            expiresAt = documentExpiry;
+        }
+
+        return expiresAt;
+    }
+
+    /**
+     * @dev Mark a verification invalid, keeping the valid count in step
+     * @param user Address of the user
+     */
+    function _invalidate(address user) internal {
+        if (verifications[user].isValid) {
+            verifications[user].isValid = false;
+            totalValidVerifications--;
+        }
+    }
+
+    /**
+     * @dev Get the status of an existing verification
+     * @param user Address of the user
+     * @return VerificationStatus Active, Expired or Revoked
+     */
+    function _statusOf(address user) internal view returns (VerificationStatus) {
+        VerificationData storage data = verifications[user];
+        if (!data.isValid) {
+            return VerificationStatus.Revoked;
+        }
+        if (block.timestamp >= data.expiresAt) {
+            return VerificationStatus.Expired;
+        }
+        return VerificationStatus.Active;
+    }
+
+    /**
+     * @dev Mark a verification invalid and record who revoked it and why
+     * The record is kept for audit purposes. A user's own revocation never
+     * replaces one by an issuer or admin, which only clearRevocation lifts.
+     * @param user Address of the user
+     * @param reason Why the verification is revoked
+     */
+    function _revoke(address user, RevocationReason reason) internal {
+        require(verifications[user].exists, "No verification to revoke");
+
+        RevocationReason revokedFor = revocations[user].reason;
+        require(
+            reason != RevocationReason.UserRequested ||
+                revokedFor == RevocationReason.None ||
+                revokedFor == RevocationReason.UserRequested,
+            "Verification revoked"
+        );
+
+        _invalidate(user);
+        revocations[user] = Revocation({
+            revokedBy: msg.sender,
+            reason: reason,
+            timestamp: block.timestamp
+        });
+
+        emit VerificationRevoked(user, msg.sender, reason, block.timestamp);
+        emit VerificationStatusChanged(user, false, block.timestamp);
+    }
+
+    /**
+     * @dev Check that a YYYYMMDD date is today in UTC, allowing one day either
+     * side for time zones and proof generation time
+     * @param date Date as a YYYYMMDD integer
+     * @return bool Whether the date is current
+     */
+    function _isCurrentDate(uint256 date) internal view returns (bool) {
+        return
+            date == _toDate(block.timestamp) ||
+            date == _toDate(block.timestamp - 1 days) ||
+            date == _toDate(block.timestamp + 1 days);
+    }
+
+    /**
+     * @dev Convert a YYYYMMDD integer to the Unix timestamp of that day's start (UTC)
+     * Uses Howard Hinnant's days_from_civil algorithm.
+     * @param date Date as a YYYYMMDD integer
+     * @return uint256 Unix timestamp
+     */
+    function _toTimestamp(uint256 date) internal pure returns (uint256) {
+        uint256 year = date / 10000;
+        uint256 month = (date / 100) % 100;
+        uint256 day = date % 100;
+        require(
+            year >= 1970 &&
+                year <= 9999 &&
+                month >= 1 &&
+                month <= 12 &&
+                day >= 1 &&
+                day <= _daysInMonth(year, month),
+            "Invalid expiry date"
+        );
+
+        if (month <= 2) {
+            year -= 1;
+        }
+        uint256 era = year / 400;
+        uint256 yoe = year - era * 400;
+        uint256 doy = (153 * (month > 2 ? month - 3 : month + 9) + 2) / 5 + day - 1;
+        uint256 doe = yoe * 365 + yoe / 4 - yoe / 100 + doy;
+        return (era * 146097 + doe - 719468) * 1 days;
+    }
+
+    /**
+     * @dev Number of days in a month of the Gregorian calendar
+     * @param year Year, e.g. 2030
+     * @param month Month from 1 to 12
+     * @return uint256 28 to 31
+     */
+    function _daysInMonth(uint256 year, uint256 month) internal pure returns (uint256) {
+        if (month == 2) {
+            bool leap = (year % 4 == 0 && year % 100 != 0) || year % 400 == 0;
+            return leap ? 29 : 28;
+        }
+        if (month == 4 || month == 6 || month == 9 || month == 11) {
+            return 30;
+        }
+        return 31;
+    }
+
+    /**
+     * @dev Convert a Unix timestamp to a YYYYMMDD integer (UTC)
+     * Uses Howard Hinnant's civil_from_days algorithm.
+     * @param timestamp Unix timestamp
+     * @return uint256 Date as YYYYMMDD
+     */
+    function _toDate(uint256 timestamp) internal pure returns (uint256) {
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+        return year * 10000 + month * 100 + day;
+    }
 }
@@ -1,52 +1,163 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ethers, network: hardhatNetwork } = require("hardhat");
+
+// VERIFIER=real deploys the Groth16 verifiers generated by `npm run circuits:build`;
+// anything else deploys MockVerifier, which accepts any non-empty proof.
+const USE_REAL_VERIFIER = process.env.VERIFIER === "real";
+
+// Deployments keyed by chain ID; the app builds its network registry from this file
+const DEPLOYMENT_PATH = path.join(__dirname, "..", "src", "contracts", "deployment.json");
+
+// Generated verifier contract for each predicate circuit
+const PREDICATE_VERIFIERS = {
+  age_over: "PredicateAgeOverVerifier",
+  not_expired: "PredicateNotExpiredVerifier",
+  nationality_in: "PredicateNationalityInVerifier",
+};
+
+/**
+ * Deploy a verifier contract by name
+ * @param name - Contract name
+ * @returns Deployed contract
+ */
+async function deployVerifier(name) {
+  let factory;
+  try {
+    factory = await ethers.getContractFactory(name);
+  } catch (error) {
+    throw new Error(`${name} not found. Run \`npm run circuits:build\` to generate contracts/generated/ first.`);
+  }
+  const verifier = await factory.deploy();
+  await verifier.waitForDeployment();
+  console.log(`${name} deployed to:`, await verifier.getAddress());
+  return verifier;
+}
+
+/**
+ * Describe a deployed contract for deployment.json
+ * @param contract - Deployed contract
+ * @returns Address and deployment transaction hash
+ */
+async function describeDeployment(contract) {
+  return {
+    address: await contract.getAddress(),
+    transactionHash: contract.deploymentTransaction().hash,
+  };
+}
+
+/**
+ * Read the deployments recorded so far
+ * @returns Deployments keyed by chain ID
+ */
+function readDeployments() {
+  if (!fs.existsSync(DEPLOYMENT_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(DEPLOYMENT_PATH, "utf8"));
+}
 
 async function main() {
   console.log("Starting deployment of Identity Verification contracts...");
+  console.log("Verifier mode:", USE_REAL_VERIFIER ? "real (Groth16)" : "mock");
 
   // Get the deployer account
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with account:", deployer.address);
 
   // Get account balance
-  const balance = await deployer.getBalance();
-  console.log("Account balance:", ethers.utils.formatEther(balance), "ETH");
+  const balance = await ethers.provider.getBalance(deployer.address);
+  console.log("Account balance:", ethers.formatEther(balance), "ETH");
 
-  // Deploy MockVerifier first
-  console.log("\n1. Deploying MockVerifier...");
-  const MockVerifier = await ethers.getContractFactory("MockVerifier");
-  const mockVerifier = await MockVerifier.deploy();
-  await mockVerifier.deployed();
-  console.log("MockVerifier deployed to:", mockVerifier.address);
+  // Deploy the verifier first
+  const verifierName = USE_REAL_VERIFIER ? "Groth16Verifier" : "MockVerifier";
+  console.log(`\n1. Deploying ${verifierName}...`);
+  const verifier = await deployVerifier(verifierName);
+  const verifierAddress = await verifier.getAddress();
 
   // Deploy IdentityVerification contract
   console.log("\n2. Deploying IdentityVerification...");
   const IdentityVerification = await ethers.getContractFactory("IdentityVerification");
-  const identityVerification = await IdentityVerification.deploy(mockVerifier.address);
-  await identityVerification.deployed();
-  console.log("IdentityVerification deployed to:", identityVerification.address);
+  const identityVerification = await IdentityVerification.deploy(verifierAddress);
+  await identityVerification.waitForDeployment();
+  const identityVerificationAddress = await identityVerification.getAddress();
+  console.log("IdentityVerification deployed to:", identityVerificationAddress);
+
+  // Register predicate circuits
+  // Parameters must match getPredicateParams in src/utils/predicates.ts
+  console.log("\n3. Registering predicate circuits...");
+  const euCountries = [
+    "AUT", "BEL", "BGR", "HRV", "CYP", "CZE", "DNK", "EST", "FIN",
+    "FRA", "DEU", "GRC", "HUN", "IRL", "ITA", "LVA", "LTU", "LUX",
+    "MLT", "NLD", "POL", "PRT", "ROU", "SVK", "SVN", "ESP", "SWE",
+  ].sort();
+  const countryCodeToField = (code) => ethers.toBigInt(ethers.toUtf8Bytes(code));
+  const nationalitySet = euCountries.map(countryCodeToField);
+  while (nationalitySet.length < 32) {
+    nationalitySet.push(0);
+  }
+
+  const predicates = [
+    { id: "age_over:18", params: [18] },
+    { id: "not_expired", params: [] },
+    { id: `nationality_in:${euCountries.join(",")}`, params: nationalitySet },
+  ];
+  const predicateVerifiers = {};
+  for (const predicate of predicates) {
+    const type = predicate.id.split(":")[0];
+    if (!predicateVerifiers[type]) {
+      predicateVerifiers[type] = USE_REAL_VERIFIER ? await deployVerifier(PREDICATE_VERIFIERS[type]) : verifier;
+    }
+
+    const tx = await identityVerification.registerPredicate(
+      ethers.id(predicate.id),
+      await predicateVerifiers[type].getAddress(),
+      predicate.params
+    );
+    await tx.wait();
+    console.log("Registered predicate:", predicate.id.split(":")[0], predicate.params.length ? `(${predicate.params.length} params)` : "");
+  }
+
+  // Scopes identity proofs may derive nullifiers for
+  // Must include DEFAULT_SCOPE from src/utils/nullifier.ts
+  const scopes = ["zk-identity-verification"];
+  for (const scope of scopes) {
+    const tx = await identityVerification.registerScope(scope);
+    await tx.wait();
+    console.log("Registered scope:", scope);
+  }
+
+  // Identity proofs are only recorded for documents an issuer attested
+  // ISSUER defaults to the deployer, which suits local development
+  const issuer = process.env.ISSUER || deployer.address;
+  const issuerTx = await identityVerification.addIssuer(issuer, "Document issuer");
+  await issuerTx.wait();
+  console.log("Registered issuer:", issuer);
 
   // Verify deployment
-  console.log("\n3. Verifying deployment...");
-  const verifierAddress = await identityVerification.verifier();
-  console.log("Verifier address in contract:", verifierAddress);
-  console.log("Expected verifier address:", mockVerifier.address);
+  console.log("\n4. Verifying deployment...");
+  const registeredVerifier = await identityVerification.verifier();
+  console.log("Verifier address in contract:", registeredVerifier);
+  console.log("Expected verifier address:", verifierAddress);
   
-  if (verifierAddress === mockVerifier.address) {
+  if (registeredVerifier === verifierAddress) {
     console.log("✅ Deployment verification successful!");
   } else {
     console.log("❌ Deployment verification failed!");
   }
 
   // Test basic functionality
-  console.log("\n4. Testing basic functionality...");
+  console.log("\n5. Testing basic functionality...");
   
-  // Test proof verification (mock)
+  // Test proof verification (mock proofs are rejected by the real verifier)
   const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
   const mockPublicInputs = [123, 456, 789];
   
   try {
-    const isValidProof = await identityVerification.checkProofValidity(mockProof, mockPublicInputs);
-    console.log("Mock proof validity check:", isValidProof);
+    if (!USE_REAL_VERIFIER) {
+      const isValidProof = await identityVerification.checkProofValidity(mockProof, mockPublicInputs);
+      console.log("Mock proof validity check:", isValidProof);
+    }
     
     // Get initial stats
     const [totalUsers, validVerifications] = await identityVerification.getStats();
@@ -58,40 +169,58 @@ async function main() {
   }
 
   // Save deployment info
+  // ethers v6 reports the chain ID as a bigint, which JSON cannot hold
+  const { chainId } = await ethers.provider.getNetwork();
   const deploymentInfo = {
-    network: await ethers.provider.getNetwork(),
+    network: { name: hardhatNetwork.name, chainId: Number(chainId) },
     deployer: deployer.address,
+    verifierMode: USE_REAL_VERIFIER ? "real" : "mock",
     contracts: {
-      MockVerifier: {
-        address: mockVerifier.address,
-        transactionHash: mockVerifier.deployTransaction.hash
-      },
-      IdentityVerification: {
-        address: identityVerification.address,
-        transactionHash: identityVerification.deployTransaction.hash
-      }
+      [verifierName]: await describeDeployment(verifier),
+      ...(USE_REAL_VERIFIER
+        ? Object.fromEntries(
+            await Promise.all(
+              Object.entries(predicateVerifiers).map(async ([type, contract]) => [
+                PREDICATE_VERIFIERS[type],
+                await describeDeployment(contract),
+              ])
+            )
+          )
+        : {}),
+      IdentityVerification: await describeDeployment(identityVerification),
     },
+    predicates: predicates.map((predicate) => predicate.id),
+    scopes,
+    issuer,
     deploymentTime: new Date().toISOString()
   };
 
-  console.log("\n5. Deployment Summary:");
+  console.log("\n6. Deployment Summary:");
   console.log("=".repeat(50));
   console.log("Network:", deploymentInfo.network.name, `(Chain ID: ${deploymentInfo.network.chainId})`);
   console.log("Deployer:", deploymentInfo.deployer);
-  console.log("MockVerifier:", deploymentInfo.contracts.MockVerifier.address);
-  console.log("IdentityVerification:", deploymentInfo.contracts.IdentityVerification.address);
+  console.log(`${verifierName}:`, verifierAddress);
+  console.log("IdentityVerification:", identityVerificationAddress);
   console.log("Deployment Time:", deploymentInfo.deploymentTime);
   console.log("=".repeat(50));
 
-  // Save to file for frontend use
-  const fs = require('fs');
-  const path = require('path');
-  
-  const deploymentPath = path.join(__dirname, '..', 'src', 'contracts', 'deployment.json');
-  fs.mkdirSync(path.dirname(deploymentPath), { recursive: true });
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  // Save to file for frontend use, replacing any earlier deployment on this chain
+  // but keeping hand-set RPC, explorer, confirmation, relayer and issuer overrides
+  const deployments = readDeployments();
+  const { rpcUrl, explorerUrl, confirmations, relayerUrl, issuerUrl } =
+    deployments[deploymentInfo.network.chainId] || {};
+  deployments[deploymentInfo.network.chainId] = {
+    ...deploymentInfo,
+    ...(rpcUrl && { rpcUrl }),
+    ...(explorerUrl && { explorerUrl }),
+    ...(confirmations && { confirmations }),
+    ...(relayerUrl && { relayerUrl }),
+    ...(issuerUrl && { issuerUrl }),
+  };
+  fs.mkdirSync(path.dirname(DEPLOYMENT_PATH), { recursive: true });
+  fs.writeFileSync(DEPLOYMENT_PATH, JSON.stringify(deployments, null, 2) + "\n");
   
-  console.log("Deployment info saved to:", deploymentPath);
+  console.log("Deployment info saved to:", DEPLOYMENT_PATH);
   console.log("✅ Deployment completed successfully!");
 }
 
@@ -4,7 +4,8 @@ pragma solidity ^0.8.19;
 /**
  * @title Verifier
  * @dev Interface for ZK proof verifier
- * This would typically be generated by your ZK circuit compiler (like Circom with snarkjs)
+ * Implemented by the Groth16 verifiers that scripts/generate-verifier.js emits
+ * into contracts/generated/
  */
 interface Verifier {
     /**
@@ -22,7 +23,7 @@ interface Verifier {
 /**
  * @title MockVerifier
  * @dev Mock implementation of the verifier for testing purposes
- * In production, this would be replaced with the actual verifier generated from your circuit
+ * In production, deploy the verifier generated by scripts/generate-verifier.js instead
  */
 contract MockVerifier is Verifier {
     /**
@@ -46,52 +47,3 @@ contract MockVerifier is Verifier {
         return true;
     }
 }
-
-/**
- * @title Groth16Verifier
- * @dev Example structure of what a real Groth16 verifier might look like
- * This is just for reference - the actual verifier would be generated by circom
- */
-contract Groth16Verifier is Verifier {
-    struct VerifyingKey {
-        uint256[2] alpha;
-        uint256[2][2] beta;
-        uint256[2][2] gamma;
-        uint256[2][2] delta;
-        uint256[2][] gamma_abc;
-    }
-    
-    struct Proof {
-        uint256[2] a;
-        uint256[2] b;
-        uint256[2] c;
-    }
-    
-    VerifyingKey verifyingKey;
-    
-    constructor() {
-        // Initialize verifying key
-        // In a real implementation, these values would be set based on your circuit
-        verifyingKey.alpha = [
-            0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef,
-            0xfedcba0987654321fedcba0987654321fedcba0987654321fedcba0987654321
-        ];
-        // ... other key components would be initialized here
-    }
-    
-    function verifyTx(
-        bytes calldata proof,
-        uint256[] calldata publicInputs
-    ) external view override returns (bool) {
-        // Parse proof from bytes
-        // Verify using pairing operations
-        // This is a simplified version - real implementation would be much more complex
-        
-        require(proof.length >= 192, "Invalid proof length"); // 3 * 64 bytes for G1 points
-        require(publicInputs.length > 0, "No public inputs");
-        
-        // For demo purposes, return true
-        // Real implementation would perform elliptic curve pairing verification
-        return true;
-    }
-}
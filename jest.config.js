@@ -2,6 +2,10 @@ module.exports = {
   preset: 'react-native',
   moduleFileExtensions: ['ts', 'tsx', 'js', 'jsx', 'json', 'node'],
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
+  // React Navigation and Expo ship untranspiled sources and image assets
+  transformIgnorePatterns: [
+    'node_modules/(?!((jest-)?react-native(-.*)?|@react-native(-community)?|@react-navigation|expo(-.*)?|@expo/.*)/)',
+  ],
   testMatch: [
     '**/__tests__/**/*.(ts|tsx|js)',
     '**/*.(test|spec).(ts|tsx|js)'
@@ -10,7 +14,8 @@ module.exports = {
     '<rootDir>/node_modules/',
     '<rootDir>/android/',
     '<rootDir>/ios/',
-    '<rootDir>/test/'
+    '<rootDir>/test/',
+    '<rootDir>/__tests__/fixtures/'
   ],
   collectCoverageFrom: [
     'src/**/*.{ts,tsx}',
@@ -33,6 +33,46 @@ jest.mock('react-native-document-picker', () => ({
   },
 }));
 
+// Mock react-native-fs
+jest.mock('react-native-fs', () => ({
+  MainBundlePath: '/bundle',
+  CachesDirectoryPath: '/caches',
+  readFile: jest.fn(),
+  readFileAssets: jest.fn(),
+  copyFileAssets: jest.fn(() => Promise.resolve()),
+  writeFile: jest.fn(() => Promise.resolve()),
+  unlink: jest.fn(() => Promise.resolve()),
+}));
+
+// Mock ML Kit face detection
+jest.mock('@react-native-ml-kit/face-detection', () => ({
+  __esModule: true,
+  default: {
+    detect: jest.fn(() => Promise.resolve([])),
+  },
+}));
+
+// Mock react-native-fast-tflite, which installs native bindings on import
+jest.mock('react-native-fast-tflite', () => ({
+  loadTensorflowModel: jest.fn(),
+}));
+
+// Mock ML Kit text recognition
+jest.mock('@react-native-ml-kit/text-recognition', () => ({
+  __esModule: true,
+  default: {
+    recognize: jest.fn(() => Promise.resolve({text: '', blocks: []})),
+  },
+}));
+
+// Mock expo-secure-store
+jest.mock('expo-secure-store', () => ({
+  WHEN_UNLOCKED_THIS_DEVICE_ONLY: 5,
+  getItemAsync: jest.fn(() => Promise.resolve(null)),
+  setItemAsync: jest.fn(() => Promise.resolve()),
+  deleteItemAsync: jest.fn(() => Promise.resolve()),
+}));
+
 // Mock AsyncStorage
 jest.mock('@react-native-async-storage/async-storage', () =>
   require('@react-native-async-storage/async-storage/jest/async-storage-mock')
@@ -57,21 +97,6 @@ jest.mock('@react-navigation/native', () => ({
   }),
 }));
 
-// Mock ethers
-jest.mock('ethers', () => ({
-  ethers: {
-    JsonRpcProvider: jest.fn(),
-    Wallet: {
-      createRandom: jest.fn(() => ({
-        connect: jest.fn(),
-        getAddress: jest.fn(() => Promise.resolve('0x123')),
-      })),
-    },
-    Contract: jest.fn(),
-    formatEther: jest.fn(() => '1.0'),
-  },
-}));
-
 // Mock console methods to reduce noise in tests
 global.console = {
   ...console,
@@ -0,0 +1,77 @@
+#!/bin/bash
+
+# Compiles the identity verification and predicate circuits and runs a local
+# Groth16 setup for each. Produces the witness generators (.wasm), proving keys
+# (.zkey) and verification keys that MoproService loads from assets/circuits/,
+# and a matching Solidity verifier for each circuit in contracts/generated/.
+#
+# The powers of tau ceremony here is single-party and only suitable for
+# development. Production keys must come from a multi-party ceremony.
+
+set -e
+
+# Colors for output
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+print_status() {
+    echo -e "${GREEN}[INFO]${NC} $1"
+}
+
+print_warning() {
+    echo -e "${YELLOW}[WARNING]${NC} $1"
+}
+
+# circuit:VerifierContract
+CIRCUITS=(
+    identity_verification:Groth16Verifier
+    predicate_age_over:PredicateAgeOverVerifier
+    predicate_not_expired:PredicateNotExpiredVerifier
+    predicate_nationality_in:PredicateNationalityInVerifier
+)
+CIRCUIT_DIR=circuits
+OUT_DIR=assets/circuits
+BUILD_DIR=$CIRCUIT_DIR/build
+PTAU_POWER=${PTAU_POWER:-14}
+
+mkdir -p "$BUILD_DIR" "$OUT_DIR"
+
+PTAU="$BUILD_DIR/pot${PTAU_POWER}_final.ptau"
+if [ ! -f "$PTAU" ]; then
+    print_warning "Generating a development powers of tau file (2^$PTAU_POWER constraints)..."
+    npx snarkjs powersoftau new bn128 "$PTAU_POWER" "$BUILD_DIR/pot_0000.ptau"
+    npx snarkjs powersoftau contribute "$BUILD_DIR/pot_0000.ptau" "$BUILD_DIR/pot_0001.ptau" \
+        --name="development" -e="$(head -c 32 /dev/urandom | od -An -tx1 | tr -d ' \n')"
+    npx snarkjs powersoftau prepare phase2 "$BUILD_DIR/pot_0001.ptau" "$PTAU"
+fi
+
+for ENTRY in "${CIRCUITS[@]}"; do
+    CIRCUIT=${ENTRY%%:*}
+    VERIFIER=${ENTRY#*:}
+
+    # The identity circuit keeps the key name MoproConfig has always used
+    if [ "$CIRCUIT" = "identity_verification" ]; then
+        VKEY="$OUT_DIR/verification_key.json"
+    else
+        VKEY="$OUT_DIR/${CIRCUIT}_verification_key.json"
+    fi
+
+    print_status "Compiling $CIRCUIT.circom..."
+    npx circom2 "$CIRCUIT_DIR/$CIRCUIT.circom" --r1cs --wasm -l node_modules -o "$BUILD_DIR"
+
+    print_status "Running Groth16 setup for $CIRCUIT..."
+    npx snarkjs groth16 setup "$BUILD_DIR/$CIRCUIT.r1cs" "$PTAU" "$BUILD_DIR/${CIRCUIT}_0000.zkey"
+    npx snarkjs zkey contribute "$BUILD_DIR/${CIRCUIT}_0000.zkey" "$OUT_DIR/$CIRCUIT.zkey" \
+        --name="development" -e="$(head -c 32 /dev/urandom | od -An -tx1 | tr -d ' \n')"
+    npx snarkjs zkey export verificationkey "$OUT_DIR/$CIRCUIT.zkey" "$VKEY"
+
+    cp "$BUILD_DIR/$CIRCUIT.r1cs" "$OUT_DIR/$CIRCUIT.r1cs"
+    cp "$BUILD_DIR/${CIRCUIT}_js/$CIRCUIT.wasm" "$OUT_DIR/$CIRCUIT.wasm"
+
+    print_status "Generating $VERIFIER..."
+    node scripts/generate-verifier.js "$VKEY" "$VERIFIER"
+done
+
+print_status "Circuit artifacts written to $OUT_DIR ✓"
+print_status "Verifier contracts written to contracts/generated ✓"
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+// Generates a Solidity Groth16 verifier from a snarkjs verification key.
+//
+// Usage: node scripts/generate-verifier.js <verification_key.json> <ContractName> [output.sol]
+//
+// The contract implements the Verifier interface in contracts/verifier.sol and
+// accepts proofs in the 256-byte layout produced by encodeProof in
+// src/utils/groth16.ts: abi.encode(uint256[2] a, uint256[2][2] b, uint256[2] c)
+// with B's coefficients already in EIP-197 order.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Render a G1 point from a snarkjs key as Solidity arguments
+ * @param point - [x, y, z] decimal strings
+ * @returns string - "x, y"
+ */
+function g1(point) {
+  return `${point[0]}, ${point[1]}`;
+}
+
+/**
+ * Render a G2 point from a snarkjs key in EIP-197 order (imaginary part first)
+ * @param point - [[x_re, x_im], [y_re, y_im], [1, 0]] decimal strings
+ * @returns string[] - [x_im, x_re, y_im, y_re]
+ */
+function g2(point) {
+  return [point[0][1], point[0][0], point[1][1], point[1][0]];
+}
+
+/**
+ * Build the verifier source
+ * @param vk - Parsed verification key
+ * @param contractName - Name of the generated contract
+ * @param source - Path of the key, recorded in the header
+ * @returns string - Solidity source
+ */
+function renderVerifier(vk, contractName, source) {
+  if (vk.protocol !== "groth16" || vk.curve !== "bn128") {
+    throw new Error(`Unsupported verification key: ${vk.protocol}/${vk.curve}`);
+  }
+  if (!Array.isArray(vk.IC) || vk.IC.length !== vk.nPublic + 1) {
+    throw new Error("Verification key IC does not match nPublic");
+  }
+
+  const [betaX1, betaX2, betaY1, betaY2] = g2(vk.vk_beta_2);
+  const [gammaX1, gammaX2, gammaY1, gammaY2] = g2(vk.vk_gamma_2);
+  const [deltaX1, deltaX2, deltaY1, deltaY2] = g2(vk.vk_delta_2);
+
+  const accumulate = vk.IC.slice(1)
+    .map((point, i) => `        vkX = _add(vkX, _mul(G1Point(${g1(point)}), publicInputs[${i}]));`)
+    .join("\n");
+
+  return `// SPDX-License-Identifier: MIT
+// Generated by scripts/generate-verifier.js from ${source}. Do not edit.
+pragma solidity ^0.8.19;
+
+import "../verifier.sol";
+
+/**
+ * @title ${contractName}
+ * @dev Groth16 verifier over BN254 using the EIP-196/197 precompiles
+ */
+contract ${contractName} is Verifier {
+    struct G1Point {
+        uint256 x;
+        uint256 y;
+    }
+
+    // Scalar field order r; public inputs must be below it
+    uint256 internal constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    // Base field order q
+    uint256 internal constant PRIME_Q =
+        21888242871839275222246405745257275088696311157297823662689037894645226208583;
+
+    uint256 public constant PUBLIC_INPUT_COUNT = ${vk.nPublic};
+
+    uint256 internal constant ALPHA_X = ${vk.vk_alpha_1[0]};
+    uint256 internal constant ALPHA_Y = ${vk.vk_alpha_1[1]};
+
+    uint256 internal constant BETA_X1 = ${betaX1};
+    uint256 internal constant BETA_X2 = ${betaX2};
+    uint256 internal constant BETA_Y1 = ${betaY1};
+    uint256 internal constant BETA_Y2 = ${betaY2};
+
+    uint256 internal constant GAMMA_X1 = ${gammaX1};
+    uint256 internal constant GAMMA_X2 = ${gammaX2};
+    uint256 internal constant GAMMA_Y1 = ${gammaY1};
+    uint256 internal constant GAMMA_Y2 = ${gammaY2};
+
+    uint256 internal constant DELTA_X1 = ${deltaX1};
+    uint256 internal constant DELTA_X2 = ${deltaX2};
+    uint256 internal constant DELTA_Y1 = ${deltaY1};
+    uint256 internal constant DELTA_Y2 = ${deltaY2};
+
+    /**
+     * @dev Verify a Groth16 proof
+     * @param proof abi.encode(uint256[2] a, uint256[2][2] b, uint256[2] c)
+     * @param publicInputs Public signals in circuit order
+     * @return bool Whether the proof is valid
+     */
+    function verifyTx(
+        bytes calldata proof,
+        uint256[] calldata publicInputs
+    ) external view override returns (bool) {
+        require(proof.length == 256, "Invalid proof length");
+        require(publicInputs.length == PUBLIC_INPUT_COUNT, "Invalid public inputs length");
+
+        for (uint256 i = 0; i < publicInputs.length; i++) {
+            require(publicInputs[i] < SNARK_SCALAR_FIELD, "Public input not in field");
+        }
+
+        (uint256[2] memory a, uint256[2][2] memory b, uint256[2] memory c) =
+            abi.decode(proof, (uint256[2], uint256[2][2], uint256[2]));
+
+        G1Point memory vkX = _linearCombination(publicInputs);
+
+        // e(-A, B) * e(alpha, beta) * e(vk_x, gamma) * e(C, delta) == 1
+        uint256[24] memory input;
+        input[0] = a[0];
+        input[1] = a[1] == 0 ? 0 : PRIME_Q - (a[1] % PRIME_Q);
+        input[2] = b[0][0];
+        input[3] = b[0][1];
+        input[4] = b[1][0];
+        input[5] = b[1][1];
+        input[6] = ALPHA_X;
+        input[7] = ALPHA_Y;
+        input[8] = BETA_X1;
+        input[9] = BETA_X2;
+        input[10] = BETA_Y1;
+        input[11] = BETA_Y2;
+        input[12] = vkX.x;
+        input[13] = vkX.y;
+        input[14] = GAMMA_X1;
+        input[15] = GAMMA_X2;
+        input[16] = GAMMA_Y1;
+        input[17] = GAMMA_Y2;
+        input[18] = c[0];
+        input[19] = c[1];
+        input[20] = DELTA_X1;
+        input[21] = DELTA_X2;
+        input[22] = DELTA_Y1;
+        input[23] = DELTA_Y2;
+
+        (bool success, bytes memory result) = address(8).staticcall(abi.encode(input));
+        return success && result.length == 32 && abi.decode(result, (uint256)) == 1;
+    }
+
+    /**
+     * @dev Compute vk_x = IC[0] + sum(publicInputs[i] * IC[i + 1])
+     */
+    function _linearCombination(
+        uint256[] calldata publicInputs
+    ) internal view returns (G1Point memory vkX) {
+        vkX = G1Point(${g1(vk.IC[0])});
+${accumulate}
+    }
+
+    /**
+     * @dev Add two G1 points with the ECADD precompile
+     */
+    function _add(G1Point memory p, G1Point memory q) internal view returns (G1Point memory) {
+        (bool success, bytes memory result) = address(6).staticcall(
+            abi.encode(p.x, p.y, q.x, q.y)
+        );
+        require(success, "Point addition failed");
+        (uint256 x, uint256 y) = abi.decode(result, (uint256, uint256));
+        return G1Point(x, y);
+    }
+
+    /**
+     * @dev Multiply a G1 point by a scalar with the ECMUL precompile
+     */
+    function _mul(G1Point memory p, uint256 s) internal view returns (G1Point memory) {
+        (bool success, bytes memory result) = address(7).staticcall(abi.encode(p.x, p.y, s));
+        require(success, "Scalar multiplication failed");
+        (uint256 x, uint256 y) = abi.decode(result, (uint256, uint256));
+        return G1Point(x, y);
+    }
+}
+`;
+}
+
+function main() {
+  const [vkPath, contractName, outputArg] = process.argv.slice(2);
+  if (!vkPath || !contractName) {
+    console.error("Usage: node scripts/generate-verifier.js <verification_key.json> <ContractName> [output.sol]");
+    process.exit(1);
+  }
+  if (!/^[A-Z][A-Za-z0-9_]*$/.test(contractName)) {
+    console.error(`Invalid contract name: ${contractName}`);
+    process.exit(1);
+  }
+
+  const root = path.join(__dirname, "..");
+  const outputPath = outputArg || path.join(root, "contracts", "generated", `${contractName}.sol`);
+  const vk = JSON.parse(fs.readFileSync(vkPath, "utf8"));
+  const source = path.relative(root, path.resolve(vkPath));
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, renderVerifier(vk, contractName, source));
+  console.log(`${contractName} written to ${path.relative(root, outputPath)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderVerifier };
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, {useState} from 'react';
 import {NavigationContainer} from '@react-navigation/native';
 import {createStackNavigator} from '@react-navigation/stack';
 import {StatusBar, StyleSheet} from 'react-native';
@@ -8,55 +8,91 @@ import {RootStackParamList} from '@types/index';
 import HomeScreen from '@screens/HomeScreen';
 import FaceVerificationScreen from '@screens/FaceVerificationScreen';
 import IDVerificationScreen from '@screens/IDVerificationScreen';
+import WalletSelectionScreen from '@screens/WalletSelectionScreen';
 import ProofGenerationScreen from '@screens/ProofGenerationScreen';
 import VerificationCompleteScreen from '@screens/VerificationCompleteScreen';
+import CredentialHistoryScreen from '@screens/CredentialHistoryScreen';
+import PresentCredentialScreen from '@screens/PresentCredentialScreen';
+import {ServicesProvider} from '@components/ServicesProvider';
+import {ServiceContainer, createServiceContainer} from '@services/ServiceContainer';
+import {createSimulatedServices} from '@/simulation';
 
 const Stack = createStackNavigator<RootStackParamList>();
 
-const App: React.FC = () => {
+interface Props {
+  // Services for the screens; EXPO_PUBLIC_SIMULATION=true selects the simulated ones
+  services?: ServiceContainer;
+}
+
+const App: React.FC<Props> = ({services}) => {
+  const [container] = useState(
+    () =>
+      services ??
+      (process.env.EXPO_PUBLIC_SIMULATION === 'true'
+        ? createSimulatedServices()
+        : createServiceContainer())
+  );
+
   return (
-    <SafeAreaProvider>
-      <StatusBar barStyle="dark-content" backgroundColor="#ffffff" />
-      <NavigationContainer>
-        <Stack.Navigator
-          initialRouteName="Home"
-          screenOptions={{
-            headerStyle: {
-              backgroundColor: '#6366f1',
-            },
-            headerTintColor: '#ffffff',
-            headerTitleStyle: {
-              fontWeight: 'bold',
-            },
-          }}>
-          <Stack.Screen
-            name="Home"
-            component={HomeScreen}
-            options={{title: 'ZK Identity Verification'}}
-          />
-          <Stack.Screen
-            name="FaceVerification"
-            component={FaceVerificationScreen}
-            options={{title: 'Face Verification'}}
-          />
-          <Stack.Screen
-            name="IDVerification"
-            component={IDVerificationScreen}
-            options={{title: 'ID Verification'}}
-          />
-          <Stack.Screen
-            name="ProofGeneration"
-            component={ProofGenerationScreen}
-            options={{title: 'Generating Proof'}}
-          />
-          <Stack.Screen
-            name="VerificationComplete"
-            component={VerificationCompleteScreen}
-            options={{title: 'Verification Complete'}}
-          />
-        </Stack.Navigator>
-      </NavigationContainer>
-    </SafeAreaProvider>
+    <ServicesProvider services={container}>
+      <SafeAreaProvider>
+        <StatusBar barStyle="dark-content" backgroundColor="#ffffff" />
+        <NavigationContainer>
+          <Stack.Navigator
+            initialRouteName="Home"
+            screenOptions={{
+              headerStyle: {
+                backgroundColor: '#6366f1',
+              },
+              headerTintColor: '#ffffff',
+              headerTitleStyle: {
+                fontWeight: 'bold',
+              },
+            }}>
+            <Stack.Screen
+              name="Home"
+              component={HomeScreen}
+              options={{title: 'ZK Identity Verification'}}
+            />
+            <Stack.Screen
+              name="FaceVerification"
+              component={FaceVerificationScreen}
+              options={{title: 'Face Verification'}}
+            />
+            <Stack.Screen
+              name="IDVerification"
+              component={IDVerificationScreen}
+              options={{title: 'ID Verification'}}
+            />
+            <Stack.Screen
+              name="SelectWallet"
+              component={WalletSelectionScreen}
+              options={{title: 'Choose Wallet'}}
+            />
+            <Stack.Screen
+              name="ProofGeneration"
+              component={ProofGenerationScreen}
+              options={{title: 'Generating Proof'}}
+            />
+            <Stack.Screen
+              name="VerificationComplete"
+              component={VerificationCompleteScreen}
+              options={{title: 'Verification Complete'}}
+            />
+            <Stack.Screen
+              name="CredentialHistory"
+              component={CredentialHistoryScreen}
+              options={{title: 'My Credentials'}}
+            />
+            <Stack.Screen
+              name="PresentCredential"
+              component={PresentCredentialScreen}
+              options={{title: 'Present Credential'}}
+            />
+          </Stack.Navigator>
+        </NavigationContainer>
+      </SafeAreaProvider>
+    </ServicesProvider>
   );
 };
 
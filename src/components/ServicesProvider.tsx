@@ -0,0 +1,28 @@
+import React, {createContext, useContext} from 'react';
+import {ServiceContainer} from '@services/ServiceContainer';
+
+const ServicesContext = createContext<ServiceContainer | null>(null);
+
+interface ServicesProviderProps {
+  services: ServiceContainer;
+  children: React.ReactNode;
+}
+
+/**
+ * Make a service container available to the screens below
+ */
+export const ServicesProvider: React.FC<ServicesProviderProps> = ({services, children}) => (
+  <ServicesContext.Provider value={services}>{children}</ServicesContext.Provider>
+);
+
+/**
+ * Get the app's services
+ * @returns ServiceContainer - Services of the nearest ServicesProvider
+ */
+export function useServices(): ServiceContainer {
+  const services = useContext(ServicesContext);
+  if (!services) {
+    throw new Error('useServices must be used inside a ServicesProvider');
+  }
+  return services;
+}
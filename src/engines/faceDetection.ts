@@ -0,0 +1,190 @@
+import FaceDetection, {Face, Frame} from '@react-native-ml-kit/face-detection';
+import {Platform} from 'react-native';
+import RNFS from 'react-native-fs';
+import {TensorflowModel, loadTensorflowModel} from 'react-native-fast-tflite';
+import {FaceDetector, RgbaImage} from '@types/index';
+import {FACE_DESCRIPTOR_LENGTH} from '@utils/faceMatch';
+import {loadRgbaImage} from './imageLoader';
+
+export const NO_FACE_FOUND = 'No face found in image';
+
+/**
+ * Bundled face embedding model, resolved like the circuit artifacts
+ */
+export const FACE_EMBEDDING_MODEL_PATH = 'assets/models/face_embedding.tflite';
+
+/**
+ * Width and height of the face crop the embedding model takes
+ */
+export const FACE_INPUT_SIZE = 112;
+
+// Margin kept around ML Kit's face box on each side, as a fraction of its size
+const FACE_CROP_MARGIN = 0.1;
+
+/**
+ * Turns a FACE_INPUT_SIZE square face crop into a face descriptor
+ */
+export type FaceEmbedder = (face: RgbaImage) => Promise<number[]>;
+
+/**
+ * Face detector backed by ML Kit, with descriptors from an embedding model
+ * ML Kit finds the face and classifies eyes and smile; the largest face in
+ * the photo is taken to be the subject. It reports no detection score, and
+ * only returns faces it accepted, so a detected face has confidence 1.
+ * @param embed - Model computing the descriptor of a face crop
+ * @returns FaceDetector - Detector for selfies, portraits and liveness frames
+ */
+export function createMlKitFaceDetector(embed: FaceEmbedder): FaceDetector {
+  return {
+    detect: async imageUri => {
+      const face = largestFace(await FaceDetection.detect(imageUri, {performanceMode: 'accurate'}));
+      const photo = await loadRgbaImage(imageUri);
+      const {left, top, width, height} = face.frame;
+
+      return {
+        faceDescriptor: await embed(cropFace(photo, face.frame)),
+        confidence: 1,
+        boundingBox: {x: left, y: top, width, height},
+      };
+    },
+    // Missing classifications read as open eyes and no smile, so they never
+    // pass a blink or smile challenge. ML Kit's Euler Y is positive when the
+    // subject turns to their left, as yawAngle is.
+    detectLandmarks: async imageUri => {
+      const face = largestFace(await FaceDetection.detect(imageUri, {classificationMode: 'all'}));
+      return {
+        leftEyeOpenProbability: face.leftEyeOpenProbability ?? 1,
+        rightEyeOpenProbability: face.rightEyeOpenProbability ?? 1,
+        smilingProbability: face.smilingProbability ?? 0,
+        yawAngle: face.rotationY,
+      };
+    },
+  };
+}
+
+/**
+ * Face embedder running a TensorFlow Lite model on device
+ * The model takes a FACE_INPUT_SIZE square RGB crop scaled to [-1, 1], as
+ * MobileFaceNet does, and outputs FACE_DESCRIPTOR_LENGTH values. It is loaded
+ * on first use. Descriptors are scaled to unit length, which keeps every
+ * value inside the fixed-point range they are committed in.
+ * @param modelPath - Model file: absolute path, or path inside the app bundle
+ * @returns FaceEmbedder - Embedder sharing one loaded model
+ */
+export function createTfliteFaceEmbedder(
+  modelPath: string = FACE_EMBEDDING_MODEL_PATH
+): FaceEmbedder {
+  let model: Promise<TensorflowModel> | null = null;
+
+  return async face => {
+    if (face.width !== FACE_INPUT_SIZE || face.height !== FACE_INPUT_SIZE) {
+      throw new Error(`Face crop must be ${FACE_INPUT_SIZE}x${FACE_INPUT_SIZE} pixels`);
+    }
+    if (!model) {
+      model = resolveModelUrl(modelPath).then(url => loadTensorflowModel({url}));
+      // Let the next face retry a model that failed to load
+      model.catch(() => {
+        model = null;
+      });
+    }
+
+    const input = new Float32Array(FACE_INPUT_SIZE * FACE_INPUT_SIZE * 3);
+    for (let i = 0; i < FACE_INPUT_SIZE * FACE_INPUT_SIZE; i++) {
+      for (let channel = 0; channel < 3; channel++) {
+        input[i * 3 + channel] = (face.data[i * 4 + channel] - 127.5) / 128;
+      }
+    }
+
+    const [output] = await (await model).run([input]);
+    if (output.length !== FACE_DESCRIPTOR_LENGTH) {
+      throw new Error(`Face model must output ${FACE_DESCRIPTOR_LENGTH} values`);
+    }
+
+    const values = Array.from(output as Float32Array);
+    const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+    if (!Number.isFinite(norm) || norm === 0) {
+      throw new Error('Face model returned an empty descriptor');
+    }
+    return values.map(value => value / norm);
+  };
+}
+
+/**
+ * Cut the square around a face out of a photo, scaled to FACE_INPUT_SIZE
+ * Each output pixel averages the photo pixels it covers; the square is
+ * clamped to the photo's edges.
+ * @param photo - Decoded photo
+ * @param frame - Face box found by ML Kit
+ * @returns RgbaImage - FACE_INPUT_SIZE square crop
+ */
+export function cropFace(photo: RgbaImage, frame: Frame): RgbaImage {
+  const side = Math.max(frame.width, frame.height) * (1 + 2 * FACE_CROP_MARGIN);
+  const left = frame.left + frame.width / 2 - side / 2;
+  const top = frame.top + frame.height / 2 - side / 2;
+  const cell = side / FACE_INPUT_SIZE;
+  const clamp = (value: number, max: number) => Math.min(max - 1, Math.max(0, value));
+
+  const crop = {
+    width: FACE_INPUT_SIZE,
+    height: FACE_INPUT_SIZE,
+    data: new Uint8Array(FACE_INPUT_SIZE * FACE_INPUT_SIZE * 4),
+  };
+  for (let y = 0; y < FACE_INPUT_SIZE; y++) {
+    const y0 = clamp(Math.floor(top + y * cell), photo.height);
+    const y1 = Math.max(y0 + 1, clamp(Math.ceil(top + (y + 1) * cell), photo.height + 1));
+    for (let x = 0; x < FACE_INPUT_SIZE; x++) {
+      const x0 = clamp(Math.floor(left + x * cell), photo.width);
+      const x1 = Math.max(x0 + 1, clamp(Math.ceil(left + (x + 1) * cell), photo.width + 1));
+
+      const sums = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          for (let channel = 0; channel < 4; channel++) {
+            sums[channel] += photo.data[(sy * photo.width + sx) * 4 + channel];
+          }
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      for (let channel = 0; channel < 4; channel++) {
+        crop.data[(y * FACE_INPUT_SIZE + x) * 4 + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+  return crop;
+}
+
+/**
+ * Pick the subject of a photo
+ * @param faces - Faces ML Kit found
+ * @returns Face - Largest face
+ */
+function largestFace(faces: Face[]): Face {
+  if (faces.length === 0) {
+    throw new Error(NO_FACE_FOUND);
+  }
+  return faces.reduce((largest, face) =>
+    face.frame.width * face.frame.height > largest.frame.width * largest.frame.height
+      ? face
+      : largest
+  );
+}
+
+/**
+ * Resolve a model path to the file:// URL TensorFlow Lite loads
+ * Android assets live inside the APK, so the model is copied out first.
+ * @param path - Absolute path, or path inside the app bundle
+ * @returns Promise<string> - URL of the model file
+ */
+async function resolveModelUrl(path: string): Promise<string> {
+  if (path.startsWith('/')) {
+    return `file://${path}`;
+  }
+
+  if (Platform.OS === 'android') {
+    const target = `${RNFS.CachesDirectoryPath}/${path.split('/').pop()}`;
+    await RNFS.copyFileAssets(path.replace(/^assets\//, ''), target);
+    return `file://${target}`;
+  }
+
+  return `file://${RNFS.MainBundlePath}/${path}`;
+}
@@ -0,0 +1,87 @@
+import {ethers} from 'ethers';
+import {decode} from 'jpeg-js';
+import RNFS from 'react-native-fs';
+import {GrayImage, RgbaImage} from '@types/index';
+import {toGrayscale} from '@utils/documentImage';
+
+export const UNSUPPORTED_IMAGE_FORMAT = 'Only JPEG photos can be read';
+
+// Camera photos are far below this; it bounds the memory a crafted file can claim
+const MAX_RESOLUTION_MP = 50;
+
+/**
+ * Read a JPEG photo into RGBA pixels
+ * The pixels are stored as encoded: EXIF orientation is not applied, so the
+ * camera must write photos upright (expo-camera does unless skipProcessing is set).
+ * @param imageUri - file:// URI or path of the photo
+ * @returns Promise<RgbaImage> - Decoded photo
+ */
+export async function loadRgbaImage(imageUri: string): Promise<RgbaImage> {
+  const contents = await RNFS.readFile(toFilePath(imageUri), 'base64');
+  const bytes = ethers.decodeBase64(contents);
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw new Error(UNSUPPORTED_IMAGE_FORMAT);
+  }
+
+  const {width, height, data} = decode(bytes, {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxResolutionInMP: MAX_RESOLUTION_MP,
+  });
+  return {width, height, data};
+}
+
+/**
+ * Read a JPEG photo into luminance, as IDVerificationService expects
+ * @param imageUri - file:// URI or path of the photo
+ * @returns Promise<GrayImage> - Decoded photo
+ */
+export async function loadGrayImage(imageUri: string): Promise<GrayImage> {
+  const {width, height, data} = await loadRgbaImage(imageUri);
+  return toGrayscale(data, width, height);
+}
+
+/**
+ * Encode an image as an uncompressed 24-bit BMP
+ * ML Kit reads images from files, and every platform image decoder reads
+ * BMP, so document crops are handed to it in this format.
+ * @param image - Image to encode
+ * @returns Uint8Array - BMP file contents
+ */
+export function encodeBmp(image: GrayImage): Uint8Array {
+  const rowSize = Math.ceil((image.width * 3) / 4) * 4;
+  const headerSize = 54;
+  const file = new Uint8Array(headerSize + rowSize * image.height);
+  const view = new DataView(file.buffer);
+
+  file[0] = 0x42; // 'B'
+  file[1] = 0x4d; // 'M'
+  view.setUint32(2, file.length, true);
+  view.setUint32(10, headerSize, true);
+  view.setUint32(14, 40, true); // BITMAPINFOHEADER
+  view.setInt32(18, image.width, true);
+  view.setInt32(22, image.height, true); // Positive: rows run bottom-up
+  view.setUint16(26, 1, true); // Planes
+  view.setUint16(28, 24, true); // Bits per pixel
+  view.setUint32(34, rowSize * image.height, true);
+
+  for (let y = 0; y < image.height; y++) {
+    const row = headerSize + (image.height - 1 - y) * rowSize;
+    for (let x = 0; x < image.width; x++) {
+      const value = image.data[y * image.width + x];
+      file[row + x * 3] = value;
+      file[row + x * 3 + 1] = value;
+      file[row + x * 3 + 2] = value;
+    }
+  }
+  return file;
+}
+
+/**
+ * Strip the file:// scheme react-native-fs does not take
+ * @param imageUri - URI or path
+ * @returns string - Filesystem path
+ */
+export function toFilePath(imageUri: string): string {
+  return imageUri.startsWith('file://') ? decodeURI(imageUri.slice('file://'.length)) : imageUri;
+}
@@ -0,0 +1,11 @@
+export {
+  FACE_EMBEDDING_MODEL_PATH,
+  FACE_INPUT_SIZE,
+  NO_FACE_FOUND,
+  createMlKitFaceDetector,
+  createTfliteFaceEmbedder,
+  cropFace,
+} from './faceDetection';
+export type {FaceEmbedder} from './faceDetection';
+export {UNSUPPORTED_IMAGE_FORMAT, encodeBmp, loadGrayImage, loadRgbaImage} from './imageLoader';
+export {createMlKitOcrEngine} from './textRecognition';
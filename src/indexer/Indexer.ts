@@ -0,0 +1,197 @@
+import {ethers} from 'ethers';
+import {
+  IndexedBlock,
+  IndexerStore,
+  ProofSubmittedRecord,
+  StatusChangedRecord,
+} from './IndexerStore';
+
+export const INDEXER_ABI = [
+  'event ProofSubmitted(address indexed user, bytes32 indexed proofHash, uint256 timestamp, uint256 expiresAt)',
+  'event VerificationStatusChanged(address indexed user, bool verified, uint256 timestamp)',
+];
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL = 5000;
+
+export interface IndexerConfig {
+  provider: ethers.Provider;
+  contract: string; // IdentityVerification address
+  store: IndexerStore;
+  startBlock?: number; // Block the contract was deployed in
+  confirmations?: number; // Blocks to stay behind the head; reorgs above are undone
+  batchSize?: number; // Most blocks per eth_getLogs request
+}
+
+/**
+ * Follows IdentityVerification's ProofSubmitted and VerificationStatusChanged
+ * events into an IndexerStore
+ * Before reading new blocks it checks that the blocks it indexed are still on
+ * the chain; if a reorg replaced them, their events are dropped and the new
+ * blocks are indexed in their place.
+ */
+export class Indexer {
+  private config: Required<IndexerConfig>;
+  private contractInterface = new ethers.Interface(INDEXER_ABI);
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private bound = false;
+
+  constructor(config: IndexerConfig) {
+    this.config = {
+      startBlock: 0,
+      confirmations: 0,
+      batchSize: DEFAULT_BATCH_SIZE,
+      ...config,
+      contract: ethers.getAddress(config.contract),
+    };
+  }
+
+  /**
+   * Index everything up to the confirmed head
+   * @returns Promise<number> - Number of events indexed
+   */
+  async sync(): Promise<number> {
+    const {provider, store, batchSize, confirmations, startBlock} = this.config;
+    if (!this.bound) {
+      const {chainId} = await provider.getNetwork();
+      store.bind(Number(chainId), this.config.contract);
+      this.bound = true;
+    }
+
+    await this.undoReorg();
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let indexed = 0;
+    for (
+      let from = (store.getCursor()?.number ?? startBlock - 1) + 1;
+      from <= head;
+      from += batchSize
+    ) {
+      indexed += await this.indexRange(from, Math.min(head, from + batchSize - 1));
+    }
+    return indexed;
+  }
+
+  /**
+   * Keep the index up to date until stop() is called
+   * @param interval - Milliseconds between polls
+   */
+  start(interval: number = DEFAULT_POLL_INTERVAL): void {
+    const poll = async () => {
+      try {
+        const indexed = await this.sync();
+        if (indexed > 0) {
+          const cursor = this.config.store.getCursor();
+          console.log(`Indexed ${indexed} events up to block ${cursor?.number}`);
+        }
+      } catch (error) {
+        console.error('Indexer sync failed:', error);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(poll, interval);
+      }
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Drop indexed blocks that are no longer on the chain
+   * Walks back from the newest indexed block to the newest one the chain still
+   * has; a block whose hash matches vouches for all blocks before it.
+   */
+  private async undoReorg(): Promise<void> {
+    const {provider, store, startBlock} = this.config;
+    const blocks = store.getRecentBlocks();
+    if (blocks.length === 0) {
+      return;
+    }
+
+    for (const block of blocks) {
+      const current = await provider.getBlock(block.number);
+      if (current?.hash === block.hash) {
+        if (block !== blocks[0]) {
+          console.warn(`Chain reorganised after block ${block.number}, re-indexing`);
+          store.rollback(block.number);
+        }
+        return;
+      }
+    }
+
+    // The reorg goes deeper than the block hashes kept; start over
+    console.warn('Chain reorganised beyond the indexed history, re-indexing from the start');
+    store.rollback(startBlock - 1);
+  }
+
+  /**
+   * Read and store the events of a range of blocks
+   * @param from - First block
+   * @param to - Last block
+   * @returns Promise<number> - Number of events stored
+   */
+  private async indexRange(from: number, to: number): Promise<number> {
+    const {provider, store} = this.config;
+    const logs = await provider.getLogs({
+      address: this.config.contract,
+      fromBlock: from,
+      toBlock: to,
+      topics: [
+        [
+          this.contractInterface.getEvent('ProofSubmitted')!.topicHash,
+          this.contractInterface.getEvent('VerificationStatusChanged')!.topicHash,
+        ],
+      ],
+    });
+
+    const blocks = new Map<number, IndexedBlock>();
+    const proofs: ProofSubmittedRecord[] = [];
+    const statusChanges: StatusChangedRecord[] = [];
+    for (const log of logs) {
+      blocks.set(log.blockNumber, {number: log.blockNumber, hash: log.blockHash});
+      const event = this.contractInterface.parseLog(log)!;
+      const base = {
+        address: event.args.user as string,
+        timestamp: Number(event.args.timestamp),
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+      };
+
+      if (event.name === 'ProofSubmitted') {
+        // Expiry depends on the proof and the contract's TTL at the time; the
+        // event carries it, so no historical state (archive node) is needed
+        proofs.push({
+          ...base,
+          proofHash: event.args.proofHash,
+          expiresAt: Number(event.args.expiresAt),
+        });
+      } else {
+        statusChanges.push({...base, verified: event.args.verified});
+      }
+    }
+
+    // Read after the logs, so logs from a block replaced in the meantime are
+    // caught below rather than stored as if they were still on the chain
+    const last = await provider.getBlock(to);
+    if (!last?.hash) {
+      throw new Error(`Block ${to} is not available`);
+    }
+    for (const block of blocks.values()) {
+      const hash =
+        block.number === to ? last.hash : (await provider.getBlock(block.number))?.hash;
+      if (hash !== block.hash) {
+        throw new Error(`Chain reorganised at block ${block.number} while indexing`);
+      }
+    }
+    blocks.set(to, {number: to, hash: last.hash});
+
+    store.save({blocks: [...blocks.values()], proofs, statusChanges});
+    return logs.length;
+  }
+}
@@ -0,0 +1,383 @@
+import Database from 'better-sqlite3';
+import {
+  IndexedProof,
+  IndexedRevocation,
+  IndexedVerificationStatus,
+  IndexerStats,
+} from '@types/index';
+
+// Block the index has read, kept to notice when the chain reorganises under it
+export interface IndexedBlock {
+  number: number;
+  hash: string;
+}
+
+export interface ProofSubmittedRecord {
+  proofHash: string;
+  address: string;
+  timestamp: number;
+  expiresAt: number;
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+}
+
+export interface StatusChangedRecord {
+  address: string;
+  verified: boolean;
+  timestamp: number;
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+}
+
+// Events read from one range of blocks, stored together or not at all
+export interface IndexedBatch {
+  blocks: IndexedBlock[];
+  proofs: ProofSubmittedRecord[];
+  statusChanges: StatusChangedRecord[];
+}
+
+// Block hashes kept for reorg detection; older ones are pruned
+const DEFAULT_BLOCK_HISTORY = 128;
+
+// Events are stored as emitted. Current state is derived in the views, so
+// undoing a reorganised range only means deleting its rows.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS proofs (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    proof_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS proofs_by_hash ON proofs (proof_hash);
+  CREATE INDEX IF NOT EXISTS proofs_by_address ON proofs (address);
+  CREATE TABLE IF NOT EXISTS status_changes (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    verified INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS status_changes_by_address ON status_changes (address);
+  CREATE VIEW IF NOT EXISTS latest_proofs AS
+    SELECT * FROM (
+      SELECT *, ROW_NUMBER() OVER (
+        PARTITION BY address ORDER BY block_number DESC, log_index DESC
+      ) AS position
+      FROM proofs
+    ) WHERE position = 1;
+  CREATE VIEW IF NOT EXISTS latest_status AS
+    SELECT * FROM (
+      SELECT *, ROW_NUMBER() OVER (
+        PARTITION BY address ORDER BY block_number DESC, log_index DESC
+      ) AS position
+      FROM status_changes
+    ) WHERE position = 1;
+`;
+
+/**
+ * SQLite database of IdentityVerification's ProofSubmitted and
+ * VerificationStatusChanged events
+ * Written by the Indexer and read by the indexer's HTTP API.
+ */
+export class IndexerStore {
+  private db: Database.Database;
+  private blockHistory: number;
+
+  /**
+   * @param filename - Database file, or ':memory:'
+   * @param blockHistory - How many indexed block hashes to keep for reorg detection
+   */
+  constructor(filename: string, blockHistory: number = DEFAULT_BLOCK_HISTORY) {
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.blockHistory = blockHistory;
+  }
+
+  /**
+   * Tie the database to one deployment, so it is never mixed with another's events
+   * @param chainId - Chain the contract is on
+   * @param contract - IdentityVerification address
+   */
+  bind(chainId: number, contract: string): void {
+    const bound = this.getDeployment();
+    if (!bound.chainId) {
+      const insert = this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+      this.db.transaction(() => {
+        insert.run('chainId', String(chainId));
+        insert.run('contract', contract);
+      })();
+      return;
+    }
+    if (bound.chainId !== chainId || bound.contract !== contract) {
+      throw new Error(
+        `Database indexes ${bound.contract} on chain ${bound.chainId}, ` +
+          `not ${contract} on chain ${chainId}`
+      );
+    }
+  }
+
+  /**
+   * Get the last block indexed
+   * @returns IndexedBlock | null - Block, or null if nothing is indexed yet
+   */
+  getCursor(): IndexedBlock | null {
+    return (
+      (this.db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1').get() as
+        | IndexedBlock
+        | undefined) ?? null
+    );
+  }
+
+  /**
+   * Get the indexed blocks whose hashes are still known, newest first
+   * @returns IndexedBlock[] - Blocks
+   */
+  getRecentBlocks(): IndexedBlock[] {
+    return this.db
+      .prepare('SELECT number, hash FROM blocks ORDER BY number DESC')
+      .all() as IndexedBlock[];
+  }
+
+  /**
+   * Store the events of a range of blocks
+   * @param batch - Events and the hashes of the blocks they were read from,
+   * including the last block of the range
+   */
+  save(batch: IndexedBatch): void {
+    const insertBlock = this.db.prepare(
+      'INSERT OR REPLACE INTO blocks (number, hash) VALUES (@number, @hash)'
+    );
+    const insertProof = this.db.prepare(`
+      INSERT OR REPLACE INTO proofs
+        (block_number, log_index, proof_hash, address, timestamp, expires_at, transaction_hash)
+      VALUES
+        (@blockNumber, @logIndex, @proofHash, @address, @timestamp, @expiresAt, @transactionHash)
+    `);
+    const insertStatus = this.db.prepare(`
+      INSERT OR REPLACE INTO status_changes
+        (block_number, log_index, address, verified, timestamp, transaction_hash)
+      VALUES
+        (@blockNumber, @logIndex, @address, @verified, @timestamp, @transactionHash)
+    `);
+    const prune = this.db.prepare(`
+      DELETE FROM blocks WHERE number NOT IN (
+        SELECT number FROM blocks ORDER BY number DESC LIMIT ?
+      )
+    `);
+
+    this.db.transaction(() => {
+      batch.blocks.forEach(block => insertBlock.run(block));
+      batch.proofs.forEach(proof => insertProof.run(proof));
+      batch.statusChanges.forEach(change =>
+        insertStatus.run({...change, verified: change.verified ? 1 : 0})
+      );
+      prune.run(this.blockHistory);
+    })();
+  }
+
+  /**
+   * Forget everything indexed after a block, e.g. blocks a reorg replaced
+   * @param blockNumber - Last block to keep
+   */
+  rollback(blockNumber: number): void {
+    this.db.transaction(() => {
+      for (const table of ['blocks', 'proofs', 'status_changes']) {
+        const column = table === 'blocks' ? 'number' : 'block_number';
+        this.db.prepare(`DELETE FROM ${table} WHERE ${column} > ?`).run(blockNumber);
+      }
+    })();
+  }
+
+  /**
+   * Get the verification status of an address
+   * @param address - Checksummed address
+   * @param now - Current time, for expiry
+   * @returns IndexedVerificationStatus - Status; unverified if the address never verified
+   */
+  getStatus(address: string, now: Date = new Date()): IndexedVerificationStatus {
+    const row = this.db
+      .prepare(
+        `
+        SELECT s.verified, s.timestamp AS changed_at, p.proof_hash, p.timestamp AS verified_at,
+          p.expires_at
+        FROM latest_status s LEFT JOIN latest_proofs p ON p.address = s.address
+        WHERE s.address = ?
+      `
+      )
+      .get(address) as
+      | {
+          verified: number;
+          changed_at: number;
+          proof_hash: string | null;
+          verified_at: number | null;
+          expires_at: number | null;
+        }
+      | undefined;
+
+    const verified = row?.verified === 1;
+    return {
+      address,
+      verified,
+      active: verified && (row?.expires_at ?? 0) > toSeconds(now),
+      proofHash: row?.proof_hash ?? null,
+      verifiedAt: row?.verified_at ?? null,
+      expiresAt: row?.expires_at ?? null,
+      revokedAt: row && !verified ? row.changed_at : null,
+    };
+  }
+
+  /**
+   * Look up a proof by its on-chain hash
+   * @param proofHash - Proof hash from ProofSubmitted
+   * @param now - Current time, for expiry
+   * @returns IndexedProof | null - Proof, or null if no such proof was submitted
+   */
+  getProof(proofHash: string, now: Date = new Date()): IndexedProof | null {
+    const row = this.db
+      .prepare(
+        `
+        SELECT p.*, l.block_number AS latest_block, l.log_index AS latest_log
+        FROM proofs p JOIN latest_proofs l ON l.address = p.address
+        WHERE p.proof_hash = ?
+        ORDER BY p.block_number DESC, p.log_index DESC LIMIT 1
+      `
+      )
+      .get(proofHash) as
+      | {
+          proof_hash: string;
+          address: string;
+          timestamp: number;
+          expires_at: number;
+          block_number: number;
+          log_index: number;
+          transaction_hash: string;
+          latest_block: number;
+          latest_log: number;
+        }
+      | undefined;
+    if (!row) {
+      return null;
+    }
+
+    return {
+      proofHash: row.proof_hash,
+      address: row.address,
+      timestamp: row.timestamp,
+      expiresAt: row.expires_at,
+      current: row.block_number === row.latest_block && row.log_index === row.latest_log,
+      // The contract answers for the address's current verification, whichever
+      // of its proofs is asked about
+      valid: this.getStatus(row.address, now).active,
+      blockNumber: row.block_number,
+      transactionHash: row.transaction_hash,
+    };
+  }
+
+  /**
+   * List addresses losing their verification, oldest first
+   * @param after - Only list entries after this block and log index
+   * @param limit - Most entries to return
+   * @returns IndexedRevocation[] - Revocations
+   */
+  getRevocations(
+    after: {blockNumber: number; logIndex: number} = {blockNumber: -1, logIndex: -1},
+    limit: number = 100
+  ): IndexedRevocation[] {
+    const rows = this.db
+      .prepare(
+        `
+        SELECT address, timestamp, block_number, log_index, transaction_hash
+        FROM status_changes
+        WHERE verified = 0
+          AND (
+            block_number > @blockNumber
+            OR (block_number = @blockNumber AND log_index > @logIndex)
+          )
+        ORDER BY block_number, log_index
+        LIMIT @limit
+      `
+      )
+      .all({...after, limit}) as Array<{
+      address: string;
+      timestamp: number;
+      block_number: number;
+      log_index: number;
+      transaction_hash: string;
+    }>;
+
+    return rows.map(row => ({
+      address: row.address,
+      timestamp: row.timestamp,
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      transactionHash: row.transaction_hash,
+    }));
+  }
+
+  /**
+   * Count verifications
+   * @param now - Current time, for expiry
+   * @returns IndexerStats - Totals
+   */
+  getStats(now: Date = new Date()): IndexerStats {
+    const count = (sql: string, ...params: unknown[]): number =>
+      (this.db.prepare(sql).get(...params) as {total: number}).total;
+    const {chainId, contract} = this.getDeployment();
+
+    return {
+      chainId,
+      contract,
+      lastIndexedBlock: this.getCursor()?.number ?? null,
+      addresses: count('SELECT COUNT(*) AS total FROM latest_proofs'),
+      verifiedAddresses: count('SELECT COUNT(*) AS total FROM latest_status WHERE verified = 1'),
+      activeVerifications: count(
+        `
+        SELECT COUNT(*) AS total
+        FROM latest_status s JOIN latest_proofs p ON p.address = s.address
+        WHERE s.verified = 1 AND p.expires_at > ?
+      `,
+        toSeconds(now)
+      ),
+      revokedAddresses: count('SELECT COUNT(*) AS total FROM latest_status WHERE verified = 0'),
+      proofs: count('SELECT COUNT(*) AS total FROM proofs'),
+      revocations: count('SELECT COUNT(*) AS total FROM status_changes WHERE verified = 0'),
+    };
+  }
+
+  close(): void {
+    this.db.close();
+  }
+
+  private getDeployment(): {chainId: number | null; contract: string | null} {
+    const rows = this.db.prepare('SELECT key, value FROM meta').all() as Array<{
+      key: string;
+      value: string;
+    }>;
+    const meta = new Map(rows.map(row => [row.key, row.value]));
+    return {
+      chainId: meta.has('chainId') ? Number(meta.get('chainId')) : null,
+      contract: meta.get('contract') ?? null,
+    };
+  }
+}
+
+function toSeconds(date: Date): number {
+  return Math.floor(date.getTime() / 1000);
+}
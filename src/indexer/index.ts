@@ -0,0 +1,19 @@
+// Event indexer: follows IdentityVerification's verification events into
+// SQLite and answers status queries over HTTP, so backends need no RPC call
+// per request. Runs in Node (npm run indexer).
+export {Indexer, INDEXER_ABI} from './Indexer';
+export type {IndexerConfig} from './Indexer';
+export {IndexerStore} from './IndexerStore';
+export type {
+  IndexedBatch,
+  IndexedBlock,
+  ProofSubmittedRecord,
+  StatusChangedRecord,
+} from './IndexerStore';
+export {createIndexerServer, startIndexer} from './server';
+export type {
+  IndexedProof,
+  IndexedRevocation,
+  IndexedVerificationStatus,
+  IndexerStats,
+} from '@types/index';
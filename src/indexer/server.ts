@@ -0,0 +1,154 @@
+import http from 'http';
+import {ethers} from 'ethers';
+import {DeploymentRegistry} from '@types/index';
+import bundledDeployments from '@/contracts/deployment.json';
+import {Indexer} from './Indexer';
+import {IndexerStore} from './IndexerStore';
+
+const DEFAULT_PORT = 8788;
+const DEFAULT_DATABASE = 'indexer.sqlite';
+
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Create the indexer's HTTP/JSON API
+ * - `GET /status/:address` - verification status of an address
+ * - `GET /proofs/:proofHash` - proof by its on-chain hash (404 if unknown)
+ * - `GET /revocations?after=<block>-<logIndex>&limit=<n>` - addresses losing
+ *   their verification, oldest first; `next` is the `after` for the next page
+ * - `GET /stats` - totals and the last indexed block
+ * @param store - Indexed events
+ * @returns http.Server - Server, not yet listening
+ */
+export function createIndexerServer(store: IndexerStore): http.Server {
+  return http.createServer((req, res) => {
+    const reply = (status: number, body: unknown) => {
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'GET') {
+      return reply(405, {error: 'Method not allowed'});
+    }
+
+    const url = new URL(req.url ?? '/', 'http://indexer');
+    const [resource, id, ...rest] = url.pathname.split('/').filter(Boolean);
+    if (rest.length > 0) {
+      return reply(404, {error: 'Not found'});
+    }
+
+    try {
+      if (resource === 'status' && id) {
+        if (!ethers.isAddress(id)) {
+          return reply(400, {error: 'Invalid address'});
+        }
+        return reply(200, store.getStatus(ethers.getAddress(id)));
+      }
+
+      if (resource === 'proofs' && id) {
+        if (!ethers.isHexString(id, 32)) {
+          return reply(400, {error: 'Invalid proof hash'});
+        }
+        const proof = store.getProof(id.toLowerCase());
+        return proof ? reply(200, proof) : reply(404, {error: 'Proof not found'});
+      }
+
+      if (resource === 'revocations' && !id) {
+        const after = parsePageCursor(url.searchParams.get('after'));
+        const limit = Number(url.searchParams.get('limit') ?? 100);
+        if (after === null || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+          return reply(400, {error: 'Invalid page'});
+        }
+        const revocations = store.getRevocations(after, limit);
+        const last = revocations[revocations.length - 1];
+        return reply(200, {
+          revocations,
+          next: revocations.length === limit ? `${last.blockNumber}-${last.logIndex}` : null,
+        });
+      }
+
+      if (resource === 'stats' && !id) {
+        return reply(200, store.getStats());
+      }
+    } catch (error) {
+      console.error('Indexer query failed:', error);
+      return reply(500, {error: 'Query failed'});
+    }
+
+    return reply(404, {error: 'Not found'});
+  });
+}
+
+/**
+ * Parse a revocation page cursor
+ * @param value - `<block>-<logIndex>`, or null for the first page
+ * @returns Position to list after, undefined for the first page, or null if malformed
+ */
+function parsePageCursor(
+  value: string | null
+): {blockNumber: number; logIndex: number} | undefined | null {
+  if (value === null) {
+    return undefined;
+  }
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  return match ? {blockNumber: Number(match[1]), logIndex: Number(match[2])} : null;
+}
+
+/**
+ * Start an indexer and its API configured from the environment
+ * INDEXER_RPC_URL is required. INDEXER_CONTRACT defaults to the chain's
+ * IdentityVerification in src/contracts/deployment.json, and INDEXER_START_BLOCK
+ * to the block it was deployed in. INDEXER_DATABASE, INDEXER_PORT,
+ * INDEXER_CONFIRMATIONS and INDEXER_POLL_INTERVAL are optional.
+ * @returns Promise<http.Server> - Listening server
+ */
+export async function startIndexer(): Promise<http.Server> {
+  const {INDEXER_RPC_URL} = process.env;
+  if (!INDEXER_RPC_URL) {
+    throw new Error('Set INDEXER_RPC_URL');
+  }
+
+  const provider = new ethers.JsonRpcProvider(INDEXER_RPC_URL);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const deployment = (bundledDeployments as DeploymentRegistry)[chainId]?.contracts
+    .IdentityVerification;
+  const contract = process.env.INDEXER_CONTRACT || deployment?.address;
+  if (!contract) {
+    throw new Error(`Set INDEXER_CONTRACT; chain ${chainId} has no deployment in deployment.json`);
+  }
+
+  let startBlock = Number(process.env.INDEXER_START_BLOCK || 0);
+  if (!process.env.INDEXER_START_BLOCK && !process.env.INDEXER_CONTRACT && deployment) {
+    const receipt = await provider.getTransactionReceipt(deployment.transactionHash);
+    startBlock = receipt?.blockNumber ?? 0;
+  }
+
+  const store = new IndexerStore(process.env.INDEXER_DATABASE || DEFAULT_DATABASE);
+  const indexer = new Indexer({
+    provider,
+    contract,
+    store,
+    startBlock,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+  });
+  indexer.start(Number(process.env.INDEXER_POLL_INTERVAL || 5000));
+
+  const port = Number(process.env.INDEXER_PORT || DEFAULT_PORT);
+  const server = createIndexerServer(store);
+  await new Promise<void>(resolve => server.listen(port, resolve));
+  server.on('close', () => {
+    indexer.stop();
+    store.close();
+  });
+
+  console.log(`Indexing ${contract} on chain ${chainId} from block ${startBlock}`);
+  console.log(`Indexer API listening on port ${port}`);
+  return server;
+}
+
+if (require.main === module) {
+  startIndexer().catch(error => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+  });
+}
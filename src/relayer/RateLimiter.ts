@@ -0,0 +1,65 @@
+export interface RateLimit {
+  limit: number; // Requests allowed per window
+  window: number; // Window length in seconds
+}
+
+/**
+ * Fixed-window rate limiter over arbitrary keys
+ * A request is charged to several keys at once (e.g. an address and a
+ * nullifier) and only if every one of them has room left.
+ */
+export class RateLimiter {
+  private rateLimit: RateLimit;
+  private windows = new Map<string, {start: number; count: number}>();
+
+  constructor(rateLimit: RateLimit) {
+    if (rateLimit.limit < 1 || rateLimit.window <= 0) {
+      throw new Error('Rate limit must allow at least one request per window');
+    }
+    this.rateLimit = rateLimit;
+  }
+
+  /**
+   * Charge one request to each key
+   * @param keys - Keys the request counts against
+   * @param now - Current time
+   * @returns number - 0 if the request was allowed, otherwise seconds until it would be
+   */
+  take(keys: string[], now: Date = new Date()): number {
+    const seconds = now.getTime() / 1000;
+    this.prune(seconds);
+
+    let retryAfter = 0;
+    for (const key of keys) {
+      const window = this.windows.get(key);
+      if (window && window.count >= this.rateLimit.limit) {
+        retryAfter = Math.max(retryAfter, Math.ceil(window.start + this.rateLimit.window - seconds));
+      }
+    }
+    if (retryAfter > 0) {
+      return retryAfter;
+    }
+
+    for (const key of keys) {
+      const window = this.windows.get(key);
+      if (window) {
+        window.count++;
+      } else {
+        this.windows.set(key, {start: seconds, count: 1});
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Forget windows that have ended
+   * @param seconds - Current time in seconds
+   */
+  private prune(seconds: number): void {
+    for (const [key, window] of this.windows) {
+      if (window.start + this.rateLimit.window <= seconds) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
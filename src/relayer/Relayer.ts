@@ -0,0 +1,139 @@
+import {ethers} from 'ethers';
+import {RelayRequest, RelayResponse, VerificationKey} from '@types/index';
+import {NULLIFIER_SIGNAL, isBoundToHolder} from '@utils/presentation';
+import {parseRelayRequest, recoverRelaySigner} from '@utils/relay';
+import {verifyPresentedProof} from '@/verifier/checks';
+import {RateLimit, RateLimiter} from './RateLimiter';
+
+export const RELAYER_ABI = [
+  'function nonces(address user) view returns (uint256)',
+  'function submitProofFor(address user, bytes proof, uint256[] publicInputs, bytes attestation, uint256 deadline, bytes signature) returns (bool)',
+  'function transferVerificationFor(address user, bytes proof, uint256[] publicInputs, bytes attestation, uint256 deadline, bytes signature) returns (bool)',
+  'event ProofSubmitted(address indexed user, bytes32 indexed proofHash, uint256 timestamp, uint256 expiresAt)',
+];
+
+// Extra gas on top of the estimate, in percent (as in Web3Service)
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+export interface RelayerConfig {
+  contract: string; // IdentityVerification address
+  chainId: number;
+  signer: ethers.Signer; // Funded account that pays for the transactions
+  identityVerificationKey: VerificationKey;
+  confirmations?: number; // Blocks to wait for before answering
+  rateLimit?: RateLimit; // Applied per user address and per document nullifier
+}
+
+/**
+ * Sends identity proof submissions on behalf of users without ETH
+ * Users sign their submission (EIP-712) and the relayer pays the gas for the
+ * contract's submitProofFor / transferVerificationFor. Nothing is sent unless
+ * the signature is the user's, the proof is bound to the user and passes the
+ * Groth16 check, the user and document are within their rate limits and the
+ * call succeeds in simulation.
+ */
+export class Relayer {
+  private config: RelayerConfig;
+  private contract: ethers.Contract;
+  private rateLimiter: RateLimiter;
+
+  constructor(config: RelayerConfig) {
+    this.config = {
+      confirmations: 1,
+      rateLimit: {limit: 3, window: 60 * 60},
+      ...config,
+      contract: ethers.getAddress(config.contract),
+    };
+    this.contract = new ethers.Contract(this.config.contract, RELAYER_ABI, config.signer);
+    this.rateLimiter = new RateLimiter(this.config.rateLimit!);
+  }
+
+  /**
+   * Check a signed submission and send it
+   * @param body - Relay request as posted by the app
+   * @param now - Current time
+   * @returns Promise<RelayResponse> - Transaction result, or why the request was refused
+   */
+  async relay(body: unknown, now: Date = new Date()): Promise<RelayResponse> {
+    let request: RelayRequest;
+    try {
+      request = parseRelayRequest(body);
+    } catch (error) {
+      return {accepted: false, error: 'Malformed relay request'};
+    }
+
+    if (request.deadline < now.getTime() / 1000) {
+      return {accepted: false, error: 'Signature expired'};
+    }
+    if (recoverRelaySigner(request, this.config.chainId, this.config.contract) !== request.user) {
+      return {accepted: false, error: 'Signature does not match the user'};
+    }
+
+    const identity = {proof: request.proof, publicSignals: request.publicInputs};
+    if (!isBoundToHolder(identity, request.user)) {
+      return {accepted: false, error: 'Identity proof is bound to a different account'};
+    }
+    if (!(await verifyPresentedProof(identity, this.config.identityVerificationKey))) {
+      return {accepted: false, error: 'Identity proof is invalid'};
+    }
+
+    const nonce: bigint = await this.contract.nonces(request.user);
+    if (nonce.toString() !== request.nonce) {
+      return {accepted: false, error: 'Signature nonce is out of date'};
+    }
+
+    const method = this.contract[`${request.action}For`];
+    const args = [
+      request.user,
+      request.proof,
+      request.publicInputs,
+      request.attestation,
+      request.deadline,
+      request.signature,
+    ];
+    try {
+      await method.staticCall(...args);
+    } catch (error) {
+      const err = error as any;
+      return {accepted: false, error: err?.reason || err?.shortMessage || 'Submission would revert'};
+    }
+
+    // Charged only for submissions that would go through, so nobody can use up
+    // another user's allowance and refused requests cost the user nothing
+    const retryAfter = this.rateLimiter.take(
+      [`address:${request.user}`, `nullifier:${request.publicInputs[NULLIFIER_SIGNAL]}`],
+      now
+    );
+    if (retryAfter > 0) {
+      return {accepted: false, error: 'Too many relay requests', retryAfter};
+    }
+
+    const gasEstimate: bigint = await method.estimateGas(...args);
+    const tx = await method(...args, {
+      gasLimit: (gasEstimate * BigInt(100 + GAS_LIMIT_BUFFER_PERCENT)) / BigInt(100),
+    });
+    console.log(`Relayed ${request.action} for ${request.user}:`, tx.hash);
+
+    const receipt: ethers.TransactionReceipt | null = await tx.wait(this.config.confirmations);
+    if (!receipt) {
+      throw new Error('Transaction was dropped');
+    }
+
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === this.config.contract.toLowerCase())
+      .map(log => this.contract.interface.parseLog(log))
+      .find(parsed => parsed?.name === 'ProofSubmitted');
+
+    return {
+      accepted: true,
+      transaction: {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed',
+        proofHash: event?.args.proofHash,
+        chainId: this.config.chainId,
+      },
+    };
+  }
+}
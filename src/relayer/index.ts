@@ -0,0 +1,15 @@
+// Meta-transaction relayer: sends users' signed identity proof submissions
+// and pays their gas. Depends only on ethers, snarkjs and the pure utils, so
+// it runs in Node (npm run relayer).
+export {Relayer, RELAYER_ABI} from './Relayer';
+export type {RelayerConfig} from './Relayer';
+export {RateLimiter} from './RateLimiter';
+export type {RateLimit} from './RateLimiter';
+export {createRelayerServer, startRelayer} from './server';
+export {
+  DEFAULT_RELAY_TTL,
+  getRelayTypedData,
+  parseRelayRequest,
+  recoverRelaySigner,
+} from '@utils/relay';
+export type {RelayRequest, RelayResponse} from '@types/index';
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import http from 'http';
+import {ethers} from 'ethers';
+import {RelayResponse} from '@types/index';
+import {Relayer} from './Relayer';
+
+// Relay requests are a few kilobytes; anything much larger is not one
+const MAX_BODY_BYTES = 64 * 1024;
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Create the relayer's HTTP server
+ * `POST /relay` takes a RelayRequest and answers with a RelayResponse:
+ * 200 once the transaction is mined, 429 with Retry-After when rate limited,
+ * 422 when the request is refused and 502 when sending fails.
+ * @param relayer - Relayer that checks and sends the submissions
+ * @returns http.Server - Server, not yet listening
+ */
+export function createRelayerServer(relayer: Relayer): http.Server {
+  return http.createServer(async (req, res) => {
+    const reply = (status: number, body: RelayResponse | {error: string}) => {
+      if ('retryAfter' in body && body.retryAfter) {
+        res.setHeader('Retry-After', String(body.retryAfter));
+      }
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url !== '/relay') {
+      return reply(404, {error: 'Not found'});
+    }
+    if (req.method !== 'POST') {
+      return reply(405, {error: 'Method not allowed'});
+    }
+
+    let body: unknown;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      return reply(400, {accepted: false, error: 'Malformed relay request'});
+    }
+
+    try {
+      const response = await relayer.relay(body);
+      if (response.accepted) {
+        return reply(200, response);
+      }
+      return reply(response.retryAfter ? 429 : 422, response);
+    } catch (error) {
+      console.error('Failed to relay submission:', error);
+      return reply(502, {accepted: false, error: 'Relayer could not send the transaction'});
+    }
+  });
+}
+
+/**
+ * Read a request body, refusing bodies over MAX_BODY_BYTES
+ * @param req - Incoming request
+ * @returns Promise<string> - Body as UTF-8
+ */
+function readBody(req: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start a relayer configured from the environment
+ * RELAYER_RPC_URL, RELAYER_PRIVATE_KEY (the account paying the gas) and
+ * RELAYER_CONTRACT are required; RELAYER_PORT, RELAYER_CONFIRMATIONS and
+ * MOPRO_VERIFICATION_KEY_PATH are optional.
+ * @returns Promise<http.Server> - Listening server
+ */
+export async function startRelayer(): Promise<http.Server> {
+  const {RELAYER_RPC_URL, RELAYER_PRIVATE_KEY, RELAYER_CONTRACT} = process.env;
+  if (!RELAYER_RPC_URL || !RELAYER_PRIVATE_KEY || !RELAYER_CONTRACT) {
+    throw new Error('Set RELAYER_RPC_URL, RELAYER_PRIVATE_KEY and RELAYER_CONTRACT');
+  }
+
+  const provider = new ethers.JsonRpcProvider(RELAYER_RPC_URL);
+  const {chainId} = await provider.getNetwork();
+  const wallet = new ethers.Wallet(RELAYER_PRIVATE_KEY, provider);
+  const verificationKeyPath =
+    process.env.MOPRO_VERIFICATION_KEY_PATH || 'assets/circuits/verification_key.json';
+
+  const relayer = new Relayer({
+    contract: RELAYER_CONTRACT,
+    chainId: Number(chainId),
+    // Keeps the relayer's own nonces straight when requests overlap
+    signer: new ethers.NonceManager(wallet),
+    identityVerificationKey: JSON.parse(fs.readFileSync(verificationKeyPath, 'utf8')),
+    confirmations: Number(process.env.RELAYER_CONFIRMATIONS || 1),
+  });
+
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+  const server = createRelayerServer(relayer);
+  await new Promise<void>(resolve => server.listen(port, resolve));
+
+  const balance = await provider.getBalance(wallet.address);
+  console.log(`Relayer ${wallet.address} listening on port ${port}`);
+  console.log(`Chain ${chainId}, balance ${ethers.formatEther(balance)} ETH`);
+  return server;
+}
+
+if (require.main === module) {
+  startRelayer().catch(error => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+  });
+}
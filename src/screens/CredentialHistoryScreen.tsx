@@ -0,0 +1,501 @@
+import React, {useEffect, useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
+import DocumentPicker from 'react-native-document-picker';
+import RNFS from 'react-native-fs';
+import {StackNavigationProp} from '@react-navigation/stack';
+import {RouteProp} from '@react-navigation/native';
+import {RootStackParamList, StoredCredential} from '@types/index';
+import {VerifiableCredentialService} from '@services/VerifiableCredentialService';
+import {useServices} from '@components/ServicesProvider';
+import {getExpiryStatus} from '@utils/expiry';
+import {getNetwork} from '@utils/networks';
+
+type CredentialHistoryScreenNavigationProp = StackNavigationProp<
+  RootStackParamList,
+  'CredentialHistory'
+>;
+
+type CredentialHistoryScreenRouteProp = RouteProp<
+  RootStackParamList,
+  'CredentialHistory'
+>;
+
+interface Props {
+  navigation: CredentialHistoryScreenNavigationProp;
+  route: CredentialHistoryScreenRouteProp;
+}
+
+// Credentials saved before networks were configurable use the selected network
+const networkOf = (credential: StoredCredential) =>
+  credential.transaction.chainId === undefined
+    ? undefined
+    : getNetwork(credential.transaction.chainId);
+
+const DOCUMENT_LABELS: Record<StoredCredential['documentType'], string> = {
+  passport: 'Passport',
+  drivers_license: "Driver's License",
+  national_id: 'National ID',
+};
+
+const CredentialHistoryScreen: React.FC<Props> = ({navigation, route}) => {
+  const [walletExists, setWalletExists] = useState<boolean | null>(null);
+  const [unlocked, setUnlocked] = useState<boolean>(false);
+  const [passphrase, setPassphrase] = useState<string>('');
+  const [credentials, setCredentials] = useState<StoredCredential[]>([]);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [busy, setBusy] = useState<boolean>(false);
+
+  const pendingCredential = route.params?.credential;
+  const {credentialWallet: walletService, mopro, createWeb3} = useServices();
+
+  useEffect(() => {
+    walletService.exists().then(exists => {
+      setWalletExists(exists);
+      if (walletService.isUnlocked()) {
+        openWallet();
+      }
+    });
+  }, []);
+
+  // Store the credential handed over by the completion screen, then show the list
+  const openWallet = async () => {
+    if (pendingCredential) {
+      await walletService.save(pendingCredential);
+      navigation.setParams({credential: undefined});
+    }
+    setCredentials(walletService.list());
+    setUnlocked(true);
+  };
+
+  const unlockWallet = async () => {
+    setBusy(true);
+    try {
+      if (walletExists) {
+        await walletService.unlock(passphrase);
+      } else {
+        await walletService.create(passphrase);
+        setWalletExists(true);
+      }
+      setPassphrase('');
+      await openWallet();
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Could not open the wallet';
+      Alert.alert('Wallet Locked', message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const lockWallet = () => {
+    walletService.lock();
+    setUnlocked(false);
+    setCredentials([]);
+    setExpandedId(null);
+  };
+
+  const reverifyCredential = async (credential: StoredCredential) => {
+    setBusy(true);
+    try {
+      const web3Service = createWeb3();
+      await web3Service.connect(networkOf(credential));
+
+      if (await web3Service.verifyProof(credential.id)) {
+        // Keep the stored expiry in step with the contract
+        const expiresAt = await web3Service.getExpiry(credential.address);
+        await walletService.save({...credential, expiresAt});
+        setCredentials(walletService.list());
+        Alert.alert(
+          'Credential Valid',
+          `This verification is active on-chain until ${new Date(expiresAt * 1000).toLocaleDateString()}.`
+        );
+      } else {
+        Alert.alert(
+          'Credential No Longer Valid',
+          'This verification has expired, been revoked or moved to another wallet.',
+          [
+            {text: 'Close', style: 'cancel'},
+            {text: 'Verify Again', onPress: () => navigation.navigate('FaceVerification')},
+          ]
+        );
+      }
+    } catch (error) {
+      console.error('Re-verification error:', error);
+      Alert.alert('Re-verification Failed', 'Could not reach the blockchain. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Hand the credential to another identity system as a W3C Verifiable Credential
+  const exportCredential = async (credential: StoredCredential) => {
+    setBusy(true);
+    try {
+      const web3Service = createWeb3();
+      await web3Service.connect(networkOf(credential));
+
+      const vcService = new VerifiableCredentialService(web3Service, mopro);
+      const vc = await vcService.exportCredential(credential);
+      await Share.share({
+        title: 'Verifiable Credential',
+        message: JSON.stringify(vc, null, 2),
+      });
+    } catch (error) {
+      console.error('Export error:', error);
+      const message = error instanceof Error ? error.message : 'Could not export the credential';
+      Alert.alert('Export Failed', message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Check a credential or presentation exported by this or another wallet
+  const verifyImportedCredential = async () => {
+    let path: string;
+    try {
+      const file = await DocumentPicker.pickSingle({
+        type: [DocumentPicker.types.json],
+        copyTo: 'cachesDirectory',
+      });
+      path = decodeURIComponent((file.fileCopyUri ?? file.uri).replace(/^file:\/\//, ''));
+    } catch (error) {
+      if (!DocumentPicker.isCancel(error)) {
+        Alert.alert('Import Failed', 'Could not open the file.');
+      }
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const web3Service = createWeb3();
+      await web3Service.connect();
+
+      const vcService = new VerifiableCredentialService(web3Service, mopro);
+      const result = await vcService.verifyDocument(await RNFS.readFile(path, 'utf8'));
+      const claims = result.credentials.flatMap(credential => credential.predicates);
+
+      if (result.valid) {
+        Alert.alert(
+          'Credential Verified',
+          `${result.holder} is verified` +
+            (claims.length > 0 ? ` and proved ${claims.join(', ')}.` : '.')
+        );
+      } else {
+        Alert.alert('Credential Not Valid', result.errors.join('\n'));
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      const message = error instanceof Error ? error.message : 'Could not verify the credential';
+      Alert.alert('Verification Failed', message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteCredential = (credential: StoredCredential) => {
+    Alert.alert(
+      'Delete Credential',
+      'Remove this credential from the device? Your on-chain verification is not affected.',
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await walletService.remove(credential.id);
+            setCredentials(walletService.list());
+          },
+        },
+      ]
+    );
+  };
+
+  const renderUnlock = () => {
+    if (walletExists === null) {
+      return <ActivityIndicator size="large" color="#6366f1" />;
+    }
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {walletExists ? 'Unlock Credential Wallet' : 'Create Credential Wallet'}
+        </Text>
+        <Text style={styles.description}>
+          {walletExists
+            ? 'Enter your wallet passphrase to view your credentials.'
+            : 'Choose a passphrase of at least 8 characters. Credentials are encrypted on this device and cannot be recovered without it.'}
+        </Text>
+        <TextInput
+          style={styles.input}
+          value={passphrase}
+          onChangeText={setPassphrase}
+          placeholder="Passphrase"
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <TouchableOpacity
+          style={[styles.primaryButton, busy && styles.disabledButton]}
+          onPress={unlockWallet}
+          disabled={busy || passphrase.length === 0}>
+          {busy ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <Text style={styles.primaryButtonText}>
+              {walletExists ? 'Unlock' : 'Create Wallet'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderCredential = (credential: StoredCredential) => {
+    const expanded = expandedId === credential.id;
+    const expiry = getExpiryStatus(credential.expiresAt);
+
+    return (
+      <View key={credential.id} style={styles.card}>
+        <TouchableOpacity onPress={() => setExpandedId(expanded ? null : credential.id)}>
+          <View style={styles.credentialHeader}>
+            <Text style={styles.credentialTitle}>
+              {DOCUMENT_LABELS[credential.documentType]}
+            </Text>
+            <Text style={[styles.badge, expiry.state === 'expired' && styles.expiredBadge]}>
+              {expiry.state === 'expired' ? 'Expired' : 'Valid'}
+            </Text>
+          </View>
+          <Text style={styles.description}>
+            Verified {new Date(credential.createdAt).toLocaleDateString()} · Expires{' '}
+            {new Date(credential.expiresAt * 1000).toLocaleDateString()}
+          </Text>
+        </TouchableOpacity>
+
+        {expanded && (
+          <View style={styles.details}>
+            <Text style={styles.detailLabel}>Proof Hash</Text>
+            <Text style={styles.detailValue} numberOfLines={1} ellipsizeMode="middle">
+              {credential.id}
+            </Text>
+            <Text style={styles.detailLabel}>Transaction</Text>
+            <Text style={styles.detailValue} numberOfLines={1} ellipsizeMode="middle">
+              {credential.transaction.hash}
+            </Text>
+            <Text style={styles.detailLabel}>Wallet</Text>
+            <Text style={styles.detailValue} numberOfLines={1} ellipsizeMode="middle">
+              {credential.address}
+            </Text>
+            <Text style={styles.detailLabel}>Proven Predicates</Text>
+            <Text style={styles.detailValue}>
+              {credential.predicates.length > 0
+                ? credential.predicates.map(entry => entry.predicate.type).join(', ')
+                : 'None'}
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('PresentCredential', {credential})}>
+            <Text style={styles.actionText}>Present</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => exportCredential(credential)}
+            disabled={busy}>
+            <Text style={styles.actionText}>Export</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => reverifyCredential(credential)}
+            disabled={busy}>
+            <Text style={styles.actionText}>Re-verify</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => deleteCredential(credential)}>
+            <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        {!unlocked ? (
+          renderUnlock()
+        ) : (
+          <>
+            {credentials.length === 0 ? (
+              <View style={styles.card}>
+                <Text style={styles.description}>
+                  No credentials yet. Completed verifications can be saved here.
+                </Text>
+              </View>
+            ) : (
+              credentials.map(renderCredential)
+            )}
+
+            <TouchableOpacity
+              style={[styles.lockButton, styles.importButton]}
+              onPress={verifyImportedCredential}
+              disabled={busy}>
+              <Text style={styles.lockButtonText}>Verify a Credential</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.lockButton} onPress={lockWallet}>
+              <Text style={styles.lockButtonText}>Lock Wallet</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#6b7280',
+    lineHeight: 20,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: '#1f2937',
+    marginVertical: 16,
+  },
+  primaryButton: {
+    backgroundColor: '#6366f1',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  credentialHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  credentialTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  badge: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#059669',
+    backgroundColor: '#dcfce7',
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  expiredBadge: {
+    color: '#dc2626',
+    backgroundColor: '#fee2e2',
+  },
+  details: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#e5e7eb',
+  },
+  detailLabel: {
+    fontSize: 12,
+    color: '#6b7280',
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  detailValue: {
+    fontSize: 14,
+    color: '#1f2937',
+    fontFamily: 'monospace',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    backgroundColor: '#f3f4f6',
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 14,
+    color: '#6366f1',
+    fontWeight: '600',
+  },
+  deleteText: {
+    color: '#dc2626',
+  },
+  lockButton: {
+    backgroundColor: '#f3f4f6',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  importButton: {
+    marginBottom: 12,
+  },
+  lockButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default CredentialHistoryScreen;
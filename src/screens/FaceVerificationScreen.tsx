@@ -9,8 +9,15 @@ import {
 } from 'react-native';
 import {StackNavigationProp} from '@react-navigation/stack';
 import {Camera} from 'expo-camera';
-import {RootStackParamList, FaceData} from '@types/index';
-import {FaceVerificationService} from '@services/FaceVerificationService';
+import {
+  RootStackParamList,
+  FaceLandmarkFrame,
+  LivenessChallengeType,
+  RedactedFaceData,
+} from '@types/index';
+import {FACE_DETECTOR_MISSING} from '@services/FaceVerificationService';
+import {useServices} from '@components/ServicesProvider';
+import {LIVENESS_FRAMES_PER_CHALLENGE} from '@utils/liveness';
 
 type FaceVerificationScreenNavigationProp = StackNavigationProp<
   RootStackParamList,
@@ -21,14 +28,22 @@ interface Props {
   navigation: FaceVerificationScreenNavigationProp;
 }
 
+const LIVENESS_PROMPTS: Record<LivenessChallengeType, string> = {
+  blink: 'Blink slowly',
+  turn_left: 'Turn your head to the left',
+  turn_right: 'Turn your head to the right',
+  smile: 'Smile',
+};
+
 const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
   const [hasPermission, setHasPermission] = useState<boolean>(false);
   const [isCapturing, setIsCapturing] = useState<boolean>(false);
   const [isProcessing, setIsProcessing] = useState<boolean>(false);
-  const [capturedFace, setCapturedFace] = useState<FaceData | null>(null);
+  const [capturedFace, setCapturedFace] = useState<RedactedFaceData | null>(null);
+  const [currentChallenge, setCurrentChallenge] = useState<LivenessChallengeType | null>(null);
   
   const camera = useRef<Camera>(null);
-  const faceService = new FaceVerificationService();
+  const {faceVerification: faceService, privacyVault} = useServices();
 
   useEffect(() => {
     requestCameraPermission();
@@ -47,17 +62,52 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
   const captureFace = async () => {
     if (!camera.current) return;
 
+    const frameUris: string[] = [];
     try {
       setIsCapturing(true);
+
+      // Active liveness: random challenges, each judged over a burst of frames
+      const session = faceService.startLivenessSession();
+      const frames: FaceLandmarkFrame[][] = [];
+      for (const challenge of session.challenges) {
+        setCurrentChallenge(challenge);
+        const challengeFrames: FaceLandmarkFrame[] = [];
+        for (let i = 0; i < LIVENESS_FRAMES_PER_CHALLENGE; i++) {
+          const frame = await camera.current.takePictureAsync({
+            quality: 0.3,
+            skipProcessing: true,
+          });
+          frameUris.push(frame.uri);
+          challengeFrames.push(await faceService.detectLandmarks(frame.uri));
+        }
+        frames.push(challengeFrames);
+      }
+      setCurrentChallenge(null);
+
+      const liveness = faceService.evaluateLiveness(session, frames);
+      if (!liveness.passed) {
+        const missed = liveness.results
+          .filter(result => !result.passed)
+          .map(result => LIVENESS_PROMPTS[result.challenge].toLowerCase());
+        Alert.alert(
+          'Liveness Check Failed',
+          `We could not confirm a live face (missed: ${missed.join(', ')}). Please try again and follow each prompt.`,
+          [{text: 'OK'}]
+        );
+        return;
+      }
+
       const photo = await camera.current.takePictureAsync({
         quality: 0.8,
         base64: false,
       });
 
       setIsProcessing(true);
-      const faceData = await faceService.detectFace(photo.uri);
+      const detected = await faceService.detectFace(photo.uri);
       
-      if (faceData.confidence > 0.8) {
+      if (detected.confidence > 0.8) {
+        // Encrypted straight away; the screen only keeps the redacted view
+        const faceData = await privacyVault.storeFace({...detected, liveness});
         setCapturedFace(faceData);
         Alert.alert(
           'Face Captured',
@@ -66,15 +116,16 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
             {
               text: 'Retake',
               style: 'cancel',
-              onPress: () => setCapturedFace(null),
+              onPress: () => discardFace(faceData),
             },
             {
               text: 'Continue',
-              onPress: () => navigation.navigate('IDVerification'),
+              onPress: () => navigation.navigate('IDVerification', {faceData}),
             },
           ]
         );
       } else {
+        await privacyVault.shred(photo.uri);
         Alert.alert(
           'Face Not Detected',
           'Please ensure your face is clearly visible and try again.',
@@ -83,15 +134,36 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
       }
     } catch (error) {
       console.error('Error capturing face:', error);
-      Alert.alert('Error', 'Failed to capture face. Please try again.');
+      if (error instanceof Error && error.message === FACE_DETECTOR_MISSING) {
+        Alert.alert(
+          'Face Check Unavailable',
+          'This build of the app cannot check faces yet. Trying again will not help.'
+        );
+      } else {
+        Alert.alert('Error', 'Failed to capture face. Please try again.');
+      }
     } finally {
+      // Liveness frames are only needed for their landmarks
+      await Promise.all(frameUris.map(uri => privacyVault.shred(uri))).catch(error =>
+        console.error('Error deleting liveness frames:', error)
+      );
+      setCurrentChallenge(null);
       setIsCapturing(false);
       setIsProcessing(false);
     }
   };
 
-  const retakeFace = () => {
+  const discardFace = (face: RedactedFaceData) => {
     setCapturedFace(null);
+    privacyVault.remove([face.captureId]).catch(error =>
+      console.error('Error deleting face capture:', error)
+    );
+  };
+
+  const retakeFace = () => {
+    if (capturedFace) {
+      discardFace(capturedFace);
+    }
   };
 
   if (!hasPermission) {
@@ -128,6 +200,9 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
         />
         <View style={styles.overlay}>
           <View style={styles.faceFrame} />
+          {currentChallenge && (
+            <Text style={styles.challengeText}>{LIVENESS_PROMPTS[currentChallenge]}</Text>
+          )}
         </View>
       </View>
 
@@ -142,6 +217,11 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
             {capturedFace ? (
               <View style={styles.successContainer}>
                 <Text style={styles.successText}>✓ Face verified successfully!</Text>
+                {capturedFace.liveness && (
+                  <Text style={styles.livenessText}>
+                    Liveness score: {Math.round(capturedFace.liveness.score * 100)}%
+                  </Text>
+                )}
                 <View style={styles.buttonRow}>
                   <TouchableOpacity
                     style={[styles.button, styles.retakeButton]}
@@ -150,7 +230,7 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
                   </TouchableOpacity>
                   <TouchableOpacity
                     style={[styles.button, styles.continueButton]}
-                    onPress={() => navigation.navigate('IDVerification')}>
+                    onPress={() => navigation.navigate('IDVerification', {faceData: capturedFace})}>
                     <Text style={styles.continueButtonText}>Continue</Text>
                   </TouchableOpacity>
                 </View>
@@ -172,6 +252,7 @@ const FaceVerificationScreen: React.FC<Props> = ({navigation}) => {
       <View style={styles.instructions}>
         <Text style={styles.instructionTitle}>Instructions:</Text>
         <Text style={styles.instructionText}>• Look directly at the camera</Text>
+        <Text style={styles.instructionText}>• Follow each prompt as it appears</Text>
         <Text style={styles.instructionText}>• Ensure good lighting</Text>
         <Text style={styles.instructionText}>• Remove glasses if possible</Text>
         <Text style={styles.instructionText}>• Keep face within the frame</Text>
@@ -225,6 +306,18 @@ const styles = StyleSheet.create({
     borderRadius: 125,
     backgroundColor: 'transparent',
   },
+  challengeText: {
+    position: 'absolute',
+    bottom: 40,
+    color: '#ffffff',
+    fontSize: 20,
+    fontWeight: 'bold',
+    backgroundColor: 'rgba(99, 102, 241, 0.85)',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
   controls: {
     backgroundColor: '#ffffff',
     padding: 20,
@@ -263,6 +356,12 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 20,
   },
+  livenessText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: -12,
+    marginBottom: 16,
+  },
   buttonRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, {useEffect, useState} from 'react';
 import {
   View,
   Text,
@@ -6,9 +6,12 @@ import {
   StyleSheet,
   ScrollView,
   Image,
+  Alert,
 } from 'react-native';
 import {StackNavigationProp} from '@react-navigation/stack';
-import {RootStackParamList} from '@types/index';
+import {RootStackParamList, ExpiryStatus, ProofJob, RetentionPolicy} from '@types/index';
+import {DEFAULT_RETENTION_POLICY} from '@services/PrivacyVaultService';
+import {useServices} from '@components/ServicesProvider';
 
 type HomeScreenNavigationProp = StackNavigationProp<RootStackParamList, 'Home'>;
 
@@ -16,11 +19,125 @@ interface Props {
   navigation: HomeScreenNavigationProp;
 }
 
+const HOUR = 60 * 60 * 1000;
+
+// How long captures may be kept, as offered to the user
+const RETENTION_OPTIONS: Array<{label: string; captureMaxAge: number}> = [
+  {label: '1 hour', captureMaxAge: HOUR},
+  {label: '1 day', captureMaxAge: 24 * HOUR},
+  {label: '1 week', captureMaxAge: 7 * 24 * HOUR},
+];
+
 const HomeScreen: React.FC<Props> = ({navigation}) => {
+  const [expiryStatus, setExpiryStatus] = useState<ExpiryStatus>({state: 'none'});
+  const [pendingJob, setPendingJob] = useState<ProofJob | null>(null);
+  const [retentionPolicy, setRetentionPolicy] =
+    useState<RetentionPolicy>(DEFAULT_RETENTION_POLICY);
+  const {privacyVault, proofPipeline, credentialWallet, verificationStatus} = useServices();
+
+  const refreshStatus = () => {
+    verificationStatus.getStatus().then(setExpiryStatus);
+    proofPipeline.getResumable().then(setPendingJob);
+    privacyVault.getRetentionPolicy().then(setRetentionPolicy);
+    // Captures left behind by abandoned verifications expire here
+    privacyVault.enforceRetention().catch(error =>
+      console.error('Error applying retention policy:', error)
+    );
+  };
+
+  useEffect(() => {
+    // Refresh when returning from a verification flow
+    refreshStatus();
+    return navigation.addListener('focus', refreshStatus);
+  }, [navigation]);
+
+  const changeRetention = async (captureMaxAge: number) => {
+    const policy = {...retentionPolicy, captureMaxAge};
+    try {
+      await privacyVault.setRetentionPolicy(policy);
+      setRetentionPolicy(policy);
+    } catch (error) {
+      console.error('Error saving retention policy:', error);
+      Alert.alert('Error', 'Failed to change how long your data is kept.');
+    }
+  };
+
+  const confirmWipe = () => {
+    Alert.alert(
+      'Delete All My Data',
+      'This deletes your selfies, document details, pending verification, saved credentials and verification status from this device. Your on-chain verification and your wallet are kept.',
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {text: 'Delete', style: 'destructive', onPress: wipeAllData},
+      ]
+    );
+  };
+
+  const wipeAllData = async () => {
+    try {
+      await proofPipeline.discard();
+      await privacyVault.wipe();
+      await credentialWallet.reset();
+      await verificationStatus.clear();
+      refreshStatus();
+      Alert.alert('Data Deleted', 'Your data has been deleted from this device.');
+    } catch (error) {
+      console.error('Error deleting data:', error);
+      Alert.alert('Error', 'Failed to delete your data. Please try again.');
+    }
+  };
+
   const startVerification = () => {
     navigation.navigate('FaceVerification');
   };
 
+  const renderPendingBanner = () => {
+    if (!pendingJob) {
+      return null;
+    }
+
+    const sent = pendingJob.stage === 'confirm';
+    return (
+      <View style={styles.expiryBanner}>
+        <Text style={styles.expiryTitle}>Verification in progress</Text>
+        <Text style={styles.expiryText}>
+          {sent
+            ? 'Your proof was sent to the blockchain. Check whether it has been confirmed.'
+            : 'Your proof is ready but has not been submitted yet.'}
+        </Text>
+        <TouchableOpacity
+          style={styles.reverifyButton}
+          onPress={() => navigation.navigate('ProofGeneration')}>
+          <Text style={styles.reverifyButtonText}>Resume</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderExpiryBanner = () => {
+    if (expiryStatus.state !== 'expiring' && expiryStatus.state !== 'expired') {
+      return null;
+    }
+
+    const expired = expiryStatus.state === 'expired';
+    const days = expiryStatus.daysRemaining;
+    return (
+      <View style={[styles.expiryBanner, expired && styles.expiredBanner]}>
+        <Text style={styles.expiryTitle}>
+          {expired ? 'Verification expired' : 'Verification expiring soon'}
+        </Text>
+        <Text style={styles.expiryText}>
+          {expired
+            ? 'Your on-chain verification is no longer valid. Verify again to restore it.'
+            : `Your verification expires in ${days} day${days === 1 ? '' : 's'}. Re-verify now to avoid a gap.`}
+        </Text>
+        <TouchableOpacity style={styles.reverifyButton} onPress={startVerification}>
+          <Text style={styles.reverifyButtonText}>Re-verify</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
@@ -35,6 +152,9 @@ const HomeScreen: React.FC<Props> = ({navigation}) => {
           </Text>
         </View>
 
+        {renderPendingBanner()}
+        {renderExpiryBanner()}
+
         <View style={styles.featuresContainer}>
           <View style={styles.feature}>
             <Text style={styles.featureIcon}>👤</Text>
@@ -66,13 +186,59 @@ const HomeScreen: React.FC<Props> = ({navigation}) => {
           <Text style={styles.startButtonText}>Start Verification</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity
+          style={[styles.historyButton, styles.stackedButton]}
+          onPress={() => navigation.navigate('CredentialHistory')}>
+          <Text style={styles.historyButtonText}>My Credentials</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.historyButton}
+          onPress={() => navigation.navigate('SelectWallet')}>
+          <Text style={styles.historyButtonText}>Wallet</Text>
+        </TouchableOpacity>
+
+        <View style={[styles.infoContainer, styles.privacyContainer]}>
+          <Text style={styles.infoTitle}>Your data</Text>
+          <Text style={styles.privacyText}>
+            Selfies and document details are kept encrypted on this device for up to:
+          </Text>
+          <View style={styles.retentionOptions}>
+            {RETENTION_OPTIONS.map(option => {
+              const selected = option.captureMaxAge === retentionPolicy.captureMaxAge;
+              return (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.retentionOption, selected && styles.selectedRetentionOption]}
+                  onPress={() => changeRetention(option.captureMaxAge)}>
+                  <Text
+                    style={[
+                      styles.retentionOptionText,
+                      selected && styles.selectedRetentionOptionText,
+                    ]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.privacyText}>
+            Photos are deleted as soon as your proof is generated, and the rest once your
+            verification completes.
+          </Text>
+          <TouchableOpacity style={styles.wipeButton} onPress={confirmWipe}>
+            <Text style={styles.wipeButtonText}>Delete All My Data</Text>
+          </TouchableOpacity>
+        </View>
+
         <View style={styles.infoContainer}>
           <Text style={styles.infoTitle}>How it works:</Text>
           <Text style={styles.infoStep}>1. Capture your face for biometric verification</Text>
           <Text style={styles.infoStep}>2. Upload and verify your government ID</Text>
-          <Text style={styles.infoStep}>3. Generate zero-knowledge proof</Text>
-          <Text style={styles.infoStep}>4. Submit proof to blockchain</Text>
-          <Text style={styles.infoStep}>5. Receive verification certificate</Text>
+          <Text style={styles.infoStep}>3. Choose the wallet to verify</Text>
+          <Text style={styles.infoStep}>4. Generate zero-knowledge proof</Text>
+          <Text style={styles.infoStep}>5. Submit proof to blockchain</Text>
+          <Text style={styles.infoStep}>6. Receive verification certificate</Text>
         </View>
       </View>
     </ScrollView>
@@ -116,6 +282,42 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     lineHeight: 24,
   },
+  expiryBanner: {
+    backgroundColor: '#fffbeb',
+    borderColor: '#f59e0b',
+    borderWidth: 1,
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 24,
+  },
+  expiredBanner: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#ef4444',
+  },
+  expiryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 6,
+  },
+  expiryText: {
+    fontSize: 14,
+    color: '#4b5563',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  reverifyButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#6366f1',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  reverifyButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   featuresContainer: {
     marginBottom: 40,
   },
@@ -154,7 +356,7 @@ const styles = StyleSheet.create({
     paddingHorizontal: 32,
     borderRadius: 12,
     alignItems: 'center',
-    marginBottom: 40,
+    marginBottom: 16,
     shadowColor: '#6366f1',
     shadowOffset: {
       width: 0,
@@ -169,6 +371,24 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  historyButton: {
+    backgroundColor: '#ffffff',
+    paddingVertical: 16,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginBottom: 40,
+    borderWidth: 1,
+    borderColor: '#6366f1',
+  },
+  stackedButton: {
+    marginBottom: 12,
+  },
+  historyButtonText: {
+    color: '#6366f1',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
   infoContainer: {
     backgroundColor: '#ffffff',
     padding: 20,
@@ -188,6 +408,54 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     marginBottom: 16,
   },
+  privacyContainer: {
+    marginBottom: 24,
+  },
+  privacyText: {
+    fontSize: 14,
+    color: '#6b7280',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  retentionOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  retentionOption: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    alignItems: 'center',
+  },
+  selectedRetentionOption: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  retentionOptionText: {
+    fontSize: 14,
+    color: '#4b5563',
+  },
+  selectedRetentionOptionText: {
+    color: '#ffffff',
+    fontWeight: 'bold',
+  },
+  wipeButton: {
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#ef4444',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  wipeButtonText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   infoStep: {
     fontSize: 14,
     color: '#6b7280',
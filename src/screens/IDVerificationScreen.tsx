@@ -10,27 +10,97 @@ import {
   ScrollView,
 } from 'react-native';
 import {StackNavigationProp} from '@react-navigation/stack';
+import {RouteProp} from '@react-navigation/native';
 import DocumentPicker from 'react-native-document-picker';
 import * as ImagePicker from 'expo-image-picker';
-import {RootStackParamList, IDDocument} from '@types/index';
-import {IDVerificationService} from '@services/IDVerificationService';
+import {
+  RootStackParamList,
+  MrzCheckField,
+  CaptureIssue,
+  DocumentField,
+  IDDocument,
+  RedactedFaceMatch,
+  RedactedIDDocument,
+} from '@types/index';
+import {FACE_DETECTOR_MISSING} from '@services/FaceVerificationService';
+import {
+  DOCUMENT_TYPE_MISMATCH,
+  IMAGE_LOADER_MISSING,
+  OCR_ENGINE_MISSING,
+} from '@services/IDVerificationService';
+import {useServices} from '@components/ServicesProvider';
 
 type IDVerificationScreenNavigationProp = StackNavigationProp<
   RootStackParamList,
   'IDVerification'
 >;
 
+type IDVerificationScreenRouteProp = RouteProp<
+  RootStackParamList,
+  'IDVerification'
+>;
+
 interface Props {
   navigation: IDVerificationScreenNavigationProp;
+  route: IDVerificationScreenRouteProp;
 }
 
-const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
+const MRZ_CHECK_LABELS: Record<MrzCheckField, string> = {
+  documentNumber: 'document number',
+  dateOfBirth: 'date of birth',
+  expiryDate: 'expiry date',
+  personalNumber: 'personal number',
+  composite: 'overall check',
+};
+
+const FIELD_LABELS: Record<DocumentField, string> = {
+  firstName: 'first name',
+  lastName: 'last name',
+  dateOfBirth: 'date of birth',
+  documentNumber: 'document number',
+  expiryDate: 'expiry date',
+  nationality: 'nationality',
+  address: 'address',
+};
+
+// Selector buttons, in order
+const DOCUMENT_TYPE_LABELS: Record<IDDocument['type'], string> = {
+  passport: 'Passport',
+  drivers_license: 'Driver\'s License',
+  national_id: 'National ID',
+};
+
+// How messages refer to each document type
+const DOCUMENT_TYPE_NAMES: Record<IDDocument['type'], string> = {
+  passport: 'passport',
+  drivers_license: 'driver\'s license',
+  national_id: 'national ID',
+};
+
+const CAPTURE_ISSUE_MESSAGES: Record<CaptureIssue, string> = {
+  no_document: 'the edges of the document are not visible',
+  blurry: 'the photo is blurry',
+  glare: 'glare covers part of the document',
+};
+
+const IDVerificationScreen: React.FC<Props> = ({navigation, route}) => {
   const [selectedImage, setSelectedImage] = useState<string | null>(null);
   const [isProcessing, setIsProcessing] = useState<boolean>(false);
-  const [extractedData, setExtractedData] = useState<IDDocument | null>(null);
-  const [documentType, setDocumentType] = useState<'passport' | 'drivers_license' | 'national_id'>('passport');
-  
-  const idService = new IDVerificationService();
+  const [extractedData, setExtractedData] = useState<RedactedIDDocument | null>(null);
+  const [faceMatch, setFaceMatch] = useState<RedactedFaceMatch | null>(null);
+  const [captureIssues, setCaptureIssues] = useState<CaptureIssue[]>([]);
+  const [documentType, setDocumentType] = useState<IDDocument['type']>('passport');
+  // Further documents of the user, checked against the one the proof commits to
+  const [supportingDocuments, setSupportingDocuments] = useState<RedactedIDDocument[]>([]);
+  const [addingDocument, setAddingDocument] = useState<boolean>(false);
+  const [supportingImage, setSupportingImage] = useState<string | null>(null);
+
+  const {faceData} = route.params;
+  const {
+    idVerification: idService,
+    faceVerification: faceService,
+    privacyVault,
+  } = useServices();
 
   const showImagePicker = () => {
     Alert.alert(
@@ -53,7 +123,7 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
     });
 
     if (!result.canceled && result.assets[0]) {
-      setSelectedImage(result.assets[0].uri);
+      selectImage(result.assets[0].uri);
     }
   };
 
@@ -66,44 +136,125 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
     });
 
     if (!result.canceled && result.assets[0]) {
-      setSelectedImage(result.assets[0].uri);
+      selectImage(result.assets[0].uri);
+    }
+  };
+
+  // Warn about blurry or glare-ridden photos before they are processed
+  const selectImage = async (imageUri: string) => {
+    if (addingDocument) {
+      setSupportingImage(imageUri);
+      setCaptureIssues([]);
+    } else {
+      resetDocument();
+      setSelectedImage(imageUri);
+    }
+
+    try {
+      const {issues} = await idService.assessCapture(imageUri);
+      setCaptureIssues(issues);
+
+      if (issues.length > 0) {
+        const problems = issues.map(issue => CAPTURE_ISSUE_MESSAGES[issue]).join(' and ');
+        Alert.alert(
+          'Check Your Photo',
+          `It looks like ${problems}. The document may not be read correctly.`,
+          [
+            {text: 'Use Anyway', style: 'cancel'},
+            {
+              text: 'Retake',
+              onPress: () => {
+                if (addingDocument) {
+                  setSupportingImage(null);
+                  setCaptureIssues([]);
+                } else {
+                  resetDocument(null);
+                }
+                showImagePicker();
+              },
+            },
+          ]
+        );
+      }
+    } catch (error) {
+      console.error('Error assessing document photo:', error);
     }
   };
 
   const processDocument = async () => {
-    if (!selectedImage) {
+    const imageUri = addingDocument ? supportingImage : selectedImage;
+    if (!imageUri) {
       Alert.alert('Error', 'Please select an ID document first');
       return;
     }
 
+    let documentData: RedactedIDDocument | null = null;
     try {
       setIsProcessing(true);
-      const documentData = await idService.extractData(selectedImage);
-      
-      if (documentData.confidence > 0.7) {
+      // Encrypted straight away; the screen only keeps the redacted view
+      documentData = await privacyVault.storeDocument(
+        await idService.extractData(imageUri, documentType)
+      );
+
+      if (documentData.mrz && !documentData.mrz.valid) {
+        discardCapture(documentData);
+        const failed = documentData.mrz.failedChecks.map(field => MRZ_CHECK_LABELS[field]);
+        Alert.alert(
+          'Document Check Failed',
+          failed.length > 0
+            ? `The machine readable zone did not pass its check digits (${failed.join(', ')}). Retake the photo with the code lines at the bottom in sharp focus.`
+            : 'A date in the machine readable zone could not be read. Retake the photo with the code lines at the bottom in sharp focus.',
+          [{text: 'OK'}]
+        );
+        return;
+      }
+
+      if (documentData.issues && documentData.issues.length > 0) {
+        discardCapture(documentData);
+        const fields = documentData.issues
+          .map(issue => FIELD_LABELS[issue.field])
+          .filter((field, index, all) => all.indexOf(field) === index);
+        Alert.alert(
+          'Details Not Valid',
+          `Some details could not be read or are not valid for a ${DOCUMENT_TYPE_NAMES[documentType]}: ${fields.join(', ')}. Retake the photo with the whole document in sharp focus.`,
+          [{text: 'OK'}]
+        );
+        return;
+      }
+
+      if (documentData.confidence > 0.7 && addingDocument && extractedData) {
+        await addSupportingDocument(extractedData, documentData);
+      } else if (documentData.confidence > 0.7) {
+        // The selfie must match the portrait printed on the document
+        const match = await privacyVault.matchDocumentPortrait(
+          {faceCaptureId: faceData.captureId, documentCaptureId: documentData.captureId},
+          (selfie, documentImageUri) => faceService.matchDocumentPortrait(selfie, documentImageUri)
+        );
         setExtractedData(documentData);
+        setFaceMatch(match);
+
+        if (!match.matched) {
+          // The mismatch card explains what to retake
+          return;
+        }
+
         Alert.alert(
           'Document Processed',
-          'ID document successfully verified!',
+          'ID document verified and your face matches its photo!',
           [
             {
               text: 'Retake',
               style: 'cancel',
-              onPress: () => {
-                setSelectedImage(null);
-                setExtractedData(null);
-              },
+              onPress: () => resetDocument(documentData),
             },
             {
               text: 'Continue',
-              onPress: () => navigation.navigate('ProofGeneration', {
-                faceData: '', // This would come from previous screen
-                idData: documentData,
-              }),
+              onPress: () => continueToProof(documentData!),
             },
           ]
         );
       } else {
+        discardCapture(documentData);
         Alert.alert(
           'Document Not Clear',
           'Please ensure the document is clearly visible and try again.',
@@ -112,55 +263,173 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
       }
     } catch (error) {
       console.error('Error processing document:', error);
-      Alert.alert('Error', 'Failed to process document. Please try again.');
+      if (documentData) {
+        discardCapture(documentData);
+      }
+      if (error instanceof Error && error.message === DOCUMENT_TYPE_MISMATCH) {
+        Alert.alert(
+          'Different Document',
+          `This does not look like a ${DOCUMENT_TYPE_NAMES[documentType]}. Select the type of document you photographed, or retake the photo.`
+        );
+      } else if (
+        error instanceof Error &&
+        [OCR_ENGINE_MISSING, IMAGE_LOADER_MISSING, FACE_DETECTOR_MISSING].includes(
+          error.message
+        )
+      ) {
+        Alert.alert(
+          'Document Reading Unavailable',
+          'This build of the app cannot read documents yet. Retaking the photo will not help.'
+        );
+      } else if (error instanceof Error && error.message === 'No machine readable zone found') {
+        Alert.alert(
+          'Code Lines Not Found',
+          'We could not read the machine readable zone. Make sure the lines of characters at the bottom of the document are fully visible.'
+        );
+      } else if (error instanceof Error && error.message === 'No document text found') {
+        Alert.alert(
+          'Document Not Readable',
+          'We could not read any details from this document. Retake the photo in even light with the whole document in frame.'
+        );
+      } else if (error instanceof Error && error.message === 'No portrait found on document') {
+        Alert.alert(
+          'No Portrait Found',
+          'We could not find the photo on your document. Make sure the photo is fully visible and not covered by glare.'
+        );
+      } else {
+        Alert.alert('Error', 'Failed to process document. Please try again.');
+      }
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // A supporting document must name the same person as the one the proof commits to
+  const addSupportingDocument = async (
+    primary: RedactedIDDocument,
+    document: RedactedIDDocument
+  ) => {
+    const checks = await privacyVault.checkDocumentConsistency([
+      primary.captureId,
+      ...supportingDocuments.map(supporting => supporting.captureId),
+      document.captureId,
+    ]);
+    const differing = checks.filter(check => !check.agrees).map(check => FIELD_LABELS[check.field]);
+
+    if (differing.length > 0) {
+      discardCapture(document);
+      Alert.alert(
+        'Documents Do Not Match',
+        `This ${DOCUMENT_TYPE_NAMES[document.type]} shows a different ${differing.join(' and ')} from your ${DOCUMENT_TYPE_NAMES[primary.type]}. Every document must be your own.`,
+        [{text: 'OK'}]
+      );
+      return;
+    }
+
+    setSupportingDocuments([...supportingDocuments, document]);
+    stopAddingDocument();
+    Alert.alert(
+      'Document Added',
+      `Your ${DOCUMENT_TYPE_NAMES[document.type]} matches your ${DOCUMENT_TYPE_NAMES[primary.type]}.`,
+      [{text: 'OK'}]
+    );
+  };
+
+  const startAddingDocument = () => {
+    setAddingDocument(true);
+    setSupportingImage(null);
+    setCaptureIssues([]);
+  };
+
+  const stopAddingDocument = () => {
+    setAddingDocument(false);
+    setSupportingImage(null);
+    setCaptureIssues([]);
+  };
+
+  // Delete a document capture that will not be used, with its photo
+  const discardCapture = (document: RedactedIDDocument) => {
+    privacyVault.remove([document.captureId]).catch(error =>
+      console.error('Error deleting document capture:', error)
+    );
+  };
+
+  // Alerts pass the document they were shown for; state in their callbacks is stale
+  const resetDocument = (
+    document: RedactedIDDocument | null = extractedData,
+    supporting: RedactedIDDocument[] = supportingDocuments
+  ) => {
+    if (document) {
+      discardCapture(document);
+    }
+    supporting.forEach(discardCapture);
+    setSelectedImage(null);
+    setExtractedData(null);
+    setFaceMatch(null);
+    setSupportingDocuments([]);
+    stopAddingDocument();
+  };
+
+  // The proof is bound to a wallet, so choose it before proving
+  const continueToProof = (
+    document: RedactedIDDocument,
+    supporting: RedactedIDDocument[] = supportingDocuments
+  ) => {
+    navigation.navigate('SelectWallet', {
+      proofGeneration: {
+        faceCaptureId: faceData.captureId,
+        documentCaptureId: document.captureId,
+        ...(supporting.length > 0 && {
+          supportingDocumentCaptureIds: supporting.map(({captureId}) => captureId),
+        }),
+      },
+    });
+  };
+
+  const FaceMatchDisplay = () => {
+    if (!faceMatch) return null;
+
+    const similarity = Math.round(Math.max(faceMatch.similarity, 0) * 100);
+    const required = Math.round(faceMatch.threshold * 100);
+
+    return (
+      <View style={[styles.faceMatchContainer, !faceMatch.matched && styles.faceMismatchContainer]}>
+        <Text style={styles.sectionTitle}>
+          {faceMatch.matched ? '✓ Face Matches Document' : '✗ Face Does Not Match Document'}
+        </Text>
+        <Text style={styles.faceMatchText}>
+          Similarity {similarity}% (at least {required}% required)
+        </Text>
+        {!faceMatch.matched && (
+          <Text style={styles.faceMatchText}>
+            Your selfie does not match the photo on this document. Retake your selfie in good
+            light, or retake the document so its photo is sharp and unobstructed.
+          </Text>
+        )}
+      </View>
+    );
+  };
+
   const DocumentTypeSelector = () => (
     <View style={styles.documentTypeContainer}>
       <Text style={styles.sectionTitle}>Document Type</Text>
       <View style={styles.documentTypeButtons}>
-        <TouchableOpacity
-          style={[
-            styles.documentTypeButton,
-            documentType === 'passport' && styles.selectedDocumentType,
-          ]}
-          onPress={() => setDocumentType('passport')}>
-          <Text style={[
-            styles.documentTypeText,
-            documentType === 'passport' && styles.selectedDocumentTypeText,
-          ]}>
-            Passport
-          </Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[
-            styles.documentTypeButton,
-            documentType === 'drivers_license' && styles.selectedDocumentType,
-          ]}
-          onPress={() => setDocumentType('drivers_license')}>
-          <Text style={[
-            styles.documentTypeText,
-            documentType === 'drivers_license' && styles.selectedDocumentTypeText,
-          ]}>
-            Driver's License
-          </Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[
-            styles.documentTypeButton,
-            documentType === 'national_id' && styles.selectedDocumentType,
-          ]}
-          onPress={() => setDocumentType('national_id')}>
-          <Text style={[
-            styles.documentTypeText,
-            documentType === 'national_id' && styles.selectedDocumentTypeText,
-          ]}>
-            National ID
-          </Text>
-        </TouchableOpacity>
+        {(Object.keys(DOCUMENT_TYPE_LABELS) as Array<IDDocument['type']>).map(type => (
+          <TouchableOpacity
+            key={type}
+            style={[
+              styles.documentTypeButton,
+              documentType === type && styles.selectedDocumentType,
+            ]}
+            onPress={() => setDocumentType(type)}>
+            <Text style={[
+              styles.documentTypeText,
+              documentType === type && styles.selectedDocumentTypeText,
+            ]}>
+              {DOCUMENT_TYPE_LABELS[type]}
+            </Text>
+          </TouchableOpacity>
+        ))}
       </View>
     </View>
   );
@@ -171,6 +440,9 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
     return (
       <View style={styles.extractedDataContainer}>
         <Text style={styles.sectionTitle}>Extracted Information</Text>
+        <Text style={styles.maskedNote}>
+          Details are partly hidden. The full data stays encrypted on this device.
+        </Text>
         <View style={styles.dataRow}>
           <Text style={styles.dataLabel}>First Name:</Text>
           <Text style={styles.dataValue}>{extractedData.extractedData.firstName}</Text>
@@ -201,11 +473,52 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
           <Text style={styles.confidenceLabel}>
             Confidence: {Math.round(extractedData.confidence * 100)}%
           </Text>
+          {extractedData.mrz && (
+            <Text style={styles.confidenceLabel}>
+              {extractedData.mrz.format} machine readable zone: check digits{' '}
+              {extractedData.mrz.valid ? 'valid' : 'invalid'}
+            </Text>
+          )}
+          {extractedData.barcode && (
+            <Text style={styles.confidenceLabel}>
+              Read from the license barcode (AAMVA version {extractedData.barcode.version})
+            </Text>
+          )}
+          {extractedData.zoneChecks && extractedData.zoneChecks.length > 0 && (
+            <Text style={styles.confidenceLabel}>
+              Printed details:{' '}
+              {extractedData.zoneChecks.every(check => check.agrees)
+                ? 'match the code lines'
+                : `${extractedData.zoneChecks.filter(check => !check.agrees).length} differ from the code lines`}
+            </Text>
+          )}
         </View>
       </View>
     );
   };
 
+  const SupportingDocumentsDisplay = () => {
+    if (supportingDocuments.length === 0) return null;
+
+    return (
+      <View style={styles.extractedDataContainer}>
+        <Text style={styles.sectionTitle}>Supporting Documents</Text>
+        <Text style={styles.maskedNote}>
+          Each shows the same name and date of birth as your{' '}
+          {DOCUMENT_TYPE_NAMES[extractedData!.type]}.
+        </Text>
+        {supportingDocuments.map(document => (
+          <View key={document.captureId} style={styles.dataRow}>
+            <Text style={styles.dataLabel}>✓ {DOCUMENT_TYPE_LABELS[document.type]}</Text>
+            <Text style={styles.dataValue}>{document.extractedData.documentNumber}</Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const currentImage = addingDocument ? supportingImage : selectedImage;
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
@@ -218,9 +531,19 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
       <DocumentTypeSelector />
 
       <View style={styles.uploadContainer}>
-        {selectedImage ? (
+        {addingDocument && (
+          <Text style={styles.addingDocumentText}>
+            Add another of your documents. It must show the same name and date of birth.
+          </Text>
+        )}
+        {currentImage ? (
           <View style={styles.imageContainer}>
-            <Image source={{uri: selectedImage}} style={styles.selectedImage} />
+            <Image source={{uri: currentImage}} style={styles.selectedImage} />
+            {captureIssues.length > 0 && (
+              <Text style={styles.captureWarningText}>
+                Photo check: {captureIssues.map(issue => CAPTURE_ISSUE_MESSAGES[issue]).join('; ')}
+              </Text>
+            )}
             <TouchableOpacity
               style={styles.changeImageButton}
               onPress={showImagePicker}>
@@ -240,7 +563,7 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
         )}
       </View>
 
-      {selectedImage && !extractedData && (
+      {currentImage && (addingDocument || !extractedData) && (
         <TouchableOpacity
           style={[styles.processButton, isProcessing && styles.processingButton]}
           onPress={processDocument}
@@ -258,23 +581,51 @@ const IDVerificationScreen: React.FC<Props> = ({navigation}) => {
 
       <ExtractedDataDisplay />
 
-      {extractedData && (
+      <FaceMatchDisplay />
+
+      <SupportingDocumentsDisplay />
+
+      {extractedData && faceMatch?.matched && !addingDocument && (
+        <>
+          <View style={styles.actionButtons}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.retakeButton]}
+              onPress={() => resetDocument()}>
+              <Text style={styles.retakeButtonText}>Retake</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.continueButton]}
+              onPress={() => continueToProof(extractedData)}>
+              <Text style={styles.continueButtonText}>Continue</Text>
+            </TouchableOpacity>
+          </View>
+          <TouchableOpacity style={styles.addDocumentButton} onPress={startAddingDocument}>
+            <Text style={styles.retakeButtonText}>Add Another Document</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {addingDocument && (
+        <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.retakeButton]}
+            onPress={stopAddingDocument}>
+            <Text style={styles.retakeButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {extractedData && faceMatch && !faceMatch.matched && (
         <View style={styles.actionButtons}>
           <TouchableOpacity
             style={[styles.actionButton, styles.retakeButton]}
-            onPress={() => {
-              setSelectedImage(null);
-              setExtractedData(null);
-            }}>
-            <Text style={styles.retakeButtonText}>Retake</Text>
+            onPress={() => navigation.navigate('FaceVerification')}>
+            <Text style={styles.retakeButtonText}>Retake Selfie</Text>
           </TouchableOpacity>
           <TouchableOpacity
-            style={[styles.actionButton, styles.continueButton]}
-            onPress={() => navigation.navigate('ProofGeneration', {
-              faceData: '', // This would come from previous screen
-              idData: extractedData,
-            })}>
-            <Text style={styles.continueButtonText}>Continue</Text>
+            style={[styles.actionButton, styles.retakeButton]}
+            onPress={() => resetDocument()}>
+            <Text style={styles.retakeButtonText}>Retake Document</Text>
           </TouchableOpacity>
         </View>
       )}
@@ -387,6 +738,12 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     resizeMode: 'contain',
   },
+  captureWarningText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#b91c1c',
+    textAlign: 'center',
+  },
   changeImageButton: {
     marginTop: 12,
     paddingVertical: 8,
@@ -431,6 +788,11 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  maskedNote: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
   dataRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -457,6 +819,25 @@ const styles = StyleSheet.create({
     color: '#059669',
     fontWeight: 'bold',
   },
+  faceMatchContainer: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+    padding: 20,
+    backgroundColor: '#f0fdf4',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#059669',
+  },
+  faceMismatchContainer: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#ef4444',
+  },
+  faceMatchText: {
+    fontSize: 14,
+    color: '#4b5563',
+    lineHeight: 20,
+    marginBottom: 4,
+  },
   actionButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -484,6 +865,22 @@ const styles = StyleSheet.create({
   continueButton: {
     backgroundColor: '#059669',
   },
+  addDocumentButton: {
+    marginHorizontal: 28,
+    marginBottom: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#f3f4f6',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  addingDocumentText: {
+    fontSize: 14,
+    color: '#4b5563',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
   continueButtonText: {
     color: '#ffffff',
     fontSize: 16,
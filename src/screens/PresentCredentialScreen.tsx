@@ -0,0 +1,261 @@
+import React, {useEffect, useState} from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import {StackNavigationProp} from '@react-navigation/stack';
+import {RouteProp} from '@react-navigation/native';
+import {Camera, CameraView} from 'expo-camera';
+import {Predicate, PresentationRequest, RootStackParamList} from '@types/index';
+import {PresentationService} from '@services/PresentationService';
+import {useServices} from '@components/ServicesProvider';
+import {getNetwork} from '@utils/networks';
+import {parsePresentationRequest} from '@utils/presentation';
+
+type PresentCredentialScreenNavigationProp = StackNavigationProp<
+  RootStackParamList,
+  'PresentCredential'
+>;
+
+type PresentCredentialScreenRouteProp = RouteProp<RootStackParamList, 'PresentCredential'>;
+
+interface Props {
+  navigation: PresentCredentialScreenNavigationProp;
+  route: PresentCredentialScreenRouteProp;
+}
+
+const describePredicate = (predicate: Predicate): string => {
+  switch (predicate.type) {
+    case 'age_over':
+      return `You are at least ${predicate.minAge} years old`;
+    case 'nationality_in':
+      return `Your nationality is one of ${predicate.countries.join(', ')}`;
+    case 'not_expired':
+      return 'Your document has not expired';
+  }
+};
+
+const PresentCredentialScreen: React.FC<Props> = ({navigation, route}) => {
+  const [hasPermission, setHasPermission] = useState<boolean>(false);
+  const [request, setRequest] = useState<PresentationRequest | null>(null);
+  const [scanPaused, setScanPaused] = useState<boolean>(false);
+  const [sending, setSending] = useState<boolean>(false);
+
+  const {credential} = route.params;
+  const {createWeb3} = useServices();
+
+  useEffect(() => {
+    requestCameraPermission();
+  }, []);
+
+  const requestCameraPermission = async () => {
+    try {
+      const {status} = await Camera.requestCameraPermissionsAsync();
+      setHasPermission(status === 'granted');
+    } catch (error) {
+      console.error('Error requesting camera permission:', error);
+      Alert.alert('Error', 'Failed to request camera permission');
+    }
+  };
+
+  const handleScan = ({data}: {data: string}) => {
+    // The scanner keeps firing while the code is in view
+    setScanPaused(true);
+
+    try {
+      setRequest(parsePresentationRequest(data));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unreadable code';
+      Alert.alert('Invalid Request', message, [
+        {text: 'Scan Again', onPress: () => setScanPaused(false)},
+      ]);
+    }
+  };
+
+  const declineRequest = () => {
+    setRequest(null);
+    setScanPaused(false);
+  };
+
+  const sendPresentation = async () => {
+    if (!request) {
+      return;
+    }
+
+    setSending(true);
+    try {
+      const web3Service = createWeb3(request.contract);
+      await web3Service.connect(getNetwork(request.chainId));
+
+      const presentationService = new PresentationService(web3Service);
+      const presentation = await presentationService.createPresentation(request, credential);
+      await presentationService.sendPresentation(request, presentation);
+
+      Alert.alert('Credential Presented', `${request.verifier} has received your proof.`, [
+        {text: 'Done', onPress: () => navigation.goBack()},
+      ]);
+    } catch (error) {
+      console.error('Presentation error:', error);
+      if (error instanceof Error && error.message === 'No wallet selected') {
+        Alert.alert('Choose Your Wallet', 'Connect the wallet that holds this credential.', [
+          {text: 'Cancel', style: 'cancel'},
+          {text: 'Choose Wallet', onPress: () => navigation.navigate('SelectWallet')},
+        ]);
+        return;
+      }
+      const message = error instanceof Error ? error.message : 'Could not present the credential';
+      Alert.alert('Presentation Failed', message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!request) {
+    return (
+      <View style={styles.container}>
+        {hasPermission ? (
+          <CameraView
+            style={styles.camera}
+            facing="back"
+            barcodeScannerSettings={{barcodeTypes: ['qr']}}
+            onBarcodeScanned={scanPaused ? undefined : handleScan}
+          />
+        ) : (
+          <View style={styles.content}>
+            <Text style={styles.description}>Camera access is needed to scan the request.</Text>
+          </View>
+        )}
+        <View style={styles.scanHint}>
+          <Text style={styles.scanHintText}>Scan the verifier's QR code</Text>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.content}>
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{request.verifier} asks you to prove</Text>
+          <Text style={styles.claim}>• Your identity is verified on-chain</Text>
+          {request.predicate && (
+            <Text style={styles.claim}>• {describePredicate(request.predicate)}</Text>
+          )}
+          <Text style={styles.description}>
+            Your proof will be sent to {request.callback}. No personal details leave this device.
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, sending && styles.disabledButton]}
+          onPress={sendPresentation}
+          disabled={sending}>
+          {sending ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Share Proof</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={declineRequest}
+          disabled={sending}>
+          <Text style={styles.secondaryButtonText}>Decline</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  camera: {
+    flex: 1,
+  },
+  scanHint: {
+    position: 'absolute',
+    bottom: 40,
+    left: 20,
+    right: 20,
+    padding: 16,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    alignItems: 'center',
+  },
+  scanHintText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  claim: {
+    fontSize: 16,
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#6b7280',
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#059669',
+    paddingVertical: 16,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    backgroundColor: '#f3f4f6',
+    paddingVertical: 16,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default PresentCredentialScreen;
@@ -8,9 +8,14 @@ import {
 } from 'react-native';
 import {StackNavigationProp} from '@react-navigation/stack';
 import {RouteProp} from '@react-navigation/native';
-import {RootStackParamList, ZKProof, TransactionResult} from '@types/index';
-import {MoproService} from '@services/MoproService';
-import {Web3Service} from '@services/Web3Service';
+import {RootStackParamList, PipelineProgress, PipelineStage} from '@types/index';
+import {
+  DOCUMENTS_INCONSISTENT,
+  PIPELINE_CANCELLED,
+  TRANSFER_DECLINED,
+} from '@services/ProofPipelineService';
+import {CAPTURE_UNAVAILABLE} from '@services/PrivacyVaultService';
+import {useServices} from '@components/ServicesProvider';
 
 type ProofGenerationScreenNavigationProp = StackNavigationProp<
   RootStackParamList,
@@ -27,86 +32,130 @@ interface Props {
   route: ProofGenerationScreenRouteProp;
 }
 
-enum ProofStage {
-  PREPARING = 'preparing',
-  GENERATING_PROOF = 'generating_proof',
-  SUBMITTING_TO_BLOCKCHAIN = 'submitting_to_blockchain',
-  COMPLETED = 'completed',
-  ERROR = 'error',
-}
+const PROCESS_STEPS: Array<{stage: PipelineStage; label: string}> = [
+  {stage: 'prepare', label: 'Prepare verification data'},
+  {stage: 'prove', label: 'Generate zero-knowledge proof'},
+  {stage: 'verify', label: 'Check the proof on this device'},
+  {stage: 'submit', label: 'Submit proof to blockchain'},
+  {stage: 'confirm', label: 'Wait for confirmation'},
+  {stage: 'done', label: 'Verification complete'},
+];
 
 const ProofGenerationScreen: React.FC<Props> = ({navigation, route}) => {
-  const [currentStage, setCurrentStage] = useState<ProofStage>(ProofStage.PREPARING);
+  const [currentStage, setCurrentStage] = useState<PipelineStage>('prepare');
+  const [failed, setFailed] = useState<boolean>(false);
+  const [waitingForNetwork, setWaitingForNetwork] = useState<boolean>(false);
   const [progress, setProgress] = useState<number>(0);
   const [statusMessage, setStatusMessage] = useState<string>('Preparing verification data...');
-  const [zkProof, setZkProof] = useState<ZKProof | null>(null);
-  const [transactionResult, setTransactionResult] = useState<TransactionResult | null>(null);
 
-  const {faceData, idData} = route.params;
-  const moproService = new MoproService();
-  const web3Service = new Web3Service();
+  // Without params the pending verification is resumed (see HomeScreen)
+  const captures = route.params;
+  const {proofPipeline: pipeline} = useServices();
 
   useEffect(() => {
     startProofGeneration();
+    // Leaving the screen stops the verification; what it got through is kept
+    return () => pipeline.cancel();
   }, []);
 
+  const onProgress = (update: PipelineProgress) => {
+    setCurrentStage(update.stage);
+    setProgress(Math.round(update.fraction * 100));
+    setStatusMessage(update.message);
+    setWaitingForNetwork(update.waitingForNetwork);
+  };
+
   const startProofGeneration = async () => {
+    setFailed(false);
     try {
-      // Stage 1: Prepare data
-      setCurrentStage(ProofStage.PREPARING);
-      setProgress(10);
-      setStatusMessage('Preparing verification data...');
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Stage 2: Generate ZK proof
-      setCurrentStage(ProofStage.GENERATING_PROOF);
-      setProgress(30);
-      setStatusMessage('Generating zero-knowledge proof...');
-      
-      const proofInputs = {
-        faceHash: hashFaceData(faceData),
-        idHash: hashIdData(idData),
-        timestamp: Math.floor(Date.now() / 1000),
-      };
-
-      const moproProof = await moproService.generateProof(proofInputs);
-      setProgress(60);
-
-      // Convert Mopro proof to our ZK proof format
-      const zkProof: ZKProof = {
-        proof: Buffer.from(moproProof.proof).toString('hex'),
-        publicSignals: moproProof.publicInputs,
-        verificationKey: await moproService.getVerificationKey(),
-      };
+      const credential = await pipeline.run({captures, confirmTransfer, onProgress});
 
-      setZkProof(zkProof);
-      setStatusMessage('Proof generated successfully!');
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Stage 3: Submit to blockchain
-      setCurrentStage(ProofStage.SUBMITTING_TO_BLOCKCHAIN);
-      setProgress(80);
-      setStatusMessage('Submitting proof to blockchain...');
-
-      await web3Service.connect();
-      const txResult = await web3Service.submitProof(zkProof);
-      setTransactionResult(txResult);
-      setProgress(100);
-
-      // Stage 4: Completed
-      setCurrentStage(ProofStage.COMPLETED);
-      setStatusMessage('Verification completed successfully!');
-      
       setTimeout(() => {
         navigation.navigate('VerificationComplete', {
-          proofHash: zkProof.proof,
-          transactionHash: txResult.hash,
+          proofHash: credential.id,
+          transactionHash: credential.transaction.hash,
+          credential,
         });
       }, 2000);
 
     } catch (error) {
+      if (error instanceof Error && error.message === PIPELINE_CANCELLED) {
+        return;
+      }
+      if (error instanceof Error && error.message === TRANSFER_DECLINED) {
+        navigation.goBack();
+        return;
+      }
+
       console.error('Proof generation error:', error);
-      setCurrentStage(ProofStage.ERROR);
+      setFailed(true);
+
+      if (error instanceof Error && error.message === 'Face does not match document portrait') {
+        // Retrying cannot help; the selfie has to be retaken
+        setStatusMessage('Your face does not match the document photo.');
+        Alert.alert(
+          'Face Mismatch',
+          'Your selfie does not match the photo on your ID closely enough to prove it.',
+          [{text: 'Retake Selfie', onPress: () => navigation.navigate('FaceVerification')}]
+        );
+        return;
+      }
+
+      if (error instanceof Error && error.message === CAPTURE_UNAVAILABLE) {
+        // Deleted under the retention policy, or the data was wiped
+        setStatusMessage('Your selfie and document are no longer stored.');
+        Alert.alert(
+          'Captures Deleted',
+          'Your selfie and document were deleted from this device before the proof was generated. Please capture them again.',
+          [{text: 'Start Again', onPress: () => navigation.navigate('FaceVerification')}]
+        );
+        return;
+      }
+
+      if (error instanceof Error && error.message === 'Liveness check not passed') {
+        setStatusMessage('Your selfie was not taken with a liveness check.');
+        Alert.alert(
+          'Liveness Check Required',
+          'Please retake your selfie and follow the on-screen prompts.',
+          [{text: 'Retake Selfie', onPress: () => navigation.navigate('FaceVerification')}]
+        );
+        return;
+      }
+
+      if (error instanceof Error && error.message === DOCUMENTS_INCONSISTENT) {
+        setStatusMessage('Your documents show different personal details.');
+        Alert.alert(
+          'Documents Do Not Match',
+          'Your documents do not show the same name and date of birth. Please capture them again.',
+          [{text: 'Start Again', onPress: () => navigation.navigate('FaceVerification')}]
+        );
+        return;
+      }
+
+      if (
+        error instanceof Error &&
+        (error.message === 'No wallet selected' || error.message === 'Wallet account changed')
+      ) {
+        setStatusMessage('The wallet to verify is not connected.');
+        Alert.alert(
+          'Choose Your Wallet',
+          'Your wallet disconnected or switched accounts. Choose the wallet to verify and the proof will be generated for it.',
+          [
+            {
+              text: 'Choose Wallet',
+              onPress: async () => {
+                if (error.message === 'Wallet account changed') {
+                  // The pending proof is bound to the old account
+                  await pipeline.discard();
+                }
+                navigation.replace('SelectWallet', {proofGeneration: captures});
+              },
+            },
+          ]
+        );
+        return;
+      }
+
       setStatusMessage('Failed to generate proof. Please try again.');
       
       Alert.alert(
@@ -114,6 +163,7 @@ const ProofGenerationScreen: React.FC<Props> = ({navigation, route}) => {
         'There was an error generating your verification proof. Please try again.',
         [
           {
+            // Picks up from the stage that failed
             text: 'Retry',
             onPress: () => startProofGeneration(),
           },
@@ -127,43 +177,40 @@ const ProofGenerationScreen: React.FC<Props> = ({navigation, route}) => {
     }
   };
 
-  const hashFaceData = (faceData: string): string => {
-    // In a real implementation, this would use a proper hash function
-    // For demo purposes, we'll use a simple hash
-    return Buffer.from(faceData).toString('base64').substring(0, 32);
-  };
-
-  const hashIdData = (idData: any): string => {
-    // In a real implementation, this would hash the ID data properly
-    const dataString = JSON.stringify({
-      firstName: idData.extractedData.firstName,
-      lastName: idData.extractedData.lastName,
-      dateOfBirth: idData.extractedData.dateOfBirth,
-      documentNumber: idData.extractedData.documentNumber,
+  const confirmTransfer = (): Promise<boolean> =>
+    new Promise(resolve => {
+      Alert.alert(
+        'Document Already Verified',
+        'This document is already verified with another wallet. Move the verification to this wallet? The other wallet will lose it.',
+        [
+          {text: 'Cancel', style: 'cancel', onPress: () => resolve(false)},
+          {text: 'Move Verification', onPress: () => resolve(true)},
+        ]
+      );
     });
-    return Buffer.from(dataString).toString('base64').substring(0, 32);
-  };
 
-  const getStageIcon = (stage: ProofStage): string => {
-    switch (stage) {
-      case ProofStage.PREPARING:
+  const getStageIcon = (): string => {
+    if (failed) return '❌';
+    if (waitingForNetwork) return '📡';
+    switch (currentStage) {
+      case 'prepare':
         return '📋';
-      case ProofStage.GENERATING_PROOF:
+      case 'prove':
+      case 'verify':
         return '🔐';
-      case ProofStage.SUBMITTING_TO_BLOCKCHAIN:
+      case 'submit':
+      case 'confirm':
         return '🔗';
-      case ProofStage.COMPLETED:
+      case 'done':
         return '✅';
-      case ProofStage.ERROR:
-        return '❌';
       default:
         return '⏳';
     }
   };
 
   const getProgressColor = (): string => {
-    if (currentStage === ProofStage.ERROR) return '#ef4444';
-    if (currentStage === ProofStage.COMPLETED) return '#059669';
+    if (failed) return '#ef4444';
+    if (currentStage === 'done') return '#059669';
     return '#6366f1';
   };
 
@@ -178,7 +225,7 @@ const ProofGenerationScreen: React.FC<Props> = ({navigation, route}) => {
 
       <View style={styles.progressContainer}>
         <View style={styles.iconContainer}>
-          <Text style={styles.stageIcon}>{getStageIcon(currentStage)}</Text>
+          <Text style={styles.stageIcon}>{getStageIcon()}</Text>
         </View>
 
         <View style={styles.progressBarContainer}>
@@ -198,7 +245,7 @@ const ProofGenerationScreen: React.FC<Props> = ({navigation, route}) => {
 
         <Text style={styles.statusMessage}>{statusMessage}</Text>
 
-        {currentStage !== ProofStage.ERROR && currentStage !== ProofStage.COMPLETED && (
+        {!failed && currentStage !== 'done' && (
           <ActivityIndicator
             size="large"
             color={getProgressColor()}
@@ -209,62 +256,27 @@ const ProofGenerationScreen: React.FC<Props> = ({navigation, route}) => {
 
       <View style={styles.stagesContainer}>
         <Text style={styles.stagesTitle}>Process Steps:</Text>
-        
-        <View style={styles.stageItem}>
-          <Text style={styles.stageNumber}>1</Text>
-          <View style={styles.stageContent}>
-            <Text style={[
-              styles.stageText,
-              currentStage === ProofStage.PREPARING && styles.activeStageText,
-              progress > 10 && styles.completedStageText,
-            ]}>
-              Prepare verification data
-            </Text>
-          </View>
-          {progress > 10 && <Text style={styles.checkmark}>✓</Text>}
-        </View>
 
-        <View style={styles.stageItem}>
-          <Text style={styles.stageNumber}>2</Text>
-          <View style={styles.stageContent}>
-            <Text style={[
-              styles.stageText,
-              currentStage === ProofStage.GENERATING_PROOF && styles.activeStageText,
-              progress > 60 && styles.completedStageText,
-            ]}>
-              Generate zero-knowledge proof
-            </Text>
-          </View>
-          {progress > 60 && <Text style={styles.checkmark}>✓</Text>}
-        </View>
-
-        <View style={styles.stageItem}>
-          <Text style={styles.stageNumber}>3</Text>
-          <View style={styles.stageContent}>
-            <Text style={[
-              styles.stageText,
-              currentStage === ProofStage.SUBMITTING_TO_BLOCKCHAIN && styles.activeStageText,
-              progress > 90 && styles.completedStageText,
-            ]}>
-              Submit proof to blockchain
-            </Text>
-          </View>
-          {progress > 90 && <Text style={styles.checkmark}>✓</Text>}
-        </View>
-
-        <View style={styles.stageItem}>
-          <Text style={styles.stageNumber}>4</Text>
-          <View style={styles.stageContent}>
-            <Text style={[
-              styles.stageText,
-              currentStage === ProofStage.COMPLETED && styles.activeStageText,
-              currentStage === ProofStage.COMPLETED && styles.completedStageText,
-            ]}>
-              Verification complete
-            </Text>
-          </View>
-          {currentStage === ProofStage.COMPLETED && <Text style={styles.checkmark}>✓</Text>}
-        </View>
+        {PROCESS_STEPS.map(({stage, label}, index) => {
+          const completed =
+            index < PROCESS_STEPS.findIndex(step => step.stage === currentStage) ||
+            currentStage === 'done';
+          return (
+            <View key={stage} style={styles.stageItem}>
+              <Text style={styles.stageNumber}>{index + 1}</Text>
+              <View style={styles.stageContent}>
+                <Text style={[
+                  styles.stageText,
+                  currentStage === stage && styles.activeStageText,
+                  completed && styles.completedStageText,
+                ]}>
+                  {label}
+                </Text>
+              </View>
+              {completed && <Text style={styles.checkmark}>✓</Text>}
+            </View>
+          );
+        })}
       </View>
 
       <View style={styles.infoContainer}>
@@ -5,12 +5,12 @@ import {
   TouchableOpacity,
   StyleSheet,
   ScrollView,
-  Share,
   Linking,
 } from 'react-native';
 import {StackNavigationProp} from '@react-navigation/stack';
 import {RouteProp} from '@react-navigation/native';
 import {RootStackParamList} from '@types/index';
+import {getNetworks, getTransactionUrl} from '@utils/networks';
 
 type VerificationCompleteScreenNavigationProp = StackNavigationProp<
   RootStackParamList,
@@ -28,25 +28,30 @@ interface Props {
 }
 
 const VerificationCompleteScreen: React.FC<Props> = ({navigation, route}) => {
-  const {proofHash, transactionHash} = route.params;
+  const {proofHash, transactionHash, credential} = route.params;
 
-  const shareVerification = async () => {
-    try {
-      const shareMessage = `✅ Identity Verified!\n\nMy identity has been successfully verified using zero-knowledge proof technology.\n\nProof Hash: ${proofHash.substring(0, 16)}...\nTransaction: ${transactionHash}\n\nVerified with ZK Identity Verification App`;
-      
-      await Share.share({
-        message: shareMessage,
-        title: 'Identity Verification Complete',
-      });
-    } catch (error) {
-      console.error('Error sharing:', error);
+  // Link to the transaction on the chain it was sent on, if that chain has an explorer
+  const network = getNetworks().find(
+    candidate => candidate.chainId === credential?.transaction.chainId
+  );
+  const explorerUrl = network ? getTransactionUrl(network, transactionHash) : null;
+
+  const presentVerification = () => {
+    // The verifier's QR code says what to prove and where to send it
+    if (credential) {
+      navigation.navigate('PresentCredential', {credential});
     }
   };
 
   const viewOnBlockchain = () => {
-    // This would open the blockchain explorer with the transaction hash
-    const explorerUrl = `https://etherscan.io/tx/${transactionHash}`;
-    Linking.openURL(explorerUrl);
+    if (explorerUrl) {
+      Linking.openURL(explorerUrl);
+    }
+  };
+
+  const saveCredential = () => {
+    // The history screen unlocks the wallet and stores the credential
+    navigation.navigate('CredentialHistory', {credential});
   };
 
   const startNewVerification = () => {
@@ -152,17 +157,29 @@ const VerificationCompleteScreen: React.FC<Props> = ({navigation, route}) => {
       </View>
 
       <View style={styles.actionButtons}>
-        <TouchableOpacity
-          style={styles.blockchainButton}
-          onPress={viewOnBlockchain}>
-          <Text style={styles.blockchainButtonText}>View on Blockchain</Text>
-        </TouchableOpacity>
+        {explorerUrl && (
+          <TouchableOpacity
+            style={styles.blockchainButton}
+            onPress={viewOnBlockchain}>
+            <Text style={styles.blockchainButtonText}>View on {network!.name} Explorer</Text>
+          </TouchableOpacity>
+        )}
 
-        <TouchableOpacity
-          style={styles.shareButton}
-          onPress={shareVerification}>
-          <Text style={styles.shareButtonText}>Share Verification</Text>
-        </TouchableOpacity>
+        {credential && (
+          <TouchableOpacity
+            style={styles.shareButton}
+            onPress={presentVerification}>
+            <Text style={styles.shareButtonText}>Present to a Verifier</Text>
+          </TouchableOpacity>
+        )}
+
+        {credential && (
+          <TouchableOpacity
+            style={styles.saveButton}
+            onPress={saveCredential}>
+            <Text style={styles.saveButtonText}>Save to Credential Wallet</Text>
+          </TouchableOpacity>
+        )}
 
         <TouchableOpacity
           style={styles.newVerificationButton}
@@ -193,10 +210,10 @@ const VerificationCompleteScreen: React.FC<Props> = ({navigation, route}) => {
       <View style={styles.nextSteps}>
         <Text style={styles.sectionTitle}>Next Steps</Text>
         <Text style={styles.nextStepText}>
-          • Save your proof hash for future reference
+          • Save the credential to your wallet for future reference
         </Text>
         <Text style={styles.nextStepText}>
-          • Share your verification status if needed
+          • Scan a verifier's QR code to prove your verification to them
         </Text>
         <Text style={styles.nextStepText}>
           • Use this verification for secure applications
@@ -358,6 +375,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  saveButton: {
+    backgroundColor: '#ffffff',
+    paddingVertical: 16,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#6366f1',
+  },
+  saveButtonText: {
+    color: '#6366f1',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   newVerificationButton: {
     backgroundColor: '#f3f4f6',
     paddingVertical: 16,
@@ -0,0 +1,391 @@
+import React, {useEffect, useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import {StackNavigationProp} from '@react-navigation/stack';
+import {RouteProp} from '@react-navigation/native';
+import {NetworkConfig, RootStackParamList} from '@types/index';
+import {WalletSigner} from '@services/WalletSigner';
+import {useServices} from '@components/ServicesProvider';
+
+type WalletSelectionScreenNavigationProp = StackNavigationProp<
+  RootStackParamList,
+  'SelectWallet'
+>;
+
+type WalletSelectionScreenRouteProp = RouteProp<RootStackParamList, 'SelectWallet'>;
+
+interface Props {
+  navigation: WalletSelectionScreenNavigationProp;
+  route: WalletSelectionScreenRouteProp;
+}
+
+const WalletSelectionScreen: React.FC<Props> = ({navigation, route}) => {
+  const {walletSigners: walletSignerService, networks: networkService, createWeb3} = useServices();
+  const networks = networkService.getAvailable();
+  const inAppSigner = walletSignerService.getInAppSigner();
+
+  const [selected, setSelected] = useState<WalletSigner | null>(
+    walletSignerService.getSelected()
+  );
+  const [account, setAccount] = useState<string | null>(null);
+  const [inAppAddress, setInAppAddress] = useState<string | null | undefined>(undefined);
+  const [importing, setImporting] = useState<boolean>(false);
+  const [privateKey, setPrivateKey] = useState<string>('');
+  const [busy, setBusy] = useState<boolean>(false);
+  const [network, setNetwork] = useState<NetworkConfig | null>(null);
+
+  const proofGeneration = route.params?.proofGeneration;
+
+  useEffect(() => {
+    networkService.getSelected().then(setNetwork);
+    inAppSigner.getAddress().then(setInAppAddress);
+    if (selected) {
+      connectSigner(selected);
+    }
+  }, []);
+
+  // Follow account switches and disconnects made in the wallet
+  useEffect(() => {
+    if (!selected) {
+      return;
+    }
+
+    return selected.onAccountChanged(async signer => {
+      setAccount(signer ? await signer.getAddress() : null);
+    });
+  }, [selected]);
+
+  // Check the signer against the network before making it the app's wallet
+  const connectSigner = async (signer: WalletSigner) => {
+    setBusy(true);
+    try {
+      const web3Service = createWeb3();
+      await web3Service.connect(undefined, signer);
+      const address = await web3Service.getAddress();
+      web3Service.disconnect();
+
+      await walletSignerService.select(signer);
+      setSelected(signer);
+      setAccount(address);
+    } catch (error) {
+      console.error('Wallet connection error:', error);
+      const message = error instanceof Error ? error.message : 'Could not connect the wallet';
+      Alert.alert('Wallet Not Connected', message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The wallet is checked against the new chain, and external wallets are asked to switch
+  const chooseNetwork = async (chainId: number) => {
+    try {
+      setNetwork(await networkService.select(chainId));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Could not switch networks';
+      Alert.alert('Network Not Available', message);
+      return;
+    }
+    if (selected) {
+      setAccount(null);
+      await connectSigner(selected);
+    }
+  };
+
+  const chooseInAppWallet = async () => {
+    if (!inAppAddress) {
+      try {
+        setInAppAddress(await inAppSigner.createKey());
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Could not create the wallet';
+        Alert.alert('Wallet Not Created', message);
+        return;
+      }
+    }
+    await connectSigner(inAppSigner);
+  };
+
+  const importInAppWallet = async () => {
+    try {
+      setInAppAddress(await inAppSigner.importKey(privateKey));
+      setPrivateKey('');
+      setImporting(false);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Could not import the key';
+      Alert.alert('Import Failed', message);
+      return;
+    }
+    await connectSigner(inAppSigner);
+  };
+
+  const connectExternalWallet = async () => {
+    const signer = walletSignerService.createExternalSigner();
+    if (signer) {
+      await connectSigner(signer);
+    }
+  };
+
+  const disconnectWallet = async () => {
+    await walletSignerService.clear();
+    setSelected(null);
+    setAccount(null);
+  };
+
+  const continueWithWallet = () => {
+    if (proofGeneration) {
+      navigation.replace('ProofGeneration', proofGeneration);
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Network</Text>
+          {networks.length === 0 ? (
+            <Text style={styles.description}>
+              This build has no IdentityVerification deployment. Run contracts/deploy.js for
+              the network you want to use.
+            </Text>
+          ) : (
+            <View style={styles.networkButtons}>
+              {networks.map(option => (
+                <TouchableOpacity
+                  key={option.chainId}
+                  style={[
+                    styles.networkButton,
+                    network?.chainId === option.chainId && styles.selectedNetwork,
+                  ]}
+                  onPress={() => chooseNetwork(option.chainId)}
+                  disabled={busy}>
+                  <Text
+                    style={[
+                      styles.networkText,
+                      network?.chainId === option.chainId && styles.selectedNetworkText,
+                    ]}>
+                    {option.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Wallet</Text>
+          {selected && account ? (
+            <>
+              <Text style={styles.description}>{selected.label}</Text>
+              <Text style={styles.address} numberOfLines={1} ellipsizeMode="middle">
+                {account}
+              </Text>
+              <TouchableOpacity style={styles.secondaryButton} onPress={disconnectWallet}>
+                <Text style={styles.secondaryButtonText}>Disconnect</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <Text style={styles.description}>
+              Your verification is bound to the wallet that submits it. Choose the wallet you
+              want to be verified.
+            </Text>
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>In-App Wallet</Text>
+          <Text style={styles.description}>
+            {inAppAddress
+              ? `Key stored in this device's secure storage for ${inAppAddress}.`
+              : 'Create a key kept in this device\'s secure storage, or import one you already use.'}
+          </Text>
+          {inAppAddress === undefined ? (
+            <ActivityIndicator color="#6366f1" style={styles.spacer} />
+          ) : (
+            <TouchableOpacity
+              style={[styles.primaryButton, busy && styles.disabledButton]}
+              onPress={chooseInAppWallet}
+              disabled={busy}>
+              <Text style={styles.primaryButtonText}>
+                {inAppAddress ? 'Use In-App Wallet' : 'Create In-App Wallet'}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {inAppAddress === null &&
+            (importing ? (
+              <>
+                <TextInput
+                  style={styles.input}
+                  value={privateKey}
+                  onChangeText={setPrivateKey}
+                  placeholder="Private key (0x...)"
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  onPress={importInAppWallet}
+                  disabled={busy || privateKey.length === 0}>
+                  <Text style={styles.secondaryButtonText}>Import Key</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <TouchableOpacity style={styles.secondaryButton} onPress={() => setImporting(true)}>
+                <Text style={styles.secondaryButtonText}>Import Private Key</Text>
+              </TouchableOpacity>
+            ))}
+        </View>
+
+        {walletSignerService.hasExternalConnector() && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>External Wallet</Text>
+            <Text style={styles.description}>
+              Approve the connection, the proof transaction and any signatures in your wallet
+              app. The app follows the account you select there.
+            </Text>
+            <TouchableOpacity
+              style={[styles.primaryButton, busy && styles.disabledButton]}
+              onPress={connectExternalWallet}
+              disabled={busy}>
+              <Text style={styles.primaryButtonText}>Connect External Wallet</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.continueButton, (!account || busy) && styles.disabledButton]}
+          onPress={continueWithWallet}
+          disabled={!account || busy}>
+          {busy ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <Text style={styles.primaryButtonText}>
+              {proofGeneration ? 'Continue to Proof' : 'Done'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#6b7280',
+    lineHeight: 20,
+  },
+  address: {
+    fontSize: 14,
+    color: '#1f2937',
+    fontFamily: 'monospace',
+    marginTop: 4,
+  },
+  networkButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  networkButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    margin: 4,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#d1d5db',
+    backgroundColor: '#ffffff',
+  },
+  selectedNetwork: {
+    borderColor: '#6366f1',
+    backgroundColor: '#eef2ff',
+  },
+  networkText: {
+    fontSize: 14,
+    color: '#6b7280',
+    fontWeight: '600',
+  },
+  selectedNetworkText: {
+    color: '#6366f1',
+  },
+  spacer: {
+    marginTop: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: '#1f2937',
+    marginTop: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#6366f1',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    backgroundColor: '#f3f4f6',
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: '#6366f1',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  continueButton: {
+    backgroundColor: '#10b981',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+});
+
+export default WalletSelectionScreen;
@@ -0,0 +1,218 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {gcm} from '@noble/ciphers/aes';
+import {ethers} from 'ethers';
+import {CredentialPredicate, StoredCredential} from '@types/index';
+
+const STORAGE_KEY = '@zkid/credentials';
+const WALLET_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_BYTES = 32;
+const NONCE_BYTES = 12;
+
+export interface ScryptParams {
+  N: number;
+  r: number;
+  p: number;
+}
+
+// Kept below the ethers keystore cost (N = 2^17) so unlocking stays quick on phones
+const DEFAULT_SCRYPT_PARAMS: ScryptParams = {N: 1 << 15, r: 8, p: 1};
+
+// Serialized form of the wallet; everything but the KDF parameters is encrypted
+interface WalletEnvelope {
+  version: number;
+  kdf: ScryptParams & {salt: string};
+  nonce: string;
+  ciphertext: string;
+}
+
+interface WalletSession {
+  key: Uint8Array;
+  kdf: WalletEnvelope['kdf'];
+  credentials: StoredCredential[];
+}
+
+// Unlocked state is shared by every screen until lock() is called
+let session: WalletSession | null = null;
+
+export class CredentialWalletService {
+  private scryptParams: ScryptParams;
+
+  constructor(scryptParams: ScryptParams = DEFAULT_SCRYPT_PARAMS) {
+    this.scryptParams = scryptParams;
+  }
+
+  /**
+   * Check whether a credential wallet has been created on this device
+   * @returns Promise<boolean> - True if an encrypted wallet is stored
+   */
+  async exists(): Promise<boolean> {
+    return (await AsyncStorage.getItem(STORAGE_KEY)) !== null;
+  }
+
+  /**
+   * Check whether the wallet is unlocked for this app session
+   * @returns boolean - True if credentials can be read and written
+   */
+  isUnlocked(): boolean {
+    return session !== null;
+  }
+
+  /**
+   * Create an empty wallet protected by a passphrase and unlock it
+   * @param passphrase - Passphrase the encryption key is derived from
+   */
+  async create(passphrase: string): Promise<void> {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (await this.exists()) {
+      throw new Error('Credential wallet already exists');
+    }
+
+    const kdf = {...this.scryptParams, salt: ethers.hexlify(ethers.randomBytes(32))};
+    await commit({key: await deriveKey(passphrase, kdf), kdf, credentials: []});
+  }
+
+  /**
+   * Decrypt the stored wallet for this app session
+   * @param passphrase - Passphrase the wallet was created with
+   */
+  async unlock(passphrase: string): Promise<void> {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    if (!raw) {
+      throw new Error('Credential wallet not found');
+    }
+
+    const envelope = JSON.parse(raw) as WalletEnvelope;
+    if (envelope.version !== WALLET_VERSION) {
+      throw new Error(`Unsupported credential wallet version: ${envelope.version}`);
+    }
+
+    const key = await deriveKey(passphrase, envelope.kdf);
+    let plaintext: Uint8Array;
+    try {
+      plaintext = gcm(key, ethers.getBytes(envelope.nonce)).decrypt(
+        ethers.getBytes(envelope.ciphertext)
+      );
+    } catch (error) {
+      // GCM authentication fails for a wrong key as well as for tampered data
+      throw new Error('Incorrect passphrase');
+    }
+
+    session = {
+      key,
+      kdf: envelope.kdf,
+      credentials: JSON.parse(ethers.toUtf8String(plaintext)) as StoredCredential[],
+    };
+  }
+
+  /**
+   * Forget the decrypted credentials and key
+   */
+  lock(): void {
+    session = null;
+  }
+
+  /**
+   * List stored credentials
+   * @returns StoredCredential[] - Credentials, newest first
+   */
+  list(): StoredCredential[] {
+    return [...requireSession().credentials].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Look up a credential
+   * @param id - Proof hash of the credential
+   * @returns StoredCredential | null - Credential, or null if not stored
+   */
+  get(id: string): StoredCredential | null {
+    return requireSession().credentials.find(credential => credential.id === id) || null;
+  }
+
+  /**
+   * Store a credential, replacing any with the same proof hash
+   * @param credential - Completed verification to keep
+   */
+  async save(credential: StoredCredential): Promise<void> {
+    const current = requireSession();
+    const credentials = current.credentials.filter(stored => stored.id !== credential.id);
+    await commit({...current, credentials: [...credentials, credential]});
+  }
+
+  /**
+   * Record a predicate proven against a stored credential
+   * @param id - Proof hash of the credential
+   * @param predicate - Predicate and its public inputs
+   */
+  async addPredicate(id: string, predicate: CredentialPredicate): Promise<void> {
+    const credential = this.get(id);
+    if (!credential) {
+      throw new Error('Credential not found');
+    }
+
+    await this.save({...credential, predicates: [...credential.predicates, predicate]});
+  }
+
+  /**
+   * Delete a credential
+   * @param id - Proof hash of the credential
+   */
+  async remove(id: string): Promise<void> {
+    const current = requireSession();
+    await commit({
+      ...current,
+      credentials: current.credentials.filter(credential => credential.id !== id),
+    });
+  }
+
+  /**
+   * Delete the wallet and every credential in it, e.g. after a forgotten passphrase
+   */
+  async reset(): Promise<void> {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+    session = null;
+  }
+}
+
+function requireSession(): WalletSession {
+  if (!session) {
+    throw new Error('Credential wallet is locked');
+  }
+  return session;
+}
+
+async function deriveKey(passphrase: string, kdf: WalletEnvelope['kdf']): Promise<Uint8Array> {
+  const key = await ethers.scrypt(
+    ethers.toUtf8Bytes(passphrase, 'NFKC'),
+    kdf.salt,
+    kdf.N,
+    kdf.r,
+    kdf.p,
+    KEY_BYTES
+  );
+  return ethers.getBytes(key);
+}
+
+// Persist first so the in-memory view never runs ahead of storage
+async function commit(next: WalletSession): Promise<void> {
+  await persist(next);
+  session = next;
+}
+
+async function persist(current: WalletSession): Promise<void> {
+  // A fresh nonce per write; GCM must never reuse one under the same key
+  const nonce = ethers.randomBytes(NONCE_BYTES);
+  const ciphertext = gcm(current.key, nonce).encrypt(
+    ethers.toUtf8Bytes(JSON.stringify(current.credentials))
+  );
+
+  const envelope: WalletEnvelope = {
+    version: WALLET_VERSION,
+    kdf: current.kdf,
+    nonce: ethers.hexlify(nonce),
+    ciphertext: ethers.hexlify(ciphertext),
+  };
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+}
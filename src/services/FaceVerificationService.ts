@@ -1,9 +1,44 @@
-import {FaceData} from '@types/index';
+import {
+  FaceData,
+  FaceDetector,
+  FaceLandmarkFrame,
+  FaceMatch,
+  LivenessSession,
+  LivenessTranscript,
+} from '@types/index';
+import {commitFace, generateSalt} from '@utils/commitment';
+import {
+  DEFAULT_MIN_FACE_SIMILARITY,
+  encodeSimilarity,
+  meetsSimilarityBound,
+} from '@utils/faceMatch';
+import {
+  DEFAULT_LIVENESS_CHALLENGES,
+  LIVENESS_CHALLENGES,
+  LIVENESS_SESSION_TTL_MS,
+  evaluateChallenge,
+  hashLivenessTranscript,
+  summarizeLiveness,
+} from '@utils/liveness';
+
+export const FACE_DETECTOR_MISSING = 'No face detector configured';
 
 export class FaceVerificationService {
   private initialized = false;
+  private matchThreshold: number;
+  private detector: FaceDetector | null;
+  private frameIndex = 0;
 
-  constructor() {
+  /**
+   * @param options - matchThreshold: minimum cosine similarity between a selfie
+   * and the document portrait (defaults to DEFAULT_MIN_FACE_SIMILARITY);
+   * detector: face model. createServiceContainer passes the ML Kit one from
+   * src/engines; without one detecting a face throws FACE_DETECTOR_MISSING
+   */
+  constructor(options?: {matchThreshold?: number; detector?: FaceDetector}) {
+    this.matchThreshold = options?.matchThreshold ?? DEFAULT_MIN_FACE_SIMILARITY;
+    this.detector = options?.detector ?? null;
+    encodeSimilarity(this.matchThreshold);
     this.initialize();
   }
 
@@ -27,34 +62,13 @@ export class FaceVerificationService {
     if (!this.initialized) {
       throw new Error('Face verification service not initialized');
     }
+    if (!this.detector) {
+      throw new Error(FACE_DETECTOR_MISSING);
+    }
 
     try {
-      // Simulate face detection processing
-      if (process.env.NODE_ENV !== 'test') {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-
-      // In a real implementation, you would:
-      // 1. Load the image from imageUri
-      // 2. Use a face detection library (like react-native-face-recognition)
-      // 3. Extract face descriptors/embeddings
-      // 4. Calculate confidence score
-      // 5. Get bounding box coordinates
-
-      // Mock face data for demo purposes
-      const mockFaceData: FaceData = {
-        imageUri,
-        faceDescriptor: this.generateMockFaceDescriptor(),
-        confidence: 0.95, // High confidence for demo
-        boundingBox: {
-          x: 100,
-          y: 150,
-          width: 200,
-          height: 250,
-        },
-      };
-
-      return mockFaceData;
+      const face = await this.detector.detect(imageUri);
+      return {imageUri, ...face};
     } catch (error) {
       console.error('Face detection failed:', error);
       throw new Error('Failed to detect face in image');
@@ -82,6 +96,117 @@ export class FaceVerificationService {
     }
   }
 
+  /**
+   * Detect the portrait printed on an ID document
+   * @param documentImageUri - URI of the document photo
+   * @returns Promise<FaceData> - Face data of the portrait
+   */
+  async extractDocumentPortrait(documentImageUri: string): Promise<FaceData> {
+    // In a real implementation, you would locate the portrait region from the
+    // document layout and crop it before running face detection on it
+    const portrait = await this.detectFace(documentImageUri);
+
+    if (portrait.confidence < 0.5) {
+      throw new Error('No portrait found on document');
+    }
+    return portrait;
+  }
+
+  /**
+   * Compare a selfie with the portrait on an ID document
+   * The match decision uses the same quantized check as the identity circuit,
+   * so a matching pair can always be proven.
+   * @param selfie - Face data from the selfie
+   * @param documentImageUri - URI of the document photo
+   * @returns Promise<FaceMatch> - Portrait, similarity and whether it meets the threshold
+   */
+  async matchDocumentPortrait(selfie: FaceData, documentImageUri: string): Promise<FaceMatch> {
+    const portrait = await this.extractDocumentPortrait(documentImageUri);
+    const similarity = await this.compareFaces(selfie, portrait);
+
+    return {
+      portrait,
+      similarity,
+      threshold: this.matchThreshold,
+      matched: meetsSimilarityBound(
+        selfie.faceDescriptor,
+        portrait.faceDescriptor,
+        encodeSimilarity(this.matchThreshold)
+      ),
+    };
+  }
+
+  /**
+   * Get the minimum similarity required between a selfie and the document portrait
+   * @returns number - Cosine similarity threshold between 0 and 1
+   */
+  getMatchThreshold(): number {
+    return this.matchThreshold;
+  }
+
+  /**
+   * Start an active liveness check with randomly chosen challenges
+   * @param challengeCount - Number of distinct challenges to issue
+   * @returns LivenessSession - Challenges in the order they must be performed
+   */
+  startLivenessSession(challengeCount: number = DEFAULT_LIVENESS_CHALLENGES): LivenessSession {
+    if (challengeCount < 1 || challengeCount > LIVENESS_CHALLENGES.length) {
+      throw new Error(
+        `Challenge count must be between 1 and ${LIVENESS_CHALLENGES.length}`
+      );
+    }
+
+    // Fisher-Yates shuffle with a secure random source
+    const challenges = [...LIVENESS_CHALLENGES];
+    for (let i = challenges.length - 1; i > 0; i--) {
+      const j = Number(BigInt(generateSalt()) % BigInt(i + 1));
+      [challenges[i], challenges[j]] = [challenges[j], challenges[i]];
+    }
+
+    this.frameIndex = 0;
+    const issuedAt = Date.now();
+    return {
+      nonce: generateSalt(),
+      challenges: challenges.slice(0, challengeCount),
+      issuedAt,
+      expiresAt: issuedAt + LIVENESS_SESSION_TTL_MS,
+    };
+  }
+
+  /**
+   * Measure eye, mouth and head pose landmarks in a camera frame
+   * @param imageUri - URI of the frame to process
+   * @returns Promise<FaceLandmarkFrame> - Landmarks, stamped with the capture time
+   */
+  async detectLandmarks(imageUri: string): Promise<FaceLandmarkFrame> {
+    if (!this.initialized) {
+      throw new Error('Face verification service not initialized');
+    }
+    if (!this.detector) {
+      throw new Error(FACE_DETECTOR_MISSING);
+    }
+
+    const gesture = await this.detector.detectLandmarks(imageUri, this.frameIndex++);
+    return {...gesture, timestamp: Date.now()};
+  }
+
+  /**
+   * Judge the frames captured for each challenge of a liveness session
+   * @param session - Session returned by startLivenessSession
+   * @param frames - Frames captured for each challenge, in session order
+   * @returns LivenessTranscript - Liveness score and challenge transcript
+   */
+  evaluateLiveness(session: LivenessSession, frames: FaceLandmarkFrame[][]): LivenessTranscript {
+    if (frames.length !== session.challenges.length) {
+      throw new Error('Liveness results do not match the session challenges');
+    }
+
+    return summarizeLiveness(
+      session,
+      session.challenges.map((challenge, i) => evaluateChallenge(challenge, frames[i]))
+    );
+  }
+
   /**
    * Validate that a face meets quality requirements
    * @param faceData - Face data to validate
@@ -109,27 +234,16 @@ export class FaceVerificationService {
   }
 
   /**
-   * Generate a hash of face descriptor for privacy
-   * @param faceData - Face data to hash
-   * @returns string - Hashed face descriptor
-   */
-  hashFaceDescriptor(faceData: FaceData): string {
-    // In a real implementation, use a proper cryptographic hash
-    const descriptorString = faceData.faceDescriptor.join(',');
-    return Buffer.from(descriptorString).toString('base64');
-  }
-
-  /**
-   * Generate mock face descriptor for demo purposes
-   * In a real implementation, this would come from ML models
+   * Generate a hiding commitment to the face descriptor and its liveness transcript
+   * @param faceData - Face data to commit to; must carry a passed liveness transcript
+   * @param salt - Per-user salt (see generateSalt in @utils/commitment)
+   * @returns string - Poseidon commitment as a decimal field element
    */
-  private generateMockFaceDescriptor(): number[] {
-    // Generate 128-dimensional face descriptor (common size)
-    const descriptor: number[] = [];
-    for (let i = 0; i < 128; i++) {
-      descriptor.push(Math.random() * 2 - 1); // Values between -1 and 1
+  hashFaceDescriptor(faceData: FaceData, salt: string): string {
+    if (!faceData.liveness?.passed) {
+      throw new Error('Face was not captured with a passed liveness check');
     }
-    return descriptor;
+    return commitFace(faceData.faceDescriptor, salt, hashLivenessTranscript(faceData.liveness));
   }
 
   /**
@@ -1,17 +1,72 @@
-import {IDDocument} from '@types/index';
+import {
+  AamvaParseResult,
+  BarcodeReader,
+  CaptureQuality,
+  DocumentField,
+  DocumentZone,
+  FaceData,
+  GrayImage,
+  IDDocument,
+  OcrEngine,
+  OcrResult,
+  PreprocessedDocument,
+} from '@types/index';
+import {parseAamva} from '@utils/aamva';
+import {commitDocument, hashFaceDescriptor} from '@utils/commitment';
+import {cropRegion, preprocessDocument} from '@utils/documentImage';
+import {
+  DOCUMENT_LAYOUTS,
+  MRZ_REGION,
+  applyZoneChecks,
+  crossCheckZones,
+  normalizeVisualField,
+} from '@utils/documentLayout';
+import {DOCUMENT_SCHEMAS, checkDocumentSchema} from '@utils/documentSchemas';
+import {findMrz, mrzDocumentType, parseMrz} from '@utils/mrz';
+
+// Aliases accepted by extractField for fields of IDDocument['extractedData']
+const FIELD_ALIASES: Record<string, keyof IDDocument['extractedData']> = {
+  dob: 'dateOfBirth',
+  number: 'documentNumber',
+  expiry: 'expiryDate',
+};
+
+export const DOCUMENT_TYPE_MISMATCH = 'Document is not of the selected type';
+export const OCR_ENGINE_MISSING = 'No OCR engine configured';
+export const IMAGE_LOADER_MISSING = 'No image loader configured';
+
+// Visual zone reads below this OCR confidence are treated as unreadable
+const MIN_FIELD_CONFIDENCE = 0.5;
 
 export class IDVerificationService {
   private initialized = false;
-  private ocrEngine: any = null;
+  private ocrEngine: OcrEngine | null;
+  private barcodeReader: BarcodeReader | null;
+  private loadImage: ((imageUri: string) => Promise<GrayImage>) | null;
 
-  constructor() {
+  /**
+   * @param options - ocrEngine: text recognizer for document zones; loadImage:
+   * decodes a photo to luminance. createServiceContainer passes the ML Kit ones
+   * from src/engines; without them reading a document throws OCR_ENGINE_MISSING
+   * or IMAGE_LOADER_MISSING rather than returning made-up data.
+   * barcodeReader: PDF417 decoder for the back of driver's licenses; without
+   * one, licenses are read from the front.
+   */
+  constructor(options?: {
+    ocrEngine?: OcrEngine;
+    barcodeReader?: BarcodeReader;
+    loadImage?: (imageUri: string) => Promise<GrayImage>;
+  }) {
+    this.ocrEngine = options?.ocrEngine ?? null;
+    this.barcodeReader = options?.barcodeReader ?? null;
+    this.loadImage = options?.loadImage ?? null;
     this.initialize();
   }
 
   private async initialize(): Promise<void> {
     try {
       // Initialize OCR and document processing libraries
-      // In a real implementation, you'd initialize Tesseract or similar OCR engine
+      // In a real implementation, you'd load the OCR models here
       this.initialized = true;
     } catch (error) {
       console.error('Failed to initialize ID verification service:', error);
@@ -21,46 +76,68 @@ export class IDVerificationService {
 
   /**
    * Extract data from ID document image
+   * Passports and ID cards are read from their machine readable zone and
+   * cross-checked against the fields printed in the visual zone; every
+   * disagreement lowers `confidence`. Driver's licenses are read from the
+   * AAMVA barcode on their back, or from the front's visual zone if no barcode
+   * is found. Without a type, documents without an MRZ are taken to be licenses.
    * @param imageUri - URI of the ID document image
-   * @returns Promise<IDDocument> - Extracted document data
+   * @param type - Document type the user selected; a photo of another type is rejected
+   * @returns Promise<IDDocument> - Extracted document data, with the MRZ check
+   * results and per-field confidence in `mrz`, the zone comparison in
+   * `zoneChecks` and the schema rules the data breaks in `issues`
    */
-  async extractData(imageUri: string): Promise<IDDocument> {
+  async extractData(imageUri: string, type?: IDDocument['type']): Promise<IDDocument> {
     if (!this.initialized) {
       throw new Error('ID verification service not initialized');
     }
+    // Configuration errors are not worth a retake, so they are not wrapped below
+    if (!this.ocrEngine) {
+      throw new Error(OCR_ENGINE_MISSING);
+    }
+    if (!this.loadImage) {
+      throw new Error(IMAGE_LOADER_MISSING);
+    }
 
+    let document: PreprocessedDocument;
+    let text: string;
     try {
-      // Simulate OCR processing time
-      await new Promise(resolve => setTimeout(resolve, 3000));
-
-      // In a real implementation, you would:
-      // 1. Preprocess the image (enhance, straighten, etc.)
-      // 2. Use OCR to extract text
-      // 3. Parse the extracted text based on document type
-      // 4. Validate extracted data format
-      // 5. Calculate confidence scores
-
-      // Mock extracted data for demo purposes
-      const mockDocument: IDDocument = {
-        type: 'passport',
-        imageUri,
-        extractedData: {
-          firstName: 'John',
-          lastName: 'Doe',
-          dateOfBirth: '1990-01-15',
-          documentNumber: 'P123456789',
-          expiryDate: '2030-01-15',
-          nationality: 'US',
-          address: '123 Main St, City, State',
-        },
-        confidence: 0.92,
-      };
-
-      return mockDocument;
+      document = await this.preprocessImage(imageUri);
+      text = await this.readMrzZone(document.image);
     } catch (error) {
       console.error('Document extraction failed:', error);
       throw new Error('Failed to extract data from document');
     }
+
+    const hasMrz = findMrz(text) !== null;
+    const barcode =
+      type === 'drivers_license' || (!type && !hasMrz)
+        ? await this.readBarcode(document.image)
+        : null;
+
+    let extracted: IDDocument;
+    if (barcode) {
+      const {documentType, jurisdiction, extractedData, confidence, ...report} = barcode;
+      extracted = {
+        type: documentType,
+        imageUri,
+        extractedData,
+        confidence,
+        jurisdiction,
+        barcode: report,
+      };
+    } else if (hasMrz) {
+      extracted = await this.extractMrzData(imageUri, document.image, text);
+    } else if (type && type !== 'drivers_license') {
+      throw new Error('No machine readable zone found');
+    } else {
+      extracted = await this.extractVisualData(imageUri, document.image);
+    }
+
+    if (type && extracted.type !== type) {
+      throw new Error(DOCUMENT_TYPE_MISMATCH);
+    }
+    return {...extracted, issues: checkDocumentSchema(extracted)};
   }
 
   /**
@@ -70,8 +147,8 @@ export class IDVerificationService {
    */
   async validateDocument(document: IDDocument): Promise<boolean> {
     try {
-      // Validate document format
-      if (!this.validateDocumentFormat(document)) {
+      // Required fields, their formats and the issuer's document number rules
+      if (checkDocumentSchema(document).length > 0) {
         return false;
       }
 
@@ -80,13 +157,12 @@ export class IDVerificationService {
         return false;
       }
 
-      // Validate document number format
-      if (!this.validateDocumentNumber(document)) {
+      // Every MRZ check digit must match
+      if (document.mrz && !document.mrz.valid) {
         return false;
       }
 
       // Additional validations could include:
-      // - Checksum validation
       // - Government database verification
       // - Document security features detection
       // - Cross-reference with known fraudulent documents
@@ -100,75 +176,60 @@ export class IDVerificationService {
 
   /**
    * Detect document type from image
+   * Passports carry a TD3 zone with a P document code; ID cards carry a TD1 or
+   * TD2 zone. Documents without an MRZ are treated as driver's licenses.
    * @param imageUri - URI of the document image
    * @returns Promise<'passport' | 'drivers_license' | 'national_id'> - Detected document type
    */
   async detectDocumentType(imageUri: string): Promise<'passport' | 'drivers_license' | 'national_id'> {
-    // In a real implementation, you would:
-    // 1. Analyze image layout and structure
-    // 2. Look for specific document features
-    // 3. Use machine learning to classify document type
+    const {image} = await this.preprocessImage(imageUri);
+    const mrz = findMrz(await this.readMrzZone(image));
+    if (!mrz) {
+      return 'drivers_license';
+    }
 
-    // For demo, return passport as default
-    return 'passport';
+    const documentCode = mrz.lines[0].slice(0, 2).replace(/</g, '');
+    return mrzDocumentType(documentCode);
   }
 
   /**
    * Preprocess document image for better OCR results
+   * Finds the document outline, corrects perspective and residual skew, and
+   * normalises contrast (see preprocessDocument in @utils/documentImage).
    * @param imageUri - URI of the original image
-   * @returns Promise<string> - URI of preprocessed image
+   * @returns Promise<PreprocessedDocument> - Rectified document and capture quality
    */
-  async preprocessImage(imageUri: string): Promise<string> {
-    // In a real implementation, you might:
-    // - Detect and correct document orientation
-    // - Apply perspective correction
-    // - Enhance image quality
-    // - Remove noise and artifacts
-    // - Adjust brightness and contrast
-
-    // For demo, return the original image
-    return imageUri;
+  async preprocessImage(imageUri: string): Promise<PreprocessedDocument> {
+    if (!this.loadImage) {
+      throw new Error(IMAGE_LOADER_MISSING);
+    }
+    return preprocessDocument(await this.loadImage(imageUri));
   }
 
   /**
-   * Extract specific field from document using targeted OCR
+   * Check whether a document photo is worth processing
    * @param imageUri - URI of the document image
-   * @param field - Field to extract (e.g., 'name', 'dob', 'number')
-   * @returns Promise<string> - Extracted field value
+   * @returns Promise<CaptureQuality> - Sharpness, glare and the issues that call for a retake
    */
-  async extractField(imageUri: string, field: string): Promise<string> {
-    // In a real implementation, you would:
-    // 1. Define regions of interest for each field
-    // 2. Apply targeted OCR to specific areas
-    // 3. Use field-specific validation and parsing
-
-    return 'extracted_value';
+  async assessCapture(imageUri: string): Promise<CaptureQuality> {
+    const {quality} = await this.preprocessImage(imageUri);
+    return quality;
   }
 
   /**
-   * Validate document format and required fields
-   * @param document - Document to validate
-   * @returns boolean - Whether format is valid
+   * Extract specific field from document
+   * @param imageUri - URI of the document image
+   * @param field - Field of IDDocument['extractedData'], or one of the aliases 'dob', 'number', 'expiry'
+   * @returns Promise<string> - Extracted field value, or '' if the document does not carry it
    */
-  private validateDocumentFormat(document: IDDocument): boolean {
-    const requiredFields = ['firstName', 'lastName', 'dateOfBirth', 'documentNumber'];
-    
-    for (const field of requiredFields) {
-      if (!document.extractedData[field as keyof typeof document.extractedData]) {
-        return false;
-      }
-    }
-
-    // Validate date formats
-    if (!this.isValidDate(document.extractedData.dateOfBirth)) {
-      return false;
-    }
-
-    if (document.extractedData.expiryDate && !this.isValidDate(document.extractedData.expiryDate)) {
-      return false;
+  async extractField(imageUri: string, field: string): Promise<string> {
+    const document = await this.extractData(imageUri);
+    const key = FIELD_ALIASES[field] ?? field;
+    if (!(key in document.extractedData) && key !== 'address') {
+      throw new Error(`Unknown document field: ${field}`);
     }
 
-    return true;
+    return document.extractedData[key as keyof IDDocument['extractedData']] ?? '';
   }
 
   /**
@@ -188,44 +249,136 @@ export class IDVerificationService {
   }
 
   /**
-   * Validate document number format based on document type
-   * @param document - Document to validate
-   * @returns boolean - Whether document number format is valid
+   * Read the machine readable zone of a rectified document
+   * @param image - Rectified document
+   * @returns Promise<string> - Recognized text, one line per printed line
    */
-  private validateDocumentNumber(document: IDDocument): boolean {
-    const documentNumber = document.extractedData.documentNumber;
-
-    switch (document.type) {
-      case 'passport':
-        // Passport numbers are typically 6-9 characters
-        return /^[A-Z0-9]{6,9}$/.test(documentNumber);
-      
-      case 'drivers_license':
-        // Driver's license formats vary by state/country
-        return documentNumber.length >= 5 && documentNumber.length <= 20;
-      
-      case 'national_id':
-        // National ID formats vary by country
-        return documentNumber.length >= 5 && documentNumber.length <= 15;
-      
-      default:
-        return false;
+  private async readMrzZone(image: GrayImage): Promise<string> {
+    const {text} = await this.recognize(cropRegion(image, MRZ_REGION), 'mrz');
+    return text;
+  }
+
+  /**
+   * Recognize the text in a region of a document
+   * @param image - Region to read
+   * @param field - What the region holds, 'mrz' or a document field
+   * @returns Promise<OcrResult> - Recognized text and its confidence
+   */
+  private recognize(image: GrayImage, field: DocumentZone): Promise<OcrResult> {
+    if (!this.ocrEngine) {
+      throw new Error(OCR_ENGINE_MISSING);
     }
+    return this.ocrEngine.recognize(image, field);
   }
 
   /**
-   * Validate date format (YYYY-MM-DD)
-   * @param dateString - Date string to validate
-   * @returns boolean - Whether date format is valid
+   * Read the PDF417 barcode of a driver's license
+   * Barcodes that are not AAMVA license barcodes are ignored.
+   * @param image - Rectified document
+   * @returns Promise<AamvaParseResult | null> - License data, or null if there is none
    */
-  private isValidDate(dateString: string): boolean {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(dateString)) {
-      return false;
+  private async readBarcode(image: GrayImage): Promise<AamvaParseResult | null> {
+    const payload = this.barcodeReader && (await this.barcodeReader.readPdf417(image));
+    if (!payload) {
+      return null;
     }
 
-    const date = new Date(dateString);
-    return date instanceof Date && !isNaN(date.getTime());
+    try {
+      return parseAamva(payload);
+    } catch (error) {
+      console.warn('Ignoring barcode without license data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read a passport or ID card from its machine readable zone
+   * @param imageUri - URI of the document image
+   * @param image - Rectified document
+   * @param text - Text recognized in the MRZ region
+   * @returns Promise<IDDocument> - MRZ data, less confident for every field the
+   * visual zone disagrees with
+   */
+  private async extractMrzData(
+    imageUri: string,
+    image: GrayImage,
+    text: string
+  ): Promise<IDDocument> {
+    const {documentType, extractedData, confidence, ...mrz} = parseMrz(text);
+    const {values} = await this.readVisualZone(image, documentType);
+    const zoneChecks = crossCheckZones(extractedData, values);
+
+    return {
+      type: documentType,
+      imageUri,
+      extractedData,
+      confidence: applyZoneChecks(confidence, zoneChecks),
+      jurisdiction: mrz.issuingState,
+      mrz,
+      zoneChecks,
+    };
+  }
+
+  /**
+   * Read the fields printed in the visual zone of a document
+   * @param image - Rectified document
+   * @param type - Document type, which selects the layout
+   * @returns Promise - Normalised values of the fields read with enough
+   * confidence, and the OCR confidence of every field in the layout
+   */
+  private async readVisualZone(
+    image: GrayImage,
+    type: IDDocument['type']
+  ): Promise<{
+    values: Partial<IDDocument['extractedData']>;
+    confidence: Partial<Record<DocumentField, number>>;
+  }> {
+    const layout = DOCUMENT_LAYOUTS[type];
+    const values: Partial<IDDocument['extractedData']> = {};
+    const confidence: Partial<Record<DocumentField, number>> = {};
+
+    for (const [field, region] of Object.entries(layout.fields) as Array<
+      [DocumentField, NonNullable<typeof layout.fields[DocumentField]>]
+    >) {
+      const result = await this.recognize(cropRegion(image, region), field);
+      const value = normalizeVisualField(field, result.text, layout);
+      confidence[field] = value ? result.confidence : 0;
+      if (value && result.confidence >= MIN_FIELD_CONFIDENCE) {
+        values[field] = value;
+      }
+    }
+    return {values, confidence};
+  }
+
+  /**
+   * Read a document that has no machine readable zone from its visual zone
+   * @param imageUri - URI of the document image
+   * @param image - Rectified document
+   * @returns Promise<IDDocument> - Driver's license data, as confident as its
+   * least legible required fields
+   */
+  private async extractVisualData(imageUri: string, image: GrayImage): Promise<IDDocument> {
+    const {values, confidence} = await this.readVisualZone(image, 'drivers_license');
+    if (!values.lastName && !values.documentNumber) {
+      throw new Error('No document text found');
+    }
+
+    const required = DOCUMENT_SCHEMAS.drivers_license.required.map(field =>
+      values[field] ? confidence[field] ?? 0 : 0
+    );
+    return {
+      type: 'drivers_license',
+      imageUri,
+      extractedData: {
+        firstName: values.firstName ?? '',
+        lastName: values.lastName ?? '',
+        dateOfBirth: values.dateOfBirth ?? '',
+        documentNumber: values.documentNumber ?? '',
+        expiryDate: values.expiryDate ?? '',
+        ...(values.address && {address: values.address}),
+      },
+      confidence: required.reduce((sum, value) => sum + value, 0) / required.length,
+    };
   }
 
   /**
@@ -248,21 +401,18 @@ export class IDVerificationService {
   }
 
   /**
-   * Generate document hash for privacy-preserving verification
-   * @param document - Document to hash
-   * @returns string - Document hash
+   * Generate a hiding commitment to the document fields and its portrait
+   * @param document - Document to commit to
+   * @param salt - Per-user salt (see generateSalt in @utils/commitment)
+   * @param portrait - Face data of the portrait printed on the document
+   * @returns string - Poseidon commitment as a decimal field element
    */
-  generateDocumentHash(document: IDDocument): string {
-    const dataToHash = {
-      firstName: document.extractedData.firstName,
-      lastName: document.extractedData.lastName,
-      dateOfBirth: document.extractedData.dateOfBirth,
-      documentNumber: document.extractedData.documentNumber,
-    };
-
-    // In a real implementation, use a proper cryptographic hash
-    const dataString = JSON.stringify(dataToHash);
-    return Buffer.from(dataString).toString('base64');
+  generateDocumentHash(document: IDDocument, salt: string, portrait: FaceData): string {
+    return commitDocument(
+      document.extractedData,
+      salt,
+      hashFaceDescriptor(portrait.faceDescriptor)
+    );
   }
 
   /**
@@ -1,13 +1,70 @@
-import {MoproConfig, MoproProof} from '@types/index';
+import {ethers} from 'ethers';
+import {Platform} from 'react-native';
+import RNFS from 'react-native-fs';
+import {groth16} from 'snarkjs';
+import {
+  Groth16Proof,
+  MoproConfig,
+  MoproProof,
+  Predicate,
+  PredicateProof,
+  PredicateType,
+  ProverProgress,
+  DocumentWitness,
+  FaceWitness,
+  VerificationKey,
+} from '@types/index';
+import {
+  commitDocument,
+  commitFace,
+  encodeDate,
+  encodeDocumentFields,
+  encodeFaceDescriptorValues,
+  hashFaceDescriptor,
+  toFieldElement,
+} from '@utils/commitment';
+import {encodeProof, verifyGroth16Proof} from '@utils/groth16';
+import {
+  PREDICATE_CIRCUITS,
+  buildPredicateInputs,
+  evaluatePredicate,
+  getPredicateId,
+  matchesPredicateStatement,
+  resolvePredicate,
+  todayAsDate,
+} from '@utils/predicates';
+import {DEFAULT_SCOPE, computeNullifier, getScopeId} from '@utils/nullifier';
+import {FACE_DESCRIPTOR_LENGTH, encodeSimilarity, meetsSimilarityBound} from '@utils/faceMatch';
+import {hashLivenessTranscript} from '@utils/liveness';
+
+type ProvingArtifacts = {wasm: Uint8Array; zkey: Uint8Array};
+
+// Steps snarkjs logs while proving, in order, with the share of the proving
+// time (roughly, for the identity circuit) spent before each one starts
+const PROVER_STEPS: Array<[message: string, fraction: number]> = [
+  ['Reading Wtns', 0.2],
+  ['Building ABC', 0.25],
+  ['Join ABC', 0.45],
+  ['Reading A Points', 0.5],
+  ['Reading B1 Points', 0.6],
+  ['Reading B2 Points', 0.7],
+  ['Reading C Points', 0.85],
+  ['Reading H Points', 0.9],
+];
+
+export const PROOF_ABORTED = 'Proof generation aborted';
 
 export class MoproService {
   private config: MoproConfig;
   private initialized = false;
-  private mopro: any = null;
+  private provingArtifacts = new Map<string, ProvingArtifacts>();
+  private verificationKeys = new Map<string, VerificationKey>();
+  private lastProofGenerationTime: number | null = null;
 
   constructor(config?: Partial<MoproConfig>) {
     this.config = {
       circuitPath: config?.circuitPath || 'assets/circuits/identity_verification.r1cs',
+      wasmPath: config?.wasmPath || 'assets/circuits/identity_verification.wasm',
       provingKeyPath: config?.provingKeyPath || 'assets/circuits/identity_verification.zkey',
       verificationKeyPath: config?.verificationKeyPath || 'assets/circuits/verification_key.json',
     };
@@ -16,88 +73,140 @@ export class MoproService {
   }
 
   private async initialize(): Promise<void> {
-    try {
-      // In a real implementation, you would:
-      // 1. Load the Mopro library
-      // 2. Initialize the proving system
-      // 3. Load circuit files and proving keys
-      
-      // For now, we'll simulate initialization
-      console.log('Initializing Mopro service...');
-      if (process.env.NODE_ENV !== 'test') {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-      
-      this.initialized = true;
-      console.log('Mopro service initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Mopro service:', error);
-      throw new Error('Mopro initialization failed');
-    }
+    // Circuit artifacts are large, so they are loaded lazily on first use
+    // rather than here. Initialization only resets the cached copies.
+    this.provingArtifacts.clear();
+    this.verificationKeys.clear();
+    this.initialized = true;
   }
 
   /**
    * Generate a zero-knowledge proof for identity verification
-   * @param inputs - Proof inputs (face hash, ID hash, timestamp, etc.)
-   * @returns Promise<MoproProof> - Generated proof
+   * @param inputs - Proof inputs: faceHash, idHash, the document witness that
+   * opens idHash, the face witness (selfie and portrait descriptors, the
+   * similarity threshold and the selfie's liveness transcript), the account the proof is for, and optionally a
+   * timestamp and a scope name (defaults to DEFAULT_SCOPE)
+   * @param onProgress - Called as the prover moves through its steps
+   * @param signal - Aborts the proof; generateProof then rejects with
+   * PROOF_ABORTED right away and the prover's result is discarded
+   * @returns Promise<MoproProof> - Generated proof; its public inputs include
+   * the document nullifier for the scope and the proven similarity threshold
    */
-  async generateProof(inputs: any): Promise<MoproProof> {
+  async generateProof(
+    inputs: any,
+    onProgress?: (progress: ProverProgress) => void,
+    signal?: AbortSignal
+  ): Promise<MoproProof> {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    if (
+      !inputs?.faceHash ||
+      !inputs?.idHash ||
+      !inputs?.document ||
+      !inputs?.face ||
+      !inputs?.account
+    ) {
+      throw new Error('Missing required proof inputs');
+    }
+    if (!/^0x[0-9a-fA-F]{40}$/.test(inputs.account)) {
+      throw new Error('Invalid account address');
+    }
+
+    const document: DocumentWitness = inputs.document;
+    if (
+      commitDocument(document.extractedData, document.salt, document.portrait) !==
+      toFieldElement(inputs.idHash)
+    ) {
+      throw new Error('Witness does not open the document commitment');
+    }
+    // The contract rejects expired documents, so don't spend time proving one
+    if (encodeDate(document.extractedData.expiryDate) <= encodeDate(todayAsDate())) {
+      throw new Error('Document has expired');
+    }
+
+    // The face commitment shares the document's salt
+    const face: FaceWitness = inputs.face;
+    if (
+      face.descriptor.length !== FACE_DESCRIPTOR_LENGTH ||
+      face.portraitDescriptor.length !== FACE_DESCRIPTOR_LENGTH
+    ) {
+      throw new Error(`Face descriptors must have ${FACE_DESCRIPTOR_LENGTH} values`);
+    }
+    // The circuit only accepts the portrait committed with the document
+    if (hashFaceDescriptor(face.portraitDescriptor) !== document.portrait) {
+      throw new Error('Witness does not open the document commitment');
+    }
+    if (!face.liveness?.passed) {
+      throw new Error('Liveness check not passed');
+    }
+    const livenessHash = hashLivenessTranscript(face.liveness);
+    if (
+      commitFace(face.descriptor, document.salt, livenessHash) !== toFieldElement(inputs.faceHash)
+    ) {
+      throw new Error('Witness does not open the face commitment');
+    }
+    if (
+      !meetsSimilarityBound(
+        face.descriptor,
+        face.portraitDescriptor,
+        encodeSimilarity(face.minSimilarity)
+      )
+    ) {
+      throw new Error('Face does not match document portrait');
+    }
+    if (signal?.aborted) {
+      throw new Error(PROOF_ABORTED);
+    }
+
     try {
       console.log('Generating zero-knowledge proof...');
-      
-      // Simulate proof generation time (real ZK proofs can take several seconds)
-      if (process.env.NODE_ENV !== 'test') {
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      }
+      const startTime = Date.now();
 
-      // In a real implementation, you would:
-      // 1. Prepare circuit inputs
-      // 2. Call Mopro's proof generation function
-      // 3. Return the generated proof and public inputs
-
-      const mockProof: MoproProof = {
-        proof: this.generateMockProofData(),
-        publicInputs: [
-          inputs.faceHash || 'mock_face_hash',
-          inputs.idHash || 'mock_id_hash',
-          inputs.timestamp?.toString() || Math.floor(Date.now() / 1000).toString(),
-        ],
-      };
+      const circuitInputs = this.prepareCircuitInputs(
+        inputs.faceHash,
+        inputs.idHash,
+        inputs.timestamp ?? Math.floor(Date.now() / 1000),
+        document,
+        getScopeId(inputs.scope ?? DEFAULT_SCOPE),
+        inputs.account,
+        face
+      );
+
+      const {proof, publicSignals} = await this.untilAborted(
+        this.prove(circuitInputs, this.config.wasmPath, this.config.provingKeyPath, onProgress),
+        signal
+      );
+
+      this.lastProofGenerationTime = Date.now() - startTime;
+      onProgress?.({step: 'Proof generated', fraction: 1});
 
       console.log('Zero-knowledge proof generated successfully');
-      return mockProof;
+      return {
+        proof: encodeProof(proof),
+        publicInputs: publicSignals,
+      };
     } catch (error) {
+      if (error instanceof Error && error.message === PROOF_ABORTED) {
+        throw error;
+      }
       console.error('Proof generation failed:', error);
       throw new Error('Failed to generate zero-knowledge proof');
     }
   }
 
   /**
-   * Verify a zero-knowledge proof
+   * Verify a zero-knowledge proof against the circuit's verification key
    * @param proof - Proof to verify
    * @returns Promise<boolean> - Whether proof is valid
    */
   async verifyProof(proof: MoproProof): Promise<boolean> {
     try {
       console.log('Verifying zero-knowledge proof...');
-      
-      // Simulate verification time
-      if (process.env.NODE_ENV !== 'test') {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
 
-      // In a real implementation, you would:
-      // 1. Load verification key
-      // 2. Call Mopro's verification function
-      // 3. Return verification result
+      const isValid = await this.verifyAgainstKey(proof, this.config.verificationKeyPath);
 
-      // For demo, assume all proofs are valid
-      const isValid = true;
-      
       console.log(`Proof verification result: ${isValid}`);
       return isValid;
     } catch (error) {
@@ -106,34 +215,96 @@ export class MoproService {
     }
   }
 
+  /**
+   * Prove a selective-disclosure predicate about a committed ID document
+   * @param predicate - Statement to prove, e.g. {type: 'age_over', minAge: 18}
+   * @param commitment - Document commitment (the id_hash of the identity proof)
+   * @param witness - Document fields, portrait digest and salt that open the commitment
+   * @returns Promise<PredicateProof> - Proof with the resolved predicate
+   */
+  async generatePredicateProof(
+    predicate: Predicate,
+    commitment: string,
+    witness: DocumentWitness
+  ): Promise<PredicateProof> {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const resolved = resolvePredicate(predicate);
+    const idCommitment = toFieldElement(commitment);
+
+    if (
+      toFieldElement(commitDocument(witness.extractedData, witness.salt, witness.portrait)) !==
+      idCommitment
+    ) {
+      throw new Error('Witness does not open the document commitment');
+    }
+    if (!evaluatePredicate(resolved, witness.extractedData)) {
+      throw new Error(`Document does not satisfy predicate ${getPredicateId(resolved)}`);
+    }
+
+    try {
+      console.log(`Generating predicate proof for ${getPredicateId(resolved)}...`);
+      const startTime = Date.now();
+
+      const paths = this.getPredicateArtifactPaths(resolved.type);
+      const {proof, publicSignals} = await this.prove(
+        buildPredicateInputs(resolved, idCommitment, witness),
+        paths.wasmPath,
+        paths.provingKeyPath
+      );
+
+      this.lastProofGenerationTime = Date.now() - startTime;
+
+      console.log('Predicate proof generated successfully');
+      return {
+        proof: encodeProof(proof),
+        publicInputs: publicSignals,
+        predicate: resolved,
+        predicateId: getPredicateId(resolved),
+      };
+    } catch (error) {
+      console.error('Predicate proof generation failed:', error);
+      throw new Error('Failed to generate predicate proof');
+    }
+  }
+
+  /**
+   * Verify a predicate proof
+   * Besides the pairing check, the public signals must encode exactly the
+   * statement described by proof.predicate.
+   * @param proof - Predicate proof to verify
+   * @returns Promise<boolean> - Whether the proof is valid for its predicate
+   */
+  async verifyPredicateProof(proof: PredicateProof): Promise<boolean> {
+    try {
+      console.log(`Verifying predicate proof for ${proof.predicateId}...`);
+
+      if (!matchesPredicateStatement(proof)) {
+        console.log('Predicate proof verification result: false (statement mismatch)');
+        return false;
+      }
+
+      const paths = this.getPredicateArtifactPaths(proof.predicate.type);
+      const isValid = await this.verifyAgainstKey(proof, paths.verificationKeyPath);
+
+      console.log(`Predicate proof verification result: ${isValid}`);
+      return isValid;
+    } catch (error) {
+      console.error('Predicate proof verification failed:', error);
+      return false;
+    }
+  }
+
   /**
    * Get the verification key for the circuit
    * @returns Promise<string> - Verification key as JSON string
    */
   async getVerificationKey(): Promise<string> {
     try {
-      // In a real implementation, load from the verification key file
-      const mockVerificationKey = {
-        protocol: 'groth16',
-        curve: 'bn128',
-        nPublic: 3,
-        vk_alpha_1: ['0x123...', '0x456...'],
-        vk_beta_2: [['0x789...', '0xabc...'], ['0xdef...', '0x012...']],
-        vk_gamma_2: [['0x345...', '0x678...'], ['0x9ab...', '0xcde...']],
-        vk_delta_2: [['0xf01...', '0x234...'], ['0x567...', '0x89a...']],
-        vk_alphabeta_12: [
-          [['0xbcd...', '0xef0...'], ['0x123...', '0x456...']],
-          [['0x789...', '0xabc...'], ['0xdef...', '0x012...']],
-        ],
-        IC: [
-          ['0x345...', '0x678...'],
-          ['0x9ab...', '0xcde...'],
-          ['0xf01...', '0x234...'],
-          ['0x567...', '0x89a...'],
-        ],
-      };
-
-      return JSON.stringify(mockVerificationKey);
+      const verificationKey = await this.loadVerificationKey(this.config.verificationKeyPath);
+      return JSON.stringify(verificationKey);
     } catch (error) {
       console.error('Failed to get verification key:', error);
       throw new Error('Could not retrieve verification key');
@@ -142,55 +313,222 @@ export class MoproService {
 
   /**
    * Prepare inputs for the identity verification circuit
-   * @param faceHash - Hash of face biometric data
-   * @param idHash - Hash of ID document data
+   * @param faceHash - Commitment to the face descriptor
+   * @param idHash - Commitment to the ID document fields
    * @param timestamp - Verification timestamp
+   * @param document - Document fields, portrait digest and salt that open idHash
+   * @param scope - Scope the nullifier is derived for, as a decimal field element
+   * @param account - Address the proof is bound to
+   * @param face - Selfie and portrait descriptors, similarity threshold and liveness transcript
    * @returns Object with formatted circuit inputs
    */
-  prepareCircuitInputs(faceHash: string, idHash: string, timestamp: number): any {
-    // In a real implementation, you would:
-    // 1. Convert hashes to field elements
-    // 2. Ensure inputs are in the correct format for the circuit
-    // 3. Add any additional required inputs
-
+  prepareCircuitInputs(
+    faceHash: string,
+    idHash: string,
+    timestamp: number,
+    document: DocumentWitness,
+    scope: string,
+    account: string,
+    face: FaceWitness
+  ): any {
     return {
       face_hash: this.hashToFieldElement(faceHash),
       id_hash: this.hashToFieldElement(idHash),
       timestamp: timestamp,
-      // Add other required inputs for your specific circuit
+      expiry_date: encodeDate(document.extractedData.expiryDate).toString(),
+      scope,
+      nullifier: computeNullifier(document.extractedData, scope),
+      account: BigInt(account).toString(),
+      min_similarity: encodeSimilarity(face.minSimilarity).toString(),
+      fields: encodeDocumentFields(document.extractedData).map(field => field.toString()),
+      salt: document.salt,
+      face_descriptor: encodeFaceDescriptorValues(face.descriptor).map(value => value.toString()),
+      portrait_descriptor: encodeFaceDescriptorValues(face.portraitDescriptor).map(value =>
+        value.toString()
+      ),
+      liveness_hash: hashLivenessTranscript(face.liveness),
     };
   }
 
+  /**
+   * Run the Groth16 prover on a circuit
+   * @param circuitInputs - Circuit inputs, by signal name
+   * @param wasmPath - Path to the circuit's witness generator
+   * @param provingKeyPath - Path to the circuit's proving key
+   * @param onProgress - Called as the prover moves through its steps
+   * @returns Promise with the proof and the circuit's public signals
+   */
+  protected async prove(
+    circuitInputs: Record<string, unknown>,
+    wasmPath: string,
+    provingKeyPath: string,
+    onProgress?: (progress: ProverProgress) => void
+  ): Promise<{proof: Groth16Proof; publicSignals: string[]}> {
+    onProgress?.({step: 'Loading circuit', fraction: 0});
+    const {wasm, zkey} = await this.loadProvingArtifacts(wasmPath, provingKeyPath);
+    onProgress?.({step: 'Computing witness', fraction: 0.05});
+    return groth16.fullProve(
+      circuitInputs,
+      {type: 'mem', data: wasm},
+      {type: 'mem', data: zkey},
+      onProgress && this.createProverLogger(onProgress)
+    );
+  }
+
+  /**
+   * Settle with the prover, or reject with PROOF_ABORTED as soon as the signal
+   * aborts
+   * The prover cannot be interrupted; an aborted proof finishes unobserved.
+   * @param proving - Prover call
+   * @param signal - Abort signal
+   * @returns Promise - Prover's result
+   */
+  private untilAborted<T>(proving: Promise<T>, signal?: AbortSignal): Promise<T> {
+    if (!signal) {
+      return proving;
+    }
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => reject(new Error(PROOF_ABORTED));
+      signal.addEventListener('abort', onAbort, {once: true});
+      proving
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Turn the prover's log into progress reports
+   * @param onProgress - Progress listener
+   * @returns Logger for snarkjs
+   */
+  private createProverLogger(onProgress: (progress: ProverProgress) => void) {
+    const debug = (message: string) => {
+      const step = PROVER_STEPS.find(([stepMessage]) => stepMessage === message);
+      if (step) {
+        onProgress({step: step[0], fraction: step[1]});
+      }
+    };
+    return {debug, info: debug, warn: () => {}, error: () => {}};
+  }
+
   /**
    * Convert hash string to field element for circuit input
+   * Commitments from @utils/commitment are already field elements and pass
+   * through unchanged; other hex or decimal values are reduced into the field.
    * @param hash - Hash string to convert
    * @returns string - Field element representation
    */
   private hashToFieldElement(hash: string): string {
-    // In a real implementation, you would:
-    // 1. Take the hash and convert it to a big integer
-    // 2. Ensure it's within the field size
-    // 3. Return as string representation
+    return toFieldElement(hash);
+  }
 
-    // For demo, return a mock field element
-    return '12345678901234567890123456789012345678901234567890123456789012345678';
+  /**
+   * Verify a proof against the verification key stored at a path
+   * @param proof - Proof to verify
+   * @param verificationKeyPath - Verification key of the circuit the proof is for
+   * @returns Promise<boolean> - Whether the proof is valid
+   */
+  protected async verifyAgainstKey(
+    proof: MoproProof,
+    verificationKeyPath: string
+  ): Promise<boolean> {
+    const verificationKey = await this.loadVerificationKey(verificationKeyPath);
+    return verifyGroth16Proof(proof, verificationKey);
   }
 
   /**
-   * Generate mock proof data for demonstration
-   * @returns Uint8Array - Mock proof bytes
+   * Get artifact paths for a predicate circuit
+   * Predicate artifacts live next to the identity circuit's.
+   * @param type - Predicate type
+   * @returns Object with witness generator, proving key and verification key paths
    */
-  private generateMockProofData(): Uint8Array {
-    // In a real implementation, this would be the actual proof from Mopro
-    const mockProofHex = 'a1b2c3d4e5f6789012345678901234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
-    
-    // Convert hex string to Uint8Array
-    const bytes = new Uint8Array(mockProofHex.length / 2);
-    for (let i = 0; i < mockProofHex.length; i += 2) {
-      bytes[i / 2] = parseInt(mockProofHex.substr(i, 2), 16);
+  private getPredicateArtifactPaths(type: PredicateType): {
+    wasmPath: string;
+    provingKeyPath: string;
+    verificationKeyPath: string;
+  } {
+    const directory = this.config.circuitPath.substring(
+      0,
+      this.config.circuitPath.lastIndexOf('/') + 1
+    );
+    const name = PREDICATE_CIRCUITS[type].name;
+
+    return {
+      wasmPath: `${directory}${name}.wasm`,
+      provingKeyPath: `${directory}${name}.zkey`,
+      verificationKeyPath: `${directory}${name}_verification_key.json`,
+    };
+  }
+
+  /**
+   * Load and cache a witness generator and proving key
+   * @param wasmPath - Path to the witness generator
+   * @param provingKeyPath - Path to the proving key
+   * @returns Promise with the raw artifact bytes
+   */
+  private async loadProvingArtifacts(
+    wasmPath: string,
+    provingKeyPath: string
+  ): Promise<ProvingArtifacts> {
+    let artifacts = this.provingArtifacts.get(provingKeyPath);
+
+    if (!artifacts) {
+      const [wasm, zkey] = await Promise.all([
+        this.readArtifact(wasmPath, 'base64'),
+        this.readArtifact(provingKeyPath, 'base64'),
+      ]);
+
+      artifacts = {
+        wasm: ethers.decodeBase64(wasm),
+        zkey: ethers.decodeBase64(zkey),
+      };
+      this.provingArtifacts.set(provingKeyPath, artifacts);
     }
-    
-    return bytes;
+
+    return artifacts;
+  }
+
+  /**
+   * Load and cache a verification key
+   * @param path - Path to the verification key JSON
+   * @returns Promise<VerificationKey> - Parsed verification key
+   */
+  protected async loadVerificationKey(path: string): Promise<VerificationKey> {
+    let verificationKey = this.verificationKeys.get(path);
+
+    if (!verificationKey) {
+      const contents = await this.readArtifact(path, 'utf8');
+      verificationKey = JSON.parse(contents) as VerificationKey;
+
+      if (verificationKey.protocol !== 'groth16' || verificationKey.curve !== 'bn128') {
+        throw new Error(
+          `Unsupported verification key: ${verificationKey.protocol}/${verificationKey.curve}`
+        );
+      }
+
+      this.verificationKeys.set(path, verificationKey);
+    }
+
+    return verificationKey;
+  }
+
+  /**
+   * Read a circuit artifact bundled with the app
+   * Relative paths resolve against the iOS main bundle or the Android assets folder.
+   * @param path - Absolute path or path relative to the app bundle
+   * @param encoding - File encoding
+   * @returns Promise<string> - File contents
+   */
+  private async readArtifact(path: string, encoding: 'utf8' | 'base64'): Promise<string> {
+    if (path.startsWith('/')) {
+      return RNFS.readFile(path, encoding);
+    }
+
+    if (Platform.OS === 'android') {
+      return RNFS.readFileAssets(path.replace(/^assets\//, ''), encoding);
+    }
+
+    return RNFS.readFile(`${RNFS.MainBundlePath}/${path}`, encoding);
   }
 
   /**
@@ -214,13 +552,38 @@ export class MoproService {
       description: 'Zero-knowledge proof circuit for identity verification',
       inputs: [
         'face_hash',
-        'id_hash', 
+        'id_hash',
         'timestamp',
+        'expiry_date',
+        'scope',
+        'nullifier',
+        'account',
+        'min_similarity',
+        'fields',
+        'salt',
+        'face_descriptor',
+        'portrait_descriptor',
+        'liveness_hash',
       ],
-      outputs: [
-        'verification_result',
+      publicSignals: [
+        'face_hash',
+        'id_hash',
+        'timestamp',
+        'expiry_date',
+        'scope',
+        'nullifier',
+        'account',
+        'min_similarity',
       ],
-      constraints: 1000000, // Number of constraints in the circuit
+      outputs: [],
+      protocol: 'groth16',
+      curve: 'bn128',
+      constraints: 11622, // Number of constraints in the circuit
+      predicates: Object.entries(PREDICATE_CIRCUITS).map(([type, circuit]) => ({
+        type,
+        ...circuit,
+        ...this.getPredicateArtifactPaths(type as PredicateType),
+      })),
     };
   }
 
@@ -229,14 +592,17 @@ export class MoproService {
    * @param circuitPath - Path to new circuit file
    * @param provingKeyPath - Path to new proving key
    * @param verificationKeyPath - Path to new verification key
+   * @param wasmPath - Path to new witness generator (defaults to the circuit path with a .wasm extension)
    */
   async updateCircuitFiles(
     circuitPath: string,
     provingKeyPath: string,
-    verificationKeyPath: string
+    verificationKeyPath: string,
+    wasmPath?: string
   ): Promise<void> {
     this.config = {
       circuitPath,
+      wasmPath: wasmPath || circuitPath.replace(/\.r1cs$/, '.wasm'),
       provingKeyPath,
       verificationKeyPath,
     };
@@ -252,7 +618,7 @@ export class MoproService {
    */
   getPerformanceMetrics(): any {
     return {
-      lastProofGenerationTime: 5000, // milliseconds
+      lastProofGenerationTime: this.lastProofGenerationTime ?? 5000, // milliseconds, estimate until a proof is generated
       memoryUsage: '256MB',
       circuitSize: '1M constraints',
       provingKeySize: '50MB',
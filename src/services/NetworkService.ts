@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {NetworkConfig} from '@types/index';
+import {DEFAULT_CHAIN_ID, getNetwork, getNetworks} from '@utils/networks';
+
+const STORAGE_KEY = '@zkid/network';
+
+export class NetworkService {
+  private networks: NetworkConfig[];
+
+  /**
+   * @param networks - Network registry (defaults to the one built from deployment.json)
+   */
+  constructor(networks: NetworkConfig[] = getNetworks()) {
+    this.networks = networks;
+  }
+
+  /**
+   * Get the networks the app can verify on
+   * @returns NetworkConfig[] - Networks with an IdentityVerification deployment
+   */
+  getAvailable(): NetworkConfig[] {
+    return this.networks.filter(network => network.contractAddress !== null);
+  }
+
+  /**
+   * Get the network the app connects to
+   * Falls back to the default chain, or the first deployed network if the
+   * default has no deployment.
+   * @returns Promise<NetworkConfig> - Selected network
+   */
+  async getSelected(): Promise<NetworkConfig> {
+    let chainId: number | null = null;
+    try {
+      const raw = await AsyncStorage.getItem(STORAGE_KEY);
+      chainId = raw ? Number(raw) : null;
+    } catch (error) {
+      console.error('Failed to load selected network:', error);
+    }
+
+    const available = this.getAvailable();
+    return (
+      available.find(network => network.chainId === chainId) ??
+      available.find(network => network.chainId === DEFAULT_CHAIN_ID) ??
+      available[0] ??
+      getNetwork(DEFAULT_CHAIN_ID, this.networks)
+    );
+  }
+
+  /**
+   * Make a network the one the app connects to
+   * @param chainId - Chain ID of the network
+   * @returns Promise<NetworkConfig> - Selected network
+   */
+  async select(chainId: number): Promise<NetworkConfig> {
+    const network = getNetwork(chainId, this.networks);
+    if (!network.contractAddress) {
+      throw new Error(`IdentityVerification is not deployed on ${network.name}`);
+    }
+
+    await AsyncStorage.setItem(STORAGE_KEY, String(chainId));
+    return network;
+  }
+}
@@ -0,0 +1,118 @@
+import {
+  CredentialPredicate,
+  Presentation,
+  PresentationRequest,
+  PresentedPredicate,
+  StoredCredential,
+} from '@types/index';
+import {Web3Service} from '@services/Web3Service';
+import {encodeProofCalldata} from '@utils/groth16';
+import {getPredicateId} from '@utils/predicates';
+import {PRESENTATION_VERSION, getPresentationMessage} from '@utils/presentation';
+
+export class PresentationService {
+  private web3Service: Web3Service;
+
+  /**
+   * @param web3Service - Connected service holding the credential's wallet
+   */
+  constructor(web3Service: Web3Service) {
+    this.web3Service = web3Service;
+  }
+
+  /**
+   * Answer a presentation request with a stored credential
+   * The presentation carries the identity proof and, if the request asks for
+   * one, a matching predicate proof from the credential, and is signed by the
+   * wallet the identity proof is bound to.
+   * @param request - Request scanned from the verifier (see parsePresentationRequest)
+   * @param credential - Credential to present
+   * @param now - Current time
+   * @returns Promise<Presentation> - Signed presentation
+   */
+  async createPresentation(
+    request: PresentationRequest,
+    credential: StoredCredential,
+    now: Date = new Date()
+  ): Promise<Presentation> {
+    const createdAt = Math.floor(now.getTime() / 1000);
+    if (createdAt >= request.expiresAt) {
+      throw new Error('Presentation request has expired');
+    }
+
+    const holder = await this.web3Service.getAddress();
+    if (holder.toLowerCase() !== credential.address.toLowerCase()) {
+      throw new Error('Connected wallet does not hold this credential');
+    }
+
+    const identity = encodeProofCalldata(credential.proof);
+    const unsigned: Omit<Presentation, 'signature'> = {
+      version: PRESENTATION_VERSION,
+      nonce: request.nonce,
+      audience: request.callback,
+      chainId: request.chainId,
+      contract: request.contract,
+      holder,
+      identity: {proof: identity.proof, publicSignals: credential.proof.publicSignals},
+      createdAt,
+    };
+    if (request.predicate) {
+      unsigned.predicate = this.findPredicate(request, credential);
+    }
+
+    const signature = await this.web3Service.signMessage(getPresentationMessage(unsigned));
+    return {...unsigned, signature};
+  }
+
+  /**
+   * Post a presentation to the verifier's callback
+   * @param request - Request being answered
+   * @param presentation - Signed presentation
+   */
+  async sendPresentation(request: PresentationRequest, presentation: Presentation): Promise<void> {
+    const response = await fetch(request.callback, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(presentation),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Verifier rejected the presentation (HTTP ${response.status})`);
+    }
+  }
+
+  /**
+   * Pick the most recent predicate proof in a credential that answers a request
+   * @param request - Request with a predicate
+   * @param credential - Credential to search
+   * @returns PresentedPredicate - Predicate proof to present
+   */
+  private findPredicate(
+    request: PresentationRequest,
+    credential: StoredCredential
+  ): PresentedPredicate {
+    const requested = request.predicate!;
+    const predicateId = getPredicateId(requested);
+
+    const matches = credential.predicates
+      .filter(
+        (entry): entry is CredentialPredicate & {proof: string} =>
+          entry.predicateId === predicateId &&
+          !!entry.proof &&
+          (!requested.referenceDate || entry.predicate.referenceDate === requested.referenceDate)
+      )
+      .sort((a, b) => b.provenAt - a.provenAt);
+
+    if (matches.length === 0) {
+      throw new Error(`Credential has no proof of ${predicateId}`);
+    }
+
+    const {predicate, proof, publicInputs} = matches[0];
+    return {
+      predicate,
+      predicateId,
+      proof: encodeProofCalldata({proof, publicSignals: publicInputs}).proof,
+      publicSignals: publicInputs,
+    };
+  }
+}
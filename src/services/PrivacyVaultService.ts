@@ -0,0 +1,456 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {gcm} from '@noble/ciphers/aes';
+import {ethers} from 'ethers';
+import * as SecureStore from 'expo-secure-store';
+import RNFS from 'react-native-fs';
+import {
+  CaptureKind,
+  DocumentConsistencyCheck,
+  FaceData,
+  FaceMatch,
+  IDDocument,
+  RedactedFaceData,
+  RedactedFaceMatch,
+  RedactedIDDocument,
+  RetentionPolicy,
+  VerificationCaptures,
+  VerificationInputs,
+} from '@types/index';
+import {crossCheckDocuments} from '@utils/documentConsistency';
+import {redactDocument, redactFace, redactFaceMatch} from '@utils/redaction';
+
+// The subset of expo-secure-store the vault needs for its key
+export type VaultKeyStore = Pick<
+  typeof SecureStore,
+  'getItemAsync' | 'setItemAsync' | 'deleteItemAsync'
+>;
+
+// The subset of react-native-fs the vault needs to shred photos
+export type VaultFileSystem = Pick<
+  typeof RNFS,
+  | 'exists'
+  | 'stat'
+  | 'write'
+  | 'unlink'
+  | 'CachesDirectoryPath'
+  | 'DocumentDirectoryPath'
+  | 'TemporaryDirectoryPath'
+>;
+
+export const CAPTURE_UNAVAILABLE = 'Capture is no longer available';
+
+export const DEFAULT_RETENTION_POLICY: RetentionPolicy = {
+  captureMaxAge: 24 * 60 * 60 * 1000,
+  deleteAfterVerification: true,
+};
+
+const STORAGE_KEY = '@zkid/privacy_vault';
+const POLICY_KEY = '@zkid/retention_policy';
+const VAULT_KEY_NAME = 'zkid.privacyVault.key';
+const VAULT_VERSION = 1;
+const KEY_BYTES = 32;
+const NONCE_BYTES = 12;
+
+// Photos are overwritten a chunk at a time to keep memory flat
+const SHRED_CHUNK_BYTES = 64 * 1024;
+
+// Bound to this device: not synced to other devices or restored from backups,
+// so backed-up ciphertext cannot be opened anywhere else
+const VAULT_KEY_OPTIONS: SecureStore.SecureStoreOptions = {
+  keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+type CapturePayload =
+  | {kind: 'face'; face: FaceData}
+  | {kind: 'document'; document: IDDocument; faceMatch?: FaceMatch};
+
+// Stored form of a capture; only the timing and photo paths are in the clear
+interface CaptureRecord {
+  id: string;
+  kind: CaptureKind;
+  createdAt: number;
+  imageUris: string[]; // Photos still to be shredded
+  nonce: string;
+  ciphertext: string;
+}
+
+interface VaultContents {
+  version: number;
+  captures: CaptureRecord[];
+}
+
+/**
+ * Encrypted store for captured selfies and documents
+ * Face descriptors and document data are encrypted with AES-GCM under a key
+ * kept in the device's secure store. Screens get redacted views (see
+ * @utils/redaction) and refer to captures by ID; only the proof pipeline opens
+ * them. Photos are overwritten and deleted once the proof no longer needs
+ * them, and captures are deleted when the retention policy says so.
+ */
+export class PrivacyVaultService {
+  private keyStore: VaultKeyStore;
+  private fileSystem: VaultFileSystem;
+
+  /**
+   * @param keyStore - Where the vault key is kept (defaults to expo-secure-store)
+   * @param fileSystem - File access for shredding photos (defaults to react-native-fs)
+   */
+  constructor(keyStore: VaultKeyStore = SecureStore, fileSystem: VaultFileSystem = RNFS) {
+    this.keyStore = keyStore;
+    this.fileSystem = fileSystem;
+  }
+
+  /**
+   * Encrypt a selfie
+   * @param face - Detected face, with its liveness transcript
+   * @returns Promise<RedactedFaceData> - What screens may show, and the capture ID
+   */
+  async storeFace(face: FaceData): Promise<RedactedFaceData> {
+    const id = await this.add({kind: 'face', face}, [face.imageUri]);
+    return redactFace(face, id);
+  }
+
+  /**
+   * Encrypt an extracted document
+   * @param document - Document data read from a photo
+   * @returns Promise<RedactedIDDocument> - What screens may show, and the capture ID
+   */
+  async storeDocument(document: IDDocument): Promise<RedactedIDDocument> {
+    const id = await this.add({kind: 'document', document}, [document.imageUri]);
+    return redactDocument(document, id);
+  }
+
+  /**
+   * Compare a stored selfie with the portrait on a stored document and keep
+   * the result with the document for the proof
+   * @param captures - Selfie and document to compare
+   * @param match - Comparison, e.g. FaceVerificationService.matchDocumentPortrait
+   * @returns Promise<RedactedFaceMatch> - Outcome of the comparison
+   */
+  async matchDocumentPortrait(
+    captures: VerificationCaptures,
+    match: (selfie: FaceData, documentImageUri: string) => Promise<FaceMatch>
+  ): Promise<RedactedFaceMatch> {
+    const {faceData, idData} = await this.open(captures);
+    const faceMatch = await match(faceData, idData.imageUri);
+
+    const {key, contents} = await this.unlock();
+    const record = contents.captures.find(
+      capture => capture.id === captures.documentCaptureId
+    );
+    if (!record) {
+      throw new Error(CAPTURE_UNAVAILABLE);
+    }
+    Object.assign(record, seal(key, record, {kind: 'document', document: idData, faceMatch}));
+    await this.save(contents);
+    return redactFaceMatch(faceMatch);
+  }
+
+  /**
+   * Check that stored documents belong to the same person
+   * @param documentCaptureIds - Documents to compare, the proven one first
+   * @returns Promise<DocumentConsistencyCheck[]> - Whether the documents agree
+   * on each name and the date of birth, without the values
+   */
+  async checkDocumentConsistency(
+    documentCaptureIds: string[]
+  ): Promise<DocumentConsistencyCheck[]> {
+    await this.enforceRetention();
+    const {key, contents} = await this.unlock();
+    return crossCheckDocuments(
+      documentCaptureIds.map(id => openDocument(key, contents, id).document)
+    );
+  }
+
+  /**
+   * Decrypt the inputs of a verification, for the proof pipeline
+   * @param captures - Selfie and document matched with matchDocumentPortrait,
+   * and any supporting documents
+   * @returns Promise<VerificationInputs> - Face, documents and portrait match
+   */
+  async getInputs(captures: VerificationCaptures): Promise<VerificationInputs> {
+    const {faceData, idData, faceMatch, supportingDocuments} = await this.open(captures);
+    if (!faceMatch) {
+      throw new Error('Document portrait has not been matched to the selfie');
+    }
+    return {faceData, idData, faceMatch, supportingDocuments};
+  }
+
+  /**
+   * Shred the photos of captures, keeping their encrypted data
+   * @param captureIds - Captures whose photos are no longer needed
+   */
+  async shredImages(captureIds: string[]): Promise<void> {
+    const contents = await this.load();
+    const records = contents.captures.filter(capture => captureIds.includes(capture.id));
+    await this.shredRecords(records);
+    await this.save(contents);
+  }
+
+  /**
+   * Delete captures and shred their photos
+   * @param captureIds - Captures to delete
+   */
+  async remove(captureIds: string[]): Promise<void> {
+    const contents = await this.load();
+    await this.shredRecords(contents.captures.filter(capture => captureIds.includes(capture.id)));
+    await this.save({
+      ...contents,
+      captures: contents.captures.filter(capture => !captureIds.includes(capture.id)),
+    });
+  }
+
+  /**
+   * Delete captures older than the retention policy allows
+   * @param now - Current time
+   * @returns Promise<number> - Number of captures deleted
+   */
+  async enforceRetention(now: Date = new Date()): Promise<number> {
+    const {captureMaxAge} = await this.getRetentionPolicy();
+    const expired = (await this.load()).captures.filter(
+      capture => now.getTime() - capture.createdAt >= captureMaxAge
+    );
+    if (expired.length > 0) {
+      await this.remove(expired.map(capture => capture.id));
+    }
+    return expired.length;
+  }
+
+  /**
+   * Get how long captures are kept
+   * @returns Promise<RetentionPolicy> - Saved policy, or the default
+   */
+  async getRetentionPolicy(): Promise<RetentionPolicy> {
+    try {
+      const raw = await AsyncStorage.getItem(POLICY_KEY);
+      return raw ? {...DEFAULT_RETENTION_POLICY, ...JSON.parse(raw)} : DEFAULT_RETENTION_POLICY;
+    } catch (error) {
+      console.error('Failed to load retention policy:', error);
+      return DEFAULT_RETENTION_POLICY;
+    }
+  }
+
+  /**
+   * Change how long captures are kept, deleting any the new policy has expired
+   * @param policy - New retention policy
+   */
+  async setRetentionPolicy(policy: RetentionPolicy): Promise<void> {
+    if (!(policy.captureMaxAge > 0)) {
+      throw new Error('Retention period must be positive');
+    }
+    await AsyncStorage.setItem(POLICY_KEY, JSON.stringify(policy));
+    await this.enforceRetention();
+  }
+
+  /**
+   * Delete every capture, shred their photos and destroy the vault key
+   */
+  async wipe(): Promise<void> {
+    await this.shredRecords((await this.load()).captures);
+    await AsyncStorage.removeItem(STORAGE_KEY);
+    await this.keyStore.deleteItemAsync(VAULT_KEY_NAME, VAULT_KEY_OPTIONS);
+  }
+
+  /**
+   * Overwrite a photo with random bytes, then delete it
+   * Only files in the app's own directories are touched, so a photo picked
+   * from the gallery is never deleted. Flash storage may keep old copies of
+   * overwritten blocks; the platform's file encryption covers those.
+   * @param uri - file:// URI or path of the photo
+   * @returns Promise<boolean> - True if the file was shredded
+   */
+  async shred(uri: string): Promise<boolean> {
+    const path = toPath(uri);
+    if (!path || !this.isAppFile(path) || !(await this.fileSystem.exists(path))) {
+      return false;
+    }
+
+    try {
+      const {size} = await this.fileSystem.stat(path);
+      for (let offset = 0; offset < size; offset += SHRED_CHUNK_BYTES) {
+        const length = Math.min(SHRED_CHUNK_BYTES, size - offset);
+        const noise = ethers.encodeBase64(ethers.randomBytes(length));
+        await this.fileSystem.write(path, noise, offset, 'base64');
+      }
+    } finally {
+      await this.fileSystem.unlink(path);
+    }
+    return true;
+  }
+
+  private async add(payload: CapturePayload, imageUris: string[]): Promise<string> {
+    await this.enforceRetention();
+    const {key, contents} = await this.unlock();
+    const record = {
+      id: ethers.hexlify(ethers.randomBytes(16)),
+      kind: payload.kind,
+      createdAt: Date.now(),
+      imageUris: imageUris.filter(Boolean),
+    };
+    contents.captures.push({...record, ...seal(key, record, payload)});
+    await this.save(contents);
+    return record.id;
+  }
+
+  /**
+   * Decrypt a selfie and its documents
+   * @param captures - Captures to open
+   * @returns Promise - Face and documents, with the portrait match if made
+   */
+  private async open(captures: VerificationCaptures): Promise<{
+    faceData: FaceData;
+    idData: IDDocument;
+    faceMatch?: FaceMatch;
+    supportingDocuments: IDDocument[];
+  }> {
+    await this.enforceRetention();
+    const {key, contents} = await this.unlock();
+    const face = openRecord(key, contents, captures.faceCaptureId, 'face');
+    const document = openDocument(key, contents, captures.documentCaptureId);
+    if (face.kind !== 'face') {
+      throw new Error(CAPTURE_UNAVAILABLE);
+    }
+    return {
+      faceData: face.face,
+      idData: document.document,
+      faceMatch: document.faceMatch,
+      supportingDocuments: (captures.supportingDocumentCaptureIds ?? []).map(
+        id => openDocument(key, contents, id).document
+      ),
+    };
+  }
+
+  /**
+   * Load the vault with its key, creating the key on first use
+   * A new key cannot open captures sealed under a lost one, so those are deleted.
+   * @returns Promise - Key and vault contents
+   */
+  private async unlock(): Promise<{key: Uint8Array; contents: VaultContents}> {
+    const contents = await this.load();
+    const stored = await this.keyStore.getItemAsync(VAULT_KEY_NAME, VAULT_KEY_OPTIONS);
+    if (stored) {
+      return {key: ethers.getBytes(stored), contents};
+    }
+
+    const key = ethers.randomBytes(KEY_BYTES);
+    await this.keyStore.setItemAsync(VAULT_KEY_NAME, ethers.hexlify(key), VAULT_KEY_OPTIONS);
+    if (contents.captures.length > 0) {
+      await this.shredRecords(contents.captures);
+      contents.captures = [];
+      await this.save(contents);
+    }
+    return {key, contents};
+  }
+
+  private async load(): Promise<VaultContents> {
+    try {
+      const raw = await AsyncStorage.getItem(STORAGE_KEY);
+      const contents = raw ? (JSON.parse(raw) as VaultContents) : null;
+      if (contents && contents.version === VAULT_VERSION) {
+        return contents;
+      }
+    } catch (error) {
+      console.error('Failed to load privacy vault:', error);
+    }
+    return {version: VAULT_VERSION, captures: []};
+  }
+
+  private async save(contents: VaultContents): Promise<void> {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(contents));
+  }
+
+  /**
+   * Shred the photos of captures, forgetting each one that is gone
+   * @param records - Captures to shred; updated in place
+   */
+  private async shredRecords(records: CaptureRecord[]): Promise<void> {
+    for (const record of records) {
+      const remaining: string[] = [];
+      for (const uri of record.imageUris) {
+        try {
+          await this.shred(uri);
+        } catch (error) {
+          console.error('Failed to shred photo:', error);
+          remaining.push(uri);
+        }
+      }
+      record.imageUris = remaining;
+    }
+  }
+
+  private isAppFile(path: string): boolean {
+    if (path.split('/').includes('..')) {
+      return false;
+    }
+    const {CachesDirectoryPath, DocumentDirectoryPath, TemporaryDirectoryPath} = this.fileSystem;
+    return [CachesDirectoryPath, DocumentDirectoryPath, TemporaryDirectoryPath]
+      .filter(Boolean)
+      .some(directory => path.startsWith(directory.replace(/\/$/, '') + '/'));
+  }
+}
+
+/**
+ * Encrypt a capture's payload
+ * The ID and kind are authenticated with it, so records cannot be swapped.
+ * @param key - Vault key
+ * @param record - Capture the payload belongs to
+ * @param payload - Capture data
+ * @returns Nonce and ciphertext as hex
+ */
+function seal(
+  key: Uint8Array,
+  record: Pick<CaptureRecord, 'id' | 'kind'>,
+  payload: CapturePayload
+): Pick<CaptureRecord, 'nonce' | 'ciphertext'> {
+  // A fresh nonce per write; GCM must never reuse one under the same key
+  const nonce = ethers.randomBytes(NONCE_BYTES);
+  const ciphertext = gcm(key, nonce, associatedData(record)).encrypt(
+    ethers.toUtf8Bytes(JSON.stringify(payload))
+  );
+  return {nonce: ethers.hexlify(nonce), ciphertext: ethers.hexlify(ciphertext)};
+}
+
+function openRecord(
+  key: Uint8Array,
+  contents: VaultContents,
+  id: string,
+  kind: CaptureKind
+): CapturePayload {
+  const record = contents.captures.find(capture => capture.id === id && capture.kind === kind);
+  if (!record) {
+    throw new Error(CAPTURE_UNAVAILABLE);
+  }
+
+  try {
+    const plaintext = gcm(key, ethers.getBytes(record.nonce), associatedData(record)).decrypt(
+      ethers.getBytes(record.ciphertext)
+    );
+    return JSON.parse(ethers.toUtf8String(plaintext)) as CapturePayload;
+  } catch (error) {
+    // Tampered with, or sealed under another key
+    throw new Error(CAPTURE_UNAVAILABLE);
+  }
+}
+
+function openDocument(
+  key: Uint8Array,
+  contents: VaultContents,
+  id: string
+): Extract<CapturePayload, {kind: 'document'}> {
+  const payload = openRecord(key, contents, id, 'document');
+  if (payload.kind !== 'document') {
+    throw new Error(CAPTURE_UNAVAILABLE);
+  }
+  return payload;
+}
+
+function associatedData(record: Pick<CaptureRecord, 'id' | 'kind'>): Uint8Array {
+  return ethers.toUtf8Bytes(`${record.id}:${record.kind}`);
+}
+
+function toPath(uri: string): string | null {
+  if (uri.startsWith('file://')) {
+    return decodeURIComponent(uri.slice('file://'.length));
+  }
+  return uri.startsWith('/') ? uri : null;
+}
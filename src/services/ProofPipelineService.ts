@@ -0,0 +1,531 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import {ethers} from 'ethers';
+import * as SecureStore from 'expo-secure-store';
+import {
+  FaceData,
+  MoproProof,
+  PipelineProgress,
+  PipelineStage,
+  ProofJob,
+  StoredCredential,
+  VerificationCaptures,
+} from '@types/index';
+import {MoproService} from '@services/MoproService';
+import {PrivacyVaultService} from '@services/PrivacyVaultService';
+import {Web3Service} from '@services/Web3Service';
+import {VerificationStatusService} from '@services/VerificationStatusService';
+import {commitDocument, commitFace, generateSalt, hashFaceDescriptor} from '@utils/commitment';
+import {crossCheckDocuments} from '@utils/documentConsistency';
+import {hashLivenessTranscript} from '@utils/liveness';
+import {getNetwork} from '@utils/networks';
+
+// The subset of expo-secure-store the pipeline needs for the commitment salt
+export type SaltStore = Pick<
+  typeof SecureStore,
+  'getItemAsync' | 'setItemAsync' | 'deleteItemAsync'
+>;
+
+export const PIPELINE_CANCELLED = 'Proof generation cancelled';
+export const TRANSFER_DECLINED = 'Verification transfer declined';
+export const DOCUMENTS_INCONSISTENT = 'Documents do not belong to the same person';
+
+const STORAGE_KEY = '@zkid/proof_job';
+const SALT_KEY = 'zkid.proofJob.salt';
+
+// The salt opens the commitments; kept out of backups like the wallet key
+const SALT_OPTIONS: SecureStore.SecureStoreOptions = {
+  keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+// Share of the whole verification done when each stage starts; proving
+// dominates, so it gets most of the bar
+const STAGE_START: Record<PipelineStage, number> = {
+  prepare: 0,
+  prove: 0.05,
+  verify: 0.8,
+  submit: 0.85,
+  confirm: 0.95,
+  done: 1,
+};
+
+const STAGE_ORDER: PipelineStage[] = ['prepare', 'prove', 'verify', 'submit', 'confirm', 'done'];
+
+const STAGE_MESSAGES: Record<PipelineStage, string> = {
+  prepare: 'Preparing verification data...',
+  prove: 'Generating zero-knowledge proof...',
+  verify: 'Checking the proof...',
+  submit: 'Submitting proof to blockchain...',
+  confirm: 'Waiting for confirmation...',
+  done: 'Verification completed successfully!',
+};
+
+const OFFLINE_MESSAGE = 'Waiting for a network connection...';
+
+// Stages that talk to the chain and are retried once the network is back
+const NETWORK_STAGES: PipelineStage[] = ['submit', 'confirm'];
+
+export interface PipelineRunOptions {
+  captures?: VerificationCaptures; // Omit to resume the pending job
+  confirmTransfer: () => Promise<boolean>; // Asked when the document verified another wallet
+  onProgress?: (progress: PipelineProgress) => void;
+}
+
+/**
+ * Verification as a sequence of stages: prepare, prove, verify (locally),
+ * submit and confirm
+ * Each stage's output is saved before the next one starts, so a verification
+ * interrupted by the user, the app closing or the network dropping picks up
+ * where it stopped. The captured face and document stay in the privacy vault;
+ * the job only refers to them. Their photos are shredded once the proof is
+ * generated.
+ */
+export class ProofPipelineService {
+  private moproService: MoproService;
+  private web3Service: Web3Service;
+  private verificationStatusService: VerificationStatusService;
+  private saltStore: SaltStore;
+  private privacyVault: PrivacyVaultService;
+  private running = false;
+  private cancelled = false;
+  private onProgress?: (progress: PipelineProgress) => void;
+  private cancelListeners = new Set<() => void>();
+
+  /**
+   * @param moproService - Prover
+   * @param web3Service - Connection the proof is submitted through
+   * @param verificationStatusService - Where the completed verification is recorded
+   * @param saltStore - Where the commitment salt is kept (defaults to expo-secure-store)
+   * @param privacyVault - Where the captures are kept
+   */
+  constructor(
+    moproService: MoproService = new MoproService(),
+    web3Service: Web3Service = new Web3Service(),
+    verificationStatusService: VerificationStatusService = new VerificationStatusService(),
+    saltStore: SaltStore = SecureStore,
+    privacyVault: PrivacyVaultService = new PrivacyVaultService()
+  ) {
+    this.moproService = moproService;
+    this.web3Service = web3Service;
+    this.verificationStatusService = verificationStatusService;
+    this.saltStore = saltStore;
+    this.privacyVault = privacyVault;
+  }
+
+  /**
+   * Get the pending verification if it can be resumed without the captures,
+   * i.e. its proof has been generated
+   * @returns Promise<ProofJob | null> - Pending job, or null if none
+   */
+  async getResumable(): Promise<ProofJob | null> {
+    const job = await this.load();
+    return job && job.proof && job.stage !== 'done' ? job : null;
+  }
+
+  /**
+   * Run a verification to completion
+   * Starts a new job for new captures, and otherwise continues the saved job
+   * from the stage it stopped at.
+   * @param options - Captures, transfer confirmation and progress listener
+   * @returns Promise<StoredCredential> - Credential for the completed verification
+   */
+  async run(options: PipelineRunOptions): Promise<StoredCredential> {
+    if (this.running) {
+      throw new Error('Verification already running');
+    }
+    this.running = true;
+    this.cancelled = false;
+    this.onProgress = options.onProgress;
+
+    try {
+      return await this.runJob(options);
+    } finally {
+      this.running = false;
+      this.onProgress = undefined;
+    }
+  }
+
+  /**
+   * Stop the running verification
+   * Proof generation is abandoned at once and starts over on resume. Other
+   * stages finish in the background (a transaction already sent cannot be
+   * recalled) and their output is saved. run() then rejects with
+   * PIPELINE_CANCELLED.
+   */
+  cancel(): void {
+    this.cancelled = true;
+    this.cancelListeners.forEach(listener => listener());
+  }
+
+  /**
+   * Forget the pending verification and its commitment salt
+   */
+  async discard(): Promise<void> {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+    await this.saltStore.deleteItemAsync(SALT_KEY, SALT_OPTIONS);
+  }
+
+  private async runJob(options: PipelineRunOptions): Promise<StoredCredential> {
+    const {captures} = options;
+    let job = await this.load();
+    if (captures && !(job && isSameCaptures(job.captures, captures))) {
+      await this.discard();
+      const now = Date.now();
+      job = {
+        captures,
+        stage: 'prepare',
+        documentType: (await this.privacyVault.getInputs(captures)).idData.type,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await this.save(job);
+    }
+    if (!job || (!job.proof && !captures)) {
+      throw new Error('No verification to resume');
+    }
+
+    while (job.stage !== 'done') {
+      this.throwIfCancelled();
+      this.report(job.stage, STAGE_START[job.stage]);
+      try {
+        await this.runStage(job, options);
+      } catch (error) {
+        if (
+          this.cancelled ||
+          !NETWORK_STAGES.includes(job.stage) ||
+          (await this.isOnline())
+        ) {
+          throw error;
+        }
+        console.warn('Network lost during verification, waiting to resume:', error);
+        this.report(job.stage, STAGE_START[job.stage], OFFLINE_MESSAGE, true);
+        await this.waitForNetwork();
+      }
+    }
+
+    const credential = await this.toCredential(job);
+    this.report('done', 1);
+    await this.discard();
+    await this.deleteCaptures(job);
+    return credential;
+  }
+
+  /**
+   * Run the job's current stage and save its output
+   * @param job - Job to advance; updated in place
+   * @param options - Run options
+   */
+  private async runStage(job: ProofJob, options: PipelineRunOptions): Promise<void> {
+    switch (job.stage) {
+      case 'prepare': {
+        const {faceData, idData, faceMatch, supportingDocuments} =
+          await this.privacyVault.getInputs(job.captures);
+        if (!faceData.liveness?.passed) {
+          throw new Error('Liveness check not passed');
+        }
+        // Supporting documents are not proven, but must name the same person
+        const consistency = crossCheckDocuments([idData, ...supportingDocuments]);
+        if (consistency.some(check => !check.agrees)) {
+          throw new Error(DOCUMENTS_INCONSISTENT);
+        }
+        const salt = generateSalt();
+        await this.saltStore.setItemAsync(SALT_KEY, salt, SALT_OPTIONS);
+
+        // The proof is bound to the wallet that submits it (see SelectWallet)
+        await this.web3Service.connect();
+        job.account = await this.web3Service.getAddress();
+        job.chainId = this.web3Service.getNetwork()!.chainId;
+        job.timestamp = Math.floor(Date.now() / 1000);
+
+        // The contract only records proofs of documents an issuer vouched for
+        const portrait = hashFaceDescriptor(faceMatch.portrait.faceDescriptor);
+        job.attestation = await this.web3Service.requestAttestation({
+          idCommitment: commitDocument(idData.extractedData, salt, portrait),
+          documentType: idData.type,
+          extractedData: idData.extractedData,
+          portrait,
+          salt,
+        });
+        return this.advance(job, 'prove');
+      }
+
+      case 'prove': {
+        const {faceData, idData, faceMatch} = await this.privacyVault.getInputs(job.captures);
+        const salt = await this.getSalt();
+        const portrait = hashFaceDescriptor(faceMatch.portrait.faceDescriptor);
+        const start = STAGE_START.prove;
+        const span = STAGE_START.verify - start;
+
+        // Proving takes long enough that cancel() should not wait for it
+        this.throwIfCancelled();
+        const abort = new AbortController();
+        const onCancel = () => abort.abort();
+        this.cancelListeners.add(onCancel);
+        let moproProof: MoproProof;
+        try {
+          moproProof = await this.moproService.generateProof(
+            {
+              faceHash: commitFaceData(faceData, salt),
+              idHash: commitDocument(idData.extractedData, salt, portrait),
+              timestamp: job.timestamp,
+              document: {extractedData: idData.extractedData, portrait, salt},
+              // The circuit re-checks the selfie against the committed document portrait
+              face: {
+                descriptor: faceData.faceDescriptor,
+                portraitDescriptor: faceMatch.portrait.faceDescriptor,
+                minSimilarity: faceMatch.threshold,
+                liveness: faceData.liveness,
+              },
+              account: job.account,
+            },
+            ({fraction}) => this.report('prove', start + fraction * span),
+            abort.signal
+          );
+        } catch (error) {
+          this.throwIfCancelled();
+          throw error;
+        } finally {
+          this.cancelListeners.delete(onCancel);
+        }
+
+        job.proof = {
+          proof: ethers.hexlify(moproProof.proof).slice(2),
+          publicSignals: moproProof.publicInputs,
+          verificationKey: await this.moproService.getVerificationKey(),
+        };
+        await this.advance(job, 'verify');
+        return this.shredPhotos(job);
+      }
+
+      case 'verify': {
+        // Catch a bad proof before the user pays to have the contract reject it
+        const valid = await this.moproService.verifyProof({
+          proof: ethers.getBytes('0x' + job.proof!.proof),
+          publicInputs: job.proof!.publicSignals,
+        });
+        if (!valid) {
+          job.proof = undefined;
+          await this.advance(job, 'prove');
+          throw new Error('Generated proof failed local verification');
+        }
+        return this.advance(job, 'submit');
+      }
+
+      case 'submit': {
+        await this.connectFor(job);
+        const onSent = (method: ProofJob['method']) => async (txHash: string) => {
+          job.method = method;
+          job.transactionHash = txHash;
+          await this.advance(job, 'confirm');
+          this.report('confirm', STAGE_START.confirm);
+        };
+
+        try {
+          job.transaction = await this.web3Service.submitProof(
+            job.proof!,
+            job.attestation!,
+            onSent('submitProof')
+          );
+        } catch (error) {
+          if (!(error instanceof Error) || !error.message.includes('Nullifier already used')) {
+            throw error;
+          }
+          // This document already verified another wallet
+          if (!(await options.confirmTransfer())) {
+            await this.discard();
+            throw new Error(TRANSFER_DECLINED);
+          }
+          this.report('submit', STAGE_START.submit, 'Moving verification to this wallet...');
+          job.transaction = await this.web3Service.transferVerification(
+            job.proof!,
+            job.attestation!,
+            onSent('transferVerification')
+          );
+        }
+        return this.advance(job, 'confirm');
+      }
+
+      case 'confirm': {
+        if (!job.transaction) {
+          // Sent before the app closed or the network dropped
+          await this.connectFor(job, false);
+          job.transaction = await this.web3Service.waitForProof(job.transactionHash!);
+        }
+        if (job.transaction.status !== 'success') {
+          job.method = undefined;
+          job.transactionHash = undefined;
+          job.transaction = undefined;
+          await this.advance(job, 'submit');
+          throw new Error('Verification transaction failed');
+        }
+
+        // Remember when the verification lapses so the home screen can prompt
+        // for re-verification
+        job.expiresAt = await this.web3Service.getExpiry(job.account!);
+        await this.verificationStatusService.save({
+          address: job.account!,
+          proofHash: job.transaction.proofHash || job.proof!.proof,
+          transactionHash: job.transaction.hash,
+          expiresAt: job.expiresAt,
+        });
+        return this.advance(job, 'done');
+      }
+    }
+  }
+
+  /**
+   * Make sure the connection matches the network and account the proof is for
+   * @param job - Job being submitted
+   * @param checkAccount - Whether the wallet must still be on the proof's account
+   */
+  private async connectFor(job: ProofJob, checkAccount = true): Promise<void> {
+    if (!this.web3Service.isConnected() || this.web3Service.getNetwork()?.chainId !== job.chainId) {
+      await this.web3Service.connect(getNetwork(job.chainId!));
+    }
+    // The wallet may have switched accounts since the proof was generated,
+    // and the proof only verifies for the account it is bound to
+    if (checkAccount && (await this.web3Service.getAddress()) !== job.account) {
+      throw new Error('Wallet account changed');
+    }
+  }
+
+  /**
+   * Build the credential for a completed job
+   * @param job - Job in the done stage
+   * @returns Promise<StoredCredential> - Credential for the credential wallet
+   */
+  private async toCredential(job: ProofJob): Promise<StoredCredential> {
+    const proofHash = job.transaction!.proofHash || job.proof!.proof;
+    return {
+      id: proofHash,
+      address: job.account!,
+      proof: job.proof!,
+      transaction: job.transaction!,
+      commitmentSalt: await this.getSalt(),
+      documentType: job.documentType,
+      predicates: [],
+      createdAt: Date.now(),
+      expiresAt: job.expiresAt!,
+    };
+  }
+
+  /**
+   * Shred the captured photos; the commitments are derived, so nothing needs them
+   * @param job - Job whose proof has been generated
+   */
+  private async shredPhotos(job: ProofJob): Promise<void> {
+    try {
+      await this.privacyVault.shredImages(captureIds(job.captures));
+    } catch (error) {
+      // Retention deletes them later; the proof is unaffected
+      console.error('Failed to shred captured photos:', error);
+    }
+  }
+
+  /**
+   * Delete the captures of a completed verification if the retention policy asks to
+   * @param job - Completed job
+   */
+  private async deleteCaptures(job: ProofJob): Promise<void> {
+    try {
+      if ((await this.privacyVault.getRetentionPolicy()).deleteAfterVerification) {
+        await this.privacyVault.remove(captureIds(job.captures));
+      }
+    } catch (error) {
+      console.error('Failed to delete verification captures:', error);
+    }
+  }
+
+  private async getSalt(): Promise<string> {
+    const salt = await this.saltStore.getItemAsync(SALT_KEY, SALT_OPTIONS);
+    if (!salt) {
+      throw new Error('Commitment salt is missing');
+    }
+    return salt;
+  }
+
+  private async advance(job: ProofJob, stage: PipelineStage): Promise<void> {
+    job.stage = stage;
+    job.updatedAt = Date.now();
+    await this.save(job);
+  }
+
+  private async load(): Promise<ProofJob | null> {
+    try {
+      const raw = await AsyncStorage.getItem(STORAGE_KEY);
+      const job = raw ? (JSON.parse(raw) as ProofJob) : null;
+      // Jobs saved by earlier versions do not name their captures; start those over
+      return job && job.captures && STAGE_ORDER.includes(job.stage) ? job : null;
+    } catch (error) {
+      console.error('Failed to load pending verification:', error);
+      return null;
+    }
+  }
+
+  private async save(job: ProofJob): Promise<void> {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(job));
+  }
+
+  private report(
+    stage: PipelineStage,
+    fraction: number,
+    message = STAGE_MESSAGES[stage],
+    waitingForNetwork = false
+  ): void {
+    this.onProgress?.({stage, fraction, message, waitingForNetwork});
+  }
+
+  private throwIfCancelled(): void {
+    if (this.cancelled) {
+      throw new Error(PIPELINE_CANCELLED);
+    }
+  }
+
+  private async isOnline(): Promise<boolean> {
+    // null means unknown; only a definite "offline" is worth waiting out
+    return (await NetInfo.fetch()).isConnected !== false;
+  }
+
+  /**
+   * Wait until the device is back online
+   * @returns Promise<void> - Resolves once connected; rejects on cancel()
+   */
+  private async waitForNetwork(): Promise<void> {
+    let onCancel = () => {};
+    let unsubscribe = () => {};
+    try {
+      await new Promise<void>((resolve, reject) => {
+        onCancel = () => reject(new Error(PIPELINE_CANCELLED));
+        this.cancelListeners.add(onCancel);
+        unsubscribe = NetInfo.addEventListener(state => {
+          if (state.isConnected) {
+            resolve();
+          }
+        });
+      });
+    } finally {
+      unsubscribe();
+      this.cancelListeners.delete(onCancel);
+    }
+  }
+}
+
+function isSameCaptures(a: VerificationCaptures | undefined, b: VerificationCaptures): boolean {
+  return !!a && captureIds(a).join() === captureIds(b).join();
+}
+
+function captureIds(captures: VerificationCaptures): string[] {
+  return [
+    captures.faceCaptureId,
+    captures.documentCaptureId,
+    ...(captures.supportingDocumentCaptureIds ?? []),
+  ];
+}
+
+function commitFaceData(faceData: FaceData, salt: string): string {
+  return commitFace(
+    faceData.faceDescriptor,
+    salt,
+    hashLivenessTranscript(faceData.liveness!)
+  );
+}
@@ -0,0 +1,74 @@
+import {CredentialWalletService} from '@services/CredentialWalletService';
+import {FaceVerificationService} from '@services/FaceVerificationService';
+import {IDVerificationService} from '@services/IDVerificationService';
+import {MoproService} from '@services/MoproService';
+import {NetworkService} from '@services/NetworkService';
+import {PrivacyVaultService} from '@services/PrivacyVaultService';
+import {ProofPipelineService} from '@services/ProofPipelineService';
+import {VerificationStatusService} from '@services/VerificationStatusService';
+import {WalletSignerService} from '@services/WalletSignerService';
+import {Web3Service} from '@services/Web3Service';
+import {
+  createMlKitFaceDetector,
+  createMlKitOcrEngine,
+  createTfliteFaceEmbedder,
+  loadGrayImage,
+} from '@/engines';
+
+/**
+ * The services the screens use, created once for the app
+ * Screens take their services from here (see useServices) rather than
+ * constructing them, so tests and the simulation mode can swap any of them.
+ */
+export interface ServiceContainer {
+  faceVerification: FaceVerificationService;
+  idVerification: IDVerificationService;
+  mopro: MoproService;
+  privacyVault: PrivacyVaultService;
+  proofPipeline: ProofPipelineService;
+  verificationStatus: VerificationStatusService;
+  credentialWallet: CredentialWalletService;
+  walletSigners: WalletSignerService;
+  networks: NetworkService;
+  // A connection is per network and contract, so each action opens its own
+  createWeb3: (contractAddress?: string) => Web3Service;
+}
+
+/**
+ * Create the app's services
+ * Faces and documents are read on device with ML Kit and a face embedding
+ * model (see src/engines). The proof pipeline is built from the container's
+ * prover, vault and status service unless it is overridden too.
+ * @param overrides - Services to use instead of the defaults
+ * @returns ServiceContainer - Services for the app
+ */
+export function createServiceContainer(
+  overrides: Partial<ServiceContainer> = {}
+): ServiceContainer {
+  const mopro = overrides.mopro ?? new MoproService();
+  const privacyVault = overrides.privacyVault ?? new PrivacyVaultService();
+  const verificationStatus = overrides.verificationStatus ?? new VerificationStatusService();
+  const createWeb3 =
+    overrides.createWeb3 ?? ((contractAddress?: string) => new Web3Service(contractAddress));
+
+  return {
+    faceVerification:
+      overrides.faceVerification ??
+      new FaceVerificationService({
+        detector: createMlKitFaceDetector(createTfliteFaceEmbedder()),
+      }),
+    idVerification:
+      overrides.idVerification ??
+      new IDVerificationService({ocrEngine: createMlKitOcrEngine(), loadImage: loadGrayImage}),
+    mopro,
+    privacyVault,
+    proofPipeline:
+      overrides.proofPipeline ??
+      new ProofPipelineService(mopro, createWeb3(), verificationStatus, undefined, privacyVault),
+    verificationStatus,
+    credentialWallet: overrides.credentialWallet ?? new CredentialWalletService(),
+    walletSigners: overrides.walletSigners ?? new WalletSignerService(),
+    networks: overrides.networks ?? new NetworkService(),
+    createWeb3,
+  };
+}
@@ -0,0 +1,155 @@
+import {ethers} from 'ethers';
+import {
+  MoproProof,
+  PresentedProof,
+  StoredCredential,
+  VerifiableCredential,
+  VerifiablePresentation,
+  VpVerification,
+} from '@types/index';
+import {MoproService} from '@services/MoproService';
+import {Web3Service} from '@services/Web3Service';
+import {
+  CredentialChecks,
+  checkVc,
+  checkVp,
+  createVp,
+  credentialToVc,
+  getVpSigningMessage,
+  isVp,
+  parseVerifiableDocument,
+  toDidPkh,
+} from '@utils/verifiableCredential';
+
+export class VerifiableCredentialService {
+  private web3Service: Web3Service;
+  private moproService: MoproService;
+
+  /**
+   * @param web3Service - Connected service holding the credentials' wallet
+   * @param moproService - Service with the circuits' verification keys
+   */
+  constructor(web3Service: Web3Service, moproService: MoproService) {
+    this.web3Service = web3Service;
+    this.moproService = moproService;
+  }
+
+  /**
+   * Export a credential as a W3C Verifiable Credential
+   * @param credential - Credential held by the connected wallet
+   * @returns Promise<VerifiableCredential> - Credential issued by the verification contract
+   */
+  async exportCredential(credential: StoredCredential): Promise<VerifiableCredential> {
+    await this.getHolder([credential]);
+    const chainId = await this.web3Service.getChainId();
+
+    return credentialToVc(credential, chainId, this.web3Service.getContractAddress());
+  }
+
+  /**
+   * Export credentials as a Verifiable Presentation signed by the connected wallet
+   * @param credentials - Credentials held by the connected wallet
+   * @param challenge - Challenge issued by the verifier
+   * @param domain - Verifier the presentation is meant for
+   * @param now - Current time
+   * @returns Promise<VerifiablePresentation> - Signed presentation
+   */
+  async exportPresentation(
+    credentials: StoredCredential[],
+    challenge: string,
+    domain: string,
+    now: Date = new Date()
+  ): Promise<VerifiablePresentation> {
+    const holder = await this.getHolder(credentials);
+    const chainId = await this.web3Service.getChainId();
+    const contract = this.web3Service.getContractAddress();
+
+    const presentation = createVp(
+      credentials.map(credential => credentialToVc(credential, chainId, contract)),
+      toDidPkh(holder, chainId),
+      challenge,
+      domain,
+      now
+    );
+    presentation.proof.proofValue = await this.web3Service.signMessage(
+      getVpSigningMessage(presentation)
+    );
+    return presentation;
+  }
+
+  /**
+   * Verify an imported credential or presentation against this app's contract
+   * A bare credential is reported as a presentation of one credential.
+   * Presentations are not checked for a challenge, since the app did not ask
+   * for them.
+   * @param json - Imported document
+   * @param now - Current time
+   * @returns Promise<VpVerification> - Outcome with every failed check
+   */
+  async verifyDocument(json: string, now: Date = new Date()): Promise<VpVerification> {
+    const document = parseVerifiableDocument(json);
+    const issuer = toDidPkh(
+      this.web3Service.getContractAddress(),
+      await this.web3Service.getChainId()
+    );
+    const checks: CredentialChecks = {
+      verifyIdentityProof: async identity => {
+        const proof = this.toMoproProof(identity);
+        return !!proof && this.moproService.verifyProof(proof);
+      },
+      verifyPredicateProof: async predicate => {
+        const proof = this.toMoproProof(predicate);
+        return (
+          !!proof &&
+          this.moproService.verifyPredicateProof({
+            ...proof,
+            predicate: predicate.predicate,
+            predicateId: predicate.predicateId,
+          })
+        );
+      },
+      isProofActive: proofHash => this.web3Service.verifyProof(proofHash),
+      isHolderVerified: holder => this.web3Service.getVerificationStatus(holder),
+    };
+
+    if (isVp(document)) {
+      return checkVp(document, checks, issuer, {}, now);
+    }
+
+    const verification = await checkVc(document, checks, issuer, now);
+    return {
+      valid: verification.valid,
+      holder: verification.holder,
+      credentials: [verification],
+      errors: verification.errors,
+    };
+  }
+
+  /**
+   * Check that the connected wallet holds every credential
+   * @param credentials - Credentials to export
+   * @returns Promise<string> - Wallet address
+   */
+  private async getHolder(credentials: StoredCredential[]): Promise<string> {
+    const holder = await this.web3Service.getAddress();
+    if (
+      credentials.some(credential => credential.address.toLowerCase() !== holder.toLowerCase())
+    ) {
+      throw new Error('Connected wallet does not hold this credential');
+    }
+    return holder;
+  }
+
+  /**
+   * Decode a proof from its exported form
+   * @param presented - Proof with hex proof bytes
+   * @returns MoproProof | null - Decoded proof, or null if the bytes are malformed
+   */
+  private toMoproProof(presented: PresentedProof): MoproProof | null {
+    try {
+      return {proof: ethers.getBytes(presented.proof), publicInputs: presented.publicSignals};
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {ExpiryStatus, StoredVerification} from '@types/index';
+import {getExpiryStatus} from '@utils/expiry';
+
+const STORAGE_KEY = '@zkid/verification';
+
+export class VerificationStatusService {
+  /**
+   * Remember the latest on-chain verification
+   * @param verification - Verification record, including its on-chain expiry
+   */
+  async save(verification: StoredVerification): Promise<void> {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(verification));
+  }
+
+  /**
+   * Load the latest verification
+   * @returns Promise<StoredVerification | null> - Stored record, or null if none or unreadable
+   */
+  async load(): Promise<StoredVerification | null> {
+    try {
+      const raw = await AsyncStorage.getItem(STORAGE_KEY);
+      return raw ? (JSON.parse(raw) as StoredVerification) : null;
+    } catch (error) {
+      console.error('Failed to load verification status:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the expiry status of the latest verification
+   * @param now - Current time
+   * @returns Promise<ExpiryStatus> - Expiry state for display
+   */
+  async getStatus(now: Date = new Date()): Promise<ExpiryStatus> {
+    const verification = await this.load();
+    return getExpiryStatus(verification?.expiresAt, now);
+  }
+
+  /**
+   * Forget the stored verification
+   */
+  async clear(): Promise<void> {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  }
+}
@@ -0,0 +1,285 @@
+import {ethers} from 'ethers';
+import * as SecureStore from 'expo-secure-store';
+
+export type WalletSignerKind = 'external' | 'in_app' | 'injected';
+
+// Called with the signer for the new account, or null once no account is usable
+export type AccountListener = (signer: ethers.Signer | null) => void;
+
+/**
+ * Source of the account that signs transactions and messages
+ * Web3Service connects a WalletSigner to its provider and follows its account
+ * changes; the signer itself owns the key or the wallet session.
+ */
+export interface WalletSigner {
+  readonly kind: WalletSignerKind;
+  readonly label: string; // Shown on the wallet selection screen
+  connect(provider: ethers.Provider): Promise<ethers.Signer>;
+  disconnect(): Promise<void>;
+  onAccountChanged(listener: AccountListener): () => void;
+}
+
+// EIP-1193 provider of a wallet outside the app, e.g. WalletConnect's EthereumProvider
+export interface ExternalWalletProvider extends ethers.Eip1193Provider {
+  on(event: string, listener: (...args: any[]) => void): unknown;
+  removeListener(event: string, listener: (...args: any[]) => void): unknown;
+  disconnect?(): Promise<void>;
+}
+
+export type ExternalWalletConnector = () => Promise<ExternalWalletProvider>;
+
+// The subset of expo-secure-store the in-app wallet needs
+export type KeyStore = Pick<typeof SecureStore, 'getItemAsync' | 'setItemAsync'>;
+
+const IN_APP_KEY_NAME = 'zkid.wallet.privateKey';
+
+// Kept out of backups and off other devices
+const IN_APP_KEY_OPTIONS: SecureStore.SecureStoreOptions = {
+  keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+abstract class ObservableSigner {
+  private listeners = new Set<AccountListener>();
+
+  /**
+   * Follow account changes
+   * @param listener - Called with the new account's signer, or null on disconnect
+   * @returns () => void - Stops following
+   */
+  onAccountChanged(listener: AccountListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  protected emit(signer: ethers.Signer | null): void {
+    this.listeners.forEach(listener => listener(signer));
+  }
+}
+
+/**
+ * Signer handed in by the caller, for tests and scripts
+ */
+export class InjectedWalletSigner extends ObservableSigner implements WalletSigner {
+  readonly kind = 'injected';
+  readonly label = 'Injected signer';
+  private signer: ethers.Signer;
+
+  /**
+   * @param signer - Signer to use; connected to the provider unless it has one
+   */
+  constructor(signer: ethers.Signer) {
+    super();
+    this.signer = signer;
+  }
+
+  async connect(provider: ethers.Provider): Promise<ethers.Signer> {
+    return this.signer.provider ? this.signer : this.signer.connect(provider);
+  }
+
+  async disconnect(): Promise<void> {
+    this.emit(null);
+  }
+
+  /**
+   * Switch to another account, as a wallet would
+   * @param signer - Signer for the new account
+   */
+  setSigner(signer: ethers.Signer): void {
+    this.signer = signer;
+    this.emit(signer);
+  }
+}
+
+/**
+ * Key generated or imported on this device, kept in the platform secure store
+ * (Keychain on iOS, Keystore-backed storage on Android)
+ */
+export class InAppWalletSigner extends ObservableSigner implements WalletSigner {
+  readonly kind = 'in_app';
+  readonly label = 'In-app wallet';
+  private keyStore: KeyStore;
+  private connected = false;
+
+  /**
+   * @param keyStore - Where the private key is kept (defaults to expo-secure-store)
+   */
+  constructor(keyStore: KeyStore = SecureStore) {
+    super();
+    this.keyStore = keyStore;
+  }
+
+  /**
+   * Get the address of the stored key without connecting
+   * @returns Promise<string | null> - Address, or null if no key is stored
+   */
+  async getAddress(): Promise<string | null> {
+    const privateKey = await this.keyStore.getItemAsync(IN_APP_KEY_NAME, IN_APP_KEY_OPTIONS);
+    return privateKey ? ethers.computeAddress(privateKey) : null;
+  }
+
+  /**
+   * Generate a new key and store it
+   * @returns Promise<string> - Address of the new key
+   */
+  async createKey(): Promise<string> {
+    return this.storeKey(ethers.Wallet.createRandom().privateKey);
+  }
+
+  /**
+   * Store an existing private key
+   * @param privateKey - 0x-prefixed 32-byte private key
+   * @returns Promise<string> - Address of the key
+   */
+  async importKey(privateKey: string): Promise<string> {
+    let wallet: ethers.Wallet;
+    try {
+      wallet = new ethers.Wallet(privateKey.trim());
+    } catch (error) {
+      throw new Error('Invalid private key');
+    }
+    return this.storeKey(wallet.privateKey);
+  }
+
+  async connect(provider: ethers.Provider): Promise<ethers.Signer> {
+    const privateKey = await this.keyStore.getItemAsync(IN_APP_KEY_NAME, IN_APP_KEY_OPTIONS);
+    if (!privateKey) {
+      throw new Error('No in-app wallet on this device');
+    }
+
+    this.connected = true;
+    return new ethers.Wallet(privateKey, provider);
+  }
+
+  async disconnect(): Promise<void> {
+    if (this.connected) {
+      this.connected = false;
+      this.emit(null);
+    }
+  }
+
+  /**
+   * Store a key unless one already exists; a stored key may hold funds or a
+   * verification, so it is never overwritten
+   * @param privateKey - Key to store
+   * @returns Promise<string> - Address of the key
+   */
+  private async storeKey(privateKey: string): Promise<string> {
+    if (await this.getAddress()) {
+      throw new Error('An in-app wallet already exists on this device');
+    }
+
+    await this.keyStore.setItemAsync(IN_APP_KEY_NAME, privateKey, IN_APP_KEY_OPTIONS);
+    return ethers.computeAddress(privateKey);
+  }
+}
+
+/**
+ * Wallet app reached through an EIP-1193 provider, such as a WalletConnect
+ * session. Transactions and messages are approved in the wallet; the wallet
+ * may switch accounts or end the session at any time.
+ */
+export class ExternalWalletSigner extends ObservableSigner implements WalletSigner {
+  readonly kind = 'external';
+  readonly label: string;
+  private connector: ExternalWalletConnector;
+  private external: ExternalWalletProvider | null = null;
+  private browserProvider: ethers.BrowserProvider | null = null;
+  private chainId: bigint | null = null;
+
+  /**
+   * @param connector - Opens a session with the wallet
+   * @param label - Name of the wallet or protocol
+   */
+  constructor(connector: ExternalWalletConnector, label = 'External wallet') {
+    super();
+    this.connector = connector;
+    this.label = label;
+  }
+
+  async connect(provider: ethers.Provider): Promise<ethers.Signer> {
+    const {chainId} = await provider.getNetwork();
+
+    if (!this.external) {
+      this.external = await this.connector();
+      this.external.on('accountsChanged', this.handleAccountsChanged);
+      this.external.on('chainChanged', this.handleChainChanged);
+      this.external.on('disconnect', this.handleDisconnect);
+    }
+
+    const accounts = (await this.external.request({method: 'eth_requestAccounts'})) as string[];
+    if (!accounts || accounts.length === 0) {
+      throw new Error('Wallet did not share an account');
+    }
+
+    await this.switchChain(chainId);
+    this.chainId = chainId;
+    this.browserProvider = new ethers.BrowserProvider(this.external, Number(chainId));
+    return this.browserProvider.getSigner(accounts[0]);
+  }
+
+  async disconnect(): Promise<void> {
+    const external = this.detach();
+    if (external) {
+      await external.disconnect?.();
+      this.emit(null);
+    }
+  }
+
+  /**
+   * Make sure the wallet signs for the chain the app reads from
+   * @param chainId - Chain of the app's provider
+   */
+  private async switchChain(chainId: bigint): Promise<void> {
+    const current = BigInt((await this.external!.request({method: 'eth_chainId'})) as string);
+    if (current === chainId) {
+      return;
+    }
+
+    try {
+      await this.external!.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{chainId: ethers.toQuantity(chainId)}],
+      });
+    } catch (error) {
+      throw new Error(`Switch your wallet to chain ${chainId}`);
+    }
+  }
+
+  /**
+   * Stop listening to the wallet and forget the session
+   * @returns ExternalWalletProvider | null - Provider of the session, if there was one
+   */
+  private detach(): ExternalWalletProvider | null {
+    const external = this.external;
+    external?.removeListener('accountsChanged', this.handleAccountsChanged);
+    external?.removeListener('chainChanged', this.handleChainChanged);
+    external?.removeListener('disconnect', this.handleDisconnect);
+
+    this.external = null;
+    this.browserProvider = null;
+    this.chainId = null;
+    return external;
+  }
+
+  private handleAccountsChanged = async (accounts: string[]): Promise<void> => {
+    if (!this.browserProvider) {
+      return;
+    }
+    this.emit(accounts.length > 0 ? await this.browserProvider.getSigner(accounts[0]) : null);
+  };
+
+  // Signing for another chain would submit proofs where the app cannot see them
+  private handleChainChanged = (chainId: string): void => {
+    if (this.chainId !== null && BigInt(chainId) !== this.chainId) {
+      this.emit(null);
+    }
+  };
+
+  private handleDisconnect = (): void => {
+    if (this.detach()) {
+      this.emit(null);
+    }
+  };
+}
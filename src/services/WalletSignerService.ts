@@ -0,0 +1,78 @@
+import {
+  ExternalWalletConnector,
+  ExternalWalletSigner,
+  InAppWalletSigner,
+  WalletSigner,
+} from '@services/WalletSigner';
+
+// Chosen on the wallet selection screen and used by every Web3Service until cleared
+let selected: WalletSigner | null = null;
+
+// Opens external wallet sessions; external wallets are offered only once set
+let externalConnector: ExternalWalletConnector | null = null;
+
+// One instance so account listeners survive between screens
+const inAppSigner = new InAppWalletSigner();
+
+export class WalletSignerService {
+  /**
+   * Get the signer transactions are sent from
+   * @returns WalletSigner | null - Selected signer, or null if none was chosen
+   */
+  getSelected(): WalletSigner | null {
+    return selected;
+  }
+
+  /**
+   * Make a signer the one transactions are sent from, ending the previous
+   * signer's session
+   * @param signer - Signer to use
+   */
+  async select(signer: WalletSigner): Promise<void> {
+    if (selected && selected !== signer) {
+      await selected.disconnect();
+    }
+    selected = signer;
+  }
+
+  /**
+   * End the selected signer's session and forget it
+   */
+  async clear(): Promise<void> {
+    const previous = selected;
+    selected = null;
+    await previous?.disconnect();
+  }
+
+  /**
+   * Get the signer backed by the key in this device's secure store
+   * @returns InAppWalletSigner - Shared in-app signer
+   */
+  getInAppSigner(): InAppWalletSigner {
+    return inAppSigner;
+  }
+
+  /**
+   * Enable external wallets, e.g. with WalletConnect's EthereumProvider.init
+   * @param connector - Opens a session with an external wallet
+   */
+  setExternalConnector(connector: ExternalWalletConnector | null): void {
+    externalConnector = connector;
+  }
+
+  /**
+   * Check whether external wallets can be offered
+   * @returns boolean - True once a connector has been set
+   */
+  hasExternalConnector(): boolean {
+    return externalConnector !== null;
+  }
+
+  /**
+   * Create a signer for an external wallet
+   * @returns ExternalWalletSigner | null - Signer, or null if external wallets are not enabled
+   */
+  createExternalSigner(): ExternalWalletSigner | null {
+    return externalConnector ? new ExternalWalletSigner(externalConnector) : null;
+  }
+}
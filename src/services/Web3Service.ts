@@ -1,99 +1,237 @@
 import {ethers} from 'ethers';
-import {ZKProof, TransactionResult, VerificationContract} from '@types/index';
+import {
+  AttestationRequest,
+  NetworkConfig,
+  RelayRequest,
+  RelayResponse,
+  TransactionResult,
+  VerificationContract,
+  ZKProof,
+} from '@types/index';
+import {NetworkService} from '@services/NetworkService';
+import {WalletSigner} from '@services/WalletSigner';
+import {WalletSignerService} from '@services/WalletSignerService';
+import {recoverAttestationIssuer} from '@utils/attestation';
+import {encodeProofCalldata} from '@utils/groth16';
+import {DEFAULT_RELAY_TTL, getRelayTypedData} from '@utils/relay';
+
+// Extra gas on top of the estimate, in percent, to absorb state changes
+// between estimation and inclusion
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+// Used when a gas estimate cannot be obtained
+const FALLBACK_GAS_LIMIT = '200000';
+
+export const NO_ISSUER = 'No document issuer configured for this network';
 
 export class Web3Service {
   private provider: ethers.JsonRpcProvider | null = null;
-  private signer: ethers.Wallet | null = null;
+  private signer: ethers.Signer | null = null;
   private contract: ethers.Contract | null = null;
   private contractConfig: VerificationContract;
+  private contractAddressOverride: string | null;
+  private network: NetworkConfig | null = null;
   private connected = false;
+  private stopFollowingAccount: (() => void) | null = null;
+  private accountListeners = new Set<(address: string | null) => void>();
 
-  constructor() {
-    // Default contract configuration
-    // In a real implementation, these would be loaded from environment variables
+  /**
+   * @param contractAddress - IdentityVerification contract to use instead of the
+   * network's deployment, e.g. the one a relying party names
+   */
+  constructor(contractAddress?: string) {
+    this.contractAddressOverride = contractAddress || null;
     this.contractConfig = {
-      address: '0x1234567890123456789012345678901234567890', // Mock address
+      address: contractAddress || '',
       abi: this.getContractABI(),
     };
   }
 
   /**
    * Connect to the blockchain network
-   * @param rpcUrl - Optional RPC URL (defaults to a test network)
-   * @param privateKey - Optional private key (for testing)
+   * Reads go through the RPC provider; transactions and messages are signed
+   * by the wallet signer, whose account changes are followed until disconnect().
+   * Without a wallet signer the connection is read-only. Both the RPC endpoint
+   * and the wallet must be on the network's chain.
+   * @param network - Network to connect to (defaults to the one selected in the app)
+   * @param walletSigner - Signer to use (defaults to the one selected in the app)
    */
-  async connect(rpcUrl?: string, privateKey?: string): Promise<void> {
+  async connect(network?: NetworkConfig, walletSigner?: WalletSigner): Promise<void> {
+    const source = walletSigner ?? new WalletSignerService().getSelected();
+
     try {
       console.log('Connecting to blockchain...');
 
-      // Set up provider
-      const defaultRpcUrl = 'https://goerli.infura.io/v3/YOUR_INFURA_KEY';
-      this.provider = new ethers.JsonRpcProvider(rpcUrl || defaultRpcUrl);
+      const target = network ?? (await new NetworkService().getSelected());
+      const contractAddress = this.contractAddressOverride ?? target.contractAddress;
+      if (!contractAddress) {
+        throw new Error(`IdentityVerification is not deployed on ${target.name}`);
+      }
 
-      // Set up signer (in a real app, this would use a wallet connection)
-      if (privateKey) {
-        this.signer = new ethers.Wallet(privateKey, this.provider);
+      this.provider = new ethers.JsonRpcProvider(target.rpcUrl);
+      const {chainId} = await this.provider.getNetwork();
+      if (Number(chainId) !== target.chainId) {
+        throw new Error(`${target.name} RPC is on chain ${chainId}, expected ${target.chainId}`);
+      }
+      this.network = target;
+      this.contractConfig.address = contractAddress;
+
+      this.stopFollowingAccount?.();
+      this.stopFollowingAccount = null;
+      if (source) {
+        const walletAccount = await source.connect(this.provider);
+        const walletNetwork = await walletAccount.provider?.getNetwork();
+        if (walletNetwork && Number(walletNetwork.chainId) !== target.chainId) {
+          throw new Error(`Switch your wallet to ${target.name}`);
+        }
+        this.useSigner(walletAccount);
+        this.stopFollowingAccount = source.onAccountChanged(signer =>
+          this.handleAccountChanged(signer)
+        );
       } else {
-        // For demo purposes, create a random wallet
-        this.signer = ethers.Wallet.createRandom().connect(this.provider);
+        this.signer = null;
+        this.contract = new ethers.Contract(
+          this.contractConfig.address,
+          this.contractConfig.abi,
+          this.provider
+        );
       }
 
-      // Connect to the verification contract
-      this.contract = new ethers.Contract(
-        this.contractConfig.address,
-        this.contractConfig.abi,
-        this.signer
-      );
-
-      // Test connection
-      await this.provider.getNetwork();
-      
       this.connected = true;
       console.log('Successfully connected to blockchain');
-      console.log('Wallet address:', await this.signer.getAddress());
+      console.log('Wallet address:', this.signer ? await this.signer.getAddress() : 'none');
     } catch (error) {
       console.error('Failed to connect to blockchain:', error);
-      throw new Error('Blockchain connection failed');
+      const reason = error instanceof Error ? `: ${error.message}` : '';
+      throw new Error(`Blockchain connection failed${reason}`);
     }
   }
 
   /**
-   * Submit a zero-knowledge proof to the blockchain
-   * @param proof - ZK proof to submit
-   * @returns Promise<TransactionResult> - Transaction result
+   * Follow the connected wallet's account
+   * @param listener - Called with the new address, or null once the wallet disconnects
+   * @returns () => void - Stops following
+   */
+  onAccountChanged(listener: (address: string | null) => void): () => void {
+    this.accountListeners.add(listener);
+    return () => {
+      this.accountListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Have the network's issuer attest a document commitment
+   * The issuer is sent the commitment's opening, checks the document against
+   * its records and signs the commitment (EIP-712, see @utils/attestation).
+   * The contract only accepts identity proofs with such an attestation.
+   * @param request - Document commitment and its opening
+   * @returns Promise<string> - Attestation by an issuer the contract trusts
    */
-  async submitProof(proof: ZKProof): Promise<TransactionResult> {
-    if (!this.connected || !this.contract || !this.signer) {
+  async requestAttestation(request: AttestationRequest): Promise<string> {
+    if (!this.connected || !this.contract) {
       throw new Error('Not connected to blockchain');
     }
+    const issuerUrl = this.network?.issuerUrl;
+    if (!issuerUrl) {
+      throw new Error(NO_ISSUER);
+    }
 
+    const {chainId} = this.network!;
+    const contract = this.contractConfig.address;
+    const response = await fetch(`${issuerUrl.replace(/\/$/, '')}/attest`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({chainId, contract, ...request}),
+    });
+    let body: {attestation?: string; error?: string};
     try {
-      console.log('Submitting proof to blockchain...');
-
-      // In a real implementation, you would:
-      // 1. Format the proof for the smart contract
-      // 2. Estimate gas costs
-      // 3. Submit the transaction
-      // 4. Wait for confirmation
-
-      // For demo purposes, simulate transaction submission
-      await new Promise(resolve => setTimeout(resolve, 3000));
-
-      // Mock transaction result
-      const mockTransactionResult: TransactionResult = {
-        hash: this.generateMockTransactionHash(),
-        blockNumber: Math.floor(Math.random() * 1000000) + 15000000,
-        gasUsed: '150000',
-        status: 'success',
-      };
+      body = await response.json();
+    } catch (error) {
+      throw new Error(`Issuer failed (HTTP ${response.status})`);
+    }
+    if (!response.ok || typeof body.attestation !== 'string') {
+      throw new Error(`Issuer refused the document: ${body.error ?? `HTTP ${response.status}`}`);
+    }
+
+    // Catch an attestation the contract would reject before a proof is built on it
+    const issuer = recoverAttestationIssuer(
+      request.idCommitment,
+      body.attestation,
+      chainId,
+      contract
+    );
+    if (!issuer || !(await this.contract.isIssuer(issuer))) {
+      throw new Error('Attestation is not signed by an issuer of this contract');
+    }
+    return body.attestation;
+  }
+
+  /**
+   * Submit a zero-knowledge proof to the blockchain
+   * The proof is encoded as `(bytes proof, uint256[] publicInputs)`, gas is
+   * estimated with the real call (so verifier reverts surface before anything
+   * is sent), and the proof hash is read from the ProofSubmitted event. If the
+   * wallet cannot pay for the gas and the network has a relayer, the user
+   * signs the submission and the relayer sends it.
+   * @param proof - ZK proof to submit
+   * @param attestation - Issuer's attestation of the proof's document commitment
+   * (see requestAttestation)
+   * @param onSent - Called with the transaction hash once it is broadcast, so
+   * waiting can be resumed with waitForProof() if it is interrupted
+   * @returns Promise<TransactionResult> - Transaction result including the on-chain proof hash
+   */
+  async submitProof(
+    proof: ZKProof,
+    attestation: string,
+    onSent?: (txHash: string) => void | Promise<void>
+  ): Promise<TransactionResult> {
+    return this.sendProof('submitProof', proof, attestation, 'Proof submission failed', onSent);
+  }
 
-      console.log('Proof submitted successfully');
-      console.log('Transaction hash:', mockTransactionResult.hash);
+  /**
+   * Move a verification held by another address to the connected wallet
+   * The proof must be for the same document (same nullifier) and bound to the
+   * connected address. The previous address loses its verification.
+   * @param proof - Fresh ZK proof of the same document
+   * @param attestation - Issuer's attestation of the proof's document commitment
+   * @param onSent - Called with the transaction hash once it is broadcast
+   * @returns Promise<TransactionResult> - Transaction result including the new proof hash
+   */
+  async transferVerification(
+    proof: ZKProof,
+    attestation: string,
+    onSent?: (txHash: string) => void | Promise<void>
+  ): Promise<TransactionResult> {
+    return this.sendProof(
+      'transferVerification',
+      proof,
+      attestation,
+      'Verification transfer failed',
+      onSent
+    );
+  }
+
+  /**
+   * Wait for a proof transaction sent earlier, e.g. before the app restarted
+   * @param txHash - Hash of a submitProof or transferVerification transaction
+   * @returns Promise<TransactionResult> - Transaction result including the proof hash
+   */
+  async waitForProof(txHash: string): Promise<TransactionResult> {
+    if (!this.connected || !this.provider) {
+      throw new Error('Not connected to blockchain');
+    }
 
-      return mockTransactionResult;
+    try {
+      const receipt = await this.provider.waitForTransaction(
+        txHash,
+        this.network?.confirmations ?? 1
+      );
+      return this.toProofResult(receipt);
     } catch (error) {
-      console.error('Failed to submit proof:', error);
-      throw new Error('Proof submission failed');
+      console.error('Failed to confirm proof transaction:', error);
+      const err = error as any;
+      const reason = err?.reason || err?.shortMessage || err?.message;
+      throw new Error(reason ? `Proof confirmation failed: ${reason}` : 'Proof confirmation failed');
     }
   }
 
@@ -110,12 +248,7 @@ export class Web3Service {
     try {
       console.log('Verifying proof on blockchain...');
 
-      // In a real implementation, you would call the contract's verify function
-      // const isValid = await this.contract.verifyProof(proofHash);
-      
-      // For demo, simulate verification
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      const isValid = true; // Assume all proofs are valid for demo
+      const isValid: boolean = await this.contract.verifyProofHash(proofHash);
 
       console.log(`Proof verification result: ${isValid}`);
       return isValid;
@@ -136,17 +269,73 @@ export class Web3Service {
     }
 
     try {
-      // In a real implementation:
-      // const isVerified = await this.contract.isVerified(address);
-      
-      // For demo, return true
-      return true;
+      return await this.contract.isVerified(address);
     } catch (error) {
       console.error('Failed to get verification status:', error);
       return false;
     }
   }
 
+  /**
+   * Get when an address's verification expires
+   * @param address - Address to look up
+   * @returns Promise<number> - Expiry as a Unix timestamp in seconds, or 0 if never verified
+   */
+  async getExpiry(address: string): Promise<number> {
+    if (!this.connected || !this.contract) {
+      throw new Error('Not connected to blockchain');
+    }
+
+    const expiresAt: bigint = await this.contract.getExpiry(address);
+    return Number(expiresAt);
+  }
+
+  /**
+   * Get the address of the connected wallet
+   * @returns Promise<string> - Wallet address
+   */
+  async getAddress(): Promise<string> {
+    return this.requireSigner().getAddress();
+  }
+
+  /**
+   * Sign a message with the connected wallet (EIP-191 personal_sign)
+   * @param message - Message to sign
+   * @returns Promise<string> - Signature as 0x-prefixed hex
+   */
+  async signMessage(message: string): Promise<string> {
+    return this.requireSigner().signMessage(message);
+  }
+
+  /**
+   * Get the address of the verification contract this service talks to
+   * @returns string - Contract address
+   */
+  getContractAddress(): string {
+    return this.contractConfig.address;
+  }
+
+  /**
+   * Get the network this service is connected to
+   * @returns NetworkConfig | null - Network, or null before connect()
+   */
+  getNetwork(): NetworkConfig | null {
+    return this.network;
+  }
+
+  /**
+   * Get the ID of the connected chain
+   * @returns Promise<number> - Chain ID
+   */
+  async getChainId(): Promise<number> {
+    if (!this.provider) {
+      throw new Error('Provider not initialized');
+    }
+
+    const network = await this.provider.getNetwork();
+    return Number(network.chainId);
+  }
+
   /**
    * Get the current gas price
    * @returns Promise<string> - Gas price in wei
@@ -168,22 +357,25 @@ export class Web3Service {
   /**
    * Estimate gas for proof submission
    * @param proof - ZK proof to estimate gas for
+   * @param attestation - Issuer's attestation of the proof's document commitment
    * @returns Promise<string> - Estimated gas amount
    */
-  async estimateGas(proof: ZKProof): Promise<string> {
+  async estimateGas(proof: ZKProof, attestation: string): Promise<string> {
     if (!this.contract) {
       throw new Error('Contract not initialized');
     }
 
     try {
-      // In a real implementation:
-      // const gasEstimate = await this.contract.submitProof.estimateGas(proof);
-      
-      // For demo, return a reasonable estimate
-      return '150000';
+      const calldata = encodeProofCalldata(proof);
+      const gasEstimate = await this.contract.submitProof.estimateGas(
+        calldata.proof,
+        calldata.publicInputs,
+        attestation
+      );
+      return gasEstimate.toString();
     } catch (error) {
       console.error('Failed to estimate gas:', error);
-      return '200000'; // Conservative estimate
+      return FALLBACK_GAS_LIMIT; // Conservative estimate
     }
   }
 
@@ -234,7 +426,10 @@ export class Web3Service {
    * Disconnect from the blockchain
    */
   disconnect(): void {
+    this.stopFollowingAccount?.();
+    this.stopFollowingAccount = null;
     this.provider = null;
+    this.network = null;
     this.signer = null;
     this.contract = null;
     this.connected = false;
@@ -271,16 +466,242 @@ export class Web3Service {
   }
 
   /**
-   * Generate a mock transaction hash for demo purposes
-   * @returns string - Mock transaction hash
+   * Get the wallet signer
+   * @returns ethers.Signer - Signer of the connected wallet
    */
-  private generateMockTransactionHash(): string {
-    const chars = '0123456789abcdef';
-    let hash = '0x';
-    for (let i = 0; i < 64; i++) {
-      hash += chars[Math.floor(Math.random() * chars.length)];
+  private requireSigner(): ethers.Signer {
+    if (!this.signer) {
+      throw new Error(this.connected ? 'No wallet selected' : 'Not connected to blockchain');
     }
-    return hash;
+    return this.signer;
+  }
+
+  /**
+   * Sign with a new signer and bind the contract to it
+   * @param signer - Signer of the wallet's current account
+   */
+  private useSigner(signer: ethers.Signer): void {
+    this.signer = signer;
+    this.contract = new ethers.Contract(
+      this.contractConfig.address,
+      this.contractConfig.abi,
+      signer
+    );
+  }
+
+  /**
+   * Switch to the wallet's new account, or disconnect if it has none
+   * @param signer - Signer of the new account, or null
+   */
+  private async handleAccountChanged(signer: ethers.Signer | null): Promise<void> {
+    if (!signer) {
+      this.disconnect();
+      this.accountListeners.forEach(listener => listener(null));
+      return;
+    }
+
+    this.useSigner(signer);
+    const address = await signer.getAddress();
+    console.log('Wallet account changed:', address);
+    this.accountListeners.forEach(listener => listener(address));
+  }
+
+  /**
+   * Send a proof to one of the contract's proof entry points and wait for it
+   * Falls back to the network's relayer when the wallet cannot pay for the gas.
+   * @param method - Contract method taking `(bytes proof, uint256[] publicInputs,
+   * bytes attestation)`
+   * @param proof - ZK proof to send
+   * @param attestation - Issuer's attestation of the proof's document commitment
+   * @param failureMessage - Prefix for thrown errors
+   * @param onSent - Called with the transaction hash once it is broadcast
+   * @returns Promise<TransactionResult> - Transaction result including the proof hash
+   */
+  private async sendProof(
+    method: 'submitProof' | 'transferVerification',
+    proof: ZKProof,
+    attestation: string,
+    failureMessage: string,
+    onSent?: (txHash: string) => void | Promise<void>
+  ): Promise<TransactionResult> {
+    if (!this.connected || !this.contract) {
+      throw new Error('Not connected to blockchain');
+    }
+    this.requireSigner();
+
+    const calldata = encodeProofCalldata(proof);
+
+    try {
+      console.log(`Sending proof to ${method}...`);
+
+      const gasEstimate = await this.contract[method].estimateGas(
+        calldata.proof,
+        calldata.publicInputs,
+        attestation
+      );
+      const gasLimit = this.addGasBuffer(gasEstimate);
+
+      let receipt: ethers.TransactionReceipt | null;
+      if (this.network?.relayerUrl && !(await this.canPayFor(gasLimit))) {
+        console.log('Wallet cannot pay for gas, using the relayer');
+        const txHash = await this.relayProof(
+          method,
+          calldata,
+          attestation,
+          this.network.relayerUrl
+        );
+        await onSent?.(txHash);
+        receipt = await this.provider!.waitForTransaction(txHash, this.network.confirmations);
+      } else {
+        const tx = await this.contract[method](calldata.proof, calldata.publicInputs, attestation, {
+          gasLimit,
+        });
+        console.log('Transaction hash:', tx.hash);
+        await onSent?.(tx.hash);
+        receipt = await tx.wait(this.network?.confirmations ?? 1);
+      }
+
+      return this.toProofResult(receipt);
+    } catch (error) {
+      console.error(`Failed to call ${method}:`, error);
+      // Prefer the contract's revert reason over ethers' full error text
+      const err = error as any;
+      const reason = err?.reason || err?.shortMessage || err?.message;
+      throw new Error(reason ? `${failureMessage}: ${reason}` : failureMessage);
+    }
+  }
+
+  /**
+   * Check whether the wallet can pay for a transaction at the current fees
+   * @param gasLimit - Gas limit of the transaction
+   * @returns Promise<boolean> - Whether the balance covers the maximum fee
+   */
+  private async canPayFor(gasLimit: bigint): Promise<boolean> {
+    const address = await this.requireSigner().getAddress();
+    const [balance, feeData] = await Promise.all([
+      this.provider!.getBalance(address),
+      this.provider!.getFeeData(),
+    ]);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? BigInt(0);
+    return balance >= gasLimit * gasPrice;
+  }
+
+  /**
+   * Have the network's relayer send a proof on the wallet's behalf
+   * The wallet signs the submission (EIP-712). The caller reads the receipt
+   * from this service's own RPC rather than taking the relayer's word for it.
+   * @param method - Contract method the relayer should call for the wallet
+   * @param calldata - Encoded proof
+   * @param attestation - Issuer's attestation, sent along but not signed by the wallet
+   * @param relayerUrl - Relayer base URL
+   * @returns Promise<string> - Hash of the relayed transaction
+   */
+  private async relayProof(
+    method: RelayRequest['action'],
+    calldata: {proof: string; publicInputs: bigint[]},
+    attestation: string,
+    relayerUrl: string
+  ): Promise<string> {
+    const signer = this.requireSigner();
+    const user = await signer.getAddress();
+    const nonce: bigint = await this.contract!.nonces(user);
+
+    const unsigned: Omit<RelayRequest, 'signature'> = {
+      action: method,
+      user,
+      proof: calldata.proof,
+      publicInputs: calldata.publicInputs.map(String),
+      attestation,
+      nonce: nonce.toString(),
+      deadline: Math.floor(Date.now() / 1000) + DEFAULT_RELAY_TTL,
+    };
+    const {domain, types, value} = getRelayTypedData(
+      unsigned,
+      this.network!.chainId,
+      this.contractConfig.address
+    );
+    const signature = await signer.signTypedData(domain, types, value);
+
+    const response = await fetch(`${relayerUrl.replace(/\/$/, '')}/relay`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({...unsigned, signature}),
+    });
+    let body: RelayResponse;
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw new Error(`Relayer failed (HTTP ${response.status})`);
+    }
+    if (!body.accepted) {
+      throw new Error(`Relayer refused the submission: ${body.error}`);
+    }
+
+    console.log('Relayed transaction hash:', body.transaction.hash);
+    return body.transaction.hash;
+  }
+
+  /**
+   * Build the result of a proof transaction from its receipt
+   * @param receipt - Receipt of a submitProof or transferVerification transaction
+   * @returns TransactionResult - Result including the proof hash from ProofSubmitted
+   */
+  private toProofResult(receipt: ethers.TransactionReceipt | null): TransactionResult {
+    if (!receipt) {
+      throw new Error('Transaction was dropped');
+    }
+
+    const event = this.findEvent(receipt, 'ProofSubmitted');
+    const result: TransactionResult = {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      status: receipt.status === 1 ? 'success' : 'failed',
+      proofHash: event?.args.proofHash,
+      chainId: this.network?.chainId,
+    };
+
+    if (result.status === 'success' && !result.proofHash) {
+      throw new Error('ProofSubmitted event not found in receipt');
+    }
+
+    console.log('Proof accepted on-chain');
+    console.log('Proof hash:', result.proofHash);
+
+    return result;
+  }
+
+  /**
+   * Add a safety margin to a gas estimate
+   * @param gasEstimate - Estimated gas
+   * @returns bigint - Gas limit to send with the transaction
+   */
+  private addGasBuffer(gasEstimate: bigint): bigint {
+    return (gasEstimate * BigInt(100 + GAS_LIMIT_BUFFER_PERCENT)) / BigInt(100);
+  }
+
+  /**
+   * Find the first event with the given name emitted by the contract in a receipt
+   * @param receipt - Transaction receipt
+   * @param eventName - Event name
+   * @returns ethers.LogDescription | null - Parsed event, if present
+   */
+  private findEvent(
+    receipt: ethers.TransactionReceipt,
+    eventName: string
+  ): ethers.LogDescription | null {
+    const contractAddress = this.contractConfig.address.toLowerCase();
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) {
+        continue;
+      }
+      const parsed = this.contract!.interface.parseLog(log);
+      if (parsed?.name === eventName) {
+        return parsed;
+      }
+    }
+    return null;
   }
 
   /**
@@ -301,6 +722,11 @@ export class Web3Service {
             "internalType": "uint256[]",
             "name": "publicInputs",
             "type": "uint256[]"
+          },
+          {
+            "internalType": "bytes",
+            "name": "attestation",
+            "type": "bytes"
           }
         ],
         "name": "submitProof",
@@ -314,6 +740,35 @@ export class Web3Service {
         "stateMutability": "nonpayable",
         "type": "function"
       },
+      {
+        "inputs": [
+          {
+            "internalType": "bytes",
+            "name": "proof",
+            "type": "bytes"
+          },
+          {
+            "internalType": "uint256[]",
+            "name": "publicInputs",
+            "type": "uint256[]"
+          },
+          {
+            "internalType": "bytes",
+            "name": "attestation",
+            "type": "bytes"
+          }
+        ],
+        "name": "transferVerification",
+        "outputs": [
+          {
+            "internalType": "bool",
+            "name": "",
+            "type": "bool"
+          }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
       {
         "inputs": [
           {
@@ -322,7 +777,7 @@ export class Web3Service {
             "type": "bytes32"
           }
         ],
-        "name": "verifyProof",
+        "name": "verifyProofHash",
         "outputs": [
           {
             "internalType": "bool",
@@ -351,6 +806,94 @@ export class Web3Service {
         ],
         "stateMutability": "view",
         "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "address",
+            "name": "user",
+            "type": "address"
+          }
+        ],
+        "name": "getExpiry",
+        "outputs": [
+          {
+            "internalType": "uint256",
+            "name": "",
+            "type": "uint256"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "address",
+            "name": "user",
+            "type": "address"
+          }
+        ],
+        "name": "nonces",
+        "outputs": [
+          {
+            "internalType": "uint256",
+            "name": "",
+            "type": "uint256"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "internalType": "address",
+            "name": "account",
+            "type": "address"
+          }
+        ],
+        "name": "isIssuer",
+        "outputs": [
+          {
+            "internalType": "bool",
+            "name": "",
+            "type": "bool"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {
+            "indexed": true,
+            "internalType": "address",
+            "name": "user",
+            "type": "address"
+          },
+          {
+            "indexed": true,
+            "internalType": "bytes32",
+            "name": "proofHash",
+            "type": "bytes32"
+          },
+          {
+            "indexed": false,
+            "internalType": "uint256",
+            "name": "timestamp",
+            "type": "uint256"
+          },
+          {
+            "indexed": false,
+            "internalType": "uint256",
+            "name": "expiresAt",
+            "type": "uint256"
+          }
+        ],
+        "name": "ProofSubmitted",
+        "type": "event"
       }
     ];
   }
@@ -0,0 +1,270 @@
+import {ethers} from 'ethers';
+import {MoproProof, TransactionResult, ZKProof} from '@types/index';
+import {recoverAttestationIssuer} from '@utils/attestation';
+import {encodeProofCalldata} from '@utils/groth16';
+import {SIMULATED_ISSUER_KEY, SIMULATED_MAX_VERIFICATION_TTL} from './fixtures';
+
+// Positions of the identity circuit's public signals, as in IdentityVerification.sol
+const ID_COMMITMENT_INDEX = 1;
+const EXPIRY_DATE_INDEX = 3;
+const SCOPE_INDEX = 4;
+const NULLIFIER_INDEX = 5;
+const ACCOUNT_INDEX = 6;
+const PUBLIC_INPUT_COUNT = 8;
+
+// Gas the simulated contract charges for recording a verification
+const SIMULATED_GAS_USED = '180000';
+
+// Contract a transaction is sent to, which attestations are signed for
+export interface SimulatedDeployment {
+  chainId: number;
+  contract: string;
+}
+
+interface SimulatedVerification {
+  proofHash: string;
+  isValid: boolean;
+  expiresAt: number;
+}
+
+/**
+ * In-memory stand-in for the IdentityVerification contract
+ * Keeps verifications, nullifier owners and transactions the way the contract
+ * does, and reverts with the contract's reasons, so services talking to it see
+ * what they would see on-chain. Each transaction is mined in its own block at
+ * the current time.
+ */
+export class SimulatedChain {
+  private verifier: {verifyProof(proof: MoproProof): Promise<boolean>};
+  private maxVerificationTTL: number;
+  private issuer: string;
+  private verifications = new Map<string, SimulatedVerification>();
+  private proofOwners = new Map<string, string>();
+  private nullifierOwners = new Map<string, string>();
+  private transactions = new Map<string, TransactionResult>();
+  private blockNumber = 0;
+
+  /**
+   * @param verifier - Checks proofs, like the contract's verifier
+   * @param maxVerificationTTL - Longest a verification stays valid, in seconds
+   * @param issuer - The only address whose document attestations are accepted
+   */
+  constructor(
+    verifier: {verifyProof(proof: MoproProof): Promise<boolean>},
+    maxVerificationTTL: number = SIMULATED_MAX_VERIFICATION_TTL,
+    issuer: string = ethers.computeAddress(SIMULATED_ISSUER_KEY)
+  ) {
+    this.verifier = verifier;
+    this.maxVerificationTTL = maxVerificationTTL;
+    this.issuer = ethers.getAddress(issuer);
+  }
+
+  /**
+   * Record an identity proof for a user (IdentityVerification.submitProof)
+   * @param user - Address sending the proof
+   * @param proof - Proof to record
+   * @param attestation - Issuer's signature over the proof's document commitment
+   * @param deployment - Contract the transaction is sent to
+   * @returns Promise<TransactionResult> - Mined transaction
+   */
+  async submitProof(
+    user: string,
+    proof: ZKProof,
+    attestation: string,
+    deployment: SimulatedDeployment
+  ): Promise<TransactionResult> {
+    const account = ethers.getAddress(user);
+    const publicInputs = await this.checkIdentityProof(account, proof, attestation, deployment);
+
+    const nullifier = this.nullifierKey(publicInputs);
+    const holder = this.nullifierOwners.get(nullifier);
+    if (holder && holder !== account) {
+      throw new Error('Nullifier already used');
+    }
+    const result = this.recordVerification(account, proof, publicInputs, 'submitProof');
+    this.nullifierOwners.set(nullifier, account);
+    return result;
+  }
+
+  /**
+   * Move the verification of the proof's document to a user
+   * (IdentityVerification.transferVerification)
+   * @param user - Address sending the proof
+   * @param proof - Fresh proof of the same document
+   * @param attestation - Issuer's signature over the proof's document commitment
+   * @param deployment - Contract the transaction is sent to
+   * @returns Promise<TransactionResult> - Mined transaction
+   */
+  async transferVerification(
+    user: string,
+    proof: ZKProof,
+    attestation: string,
+    deployment: SimulatedDeployment
+  ): Promise<TransactionResult> {
+    const account = ethers.getAddress(user);
+    const publicInputs = await this.checkIdentityProof(account, proof, attestation, deployment);
+
+    const nullifier = this.nullifierKey(publicInputs);
+    const from = this.nullifierOwners.get(nullifier);
+    if (!from) {
+      throw new Error('Unknown nullifier');
+    }
+    if (from === account) {
+      throw new Error('Nullifier already held by caller');
+    }
+
+    const result = this.recordVerification(
+      account,
+      proof,
+      publicInputs,
+      'transferVerification'
+    );
+    this.nullifierOwners.set(nullifier, account);
+    const previous = this.verifications.get(from);
+    if (previous) {
+      previous.isValid = false;
+    }
+    return result;
+  }
+
+  /**
+   * Look up a mined transaction
+   * @param txHash - Transaction hash
+   * @returns TransactionResult | null - Transaction, or null if it was never sent
+   */
+  getTransaction(txHash: string): TransactionResult | null {
+    return this.transactions.get(txHash) ?? null;
+  }
+
+  /**
+   * @param user - Address to check
+   * @returns boolean - Whether the user holds an unexpired, valid verification
+   */
+  isVerified(user: string): boolean {
+    const verification = this.verifications.get(ethers.getAddress(user));
+    return !!verification && verification.isValid && this.now() < verification.expiresAt;
+  }
+
+  /**
+   * @param user - Address to look up
+   * @returns number - Expiry as a Unix timestamp in seconds, or 0 if never verified
+   */
+  getExpiry(user: string): number {
+    return this.verifications.get(ethers.getAddress(user))?.expiresAt ?? 0;
+  }
+
+  /**
+   * @param proofHash - Proof hash from a ProofSubmitted event
+   * @returns boolean - Whether the proof's user is still verified
+   */
+  verifyProofHash(proofHash: string): boolean {
+    const user = this.proofOwners.get(proofHash);
+    return !!user && this.isVerified(user);
+  }
+
+  /**
+   * Check a proof the way IdentityVerification._checkIdentityProof does
+   * @param account - Address the proof must be bound to
+   * @param proof - Proof to check
+   * @param attestation - Issuer's signature over the proof's document commitment
+   * @param deployment - Contract the attestation must be signed for
+   * @returns Promise<bigint[]> - The proof's public inputs
+   */
+  private async checkIdentityProof(
+    account: string,
+    proof: ZKProof,
+    attestation: string,
+    deployment: SimulatedDeployment
+  ): Promise<bigint[]> {
+    const calldata = encodeProofCalldata(proof);
+    if (calldata.publicInputs.length !== PUBLIC_INPUT_COUNT) {
+      throw new Error('Invalid public inputs');
+    }
+    const issuer = recoverAttestationIssuer(
+      calldata.publicInputs[ID_COMMITMENT_INDEX].toString(),
+      attestation,
+      deployment.chainId,
+      deployment.contract
+    );
+    if (issuer !== this.issuer) {
+      throw new Error('Commitment not attested');
+    }
+    if (calldata.publicInputs[ACCOUNT_INDEX] !== BigInt(account)) {
+      throw new Error('Proof bound to another account');
+    }
+
+    const valid = await this.verifier.verifyProof({
+      proof: ethers.getBytes(calldata.proof),
+      publicInputs: proof.publicSignals,
+    });
+    if (!valid) {
+      throw new Error('Invalid proof');
+    }
+    return calldata.publicInputs;
+  }
+
+  /**
+   * Store a verification and mine the transaction that recorded it
+   * @param account - Address the proof is for
+   * @param proof - Recorded proof
+   * @param publicInputs - The proof's public inputs
+   * @param method - Contract method that was called
+   * @returns TransactionResult - Mined transaction
+   */
+  private recordVerification(
+    account: string,
+    proof: ZKProof,
+    publicInputs: bigint[],
+    method: string
+  ): TransactionResult {
+    const calldata = encodeProofCalldata(proof);
+    const proofHash = ethers.solidityPackedKeccak256(
+      ['bytes', 'uint256[]', 'address'],
+      [calldata.proof, publicInputs, account]
+    );
+
+    const documentExpiry = toTimestamp(publicInputs[EXPIRY_DATE_INDEX]);
+    if (documentExpiry <= this.now()) {
+      throw new Error('Document expired');
+    }
+
+    this.verifications.set(account, {
+      proofHash,
+      isValid: true,
+      expiresAt: Math.min(this.now() + this.maxVerificationTTL, documentExpiry),
+    });
+    this.proofOwners.set(proofHash, account);
+
+    this.blockNumber++;
+    const result: TransactionResult = {
+      hash: ethers.id(`${method}:${proofHash}:${this.blockNumber}`),
+      blockNumber: this.blockNumber,
+      gasUsed: SIMULATED_GAS_USED,
+      status: 'success',
+      proofHash,
+    };
+    this.transactions.set(result.hash, result);
+    return result;
+  }
+
+  private nullifierKey(publicInputs: bigint[]): string {
+    return `${publicInputs[SCOPE_INDEX]}:${publicInputs[NULLIFIER_INDEX]}`;
+  }
+
+  private now(): number {
+    return Math.floor(Date.now() / 1000);
+  }
+}
+
+/**
+ * Convert a date encoded as YYYYMMDD to a Unix timestamp (midnight UTC)
+ * @param date - Encoded date (see encodeDate in @utils/commitment)
+ * @returns number - Unix timestamp in seconds
+ */
+function toTimestamp(date: bigint): number {
+  const value = Number(date);
+  const year = Math.floor(value / 10000);
+  const month = Math.floor(value / 100) % 100;
+  const day = value % 100;
+  return Date.UTC(year, month - 1, day) / 1000;
+}
@@ -0,0 +1,192 @@
+import {ethers} from 'ethers';
+import {AttestationRequest, NetworkConfig, TransactionResult, ZKProof} from '@types/index';
+import {NetworkService} from '@services/NetworkService';
+import {WalletSigner} from '@services/WalletSigner';
+import {WalletSignerService} from '@services/WalletSignerService';
+import {Web3Service} from '@services/Web3Service';
+import {getAttestationTypedData} from '@utils/attestation';
+import {SIMULATED_CONTRACT_ADDRESS, SIMULATED_ISSUER_KEY} from './fixtures';
+import {SimulatedChain} from './SimulatedChain';
+
+/**
+ * Web3Service backed by a SimulatedChain instead of an RPC endpoint
+ * Wallet signers are used as they are, so addresses and signatures are real;
+ * only the contract is simulated. Documents are attested by the simulated
+ * issuer (SIMULATED_ISSUER_KEY) without being sent anywhere. Errors carry the
+ * same messages as Web3Service's.
+ */
+export class SimulatedWeb3Service extends Web3Service {
+  private chain: SimulatedChain;
+  private networks: NetworkService;
+  private walletSigners: WalletSignerService;
+  private requestedContract: string | null;
+  private deployment = '';
+  private wallet: ethers.Signer | null = null;
+  private connectedTo: NetworkConfig | null = null;
+
+  /**
+   * @param chain - Chain holding the contract's state
+   * @param networks - Where the selected network is read from
+   * @param walletSigners - Where the selected wallet is read from
+   * @param contractAddress - Contract to use instead of the network's deployment
+   */
+  constructor(
+    chain: SimulatedChain,
+    networks: NetworkService = new NetworkService(),
+    walletSigners: WalletSignerService = new WalletSignerService(),
+    contractAddress?: string
+  ) {
+    super(contractAddress);
+    this.chain = chain;
+    this.networks = networks;
+    this.walletSigners = walletSigners;
+    this.requestedContract = contractAddress || null;
+  }
+
+  async connect(network?: NetworkConfig, walletSigner?: WalletSigner): Promise<void> {
+    const source = walletSigner ?? this.walletSigners.getSelected();
+
+    try {
+      const target = network ?? (await this.networks.getSelected());
+      // Nothing is requested from the endpoint; it only names the chain
+      const provider = new ethers.JsonRpcProvider(target.rpcUrl, target.chainId, {
+        staticNetwork: true,
+      });
+
+      this.wallet = source ? await source.connect(provider) : null;
+      this.deployment =
+        this.requestedContract ?? target.contractAddress ?? SIMULATED_CONTRACT_ADDRESS;
+      this.connectedTo = target;
+    } catch (error) {
+      const reason = error instanceof Error ? `: ${error.message}` : '';
+      throw new Error(`Blockchain connection failed${reason}`);
+    }
+  }
+
+  async requestAttestation(request: AttestationRequest): Promise<string> {
+    const network = this.requireNetwork();
+    const {domain, types, value} = getAttestationTypedData(
+      request.idCommitment,
+      network.chainId,
+      this.deployment
+    );
+    return new ethers.Wallet(SIMULATED_ISSUER_KEY).signTypedData(domain, types, value);
+  }
+
+  async submitProof(
+    proof: ZKProof,
+    attestation: string,
+    onSent?: (txHash: string) => void | Promise<void>
+  ): Promise<TransactionResult> {
+    return this.sendToChain('submitProof', proof, attestation, 'Proof submission failed', onSent);
+  }
+
+  async transferVerification(
+    proof: ZKProof,
+    attestation: string,
+    onSent?: (txHash: string) => void | Promise<void>
+  ): Promise<TransactionResult> {
+    return this.sendToChain(
+      'transferVerification',
+      proof,
+      attestation,
+      'Verification transfer failed',
+      onSent
+    );
+  }
+
+  async waitForProof(txHash: string): Promise<TransactionResult> {
+    const network = this.requireNetwork();
+    const transaction = this.chain.getTransaction(txHash);
+    if (!transaction) {
+      throw new Error('Proof confirmation failed: transaction not found');
+    }
+    return {...transaction, chainId: network.chainId};
+  }
+
+  async verifyProof(proofHash: string): Promise<boolean> {
+    this.requireNetwork();
+    return this.chain.verifyProofHash(proofHash);
+  }
+
+  async getVerificationStatus(address: string): Promise<boolean> {
+    this.requireNetwork();
+    return this.chain.isVerified(address);
+  }
+
+  async getExpiry(address: string): Promise<number> {
+    this.requireNetwork();
+    return this.chain.getExpiry(address);
+  }
+
+  async getAddress(): Promise<string> {
+    return this.requireWallet().getAddress();
+  }
+
+  async signMessage(message: string): Promise<string> {
+    return this.requireWallet().signMessage(message);
+  }
+
+  getContractAddress(): string {
+    return this.deployment;
+  }
+
+  getNetwork(): NetworkConfig | null {
+    return this.connectedTo;
+  }
+
+  async getChainId(): Promise<number> {
+    if (!this.connectedTo) {
+      throw new Error('Provider not initialized');
+    }
+    return this.connectedTo.chainId;
+  }
+
+  disconnect(): void {
+    this.wallet = null;
+    this.connectedTo = null;
+  }
+
+  isConnected(): boolean {
+    return this.connectedTo !== null;
+  }
+
+  private async sendToChain(
+    method: 'submitProof' | 'transferVerification',
+    proof: ZKProof,
+    attestation: string,
+    failureMessage: string,
+    onSent?: (txHash: string) => void | Promise<void>
+  ): Promise<TransactionResult> {
+    const network = this.requireNetwork();
+    const user = await this.requireWallet().getAddress();
+
+    let transaction: TransactionResult;
+    try {
+      transaction = await this.chain[method](user, proof, attestation, {
+        chainId: network.chainId,
+        contract: this.deployment,
+      });
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : '';
+      throw new Error(reason ? `${failureMessage}: ${reason}` : failureMessage);
+    }
+
+    await onSent?.(transaction.hash);
+    return {...transaction, chainId: network.chainId};
+  }
+
+  private requireNetwork(): NetworkConfig {
+    if (!this.connectedTo) {
+      throw new Error('Not connected to blockchain');
+    }
+    return this.connectedTo;
+  }
+
+  private requireWallet(): ethers.Signer {
+    if (!this.wallet) {
+      throw new Error(this.connectedTo ? 'No wallet selected' : 'Not connected to blockchain');
+    }
+    return this.wallet;
+  }
+}
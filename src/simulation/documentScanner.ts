@@ -0,0 +1,82 @@
+import {BarcodeReader, GrayImage, OcrEngine} from '@types/index';
+import {applyHomography, computeHomography, createImage} from '@utils/documentImage';
+import {SIMULATED_DOCUMENT_TEXT, SIMULATED_LICENSE_BARCODE} from './fixtures';
+
+/**
+ * OCR engine that reads the simulated passport data page
+ * @returns OcrEngine - Engine answering every zone from SIMULATED_DOCUMENT_TEXT
+ */
+export function createSimulatedOcrEngine(): OcrEngine {
+  return {
+    recognize: async (_image, zone) => ({
+      text: SIMULATED_DOCUMENT_TEXT[zone] ?? '',
+      confidence: 0.95,
+    }),
+  };
+}
+
+/**
+ * Barcode reader that finds the simulated driver's license barcode
+ * Every photo is taken to be the back of the license, so a license can be
+ * added to a verification whatever the camera returns.
+ * @returns BarcodeReader - Reader answering every photo with SIMULATED_LICENSE_BARCODE
+ */
+export function createSimulatedBarcodeReader(): BarcodeReader {
+  return {
+    readPdf417: async () => SIMULATED_LICENSE_BARCODE,
+  };
+}
+
+/**
+ * Render a photo of the simulated passport data page
+ * The page is slightly tilted on a dark table, with bars where text is
+ * printed, so the whole document pipeline runs on it. Every photo is the same.
+ * @returns Promise<GrayImage> - 320x240 photo
+ */
+export async function renderSimulatedCapture(): Promise<GrayImage> {
+  const photo = createImage(320, 240, 50);
+  const page = computeHomography(
+    [
+      {x: 40, y: 30},
+      {x: 285, y: 42},
+      {x: 278, y: 205},
+      {x: 34, y: 196},
+    ],
+    [
+      {x: 0, y: 0},
+      {x: 1, y: 0},
+      {x: 1, y: 1},
+      {x: 0, y: 1},
+    ]
+  );
+  const bands = [
+    {top: 0.12, bottom: 0.18, left: 0.7, right: 0.95, pitch: 40},
+    {top: 0.22, bottom: 0.27, left: 0.34, right: 0.7, pitch: 60},
+    {top: 0.31, bottom: 0.36, left: 0.34, right: 0.8, pitch: 60},
+    {top: 0.46, bottom: 0.51, left: 0.34, right: 0.6, pitch: 60},
+    {top: 0.57, bottom: 0.62, left: 0.34, right: 0.6, pitch: 60},
+    {top: 0.8, bottom: 0.86, left: 0.04, right: 0.96, pitch: 88},
+    {top: 0.9, bottom: 0.96, left: 0.04, right: 0.96, pitch: 88},
+  ];
+
+  for (let y = 0; y < photo.height; y++) {
+    for (let x = 0; x < photo.width; x++) {
+      const {x: u, y: v} = applyHomography(page, {x, y});
+      if (u < 0 || u > 1 || v < 0 || v > 1) {
+        continue;
+      }
+
+      let value = 215;
+      if (u >= 0.04 && u <= 0.3 && v >= 0.2 && v <= 0.62) {
+        value = 110; // Portrait
+      }
+      for (const band of bands) {
+        if (v >= band.top && v <= band.bottom && u >= band.left && u <= band.right) {
+          value = Math.floor(u * band.pitch) % 2 === 0 ? 30 : 215;
+        }
+      }
+      photo.data[y * photo.width + x] = value;
+    }
+  }
+  return photo;
+}
@@ -0,0 +1,48 @@
+import {FaceDetector} from '@types/index';
+import {FACE_DESCRIPTOR_LENGTH} from '@utils/faceMatch';
+import {SIMULATED_CAPTURE_NOISE, SIMULATED_GESTURES} from './fixtures';
+
+/**
+ * Face model that sees the same simulated subject in every photo
+ * Each photo adds its own capture noise, derived from its URI, so a selfie
+ * matches the document portrait without being identical to it, and the same
+ * photo always gives the same descriptor. Liveness frames play the gestures
+ * in SIMULATED_GESTURES, so the subject passes any challenge.
+ * @returns FaceDetector - Deterministic detector
+ */
+export function createSimulatedFaceDetector(): FaceDetector {
+  return {
+    detect: async imageUri => {
+      const noise = seededNoise(imageUri);
+      return {
+        faceDescriptor: Array.from(
+          {length: FACE_DESCRIPTOR_LENGTH},
+          (_, i) => 0.8 * Math.sin(i * 1.7 + 0.3) + noise() * SIMULATED_CAPTURE_NOISE
+        ),
+        confidence: 0.95,
+        boundingBox: {x: 100, y: 150, width: 200, height: 250},
+      };
+    },
+    detectLandmarks: async (_imageUri, frameIndex) =>
+      SIMULATED_GESTURES[frameIndex % SIMULATED_GESTURES.length],
+  };
+}
+
+/**
+ * Repeatable noise for a photo (FNV-1a seed, xorshift32 stream)
+ * @param seed - Photo URI
+ * @returns () => number - Next noise value, between -1 and 1
+ */
+function seededNoise(seed: string): () => number {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193);
+  }
+
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return ((state >>> 0) / 0xffffffff) * 2 - 1;
+  };
+}
@@ -0,0 +1,70 @@
+import {DocumentZone, FaceLandmarkFrame} from '@types/index';
+import {LOCALHOST_CHAIN_ID} from '@utils/networks';
+
+// Text of the simulated passport data page, by zone
+export const SIMULATED_DOCUMENT_TEXT: Partial<Record<DocumentZone, string>> = {
+  mrz: [
+    'P<USADOE<<JOHN<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<',
+    '1234567897USA9001158M3001156<<<<<<<<<<<<<<<8',
+  ].join('\n'),
+  documentNumber: '123456789',
+  lastName: 'DOE',
+  firstName: 'JOHN',
+  dateOfBirth: '15 JAN 1990',
+  expiryDate: '15 JAN 2030',
+};
+
+// Data elements of the simulated subject's California driver's license
+const SIMULATED_LICENSE_ELEMENTS = [
+  'DAQD1234567',
+  'DCSDOE',
+  'DACJOHN',
+  'DADNONE',
+  'DBB01151990',
+  'DBA01152030',
+  'DBD01152022',
+  'DBC1',
+  'DAG123 MAIN ST',
+  'DAISACRAMENTO',
+  'DAJCA',
+  'DAK958180000',
+  'DCGUSA',
+];
+const SIMULATED_LICENSE_SUBFILE = `DL${SIMULATED_LICENSE_ELEMENTS.join('\n')}\r`;
+
+// Text payload of the PDF417 on the back of the license: an AAMVA version 10
+// header with a single DL subfile
+export const SIMULATED_LICENSE_BARCODE =
+  '@\n\x1e\rANSI 636014100001DL0031' +
+  String(SIMULATED_LICENSE_SUBFILE.length).padStart(4, '0') +
+  SIMULATED_LICENSE_SUBFILE;
+
+// Gestures of the simulated subject, one per frame. The cycle is
+// LIVENESS_FRAMES_PER_CHALLENGE frames long, so every challenge window sees
+// the whole performance.
+export const SIMULATED_GESTURES: Array<Omit<FaceLandmarkFrame, 'timestamp'>> = [
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.1, yawAngle: 0},
+  {leftEyeOpenProbability: 0.05, rightEyeOpenProbability: 0.05, smilingProbability: 0.1, yawAngle: 0},
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.1, yawAngle: 0},
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.9, yawAngle: 0},
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.1, yawAngle: 0},
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.1, yawAngle: 30},
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.1, yawAngle: 0},
+  {leftEyeOpenProbability: 0.95, rightEyeOpenProbability: 0.95, smilingProbability: 0.1, yawAngle: -30},
+];
+
+// Largest difference between two photos of the simulated subject, per descriptor value
+export const SIMULATED_CAPTURE_NOISE = 0.1;
+
+// Where the simulated IdentityVerification contract lives
+export const SIMULATED_CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// Chain the simulated contract is deployed on
+export const SIMULATED_CHAIN_ID = LOCALHOST_CHAIN_ID;
+
+// Verifications last at most this long, as on the deployed contract (365 days)
+export const SIMULATED_MAX_VERIFICATION_TTL = 365 * 24 * 60 * 60;
+
+// Key of the issuer the simulated contract trusts to attest document commitments
+export const SIMULATED_ISSUER_KEY =
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
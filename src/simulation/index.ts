@@ -0,0 +1,87 @@
+import {FaceVerificationService} from '@services/FaceVerificationService';
+import {IDVerificationService} from '@services/IDVerificationService';
+import {NetworkService} from '@services/NetworkService';
+import {PrivacyVaultService} from '@services/PrivacyVaultService';
+import {ProofPipelineService} from '@services/ProofPipelineService';
+import {ServiceContainer, createServiceContainer} from '@services/ServiceContainer';
+import {VerificationStatusService} from '@services/VerificationStatusService';
+import {WalletSignerService} from '@services/WalletSignerService';
+import {getNetwork} from '@utils/networks';
+import {
+  createSimulatedBarcodeReader,
+  createSimulatedOcrEngine,
+  renderSimulatedCapture,
+} from './documentScanner';
+import {createSimulatedFaceDetector} from './faceDetector';
+import {SIMULATED_CHAIN_ID, SIMULATED_CONTRACT_ADDRESS} from './fixtures';
+import {SimulatedChain} from './SimulatedChain';
+import {SimulatedMoproService} from './SimulatedMoproService';
+import {SimulatedWeb3Service} from './SimulatedWeb3Service';
+import {createSimulatedFileSystem, createSimulatedSecureStore} from './storage';
+
+export * from './fixtures';
+export {createSimulatedFaceDetector} from './faceDetector';
+export {
+  createSimulatedBarcodeReader,
+  createSimulatedOcrEngine,
+  renderSimulatedCapture,
+} from './documentScanner';
+export {SimulatedChain} from './SimulatedChain';
+export type {SimulatedDeployment} from './SimulatedChain';
+export {SimulatedMoproService} from './SimulatedMoproService';
+export {SimulatedWeb3Service} from './SimulatedWeb3Service';
+export {createSimulatedFileSystem, createSimulatedSecureStore} from './storage';
+
+/**
+ * Create services that run the whole verification on device, deterministically
+ * Faces, the passport and the driver's license come from the fixtures in
+ * ./fixtures, proofs from SimulatedMoproService and the contract is a
+ * SimulatedChain shared by every Web3Service the container creates. Wallets
+ * are real. Nothing waits on timers or random numbers beyond the cryptographic
+ * salts and keys.
+ * @param overrides - Services to use instead of the simulated ones
+ * @returns ServiceContainer - Services for the app
+ */
+export function createSimulatedServices(
+  overrides: Partial<ServiceContainer> = {}
+): ServiceContainer {
+  const secureStore = createSimulatedSecureStore();
+  const mopro = overrides.mopro ?? new SimulatedMoproService();
+  const chain = new SimulatedChain(mopro);
+  const networks =
+    overrides.networks ??
+    new NetworkService([
+      {...getNetwork(SIMULATED_CHAIN_ID), contractAddress: SIMULATED_CONTRACT_ADDRESS},
+    ]);
+  const walletSigners = overrides.walletSigners ?? new WalletSignerService();
+  const createWeb3 =
+    overrides.createWeb3 ??
+    ((contractAddress?: string) =>
+      new SimulatedWeb3Service(chain, networks, walletSigners, contractAddress));
+  const privacyVault =
+    overrides.privacyVault ?? new PrivacyVaultService(secureStore, createSimulatedFileSystem());
+  const verificationStatus = overrides.verificationStatus ?? new VerificationStatusService();
+
+  return createServiceContainer({
+    faceVerification: new FaceVerificationService({detector: createSimulatedFaceDetector()}),
+    idVerification: new IDVerificationService({
+      ocrEngine: createSimulatedOcrEngine(),
+      barcodeReader: createSimulatedBarcodeReader(),
+      loadImage: renderSimulatedCapture,
+    }),
+    proofPipeline: new ProofPipelineService(
+      mopro,
+      createWeb3(),
+      verificationStatus,
+      secureStore,
+      privacyVault
+    ),
+    ...overrides,
+    mopro,
+    networks,
+    walletSigners,
+    createWeb3,
+    privacyVault,
+    verificationStatus,
+  });
+}
@@ -0,0 +1,37 @@
+import {VaultFileSystem, VaultKeyStore} from '@services/PrivacyVaultService';
+
+/**
+ * Secure store kept in memory, for the vault key and the commitment salt
+ * @returns VaultKeyStore - Store with the expo-secure-store interface
+ */
+export function createSimulatedSecureStore(): VaultKeyStore {
+  const items = new Map<string, string>();
+  return {
+    getItemAsync: async key => items.get(key) ?? null,
+    setItemAsync: async (key, value) => {
+      items.set(key, value);
+    },
+    deleteItemAsync: async key => {
+      items.delete(key);
+    },
+  };
+}
+
+/**
+ * File system the simulated camera writes nothing to
+ * Simulated photos are never on disk, so there is nothing to shred.
+ * @returns VaultFileSystem - File system with the react-native-fs interface
+ */
+export function createSimulatedFileSystem(): VaultFileSystem {
+  return {
+    CachesDirectoryPath: '/simulation/cache',
+    DocumentDirectoryPath: '/simulation/documents',
+    TemporaryDirectoryPath: '/simulation/tmp',
+    exists: async () => false,
+    stat: async path => {
+      throw new Error(`ENOENT: ${path}`);
+    },
+    write: async () => {},
+    unlink: async () => {},
+  };
+}
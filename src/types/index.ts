@@ -2,15 +2,20 @@
 export type RootStackParamList = {
   Home: undefined;
   FaceVerification: undefined;
-  IDVerification: undefined;
-  ProofGeneration: {
-    faceData: string;
-    idData: IDDocument;
+  IDVerification: {
+    faceData: RedactedFaceData;
   };
+  // Continues to ProofGeneration when opened from the verification flow
+  SelectWallet: {proofGeneration?: VerificationCaptures} | undefined;
+  // Without params the screen resumes the pending verification
+  ProofGeneration: VerificationCaptures | undefined;
   VerificationComplete: {
     proofHash: string;
     transactionHash: string;
+    credential?: StoredCredential;
   };
+  CredentialHistory: {credential?: StoredCredential} | undefined;
+  PresentCredential: {credential: StoredCredential};
 };
 
 // Face verification types
@@ -24,6 +29,69 @@ export interface FaceData {
     width: number;
     height: number;
   };
+  liveness?: LivenessTranscript; // Set on selfies that passed a liveness check
+}
+
+// Face model behind FaceVerificationService. frameIndex counts the frames
+// of the current liveness session, for models that track a face across frames.
+export interface FaceDetector {
+  detect(imageUri: string): Promise<Omit<FaceData, 'imageUri' | 'liveness'>>;
+  detectLandmarks(
+    imageUri: string,
+    frameIndex: number
+  ): Promise<Omit<FaceLandmarkFrame, 'timestamp'>>;
+}
+
+// Active liveness check types
+export type LivenessChallengeType = 'blink' | 'turn_left' | 'turn_right' | 'smile';
+
+// Landmark measurements of the face in one camera frame
+export interface FaceLandmarkFrame {
+  timestamp: number; // Capture time in milliseconds
+  leftEyeOpenProbability: number;
+  rightEyeOpenProbability: number;
+  smilingProbability: number;
+  yawAngle: number; // Degrees, positive when the subject turns to their left
+}
+
+export interface LivenessSession {
+  nonce: string; // Random field element, bound into the transcript
+  challenges: LivenessChallengeType[];
+  issuedAt: number;
+  expiresAt: number;
+}
+
+export interface LivenessChallengeResult {
+  challenge: LivenessChallengeType;
+  passed: boolean;
+  score: number; // Between 0 and 1; 0.5 is the pass mark
+  frameCount: number;
+  startedAt: number;
+  completedAt: number;
+}
+
+export interface LivenessTranscript {
+  nonce: string;
+  issuedAt: number;
+  results: LivenessChallengeResult[];
+  score: number; // Mean challenge score
+  passed: boolean;
+}
+
+// Comparison of a selfie with the portrait on an ID document
+export interface FaceMatch {
+  portrait: FaceData;
+  similarity: number; // Cosine similarity
+  threshold: number; // Minimum similarity required, between 0 and 1
+  matched: boolean;
+}
+
+// Private face inputs to the identity proof
+export interface FaceWitness {
+  descriptor: number[];
+  portraitDescriptor: number[];
+  minSimilarity: number; // Between 0 and 1
+  liveness: LivenessTranscript; // Challenges the selfie was captured under
 }
 
 // ID document types
@@ -40,6 +108,166 @@ export interface IDDocument {
     address?: string;
   };
   confidence: number;
+  // Issuing state as an ICAO code, followed by the state or province for
+  // driver's licenses: 'USA', 'USA-CA'. Unknown for licenses read from the front.
+  jurisdiction?: string;
+  mrz?: MrzReport; // Present when the data was read from a machine readable zone
+  barcode?: AamvaReport; // Present when the data was read from a PDF417 barcode
+  zoneChecks?: ZoneCheck[]; // MRZ fields compared with the printed visual zone
+  issues?: DocumentIssue[]; // Rules of the document type's schema the data breaks
+}
+
+// Machine readable zone (ICAO 9303) types
+export type MrzFormat = 'TD1' | 'TD2' | 'TD3';
+
+export type MrzCheckField =
+  | 'documentNumber'
+  | 'dateOfBirth'
+  | 'expiryDate'
+  | 'personalNumber'
+  | 'composite';
+
+export interface MrzCheck {
+  field: MrzCheckField;
+  valid: boolean;
+  expected: string; // Check digit computed from the data
+  actual: string; // Check digit printed in the MRZ
+}
+
+export interface MrzReport {
+  format: MrzFormat;
+  documentCode: string; // e.g. 'P', 'ID', 'I<' with fillers removed
+  issuingState: string;
+  sex: 'M' | 'F' | 'X';
+  optionalData: string;
+  fieldConfidence: Partial<Record<keyof IDDocument['extractedData'], number>>;
+  checks: MrzCheck[];
+  valid: boolean; // Every check digit matches and every date is well formed
+}
+
+export interface MrzParseResult extends MrzReport {
+  documentType: IDDocument['type'];
+  extractedData: IDDocument['extractedData'];
+  confidence: number; // Mean field confidence
+}
+
+// AAMVA DL/ID card design standard (PDF417 barcode) types
+export interface AamvaReport {
+  version: number; // AAMVA standard version, 1 to 10
+  jurisdictionVersion: number; // Issuer's own revision, 0 before version 2
+  issuerId: string; // Issuer identification number (IIN), e.g. '636014'
+  sex: 'M' | 'F' | 'X';
+}
+
+export interface AamvaParseResult extends AamvaReport {
+  documentType: IDDocument['type'];
+  jurisdiction: string;
+  extractedData: IDDocument['extractedData'];
+  confidence: number; // Share of the required fields the barcode carries
+}
+
+// Decoder for the PDF417 barcode on the back of a driver's license
+export interface BarcodeReader {
+  // Text payload of the barcode, or null if the image has none
+  readPdf417(image: GrayImage): Promise<string | null>;
+}
+
+// Per-document-type field rules (see DOCUMENT_SCHEMAS in @utils/documentSchemas)
+export interface DocumentNumberRule {
+  pattern: RegExp;
+  // Further check against the rest of the document, e.g. a surname initial
+  matchesHolder?: (documentNumber: string, data: IDDocument['extractedData']) => boolean;
+}
+
+export interface DocumentSchema {
+  required: DocumentField[];
+  formats: Partial<Record<DocumentField, (value: string) => boolean>>;
+  documentNumber: RegExp; // Applies where no jurisdiction rule does
+  jurisdictions: Record<string, DocumentNumberRule>; // Keyed by IDDocument['jurisdiction']
+}
+
+export type DocumentIssueKind = 'missing' | 'format' | 'jurisdiction';
+
+export interface DocumentIssue {
+  field: DocumentField;
+  kind: DocumentIssueKind;
+}
+
+// Agreement of the documents of one verification on a personal detail
+export interface DocumentConsistencyCheck {
+  field: 'firstName' | 'lastName' | 'dateOfBirth';
+  agrees: boolean;
+}
+
+// Document image pipeline types
+export interface GrayImage {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray; // Row-major luminance, 0 (black) to 255 (white)
+}
+
+export interface RgbaImage {
+  width: number;
+  height: number;
+  data: Uint8Array; // Row-major, four bytes per pixel
+}
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+// Corners in the order top-left, top-right, bottom-right, bottom-left
+export type Quad = [Point, Point, Point, Point];
+
+// Rectangle given as fractions (0 to 1) of the rectified document
+export interface ImageRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type CaptureIssue = 'no_document' | 'blurry' | 'glare';
+
+export interface CaptureQuality {
+  documentFound: boolean; // Document edges were found in the photo
+  sharpness: number; // Variance of the Laplacian of the rectified document
+  glare: number; // Fraction of the document that is blown out
+  issues: CaptureIssue[];
+}
+
+export interface PreprocessedDocument {
+  image: GrayImage; // Rectified, deskewed and contrast-normalised document
+  quad: Quad | null; // Document corners in the photo, null if not found
+  skewAngle: number; // Degrees of rotation removed after rectification
+  quality: CaptureQuality;
+}
+
+export type DocumentField = keyof IDDocument['extractedData'];
+
+// Zone of the document an OCR request reads, so the engine can pick a model
+export type DocumentZone = 'mrz' | DocumentField;
+
+export interface OcrResult {
+  text: string;
+  confidence: number; // Between 0 and 1
+}
+
+export interface OcrEngine {
+  recognize(image: GrayImage, zone: DocumentZone): Promise<OcrResult>;
+}
+
+export interface DocumentLayout {
+  dateOrder: 'DMY' | 'MDY'; // Order of numeric dates printed in the visual zone
+  fields: Partial<Record<DocumentField, ImageRegion>>; // Where each field is printed
+}
+
+export interface ZoneCheck {
+  field: DocumentField;
+  mrz: string;
+  visual: string; // Normalised to the MRZ format
+  agrees: boolean;
 }
 
 // Zero-knowledge proof types
@@ -60,11 +288,340 @@ export interface TransactionResult {
   blockNumber: number;
   gasUsed: string;
   status: 'success' | 'failed';
+  proofHash?: string;
+  chainId?: number; // Missing on credentials saved before networks were configurable
+}
+
+// Proof pipeline types
+// Captures a verification proves; never persisted
+export interface VerificationInputs {
+  faceData: FaceData;
+  idData: IDDocument;
+  faceMatch: FaceMatch;
+  supportingDocuments: IDDocument[]; // Checked against idData; not proven
+}
+
+// Privacy vault types
+export type CaptureKind = 'face' | 'document';
+
+// Privacy vault entries holding a verification's inputs
+export interface VerificationCaptures {
+  faceCaptureId: string;
+  documentCaptureId: string; // The document the proof commits to
+  // Further documents of the same person, checked for consistency with it
+  supportingDocumentCaptureIds?: string[];
+}
+
+// What screens see of a selfie; the descriptor and photo stay in the vault
+export interface RedactedFaceData {
+  captureId: string;
+  confidence: number;
+  liveness?: {passed: boolean; score: number};
+}
+
+// What screens see of a document: masked fields and the outcome of its checks
+export interface RedactedIDDocument {
+  captureId: string;
+  type: IDDocument['type'];
+  extractedData: Partial<Record<DocumentField, string>>;
+  confidence: number;
+  mrz?: {format: MrzFormat; valid: boolean; failedChecks: MrzCheckField[]};
+  barcode?: {version: number};
+  zoneChecks?: Array<{field: DocumentField; agrees: boolean}>;
+  issues?: DocumentIssue[];
+}
+
+export interface RedactedFaceMatch {
+  similarity: number;
+  threshold: number;
+  matched: boolean;
+}
+
+export interface RetentionPolicy {
+  captureMaxAge: number; // Milliseconds captures are kept after they are taken
+  deleteAfterVerification: boolean; // Delete captures once their verification completes
+}
+
+export type PipelineStage = 'prepare' | 'prove' | 'verify' | 'submit' | 'confirm' | 'done';
+
+// Verification in progress, saved after every stage so it can be resumed
+export interface ProofJob {
+  captures: VerificationCaptures; // Vault entries the proof is generated from
+  stage: PipelineStage; // Next stage to run
+  documentType: IDDocument['type'];
+  account?: string; // prepare: account the proof is bound to
+  chainId?: number; // prepare: network the proof is submitted on
+  timestamp?: number; // prepare: proof timestamp (Unix seconds)
+  attestation?: string; // prepare: issuer's signature over the document commitment
+  proof?: ZKProof; // prove
+  method?: 'submitProof' | 'transferVerification'; // submit
+  transactionHash?: string; // submit: set once the transaction is broadcast
+  transaction?: TransactionResult; // submit or confirm
+  expiresAt?: number; // confirm: on-chain expiry (Unix seconds)
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface PipelineProgress {
+  stage: PipelineStage;
+  fraction: number; // Share of the whole verification done, between 0 and 1
+  message: string;
+  waitingForNetwork: boolean;
+}
+
+// Chain the app can verify on, with the IdentityVerification deployment it uses
+export interface NetworkConfig {
+  chainId: number;
+  name: string;
+  rpcUrl: string;
+  explorerUrl: string | null; // Etherscan-style explorer, null if the chain has none
+  confirmations: number; // Blocks to wait for before a transaction counts as final
+  contractAddress: string | null; // IdentityVerification, null if not deployed
+  relayerUrl: string | null; // Pays the gas for users without ETH, null if none
+  issuerUrl: string | null; // Attests document commitments, null if none
+}
+
+// Identity proof submission the user signed (EIP-712) for a relayer to send
+export interface RelayRequest {
+  action: 'submitProof' | 'transferVerification';
+  user: string; // Account the proof is bound to and that signed
+  proof: string; // 0x-prefixed proof bytes
+  publicInputs: string[];
+  attestation: string; // Issuer's signature over the document commitment; not signed by the user
+  nonce: string; // IdentityVerification.nonces(user) when signed
+  deadline: number; // Unix seconds
+  signature: string;
+}
+
+// Document commitment and its opening, sent to an issuer to attest
+export interface AttestationRequest {
+  idCommitment: string; // Decimal field element (id_hash)
+  documentType: IDDocument['type'];
+  extractedData: IDDocument['extractedData'];
+  portrait: string; // Digest of the document portrait's face descriptor
+  salt: string;
+}
+
+export type RelayResponse =
+  | {accepted: true; transaction: TransactionResult}
+  | {accepted: false; error: string; retryAfter?: number}; // Seconds, when rate limited
+
+// Event indexer types
+// Verification of an address as recorded by its contract events
+export interface IndexedVerificationStatus {
+  address: string;
+  verified: boolean; // Per the latest VerificationStatusChanged
+  active: boolean; // Verified and not expired, as isVerified() would answer
+  proofHash: string | null; // Latest proof submitted for the address
+  verifiedAt: number | null; // When the latest proof was submitted (Unix seconds)
+  expiresAt: number | null; // Expiry of the latest proof (Unix seconds)
+  revokedAt: number | null; // When the address lost its verification, if it has
+}
+
+export interface IndexedProof {
+  proofHash: string;
+  address: string;
+  timestamp: number; // Unix seconds
+  expiresAt: number; // Unix seconds
+  current: boolean; // Still the address's latest proof
+  valid: boolean; // As verifyProofHash() would answer
+  blockNumber: number;
+  transactionHash: string;
+}
+
+// Address losing its verification: revoked, or moved to another wallet
+export interface IndexedRevocation {
+  address: string;
+  timestamp: number; // Unix seconds
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+}
+
+export interface IndexerStats {
+  chainId: number | null;
+  contract: string | null;
+  lastIndexedBlock: number | null;
+  addresses: number; // Addresses that ever submitted a proof
+  verifiedAddresses: number;
+  activeVerifications: number;
+  revokedAddresses: number;
+  proofs: number;
+  revocations: number;
+}
+
+// Deployment written by contracts/deploy.js, keyed by chain ID in
+// src/contracts/deployment.json
+export interface DeploymentRecord {
+  network: {name: string; chainId: number};
+  deployer: string;
+  verifierMode: 'real' | 'mock';
+  contracts: Record<string, {address: string; transactionHash: string}>;
+  predicates: string[];
+  scopes: string[];
+  deploymentTime: string;
+  // Optional overrides of the built-in network settings, e.g. a LAN RPC URL
+  rpcUrl?: string;
+  explorerUrl?: string;
+  confirmations?: number;
+  relayerUrl?: string;
+  issuerUrl?: string;
+}
+
+export type DeploymentRegistry = Record<string, DeploymentRecord>;
+
+// On-chain verification record as last seen by the app
+export interface StoredVerification {
+  address: string;
+  proofHash: string;
+  transactionHash: string;
+  expiresAt: number; // Unix seconds
+}
+
+// Predicate proven against a stored credential's document commitment
+export interface CredentialPredicate {
+  predicate: Predicate;
+  predicateId: string;
+  publicInputs: string[];
+  proof?: string; // Hex-encoded proof bytes, needed to present the predicate
+  provenAt: number; // Unix ms
+}
+
+// Completed verification kept in the encrypted credential wallet
+export interface StoredCredential {
+  id: string; // On-chain proof hash
+  address: string;
+  proof: ZKProof;
+  transaction: TransactionResult;
+  commitmentSalt: string;
+  documentType: IDDocument['type'];
+  predicates: CredentialPredicate[];
+  createdAt: number; // Unix ms
+  expiresAt: number; // Unix seconds
+}
+
+export type ExpiryState = 'none' | 'valid' | 'expiring' | 'expired';
+
+export interface ExpiryStatus {
+  state: ExpiryState;
+  expiresAt?: number;
+  daysRemaining?: number;
+}
+
+// Presentation protocol types
+// Request a relying party shows as a QR code
+export interface PresentationRequest {
+  version: number;
+  verifier: string; // Name shown to the holder
+  nonce: string; // 32 random bytes as 0x-prefixed hex, accepted once
+  callback: string; // https URL the presentation is posted to
+  chainId: number;
+  contract: string; // IdentityVerification contract the credential must be active on
+  predicate?: Predicate; // Statement the holder must also prove
+  expiresAt: number; // Unix seconds
+}
+
+// Proof as carried in a presentation
+export interface PresentedProof {
+  proof: string; // 0x-prefixed proof bytes
+  publicSignals: string[];
+}
+
+export interface PresentedPredicate extends PresentedProof {
+  predicate: Predicate; // Resolved, with the reference date it was proven for
+  predicateId: string;
+}
+
+// Holder's answer to a presentation request
+export interface Presentation {
+  version: number;
+  nonce: string;
+  audience: string; // Callback of the request being answered
+  chainId: number;
+  contract: string;
+  holder: string; // Account the identity proof is bound to
+  identity: PresentedProof;
+  predicate?: PresentedPredicate;
+  createdAt: number; // Unix seconds
+  signature: string; // EIP-191 signature by the holder over the presentation message
+}
+
+export interface PresentationVerification {
+  valid: boolean;
+  holder: string;
+  proofHash: string; // Proof hash the contract recorded the identity proof under
+  predicateId?: string;
+  errors: string[]; // Every check that failed; empty when valid
+}
+
+// W3C Verifiable Credentials Data Model 1.1 export format
+export type JsonLdContext = Array<string | Record<string, string>>;
+
+export interface ProvenPredicateClaim {
+  predicateId: string;
+  predicate: Predicate; // Resolved, with the reference date it was proven for
+}
+
+export interface VerifiableCredential {
+  '@context': JsonLdContext;
+  id: string; // urn:zkid:<proof hash>
+  type: string[];
+  issuer: string; // did:pkh of the IdentityVerification contract
+  issuanceDate: string; // ISO 8601
+  expirationDate: string; // ISO 8601, when the on-chain verification lapses
+  credentialSubject: {
+    id: string; // did:pkh of the wallet the identity proof is bound to
+    identityVerified: true;
+    predicates: ProvenPredicateClaim[];
+  };
+  proof: {
+    type: string;
+    created: string;
+    proofPurpose: 'assertionMethod';
+    verificationMethod: string;
+    proofValue: string; // 0x-prefixed identity proof bytes
+    publicSignals: string[];
+    proofHash: string; // Hash the contract recorded the proof under
+    transaction: Pick<TransactionResult, 'hash' | 'blockNumber'> & {chainId: number};
+    predicateProofs: PresentedProof[]; // One per credentialSubject.predicates entry
+  };
+}
+
+export interface VerifiablePresentation {
+  '@context': JsonLdContext;
+  type: string[];
+  holder: string; // did:pkh of the signing wallet
+  verifiableCredential: VerifiableCredential[];
+  proof: {
+    type: string;
+    created: string;
+    proofPurpose: 'authentication';
+    verificationMethod: string;
+    challenge: string;
+    domain: string;
+    proofValue: string; // EIP-191 signature over the canonical presentation
+  };
+}
+
+export interface VcVerification {
+  valid: boolean;
+  holder: string;
+  proofHash: string;
+  predicates: string[]; // IDs of the predicate claims that verified
+  errors: string[];
+}
+
+export interface VpVerification {
+  valid: boolean;
+  holder: string;
+  credentials: VcVerification[];
+  errors: string[]; // Failed checks on the presentation itself and on every credential
 }
 
 // Mopro types
 export interface MoproConfig {
   circuitPath: string;
+  wasmPath: string;
   provingKeyPath: string;
   verificationKeyPath: string;
 }
@@ -74,6 +631,55 @@ export interface MoproProof {
   publicInputs: string[];
 }
 
+// Step the prover reached while generating a proof
+export interface ProverProgress {
+  step: string;
+  fraction: number; // Share of the proving work done, between 0 and 1
+}
+
+// Selective-disclosure predicates over a committed ID document.
+// Dates are YYYY-MM-DD; referenceDate defaults to today (UTC).
+export type Predicate =
+  | {type: 'age_over'; minAge: number; referenceDate?: string}
+  | {type: 'nationality_in'; countries: string[]; referenceDate?: string}
+  | {type: 'not_expired'; referenceDate?: string};
+
+export type PredicateType = Predicate['type'];
+
+// Private opening of a document commitment
+export interface DocumentWitness {
+  extractedData: IDDocument['extractedData'];
+  portrait: string; // Digest of the document portrait's face descriptor
+  salt: string;
+}
+
+export interface PredicateProof extends MoproProof {
+  predicate: Predicate;
+  predicateId: string;
+}
+
+// Groth16 proof as produced by snarkjs (decimal strings, projective coordinates)
+export interface Groth16Proof {
+  pi_a: string[];
+  pi_b: string[][];
+  pi_c: string[];
+  protocol: string;
+  curve: string;
+}
+
+// Groth16 verification key as exported by `snarkjs zkey export verificationkey`
+export interface VerificationKey {
+  protocol: string;
+  curve: string;
+  nPublic: number;
+  vk_alpha_1: string[];
+  vk_beta_2: string[][];
+  vk_gamma_2: string[][];
+  vk_delta_2: string[][];
+  vk_alphabeta_12?: string[][][];
+  IC: string[][];
+}
+
 // App state types
 export interface AppState {
   isLoading: boolean;
@@ -88,7 +694,7 @@ export interface AppState {
 // Service types
 export interface Web3Service {
   connect(): Promise<void>;
-  submitProof(proof: ZKProof): Promise<TransactionResult>;
+  submitProof(proof: ZKProof, attestation: string): Promise<TransactionResult>;
   verifyProof(proofHash: string): Promise<boolean>;
 }
 
@@ -103,6 +709,10 @@ export interface IDVerificationService {
 }
 
 export interface MoproService {
-  generateProof(inputs: any): Promise<MoproProof>;
+  generateProof(
+    inputs: any,
+    onProgress?: (progress: ProverProgress) => void,
+    signal?: AbortSignal
+  ): Promise<MoproProof>;
   verifyProof(proof: MoproProof): Promise<boolean>;
 }
@@ -0,0 +1,11 @@
+declare module 'snarkjs' {
+  export const groth16: {
+    fullProve(
+      input: Record<string, unknown>,
+      wasmFile: string | {type: 'mem'; data: Uint8Array},
+      zkeyFile: string | {type: 'mem'; data: Uint8Array},
+      logger?: {debug(message: string): void; info(message: string): void}
+    ): Promise<{proof: any; publicSignals: string[]}>;
+    verify(vKey: any, publicSignals: string[], proof: any): Promise<boolean>;
+  };
+}
@@ -0,0 +1,205 @@
+import {AamvaParseResult, IDDocument} from '@types/index';
+import {normalizeName} from '@utils/documentLayout';
+import {DOCUMENT_SCHEMAS, isIsoDate} from '@utils/documentSchemas';
+
+// Subfile of the header's directory; offset is from the compliance indicator
+interface SubfileDesignator {
+  type: string;
+  offset: number;
+  length: number;
+}
+
+interface AamvaHeader {
+  start: number; // Position of the compliance indicator '@'
+  end: number; // First position after the subfile designators
+  issuerId: string;
+  version: number;
+  jurisdictionVersion: number;
+  subfiles: SubfileDesignator[];
+}
+
+// Issuers with document number rules (see @utils/documentSchemas), by issuer
+// identification number. Other issuers are placed from the holder's address.
+const ISSUERS: Record<string, string> = {
+  '636001': 'USA-NY',
+  '636010': 'USA-FL',
+  '636012': 'CAN-ON',
+  '636014': 'USA-CA',
+  '636015': 'USA-TX',
+  '636035': 'USA-IL',
+};
+
+// PDF417 is error corrected: a field the barcode carries was decoded as encoded
+const CONFIDENCE_PRESENT = 0.99;
+
+// What issuers encode in place of a name component the holder does not have
+const NO_NAME = ['NONE', 'UNAVL'];
+
+// Version 1 encodes sex as a letter, later versions as an ANSI D-20 code
+const SEX_CODES: Record<string, 'M' | 'F'> = {'1': 'M', '2': 'F', M: 'M', F: 'F'};
+
+/**
+ * Parse the text payload of the PDF417 barcode on a driver's license
+ * Follows the AAMVA DL/ID Card Design Standard, versions 1 to 10. Subfiles are
+ * found from the header's directory, or by their type where a scanner has
+ * dropped separator characters and shifted the offsets.
+ * @param payload - Decoded barcode text, starting with the compliance indicator '@'
+ * @returns AamvaParseResult - License data in the app's field formats, with the
+ * header details and the share of required fields present as confidence
+ */
+export function parseAamva(payload: string): AamvaParseResult {
+  const header = parseHeader(payload);
+  const elements = readSubfile(payload, header, 'DL');
+  if (!elements) {
+    throw new Error('No driver\'s license data in barcode');
+  }
+
+  const country = elements.get('DCG') ?? ISSUERS[header.issuerId]?.slice(0, 3) ?? 'USA';
+  const state = elements.get('DAJ');
+  // Version 1 and Canadian issuers put the year first; US issuers the month
+  const dateOrder = header.version === 1 || country === 'CAN' ? 'YMD' : 'MDY';
+
+  // Version 1 may only carry the whole name, as 'LAST,FIRST,MIDDLE'
+  const fullName = (elements.get('DAA') ?? '').split(',');
+  const givenNames = elements.has('DAC')
+    ? [elements.get('DAC'), elements.get('DAD')]
+    : elements.has('DCT')
+    ? [elements.get('DCT')]
+    : fullName.slice(1);
+
+  const extractedData: IDDocument['extractedData'] = {
+    firstName: normalizeName(
+      givenNames.filter(name => name && !NO_NAME.includes(name.toUpperCase())).join(' ')
+    ),
+    lastName: normalizeName(elements.get('DCS') ?? elements.get('DAB') ?? fullName[0]),
+    dateOfBirth: parseAamvaDate(elements.get('DBB') ?? '', dateOrder),
+    documentNumber: (elements.get('DAQ') ?? '').toUpperCase().replace(/[^A-Z0-9]/g, ''),
+    expiryDate: parseAamvaDate(elements.get('DBA') ?? '', dateOrder),
+  };
+  const address = formatAddress(elements);
+  if (address) {
+    extractedData.address = address;
+  }
+
+  const {required} = DOCUMENT_SCHEMAS.drivers_license;
+  const present = required.filter(field => extractedData[field]).length;
+  return {
+    version: header.version,
+    jurisdictionVersion: header.jurisdictionVersion,
+    issuerId: header.issuerId,
+    sex: SEX_CODES[elements.get('DBC') ?? ''] ?? 'X',
+    documentType: 'drivers_license',
+    jurisdiction: ISSUERS[header.issuerId] ?? (state ? `${country}-${state}` : country),
+    extractedData,
+    confidence: (CONFIDENCE_PRESENT * present) / required.length,
+  };
+}
+
+/**
+ * Convert an AAMVA date to YYYY-MM-DD
+ * @param value - Date as eight digits
+ * @param order - MDY for MMDDCCYY, YMD for CCYYMMDD
+ * @returns string - ISO date, or '' if the value is not a valid date
+ */
+export function parseAamvaDate(value: string, order: 'MDY' | 'YMD'): string {
+  if (!/^\d{8}$/.test(value)) {
+    return '';
+  }
+  const date =
+    order === 'MDY'
+      ? `${value.slice(4)}-${value.slice(0, 2)}-${value.slice(2, 4)}`
+      : `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}`;
+  return isIsoDate(date) ? date : '';
+}
+
+/**
+ * Read the header and subfile directory
+ * Version 1 headers have no jurisdiction version field.
+ * @param payload - Decoded barcode text
+ * @returns AamvaHeader - Issuer, versions and subfile designators
+ */
+function parseHeader(payload: string): AamvaHeader {
+  const fileType = /@[\n\x1e\r]*(?:ANSI |AAMVA)/.exec(payload);
+  if (!fileType) {
+    throw new Error('Not an AAMVA barcode');
+  }
+
+  let position = fileType.index + fileType[0].length;
+  const read = (length: number) => payload.slice(position, (position += length));
+
+  const issuerId = read(6);
+  const version = Number(read(2));
+  const jurisdictionVersion = version >= 2 ? Number(read(2)) : 0;
+  const entries = Number(read(2));
+  if (!/^\d{6}$/.test(issuerId) || !(version >= 1) || !(entries >= 1)) {
+    throw new Error('Malformed AAMVA header');
+  }
+
+  const subfiles: SubfileDesignator[] = [];
+  for (let i = 0; i < entries; i++) {
+    subfiles.push({type: read(2), offset: Number(read(4)), length: Number(read(4))});
+  }
+  return {
+    start: fileType.index,
+    end: position,
+    issuerId,
+    version,
+    jurisdictionVersion,
+    subfiles,
+  };
+}
+
+/**
+ * Read the data elements of a subfile
+ * @param payload - Decoded barcode text
+ * @param header - Parsed header
+ * @param type - Subfile type, e.g. 'DL'
+ * @returns Map | null - Trimmed values by element ID (e.g. 'DCS'), or null if
+ * the barcode has no such subfile
+ */
+function readSubfile(
+  payload: string,
+  header: AamvaHeader,
+  type: string
+): Map<string, string> | null {
+  const designator = header.subfiles.find(subfile => subfile.type === type);
+  if (!designator) {
+    return null;
+  }
+
+  let begin = header.start + designator.offset;
+  if (payload.slice(begin, begin + type.length) !== type) {
+    // The type is followed by the subfile's first element ID
+    const found = new RegExp(`${type}(?=D[A-Z]{2})`).exec(payload.slice(header.end));
+    if (!found) {
+      return null;
+    }
+    begin = header.end + found.index;
+  }
+
+  const elements = new Map<string, string>();
+  const body = payload.slice(begin + type.length, begin + designator.length);
+  for (const element of body.split(/[\n\x1e\r]+/)) {
+    const id = element.slice(0, 3);
+    if (/^D[A-Z]{2}$/.test(id) && !elements.has(id)) {
+      elements.set(id, element.slice(3).trim());
+    }
+  }
+  return elements;
+}
+
+/**
+ * Join the address elements into one line
+ * @param elements - Data elements of the license subfile
+ * @returns string - e.g. '123 MAIN ST, SACRAMENTO, CA 95818', or '' if none are present
+ */
+function formatAddress(elements: Map<string, string>): string {
+  const street = [elements.get('DAG'), elements.get('DAH')].filter(Boolean).join(' ');
+  // US ZIP codes are encoded as nine digits, padded with zeros without a ZIP+4
+  const postal = elements.get('DAK') ?? '';
+  const zip = /^(\d{5})-?(\d{4})?$/.exec(postal);
+  const postalCode = !zip ? postal : zip[2] && zip[2] !== '0000' ? `${zip[1]}-${zip[2]}` : zip[1];
+  const region = [elements.get('DAJ'), postalCode].filter(Boolean).join(' ');
+
+  return [street, elements.get('DAI'), region].filter(Boolean).join(', ');
+}
@@ -0,0 +1,56 @@
+import {ethers} from 'ethers';
+import {RELAY_DOMAIN_NAME, RELAY_DOMAIN_VERSION} from '@utils/relay';
+
+const ATTESTATION_TYPES = {DocumentAttestation: [{name: 'idCommitment', type: 'uint256'}]};
+
+/**
+ * Build the EIP-712 typed data an issuer signs to attest a document commitment
+ * The contract accepts an identity proof only with an active issuer's
+ * attestation of its id_hash (see IdentityVerification.attestationSigner).
+ * @param idCommitment - Document commitment as a decimal field element
+ * @param chainId - Chain the contract is deployed on
+ * @param contract - IdentityVerification address
+ * @returns Domain, types and value for signTypedData / verifyTypedData
+ */
+export function getAttestationTypedData(
+  idCommitment: string,
+  chainId: number,
+  contract: string
+): {
+  domain: ethers.TypedDataDomain;
+  types: Record<string, ethers.TypedDataField[]>;
+  value: Record<string, unknown>;
+} {
+  return {
+    domain: {
+      name: RELAY_DOMAIN_NAME,
+      version: RELAY_DOMAIN_VERSION,
+      chainId,
+      verifyingContract: ethers.getAddress(contract),
+    },
+    types: ATTESTATION_TYPES,
+    value: {idCommitment},
+  };
+}
+
+/**
+ * Recover the issuer that attested a document commitment
+ * @param idCommitment - Document commitment as a decimal field element
+ * @param attestation - Issuer's 65-byte signature
+ * @param chainId - Chain the contract is deployed on
+ * @param contract - IdentityVerification address
+ * @returns string | null - Checksummed signer, or null if the signature is malformed
+ */
+export function recoverAttestationIssuer(
+  idCommitment: string,
+  attestation: string,
+  chainId: number,
+  contract: string
+): string | null {
+  try {
+    const {domain, types, value} = getAttestationTypedData(idCommitment, chainId, contract);
+    return ethers.verifyTypedData(domain, types, value, attestation);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,328 @@
+import {ethers} from 'ethers';
+import {
+  poseidon1,
+  poseidon2,
+  poseidon3,
+  poseidon4,
+  poseidon5,
+  poseidon6,
+  poseidon7,
+  poseidon8,
+  poseidon9,
+  poseidon10,
+  poseidon11,
+  poseidon12,
+  poseidon13,
+  poseidon14,
+  poseidon15,
+  poseidon16,
+} from 'poseidon-lite';
+import {IDDocument} from '@types/index';
+import {BN254_SCALAR_FIELD} from '@utils/groth16';
+
+type PoseidonInput = bigint | number | string;
+
+const POSEIDON: Array<(inputs: PoseidonInput[]) => bigint> = [
+  poseidon1,
+  poseidon2,
+  poseidon3,
+  poseidon4,
+  poseidon5,
+  poseidon6,
+  poseidon7,
+  poseidon8,
+  poseidon9,
+  poseidon10,
+  poseidon11,
+  poseidon12,
+  poseidon13,
+  poseidon14,
+  poseidon15,
+  poseidon16,
+];
+
+/**
+ * Fixed-point scale applied to face descriptor values before hashing
+ */
+export const FACE_DESCRIPTOR_SCALE = 1 << 16;
+
+// Each quantized descriptor value occupies 24 bits; ten of them fit in one
+// field element with room to spare.
+const DESCRIPTOR_VALUE_BITS = 24;
+const DESCRIPTOR_VALUES_PER_ELEMENT = 10;
+
+/**
+ * Offset added to quantized face descriptor values so they are non-negative
+ */
+export const FACE_DESCRIPTOR_OFFSET = 1 << (DESCRIPTOR_VALUE_BITS - 1);
+
+// Strings are packed 31 bytes per field element so every chunk is below r.
+const BYTES_PER_ELEMENT = 31;
+
+/**
+ * Order in which document fields are committed. Predicate circuits rely on
+ * this layout to open individual fields, so it must never be reordered.
+ */
+export const DOCUMENT_FIELDS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'documentNumber',
+  'expiryDate',
+  'nationality',
+  'address',
+] as const;
+
+/**
+ * Hash an arbitrary number of field elements with Poseidon
+ *
+ * The element count is absorbed first, then elements are absorbed 15 at a time
+ * into a running state, so inputs of different lengths never collide.
+ * @param elements - Field elements to hash
+ * @returns bigint - Poseidon digest
+ */
+export function hashElements(elements: bigint[]): bigint {
+  const queue = [BigInt(elements.length), ...elements];
+  let state = POSEIDON[Math.min(queue.length, 16) - 1](queue.splice(0, 16));
+
+  while (queue.length > 0) {
+    const chunk = queue.splice(0, 15);
+    state = POSEIDON[chunk.length]([state, ...chunk]);
+  }
+
+  return state;
+}
+
+/**
+ * Canonically serialize a string and hash it to a single field element
+ * Whitespace is collapsed and letters are upper-cased so that OCR variations
+ * of the same value produce the same digest.
+ * @param value - String to hash
+ * @returns bigint - Poseidon digest of the packed UTF-8 bytes
+ */
+export function hashString(value: string): bigint {
+  const canonical = value.normalize('NFC').trim().replace(/\s+/g, ' ').toUpperCase();
+  return hashElements(packBytes(ethers.toUtf8Bytes(canonical)));
+}
+
+/**
+ * Encode a YYYY-MM-DD date as the integer YYYYMMDD
+ * Keeping dates numeric lets circuits compare them directly.
+ * @param date - Date string
+ * @returns bigint - Encoded date, or 0 when absent
+ */
+export function encodeDate(date?: string): bigint {
+  if (!date) {
+    return BigInt(0);
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (!match) {
+    throw new Error(`Invalid date for commitment: ${date}`);
+  }
+  return BigInt(match[1] + match[2] + match[3]);
+}
+
+/**
+ * Encode a country code as the big-endian integer of its ASCII bytes
+ * @param code - ISO 3166 alpha-2 or alpha-3 code
+ * @returns bigint - Encoded code, or 0 when absent
+ */
+export function encodeCountryCode(code?: string): bigint {
+  if (!code) {
+    return BigInt(0);
+  }
+
+  const canonical = code.trim().toUpperCase();
+  if (!/^[A-Z]{2,3}$/.test(canonical)) {
+    throw new Error(`Invalid country code for commitment: ${code}`);
+  }
+  return BigInt(ethers.hexlify(ethers.toUtf8Bytes(canonical)));
+}
+
+/**
+ * Quantize a face descriptor to fixed point, offset by FACE_DESCRIPTOR_OFFSET
+ * These are the values circuits receive for a committed descriptor.
+ * @param descriptor - Face embedding values
+ * @returns bigint[] - Quantized values, each below 2^24
+ */
+export function encodeFaceDescriptorValues(descriptor: number[]): bigint[] {
+  const maxValue = FACE_DESCRIPTOR_OFFSET / FACE_DESCRIPTOR_SCALE;
+
+  return descriptor.map(value => {
+    if (!Number.isFinite(value) || Math.abs(value) >= maxValue) {
+      throw new Error('Face descriptor value out of range');
+    }
+    return BigInt(Math.round(value * FACE_DESCRIPTOR_SCALE) + FACE_DESCRIPTOR_OFFSET);
+  });
+}
+
+/**
+ * Quantize a face descriptor and pack it into field elements
+ * @param descriptor - Face embedding values
+ * @returns bigint[] - Packed field elements
+ */
+export function encodeFaceDescriptor(descriptor: number[]): bigint[] {
+  const values = encodeFaceDescriptorValues(descriptor);
+  const elements: bigint[] = [];
+
+  for (let i = 0; i < values.length; i += DESCRIPTOR_VALUES_PER_ELEMENT) {
+    let element = BigInt(0);
+    for (const value of values.slice(i, i + DESCRIPTOR_VALUES_PER_ELEMENT)) {
+      element = (element << BigInt(DESCRIPTOR_VALUE_BITS)) + value;
+    }
+    elements.push(element);
+  }
+
+  return elements;
+}
+
+/**
+ * Encode document fields into field elements in DOCUMENT_FIELDS order
+ * Dates and nationality stay numeric; free-text fields are hashed.
+ * @param data - Extracted document data
+ * @returns bigint[] - One field element per document field
+ */
+export function encodeDocumentFields(data: IDDocument['extractedData']): bigint[] {
+  return [
+    hashString(data.firstName),
+    hashString(data.lastName),
+    encodeDate(data.dateOfBirth),
+    hashString(data.documentNumber),
+    encodeDate(data.expiryDate),
+    encodeCountryCode(data.nationality),
+    data.address ? hashString(data.address) : BigInt(0),
+  ];
+}
+
+/**
+ * Hash a face descriptor to a single field element
+ * @param descriptor - Face embedding values
+ * @returns string - Digest as a decimal field element
+ */
+export function hashFaceDescriptor(descriptor: number[]): string {
+  return hashElements(encodeFaceDescriptor(descriptor)).toString();
+}
+
+/**
+ * Commit to a face descriptor and the liveness check it was captured under
+ * @param descriptor - Face embedding values
+ * @param salt - Per-user salt as a decimal field element
+ * @param liveness - Liveness transcript digest (see hashLivenessTranscript in @utils/liveness)
+ * @returns string - Commitment as a decimal field element
+ */
+export function commitFace(descriptor: number[], salt: string, liveness: string): string {
+  return poseidon3([
+    hashFaceDescriptor(descriptor),
+    parseFieldElement(liveness, 'Liveness digest'),
+    parseSalt(salt),
+  ]).toString();
+}
+
+/**
+ * Commit to the extracted fields of an ID document and the portrait printed on it
+ * Committing the portrait stops a selfie being matched against any other face.
+ * @param data - Extracted document data
+ * @param salt - Per-user salt as a decimal field element
+ * @param portrait - Digest of the portrait's face descriptor (see hashFaceDescriptor)
+ * @returns string - Commitment as a decimal field element
+ */
+export function commitDocument(
+  data: IDDocument['extractedData'],
+  salt: string,
+  portrait: string
+): string {
+  return poseidon9([
+    ...encodeDocumentFields(data),
+    parseFieldElement(portrait, 'Portrait digest'),
+    parseSalt(salt),
+  ]).toString();
+}
+
+/**
+ * Commit to an arbitrary string value
+ * @param value - Value to commit to
+ * @param salt - Per-user salt as a decimal field element
+ * @returns string - Commitment as a decimal field element
+ */
+export function commitString(value: string, salt: string): string {
+  return poseidon2([hashString(value), parseSalt(salt)]).toString();
+}
+
+/**
+ * Map a value into the BN254 scalar field
+ * Decimal and 0x-prefixed hex strings are reduced modulo r; any other string
+ * is hashed with hashString.
+ * @param value - Value to convert
+ * @returns string - Decimal field element
+ */
+export function toFieldElement(value: string | bigint): string {
+  if (typeof value === 'bigint') {
+    return mod(value).toString();
+  }
+  if (/^\d+$/.test(value) || /^0x[0-9a-fA-F]+$/.test(value)) {
+    return mod(BigInt(value)).toString();
+  }
+  return hashString(value).toString();
+}
+
+/**
+ * Generate a random salt for commitments
+ * @returns string - 248-bit random salt as a decimal field element
+ */
+export function generateSalt(): string {
+  const cryptoApi = (globalThis as any).crypto;
+  if (!cryptoApi?.getRandomValues) {
+    throw new Error('Secure random number generator unavailable');
+  }
+
+  const bytes = new Uint8Array(BYTES_PER_ELEMENT);
+  cryptoApi.getRandomValues(bytes);
+  return BigInt(ethers.hexlify(bytes)).toString();
+}
+
+/**
+ * Pack bytes into field elements, 31 bytes per element
+ * The byte length is prepended so trailing zero bytes are not ambiguous.
+ * @param bytes - Bytes to pack
+ * @returns bigint[] - Packed field elements
+ */
+function packBytes(bytes: Uint8Array): bigint[] {
+  const elements: bigint[] = [BigInt(bytes.length)];
+  for (let i = 0; i < bytes.length; i += BYTES_PER_ELEMENT) {
+    elements.push(BigInt(ethers.hexlify(bytes.subarray(i, i + BYTES_PER_ELEMENT))));
+  }
+  return elements;
+}
+
+/**
+ * Validate a salt and convert it to a bigint
+ * @param salt - Decimal field element
+ * @returns bigint - Parsed salt
+ */
+function parseSalt(salt: string): bigint {
+  return parseFieldElement(salt, 'Salt');
+}
+
+/**
+ * Validate a decimal field element and convert it to a bigint
+ * @param value - Decimal field element
+ * @param name - Name of the value for error messages
+ * @returns bigint - Parsed value
+ */
+function parseFieldElement(value: string, name: string): bigint {
+  if (!/^\d+$/.test(value) || BigInt(value) >= BN254_SCALAR_FIELD) {
+    throw new Error(`${name} must be a decimal field element`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Reduce a value modulo the scalar field order
+ * @param value - Value to reduce
+ * @returns bigint - Reduced value
+ */
+function mod(value: bigint): bigint {
+  const reduced = value % BN254_SCALAR_FIELD;
+  return reduced < BigInt(0) ? reduced + BN254_SCALAR_FIELD : reduced;
+}
@@ -0,0 +1,44 @@
+import {DocumentConsistencyCheck, IDDocument} from '@types/index';
+import {normalizeName} from '@utils/documentLayout';
+
+const COMPARED_FIELDS: Array<DocumentConsistencyCheck['field']> = [
+  'lastName',
+  'firstName',
+  'dateOfBirth',
+];
+
+/**
+ * Check that the documents of one verification belong to the same person
+ * Every document is compared with the first. Surnames and dates of birth must
+ * be equal; given names only in their first name, as a license often leaves
+ * out middle names a passport carries. Values a document lacks are not compared.
+ * @param documents - Documents of the verification, the proven one first
+ * @returns DocumentConsistencyCheck[] - One entry per field read from the first
+ * document and at least one other
+ */
+export function crossCheckDocuments(documents: IDDocument[]): DocumentConsistencyCheck[] {
+  const [primary, ...others] = documents;
+  const checks: DocumentConsistencyCheck[] = [];
+  if (!primary) {
+    return checks;
+  }
+
+  for (const field of COMPARED_FIELDS) {
+    const expected = comparable(field, primary.extractedData[field]);
+    const values = others
+      .map(document => comparable(field, document.extractedData[field]))
+      .filter(Boolean);
+    if (expected && values.length > 0) {
+      checks.push({field, agrees: values.every(value => value === expected)});
+    }
+  }
+  return checks;
+}
+
+function comparable(field: DocumentConsistencyCheck['field'], value: string): string {
+  if (field === 'dateOfBirth') {
+    return value;
+  }
+  const name = normalizeName(value);
+  return field === 'firstName' ? name.split(' ')[0] : name;
+}
@@ -0,0 +1,661 @@
+import {
+  CaptureIssue,
+  CaptureQuality,
+  GrayImage,
+  ImageRegion,
+  Point,
+  PreprocessedDocument,
+  Quad,
+} from '@types/index';
+
+/**
+ * Longest side of the image the document outline is searched in
+ */
+export const DETECTION_SIZE = 400;
+
+/**
+ * Widest rectified document produced; larger captures are scaled down
+ */
+export const MAX_DOCUMENT_WIDTH = 1000;
+
+/**
+ * Smallest share of the photo a document outline may cover
+ */
+export const MIN_DOCUMENT_AREA = 0.2;
+
+/**
+ * Laplacian variance below which a rectified document counts as blurry
+ */
+export const MIN_SHARPNESS = 100;
+
+/**
+ * Luminance at or above which a pixel counts as blown out by glare
+ */
+export const GLARE_LEVEL = 250;
+
+/**
+ * Largest share of blown-out pixels tolerated on a document
+ */
+export const MAX_GLARE = 0.02;
+
+/**
+ * Largest residual skew corrected after rectification, in degrees
+ */
+export const MAX_SKEW_DEGREES = 5;
+
+/**
+ * Create an image filled with a single luminance
+ * @param width - Width in pixels
+ * @param height - Height in pixels
+ * @param fill - Luminance of every pixel
+ * @returns GrayImage - New image
+ */
+export function createImage(width: number, height: number, fill: number = 0): GrayImage {
+  return {width, height, data: new Uint8ClampedArray(width * height).fill(fill)};
+}
+
+/**
+ * Convert RGBA pixels (as decoded from a JPEG or PNG) to luminance
+ * @param rgba - Four bytes per pixel, row-major
+ * @param width - Width in pixels
+ * @param height - Height in pixels
+ * @returns GrayImage - Rec. 601 luma
+ */
+export function toGrayscale(rgba: ArrayLike<number>, width: number, height: number): GrayImage {
+  if (rgba.length !== width * height * 4) {
+    throw new Error('Pixel data does not match the image size');
+  }
+
+  const image = createImage(width, height);
+  for (let i = 0; i < width * height; i++) {
+    image.data[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return image;
+}
+
+/**
+ * Sample an image between pixel centres
+ * @param image - Image to sample
+ * @param x - Horizontal position in pixels
+ * @param y - Vertical position in pixels
+ * @param fill - Value returned outside the image
+ * @returns number - Bilinearly interpolated luminance
+ */
+export function sampleBilinear(image: GrayImage, x: number, y: number, fill: number = 255): number {
+  if (x < 0 || y < 0 || x > image.width - 1 || y > image.height - 1) {
+    return fill;
+  }
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, image.width - 1);
+  const y1 = Math.min(y0 + 1, image.height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const at = (px: number, py: number) => image.data[py * image.width + px];
+
+  const top = at(x0, y0) * (1 - fx) + at(x1, y0) * fx;
+  const bottom = at(x0, y1) * (1 - fx) + at(x1, y1) * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Resize an image, averaging the source pixels each output pixel covers
+ * @param image - Image to resize
+ * @param width - Output width in pixels
+ * @param height - Output height in pixels
+ * @returns GrayImage - Resized image
+ */
+export function resizeImage(image: GrayImage, width: number, height: number): GrayImage {
+  const output = createImage(width, height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+
+      let sum = 0;
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          sum += image.data[sy * image.width + sx];
+        }
+      }
+      output.data[y * width + x] = sum / ((bottom - top) * (right - left));
+    }
+  }
+  return output;
+}
+
+/**
+ * Rotate an image about its centre
+ * @param image - Image to rotate
+ * @param degrees - Clockwise rotation as displayed (y axis pointing down)
+ * @param fill - Luminance of the uncovered corners
+ * @returns GrayImage - Rotated image of the same size
+ */
+export function rotateImage(image: GrayImage, degrees: number, fill: number = 255): GrayImage {
+  const output = createImage(image.width, image.height);
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const cx = (image.width - 1) / 2;
+  const cy = (image.height - 1) / 2;
+
+  // Map each output pixel back to the point it was rotated from
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const dx = x - cx;
+      const dy = y - cy;
+      output.data[y * image.width + x] = sampleBilinear(
+        image,
+        cx + dx * cos + dy * sin,
+        cy - dx * sin + dy * cos,
+        fill
+      );
+    }
+  }
+  return output;
+}
+
+/**
+ * Copy a region of an image
+ * @param image - Image to crop
+ * @param region - Region as fractions of the image size
+ * @returns GrayImage - Pixels inside the region
+ */
+export function cropRegion(image: GrayImage, region: ImageRegion): GrayImage {
+  const left = Math.max(0, Math.round(region.x * image.width));
+  const top = Math.max(0, Math.round(region.y * image.height));
+  const right = Math.min(image.width, Math.round((region.x + region.width) * image.width));
+  const bottom = Math.min(image.height, Math.round((region.y + region.height) * image.height));
+  if (right <= left || bottom <= top) {
+    throw new Error('Region lies outside the image');
+  }
+
+  const output = createImage(right - left, bottom - top);
+  for (let y = top; y < bottom; y++) {
+    output.data.set(
+      image.data.subarray(y * image.width + left, y * image.width + right),
+      (y - top) * output.width
+    );
+  }
+  return output;
+}
+
+/**
+ * Find the threshold that best separates dark and light pixels (Otsu's method)
+ * @param image - Image to threshold
+ * @returns number - Luminance; pixels above it belong to the light class
+ */
+export function otsuThreshold(image: GrayImage): number {
+  const histogram = new Array<number>(256).fill(0);
+  for (const value of image.data) {
+    histogram[value]++;
+  }
+
+  const total = image.data.length;
+  const totalSum = histogram.reduce((sum, count, value) => sum + count * value, 0);
+  let darkCount = 0;
+  let darkSum = 0;
+  let best = 0;
+  let threshold = 0;
+
+  for (let t = 0; t < 256; t++) {
+    darkCount += histogram[t];
+    darkSum += histogram[t] * t;
+    const lightCount = total - darkCount;
+    if (darkCount === 0 || lightCount === 0) {
+      continue;
+    }
+
+    const difference = darkSum / darkCount - (totalSum - darkSum) / lightCount;
+    const between = darkCount * lightCount * difference * difference;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Put quad corners in top-left, top-right, bottom-right, bottom-left order,
+ * with the longer sides on top and bottom
+ * @param points - Four corners in any order
+ * @returns Quad - Ordered corners
+ */
+export function orderQuad(points: Point[]): Quad {
+  if (points.length !== 4) {
+    throw new Error('A quad needs exactly four corners');
+  }
+
+  const bySum = [...points].sort((a, b) => a.x + a.y - (b.x + b.y));
+  const byDifference = [...points].sort((a, b) => a.x - a.y - (b.x - b.y));
+  const quad: Quad = [bySum[0], byDifference[3], bySum[3], byDifference[0]];
+
+  // A document photographed upright is rotated a quarter turn
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  const horizontal = distance(topLeft, topRight) + distance(bottomLeft, bottomRight);
+  const vertical = distance(topLeft, bottomLeft) + distance(topRight, bottomRight);
+  return horizontal >= vertical ? quad : [bottomLeft, topLeft, topRight, bottomRight];
+}
+
+/**
+ * Find the outline of a document photographed against a contrasting background
+ * The photo is split into document and background by Otsu's threshold, taking
+ * the class that dominates the border as background. The corners are the
+ * extreme points of the largest document-class region.
+ * @param image - Photo of the document
+ * @returns Quad | null - Document corners, or null if no outline covers
+ * MIN_DOCUMENT_AREA of the photo
+ */
+export function detectDocumentQuad(image: GrayImage): Quad | null {
+  const scale = Math.min(1, DETECTION_SIZE / Math.max(image.width, image.height));
+  const small =
+    scale < 1
+      ? resizeImage(image, Math.round(image.width * scale), Math.round(image.height * scale))
+      : image;
+  const {width, height, data} = small;
+  const threshold = otsuThreshold(small);
+
+  let borderLight = 0;
+  let borderCount = 0;
+  for (let x = 0; x < width; x++) {
+    borderLight += Number(data[x] > threshold) + Number(data[(height - 1) * width + x] > threshold);
+    borderCount += 2;
+  }
+  for (let y = 0; y < height; y++) {
+    borderLight += Number(data[y * width] > threshold) + Number(data[y * width + width - 1] > threshold);
+    borderCount += 2;
+  }
+  const documentIsLight = borderLight <= borderCount / 2;
+  const isDocument = (i: number) => (data[i] > threshold) === documentIsLight;
+
+  // Label connected regions and keep the extreme points of the largest
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  let bestArea = 0;
+  let bestCorners: Point[] = [];
+
+  for (let start = 0; start < width * height; start++) {
+    if (visited[start] || !isDocument(start)) {
+      continue;
+    }
+
+    let area = 0;
+    let top = stack.length;
+    const extremes = {minSum: Infinity, maxSum: -Infinity, minDiff: Infinity, maxDiff: -Infinity};
+    const corners: Point[] = Array.from({length: 4}, () => ({x: 0, y: 0}));
+    visited[start] = 1;
+    stack[--top] = start;
+
+    while (top < stack.length) {
+      const i = stack[top++];
+      const x = i % width;
+      const y = (i - x) / width;
+      area++;
+
+      if (x + y < extremes.minSum) {
+        extremes.minSum = x + y;
+        corners[0] = {x, y};
+      }
+      if (x + y > extremes.maxSum) {
+        extremes.maxSum = x + y;
+        corners[2] = {x, y};
+      }
+      if (x - y > extremes.maxDiff) {
+        extremes.maxDiff = x - y;
+        corners[1] = {x, y};
+      }
+      if (x - y < extremes.minDiff) {
+        extremes.minDiff = x - y;
+        corners[3] = {x, y};
+      }
+
+      const neighbours = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1,
+      ];
+      for (const n of neighbours) {
+        if (n >= 0 && !visited[n] && isDocument(n)) {
+          visited[n] = 1;
+          stack[--top] = n;
+        }
+      }
+    }
+
+    if (area > bestArea) {
+      bestArea = area;
+      bestCorners = corners;
+    }
+  }
+
+  if (bestArea === 0) {
+    return null;
+  }
+
+  const quad = orderQuad(
+    bestCorners.map(({x, y}) => ({x: (x + 0.5) / scale - 0.5, y: (y + 0.5) / scale - 0.5}))
+  );
+  if (polygonArea(quad) < MIN_DOCUMENT_AREA * image.width * image.height) {
+    return null;
+  }
+  return quad;
+}
+
+/**
+ * Compute the perspective transform that maps one quad onto another
+ * @param from - Source corners
+ * @param to - Destination corners
+ * @returns number[] - Row-major 3x3 homography with the last entry 1
+ */
+export function computeHomography(from: Quad, to: Quad): number[] {
+  // Two equations per corner in the eight unknown entries
+  const rows: number[][] = [];
+  for (let i = 0; i < 4; i++) {
+    const {x, y} = from[i];
+    const {x: u, y: v} = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) {
+      throw new Error('Quad corners are degenerate');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row !== col) {
+        const factor = rows[row][col] / rows[col][col];
+        for (let k = col; k < 9; k++) {
+          rows[row][k] -= factor * rows[col][k];
+        }
+      }
+    }
+  }
+
+  return [...rows.map((row, i) => row[8] / row[i]), 1];
+}
+
+/**
+ * Apply a homography to a point
+ * @param homography - Row-major 3x3 matrix from computeHomography
+ * @param point - Point to map
+ * @returns Point - Mapped point
+ */
+export function applyHomography(homography: number[], point: Point): Point {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  const w = g * point.x + h * point.y + i;
+  return {
+    x: (a * point.x + b * point.y + c) / w,
+    y: (d * point.x + e * point.y + f) / w,
+  };
+}
+
+/**
+ * Measure the size of the rectangle a quad was photographed from
+ * @param quad - Ordered corners
+ * @returns {width: number; height: number} - Mean lengths of opposite sides,
+ * scaled down to at most MAX_DOCUMENT_WIDTH wide
+ */
+export function rectifiedSize(quad: Quad): {width: number; height: number} {
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  const width = (distance(topLeft, topRight) + distance(bottomLeft, bottomRight)) / 2;
+  const height = (distance(topLeft, bottomLeft) + distance(topRight, bottomRight)) / 2;
+  const scale = Math.min(1, MAX_DOCUMENT_WIDTH / width);
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * Correct the perspective of a photographed document
+ * @param image - Photo of the document
+ * @param quad - Document corners in the photo
+ * @param width - Width of the rectified document
+ * @param height - Height of the rectified document
+ * @returns GrayImage - Document as if scanned flat
+ */
+export function warpPerspective(
+  image: GrayImage,
+  quad: Quad,
+  width: number,
+  height: number
+): GrayImage {
+  const corners: Quad = [
+    {x: 0, y: 0},
+    {x: width - 1, y: 0},
+    {x: width - 1, y: height - 1},
+    {x: 0, y: height - 1},
+  ];
+  const homography = computeHomography(corners, quad);
+  const output = createImage(width, height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = applyHomography(homography, {x, y});
+      output.data[y * width + x] = sampleBilinear(image, source.x, source.y);
+    }
+  }
+  return output;
+}
+
+/**
+ * Estimate how far the text lines of a document are rotated
+ * Dark pixels are projected across each candidate angle; text lines line up
+ * with the projection at the true angle, which concentrates the profile.
+ * @param image - Rectified document
+ * @param maxDegrees - Largest rotation considered either way
+ * @param stepDegrees - Angle resolution
+ * @returns number - Clockwise rotation of the text lines in degrees
+ */
+export function estimateSkew(
+  image: GrayImage,
+  maxDegrees: number = MAX_SKEW_DEGREES,
+  stepDegrees: number = 0.25
+): number {
+  const threshold = otsuThreshold(image);
+  const xs: number[] = [];
+  const ys: number[] = [];
+  for (let i = 0; i < image.data.length; i++) {
+    if (image.data[i] <= threshold) {
+      xs.push(i % image.width);
+      ys.push(Math.floor(i / image.width));
+    }
+  }
+  if (xs.length === 0) {
+    return 0;
+  }
+
+  const offset = image.width + image.height;
+  const profile = new Float64Array(2 * offset + 1);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  const steps = Math.round(maxDegrees / stepDegrees);
+  for (let step = -steps; step <= steps; step++) {
+    const degrees = step * stepDegrees;
+    const radians = (degrees * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    profile.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      profile[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    }
+
+    let score = 0;
+    for (const count of profile) {
+      score += count * count;
+    }
+    // Prefer the smaller correction when angles score the same
+    if (score > bestScore || (score === bestScore && Math.abs(degrees) < Math.abs(bestAngle))) {
+      bestScore = score;
+      bestAngle = degrees;
+    }
+  }
+  return bestAngle;
+}
+
+/**
+ * Stretch the luminance range so the darkest and lightest pixels span 0 to 255
+ * @param image - Image to normalise
+ * @param clip - Share of pixels at each end allowed to saturate
+ * @returns GrayImage - Normalised image
+ */
+export function normalizeContrast(image: GrayImage, clip: number = 0.01): GrayImage {
+  const histogram = new Array<number>(256).fill(0);
+  for (const value of image.data) {
+    histogram[value]++;
+  }
+
+  const cutoff = clip * image.data.length;
+  let low = 0;
+  let belowLow = histogram[0];
+  while (belowLow <= cutoff && low < 255) {
+    belowLow += histogram[++low];
+  }
+  let high = 255;
+  let aboveHigh = histogram[255];
+  while (aboveHigh <= cutoff && high > 0) {
+    aboveHigh += histogram[--high];
+  }
+
+  const output = createImage(image.width, image.height);
+  if (high <= low) {
+    output.data.set(image.data);
+    return output;
+  }
+
+  const scale = 255 / (high - low);
+  for (let i = 0; i < image.data.length; i++) {
+    output.data[i] = (image.data[i] - low) * scale;
+  }
+  return output;
+}
+
+/**
+ * Measure focus as the variance of the Laplacian
+ * Sharp text has strong second derivatives; blur flattens them.
+ * @param image - Image to measure
+ * @returns number - Variance of the 4-neighbour Laplacian over interior pixels
+ */
+export function measureSharpness(image: GrayImage): number {
+  const {width, height, data} = image;
+  if (width < 3 || height < 3) {
+    return 0;
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+    }
+  }
+
+  const count = (width - 2) * (height - 2);
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * Measure the share of an image blown out by glare
+ * @param image - Image to measure, before contrast normalisation
+ * @returns number - Fraction of pixels at or above GLARE_LEVEL
+ */
+export function measureGlare(image: GrayImage): number {
+  let blown = 0;
+  for (const value of image.data) {
+    if (value >= GLARE_LEVEL) {
+      blown++;
+    }
+  }
+  return blown / image.data.length;
+}
+
+/**
+ * Judge whether a rectified document is good enough to read
+ * @param document - Rectified document, before contrast normalisation
+ * @param documentFound - Whether the document outline was found in the photo
+ * @returns CaptureQuality - Measurements and the issues worth a retake
+ */
+export function assessCaptureQuality(document: GrayImage, documentFound: boolean): CaptureQuality {
+  const sharpness = measureSharpness(document);
+  const glare = measureGlare(document);
+  const issues: CaptureIssue[] = [];
+
+  if (!documentFound) {
+    issues.push('no_document');
+  }
+  if (sharpness < MIN_SHARPNESS) {
+    issues.push('blurry');
+  }
+  if (glare > MAX_GLARE) {
+    issues.push('glare');
+  }
+  return {documentFound, sharpness, glare, issues};
+}
+
+/**
+ * Run the document pipeline: find the outline, correct the perspective,
+ * judge capture quality, remove residual skew and normalise contrast
+ * When no outline is found the whole photo is treated as the document.
+ * @param photo - Photo of the document
+ * @returns PreprocessedDocument - Document ready for OCR, with capture quality
+ */
+export function preprocessDocument(photo: GrayImage): PreprocessedDocument {
+  const quad = detectDocumentQuad(photo);
+
+  let rectified = photo;
+  if (quad) {
+    const {width, height} = rectifiedSize(quad);
+    rectified = warpPerspective(photo, quad, width, height);
+  }
+
+  // Glare must be measured before normalisation stretches highlights to white
+  const quality = assessCaptureQuality(rectified, quad !== null);
+  const skewAngle = estimateSkew(rectified);
+  const deskewed = skewAngle !== 0 ? rotateImage(rectified, -skewAngle) : rectified;
+
+  return {
+    image: normalizeContrast(deskewed),
+    quad,
+    skewAngle,
+    quality,
+  };
+}
+
+function distance(a: Point, b: Point): number {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Shoelace formula
+function polygonArea(points: Point[]): number {
+  let twiceArea = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    twiceArea += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(twiceArea) / 2;
+}
@@ -0,0 +1,171 @@
+import {DocumentField, DocumentLayout, IDDocument, ImageRegion, ZoneCheck} from '@types/index';
+
+/**
+ * Band of a rectified document searched for the machine readable zone. Every
+ * ICAO 9303 layout prints it along the bottom edge.
+ */
+export const MRZ_REGION: ImageRegion = {x: 0, y: 0.64, width: 1, height: 0.36};
+
+/**
+ * Where each field is printed in the visual zone, as fractions of the
+ * rectified document. Passports follow the ICAO 9303 TD3 data page; identity
+ * cards the TD1/TD2 front with the MRZ below the personal data; driver's
+ * licenses the AAMVA card design.
+ */
+export const DOCUMENT_LAYOUTS: Record<IDDocument['type'], DocumentLayout> = {
+  passport: {
+    dateOrder: 'DMY',
+    fields: {
+      documentNumber: {x: 0.7, y: 0.11, width: 0.28, height: 0.08},
+      lastName: {x: 0.33, y: 0.21, width: 0.62, height: 0.07},
+      firstName: {x: 0.33, y: 0.3, width: 0.62, height: 0.07},
+      dateOfBirth: {x: 0.33, y: 0.45, width: 0.35, height: 0.07},
+      expiryDate: {x: 0.33, y: 0.56, width: 0.35, height: 0.07},
+    },
+  },
+  national_id: {
+    dateOrder: 'DMY',
+    fields: {
+      documentNumber: {x: 0.6, y: 0.05, width: 0.38, height: 0.08},
+      lastName: {x: 0.33, y: 0.16, width: 0.62, height: 0.08},
+      firstName: {x: 0.33, y: 0.26, width: 0.62, height: 0.08},
+      dateOfBirth: {x: 0.33, y: 0.38, width: 0.3, height: 0.08},
+      expiryDate: {x: 0.65, y: 0.38, width: 0.3, height: 0.08},
+    },
+  },
+  drivers_license: {
+    dateOrder: 'MDY',
+    fields: {
+      documentNumber: {x: 0.34, y: 0.14, width: 0.45, height: 0.08},
+      expiryDate: {x: 0.34, y: 0.23, width: 0.3, height: 0.07},
+      lastName: {x: 0.34, y: 0.31, width: 0.6, height: 0.08},
+      firstName: {x: 0.34, y: 0.4, width: 0.6, height: 0.08},
+      address: {x: 0.34, y: 0.49, width: 0.6, height: 0.14},
+      dateOfBirth: {x: 0.34, y: 0.66, width: 0.3, height: 0.07},
+    },
+  },
+};
+
+/**
+ * Share of the document confidence lost for each field where the visual zone
+ * disagrees with the MRZ
+ */
+export const ZONE_MISMATCH_PENALTY = 0.25;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Parse a date as printed in the visual zone
+ * Accepts '15 JAN 1990' (including bilingual forms such as '15 JAN/JANV 1990'),
+ * '1990-01-15', and numeric dates in the layout's day/month order.
+ * @param text - Recognized text
+ * @param order - Order of day and month in numeric dates
+ * @returns string - YYYY-MM-DD, or '' if the text is not a valid date
+ */
+export function parseVisualDate(text: string, order: DocumentLayout['dateOrder']): string {
+  const value = text.toUpperCase().trim();
+  let year: number;
+  let month: number;
+  let day: number;
+
+  const named = value.match(/^(\d{1,2})\s*([A-Z]{3})[A-Z]*(?:\/[A-Z]+)?\s*(\d{4})$/);
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const numeric = value.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+
+  if (named) {
+    day = Number(named[1]);
+    month = MONTHS.indexOf(named[2]) + 1;
+    year = Number(named[3]);
+  } else if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (numeric) {
+    const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+    [day, month] = order === 'DMY' ? [first, second] : [second, first];
+    year = Number(numeric[3]);
+  } else {
+    return '';
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return '';
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a name to the form the MRZ carries
+ * @param text - Name as printed or encoded
+ * @returns string - Upper case, without accents, punctuation or repeated spaces
+ */
+export function normalizeName(text: string): string {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert a field read from the visual zone to the form the MRZ carries
+ * Names lose accents and punctuation, document numbers everything but letters
+ * and digits, and dates become YYYY-MM-DD.
+ * @param field - Field the text was read from
+ * @param text - Recognized text
+ * @param layout - Layout of the document
+ * @returns string - Normalised value, or '' if nothing usable was read
+ */
+export function normalizeVisualField(
+  field: DocumentField,
+  text: string,
+  layout: DocumentLayout
+): string {
+  const value = text.replace(/\s+/g, ' ').trim();
+
+  switch (field) {
+    case 'firstName':
+    case 'lastName':
+      return normalizeName(value);
+    case 'documentNumber':
+      return value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    case 'dateOfBirth':
+    case 'expiryDate':
+      return parseVisualDate(value, layout.dateOrder);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Compare the fields read from the MRZ with those printed in the visual zone
+ * Fields missing from either zone are not compared.
+ * @param mrzData - Fields read from the MRZ
+ * @param visualData - Normalised fields read from the visual zone
+ * @returns ZoneCheck[] - One entry per field read from both zones
+ */
+export function crossCheckZones(
+  mrzData: IDDocument['extractedData'],
+  visualData: Partial<IDDocument['extractedData']>
+): ZoneCheck[] {
+  const checks: ZoneCheck[] = [];
+  for (const field of Object.keys(visualData) as DocumentField[]) {
+    const mrz = mrzData[field];
+    const visual = visualData[field];
+    if (mrz && visual) {
+      checks.push({field, mrz, visual, agrees: mrz === visual});
+    }
+  }
+  return checks;
+}
+
+/**
+ * Lower a document confidence for every zone disagreement
+ * @param confidence - Confidence of the MRZ reading
+ * @param checks - Results of crossCheckZones
+ * @returns number - Confidence reduced by ZONE_MISMATCH_PENALTY per disagreeing field
+ */
+export function applyZoneChecks(confidence: number, checks: ZoneCheck[]): number {
+  const mismatches = checks.filter(check => !check.agrees).length;
+  return confidence * Math.pow(1 - ZONE_MISMATCH_PENALTY, mismatches);
+}
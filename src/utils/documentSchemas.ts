@@ -0,0 +1,146 @@
+import {
+  DocumentField,
+  DocumentIssue,
+  DocumentNumberRule,
+  DocumentSchema,
+  IDDocument,
+} from '@types/index';
+
+// Fields every document type must carry
+const REQUIRED_FIELDS: DocumentField[] = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'documentNumber',
+  'expiryDate',
+];
+
+const NAME = /^[A-Z]+( [A-Z]+)*$/;
+const COUNTRY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Check a date in the form the extractors produce
+ * @param value - Date to check
+ * @returns boolean - Whether the value is a real YYYY-MM-DD date
+ */
+export function isIsoDate(value: string): boolean {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const FIELD_FORMATS: DocumentSchema['formats'] = {
+  firstName: value => NAME.test(value),
+  lastName: value => NAME.test(value),
+  dateOfBirth: isIsoDate,
+  expiryDate: isIsoDate,
+  nationality: value => COUNTRY_CODE.test(value),
+};
+
+// Florida, Illinois and Ontario derive the number from the holder's name,
+// starting it with the surname's initial
+const surnameInitial: DocumentNumberRule['matchesHolder'] = (documentNumber, data) =>
+  documentNumber[0] === data.lastName[0];
+
+// Issuers whose document numbers follow a published format. Characters are
+// as the extractors leave them: upper case, without spaces or dashes.
+const PASSPORT_NUMBERS: Record<string, DocumentNumberRule> = {
+  // Nine digits, or a letter and eight digits on next generation passports
+  USA: {pattern: /^([0-9]{9}|[A-Z][0-9]{8})$/},
+  GBR: {pattern: /^[0-9]{9}$/},
+  CAN: {pattern: /^[A-Z]{2}[0-9]{6}$/},
+  // Serial numbers avoid letters that read like digits
+  DEU: {pattern: /^[CFGHJKLMNPRTVWXYZ0-9]{9}$/},
+};
+
+const NATIONAL_ID_NUMBERS: Record<string, DocumentNumberRule> = {
+  DEU: {pattern: /^[CFGHJKLMNPRTVWXYZ0-9]{9}$/},
+  // No letter O; the last character is a digit
+  NLD: {pattern: /^[A-NP-Z]{2}[A-NP-Z0-9]{6}[0-9]$/},
+  ITA: {pattern: /^[A-Z]{2}[0-9]{5}[A-Z]{2}$/},
+};
+
+const LICENSE_NUMBERS: Record<string, DocumentNumberRule> = {
+  'USA-CA': {pattern: /^[A-Z][0-9]{7}$/},
+  'USA-NY': {pattern: /^[0-9]{9}$/},
+  'USA-TX': {pattern: /^[0-9]{8}$/},
+  'USA-FL': {pattern: /^[A-Z][0-9]{12}$/, matchesHolder: surnameInitial},
+  'USA-IL': {pattern: /^[A-Z][0-9]{11}$/, matchesHolder: surnameInitial},
+  'CAN-ON': {pattern: /^[A-Z][0-9]{14}$/, matchesHolder: surnameInitial},
+};
+
+/**
+ * Fields each document type must carry, the form each field takes, and how
+ * document numbers are issued. Numbers from issuers without a rule only need
+ * a plausible length.
+ */
+export const DOCUMENT_SCHEMAS: Record<IDDocument['type'], DocumentSchema> = {
+  passport: {
+    required: [...REQUIRED_FIELDS, 'nationality'],
+    formats: FIELD_FORMATS,
+    documentNumber: /^[A-Z0-9]{6,9}$/,
+    jurisdictions: PASSPORT_NUMBERS,
+  },
+  national_id: {
+    required: [...REQUIRED_FIELDS, 'nationality'],
+    formats: FIELD_FORMATS,
+    documentNumber: /^[A-Z0-9]{5,15}$/,
+    jurisdictions: NATIONAL_ID_NUMBERS,
+  },
+  drivers_license: {
+    // Licenses name the state that issued them, not the holder's nationality
+    required: REQUIRED_FIELDS,
+    formats: FIELD_FORMATS,
+    documentNumber: /^[A-Z0-9]{5,20}$/,
+    jurisdictions: LICENSE_NUMBERS,
+  },
+};
+
+/**
+ * Check a document against the schema of its type
+ * A document number protected by an MRZ check digit is not held to the
+ * generic length rule; the check digit is stronger evidence. Its issuer's
+ * rule still applies.
+ * @param document - Extracted document
+ * @returns DocumentIssue[] - Every rule the document breaks; empty if it conforms
+ */
+export function checkDocumentSchema(document: IDDocument): DocumentIssue[] {
+  const schema = DOCUMENT_SCHEMAS[document.type];
+  const data = document.extractedData;
+  const issues: DocumentIssue[] = [];
+
+  for (const field of schema.required) {
+    if (!data[field]) {
+      issues.push({field, kind: 'missing'});
+    }
+  }
+
+  for (const [field, isValid] of Object.entries(schema.formats) as Array<
+    [DocumentField, (value: string) => boolean]
+  >) {
+    const value = data[field];
+    if (value && !isValid(value)) {
+      issues.push({field, kind: 'format'});
+    }
+  }
+
+  const number = data.documentNumber;
+  if (!number) {
+    return issues;
+  }
+
+  const rule = document.jurisdiction ? schema.jurisdictions[document.jurisdiction] : undefined;
+  const checkDigitPassed = document.mrz?.checks.some(
+    check => check.field === 'documentNumber' && check.valid
+  );
+  if (rule) {
+    if (!rule.pattern.test(number) || (rule.matchesHolder && !rule.matchesHolder(number, data))) {
+      issues.push({field: 'documentNumber', kind: 'jurisdiction'});
+    }
+  } else if (!checkDigitPassed && !schema.documentNumber.test(number)) {
+    issues.push({field: 'documentNumber', kind: 'format'});
+  }
+  return issues;
+}
@@ -0,0 +1,32 @@
+import {ExpiryStatus} from '@types/index';
+
+/**
+ * How many days before expiry the app starts prompting for re-verification
+ */
+export const REVERIFICATION_WARNING_DAYS = 30;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Classify a verification expiry for display
+ * @param expiresAt - Expiry as a Unix timestamp in seconds (0 or undefined if never verified)
+ * @param now - Current time
+ * @returns ExpiryStatus - State and whole days remaining (rounded up)
+ */
+export function getExpiryStatus(expiresAt?: number, now: Date = new Date()): ExpiryStatus {
+  if (!expiresAt) {
+    return {state: 'none'};
+  }
+
+  const secondsRemaining = expiresAt - Math.floor(now.getTime() / 1000);
+  if (secondsRemaining <= 0) {
+    return {state: 'expired', expiresAt, daysRemaining: 0};
+  }
+
+  const daysRemaining = Math.ceil(secondsRemaining / SECONDS_PER_DAY);
+  return {
+    state: daysRemaining <= REVERIFICATION_WARNING_DAYS ? 'expiring' : 'valid',
+    expiresAt,
+    daysRemaining,
+  };
+}
@@ -0,0 +1,69 @@
+import {FACE_DESCRIPTOR_OFFSET, encodeFaceDescriptorValues} from '@utils/commitment';
+
+/**
+ * Number of values in a face descriptor; the identity circuit is compiled for this size
+ */
+export const FACE_DESCRIPTOR_LENGTH = 128;
+
+/**
+ * Fixed-point scale of similarity thresholds in circuit inputs and on-chain
+ */
+export const SIMILARITY_SCALE = 10000;
+
+/**
+ * Cosine similarity a selfie must reach against the document portrait by default
+ */
+export const DEFAULT_MIN_FACE_SIMILARITY = 0.6;
+
+/**
+ * Convert a similarity threshold to its fixed-point circuit encoding
+ * Rounded down, so the encoded bound is never stricter than requested.
+ * @param threshold - Minimum cosine similarity between 0 and 1
+ * @returns number - Threshold scaled by SIMILARITY_SCALE
+ */
+export function encodeSimilarity(threshold: number): number {
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error('Similarity threshold must be between 0 and 1');
+  }
+  return Math.floor(threshold * SIMILARITY_SCALE);
+}
+
+/**
+ * Check the face similarity bound exactly as the identity circuit does
+ * Works on the quantized descriptors, so a pair that passes here also
+ * satisfies the circuit.
+ * @param descriptor - Selfie face descriptor
+ * @param portrait - Face descriptor from the document portrait
+ * @param minSimilarity - Threshold scaled by SIMILARITY_SCALE (see encodeSimilarity)
+ * @returns boolean - Whether the cosine similarity is at least the threshold
+ */
+export function meetsSimilarityBound(
+  descriptor: number[],
+  portrait: number[],
+  minSimilarity: number
+): boolean {
+  if (descriptor.length !== portrait.length) {
+    throw new Error('Face descriptors must have the same length');
+  }
+
+  const offset = BigInt(FACE_DESCRIPTOR_OFFSET);
+  const a = encodeFaceDescriptorValues(descriptor).map(value => value - offset);
+  const b = encodeFaceDescriptorValues(portrait).map(value => value - offset);
+
+  let dot = BigInt(0);
+  let normA = BigInt(0);
+  let normB = BigInt(0);
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (dot < BigInt(0) || normA === BigInt(0) || normB === BigInt(0)) {
+    return false;
+  }
+
+  const scale = BigInt(SIMILARITY_SCALE);
+  const threshold = BigInt(minSimilarity);
+  return dot * dot * scale * scale >= threshold * threshold * normA * normB;
+}
@@ -0,0 +1,170 @@
+import {groth16} from 'snarkjs';
+import {Groth16Proof, MoproProof, VerificationKey, ZKProof} from '@types/index';
+
+/**
+ * Order of the BN254 (alt_bn128) scalar field. Every public signal must be
+ * strictly below this value.
+ */
+export const BN254_SCALAR_FIELD = BigInt(
+  '21888242871839275222246405745257275088548364400416034343698204186575808495617'
+);
+
+/**
+ * Size of an encoded proof: A (2 words), B (4 words), C (2 words).
+ */
+export const PROOF_BYTE_LENGTH = 8 * 32;
+
+/**
+ * Encode a snarkjs Groth16 proof into 256 bytes.
+ *
+ * The layout is `abi.encode(uint256[2] a, uint256[2][2] b, uint256[2] c)`
+ * with the G2 point B in the (imaginary, real) coefficient order expected by
+ * the EIP-197 pairing precompile, so the bytes can be passed to the on-chain
+ * verifier unchanged.
+ * @param proof - Proof object returned by snarkjs
+ * @returns Uint8Array - Encoded proof
+ */
+export function encodeProof(proof: Groth16Proof): Uint8Array {
+  const words = [
+    proof.pi_a[0],
+    proof.pi_a[1],
+    proof.pi_b[0][1],
+    proof.pi_b[0][0],
+    proof.pi_b[1][1],
+    proof.pi_b[1][0],
+    proof.pi_c[0],
+    proof.pi_c[1],
+  ];
+
+  const bytes = new Uint8Array(PROOF_BYTE_LENGTH);
+  words.forEach((word, index) => {
+    bytes.set(toWord(word), index * 32);
+  });
+
+  return bytes;
+}
+
+/**
+ * Decode 256 proof bytes back into the snarkjs proof format
+ * @param bytes - Proof encoded with encodeProof
+ * @returns Groth16Proof - Proof object accepted by snarkjs
+ */
+export function decodeProof(bytes: Uint8Array): Groth16Proof {
+  if (bytes.length !== PROOF_BYTE_LENGTH) {
+    throw new Error(`Invalid proof length: expected ${PROOF_BYTE_LENGTH} bytes, got ${bytes.length}`);
+  }
+
+  const words: string[] = [];
+  for (let i = 0; i < 8; i++) {
+    words.push(fromWord(bytes.subarray(i * 32, (i + 1) * 32)));
+  }
+
+  return {
+    pi_a: [words[0], words[1], '1'],
+    pi_b: [
+      [words[3], words[2]],
+      [words[5], words[4]],
+      ['1', '0'],
+    ],
+    pi_c: [words[6], words[7], '1'],
+    protocol: 'groth16',
+    curve: 'bn128',
+  };
+}
+
+/**
+ * Encode a proof as the `(bytes proof, uint256[] publicInputs)` arguments of
+ * `IdentityVerification.submitProof` and `Verifier.verifyTx`
+ * @param zkProof - Proof with hex-encoded proof bytes and decimal public signals
+ * @returns Object with 0x-prefixed proof bytes and public inputs as bigints
+ */
+export function encodeProofCalldata(
+  zkProof: Pick<ZKProof, 'proof' | 'publicSignals'>
+): {proof: string; publicInputs: bigint[]} {
+  const hex = zkProof.proof.startsWith('0x') ? zkProof.proof.slice(2) : zkProof.proof;
+  if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length !== PROOF_BYTE_LENGTH * 2) {
+    throw new Error(`Invalid proof length: expected ${PROOF_BYTE_LENGTH} bytes of hex`);
+  }
+
+  if (zkProof.publicSignals.length === 0) {
+    throw new Error('Proof has no public signals');
+  }
+  zkProof.publicSignals.forEach((signal, index) => {
+    if (!isFieldElement(signal)) {
+      throw new Error(`Public signal ${index} is not a field element`);
+    }
+  });
+
+  return {
+    proof: '0x' + hex.toLowerCase(),
+    publicInputs: zkProof.publicSignals.map(signal => BigInt(signal)),
+  };
+}
+
+/**
+ * Check a proof's shape and run the Groth16 pairing check
+ * Malformed proofs and public inputs are rejected without calling snarkjs.
+ * @param proof - Proof to verify
+ * @param verificationKey - Verification key of the circuit the proof is for
+ * @returns Promise<boolean> - Whether the proof is valid
+ */
+export async function verifyGroth16Proof(
+  proof: MoproProof,
+  verificationKey: VerificationKey
+): Promise<boolean> {
+  if (proof.proof.length !== PROOF_BYTE_LENGTH) {
+    return false;
+  }
+  if (
+    proof.publicInputs.length !== verificationKey.nPublic ||
+    !proof.publicInputs.every(isFieldElement)
+  ) {
+    return false;
+  }
+
+  return groth16.verify(verificationKey, proof.publicInputs, decodeProof(proof.proof));
+}
+
+/**
+ * Check that a value is a canonical BN254 scalar field element
+ * @param value - Decimal string to check
+ * @returns boolean - Whether the value is in [0, r)
+ */
+export function isFieldElement(value: string): boolean {
+  if (!/^\d+$/.test(value)) {
+    return false;
+  }
+  return BigInt(value) < BN254_SCALAR_FIELD;
+}
+
+/**
+ * Convert a decimal string to a 32-byte big-endian word
+ * @param value - Decimal string
+ * @returns Uint8Array - 32-byte word
+ */
+function toWord(value: string): Uint8Array {
+  const hex = BigInt(value).toString(16);
+  if (hex.length > 64) {
+    throw new Error('Value does not fit in 32 bytes');
+  }
+
+  const padded = hex.padStart(64, '0');
+  const word = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    word[i] = parseInt(padded.substr(i * 2, 2), 16);
+  }
+  return word;
+}
+
+/**
+ * Convert a 32-byte big-endian word to a decimal string
+ * @param word - 32-byte word
+ * @returns string - Decimal string
+ */
+function fromWord(word: Uint8Array): string {
+  let hex = '';
+  for (let i = 0; i < word.length; i++) {
+    hex += word[i].toString(16).padStart(2, '0');
+  }
+  return BigInt('0x' + hex).toString();
+}
@@ -0,0 +1,230 @@
+import {
+  FaceLandmarkFrame,
+  LivenessChallengeResult,
+  LivenessChallengeType,
+  LivenessSession,
+  LivenessTranscript,
+} from '@types/index';
+import {hashElements} from '@utils/commitment';
+
+/**
+ * Challenges a liveness session can issue. A challenge's position is its code
+ * in the transcript hash, so entries must never be reordered.
+ */
+export const LIVENESS_CHALLENGES: LivenessChallengeType[] = [
+  'blink',
+  'turn_left',
+  'turn_right',
+  'smile',
+];
+
+/**
+ * Number of challenges issued per session by default
+ */
+export const DEFAULT_LIVENESS_CHALLENGES = 3;
+
+/**
+ * Frames captured for each challenge
+ */
+export const LIVENESS_FRAMES_PER_CHALLENGE = 8;
+
+/**
+ * Fewest frames a challenge can be judged on
+ */
+export const MIN_CHALLENGE_FRAMES = 5;
+
+/**
+ * Longest a single challenge may take, in milliseconds
+ */
+export const MAX_CHALLENGE_DURATION_MS = 8000;
+
+/**
+ * Time allowed to complete every challenge in a session, in milliseconds
+ */
+export const LIVENESS_SESSION_TTL_MS = 2 * 60 * 1000;
+
+// Strength each gesture must reach to pass. A challenge scores 0.5 at its
+// threshold and 1 at twice the threshold.
+const BLINK_DEPTH = 0.4; // Drop in eye-open probability
+const SMILE_RISE = 0.4; // Rise in smiling probability
+const TURN_DEGREES = 20; // Yaw reached after facing the camera
+const FRONTAL_DEGREES = 10; // Largest yaw still counted as facing the camera
+
+// Fixed-point scale of challenge scores in the transcript hash
+const SCORE_SCALE = 10000;
+
+/**
+ * Measure how strongly a frame sequence shows a blink
+ * Both eyes must close between frames where both are open.
+ * @param frames - Frames in capture order
+ * @returns number - Largest drop in eye-open probability that recovers afterwards
+ */
+export function blinkStrength(frames: FaceLandmarkFrame[]): number {
+  const open = frames.map(frame =>
+    Math.min(frame.leftEyeOpenProbability, frame.rightEyeOpenProbability)
+  );
+  const closed = frames.map(frame =>
+    Math.max(frame.leftEyeOpenProbability, frame.rightEyeOpenProbability)
+  );
+
+  let strength = 0;
+  for (let i = 1; i < frames.length - 1; i++) {
+    const before = Math.max(...open.slice(0, i));
+    const after = Math.max(...open.slice(i + 1));
+    strength = Math.max(strength, Math.min(before, after) - closed[i]);
+  }
+  return strength;
+}
+
+/**
+ * Measure how strongly a frame sequence shows a smile
+ * @param frames - Frames in capture order
+ * @returns number - Largest rise in smiling probability
+ */
+export function smileStrength(frames: FaceLandmarkFrame[]): number {
+  let lowest = Infinity;
+  let strength = 0;
+  for (const frame of frames) {
+    strength = Math.max(strength, frame.smilingProbability - lowest);
+    lowest = Math.min(lowest, frame.smilingProbability);
+  }
+  return strength;
+}
+
+/**
+ * Measure how far the head turns after facing the camera
+ * @param frames - Frames in capture order
+ * @param direction - Direction the subject was asked to turn
+ * @returns number - Largest yaw in that direction, in degrees, reached after a frontal frame
+ */
+export function turnStrength(frames: FaceLandmarkFrame[], direction: 'left' | 'right'): number {
+  const sign = direction === 'left' ? 1 : -1;
+
+  let facedCamera = false;
+  let strength = 0;
+  for (const frame of frames) {
+    if (facedCamera) {
+      strength = Math.max(strength, sign * frame.yawAngle);
+    }
+    facedCamera = facedCamera || Math.abs(frame.yawAngle) <= FRONTAL_DEGREES;
+  }
+  return strength;
+}
+
+/**
+ * Judge the frames captured for one challenge
+ * Sequences that are too short, too slow or out of order fail with a score of 0.
+ * A still photo or a replay of the wrong gesture never reaches the threshold.
+ * @param challenge - Challenge that was shown
+ * @param frames - Frames captured while it was shown, in capture order
+ * @returns LivenessChallengeResult - Score and whether the challenge passed
+ */
+export function evaluateChallenge(
+  challenge: LivenessChallengeType,
+  frames: FaceLandmarkFrame[]
+): LivenessChallengeResult {
+  const startedAt = frames.length > 0 ? frames[0].timestamp : 0;
+  const completedAt = frames.length > 0 ? frames[frames.length - 1].timestamp : 0;
+  const result = {challenge, passed: false, score: 0, frameCount: frames.length, startedAt, completedAt};
+
+  const chronological = frames.every(
+    (frame, i) => i === 0 || frame.timestamp >= frames[i - 1].timestamp
+  );
+  if (
+    frames.length < MIN_CHALLENGE_FRAMES ||
+    !chronological ||
+    completedAt - startedAt > MAX_CHALLENGE_DURATION_MS
+  ) {
+    return result;
+  }
+
+  const [strength, threshold] = measureChallenge(challenge, frames);
+  const score = Math.min(1, Math.max(0, strength / (2 * threshold)));
+  return {...result, passed: strength >= threshold, score};
+}
+
+/**
+ * Combine challenge results into the transcript of a liveness session
+ * @param session - Session the challenges were issued in
+ * @param results - One result per session challenge, in order
+ * @returns LivenessTranscript - Transcript with the mean score; passed only if every challenge passed
+ */
+export function summarizeLiveness(
+  session: LivenessSession,
+  results: LivenessChallengeResult[]
+): LivenessTranscript {
+  if (
+    results.length !== session.challenges.length ||
+    results.some((result, i) => result.challenge !== session.challenges[i])
+  ) {
+    throw new Error('Liveness results do not match the session challenges');
+  }
+  if (results.some(result => result.frameCount > 0 && result.startedAt < session.issuedAt)) {
+    throw new Error('Liveness frames predate the session');
+  }
+  if (results.some(result => result.completedAt > session.expiresAt)) {
+    throw new Error('Liveness session expired');
+  }
+
+  const score =
+    results.length > 0 ? results.reduce((sum, result) => sum + result.score, 0) / results.length : 0;
+
+  return {
+    nonce: session.nonce,
+    issuedAt: session.issuedAt,
+    results,
+    score,
+    passed: results.length > 0 && results.every(result => result.passed),
+  };
+}
+
+/**
+ * Hash a liveness transcript to a single field element
+ * This is the value committed alongside the face descriptor in face_hash.
+ * @param transcript - Transcript to hash
+ * @returns string - Poseidon digest as a decimal field element
+ */
+export function hashLivenessTranscript(transcript: LivenessTranscript): string {
+  const elements = [BigInt(transcript.nonce), BigInt(transcript.issuedAt)];
+
+  for (const result of transcript.results) {
+    const code = LIVENESS_CHALLENGES.indexOf(result.challenge);
+    if (code < 0) {
+      throw new Error(`Unknown liveness challenge: ${result.challenge}`);
+    }
+    elements.push(
+      BigInt(code),
+      BigInt(result.passed ? 1 : 0),
+      BigInt(Math.round(result.score * SCORE_SCALE)),
+      BigInt(result.frameCount),
+      BigInt(result.startedAt),
+      BigInt(result.completedAt)
+    );
+  }
+
+  return hashElements(elements).toString();
+}
+
+/**
+ * Measure a challenge's gesture
+ * @param challenge - Challenge to measure
+ * @param frames - Frames in capture order
+ * @returns [number, number] - Gesture strength and the strength needed to pass
+ */
+function measureChallenge(
+  challenge: LivenessChallengeType,
+  frames: FaceLandmarkFrame[]
+): [number, number] {
+  switch (challenge) {
+    case 'blink':
+      return [blinkStrength(frames), BLINK_DEPTH];
+    case 'smile':
+      return [smileStrength(frames), SMILE_RISE];
+    case 'turn_left':
+      return [turnStrength(frames, 'left'), TURN_DEGREES];
+    case 'turn_right':
+      return [turnStrength(frames, 'right'), TURN_DEGREES];
+    default:
+      throw new Error(`Unknown liveness challenge: ${challenge}`);
+  }
+}
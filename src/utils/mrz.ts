@@ -0,0 +1,390 @@
+import {
+  IDDocument,
+  MrzCheck,
+  MrzCheckField,
+  MrzFormat,
+  MrzParseResult,
+} from '@types/index';
+
+// A run of characters on one MRZ line; end is exclusive
+interface Span {
+  line: number;
+  start: number;
+  end: number;
+}
+
+interface MrzLayout {
+  lines: number;
+  length: number;
+  documentCode: Span;
+  issuingState: Span;
+  name: Span;
+  documentNumber: Span;
+  documentNumberCheck: Span;
+  nationality: Span;
+  dateOfBirth: Span;
+  dateOfBirthCheck: Span;
+  sex: Span;
+  expiryDate: Span;
+  expiryDateCheck: Span;
+  optionalData: Span[];
+  personalNumberCheck?: Span;
+  compositeCheck: Span;
+  compositeSource: Span[];
+}
+
+const span = (line: number, start: number, end: number): Span => ({line, start, end});
+
+// Field positions from ICAO Doc 9303 parts 4 (TD3), 5 (TD1) and 6 (TD2)
+const MRZ_LAYOUTS: Record<MrzFormat, MrzLayout> = {
+  TD1: {
+    lines: 3,
+    length: 30,
+    documentCode: span(0, 0, 2),
+    issuingState: span(0, 2, 5),
+    documentNumber: span(0, 5, 14),
+    documentNumberCheck: span(0, 14, 15),
+    optionalData: [span(0, 15, 30), span(1, 18, 29)],
+    dateOfBirth: span(1, 0, 6),
+    dateOfBirthCheck: span(1, 6, 7),
+    sex: span(1, 7, 8),
+    expiryDate: span(1, 8, 14),
+    expiryDateCheck: span(1, 14, 15),
+    nationality: span(1, 15, 18),
+    compositeCheck: span(1, 29, 30),
+    compositeSource: [span(0, 5, 30), span(1, 0, 7), span(1, 8, 15), span(1, 18, 29)],
+    name: span(2, 0, 30),
+  },
+  TD2: {
+    lines: 2,
+    length: 36,
+    documentCode: span(0, 0, 2),
+    issuingState: span(0, 2, 5),
+    name: span(0, 5, 36),
+    documentNumber: span(1, 0, 9),
+    documentNumberCheck: span(1, 9, 10),
+    nationality: span(1, 10, 13),
+    dateOfBirth: span(1, 13, 19),
+    dateOfBirthCheck: span(1, 19, 20),
+    sex: span(1, 20, 21),
+    expiryDate: span(1, 21, 27),
+    expiryDateCheck: span(1, 27, 28),
+    optionalData: [span(1, 28, 35)],
+    compositeCheck: span(1, 35, 36),
+    compositeSource: [span(1, 0, 10), span(1, 13, 20), span(1, 21, 35)],
+  },
+  TD3: {
+    lines: 2,
+    length: 44,
+    documentCode: span(0, 0, 2),
+    issuingState: span(0, 2, 5),
+    name: span(0, 5, 44),
+    documentNumber: span(1, 0, 9),
+    documentNumberCheck: span(1, 9, 10),
+    nationality: span(1, 10, 13),
+    dateOfBirth: span(1, 13, 19),
+    dateOfBirthCheck: span(1, 19, 20),
+    sex: span(1, 20, 21),
+    expiryDate: span(1, 21, 27),
+    expiryDateCheck: span(1, 27, 28),
+    optionalData: [span(1, 28, 42)],
+    personalNumberCheck: span(1, 42, 43),
+    compositeCheck: span(1, 43, 44),
+    compositeSource: [span(1, 0, 10), span(1, 13, 20), span(1, 21, 43)],
+  },
+};
+
+// Larger formats first, so a TD3 zone is never read as a truncated TD1
+const FORMATS_BY_SIZE: MrzFormat[] = ['TD3', 'TD2', 'TD1'];
+
+const CHECK_WEIGHTS = [7, 3, 1];
+
+// Letters OCR commonly reads in place of digits, and the reverse
+const DIGIT_FOR_LETTER: Record<string, string> = {
+  O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8',
+};
+const LETTER_FOR_DIGIT: Record<string, string> = {
+  '0': 'O', '1': 'I', '2': 'Z', '5': 'S', '6': 'G', '8': 'B',
+};
+
+// Issuing states whose ICAO code is not their ISO 3166 alpha-3 code
+const STATE_ALIASES: Record<string, string> = {
+  D: 'DEU',
+};
+
+// Field confidence for values protected by a check digit, values read as
+// printed, and values that needed OCR corrections or failed their check
+const CONFIDENCE_CHECKED = 0.99;
+const CONFIDENCE_UNCHECKED = 0.9;
+const CONFIDENCE_CORRECTED = 0.8;
+const CONFIDENCE_FAILED = 0.3;
+
+/**
+ * Compute an ICAO 9303 check digit
+ * Characters are weighted 7, 3, 1 in turn: digits by value, A-Z as 10-35 and
+ * the filler '<' as 0.
+ * @param value - MRZ characters covered by the check digit
+ * @returns string - Check digit, '0' to '9'
+ */
+export function mrzCheckDigit(value: string): string {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    let charValue: number;
+    if (char === '<') {
+      charValue = 0;
+    } else if (char >= '0' && char <= '9') {
+      charValue = char.charCodeAt(0) - 48;
+    } else if (char >= 'A' && char <= 'Z') {
+      charValue = char.charCodeAt(0) - 55;
+    } else {
+      throw new Error(`Invalid MRZ character: ${char}`);
+    }
+    sum += charValue * CHECK_WEIGHTS[i % 3];
+  }
+  return String(sum % 10);
+}
+
+/**
+ * Find the machine readable zone in OCR output
+ * Whitespace inside lines is dropped and the zone nearest the bottom wins.
+ * @param text - Text recognized on the document
+ * @returns {format, lines} | null - MRZ lines and their format, or null if none found
+ */
+export function findMrz(text: string): {format: MrzFormat; lines: string[]} | null {
+  const candidates = text
+    .split(/\r?\n/)
+    .map(line => line.toUpperCase().replace(/\s+/g, '').replace(/«/g, '<'))
+    .filter(line => /^[A-Z0-9<]+$/.test(line));
+
+  for (const format of FORMATS_BY_SIZE) {
+    const {lines, length} = MRZ_LAYOUTS[format];
+    for (let i = candidates.length - lines; i >= 0; i--) {
+      const window = candidates.slice(i, i + lines);
+      if (window.every(line => line.length === length)) {
+        return {format, lines: window};
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the MRZ format in OCR output
+ * @param text - Text recognized on the document
+ * @returns MrzFormat | null - TD1, TD2 or TD3, or null if there is no MRZ
+ */
+export function detectMrzFormat(text: string): MrzFormat | null {
+  return findMrz(text)?.format ?? null;
+}
+
+/**
+ * Map an MRZ document code to the app's document type
+ * @param documentCode - First two MRZ characters, fillers removed
+ * @returns IDDocument['type'] - Passport for P codes, national ID for I, A and C codes
+ */
+export function mrzDocumentType(documentCode: string): IDDocument['type'] {
+  switch (documentCode[0]) {
+    case 'P':
+      return 'passport';
+    case 'I':
+    case 'A':
+    case 'C':
+      return 'national_id';
+    default:
+      throw new Error(`Unsupported MRZ document code: ${documentCode}`);
+  }
+}
+
+/**
+ * Convert an MRZ date to YYYY-MM-DD
+ * Birth dates are placed in the last hundred years; expiry dates up to fifty
+ * years ahead.
+ * @param value - Date as YYMMDD
+ * @param kind - Whether the date is a birth or an expiry date
+ * @param now - Reference date for choosing the century
+ * @returns string - ISO date, or '' if the value is not a valid date
+ */
+export function parseMrzDate(
+  value: string,
+  kind: 'birth' | 'expiry',
+  now: Date = new Date()
+): string {
+  if (!/^\d{6}$/.test(value)) {
+    return '';
+  }
+
+  const yy = Number(value.slice(0, 2));
+  const currentYear = now.getUTCFullYear();
+  let year = 2000 + yy;
+  if (kind === 'birth' ? year > currentYear : year > currentYear + 50) {
+    year -= 100;
+  }
+
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return '';
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a TD1, TD2 or TD3 machine readable zone
+ * Digits misread as letters in numeric fields (and the reverse in names) are
+ * corrected before check digits are verified; corrected fields get a lower
+ * confidence. Check failures are reported rather than thrown.
+ * @param text - Text recognized on the document; only the MRZ lines are used
+ * @param now - Reference date for choosing date centuries
+ * @returns MrzParseResult - Document data, per-field confidence and check results
+ */
+export function parseMrz(text: string, now: Date = new Date()): MrzParseResult {
+  const found = findMrz(text);
+  if (!found) {
+    throw new Error('No machine readable zone found');
+  }
+
+  const {format} = found;
+  const layout = MRZ_LAYOUTS[format];
+  const lines = correctNumericFields(found.lines, layout);
+  const read = (field: Span) => lines[field.line].slice(field.start, field.end);
+  const corrected = (field: Span) =>
+    read(field) !== found.lines[field.line].slice(field.start, field.end);
+
+  const documentCode = stripFillers(read(layout.documentCode));
+  const documentType = mrzDocumentType(documentCode);
+
+  const checks: MrzCheck[] = [];
+  const check = (field: MrzCheckField, data: string, digit: string) => {
+    const expected = mrzCheckDigit(data);
+    // An empty optional field may use a filler instead of the digit 0
+    const valid = digit === expected || (digit === '<' && /^<*$/.test(data));
+    checks.push({field, valid, expected, actual: digit});
+    return valid;
+  };
+
+  // TD1 and TD2 numbers longer than nine characters continue in the optional
+  // data, followed by their check digit, with a filler in the usual check position
+  let documentNumber = read(layout.documentNumber);
+  let documentNumberCheck = read(layout.documentNumberCheck);
+  let optionalData = layout.optionalData.map(read);
+  if (documentNumberCheck === '<' && format !== 'TD3') {
+    const overflow = /^([A-Z0-9]*)([0-9])</.exec(optionalData[0] + '<');
+    if (overflow) {
+      documentNumber += overflow[1];
+      documentNumberCheck = overflow[2];
+      optionalData[0] = optionalData[0].slice(overflow[0].length);
+    }
+  }
+
+  const numberValid = check('documentNumber', documentNumber, documentNumberCheck);
+  const birthValid = check('dateOfBirth', read(layout.dateOfBirth), read(layout.dateOfBirthCheck));
+  const expiryValid = check('expiryDate', read(layout.expiryDate), read(layout.expiryDateCheck));
+  if (layout.personalNumberCheck) {
+    check('personalNumber', read(layout.optionalData[0]), read(layout.personalNumberCheck));
+  }
+  check('composite', layout.compositeSource.map(read).join(''), read(layout.compositeCheck));
+
+  const dateOfBirth = parseMrzDate(read(layout.dateOfBirth), 'birth', now);
+  const expiryDate = parseMrzDate(read(layout.expiryDate), 'expiry', now);
+  const [lastName, firstName, namesCorrected] = parseName(read(layout.name));
+  const nationality = normalizeState(read(layout.nationality));
+
+  const checkedConfidence = (valid: boolean, ...fields: Span[]) =>
+    !valid
+      ? CONFIDENCE_FAILED
+      : fields.some(corrected)
+      ? CONFIDENCE_CORRECTED
+      : CONFIDENCE_CHECKED;
+
+  const fieldConfidence = {
+    firstName: namesCorrected ? CONFIDENCE_CORRECTED : CONFIDENCE_UNCHECKED,
+    lastName: namesCorrected ? CONFIDENCE_CORRECTED : CONFIDENCE_UNCHECKED,
+    documentNumber: checkedConfidence(numberValid, layout.documentNumberCheck),
+    dateOfBirth: dateOfBirth
+      ? checkedConfidence(birthValid, layout.dateOfBirth, layout.dateOfBirthCheck)
+      : 0,
+    expiryDate: expiryDate
+      ? checkedConfidence(expiryValid, layout.expiryDate, layout.expiryDateCheck)
+      : 0,
+    nationality: /^[A-Z]{3}$/.test(nationality) ? CONFIDENCE_UNCHECKED : CONFIDENCE_FAILED,
+  };
+  const confidences = Object.values(fieldConfidence);
+
+  const sex = read(layout.sex);
+  return {
+    format,
+    documentCode,
+    documentType,
+    issuingState: normalizeState(read(layout.issuingState)),
+    sex: sex === 'M' || sex === 'F' ? sex : 'X',
+    optionalData: stripFillers(optionalData.join('<')),
+    extractedData: {
+      firstName,
+      lastName,
+      dateOfBirth,
+      documentNumber: stripFillers(documentNumber),
+      expiryDate,
+      nationality,
+    },
+    fieldConfidence,
+    checks,
+    valid: checks.every(result => result.valid) && dateOfBirth !== '' && expiryDate !== '',
+    confidence: confidences.reduce((sum, value) => sum + value, 0) / confidences.length,
+  };
+}
+
+/**
+ * Replace letters OCR read in place of digits in the date and check digit fields
+ * @param lines - MRZ lines as read
+ * @param layout - Layout of the zone
+ * @returns string[] - Lines with numeric fields corrected
+ */
+function correctNumericFields(lines: string[], layout: MrzLayout): string[] {
+  const numeric = [
+    layout.dateOfBirth,
+    layout.dateOfBirthCheck,
+    layout.expiryDate,
+    layout.expiryDateCheck,
+    layout.documentNumberCheck,
+    layout.compositeCheck,
+    ...(layout.personalNumberCheck ? [layout.personalNumberCheck] : []),
+  ];
+
+  const chars = lines.map(line => line.split(''));
+  for (const field of numeric) {
+    for (let i = field.start; i < field.end; i++) {
+      const char = chars[field.line][i];
+      chars[field.line][i] = DIGIT_FOR_LETTER[char] ?? char;
+    }
+  }
+  return chars.map(line => line.join(''));
+}
+
+/**
+ * Split the MRZ name field into surname and given names
+ * @param field - Name field, primary and secondary identifiers separated by '<<'
+ * @returns [string, string, boolean] - Surname, given names, and whether digits were corrected
+ */
+function parseName(field: string): [string, string, boolean] {
+  const letters = field.replace(/[0-9]/g, digit => LETTER_FOR_DIGIT[digit] ?? '<');
+  const separator = letters.indexOf('<<');
+  const primary = separator >= 0 ? letters.slice(0, separator) : letters;
+  const secondary = separator >= 0 ? letters.slice(separator + 2) : '';
+
+  return [fillersToSpaces(primary), fillersToSpaces(secondary), letters !== field];
+}
+
+function fillersToSpaces(value: string): string {
+  return value.replace(/</g, ' ').trim().replace(/\s+/g, ' ');
+}
+
+function stripFillers(value: string): string {
+  return value.replace(/<+$/, '').replace(/^<+/, '');
+}
+
+function normalizeState(value: string): string {
+  const code = value.replace(/</g, '');
+  return STATE_ALIASES[code] ?? code;
+}
@@ -0,0 +1,108 @@
+import {DeploymentRegistry, NetworkConfig} from '@types/index';
+import bundledDeployments from '@/contracts/deployment.json';
+
+export const LOCALHOST_CHAIN_ID = 1337; // hardhat.config.js
+export const SEPOLIA_CHAIN_ID = 11155111;
+export const BASE_SEPOLIA_CHAIN_ID = 84532;
+
+/**
+ * Chain the app uses until the user picks another one
+ */
+export const DEFAULT_CHAIN_ID = SEPOLIA_CHAIN_ID;
+
+// Settings for the chains the app knows; deployment.json adds the contract
+// addresses, relayers and issuers and may override the rest
+const KNOWN_NETWORKS: Array<
+  Omit<NetworkConfig, 'contractAddress' | 'relayerUrl' | 'issuerUrl'>
+> = [
+  {
+    chainId: LOCALHOST_CHAIN_ID,
+    name: 'Localhost',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    confirmations: 1,
+  },
+  {
+    chainId: SEPOLIA_CHAIN_ID,
+    name: 'Sepolia',
+    rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    confirmations: 2,
+  },
+  {
+    chainId: BASE_SEPOLIA_CHAIN_ID,
+    name: 'Base Sepolia',
+    rpcUrl: 'https://sepolia.base.org',
+    explorerUrl: 'https://sepolia.basescan.org',
+    confirmations: 5,
+  },
+];
+
+/**
+ * Build the network registry from deployment records
+ * Known chains are always listed; other chains are listed only if their
+ * deployment names an RPC URL.
+ * @param deployments - Deployments keyed by chain ID, as written by contracts/deploy.js
+ * @returns NetworkConfig[] - Networks ordered by chain ID
+ */
+export function buildNetworkRegistry(deployments: DeploymentRegistry): NetworkConfig[] {
+  const networks = new Map<number, NetworkConfig>(
+    KNOWN_NETWORKS.map(network => [
+      network.chainId,
+      {...network, contractAddress: null, relayerUrl: null, issuerUrl: null},
+    ])
+  );
+
+  for (const [key, deployment] of Object.entries(deployments)) {
+    const chainId = Number(key);
+    const known = networks.get(chainId);
+    if (!known && !deployment.rpcUrl) {
+      continue;
+    }
+
+    networks.set(chainId, {
+      chainId,
+      name: known?.name ?? deployment.network.name,
+      rpcUrl: deployment.rpcUrl ?? known!.rpcUrl,
+      explorerUrl: deployment.explorerUrl ?? known?.explorerUrl ?? null,
+      confirmations: deployment.confirmations ?? known?.confirmations ?? 1,
+      contractAddress: deployment.contracts.IdentityVerification?.address ?? null,
+      relayerUrl: deployment.relayerUrl ?? null,
+      issuerUrl: deployment.issuerUrl ?? null,
+    });
+  }
+
+  return [...networks.values()].sort((a, b) => a.chainId - b.chainId);
+}
+
+/**
+ * Get the networks the app was built with
+ * @returns NetworkConfig[] - Networks from src/contracts/deployment.json
+ */
+export function getNetworks(): NetworkConfig[] {
+  return buildNetworkRegistry(bundledDeployments as DeploymentRegistry);
+}
+
+/**
+ * Look up a network by chain ID
+ * @param chainId - Chain ID
+ * @param networks - Registry to search (defaults to the bundled one)
+ * @returns NetworkConfig - Network settings
+ */
+export function getNetwork(chainId: number, networks: NetworkConfig[] = getNetworks()): NetworkConfig {
+  const network = networks.find(candidate => candidate.chainId === chainId);
+  if (!network) {
+    throw new Error(`Unsupported network: chain ${chainId}`);
+  }
+  return network;
+}
+
+/**
+ * Link to a transaction in the network's block explorer
+ * @param network - Network the transaction was sent on
+ * @param txHash - Transaction hash
+ * @returns string | null - Explorer URL, or null if the network has no explorer
+ */
+export function getTransactionUrl(network: NetworkConfig, txHash: string): string | null {
+  return network.explorerUrl ? `${network.explorerUrl.replace(/\/$/, '')}/tx/${txHash}` : null;
+}
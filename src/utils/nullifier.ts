@@ -0,0 +1,39 @@
+import {ethers} from 'ethers';
+import {poseidon7} from 'poseidon-lite';
+import {IDDocument} from '@types/index';
+import {encodeDocumentFields, toFieldElement} from '@utils/commitment';
+
+/**
+ * Scope the app verifies under unless a relying party asks for another one
+ */
+export const DEFAULT_SCOPE = 'zk-identity-verification';
+
+// The address field is left out of the nullifier: it is not part of the
+// document's identity and OCR reads it least reliably.
+const NULLIFIER_FIELD_COUNT = 6;
+
+/**
+ * Get the field element for a named scope
+ * Matches IdentityVerification.scopeId: keccak256 of the name reduced modulo r.
+ * @param name - Scope name
+ * @returns string - Scope as a decimal field element
+ */
+export function getScopeId(name: string): string {
+  if (!name) {
+    throw new Error('Scope name required');
+  }
+  return toFieldElement(ethers.id(name));
+}
+
+/**
+ * Compute a document's nullifier within a scope
+ * Unlike the document commitment this is unsalted, so the same document
+ * always maps to the same nullifier in a given scope.
+ * @param data - Document fields
+ * @param scope - Scope as a decimal field element (see getScopeId)
+ * @returns string - Nullifier as a decimal field element
+ */
+export function computeNullifier(data: IDDocument['extractedData'], scope: string): string {
+  const fields = encodeDocumentFields(data).slice(0, NULLIFIER_FIELD_COUNT);
+  return poseidon7([...fields, BigInt(scope)]).toString();
+}
@@ -0,0 +1,236 @@
+import {
+  IDDocument,
+  Predicate,
+  PredicateProof,
+  PredicateType,
+  DocumentWitness,
+} from '@types/index';
+import {encodeCountryCode, encodeDate, encodeDocumentFields} from '@utils/commitment';
+
+/**
+ * Number of country slots in the nationality_in circuit
+ */
+export const NATIONALITY_SET_SIZE = 32;
+
+/**
+ * EU member states as ISO 3166-1 alpha-3 codes (the format used in passport MRZs)
+ */
+export const EU_COUNTRIES = [
+  'AUT', 'BEL', 'BGR', 'HRV', 'CYP', 'CZE', 'DNK', 'EST', 'FIN',
+  'FRA', 'DEU', 'GRC', 'HUN', 'IRL', 'ITA', 'LVA', 'LTU', 'LUX',
+  'MLT', 'NLD', 'POL', 'PRT', 'ROU', 'SVK', 'SVN', 'ESP', 'SWE',
+];
+
+/**
+ * Registry of predicate circuits. Every circuit's public signals start with
+ * id_commitment and reference_date; the remaining signals are the predicate's
+ * fixed parameters.
+ */
+export const PREDICATE_CIRCUITS: Record<
+  PredicateType,
+  {name: string; description: string; publicSignals: string[]; constraints: number}
+> = {
+  age_over: {
+    name: 'predicate_age_over',
+    description: 'Holder is at least min_age years old on reference_date',
+    publicSignals: ['id_commitment', 'reference_date', 'min_age'],
+    constraints: 1210,
+  },
+  nationality_in: {
+    name: 'predicate_nationality_in',
+    description: `Nationality is one of up to ${NATIONALITY_SET_SIZE} allowed country codes`,
+    publicSignals: ['id_commitment', 'reference_date', `allowed[${NATIONALITY_SET_SIZE}]`],
+    constraints: 1205,
+  },
+  not_expired: {
+    name: 'predicate_not_expired',
+    description: 'Document expires after reference_date',
+    publicSignals: ['id_commitment', 'reference_date'],
+    constraints: 1207,
+  },
+};
+
+/**
+ * Get today's date in UTC
+ * @param now - Current time
+ * @returns string - Date as YYYY-MM-DD
+ */
+export function todayAsDate(now: Date = new Date()): string {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Fill in defaults so a predicate fully describes the statement being proven
+ * @param predicate - Predicate as requested
+ * @param now - Current time, used for the default reference date
+ * @returns Predicate - Predicate with referenceDate set and countries normalized
+ */
+export function resolvePredicate(predicate: Predicate, now: Date = new Date()): Predicate {
+  const referenceDate = predicate.referenceDate || todayAsDate(now);
+
+  if (predicate.type === 'nationality_in') {
+    return {...predicate, countries: normalizeCountries(predicate.countries), referenceDate};
+  }
+
+  return {...predicate, referenceDate};
+}
+
+/**
+ * Get the identifier a predicate is registered under on-chain
+ * The reference date is not part of the identifier.
+ * @param predicate - Predicate to identify
+ * @returns string - e.g. "age_over:18", "not_expired", "nationality_in:DEU,FRA"
+ */
+export function getPredicateId(predicate: Predicate): string {
+  switch (predicate.type) {
+    case 'age_over':
+      return `age_over:${predicate.minAge}`;
+    case 'nationality_in':
+      return `nationality_in:${normalizeCountries(predicate.countries).join(',')}`;
+    case 'not_expired':
+      return 'not_expired';
+  }
+}
+
+/**
+ * Get the fixed parameters of a predicate, as they appear in its public signals
+ * @param predicate - Predicate
+ * @returns string[] - Parameters as decimal field elements
+ */
+export function getPredicateParams(predicate: Predicate): string[] {
+  switch (predicate.type) {
+    case 'age_over':
+      if (!Number.isInteger(predicate.minAge) || predicate.minAge < 0 || predicate.minAge > 150) {
+        throw new Error(`Invalid minimum age: ${predicate.minAge}`);
+      }
+      return [predicate.minAge.toString()];
+    case 'nationality_in': {
+      const allowed = normalizeCountries(predicate.countries).map(code =>
+        encodeCountryCode(code).toString()
+      );
+      while (allowed.length < NATIONALITY_SET_SIZE) {
+        allowed.push('0');
+      }
+      return allowed;
+    }
+    case 'not_expired':
+      return [];
+  }
+}
+
+/**
+ * Build the public signals a proof of this predicate must carry
+ * @param predicate - Resolved predicate (see resolvePredicate)
+ * @param commitment - Document commitment
+ * @returns string[] - Expected public signals
+ */
+export function getPredicatePublicSignals(predicate: Predicate, commitment: string): string[] {
+  return [
+    commitment,
+    encodeDate(predicate.referenceDate).toString(),
+    ...getPredicateParams(predicate),
+  ];
+}
+
+/**
+ * Check that a predicate proof's public signals encode exactly the statement
+ * described by proof.predicate, and that predicateId names that statement
+ * The commitment is taken from the proof itself.
+ * @param proof - Predicate proof
+ * @returns boolean - Whether the proof states what it claims to
+ */
+export function matchesPredicateStatement(
+  proof: Pick<PredicateProof, 'predicate' | 'predicateId' | 'publicInputs'>
+): boolean {
+  try {
+    const expectedSignals = getPredicatePublicSignals(proof.predicate, proof.publicInputs[0]);
+    return (
+      proof.predicateId === getPredicateId(proof.predicate) &&
+      expectedSignals.length === proof.publicInputs.length &&
+      expectedSignals.every((signal, index) => signal === proof.publicInputs[index])
+    );
+  } catch (error) {
+    // Invalid parameters, e.g. an out of range minimum age
+    return false;
+  }
+}
+
+/**
+ * Build the full circuit input (public and private) for a predicate proof
+ * @param predicate - Resolved predicate (see resolvePredicate)
+ * @param commitment - Document commitment
+ * @param witness - Opening of the commitment
+ * @returns Object with circuit inputs keyed by signal name
+ */
+export function buildPredicateInputs(
+  predicate: Predicate,
+  commitment: string,
+  witness: DocumentWitness
+): Record<string, string | string[]> {
+  const [idCommitment, referenceDate, ...params] = getPredicatePublicSignals(
+    predicate,
+    commitment
+  );
+
+  const inputs: Record<string, string | string[]> = {
+    id_commitment: idCommitment,
+    reference_date: referenceDate,
+    fields: encodeDocumentFields(witness.extractedData).map(field => field.toString()),
+    portrait: witness.portrait,
+    salt: witness.salt,
+  };
+
+  if (predicate.type === 'age_over') {
+    inputs.min_age = params[0];
+  } else if (predicate.type === 'nationality_in') {
+    inputs.allowed = params;
+  }
+
+  return inputs;
+}
+
+/**
+ * Evaluate a predicate in the clear, mirroring the circuit's constraints
+ * Used to fail fast before spending time on witness generation.
+ * @param predicate - Resolved predicate (see resolvePredicate)
+ * @param data - Extracted document data
+ * @returns boolean - Whether the document satisfies the predicate
+ */
+export function evaluatePredicate(
+  predicate: Predicate,
+  data: IDDocument['extractedData']
+): boolean {
+  const referenceDate = encodeDate(predicate.referenceDate);
+
+  switch (predicate.type) {
+    case 'age_over': {
+      const birthDate = encodeDate(data.dateOfBirth);
+      return (
+        birthDate !== BigInt(0) &&
+        birthDate + BigInt(predicate.minAge) * BigInt(10000) <= referenceDate
+      );
+    }
+    case 'nationality_in':
+      return (
+        !!data.nationality &&
+        normalizeCountries(predicate.countries).includes(data.nationality.trim().toUpperCase())
+      );
+    case 'not_expired':
+      return encodeDate(data.expiryDate) > referenceDate;
+  }
+}
+
+/**
+ * Upper-case, de-duplicate and sort a country set so that equal sets always
+ * produce the same predicate ID and public signals
+ * @param countries - Country codes
+ * @returns string[] - Normalized country codes
+ */
+function normalizeCountries(countries: string[]): string[] {
+  const normalized = Array.from(new Set(countries.map(code => code.trim().toUpperCase()))).sort();
+
+  if (normalized.length === 0 || normalized.length > NATIONALITY_SET_SIZE) {
+    throw new Error(`Nationality set must contain 1 to ${NATIONALITY_SET_SIZE} countries`);
+  }
+  return normalized;
+}
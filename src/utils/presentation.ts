@@ -0,0 +1,200 @@
+import {ethers} from 'ethers';
+import {
+  Presentation,
+  PresentationRequest,
+  PresentedPredicate,
+  PresentedProof,
+} from '@types/index';
+import {encodeProofCalldata} from '@utils/groth16';
+import {getPredicateId, getPredicateParams} from '@utils/predicates';
+
+/**
+ * Version of the presentation protocol implemented here
+ */
+export const PRESENTATION_VERSION = 1;
+
+/**
+ * Scheme and path of the URI a presentation request QR code carries
+ */
+export const PRESENTATION_REQUEST_URI = 'zkid://present';
+
+/**
+ * How long a presentation request stays answerable by default, in seconds
+ */
+export const DEFAULT_REQUEST_TTL = 5 * 60;
+
+// Identity proof public signals: face_hash, id_hash, timestamp, expiry_date,
+// scope, nullifier, account, min_similarity
+export const ID_HASH_SIGNAL = 1;
+export const NULLIFIER_SIGNAL = 5;
+export const ACCOUNT_SIGNAL = 6;
+
+/**
+ * Create a fresh single-use nonce for a presentation request
+ * @returns string - 32 random bytes as 0x-prefixed hex
+ */
+export function createNonce(): string {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+/**
+ * Encode a presentation request as the URI shown in a QR code
+ * @param request - Request to encode
+ * @returns string - zkid://present?r=<base64url JSON>
+ */
+export function encodePresentationRequest(request: PresentationRequest): string {
+  const encoded = ethers
+    .encodeBase64(ethers.toUtf8Bytes(JSON.stringify(request)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+  return `${PRESENTATION_REQUEST_URI}?r=${encoded}`;
+}
+
+/**
+ * Decode and validate a presentation request read from a QR code
+ * @param uri - Scanned URI
+ * @param now - Current time, used to reject expired requests
+ * @returns PresentationRequest - Validated request
+ */
+export function parsePresentationRequest(
+  uri: string,
+  now: Date = new Date()
+): PresentationRequest {
+  const match = uri.trim().match(/^zkid:\/\/present\?r=([A-Za-z0-9_-]+)$/);
+  if (!match) {
+    throw new Error('Not a presentation request');
+  }
+
+  let request: PresentationRequest;
+  try {
+    const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    request = JSON.parse(ethers.toUtf8String(ethers.decodeBase64(padded)));
+  } catch (error) {
+    throw new Error('Malformed presentation request');
+  }
+
+  validatePresentationRequest(request, now);
+  return request;
+}
+
+/**
+ * Check that a presentation request is well formed and still answerable
+ * @param request - Request to check
+ * @param now - Current time
+ */
+export function validatePresentationRequest(
+  request: PresentationRequest,
+  now: Date = new Date()
+): void {
+  if (!request || typeof request !== 'object') {
+    throw new Error('Malformed presentation request');
+  }
+  if (request.version !== PRESENTATION_VERSION) {
+    throw new Error(`Unsupported presentation request version: ${request.version}`);
+  }
+  if (typeof request.verifier !== 'string' || request.verifier.trim() === '') {
+    throw new Error('Presentation request does not name the verifier');
+  }
+  if (typeof request.nonce !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(request.nonce)) {
+    throw new Error('Presentation request nonce must be 32 bytes of hex');
+  }
+  if (typeof request.callback !== 'string' || !/^https:\/\/[^\s/?#]+/.test(request.callback)) {
+    throw new Error('Presentation request callback must be an https URL');
+  }
+  if (!Number.isInteger(request.chainId) || request.chainId <= 0) {
+    throw new Error(`Invalid chain ID: ${request.chainId}`);
+  }
+  if (typeof request.contract !== 'string' || !ethers.isAddress(request.contract)) {
+    throw new Error(`Invalid contract address: ${request.contract}`);
+  }
+  if (request.predicate) {
+    // Both throw on parameters the circuits cannot express
+    getPredicateId(request.predicate);
+    getPredicateParams(request.predicate);
+  }
+  if (!Number.isInteger(request.expiresAt) || request.expiresAt <= now.getTime() / 1000) {
+    throw new Error('Presentation request has expired');
+  }
+}
+
+/**
+ * Compute the hash IdentityVerification records an identity proof under:
+ * `keccak256(abi.encodePacked(proof, publicInputs, holder))`
+ * @param identity - Identity proof
+ * @param holder - Account that submitted the proof
+ * @returns string - Proof hash as 0x-prefixed hex
+ */
+export function computeProofHash(identity: PresentedProof, holder: string): string {
+  const calldata = encodeProofCalldata(identity);
+  return ethers.solidityPackedKeccak256(
+    ['bytes', 'uint256[]', 'address'],
+    [calldata.proof, calldata.publicInputs, holder]
+  );
+}
+
+/**
+ * Check that an identity proof is bound to an account
+ * @param identity - Identity proof
+ * @param holder - Account claiming it
+ * @returns boolean - Whether the proof's account signal is holder
+ */
+export function isBoundToHolder(identity: PresentedProof, holder: string): boolean {
+  try {
+    return BigInt(identity.publicSignals[ACCOUNT_SIGNAL] ?? -1) === BigInt(holder);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check an EIP-191 signature
+ * @param message - Signed message
+ * @param signature - Signature to check
+ * @param signer - Expected signer
+ * @returns boolean - Whether signer produced the signature
+ */
+export function isSignedBy(message: string, signature: string, signer: string): boolean {
+  try {
+    return ethers.verifyMessage(message, signature) === ethers.getAddress(signer);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Hash a presented predicate proof together with the statement it claims
+ * @param predicate - Presented predicate proof
+ * @returns string - Digest as 0x-prefixed hex
+ */
+export function hashPredicateProof(predicate: PresentedPredicate): string {
+  const calldata = encodeProofCalldata(predicate);
+  return ethers.solidityPackedKeccak256(
+    ['string', 'bytes', 'uint256[]'],
+    [predicate.predicateId, calldata.proof, calldata.publicInputs]
+  );
+}
+
+/**
+ * Build the text a holder signs to answer a presentation request
+ * Every field of the presentation is covered: the proofs through their
+ * hashes, the rest verbatim.
+ * @param presentation - Presentation without its signature
+ * @returns string - Message for EIP-191 personal_sign
+ */
+export function getPresentationMessage(presentation: Omit<Presentation, 'signature'>): string {
+  return [
+    'ZK Identity presentation',
+    `Version: ${presentation.version}`,
+    `Audience: ${presentation.audience}`,
+    `Nonce: ${presentation.nonce}`,
+    `Chain ID: ${presentation.chainId}`,
+    `Contract: ${ethers.getAddress(presentation.contract)}`,
+    `Holder: ${ethers.getAddress(presentation.holder)}`,
+    `Identity proof: ${computeProofHash(presentation.identity, presentation.holder)}`,
+    `Predicate proof: ${presentation.predicate ? hashPredicateProof(presentation.predicate) : 'none'}`,
+    `Created: ${presentation.createdAt}`,
+  ].join('\n');
+}
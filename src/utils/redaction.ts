@@ -0,0 +1,94 @@
+import {
+  DocumentField,
+  FaceData,
+  FaceMatch,
+  IDDocument,
+  RedactedFaceData,
+  RedactedFaceMatch,
+  RedactedIDDocument,
+} from '@types/index';
+
+/**
+ * Stands in for hidden characters. Always the same length, so a masked value
+ * does not give away how long the original is.
+ */
+export const MASK = '••••';
+
+// How each document field is shown on screen
+const FIELD_REDACTIONS: Record<DocumentField, (value: string) => string> = {
+  firstName: value => keepStart(value, 1),
+  lastName: value => keepStart(value, 1),
+  dateOfBirth: value => keepStart(value, 4), // Year only
+  documentNumber: value => keepEnd(value, 3),
+  expiryDate: value => value, // Needed to spot an expired document
+  nationality: value => value, // A country code, shared by millions
+  address: () => MASK,
+};
+
+/**
+ * Reduce a selfie to what a screen needs to show
+ * @param face - Detected face
+ * @param captureId - Privacy vault entry holding the face
+ * @returns RedactedFaceData - Confidence and liveness outcome, without the descriptor or photo
+ */
+export function redactFace(face: FaceData, captureId: string): RedactedFaceData {
+  return {
+    captureId,
+    confidence: face.confidence,
+    ...(face.liveness && {
+      liveness: {passed: face.liveness.passed, score: face.liveness.score},
+    }),
+  };
+}
+
+/**
+ * Reduce a document to what a screen needs to show
+ * @param document - Extracted document
+ * @param captureId - Privacy vault entry holding the document
+ * @returns RedactedIDDocument - Masked fields and check outcomes, without the
+ * photo, MRZ, barcode details or issuer
+ */
+export function redactDocument(document: IDDocument, captureId: string): RedactedIDDocument {
+  const extractedData: RedactedIDDocument['extractedData'] = {};
+  for (const [field, value] of Object.entries(document.extractedData)) {
+    if (value) {
+      extractedData[field as DocumentField] = FIELD_REDACTIONS[field as DocumentField](value);
+    }
+  }
+
+  return {
+    captureId,
+    type: document.type,
+    extractedData,
+    confidence: document.confidence,
+    ...(document.mrz && {
+      mrz: {
+        format: document.mrz.format,
+        valid: document.mrz.valid,
+        failedChecks: document.mrz.checks.filter(check => !check.valid).map(check => check.field),
+      },
+    }),
+    ...(document.barcode && {barcode: {version: document.barcode.version}}),
+    ...(document.zoneChecks && {
+      zoneChecks: document.zoneChecks.map(({field, agrees}) => ({field, agrees})),
+    }),
+    ...(document.issues && {issues: document.issues}),
+  };
+}
+
+/**
+ * Reduce a portrait match to its outcome
+ * @param match - Selfie compared with the document portrait
+ * @returns RedactedFaceMatch - Similarity and threshold, without the portrait
+ */
+export function redactFaceMatch(match: FaceMatch): RedactedFaceMatch {
+  return {similarity: match.similarity, threshold: match.threshold, matched: match.matched};
+}
+
+function keepStart(value: string, count: number): string {
+  return value.length > count ? value.slice(0, count) + MASK : MASK;
+}
+
+function keepEnd(value: string, count: number): string {
+  return value.length > count ? MASK + value.slice(-count) : MASK;
+}
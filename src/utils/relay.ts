@@ -0,0 +1,120 @@
+import {ethers} from 'ethers';
+import {RelayRequest} from '@types/index';
+import {isFieldElement} from '@utils/groth16';
+
+// EIP-712 domain of IdentityVerification (see domainSeparator())
+export const RELAY_DOMAIN_NAME = 'IdentityVerification';
+export const RELAY_DOMAIN_VERSION = '1';
+
+/**
+ * How long a signed submission stays relayable by default, in seconds
+ */
+export const DEFAULT_RELAY_TTL = 15 * 60;
+
+const RELAY_FIELDS = [
+  {name: 'user', type: 'address'},
+  {name: 'proof', type: 'bytes'},
+  {name: 'publicInputs', type: 'uint256[]'},
+  {name: 'nonce', type: 'uint256'},
+  {name: 'deadline', type: 'uint256'},
+];
+
+// Struct each relayable action is signed as
+const PRIMARY_TYPES: Record<RelayRequest['action'], string> = {
+  submitProof: 'SubmitProof',
+  transferVerification: 'TransferVerification',
+};
+
+/**
+ * Build the EIP-712 typed data a user signs to have a submission relayed
+ * @param request - Submission without its signature
+ * @param chainId - Chain the contract is deployed on
+ * @param contract - IdentityVerification address
+ * @returns Domain, types and value for signTypedData / verifyTypedData
+ */
+export function getRelayTypedData(
+  request: Omit<RelayRequest, 'signature'>,
+  chainId: number,
+  contract: string
+): {
+  domain: ethers.TypedDataDomain;
+  types: Record<string, ethers.TypedDataField[]>;
+  value: Record<string, unknown>;
+} {
+  return {
+    domain: {
+      name: RELAY_DOMAIN_NAME,
+      version: RELAY_DOMAIN_VERSION,
+      chainId,
+      verifyingContract: ethers.getAddress(contract),
+    },
+    types: {[PRIMARY_TYPES[request.action]]: RELAY_FIELDS},
+    value: {
+      user: request.user,
+      proof: request.proof,
+      publicInputs: request.publicInputs,
+      nonce: request.nonce,
+      deadline: request.deadline,
+    },
+  };
+}
+
+/**
+ * Recover the account that signed a relayed submission
+ * @param request - Signed submission
+ * @param chainId - Chain the contract is deployed on
+ * @param contract - IdentityVerification address
+ * @returns string | null - Checksummed signer, or null if the signature is malformed
+ */
+export function recoverRelaySigner(
+  request: RelayRequest,
+  chainId: number,
+  contract: string
+): string | null {
+  try {
+    const {domain, types, value} = getRelayTypedData(request, chainId, contract);
+    return ethers.verifyTypedData(domain, types, value, request.signature);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a relay request posted to a relayer is well formed
+ * @param body - Parsed JSON body
+ * @returns RelayRequest - Validated request
+ */
+export function parseRelayRequest(body: unknown): RelayRequest {
+  const request = body as RelayRequest;
+  if (
+    !request ||
+    typeof request !== 'object' ||
+    !Object.keys(PRIMARY_TYPES).includes(request.action) ||
+    typeof request.user !== 'string' ||
+    !ethers.isAddress(request.user) ||
+    typeof request.proof !== 'string' ||
+    !ethers.isHexString(request.proof) ||
+    !Array.isArray(request.publicInputs) ||
+    !request.publicInputs.every(input => typeof input === 'string' && isFieldElement(input)) ||
+    typeof request.attestation !== 'string' ||
+    !ethers.isHexString(request.attestation, 65) ||
+    typeof request.nonce !== 'string' ||
+    !/^\d+$/.test(request.nonce) ||
+    !Number.isInteger(request.deadline) ||
+    typeof request.signature !== 'string' ||
+    !ethers.isHexString(request.signature, 65)
+  ) {
+    throw new Error('Malformed relay request');
+  }
+
+  return {
+    action: request.action,
+    user: ethers.getAddress(request.user),
+    proof: request.proof,
+    publicInputs: request.publicInputs,
+    attestation: request.attestation,
+    nonce: request.nonce,
+    deadline: request.deadline,
+    signature: request.signature,
+  };
+}
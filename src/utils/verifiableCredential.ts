@@ -0,0 +1,441 @@
+import {ethers} from 'ethers';
+import {
+  JsonLdContext,
+  PresentedPredicate,
+  PresentedProof,
+  StoredCredential,
+  VcVerification,
+  VerifiableCredential,
+  VerifiablePresentation,
+  VpVerification,
+} from '@types/index';
+import {encodeProofCalldata} from '@utils/groth16';
+import {
+  ID_HASH_SIGNAL,
+  computeProofHash,
+  isBoundToHolder,
+  isSignedBy,
+} from '@utils/presentation';
+
+/**
+ * JSON-LD context of exported credentials and presentations
+ * Terms outside the VC 1.1 vocabulary resolve under urn:zkid:vocab# so that
+ * no context document has to be published or fetched.
+ */
+export const VC_CONTEXT: JsonLdContext = [
+  'https://www.w3.org/2018/credentials/v1',
+  {'@vocab': 'urn:zkid:vocab#'},
+];
+
+export const CREDENTIAL_TYPE = 'ZKIdentityCredential';
+export const CREDENTIAL_PROOF_TYPE = 'ZKIdentityGroth16Proof';
+export const PRESENTATION_PROOF_TYPE = 'ZKIdentityEip191Signature';
+
+// Checks that need circuit keys or the chain, supplied by the caller
+export interface CredentialChecks {
+  verifyIdentityProof(identity: PresentedProof): Promise<boolean>;
+  verifyPredicateProof(predicate: PresentedPredicate): Promise<boolean>;
+  isProofActive(proofHash: string): Promise<boolean>;
+  isHolderVerified(holder: string): Promise<boolean>;
+}
+
+/**
+ * Build the did:pkh identifier of an Ethereum account
+ * @param address - Account address
+ * @param chainId - Chain the account lives on
+ * @returns string - did:pkh:eip155:<chainId>:<checksummed address>
+ */
+export function toDidPkh(address: string, chainId: number): string {
+  return `did:pkh:eip155:${chainId}:${ethers.getAddress(address)}`;
+}
+
+/**
+ * Split a did:pkh identifier of an Ethereum account
+ * @param did - did:pkh:eip155 identifier
+ * @returns Object with the chain ID and checksummed address
+ */
+export function parseDidPkh(did: string): {chainId: number; address: string} {
+  const match = typeof did === 'string' && did.match(/^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/);
+  if (!match) {
+    throw new Error(`Not an Ethereum did:pkh: ${did}`);
+  }
+
+  return {chainId: Number(match[1]), address: ethers.getAddress(match[2])};
+}
+
+/**
+ * Serialize JSON with object keys sorted at every level, so that signer and
+ * verifier hash the same bytes whatever order the document was built in
+ * @param value - JSON-compatible value
+ * @returns string - Canonical JSON
+ */
+export function canonicalize(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, entry]) => entry !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const members = entries.map(([key, entry]) => `${JSON.stringify(key)}:${canonicalize(entry)}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Export a stored credential as a W3C Verifiable Credential
+ * The IdentityVerification contract is the issuer: the credential is only as
+ * good as the identity proof it recorded, which travels in the proof section
+ * with the transaction that recorded it. Predicates that were never proven
+ * (no proof stored) are left out.
+ * @param credential - Credential to export
+ * @param chainId - Chain the contract is deployed on
+ * @param contract - IdentityVerification address
+ * @returns VerifiableCredential - Credential with the wallet DID as subject
+ */
+export function credentialToVc(
+  credential: StoredCredential,
+  chainId: number,
+  contract: string
+): VerifiableCredential {
+  const issuer = toDidPkh(contract, chainId);
+  const issuanceDate = new Date(credential.createdAt).toISOString();
+  const proven = credential.predicates.filter(
+    (entry): entry is typeof entry & {proof: string} => !!entry.proof
+  );
+
+  return {
+    '@context': VC_CONTEXT,
+    id: `urn:zkid:${credential.id}`,
+    type: ['VerifiableCredential', CREDENTIAL_TYPE],
+    issuer,
+    issuanceDate,
+    expirationDate: new Date(credential.expiresAt * 1000).toISOString(),
+    credentialSubject: {
+      id: toDidPkh(credential.address, chainId),
+      identityVerified: true,
+      predicates: proven.map(({predicateId, predicate}) => ({predicateId, predicate})),
+    },
+    proof: {
+      type: CREDENTIAL_PROOF_TYPE,
+      created: issuanceDate,
+      proofPurpose: 'assertionMethod',
+      verificationMethod: `${issuer}#identity-verification`,
+      proofValue: encodeProofCalldata(credential.proof).proof,
+      publicSignals: credential.proof.publicSignals,
+      proofHash: credential.id,
+      transaction: {
+        hash: credential.transaction.hash,
+        blockNumber: credential.transaction.blockNumber,
+        chainId,
+      },
+      predicateProofs: proven.map(({proof, publicInputs}) => ({
+        proof: encodeProofCalldata({proof, publicSignals: publicInputs}).proof,
+        publicSignals: publicInputs,
+      })),
+    },
+  };
+}
+
+/**
+ * Wrap credentials in a presentation for their holder to sign
+ * The proofValue is left empty; sign getVpSigningMessage(presentation) and
+ * fill it in.
+ * @param credentials - Credentials whose subject is holder
+ * @param holder - Holder's did:pkh
+ * @param challenge - Verifier-chosen challenge the signature is bound to
+ * @param domain - Verifier the presentation is meant for
+ * @param now - Current time
+ * @returns VerifiablePresentation - Unsigned presentation
+ */
+export function createVp(
+  credentials: VerifiableCredential[],
+  holder: string,
+  challenge: string,
+  domain: string,
+  now: Date = new Date()
+): VerifiablePresentation {
+  return {
+    '@context': VC_CONTEXT,
+    type: ['VerifiablePresentation'],
+    holder,
+    verifiableCredential: credentials,
+    proof: {
+      type: PRESENTATION_PROOF_TYPE,
+      created: now.toISOString(),
+      proofPurpose: 'authentication',
+      verificationMethod: `${holder}#blockchainAccountId`,
+      challenge,
+      domain,
+      proofValue: '',
+    },
+  };
+}
+
+/**
+ * Build the text a holder signs for a presentation: the canonical JSON of
+ * the whole presentation except the signature itself
+ * @param presentation - Presentation, signed or not
+ * @returns string - Message for EIP-191 personal_sign
+ */
+export function getVpSigningMessage(presentation: VerifiablePresentation): string {
+  const {proofValue, ...proof} = presentation.proof;
+  return canonicalize({...presentation, proof});
+}
+
+/**
+ * Parse an imported credential or presentation
+ * Only checks the shape; use checkVc or checkVp to verify it.
+ * @param json - JSON document
+ * @returns VerifiableCredential | VerifiablePresentation - Parsed document
+ */
+export function parseVerifiableDocument(
+  json: string
+): VerifiableCredential | VerifiablePresentation {
+  let document: any;
+  try {
+    document = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Not a JSON document');
+  }
+
+  const types: unknown = document?.type;
+  if (!Array.isArray(types)) {
+    throw new Error('Not a verifiable credential or presentation');
+  }
+
+  if (types.includes('VerifiablePresentation')) {
+    if (
+      typeof document.holder !== 'string' ||
+      !Array.isArray(document.verifiableCredential) ||
+      document.verifiableCredential.length === 0 ||
+      document.proof?.type !== PRESENTATION_PROOF_TYPE
+    ) {
+      throw new Error('Unsupported verifiable presentation');
+    }
+    document.verifiableCredential.forEach(assertCredentialShape);
+    return document as VerifiablePresentation;
+  }
+
+  assertCredentialShape(document);
+  return document as VerifiableCredential;
+}
+
+/**
+ * Tell presentations from credentials
+ * @param document - Parsed document
+ * @returns boolean - Whether document is a presentation
+ */
+export function isVp(
+  document: VerifiableCredential | VerifiablePresentation
+): document is VerifiablePresentation {
+  return document.type.includes('VerifiablePresentation');
+}
+
+/**
+ * Verify an exported credential
+ * Checks the issuer, expiry, the identity proof and its binding to the
+ * subject, every predicate claim against its proof, and that the identity
+ * proof is still active on-chain.
+ * @param credential - Credential to verify
+ * @param checks - Proof and chain checks
+ * @param issuer - did:pkh of the trusted IdentityVerification contract
+ * @param now - Current time
+ * @returns Promise<VcVerification> - Outcome with every failed check
+ */
+export async function checkVc(
+  credential: VerifiableCredential,
+  checks: CredentialChecks,
+  issuer: string,
+  now: Date = new Date()
+): Promise<VcVerification> {
+  const errors: string[] = [];
+  const predicates: string[] = [];
+  let holder = '';
+  let proofHash = '';
+  const result = (): VcVerification => ({
+    valid: errors.length === 0,
+    holder,
+    proofHash,
+    predicates,
+    errors,
+  });
+
+  let identity: PresentedProof;
+  let subjectChain: number;
+  try {
+    assertCredentialShape(credential);
+    ({address: holder, chainId: subjectChain} = parseDidPkh(credential.credentialSubject.id));
+    identity = {proof: credential.proof.proofValue, publicSignals: credential.proof.publicSignals};
+    proofHash = computeProofHash(identity, holder);
+  } catch (error) {
+    errors.push('Malformed credential');
+    return result();
+  }
+
+  let issuerChain: number | null = null;
+  try {
+    issuerChain = parseDidPkh(issuer).chainId;
+  } catch (error) {
+    errors.push('Trusted issuer is not an Ethereum did:pkh');
+  }
+  const trusted = credential.issuer === issuer;
+  if (!trusted) {
+    errors.push('Credential was issued by an untrusted contract');
+  }
+  if (
+    issuerChain !== null &&
+    (subjectChain !== issuerChain || credential.proof.transaction.chainId !== subjectChain)
+  ) {
+    errors.push('Credential is for a different chain');
+  }
+  // An unparseable date compares false with everything, so would never expire
+  const expiry = Date.parse(credential.expirationDate);
+  if (Number.isNaN(expiry)) {
+    errors.push('Credential has an invalid expiration date');
+  } else if (expiry <= now.getTime()) {
+    errors.push('Credential has expired');
+  }
+
+  if (credential.proof.proofHash.toLowerCase() !== proofHash) {
+    errors.push('Proof hash does not match the identity proof');
+  }
+  if (!isBoundToHolder(identity, holder)) {
+    errors.push('Identity proof is bound to a different account');
+  }
+  if (!(await checks.verifyIdentityProof(identity))) {
+    errors.push('Identity proof is invalid');
+  }
+
+  const claims = credential.credentialSubject.predicates;
+  const proofs = credential.proof.predicateProofs;
+  if (claims.length !== proofs.length) {
+    errors.push('Every predicate claim needs exactly one proof');
+  } else {
+    for (let i = 0; i < claims.length; i++) {
+      const {predicateId} = claims[i];
+      if (proofs[i].publicSignals[0] !== identity.publicSignals[ID_HASH_SIGNAL]) {
+        errors.push(`Predicate ${predicateId} is proven for a different document`);
+      } else if (!(await checks.verifyPredicateProof({...claims[i], ...proofs[i]}))) {
+        errors.push(`Predicate ${predicateId} proof is invalid`);
+      } else {
+        predicates.push(predicateId);
+      }
+    }
+  }
+
+  // Another contract's records mean nothing to the trusted one
+  if (trusted) {
+    try {
+      const [recorded, active] = await Promise.all([
+        checks.isProofActive(proofHash),
+        checks.isHolderVerified(holder),
+      ]);
+      if (!recorded) {
+        errors.push('Identity proof is not active on-chain');
+      }
+      if (!active) {
+        errors.push('Holder is not verified on-chain');
+      }
+    } catch (error) {
+      errors.push('Could not read the verification contract');
+    }
+  }
+
+  return result();
+}
+
+/**
+ * Verify a presentation and every credential in it
+ * @param presentation - Presentation to verify
+ * @param checks - Proof and chain checks
+ * @param issuer - did:pkh of the trusted IdentityVerification contract
+ * @param expected - Challenge and domain the verifier asked for; either may be
+ *   omitted when verifying a presentation that was not requested
+ * @param now - Current time
+ * @returns Promise<VpVerification> - Outcome with every failed check
+ */
+export async function checkVp(
+  presentation: VerifiablePresentation,
+  checks: CredentialChecks,
+  issuer: string,
+  expected: {challenge?: string; domain?: string} = {},
+  now: Date = new Date()
+): Promise<VpVerification> {
+  const errors: string[] = [];
+  const credentials: VcVerification[] = [];
+  const result = (holder = ''): VpVerification => ({
+    valid: errors.length === 0,
+    holder,
+    credentials,
+    errors,
+  });
+
+  let holder: string;
+  let message: string;
+  try {
+    holder = parseDidPkh(presentation.holder).address;
+    message = getVpSigningMessage(presentation);
+  } catch (error) {
+    errors.push('Malformed presentation');
+    return result();
+  }
+
+  if (expected.challenge !== undefined && presentation.proof.challenge !== expected.challenge) {
+    errors.push('Presentation challenge does not match');
+  }
+  if (expected.domain !== undefined && presentation.proof.domain !== expected.domain) {
+    errors.push('Presentation is for a different verifier');
+  }
+  if (
+    presentation.proof.verificationMethod !== `${presentation.holder}#blockchainAccountId` ||
+    !isSignedBy(message, presentation.proof.proofValue, holder)
+  ) {
+    errors.push('Signature does not match the holder');
+  }
+
+  for (const [index, credential] of presentation.verifiableCredential.entries()) {
+    const verification = await checkVc(credential, checks, issuer, now);
+    if (credential.credentialSubject?.id !== presentation.holder) {
+      verification.errors.push('Credential subject is not the holder');
+      verification.valid = false;
+    }
+
+    credentials.push(verification);
+    errors.push(...verification.errors.map(error => `Credential ${index + 1}: ${error}`));
+  }
+
+  return result(holder);
+}
+
+/**
+ * Check that a document has the fields of an exported credential
+ * @param credential - Parsed document
+ */
+function assertCredentialShape(credential: any): void {
+  const subject = credential?.credentialSubject;
+  const proof = credential?.proof;
+
+  if (
+    !Array.isArray(credential?.type) ||
+    !credential.type.includes('VerifiableCredential') ||
+    !credential.type.includes(CREDENTIAL_TYPE) ||
+    proof?.type !== CREDENTIAL_PROOF_TYPE
+  ) {
+    throw new Error('Unsupported verifiable credential');
+  }
+  if (
+    typeof credential.issuer !== 'string' ||
+    typeof credential.expirationDate !== 'string' ||
+    typeof subject?.id !== 'string' ||
+    !Array.isArray(subject.predicates) ||
+    typeof proof.proofValue !== 'string' ||
+    !Array.isArray(proof.publicSignals) ||
+    typeof proof.proofHash !== 'string' ||
+    typeof proof.transaction !== 'object' ||
+    !Array.isArray(proof.predicateProofs)
+  ) {
+    throw new Error('Malformed verifiable credential');
+  }
+}
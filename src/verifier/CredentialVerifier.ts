@@ -0,0 +1,106 @@
+import {ethers} from 'ethers';
+import {
+  VcVerification,
+  VerifiableCredential,
+  VerifiablePresentation,
+  VerificationKey,
+  VpVerification,
+} from '@types/index';
+import {createNonce} from '@utils/presentation';
+import {CredentialChecks, checkVc, checkVp, toDidPkh} from '@utils/verifiableCredential';
+import {
+  PredicateVerificationKeys,
+  REGISTRY_ABI,
+  checkPredicateProof,
+  verifyPresentedProof,
+} from './checks';
+
+export interface CredentialVerifierConfig {
+  domain: string; // Name holders address their presentations to
+  chainId: number;
+  contract: string; // IdentityVerification address, the trusted issuer
+  runner: ethers.ContractRunner; // Provider for the on-chain checks
+  identityVerificationKey: VerificationKey;
+  predicateVerificationKeys?: PredicateVerificationKeys;
+}
+
+/**
+ * Verifies W3C Verifiable Credentials and Presentations exported by the app
+ * Credentials are trusted when their issuer is the configured contract and
+ * their proofs check out; presentations must additionally answer a challenge
+ * issued here, once.
+ */
+export class CredentialVerifier {
+  private config: CredentialVerifierConfig;
+  private issuer: string;
+  private checks: CredentialChecks;
+  private pendingChallenges = new Set<string>();
+
+  constructor(config: CredentialVerifierConfig) {
+    this.config = config;
+    this.issuer = toDidPkh(config.contract, config.chainId);
+
+    const registry = new ethers.Contract(config.contract, REGISTRY_ABI, config.runner);
+    this.checks = {
+      verifyIdentityProof: identity =>
+        verifyPresentedProof(identity, config.identityVerificationKey),
+      verifyPredicateProof: async predicate =>
+        (await checkPredicateProof(predicate, config.predicateVerificationKeys)).length === 0,
+      isProofActive: proofHash => registry.verifyProofHash(proofHash),
+      isHolderVerified: holder => registry.isVerified(holder),
+    };
+  }
+
+  /**
+   * Issue a single-use challenge for a holder to sign a presentation over
+   * @returns string - Challenge to send to the holder
+   */
+  createChallenge(): string {
+    const challenge = createNonce();
+    this.pendingChallenges.add(challenge);
+    return challenge;
+  }
+
+  /**
+   * Verify a standalone credential
+   * @param credential - Credential to verify
+   * @param now - Current time
+   * @returns Promise<VcVerification> - Outcome with every failed check
+   */
+  verifyCredential(
+    credential: VerifiableCredential,
+    now: Date = new Date()
+  ): Promise<VcVerification> {
+    return checkVc(credential, this.checks, this.issuer, now);
+  }
+
+  /**
+   * Verify a presentation answering one of this verifier's challenges
+   * The challenge is consumed whatever the outcome.
+   * @param presentation - Presentation signed by the holder
+   * @param now - Current time
+   * @returns Promise<VpVerification> - Outcome with every failed check
+   */
+  async verifyPresentation(
+    presentation: VerifiablePresentation,
+    now: Date = new Date()
+  ): Promise<VpVerification> {
+    const challenge = presentation?.proof?.challenge;
+    if (!this.pendingChallenges.delete(challenge)) {
+      return {
+        valid: false,
+        holder: '',
+        credentials: [],
+        errors: ['Unknown or already used challenge'],
+      };
+    }
+
+    return checkVp(
+      presentation,
+      this.checks,
+      this.issuer,
+      {challenge, domain: this.config.domain},
+      now
+    );
+  }
+}
@@ -0,0 +1,239 @@
+import {ethers} from 'ethers';
+import {
+  Predicate,
+  Presentation,
+  PresentationRequest,
+  PresentationVerification,
+  VerificationKey,
+} from '@types/index';
+import {getPredicateId, resolvePredicate, todayAsDate} from '@utils/predicates';
+import {
+  DEFAULT_REQUEST_TTL,
+  ID_HASH_SIGNAL,
+  PRESENTATION_VERSION,
+  computeProofHash,
+  createNonce,
+  encodePresentationRequest,
+  getPresentationMessage,
+  isBoundToHolder,
+  isSignedBy,
+} from '@utils/presentation';
+import {
+  PredicateVerificationKeys,
+  REGISTRY_ABI,
+  checkPredicateProof,
+  checkRegistry,
+  verifyPresentedProof,
+} from './checks';
+
+export interface PresentationVerifierConfig {
+  verifier: string; // Name shown to holders
+  callback: string; // https URL presentations are posted to
+  chainId: number;
+  contract: string; // IdentityVerification address
+  runner: ethers.ContractRunner; // Provider for the on-chain checks
+  identityVerificationKey: VerificationKey;
+  predicateVerificationKeys?: PredicateVerificationKeys;
+  requestTtl?: number; // Seconds a request stays answerable
+  maxPredicateAge?: number; // Days a predicate's reference date may lag behind today
+}
+
+/**
+ * Verifies presentations for a relying party
+ * Issues presentation requests, remembers their nonces until they are
+ * answered or expire, and checks each presentation off-chain (holder signature,
+ * Groth16 proofs, predicate statement) and on-chain (the identity proof is
+ * recorded and the holder's verification is active).
+ */
+export class PresentationVerifier {
+  private config: PresentationVerifierConfig;
+  private registry: ethers.Contract;
+  private pendingRequests = new Map<string, PresentationRequest>();
+
+  constructor(config: PresentationVerifierConfig) {
+    if (!/^https:\/\//.test(config.callback)) {
+      throw new Error('Callback must be an https URL');
+    }
+
+    this.config = {
+      requestTtl: DEFAULT_REQUEST_TTL,
+      maxPredicateAge: 30,
+      ...config,
+      contract: ethers.getAddress(config.contract),
+    };
+    this.registry = new ethers.Contract(this.config.contract, REGISTRY_ABI, config.runner);
+  }
+
+  /**
+   * Issue a presentation request
+   * @param predicate - Statement the holder must prove besides being verified
+   * @param now - Current time
+   * @returns PresentationRequest - Request to show to the holder
+   */
+  createRequest(predicate?: Predicate, now: Date = new Date()): PresentationRequest {
+    if (predicate) {
+      getPredicateId(predicate);
+    }
+    this.pruneExpired(now);
+
+    const request: PresentationRequest = {
+      version: PRESENTATION_VERSION,
+      verifier: this.config.verifier,
+      nonce: createNonce(),
+      callback: this.config.callback,
+      chainId: this.config.chainId,
+      contract: this.config.contract,
+      ...(predicate ? {predicate} : {}),
+      expiresAt: Math.floor(now.getTime() / 1000) + this.config.requestTtl!,
+    };
+
+    this.pendingRequests.set(request.nonce.toLowerCase(), request);
+    return request;
+  }
+
+  /**
+   * Issue a presentation request encoded for a QR code
+   * @param predicate - Statement the holder must prove besides being verified
+   * @param now - Current time
+   * @returns string - zkid://present URI
+   */
+  createRequestUri(predicate?: Predicate, now: Date = new Date()): string {
+    return encodePresentationRequest(this.createRequest(predicate, now));
+  }
+
+  /**
+   * Verify a presentation answering one of this verifier's requests
+   * The request's nonce is consumed whatever the outcome.
+   * @param presentation - Presentation posted by the holder
+   * @param now - Current time
+   * @returns Promise<PresentationVerification> - Outcome with every failed check
+   */
+  async verify(
+    presentation: Presentation,
+    now: Date = new Date()
+  ): Promise<PresentationVerification> {
+    const errors: string[] = [];
+    const result = (proofHash = ''): PresentationVerification => ({
+      valid: errors.length === 0,
+      holder: presentation?.holder ?? '',
+      proofHash,
+      ...(presentation?.predicate ? {predicateId: presentation.predicate.predicateId} : {}),
+      errors,
+    });
+
+    const nonce = typeof presentation?.nonce === 'string' ? presentation.nonce.toLowerCase() : '';
+    const request = this.pendingRequests.get(nonce);
+    if (!request) {
+      errors.push('Unknown or already used nonce');
+      return result();
+    }
+    this.pendingRequests.delete(nonce);
+    this.pruneExpired(now);
+
+    let message: string;
+    let proofHash: string;
+    try {
+      message = getPresentationMessage(presentation);
+      proofHash = computeProofHash(presentation.identity, presentation.holder);
+    } catch (error) {
+      errors.push('Malformed presentation');
+      return result();
+    }
+
+    if (presentation.version !== PRESENTATION_VERSION) {
+      errors.push(`Unsupported presentation version: ${presentation.version}`);
+    }
+    if (now.getTime() / 1000 >= request.expiresAt) {
+      errors.push('Presentation request has expired');
+    }
+    if (presentation.audience !== request.callback) {
+      errors.push('Presentation is for a different verifier');
+    }
+    if (
+      presentation.chainId !== request.chainId ||
+      ethers.getAddress(presentation.contract) !== request.contract
+    ) {
+      errors.push('Presentation is for a different contract');
+    }
+
+    if (!isSignedBy(message, presentation.signature, presentation.holder)) {
+      errors.push('Signature does not match the holder');
+    }
+
+    const {identity} = presentation;
+    if (!isBoundToHolder(identity, presentation.holder)) {
+      errors.push('Identity proof is bound to a different account');
+    }
+    if (!(await verifyPresentedProof(identity, this.config.identityVerificationKey))) {
+      errors.push('Identity proof is invalid');
+    }
+
+    errors.push(...(await this.checkPredicate(presentation, request, now)));
+    errors.push(...(await checkRegistry(this.registry, proofHash, presentation.holder)));
+
+    return result(proofHash);
+  }
+
+  /**
+   * Forget requests that can no longer be answered, so unanswered ones do not
+   * pile up
+   * @param now - Current time
+   */
+  private pruneExpired(now: Date): void {
+    const seconds = now.getTime() / 1000;
+    for (const [nonce, request] of this.pendingRequests) {
+      if (seconds >= request.expiresAt) {
+        this.pendingRequests.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Check the predicate part of a presentation against its request
+   * @param presentation - Presentation being verified
+   * @param request - Request it answers
+   * @param now - Current time
+   * @returns Promise<string[]> - Failed checks
+   */
+  private async checkPredicate(
+    presentation: Presentation,
+    request: PresentationRequest,
+    now: Date
+  ): Promise<string[]> {
+    const presented = presentation.predicate;
+
+    if (!request.predicate) {
+      return presented ? ['Predicate was not requested'] : [];
+    }
+    if (!presented) {
+      return ['Requested predicate is missing'];
+    }
+
+    const errors: string[] = [];
+    const requested = resolvePredicate(request.predicate, now);
+    if (presented.predicateId !== getPredicateId(requested)) {
+      errors.push('Presented predicate does not match the request');
+    }
+
+    const referenceDate = presented.predicate.referenceDate ?? '';
+    if (request.predicate.referenceDate) {
+      if (referenceDate !== request.predicate.referenceDate) {
+        errors.push('Predicate was proven for a different reference date');
+      }
+    } else {
+      const oldest = new Date(now.getTime() - this.config.maxPredicateAge! * 86400000);
+      if (referenceDate > todayAsDate(now) || referenceDate < todayAsDate(oldest)) {
+        errors.push('Predicate reference date is out of range');
+      }
+    }
+
+    if (presented.publicSignals[0] !== presentation.identity.publicSignals[ID_HASH_SIGNAL]) {
+      errors.push('Predicate proof is for a different document');
+    }
+    errors.push(
+      ...(await checkPredicateProof(presented, this.config.predicateVerificationKeys))
+    );
+
+    return errors;
+  }
+}
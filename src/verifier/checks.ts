@@ -0,0 +1,94 @@
+import {ethers} from 'ethers';
+import {PredicateType, PresentedPredicate, PresentedProof, VerificationKey} from '@types/index';
+import {verifyGroth16Proof} from '@utils/groth16';
+import {matchesPredicateStatement} from '@utils/predicates';
+
+// Checks shared by the relying-party verifiers
+
+export const REGISTRY_ABI = [
+  'function verifyProofHash(bytes32 proofHash) view returns (bool)',
+  'function isVerified(address user) view returns (bool)',
+];
+
+export type PredicateVerificationKeys = Partial<Record<PredicateType, VerificationKey>>;
+
+/**
+ * Run the Groth16 check on a presented proof
+ * @param presented - Proof with hex proof bytes
+ * @param verificationKey - Key of the circuit the proof is for
+ * @returns Promise<boolean> - Whether the proof is valid
+ */
+export async function verifyPresentedProof(
+  presented: PresentedProof,
+  verificationKey: VerificationKey
+): Promise<boolean> {
+  try {
+    return await verifyGroth16Proof(
+      {proof: ethers.getBytes(presented.proof), publicInputs: presented.publicSignals},
+      verificationKey
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check that a predicate proof states its predicate and passes the pairing check
+ * @param presented - Predicate proof
+ * @param verificationKeys - Keys of the predicate circuits, by type
+ * @returns Promise<string[]> - Failed checks
+ */
+export async function checkPredicateProof(
+  presented: PresentedPredicate,
+  verificationKeys: PredicateVerificationKeys = {}
+): Promise<string[]> {
+  if (
+    !matchesPredicateStatement({
+      predicate: presented.predicate,
+      predicateId: presented.predicateId,
+      publicInputs: presented.publicSignals,
+    })
+  ) {
+    return ['Predicate proof does not state the presented predicate'];
+  }
+
+  const verificationKey = verificationKeys[presented.predicate.type];
+  if (!verificationKey) {
+    return [`No verification key for ${presented.predicate.type} predicates`];
+  }
+  if (!(await verifyPresentedProof(presented, verificationKey))) {
+    return ['Predicate proof is invalid'];
+  }
+  return [];
+}
+
+/**
+ * Check that an identity proof is recorded and its holder verified on-chain
+ * @param registry - IdentityVerification contract (see REGISTRY_ABI)
+ * @param proofHash - Hash the proof was recorded under
+ * @param holder - Account the proof is bound to
+ * @returns Promise<string[]> - Failed checks
+ */
+export async function checkRegistry(
+  registry: ethers.Contract,
+  proofHash: string,
+  holder: string
+): Promise<string[]> {
+  try {
+    const [recorded, active] = await Promise.all([
+      registry.verifyProofHash(proofHash) as Promise<boolean>,
+      registry.isVerified(holder) as Promise<boolean>,
+    ]);
+
+    const errors: string[] = [];
+    if (!recorded) {
+      errors.push('Identity proof is not active on-chain');
+    }
+    if (!active) {
+      errors.push('Holder is not verified on-chain');
+    }
+    return errors;
+  } catch (error) {
+    return ['Could not read the verification contract'];
+  }
+}
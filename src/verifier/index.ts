@@ -0,0 +1,33 @@
+// Relying-party verifiers for credential presentations and exported
+// verifiable credentials. Depends only on ethers, snarkjs and the pure utils,
+// so it runs in Node as well as in the app.
+export {PresentationVerifier} from './PresentationVerifier';
+export type {PresentationVerifierConfig} from './PresentationVerifier';
+export {CredentialVerifier} from './CredentialVerifier';
+export type {CredentialVerifierConfig} from './CredentialVerifier';
+export {
+  DEFAULT_REQUEST_TTL,
+  PRESENTATION_VERSION,
+  computeProofHash,
+  encodePresentationRequest,
+  getPresentationMessage,
+  parsePresentationRequest,
+} from '@utils/presentation';
+export {
+  getVpSigningMessage,
+  isVp,
+  parseDidPkh,
+  parseVerifiableDocument,
+  toDidPkh,
+} from '@utils/verifiableCredential';
+export type {
+  Presentation,
+  PresentationRequest,
+  PresentationVerification,
+  PresentedPredicate,
+  PresentedProof,
+  VcVerification,
+  VerifiableCredential,
+  VerifiablePresentation,
+  VpVerification,
+} from '@types/index';
@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { poseidon3, poseidon7, poseidon9, poseidon14 } = require("poseidon-lite");
+
+// Requires `npm run circuits:build`, which produces the proving key and the
+// Groth16Verifier contract generated from the matching verification key.
+const ARTIFACTS_DIR = path.join(__dirname, "..", "assets", "circuits");
+const WASM_PATH = path.join(ARTIFACTS_DIR, "identity_verification.wasm");
+const ZKEY_PATH = path.join(ARTIFACTS_DIR, "identity_verification.zkey");
+
+const SCOPE_NAME = "zk-identity-verification";
+const SNARK_SCALAR_FIELD = BigInt(
+  "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+);
+
+// Quantized face descriptors as encodeFaceDescriptorValues in
+// src/utils/commitment.ts produces them: value * 2^16 + 2^23
+const FACE_DESCRIPTOR = Array.from(
+  { length: 128 },
+  (_, i) => Math.round(0.8 * Math.sin(i * 1.7 + 0.3) * 65536) + 8388608
+);
+const PORTRAIT_DESCRIPTOR = FACE_DESCRIPTOR.map((value, i) => value + (i % 2 ? 3000 : -3000));
+
+// Stands in for hashLivenessTranscript in src/utils/liveness.ts; the circuit
+// only hashes the digest into face_hash
+const LIVENESS_HASH = "987654321";
+
+/**
+ * Hash quantized descriptor values the way hashFaceDescriptor in src/utils/commitment.ts does
+ */
+function hashDescriptor(values) {
+  const packed = [];
+  for (let i = 0; i < values.length; i += 10) {
+    packed.push(values.slice(i, i + 10).reduce((acc, value) => (acc << 24n) + BigInt(value), 0n));
+  }
+  return poseidon14([BigInt(packed.length), ...packed]);
+}
+
+/**
+ * Commit to quantized descriptor values the way commitFace in src/utils/commitment.ts does
+ */
+function commitFace(values, liveness, salt) {
+  return poseidon3([hashDescriptor(values), BigInt(liveness), BigInt(salt)]).toString();
+}
+
+/**
+ * Encode a snarkjs proof the way encodeProof in src/utils/groth16.ts does
+ */
+function encodeProof(proof) {
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    ["uint256[2]", "uint256[2][2]", "uint256[2]"],
+    [
+      [proof.pi_a[0], proof.pi_a[1]],
+      [
+        [proof.pi_b[0][1], proof.pi_b[0][0]],
+        [proof.pi_b[1][1], proof.pi_b[1][0]],
+      ],
+      [proof.pi_c[0], proof.pi_c[1]],
+    ]
+  );
+}
+
+describe("Groth16Verifier", function () {
+  let verifier;
+  let circuitInputs;
+  let encodedProof;
+  let publicSignals;
+  let user1;
+
+  before(async function () {
+    if (!fs.existsSync(WASM_PATH) || !fs.existsSync(ZKEY_PATH)) {
+      console.log("    Circuit artifacts missing; run `npm run circuits:build`");
+      this.skip();
+    }
+
+    [, user1] = await ethers.getSigners();
+
+    // Generate a fresh proof off-chain, bound to user1. The document fields
+    // only need to be field elements here; expiryDate (index 4) is a YYYYMMDD date.
+    const fields = ["101", "102", "19900615", "104", "20991231", "4608577", "0"];
+    const salt = "123456789";
+    const scope = (BigInt(ethers.id(SCOPE_NAME)) % SNARK_SCALAR_FIELD).toString();
+    circuitInputs = {
+      face_hash: commitFace(FACE_DESCRIPTOR, LIVENESS_HASH, salt),
+      id_hash: poseidon9([...fields, hashDescriptor(PORTRAIT_DESCRIPTOR), salt]).toString(),
+      timestamp: "1700000000",
+      expiry_date: fields[4],
+      scope,
+      nullifier: poseidon7([...fields.slice(0, 6), scope]).toString(),
+      account: BigInt(user1.address).toString(),
+      min_similarity: "9000",
+      fields,
+      salt,
+      face_descriptor: FACE_DESCRIPTOR.map(String),
+      portrait_descriptor: PORTRAIT_DESCRIPTOR.map(String),
+      liveness_hash: LIVENESS_HASH,
+    };
+    const result = await snarkjs.groth16.fullProve(circuitInputs, WASM_PATH, ZKEY_PATH);
+    encodedProof = encodeProof(result.proof);
+    publicSignals = result.publicSignals;
+  });
+
+  after(async function () {
+    // snarkjs keeps worker threads alive otherwise
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  beforeEach(async function () {
+    const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
+    verifier = await Groth16Verifier.deploy();
+    await verifier.waitForDeployment();
+  });
+
+  it("Should accept a proof generated off-chain", async function () {
+    expect(await verifier.verifyTx(encodedProof, publicSignals)).to.be.true;
+  });
+
+  it("Should reject a mutated proof", async function () {
+    const mutated = ethers.getBytes(encodedProof);
+    mutated[31] ^= 1;
+
+    expect(await verifier.verifyTx(mutated, publicSignals)).to.be.false;
+  });
+
+  it("Should not prove a match against a portrait outside the commitment", async function () {
+    // The selfie trivially matches itself, but id_hash commits to the document portrait
+    const inputs = { ...circuitInputs, portrait_descriptor: circuitInputs.face_descriptor };
+
+    let error;
+    try {
+      await snarkjs.groth16.fullProve(inputs, WASM_PATH, ZKEY_PATH);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.include("Assert Failed");
+  });
+
+  it("Should reject a proof for different public inputs", async function () {
+    const tampered = [...publicSignals];
+    tampered[0] = "12";
+
+    expect(await verifier.verifyTx(encodedProof, tampered)).to.be.false;
+  });
+
+  it("Should reject a proof rebound to another account", async function () {
+    const [owner] = await ethers.getSigners();
+    const rebound = [...publicSignals];
+    rebound[6] = BigInt(owner.address).toString();
+
+    expect(await verifier.verifyTx(encodedProof, rebound)).to.be.false;
+  });
+
+  it("Should reject a proof presented with a higher similarity bound", async function () {
+    const raised = [...publicSignals];
+    raised[7] = "9500";
+
+    expect(await verifier.verifyTx(encodedProof, raised)).to.be.false;
+  });
+
+  it("Should revert on malformed input", async function () {
+    await expect(
+      verifier.verifyTx(encodedProof.slice(0, 130), publicSignals)
+    ).to.be.revertedWith("Invalid proof length");
+    await expect(
+      verifier.verifyTx(encodedProof, publicSignals.slice(1))
+    ).to.be.revertedWith("Invalid public inputs length");
+    await expect(
+      verifier.verifyTx(encodedProof, [
+        ...publicSignals.slice(0, -1),
+        "21888242871839275222246405745257275088548364400416034343698204186575808495617",
+      ])
+    ).to.be.revertedWith("Public input not in field");
+  });
+
+  describe("With IdentityVerification", function () {
+    let identityVerification;
+    // The deployer's attestation, as issuer, of the proof's document commitment
+    let attestation;
+
+    beforeEach(async function () {
+      const IdentityVerification = await ethers.getContractFactory("IdentityVerification");
+      identityVerification = await IdentityVerification.deploy(await verifier.getAddress());
+      await identityVerification.waitForDeployment();
+      await identityVerification.registerScope(SCOPE_NAME);
+
+      const [owner] = await ethers.getSigners();
+      await identityVerification.addIssuer(owner.address, "Test Issuer");
+      attestation = await owner.signTypedData(
+        {
+          name: "IdentityVerification",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await identityVerification.getAddress(),
+        },
+        { DocumentAttestation: [{ name: "idCommitment", type: "uint256" }] },
+        { idCommitment: publicSignals[1] }
+      );
+    });
+
+    it("Should verify a user with a real proof", async function () {
+      await expect(
+        identityVerification.connect(user1).submitProof(encodedProof, publicSignals, attestation)
+      ).to.emit(identityVerification, "ProofSubmitted");
+
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+      expect(await identityVerification.idCommitments(user1.address)).to.equal(publicSignals[1]);
+      expect(
+        await identityVerification.nullifierOwners(publicSignals[4], publicSignals[5])
+      ).to.equal(user1.address);
+    });
+
+    it("Should reject the proof from another account", async function () {
+      const [owner] = await ethers.getSigners();
+
+      await expect(
+        identityVerification.connect(owner).submitProof(encodedProof, publicSignals, attestation)
+      ).to.be.revertedWith("Proof bound to another account");
+    });
+
+    it("Should reject a mutated proof", async function () {
+      const mutated = ethers.getBytes(encodedProof);
+      mutated[31] ^= 1;
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mutated, publicSignals, attestation)
+      ).to.be.revertedWith("Invalid proof");
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+// Number of users to verify; override with LOAD_TEST_USERS for a bigger run
+const USER_COUNT = Number(process.env.LOAD_TEST_USERS || 2000);
+
+// Every REVOKE_EVERY-th user is revoked by an issuer
+const REVOKE_EVERY = 10;
+
+const PAGE_SIZE = 200;
+
+const RevocationReason = { Fraud: 2 };
+
+const VerificationStatus = {
+  Any: 0,
+  Active: 1,
+  Expired: 2,
+  Revoked: 3,
+};
+
+describe("IdentityVerification (load)", function () {
+  this.timeout(10 * 60 * 1000);
+
+  const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+  const SCOPE_NAME = "zk-identity-verification";
+
+  let identityVerification;
+  let scope;
+  let users;
+  let submitGas;
+  let emptyStatsGas;
+  let emptyPageGas;
+
+  /**
+   * Get a funded signer for a deterministic address
+   */
+  async function userSigner(index) {
+    const address = ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0x10000 + index), 20));
+    await network.provider.send("hardhat_setBalance", [address, "0x56BC75E2D63100000"]);
+    await network.provider.send("hardhat_impersonateAccount", [address]);
+    return ethers.getSigner(address);
+  }
+
+  // Identity proof inputs for a user proving a document of their own:
+  // [face_hash, id_hash, timestamp, expiry_date, scope, nullifier, account, min_similarity]
+  function identityInputs(user) {
+    return [123, 456, 789, 20400101, scope, BigInt(user.address), user.address, 6000];
+  }
+
+  // Gas amounts are bigints, which have no Math.abs
+  const abs = (value) => (value < 0n ? -value : value);
+
+  async function collect(status) {
+    const found = [];
+    let cursor = 0;
+    do {
+      const [page, nextCursor] = await identityVerification.getUsersByStatus(status, cursor, PAGE_SIZE);
+      found.push(...page);
+      cursor = Number(nextCursor);
+    } while (cursor !== 0);
+    return found;
+  }
+
+  before(async function () {
+    const MockVerifier = await ethers.getContractFactory("MockVerifier");
+    const mockVerifier = await MockVerifier.deploy();
+    await mockVerifier.waitForDeployment();
+
+    const IdentityVerification = await ethers.getContractFactory("IdentityVerification");
+    identityVerification = await IdentityVerification.deploy(await mockVerifier.getAddress());
+    await identityVerification.waitForDeployment();
+    await identityVerification.registerScope(SCOPE_NAME);
+    scope = await identityVerification.scopeId(SCOPE_NAME);
+
+    // Every proof below commits to document 456; the deployer attests it as issuer
+    const [deployer] = await ethers.getSigners();
+    await identityVerification.addIssuer(deployer.address, "Load Test Issuer");
+    const attestation = await deployer.signTypedData(
+      {
+        name: "IdentityVerification",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await identityVerification.getAddress(),
+      },
+      { DocumentAttestation: [{ name: "idCommitment", type: "uint256" }] },
+      { idCommitment: 456 }
+    );
+
+    emptyStatsGas = await identityVerification.getStats.estimateGas();
+    emptyPageGas = await identityVerification.getUsersByStatus.estimateGas(VerificationStatus.Any, 0, PAGE_SIZE);
+
+    users = [];
+    submitGas = [];
+    for (let i = 0; i < USER_COUNT; i++) {
+      const user = await userSigner(i);
+      const tx = await identityVerification.connect(user).submitProof(mockProof, identityInputs(user), attestation);
+      submitGas.push((await tx.wait()).gasUsed);
+      users.push(user.address);
+    }
+
+    for (let i = 0; i < USER_COUNT; i += REVOKE_EVERY) {
+      await identityVerification.emergencyRevoke(users[i], RevocationReason.Fraud);
+    }
+  });
+
+  it("Should keep submitProof gas flat as users grow", async function () {
+    // The first submission pays for initialising the counters
+    const early = submitGas[1];
+    const late = submitGas[submitGas.length - 1];
+
+    expect(abs(late - early)).to.be.lte(early / 100n);
+  });
+
+  it("Should keep getStats gas constant", async function () {
+    const statsGas = await identityVerification.getStats.estimateGas();
+
+    expect(statsGas).to.equal(emptyStatsGas);
+  });
+
+  it("Should keep the counters in step with revocations", async function () {
+    const revoked = Math.ceil(USER_COUNT / REVOKE_EVERY);
+    const [totalUsers, validVerifications] = await identityVerification.getStats();
+
+    expect(totalUsers).to.equal(USER_COUNT);
+    expect(validVerifications).to.equal(USER_COUNT - revoked);
+  });
+
+  it("Should bound getUsersByStatus gas by the page size", async function () {
+    const firstPage = await identityVerification.getUsersByStatus.estimateGas(
+      VerificationStatus.Active,
+      0,
+      PAGE_SIZE
+    );
+    const lastPage = await identityVerification.getUsersByStatus.estimateGas(
+      VerificationStatus.Active,
+      USER_COUNT - PAGE_SIZE,
+      PAGE_SIZE
+    );
+
+    expect(firstPage).to.be.gt(emptyPageGas);
+    expect(abs(lastPage - firstPage)).to.be.lte(firstPage / 50n);
+    expect(firstPage).to.be.lt(5000000);
+  });
+
+  it("Should page through users filtered by status", async function () {
+    const active = await collect(VerificationStatus.Active);
+    const revoked = await collect(VerificationStatus.Revoked);
+
+    expect(revoked).to.deep.equal(users.filter((_, i) => i % REVOKE_EVERY === 0));
+    expect(active).to.deep.equal(users.filter((_, i) => i % REVOKE_EVERY !== 0));
+    expect(await collect(VerificationStatus.Any)).to.have.length(USER_COUNT);
+  });
+});
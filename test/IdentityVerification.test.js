@@ -1,30 +1,99 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+// Mirrors IdentityVerification.RevocationReason
+const RevocationReason = {
+  None: 0,
+  UserRequested: 1,
+  Fraud: 2,
+  DocumentLost: 3,
+  DocumentInvalid: 4,
+  KeyCompromised: 5,
+  Other: 6,
+};
+
+// Mirrors IdentityVerification.VerificationStatus
+const VerificationStatus = {
+  Any: 0,
+  Active: 1,
+  Expired: 2,
+  Revoked: 3,
+};
 
 describe("IdentityVerification", function () {
+  const SCOPE_NAME = "zk-identity-verification";
+  // Document commitment (id_hash) of the identity proofs below
+  const ID_COMMITMENT = 456;
   let identityVerification;
   let mockVerifier;
   let owner;
   let user1;
   let user2;
+  let issuer;
+  let scope;
+  // issuer's attestation of ID_COMMITMENT
+  let attestation;
+
+  // Public inputs of an identity proof bound to account, by default about a
+  // document of its own that outlives the maximum TTL:
+  // [face_hash, id_hash, timestamp, expiry_date, scope, nullifier, account, min_similarity]
+  function identityInputs(account, overrides = {}) {
+    const inputs = {
+      idCommitment: ID_COMMITMENT,
+      expiryDate: 20400101,
+      scope,
+      nullifier: BigInt(account.address),
+      minSimilarity: 6000,
+      ...overrides,
+    };
+    return [
+      123,
+      inputs.idCommitment,
+      789,
+      inputs.expiryDate,
+      inputs.scope,
+      inputs.nullifier,
+      account.address,
+      inputs.minSimilarity,
+    ];
+  }
+
+  // EIP-712 DocumentAttestation by signer over a document commitment
+  async function attest(signer, idCommitment = ID_COMMITMENT) {
+    const domain = {
+      name: "IdentityVerification",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await identityVerification.getAddress(),
+    };
+    const types = { DocumentAttestation: [{ name: "idCommitment", type: "uint256" }] };
+    return signer.signTypedData(domain, types, { idCommitment });
+  }
 
   beforeEach(async function () {
-    [owner, user1, user2] = await ethers.getSigners();
+    [owner, user1, user2, , issuer] = await ethers.getSigners();
 
     // Deploy MockVerifier
     const MockVerifier = await ethers.getContractFactory("MockVerifier");
     mockVerifier = await MockVerifier.deploy();
-    await mockVerifier.deployed();
+    await mockVerifier.waitForDeployment();
 
     // Deploy IdentityVerification
     const IdentityVerification = await ethers.getContractFactory("IdentityVerification");
-    identityVerification = await IdentityVerification.deploy(mockVerifier.address);
-    await identityVerification.deployed();
+    identityVerification = await IdentityVerification.deploy(await mockVerifier.getAddress());
+    await identityVerification.waitForDeployment();
+
+    await identityVerification.registerScope(SCOPE_NAME);
+    scope = await identityVerification.scopeId(SCOPE_NAME);
+
+    await identityVerification.addIssuer(issuer.address, "Document Issuer");
+    attestation = await attest(issuer);
   });
 
   describe("Deployment", function () {
     it("Should set the correct verifier address", async function () {
-      expect(await identityVerification.verifier()).to.equal(mockVerifier.address);
+      expect(await identityVerification.verifier()).to.equal(await mockVerifier.getAddress());
     });
 
     it("Should initialize with zero verified users", async function () {
@@ -34,18 +103,17 @@ describe("IdentityVerification", function () {
     it("Should revert with invalid verifier address", async function () {
       const IdentityVerification = await ethers.getContractFactory("IdentityVerification");
       await expect(
-        IdentityVerification.deploy(ethers.constants.AddressZero)
+        IdentityVerification.deploy(ethers.ZeroAddress)
       ).to.be.revertedWith("Invalid verifier address");
     });
   });
 
   describe("Proof Submission", function () {
     const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-    const mockPublicInputs = [123, 456, 789];
 
     it("Should submit a valid proof successfully", async function () {
       await expect(
-        identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs)
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation)
       )
         .to.emit(identityVerification, "ProofSubmitted")
         .and.to.emit(identityVerification, "VerificationStatusChanged");
@@ -54,26 +122,43 @@ describe("IdentityVerification", function () {
       expect(await identityVerification.totalVerifiedUsers()).to.equal(1);
     });
 
+    it("Should emit the verification's expiry with the proof", async function () {
+      const tx = await identityVerification
+        .connect(user1)
+        .submitProof(mockProof, identityInputs(user1), attestation);
+      const expiresAt = await identityVerification.getExpiry(user1.address);
+
+      await expect(tx)
+        .to.emit(identityVerification, "ProofSubmitted")
+        .withArgs(user1.address, anyValue, anyValue, expiresAt);
+    });
+
     it("Should revert with empty proof", async function () {
       await expect(
-        identityVerification.connect(user1).submitProof("0x", mockPublicInputs)
+        identityVerification.connect(user1).submitProof("0x", identityInputs(user1), attestation)
       ).to.be.revertedWith("Empty proof");
     });
 
-    it("Should revert with no public inputs", async function () {
+    it("Should revert with missing public inputs", async function () {
       await expect(
-        identityVerification.connect(user1).submitProof(mockProof, [])
-      ).to.be.revertedWith("No public inputs");
+        identityVerification.connect(user1).submitProof(mockProof, [], attestation)
+      ).to.be.revertedWith("Invalid public inputs");
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, [123, 456, 789], attestation)
+      ).to.be.revertedWith("Invalid public inputs");
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1).slice(0, 7), attestation)
+      ).to.be.revertedWith("Invalid public inputs");
     });
 
     it("Should update existing verification", async function () {
       // First submission
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       expect(await identityVerification.totalVerifiedUsers()).to.equal(1);
 
       // Second submission (update)
       const newProof = "0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890";
-      await identityVerification.connect(user1).submitProof(newProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(newProof, identityInputs(user1), attestation);
       
       // Should still have only 1 verified user (updated, not added)
       expect(await identityVerification.totalVerifiedUsers()).to.equal(1);
@@ -83,19 +168,18 @@ describe("IdentityVerification", function () {
 
   describe("Verification Status", function () {
     const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-    const mockPublicInputs = [123, 456, 789];
 
     it("Should return false for unverified user", async function () {
       expect(await identityVerification.isVerified(user1.address)).to.be.false;
     });
 
     it("Should return true for verified user", async function () {
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       expect(await identityVerification.isVerified(user1.address)).to.be.true;
     });
 
     it("Should return verification data correctly", async function () {
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       
       const [proofHash, timestamp, isValid, exists] = await identityVerification.getVerificationData(user1.address);
       
@@ -108,10 +192,9 @@ describe("IdentityVerification", function () {
 
   describe("Proof Hash Verification", function () {
     const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-    const mockPublicInputs = [123, 456, 789];
 
     it("Should verify existing proof hash", async function () {
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       
       const [proofHash] = await identityVerification.getVerificationData(user1.address);
       const isValid = await identityVerification.verifyProofHash(proofHash);
@@ -127,7 +210,7 @@ describe("IdentityVerification", function () {
     });
 
     it("Should get user by proof hash", async function () {
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       
       const [proofHash] = await identityVerification.getVerificationData(user1.address);
       const userAddress = await identityVerification.getUserByProofHash(proofHash);
@@ -138,12 +221,11 @@ describe("IdentityVerification", function () {
 
   describe("User Enumeration", function () {
     const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-    const mockPublicInputs = [123, 456, 789];
 
     it("Should return verified users with pagination", async function () {
       // Verify two users
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
-      await identityVerification.connect(user2).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
 
       const users = await identityVerification.getVerifiedUsers(0, 10);
       
@@ -153,8 +235,8 @@ describe("IdentityVerification", function () {
     });
 
     it("Should handle pagination correctly", async function () {
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
-      await identityVerification.connect(user2).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
 
       // Get first user
       const firstPage = await identityVerification.getVerifiedUsers(0, 1);
@@ -168,20 +250,70 @@ describe("IdentityVerification", function () {
       expect(firstPage[0]).to.not.equal(secondPage[0]);
     });
 
+    it("Should leave revoked and expired users out", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
+      await identityVerification.connect(user1).revokeVerification();
+
+      expect(await identityVerification.getVerifiedUsers(0, 10)).to.deep.equal([user2.address]);
+
+      await ethers.provider.send("evm_increaseTime", [366 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await identityVerification.getVerifiedUsers(0, 10)).to.deep.equal([]);
+    });
+
     it("Should revert with out of bounds offset", async function () {
       await expect(
         identityVerification.getVerifiedUsers(10, 1)
       ).to.be.revertedWith("Offset out of bounds");
     });
+
+    it("Should filter users by status", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
+      await identityVerification.connect(user1).revokeVerification();
+
+      const [active] = await identityVerification.getUsersByStatus(VerificationStatus.Active, 0, 10);
+      const [revoked] = await identityVerification.getUsersByStatus(VerificationStatus.Revoked, 0, 10);
+      const [all] = await identityVerification.getUsersByStatus(VerificationStatus.Any, 0, 10);
+
+      expect(active).to.deep.equal([user2.address]);
+      expect(revoked).to.deep.equal([user1.address]);
+      expect(all).to.deep.equal([user1.address, user2.address]);
+    });
+
+    it("Should page through filtered users with a cursor", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
+      await identityVerification.connect(owner).submitProof(mockProof, identityInputs(owner), attestation);
+      await identityVerification.connect(user2).revokeVerification();
+
+      // The first page scans user1 and user2 but only user1 matches
+      let [users, nextCursor] = await identityVerification.getUsersByStatus(VerificationStatus.Active, 0, 2);
+      expect(users).to.deep.equal([user1.address]);
+      expect(nextCursor).to.equal(2);
+
+      [users, nextCursor] = await identityVerification.getUsersByStatus(VerificationStatus.Active, nextCursor, 2);
+      expect(users).to.deep.equal([owner.address]);
+      expect(nextCursor).to.equal(0);
+    });
+
+    it("Should reject invalid pages", async function () {
+      await expect(
+        identityVerification.getUsersByStatus(VerificationStatus.Any, 0, 0)
+      ).to.be.revertedWith("Invalid limit");
+      await expect(
+        identityVerification.getUsersByStatus(VerificationStatus.Any, 1, 10)
+      ).to.be.revertedWith("Cursor out of bounds");
+    });
   });
 
   describe("Verification Revocation", function () {
     const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-    const mockPublicInputs = [123, 456, 789];
 
     it("Should allow user to revoke their own verification", async function () {
       // First verify
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       expect(await identityVerification.isVerified(user1.address)).to.be.true;
 
       // Then revoke
@@ -198,23 +330,600 @@ describe("IdentityVerification", function () {
       ).to.be.revertedWith("No verification to revoke");
     });
 
-    it("Should allow emergency revocation", async function () {
+    it("Should record self-revocation as user requested", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+
+      await expect(identityVerification.connect(user1).revokeVerification())
+        .to.emit(identityVerification, "VerificationRevoked")
+        .withArgs(user1.address, user1.address, RevocationReason.UserRequested, anyValue);
+    });
+
+    it("Should allow emergency revocation by the owner", async function () {
       // First verify
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       expect(await identityVerification.isVerified(user1.address)).to.be.true;
 
-      // Emergency revoke by another user (in real implementation, this would be restricted)
       await expect(
-        identityVerification.connect(user2).emergencyRevoke(user1.address)
-      ).to.emit(identityVerification, "VerificationStatusChanged");
+        identityVerification.emergencyRevoke(user1.address, RevocationReason.Fraud)
+      )
+        .to.emit(identityVerification, "VerificationRevoked")
+        .withArgs(user1.address, owner.address, RevocationReason.Fraud, anyValue)
+        .and.to.emit(identityVerification, "VerificationStatusChanged");
+
+      expect(await identityVerification.isVerified(user1.address)).to.be.false;
+
+      const revocation = await identityVerification.revocations(user1.address);
+      expect(revocation.revokedBy).to.equal(owner.address);
+      expect(revocation.reason).to.equal(RevocationReason.Fraud);
+    });
+
+    it("Should allow emergency revocation by an issuer", async function () {
+      await identityVerification.addIssuer(user2.address, "Test Issuer");
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+
+      await expect(
+        identityVerification.connect(user2).emergencyRevoke(user1.address, RevocationReason.DocumentLost)
+      )
+        .to.emit(identityVerification, "VerificationRevoked")
+        .withArgs(user1.address, user2.address, RevocationReason.DocumentLost, anyValue);
+    });
+
+    it("Should reject emergency revocation by unauthorised callers", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+
+      await expect(
+        identityVerification.connect(user2).emergencyRevoke(user1.address, RevocationReason.Fraud)
+      ).to.be.revertedWith("Caller is not an issuer or admin");
+
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+
+    it("Should require a revocation reason", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+
+      await expect(
+        identityVerification.emergencyRevoke(user1.address, RevocationReason.None)
+      ).to.be.revertedWith("Revocation reason required");
+    });
+
+    it("Should stop users re-verifying after an emergency revocation", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.Fraud);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation)
+      ).to.be.revertedWith("Verification revoked");
+
+      await expect(identityVerification.clearRevocation(user1.address))
+        .to.emit(identityVerification, "RevocationCleared")
+        .withArgs(user1.address, owner.address);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+
+    it("Should not let users replace an emergency revocation with their own", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.Fraud);
+
+      await expect(
+        identityVerification.connect(user1).revokeVerification()
+      ).to.be.revertedWith("Verification revoked");
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation)
+      ).to.be.revertedWith("Verification revoked");
+
+      const revocation = await identityVerification.revocations(user1.address);
+      expect(revocation.reason).to.equal(RevocationReason.Fraud);
+    });
+
+    it("Should let users re-verify after revoking themselves", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user1).revokeVerification();
+
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+  });
+
+  describe("Access Control", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+
+    it("Should make the deployer owner and admin", async function () {
+      expect(await identityVerification.owner()).to.equal(owner.address);
+      expect(await identityVerification.isAdmin(owner.address)).to.be.true;
+      expect(await identityVerification.isAdmin(user1.address)).to.be.false;
+    });
+
+    it("Should let the owner grant and remove admins", async function () {
+      await expect(identityVerification.setAdmin(user1.address, true))
+        .to.emit(identityVerification, "AdminUpdated")
+        .withArgs(user1.address, true, owner.address);
+      expect(await identityVerification.isAdmin(user1.address)).to.be.true;
+
+      await identityVerification.setAdmin(user1.address, false);
+      expect(await identityVerification.isAdmin(user1.address)).to.be.false;
+    });
+
+    it("Should reject admin changes from non-owners", async function () {
+      await identityVerification.setAdmin(user1.address, true);
+
+      await expect(
+        identityVerification.connect(user1).setAdmin(user2.address, true)
+      ).to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("Should transfer ownership", async function () {
+      await expect(identityVerification.transferOwnership(user1.address))
+        .to.emit(identityVerification, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+
+      expect(await identityVerification.owner()).to.equal(user1.address);
+      await expect(
+        identityVerification.transferOwnership(owner.address)
+      ).to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("Should let admins manage issuers", async function () {
+      await identityVerification.setAdmin(user1.address, true);
+
+      await expect(identityVerification.connect(user1).addIssuer(user2.address, "Test Issuer"))
+        .to.emit(identityVerification, "IssuerAdded")
+        .withArgs(user2.address, "Test Issuer", user1.address);
+      expect(await identityVerification.isIssuer(user2.address)).to.be.true;
+
+      await expect(identityVerification.connect(user1).removeIssuer(user2.address))
+        .to.emit(identityVerification, "IssuerRemoved")
+        .withArgs(user2.address, user1.address);
+      expect(await identityVerification.isIssuer(user2.address)).to.be.false;
+    });
+
+    it("Should reject issuer changes from non-admins", async function () {
+      await expect(
+        identityVerification.connect(user1).addIssuer(user2.address, "Test Issuer")
+      ).to.be.revertedWith("Caller is not an admin");
+
+      await identityVerification.addIssuer(user2.address, "Test Issuer");
+      await expect(
+        identityVerification.connect(user1).removeIssuer(user2.address)
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should not let issuers manage other issuers", async function () {
+      await identityVerification.addIssuer(user1.address, "Test Issuer");
+
+      await expect(
+        identityVerification.connect(user1).addIssuer(user2.address, "Other Issuer")
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should stop removed issuers from revoking", async function () {
+      await identityVerification.addIssuer(user2.address, "Test Issuer");
+      await identityVerification.removeIssuer(user2.address);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+
+      await expect(
+        identityVerification.connect(user2).emergencyRevoke(user1.address, RevocationReason.Fraud)
+      ).to.be.revertedWith("Caller is not an issuer or admin");
+    });
+
+    it("Should block proof submission while paused", async function () {
+      await expect(identityVerification.pause())
+        .to.emit(identityVerification, "Paused")
+        .withArgs(owner.address);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation)
+      ).to.be.revertedWith("Contract is paused");
+
+      await identityVerification.unpause();
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+
+    it("Should still allow revocation while paused", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.pause();
+
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.KeyCompromised);
+      expect(await identityVerification.isVerified(user1.address)).to.be.false;
+    });
+
+    it("Should reject pausing from non-admins", async function () {
+      await expect(
+        identityVerification.connect(user1).pause()
+      ).to.be.revertedWith("Caller is not an admin");
+
+      await identityVerification.pause();
+      await expect(
+        identityVerification.connect(user1).unpause()
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should reject clearing revocations from non-admins", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.Fraud);
+
+      await expect(
+        identityVerification.connect(user2).clearRevocation(user1.address)
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+  });
+
+  describe("Issuer Attestations", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+
+    it("Should recover the issuer of an attestation", async function () {
+      expect(await identityVerification.attestationSigner(ID_COMMITMENT, attestation)).to.equal(
+        issuer.address
+      );
+      expect(await identityVerification.attestationSigner(ID_COMMITMENT, "0x")).to.equal(
+        ethers.ZeroAddress
+      );
+    });
+
+    it("Should reject proofs without an attestation", async function () {
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), "0x")
+      ).to.be.revertedWith("Commitment not attested");
+    });
+
+    it("Should reject attestations by accounts that are not issuers", async function () {
+      const forged = await attest(user1);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), forged)
+      ).to.be.revertedWith("Commitment not attested");
+    });
+
+    it("Should reject attestations of another commitment", async function () {
+      await expect(
+        identityVerification
+          .connect(user1)
+          .submitProof(mockProof, identityInputs(user1, { idCommitment: 457 }), attestation)
+      ).to.be.revertedWith("Commitment not attested");
+
+      const other = await attest(issuer, 457);
+      await identityVerification
+        .connect(user1)
+        .submitProof(mockProof, identityInputs(user1, { idCommitment: 457 }), other);
+      expect(await identityVerification.idCommitments(user1.address)).to.equal(457);
+    });
+
+    it("Should reject attestations by removed issuers", async function () {
+      await identityVerification.removeIssuer(issuer.address);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation)
+      ).to.be.revertedWith("Commitment not attested");
+    });
+
+    it("Should require an attestation to transfer a verification", async function () {
+      const inputs = (account) => identityInputs(account, { nullifier: 999 });
+      await identityVerification.connect(user1).submitProof(mockProof, inputs(user1), attestation);
+
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, inputs(user2), "0x")
+      ).to.be.revertedWith("Commitment not attested");
+    });
+  });
+
+  describe("Verification Expiry", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+    const DAY = 24 * 60 * 60;
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    function toDate(timestamp) {
+      return Number(new Date(timestamp * 1000).toISOString().slice(0, 10).replace(/-/g, ""));
+    }
+
+    it("Should expire after the maximum TTL when the document outlives it", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      const submittedAt = await latestTimestamp();
+
+      expect(await identityVerification.getExpiry(user1.address)).to.equal(submittedAt + 365 * DAY);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+
+      await increaseTime(365 * DAY);
+      expect(await identityVerification.isVerified(user1.address)).to.be.false;
+    });
+
+    it("Should expire with the document when it expires before the TTL", async function () {
+      const documentExpiry = toDate((await latestTimestamp()) + 30 * DAY);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { expiryDate: documentExpiry }), attestation);
+
+      const expiresAt = await identityVerification.getExpiry(user1.address);
+      expect(toDate(Number(expiresAt))).to.equal(documentExpiry);
+
+      await increaseTime(31 * DAY);
+      expect(await identityVerification.isVerified(user1.address)).to.be.false;
+
+      const [proofHash] = await identityVerification.getVerificationData(user1.address);
+      expect(await identityVerification.verifyProofHash(proofHash)).to.be.false;
+    });
+
+    it("Should cap long-lived documents at the TTL", async function () {
+      const documentExpiry = toDate((await latestTimestamp()) + 5 * 365 * DAY);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { expiryDate: documentExpiry }), attestation);
+      const submittedAt = await latestTimestamp();
+
+      expect(await identityVerification.getExpiry(user1.address)).to.equal(submittedAt + 365 * DAY);
+    });
+
+    it("Should reject expired documents", async function () {
+      const documentExpiry = toDate((await latestTimestamp()) - DAY);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { expiryDate: documentExpiry }), attestation)
+      ).to.be.revertedWith("Document expired");
+    });
+
+    it("Should reject malformed expiry dates", async function () {
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { expiryDate: 20311301 }), attestation)
+      ).to.be.revertedWith("Invalid expiry date");
+    });
+
+    it("Should reject days past the end of the month", async function () {
+      // April 31st, and February 29th outside leap years (2100 is not one)
+      for (const expiryDate of [20310431, 20310229, 21000229]) {
+        await expect(
+          identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { expiryDate }), attestation)
+        ).to.be.revertedWith("Invalid expiry date");
+      }
+    });
+
+    it("Should accept February 29th in leap years", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { expiryDate: 20320229 }), attestation);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+
+      // 2000 is a leap year, so the date is valid but long past
+      await expect(
+        identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2, { expiryDate: 20000229 }), attestation)
+      ).to.be.revertedWith("Document expired");
+    });
+
+    it("Should let users re-verify after expiry", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await increaseTime(366 * DAY);
+
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+
+    it("Should report expired verifications by status", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await increaseTime(366 * DAY);
+
+      // Counters cannot see time passing, so expired verifications stay valid
+      // in getStats until they are renewed or revoked
+      const [totalUsers, validVerifications] = await identityVerification.getStats();
+      expect(totalUsers).to.equal(1);
+      expect(validVerifications).to.equal(1);
+
+      const [expired] = await identityVerification.getUsersByStatus(VerificationStatus.Expired, 0, 10);
+      const [active] = await identityVerification.getUsersByStatus(VerificationStatus.Active, 0, 10);
+      expect(expired).to.deep.equal([user1.address]);
+      expect(active).to.be.empty;
+    });
+
+    it("Should let admins change the TTL", async function () {
+      await expect(identityVerification.setMaxVerificationTTL(30 * DAY))
+        .to.emit(identityVerification, "MaxVerificationTTLUpdated")
+        .withArgs(30 * DAY, owner.address);
+
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      expect(await identityVerification.getExpiry(user1.address)).to.equal(
+        (await latestTimestamp()) + 30 * DAY
+      );
+
+      await expect(identityVerification.setMaxVerificationTTL(0)).to.be.revertedWith("Invalid TTL");
+      await expect(
+        identityVerification.connect(user1).setMaxVerificationTTL(DAY)
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+  });
+
+  describe("Nullifiers", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+    const NULLIFIER = 999;
+
+    // Inputs of a proof about the same document, whoever submits it
+    function documentInputs(account, overrides = {}) {
+      return identityInputs(account, { nullifier: NULLIFIER, ...overrides });
+    }
+
+    it("Should register scopes by name", async function () {
+      const other = await identityVerification.scopeId("other-app");
+
+      await expect(identityVerification.registerScope("other-app"))
+        .to.emit(identityVerification, "ScopeRegistered")
+        .withArgs(other, "other-app");
+      expect(await identityVerification.scopes(other)).to.be.true;
+
+      await expect(identityVerification.registerScope("other-app")).to.be.revertedWith(
+        "Scope already registered"
+      );
+      await expect(
+        identityVerification.connect(user1).registerScope("third-app")
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should record who holds a nullifier", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+
+      expect(await identityVerification.nullifierOwners(scope, NULLIFIER)).to.equal(user1.address);
+    });
+
+    it("Should let the holder re-verify with the same document", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+
+    it("Should reject a document already used by another address", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+
+      await expect(
+        identityVerification.connect(user2).submitProof(mockProof, documentInputs(user2), attestation)
+      ).to.be.revertedWith("Nullifier already used");
+    });
+
+    it("Should allow the same document in another scope", async function () {
+      await identityVerification.registerScope("other-app");
+      const other = await identityVerification.scopeId("other-app");
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+
+      await identityVerification
+        .connect(user2)
+        .submitProof(mockProof, documentInputs(user2, { scope: other }), attestation);
+      expect(await identityVerification.isVerified(user2.address)).to.be.true;
+    });
+
+    it("Should reject unregistered scopes", async function () {
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1, { scope: 42 }), attestation)
+      ).to.be.revertedWith("Unknown scope");
+    });
+
+    it("Should reject proofs bound to another account", async function () {
+      await expect(
+        identityVerification.connect(user2).submitProof(mockProof, documentInputs(user1), attestation)
+      ).to.be.revertedWith("Proof bound to another account");
+    });
+
+    it("Should transfer a verification to a new address", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2), attestation)
+      )
+        .to.emit(identityVerification, "VerificationTransferred")
+        .withArgs(user1.address, user2.address, scope, NULLIFIER)
+        .and.to.emit(identityVerification, "VerificationStatusChanged")
+        .withArgs(user1.address, false, anyValue);
 
       expect(await identityVerification.isVerified(user1.address)).to.be.false;
+      expect(await identityVerification.isVerified(user2.address)).to.be.true;
+      expect(await identityVerification.nullifierOwners(scope, NULLIFIER)).to.equal(user2.address);
+
+      // The old address cannot take the document back with submitProof
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation)
+      ).to.be.revertedWith("Nullifier already used");
+    });
+
+    it("Should only transfer nullifiers held by another address", async function () {
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2), attestation)
+      ).to.be.revertedWith("Unknown nullifier");
+
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+      await expect(
+        identityVerification.connect(user1).transferVerification(mockProof, documentInputs(user1), attestation)
+      ).to.be.revertedWith("Nullifier already held by caller");
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2).slice(0, 5), attestation)
+      ).to.be.revertedWith("Invalid public inputs");
+    });
+
+    it("Should not transfer a revoked verification", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.Fraud);
+
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2), attestation)
+      ).to.be.revertedWith("Verification revoked");
+    });
+
+    it("Should not transfer after the holder revoked over an emergency revocation", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.DocumentLost);
+      await expect(
+        identityVerification.connect(user1).revokeVerification()
+      ).to.be.revertedWith("Verification revoked");
+
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2), attestation)
+      ).to.be.revertedWith("Verification revoked");
+    });
+
+    it("Should transfer a verification revoked for a compromised key", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.KeyCompromised);
+
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2), attestation)
+      )
+        .to.emit(identityVerification, "VerificationTransferred")
+        .withArgs(user1.address, user2.address, scope, NULLIFIER);
+      expect(await identityVerification.isVerified(user2.address)).to.be.true;
+
+      // The compromised key stays revoked
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation)
+      ).to.be.revertedWith("Verification revoked");
+    });
+
+    it("Should transfer after the holder revoked their own verification", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+      await identityVerification.connect(user1).revokeVerification();
+
+      await identityVerification.connect(user2).transferVerification(mockProof, documentInputs(user2), attestation);
+      expect(await identityVerification.isVerified(user2.address)).to.be.true;
+    });
+  });
+
+  describe("Face Matching", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+
+    it("Should require a similarity bound of at least the minimum", async function () {
+      expect(await identityVerification.minFaceSimilarity()).to.equal(6000);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { minSimilarity: 5999 }), attestation)
+      ).to.be.revertedWith("Face similarity below minimum");
+
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { minSimilarity: 6000 }), attestation);
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+    });
+
+    it("Should apply the minimum to verification transfers", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { minSimilarity: 8000 }), attestation);
+
+      await expect(
+        identityVerification.connect(user2).transferVerification(mockProof, identityInputs(user2, { minSimilarity: 100 }), attestation)
+      ).to.be.revertedWith("Face similarity below minimum");
+    });
+
+    it("Should let admins change the minimum", async function () {
+      await expect(identityVerification.setMinFaceSimilarity(9000))
+        .to.emit(identityVerification, "MinFaceSimilarityUpdated")
+        .withArgs(9000, owner.address);
+
+      await expect(
+        identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1, { minSimilarity: 8000 }), attestation)
+      ).to.be.revertedWith("Face similarity below minimum");
+
+      await expect(identityVerification.setMinFaceSimilarity(10001)).to.be.revertedWith(
+        "Invalid similarity"
+      );
+      await expect(
+        identityVerification.connect(user1).setMinFaceSimilarity(0)
+      ).to.be.revertedWith("Caller is not an admin");
     });
   });
 
   describe("Statistics", function () {
     const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-    const mockPublicInputs = [123, 456, 789];
 
     it("Should return correct statistics", async function () {
       // Initially no users
@@ -223,7 +932,7 @@ describe("IdentityVerification", function () {
       expect(validVerifications).to.equal(0);
 
       // Add one verified user
-      await identityVerification.connect(user1).submitProof(mockProof, mockPublicInputs);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
       [totalUsers, validVerifications] = await identityVerification.getStats();
       expect(totalUsers).to.equal(1);
       expect(validVerifications).to.equal(1);
@@ -234,14 +943,326 @@ describe("IdentityVerification", function () {
       expect(totalUsers).to.equal(1); // Total users doesn't decrease
       expect(validVerifications).to.equal(0); // But valid verifications do
     });
+
+    it("Should not double-count repeated revocations or re-verification", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
+
+      // Revoked by the user, then again by an admin
+      await identityVerification.connect(user1).revokeVerification();
+      await identityVerification.emergencyRevoke(user1.address, RevocationReason.Fraud);
+      let [, validVerifications] = await identityVerification.getStats();
+      expect(validVerifications).to.equal(1);
+
+      // Re-verifying an already valid verification
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
+      [, validVerifications] = await identityVerification.getStats();
+      expect(validVerifications).to.equal(1);
+
+      // Re-verifying after a self-revocation
+      await identityVerification.connect(user2).revokeVerification();
+      await identityVerification.connect(user2).submitProof(mockProof, identityInputs(user2), attestation);
+      [, validVerifications] = await identityVerification.getStats();
+      expect(validVerifications).to.equal(1);
+    });
+
+    it("Should count transferred verifications once", async function () {
+      const inputsFor = (account) => identityInputs(account, { nullifier: 999 });
+
+      await identityVerification.connect(user1).submitProof(mockProof, inputsFor(user1), attestation);
+      await identityVerification.connect(user2).transferVerification(mockProof, inputsFor(user2), attestation);
+
+      const [totalUsers, validVerifications] = await identityVerification.getStats();
+      expect(totalUsers).to.equal(2);
+      expect(validVerifications).to.equal(1);
+    });
+  });
+
+  describe("Predicate Proofs", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+    const predicateId = ethers.id("age_over:18");
+    let today;
+
+    const toDate = (timestamp) =>
+      new Date(timestamp * 1000).toISOString().slice(0, 10).replace(/-/g, "");
+
+    beforeEach(async function () {
+      await identityVerification.registerPredicate(predicateId, await mockVerifier.getAddress(), [18]);
+      await identityVerification.connect(user1).submitProof(mockProof, identityInputs(user1), attestation);
+
+      const block = await ethers.provider.getBlock("latest");
+      today = toDate(block.timestamp);
+    });
+
+    it("Should only allow admins to register predicates", async function () {
+      await expect(
+        identityVerification.connect(user1).registerPredicate(predicateId, await mockVerifier.getAddress(), [18])
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should block predicate proofs while paused", async function () {
+      await identityVerification.pause();
+
+      await expect(
+        identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, today, 18])
+      ).to.be.revertedWith("Contract is paused");
+    });
+
+    it("Should record a proven predicate", async function () {
+      await expect(
+        identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, today, 18])
+      ).to.emit(identityVerification, "PredicateProven");
+
+      expect(await identityVerification.hasProvenPredicate(user1.address, predicateId)).to.be.true;
+      expect(await identityVerification.getProvenPredicates(user1.address)).to.deep.equal([predicateId]);
+    });
+
+    it("Should not duplicate predicates proven twice", async function () {
+      await identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, today, 18]);
+      await identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, today, 18]);
+
+      expect(await identityVerification.getProvenPredicates(user1.address)).to.have.lengthOf(1);
+    });
+
+    it("Should reject proofs about a different document", async function () {
+      await expect(
+        identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [457, today, 18])
+      ).to.be.revertedWith("Commitment does not match verified identity");
+    });
+
+    it("Should reject stale reference dates", async function () {
+      await expect(
+        identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, 20000101, 18])
+      ).to.be.revertedWith("Stale reference date");
+    });
+
+    it("Should reject mismatched predicate parameters", async function () {
+      await expect(
+        identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, today, 17])
+      ).to.be.revertedWith("Predicate parameters mismatch");
+    });
+
+    it("Should reject unknown predicates", async function () {
+      await expect(
+        identityVerification.connect(user1).submitPredicateProof(ethers.id("age_over:21"), mockProof, [456, today, 21])
+      ).to.be.revertedWith("Unknown predicate");
+    });
+
+    it("Should reject users without a verification", async function () {
+      await expect(
+        identityVerification.connect(user2).submitPredicateProof(predicateId, mockProof, [456, today, 18])
+      ).to.be.revertedWith("User not verified");
+    });
+
+    it("Should stop reporting predicates after revocation", async function () {
+      await identityVerification.connect(user1).submitPredicateProof(predicateId, mockProof, [456, today, 18]);
+      await identityVerification.connect(user1).revokeVerification();
+
+      expect(await identityVerification.hasProvenPredicate(user1.address, predicateId)).to.be.false;
+    });
+  });
+
+  describe("Relayed Submissions", function () {
+    const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+    const RELAYED_FIELDS = [
+      { name: "user", type: "address" },
+      { name: "proof", type: "bytes" },
+      { name: "publicInputs", type: "uint256[]" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ];
+    let relayer;
+    let domain;
+    let deadline;
+
+    // Inputs of proofs about one document, so that it can be relayed to another holder
+    function documentInputs(account) {
+      return identityInputs(account, { nullifier: 999 });
+    }
+
+    // EIP-712 signature by signer over a relayed submission for user
+    async function sign(signer, primaryType, user, overrides = {}) {
+      const message = {
+        user: user.address,
+        proof: mockProof,
+        publicInputs: documentInputs(user),
+        nonce: await identityVerification.nonces(user.address),
+        deadline,
+        ...overrides,
+      };
+      return signer.signTypedData(domain, { [primaryType]: RELAYED_FIELDS }, message);
+    }
+
+    beforeEach(async function () {
+      [, , , relayer] = await ethers.getSigners();
+      domain = {
+        name: "IdentityVerification",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await identityVerification.getAddress(),
+      };
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    it("Should use the EIP-712 domain of this contract", async function () {
+      expect(await identityVerification.domainSeparator()).to.equal(
+        ethers.TypedDataEncoder.hashDomain(domain)
+      );
+    });
+
+    it("Should submit a proof signed by the user", async function () {
+      const signature = await sign(user1, "SubmitProof", user1);
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, deadline, signature)
+      )
+        .to.emit(identityVerification, "SubmissionRelayed")
+        .withArgs(user1.address, relayer.address, 0)
+        .and.to.emit(identityVerification, "ProofSubmitted")
+        .withArgs(user1.address, anyValue, anyValue, anyValue);
+
+      expect(await identityVerification.isVerified(user1.address)).to.be.true;
+      expect(await identityVerification.isVerified(relayer.address)).to.be.false;
+      expect(await identityVerification.nullifierOwners(scope, 999)).to.equal(user1.address);
+      expect(await identityVerification.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should reject relayed proofs of unattested commitments", async function () {
+      const signature = await sign(user1, "SubmitProof", user1);
+      const forged = await attest(relayer);
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), forged, deadline, signature)
+      ).to.be.revertedWith("Commitment not attested");
+    });
+
+    it("Should not accept a signature twice", async function () {
+      const signature = await sign(user1, "SubmitProof", user1);
+      await identityVerification
+        .connect(relayer)
+        .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, deadline, signature);
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject signatures by another account", async function () {
+      const signature = await sign(user2, "SubmitProof", user1);
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject signatures over other public inputs", async function () {
+      const signature = await sign(user1, "SubmitProof", user1, {
+        publicInputs: identityInputs(user1, { nullifier: 1000 }),
+      });
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject malformed signatures for the zero address", async function () {
+      const zero = { address: ethers.ZeroAddress };
+      const signature = ethers.getBytes(await sign(user1, "SubmitProof", user1));
+      const badV = ethers.concat([signature.slice(0, 64), "0x00"]);
+      const highS = ethers.concat([
+        signature.slice(0, 32),
+        ethers.toBeHex(ethers.MaxUint256, 32),
+        signature.slice(64),
+      ]);
+
+      for (const junk of ["0x", "0x1234", badV, highS]) {
+        await expect(
+          identityVerification
+            .connect(relayer)
+            .submitProofFor(zero.address, mockProof, documentInputs(zero), attestation, deadline, junk)
+        ).to.be.revertedWith("Invalid signature");
+        await expect(
+          identityVerification
+            .connect(relayer)
+            .transferVerificationFor(zero.address, mockProof, documentInputs(zero), attestation, deadline, junk)
+        ).to.be.revertedWith("Invalid signature");
+      }
+    });
+
+    it("Should reject expired signatures", async function () {
+      const expired = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const signature = await sign(user1, "SubmitProof", user1, { deadline: expired });
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, expired, signature)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should still require the proof to be bound to the user", async function () {
+      const signature = await sign(user2, "SubmitProof", user2, {
+        publicInputs: documentInputs(user1),
+      });
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user2.address, mockProof, documentInputs(user1), attestation, deadline, signature)
+      ).to.be.revertedWith("Proof bound to another account");
+    });
+
+    it("Should transfer a verification signed by the new holder", async function () {
+      await identityVerification.connect(user1).submitProof(mockProof, documentInputs(user1), attestation);
+
+      // A SubmitProof signature cannot be used for a transfer
+      const submitSignature = await sign(user2, "SubmitProof", user2);
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .transferVerificationFor(user2.address, mockProof, documentInputs(user2), attestation, deadline, submitSignature)
+      ).to.be.revertedWith("Invalid signature");
+
+      const signature = await sign(user2, "TransferVerification", user2);
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .transferVerificationFor(user2.address, mockProof, documentInputs(user2), attestation, deadline, signature)
+      )
+        .to.emit(identityVerification, "VerificationTransferred")
+        .withArgs(user1.address, user2.address, scope, 999);
+
+      expect(await identityVerification.isVerified(user1.address)).to.be.false;
+      expect(await identityVerification.isVerified(user2.address)).to.be.true;
+    });
+
+    it("Should not relay while paused", async function () {
+      const signature = await sign(user1, "SubmitProof", user1);
+      await identityVerification.pause();
+
+      await expect(
+        identityVerification
+          .connect(relayer)
+          .submitProofFor(user1.address, mockProof, documentInputs(user1), attestation, deadline, signature)
+      ).to.be.revertedWith("Contract is paused");
+    });
   });
 
   describe("Proof Validity Check", function () {
     it("Should check proof validity without modifying state", async function () {
       const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-      const mockPublicInputs = [123, 456, 789];
 
-      const isValid = await identityVerification.checkProofValidity(mockProof, mockPublicInputs);
+      const isValid = await identityVerification.checkProofValidity(mockProof, identityInputs(user1));
       expect(isValid).to.be.true;
 
       // State should not have changed
@@ -253,10 +1274,10 @@ describe("IdentityVerification", function () {
       expect(isValid).to.be.false;
     });
 
-    it("Should return false for empty public inputs", async function () {
+    it("Should return false for missing public inputs", async function () {
       const mockProof = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
-      const isValid = await identityVerification.checkProofValidity(mockProof, []);
-      expect(isValid).to.be.false;
+      expect(await identityVerification.checkProofValidity(mockProof, [])).to.be.false;
+      expect(await identityVerification.checkProofValidity(mockProof, [123, 456, 789])).to.be.false;
     });
   });
 });